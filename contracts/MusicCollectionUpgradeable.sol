@@ -10,6 +10,9 @@ import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
 import "./interfaces/IMusicCollection.sol";
 import "./interfaces/IRevenueShare.sol";
 
@@ -29,6 +32,15 @@ contract MusicCollectionUpgradeable is
 {
     using Strings for uint256;
 
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+    bytes32 public constant MINT_VOUCHER_TYPEHASH =
+        keccak256(
+            "MintVoucher(address to,uint256 tokenId,uint256 maxAmount,uint256 pricePerToken,address paymentToken,uint256 deadline)"
+        );
+
     // Información básica de la colección
     string public name;
     string public symbol;
@@ -53,6 +65,15 @@ contract MusicCollectionUpgradeable is
 
     address public revenueShare;
 
+    // Precio por token del mint con ETH (agregado en 1.1.0, al final del storage)
+    uint256 public mintPrice;
+
+    // Preventa (agregado en 1.2.0): allowlist Merkle y vouchers EIP-712
+    uint256 public presaleStartDate; // 0 = sin preventa
+    bytes32 public allowlistRoot;
+    address public voucherSigner;
+    mapping(address => mapping(uint256 => uint256)) public presaleMinted; // cuenta => tokenId => minteado en preventa
+
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
         _disableInitializers();
@@ -65,6 +86,7 @@ contract MusicCollectionUpgradeable is
         string memory _collectionMetadata,
         uint256 _mintStartDate,
         uint256 _mintEndDate,
+        uint256 _mintPrice,
         address _paymentToken,
         address _royaltyReceiver,
         uint96 _royaltyFee,
@@ -84,11 +106,14 @@ contract MusicCollectionUpgradeable is
         collectionMetadata = _collectionMetadata;
         mintStartDate = _mintStartDate;
         mintEndDate = _mintEndDate;
+        mintPrice = _mintPrice;
         paymentToken = _paymentToken;
         revenueShare = _revenueShare;
 
         // Configurar royalties usando ERC2981
         _setDefaultRoyalty(_royaltyReceiver, _royaltyFee);
+
+        emit MintPriceUpdated(_mintPrice);
     }
 
     /**
@@ -101,8 +126,8 @@ contract MusicCollectionUpgradeable is
     /**
      * @dev Obtener versión del contrato para tracking de upgrades
      */
-    function version() external pure returns (string memory) {
-        return "1.0.0";
+    function version() external pure virtual returns (string memory) {
+        return "1.2.0";
     }
 
     /**
@@ -124,6 +149,32 @@ contract MusicCollectionUpgradeable is
         emit PaymentTokenAdded(_token, _price);
     }
 
+    /**
+     * @dev Configura el precio por token del mint con ETH (0 = mint gratuito)
+     */
+    function setMintPrice(uint256 price) external onlyOwner {
+        mintPrice = price;
+        emit MintPriceUpdated(price);
+    }
+
+    /**
+     * @dev Configura la preventa: desde `startDate` (0 = desactivada) hasta
+     * `mintEndDate` se puede mintear con una prueba de la allowlist `root`
+     * o con un voucher firmado por `signer` (cualquiera de los dos puede
+     * ser cero para no usar ese modo)
+     */
+    function setPresale(
+        uint256 startDate,
+        bytes32 root,
+        address signer
+    ) external onlyOwner {
+        if (startDate > mintEndDate) revert InvalidDates();
+        presaleStartDate = startDate;
+        allowlistRoot = root;
+        voucherSigner = signer;
+        emit PresaleUpdated(startDate, root, signer);
+    }
+
     /**
      * @dev Actualiza las fechas de mint
      */
@@ -170,7 +221,9 @@ contract MusicCollectionUpgradeable is
     }
 
     /**
-     * @dev Mint pagando con token ERC20
+     * @dev Mint pagando con token ERC20 al precio de `acceptedTokens`.
+     * `pricePerToken` debe coincidir con ese precio: protege al comprador de
+     * un cambio de precio entre la cotización y el mint
      */
     function mintWithERC20(
         address to,
@@ -182,91 +235,221 @@ contract MusicCollectionUpgradeable is
     ) external nonReentrant {
         if (block.timestamp < mintStartDate) revert MintNotStarted();
         if (block.timestamp > mintEndDate) revert MintEnded();
-        if (
-            maxSupply[tokenId] != 0 &&
-            totalSupply(tokenId) + amount > maxSupply[tokenId]
-        ) revert ExceedsMaxSupply();
-        if (acceptedTokens[paymentTokenAddress] == 0) revert UnsupportedToken();
+        _checkMaxSupply(tokenId, amount);
+        uint256 price = acceptedTokens[paymentTokenAddress];
+        if (price == 0) revert UnsupportedToken();
+        if (pricePerToken != price) revert PriceMismatch(price, pricePerToken);
 
-        uint256 totalCost = pricePerToken * amount;
+        _mintPaid(
+            to,
+            tokenId,
+            amount,
+            price * amount,
+            paymentTokenAddress,
+            tokenMetadata
+        );
+    }
 
-        if (totalCost > 0) {
-            if (revenueShare != address(0)) {
-                // Transferir tokens del usuario al contrato RevenueShare y distribuir
-                IERC20(paymentTokenAddress).transferFrom(
-                    msg.sender,
-                    address(this),
-                    totalCost
-                );
-
-                // Aprobar al RevenueShare para que pueda distribuir
-                IERC20(paymentTokenAddress).approve(revenueShare, totalCost);
-
-                // Delegar completamente la transferencia y distribución al RevenueShare
-                IRevenueShare(revenueShare).distributeMintPaymentERC20(
-                    address(this),
-                    tokenId,
-                    paymentTokenAddress,
-                    totalCost
-                );
-            } else {
-                // Si no hay RevenueShare, transferir directamente al owner
-                IERC20(paymentTokenAddress).transferFrom(
-                    msg.sender,
-                    owner(),
-                    totalCost
-                );
-            }
+    /**
+     * @dev Mint con pago en ETH nativo al precio de `mintPrice`.
+     * `pricePerToken` debe coincidir con ese precio y `msg.value` con el total
+     */
+    function mint(
+        address to,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 pricePerToken,
+        string memory tokenMetadata
+    ) external payable nonReentrant {
+        if (block.timestamp < mintStartDate) revert MintNotStarted();
+        if (block.timestamp > mintEndDate) revert MintEnded();
+        _checkMaxSupply(tokenId, amount);
+        if (pricePerToken != mintPrice) {
+            revert PriceMismatch(mintPrice, pricePerToken);
         }
 
-        // Si es la primera vez que se acuña este token, establecer sus metadatos
-        if (totalSupply(tokenId) == 0 && bytes(tokenMetadata).length > 0) {
-            _tokenURIs[tokenId] = tokenMetadata;
-            emit TokenURIUpdated(tokenId, tokenMetadata);
-        }
+        _mintPaid(
+            to,
+            tokenId,
+            amount,
+            mintPrice * amount,
+            address(0),
+            tokenMetadata
+        );
+    }
 
-        // Mint los tokens NFT
-        _mint(to, tokenId, amount, "");
+    /**
+     * @dev Mint de preventa con una prueba de la allowlist. La hoja es
+     * keccak256(keccak256(abi.encode(to, tokenId, maxAmount, pricePerToken,
+     * paymentToken))), el formato de StandardMerkleTree de OpenZeppelin
+     */
+    function allowlistMint(
+        address to,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 maxAmount,
+        uint256 pricePerToken,
+        address paymentTokenAddress,
+        bytes32[] calldata proof,
+        string memory tokenMetadata
+    ) external payable nonReentrant {
+        bytes32 leaf = keccak256(
+            bytes.concat(
+                keccak256(
+                    abi.encode(
+                        to,
+                        tokenId,
+                        maxAmount,
+                        pricePerToken,
+                        paymentTokenAddress
+                    )
+                )
+            )
+        );
+        if (
+            allowlistRoot == bytes32(0) ||
+            !MerkleProof.verifyCalldata(proof, allowlistRoot, leaf)
+        ) revert InvalidProof();
 
-        emit TokenMintedWithERC20(
+        _presaleMint(
             to,
             tokenId,
             amount,
+            maxAmount,
+            pricePerToken,
             paymentTokenAddress,
-            totalCost
+            tokenMetadata
         );
     }
 
     /**
-     * @dev Mint con pago en ETH nativo
+     * @dev Mint de preventa con un voucher EIP-712 firmado por `voucherSigner`
      */
-    function mint(
+    function voucherMint(
+        MintVoucher calldata voucher,
+        bytes calldata signature,
+        uint256 amount,
+        string memory tokenMetadata
+    ) external payable nonReentrant {
+        if (block.timestamp > voucher.deadline) revert VoucherExpired();
+        (address signer, ECDSA.RecoverError recoverError, ) = ECDSA.tryRecover(
+            hashVoucher(voucher),
+            signature
+        );
+        if (
+            recoverError != ECDSA.RecoverError.NoError ||
+            voucherSigner == address(0) ||
+            signer != voucherSigner
+        ) revert InvalidVoucher();
+
+        _presaleMint(
+            voucher.to,
+            voucher.tokenId,
+            amount,
+            voucher.maxAmount,
+            voucher.pricePerToken,
+            voucher.paymentToken,
+            tokenMetadata
+        );
+    }
+
+    /**
+     * @dev Separador de dominio EIP-712 de los vouchers
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    DOMAIN_TYPEHASH,
+                    keccak256("MusicCollection"),
+                    keccak256("1"),
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+
+    /**
+     * @dev Digest EIP-712 que firma el `voucherSigner`
+     */
+    function hashVoucher(
+        MintVoucher calldata voucher
+    ) public view returns (bytes32) {
+        return
+            MessageHashUtils.toTypedDataHash(
+                domainSeparator(),
+                keccak256(abi.encode(MINT_VOUCHER_TYPEHASH, voucher))
+            );
+    }
+
+    /**
+     * @dev Ventana de preventa y cupo por cuenta, comunes a allowlist y vouchers
+     */
+    function _presaleMint(
         address to,
         uint256 tokenId,
         uint256 amount,
+        uint256 maxAmount,
         uint256 pricePerToken,
+        address paymentTokenAddress,
         string memory tokenMetadata
-    ) external payable nonReentrant {
-        if (block.timestamp < mintStartDate) revert MintNotStarted();
+    ) private {
+        if (presaleStartDate == 0 || block.timestamp < presaleStartDate) {
+            revert PresaleNotStarted();
+        }
         if (block.timestamp > mintEndDate) revert MintEnded();
+        _checkMaxSupply(tokenId, amount);
+
+        uint256 minted = presaleMinted[to][tokenId];
+        if (minted + amount > maxAmount) {
+            revert ExceedsAllowance(
+                maxAmount > minted ? maxAmount - minted : 0
+            );
+        }
+        presaleMinted[to][tokenId] = minted + amount;
+
+        _mintPaid(
+            to,
+            tokenId,
+            amount,
+            pricePerToken * amount,
+            paymentTokenAddress,
+            tokenMetadata
+        );
+    }
+
+    function _checkMaxSupply(uint256 tokenId, uint256 amount) private view {
         if (
             maxSupply[tokenId] != 0 &&
             totalSupply(tokenId) + amount > maxSupply[tokenId]
         ) revert ExceedsMaxSupply();
+    }
 
-        uint256 totalCost = pricePerToken * amount;
-        if (totalCost > 0) {
+    /**
+     * @dev Cobra `totalCost` (ETH exacto en msg.value o ERC20 con
+     * transferFrom), lo reparte vía RevenueShare (o lo envía al owner) y
+     * mintea los tokens
+     */
+    function _mintPaid(
+        address to,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 totalCost,
+        address paymentTokenAddress,
+        string memory tokenMetadata
+    ) private {
+        if (paymentTokenAddress == address(0)) {
             if (msg.value < totalCost) revert InsufficientPayment();
+            if (msg.value > totalCost) revert IncorrectValue();
+        } else if (msg.value > 0) {
+            revert IncorrectValue();
+        }
 
-            if (revenueShare != address(0)) {
-                // Distribuir pago a través del RevenueShare contract
-                IRevenueShare(revenueShare).distributeMintPayment{
-                    value: msg.value
-                }(address(this), tokenId);
+        if (totalCost > 0) {
+            if (paymentTokenAddress == address(0)) {
+                _collectETH(tokenId, totalCost);
             } else {
-                // Si no hay RevenueShare, enviar ETH directamente al owner
-                (bool success, ) = payable(owner()).call{value: msg.value}("");
-                require(success, "Transfer to owner failed");
+                _collectERC20(tokenId, totalCost, paymentTokenAddress);
             }
         }
 
@@ -279,7 +462,64 @@ contract MusicCollectionUpgradeable is
         // Mint los tokens NFT
         _mint(to, tokenId, amount, "");
 
-        emit TokenMintedWithETH(to, tokenId, amount, msg.value);
+        if (paymentTokenAddress == address(0)) {
+            emit TokenMintedWithETH(to, tokenId, amount, totalCost);
+        } else {
+            emit TokenMintedWithERC20(
+                to,
+                tokenId,
+                amount,
+                paymentTokenAddress,
+                totalCost
+            );
+        }
+    }
+
+    function _collectETH(uint256 tokenId, uint256 totalCost) private {
+        if (revenueShare != address(0)) {
+            // Distribuir pago a través del RevenueShare contract
+            IRevenueShare(revenueShare).distributeMintPayment{value: totalCost}(
+                address(this),
+                tokenId
+            );
+        } else {
+            // Si no hay RevenueShare, enviar ETH directamente al owner
+            (bool success, ) = payable(owner()).call{value: totalCost}("");
+            require(success, "Transfer to owner failed");
+        }
+    }
+
+    function _collectERC20(
+        uint256 tokenId,
+        uint256 totalCost,
+        address paymentTokenAddress
+    ) private {
+        if (revenueShare != address(0)) {
+            // Transferir tokens del usuario al contrato RevenueShare y distribuir
+            IERC20(paymentTokenAddress).transferFrom(
+                msg.sender,
+                address(this),
+                totalCost
+            );
+
+            // Aprobar al RevenueShare para que pueda distribuir
+            IERC20(paymentTokenAddress).approve(revenueShare, totalCost);
+
+            // Delegar completamente la transferencia y distribución al RevenueShare
+            IRevenueShare(revenueShare).distributeMintPaymentERC20(
+                address(this),
+                tokenId,
+                paymentTokenAddress,
+                totalCost
+            );
+        } else {
+            // Si no hay RevenueShare, transferir directamente al owner
+            IERC20(paymentTokenAddress).transferFrom(
+                msg.sender,
+                owner(),
+                totalCost
+            );
+        }
     }
 
     /**
@@ -291,10 +531,7 @@ contract MusicCollectionUpgradeable is
         uint256 amount,
         string memory tokenMetadata
     ) external onlyOwner {
-        if (
-            maxSupply[tokenId] != 0 &&
-            totalSupply(tokenId) + amount > maxSupply[tokenId]
-        ) revert ExceedsMaxSupply();
+        _checkMaxSupply(tokenId, amount);
 
         // Si es la primera vez que se acuña este token, establecer sus metadatos
         if (totalSupply(tokenId) == 0 && bytes(tokenMetadata).length > 0) {
@@ -5,9 +5,15 @@ import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/access/IAccessControl.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
 import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/Create2.sol";
 import "./MusicCollectionUpgradeable.sol";
 import "./interfaces/IMusicNFTFactory.sol";
+import "./interfaces/IRevenueShare.sol";
+import "./interfaces/IRevenueShareFactory.sol";
 
 /**
  * @title MusicNFTFactoryUpgradeable
@@ -29,6 +35,36 @@ contract MusicNFTFactoryUpgradeable is
     // Mapeo de artistas a sus colecciones
     mapping(address => address[]) public artistCollections;
 
+    // Factory de revenue shares que usa createRelease (agregado en 1.2.0)
+    address public revenueShareFactory;
+
+    /// @dev Rol de RevenueShareUpgradeable que el factory tiene durante createRelease
+    bytes32 private constant MANAGER_ROLE = keccak256("MANAGER_ROLE");
+
+    /**
+     * @dev Parámetros de createRelease: los de la colección (sin artist ni
+     * revenueShare, que los pone el factory) y los del RevenueShare
+     */
+    struct ReleaseParams {
+        string name;
+        string symbol;
+        string baseURI;
+        string collectionMetadata;
+        uint256 mintStartDate;
+        uint256 mintEndDate;
+        uint256 mintPrice; // precio del mint con ETH (0 = gratuito)
+        address paymentToken;
+        address royaltyReceiver; // address(0) = el RevenueShare del release
+        uint96 royaltyFee;
+        string revenueShareName;
+        string revenueShareDescription;
+    }
+
+    error RevenueShareFactoryNotSet();
+    error SaltAlreadyUsed(bytes32 salt);
+    error InvalidRevenueShare(address revenueShare);
+    error CallerNotArtist(address caller, address artist);
+
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
         _disableInitializers();
@@ -53,7 +89,7 @@ contract MusicNFTFactoryUpgradeable is
      * @dev Obtener versión del factory para tracking de upgrades
      */
     function version() external pure returns (string memory) {
-        return "1.0.0";
+        return "1.2.0";
     }
 
     /**
@@ -71,7 +107,135 @@ contract MusicNFTFactoryUpgradeable is
     }
 
     /**
-     * @dev Crea una nueva colección ERC1155 upgradeable usando proxy
+     * @dev Configura el factory de revenue shares de createRelease (solo owner)
+     */
+    function setRevenueShareFactory(
+        address _revenueShareFactory
+    ) external onlyOwner {
+        require(
+            _revenueShareFactory != address(0),
+            "Invalid revenue share factory"
+        );
+        revenueShareFactory = _revenueShareFactory;
+        emit RevenueShareFactoryUpdated(_revenueShareFactory);
+    }
+
+    /**
+     * @dev Crea un release completo en una transacción: un RevenueShare del
+     * artista (quien llama) y una colección vinculada a él, ambos con
+     * direcciones deterministas (ver predictRelease), y opcionalmente sus
+     * splits de mint. El factory es manager del RevenueShare solo durante
+     * la transacción: renuncia al rol al terminar
+     */
+    function createRelease(
+        ReleaseParams calldata params,
+        IRevenueShare.Share[] calldata mintSplits,
+        bytes32 salt
+    ) external nonReentrant returns (address collection, address revenueShare) {
+        if (revenueShareFactory == address(0)) {
+            revert RevenueShareFactoryNotSet();
+        }
+        address artist = msg.sender;
+        bytes32 deploySalt = _releaseSalt(artist, salt);
+        (
+            address expectedCollection,
+            address expectedRevenueShare
+        ) = _predictRelease(artist, salt);
+        if (expectedCollection.code.length > 0) revert SaltAlreadyUsed(salt);
+
+        revenueShare = IRevenueShareFactory(revenueShareFactory)
+            .createRevenueShareDeterministic(
+                artist,
+                params.revenueShareName,
+                params.revenueShareDescription,
+                salt
+            );
+        if (
+            revenueShare != expectedRevenueShare ||
+            IRevenueShare(revenueShare).owner() != artist
+        ) {
+            revert InvalidRevenueShare(revenueShare);
+        }
+
+        // El proxy se crea sin datos para que la dirección no dependa de
+        // ellos, y se inicializa en la misma transacción
+        collection = address(
+            new ERC1967Proxy{salt: deploySalt}(collectionImplementation, "")
+        );
+        Address.functionCall(
+            collection,
+            _collectionInitData(
+                params.name,
+                params.symbol,
+                params.baseURI,
+                params.collectionMetadata,
+                params.mintStartDate,
+                params.mintEndDate,
+                params.mintPrice,
+                params.paymentToken,
+                params.royaltyReceiver == address(0)
+                    ? revenueShare
+                    : params.royaltyReceiver,
+                params.royaltyFee,
+                artist,
+                revenueShare
+            )
+        );
+
+        if (mintSplits.length > 0) {
+            IRevenueShare(revenueShare).setCollectionMintSplits(
+                collection,
+                mintSplits
+            );
+        }
+        IAccessControl(revenueShare).renounceRole(MANAGER_ROLE, address(this));
+
+        _registerCollection(collection, artist, params.name, params.symbol);
+        emit ReleaseCreated(artist, collection, revenueShare, salt);
+    }
+
+    /**
+     * @dev Direcciones que tendrán la colección y el RevenueShare de
+     * createRelease(…, salt) enviado por `artist`. Cambian si se actualiza
+     * alguna de las implementaciones antes de crearlo
+     */
+    function predictRelease(
+        address artist,
+        bytes32 salt
+    ) external view returns (address collection, address revenueShare) {
+        if (revenueShareFactory == address(0)) {
+            revert RevenueShareFactoryNotSet();
+        }
+        return _predictRelease(artist, salt);
+    }
+
+    function _predictRelease(
+        address artist,
+        bytes32 salt
+    ) private view returns (address collection, address revenueShare) {
+        collection = Create2.computeAddress(
+            _releaseSalt(artist, salt),
+            keccak256(
+                abi.encodePacked(
+                    type(ERC1967Proxy).creationCode,
+                    abi.encode(collectionImplementation, bytes(""))
+                )
+            )
+        );
+        revenueShare = IRevenueShareFactory(revenueShareFactory)
+            .predictRevenueShareAddress(address(this), artist, salt);
+    }
+
+    function _releaseSalt(
+        address artist,
+        bytes32 salt
+    ) private pure returns (bytes32) {
+        return keccak256(abi.encode(artist, salt));
+    }
+
+    /**
+     * @dev Crea una nueva colección ERC1155 upgradeable usando proxy. Solo
+     * la puede crear el propio artista (ver _checkCollectionOwnership)
      */
     function createCollection(
         string memory name,
@@ -80,21 +244,24 @@ contract MusicNFTFactoryUpgradeable is
         string memory collectionMetadata,
         uint256 mintStartDate,
         uint256 mintEndDate,
+        uint256 mintPrice,
         address paymentToken,
         address royaltyReceiver,
         uint96 royaltyFee,
         address artist,
         address revenueShare
     ) external nonReentrant returns (address) {
+        _checkCollectionOwnership(artist, revenueShare);
+
         // Preparar los datos de inicialización
-        bytes memory initData = abi.encodeWithSelector(
-            MusicCollectionUpgradeable.initialize.selector,
+        bytes memory initData = _collectionInitData(
             name,
             symbol,
             baseURI,
             collectionMetadata,
             mintStartDate,
             mintEndDate,
+            mintPrice,
             paymentToken,
             royaltyReceiver,
             royaltyFee,
@@ -109,13 +276,123 @@ contract MusicNFTFactoryUpgradeable is
         );
         address newCollection = address(proxy);
 
+        _registerCollection(newCollection, artist, name, symbol);
+
+        return newCollection;
+    }
+
+    /**
+     * @dev Crea una colección como clon mínimo (EIP-1167) del template
+     * actual: más barata de desplegar y de usar, pero no upgradeable. El
+     * clon queda fijo en la implementación con la que se creó
+     */
+    function createCollectionClone(
+        string memory name,
+        string memory symbol,
+        string memory baseURI,
+        string memory collectionMetadata,
+        uint256 mintStartDate,
+        uint256 mintEndDate,
+        uint256 mintPrice,
+        address paymentToken,
+        address royaltyReceiver,
+        uint96 royaltyFee,
+        address artist,
+        address revenueShare
+    ) external nonReentrant returns (address) {
+        _checkCollectionOwnership(artist, revenueShare);
+
+        bytes memory initData = _collectionInitData(
+            name,
+            symbol,
+            baseURI,
+            collectionMetadata,
+            mintStartDate,
+            mintEndDate,
+            mintPrice,
+            paymentToken,
+            royaltyReceiver,
+            royaltyFee,
+            artist,
+            revenueShare
+        );
+
+        // Crear el clon e inicializarlo en la misma transacción
+        address newCollection = Clones.clone(collectionImplementation);
+        Address.functionCall(newCollection, initData);
+
+        _registerCollection(newCollection, artist, name, symbol);
+        emit CollectionCloned(newCollection, collectionImplementation);
+
+        return newCollection;
+    }
+
+    /**
+     * @dev Solo el artista crea sus colecciones, y solo puede vincularlas a
+     * un RevenueShare suyo creado por el revenueShareFactory configurado
+     * (address(0) = sin RevenueShare)
+     */
+    function _checkCollectionOwnership(
+        address artist,
+        address revenueShare
+    ) private view {
+        if (msg.sender != artist) revert CallerNotArtist(msg.sender, artist);
+        if (revenueShare == address(0)) return;
+        if (revenueShareFactory == address(0)) {
+            revert RevenueShareFactoryNotSet();
+        }
+        if (
+            !IRevenueShareFactory(revenueShareFactory)
+                .isManagerCreatedByFactory(revenueShare) ||
+            IRevenueShare(revenueShare).owner() != artist
+        ) {
+            revert InvalidRevenueShare(revenueShare);
+        }
+    }
+
+    function _collectionInitData(
+        string memory name,
+        string memory symbol,
+        string memory baseURI,
+        string memory collectionMetadata,
+        uint256 mintStartDate,
+        uint256 mintEndDate,
+        uint256 mintPrice,
+        address paymentToken,
+        address royaltyReceiver,
+        uint96 royaltyFee,
+        address artist,
+        address revenueShare
+    ) private pure returns (bytes memory) {
+        return
+            abi.encodeWithSelector(
+                MusicCollectionUpgradeable.initialize.selector,
+                name,
+                symbol,
+                baseURI,
+                collectionMetadata,
+                mintStartDate,
+                mintEndDate,
+                mintPrice,
+                paymentToken,
+                royaltyReceiver,
+                royaltyFee,
+                artist,
+                revenueShare
+            );
+    }
+
+    function _registerCollection(
+        address newCollection,
+        address artist,
+        string memory name,
+        string memory symbol
+    ) private {
         // Almacenar la colección en los arrays
         collections.push(newCollection);
         artistCollections[artist].push(newCollection);
 
         emit CollectionCreated(artist, newCollection, name, symbol);
-
-        return newCollection;
     }
 
     /**
@@ -147,4 +424,29 @@ contract MusicNFTFactoryUpgradeable is
      * @dev Evento para tracking de actualizaciones de implementación
      */
     event ImplementationUpdated(address indexed newImplementation);
+
+    /**
+     * @dev Evento emitido cuando cambia el factory de revenue shares
+     */
+    event RevenueShareFactoryUpdated(address indexed revenueShareFactory);
+
+    /**
+     * @dev Evento emitido (junto con CollectionCreated y RevenueShareCreated
+     * del otro factory) por createRelease
+     */
+    event ReleaseCreated(
+        address indexed artist,
+        address indexed collection,
+        address indexed revenueShare,
+        bytes32 salt
+    );
+
+    /**
+     * @dev Evento emitido (junto con CollectionCreated) cuando la colección
+     * es un clon: `implementation` es la que usará siempre
+     */
+    event CollectionCloned(
+        address indexed collection,
+        address indexed implementation
+    );
 }
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title PlatformTimelock
+ * @dev Timelock que puede quedar como owner de los factories. Los upgrades y
+ * los cambios de template se programan con `scheduleBatch` y solo se ejecutan
+ * con `executeBatch` una vez pasado el delay mínimo
+ */
+contract PlatformTimelock is TimelockController {
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors,
+        address admin
+    ) TimelockController(minDelay, proposers, executors, admin) {}
+}
@@ -4,8 +4,12 @@ pragma solidity ^0.8.22;
 import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
 import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/Create2.sol";
 import "./RevenueShareUpgradeable.sol";
+import "./interfaces/IRevenueShareFactory.sol";
 
 /**
  * @title RevenueShareFactoryUpgradeable
@@ -14,6 +18,7 @@ import "./RevenueShareUpgradeable.sol";
  */
 contract RevenueShareFactoryUpgradeable is
     Initializable,
+    IRevenueShareFactory,
     OwnableUpgradeable,
     UUPSUpgradeable
 {
@@ -22,6 +27,7 @@ contract RevenueShareFactoryUpgradeable is
     error EmptyName();
     error EmptyDescription();
     error ManagerCreationFailed();
+    error SaltAlreadyUsed(bytes32 salt);
 
     struct ManagerInfo {
         address managerAddress;
@@ -59,6 +65,12 @@ contract RevenueShareFactoryUpgradeable is
 
     event ImplementationUpdated(address indexed newImplementation);
 
+    /// @dev Emitido junto con RevenueShareCreated cuando el manager es un clon
+    event RevenueShareCloned(
+        address indexed manager,
+        address indexed implementation
+    );
+
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
         _disableInitializers();
@@ -93,7 +105,7 @@ contract RevenueShareFactoryUpgradeable is
      * @dev Obtener versión del contrato para tracking de upgrades
      */
     function version() external pure returns (string memory) {
-        return "1.0.0";
+        return "1.2.0";
     }
 
     /**
@@ -120,16 +132,8 @@ contract RevenueShareFactoryUpgradeable is
         string memory name,
         string memory description
     ) external returns (address managerAddress) {
-        // Input validation
-        if (artist == address(0)) revert InvalidArtist();
-        if (bytes(name).length == 0) revert EmptyName();
-        if (bytes(description).length == 0) revert EmptyDescription();
-
-        // Encode initialize call data
-        bytes memory initData = abi.encodeWithSelector(
-            RevenueShareUpgradeable.initialize.selector,
+        bytes memory initData = _revenueShareInitData(
             artist,
-            msg.sender,
             name,
             description
         );
@@ -141,7 +145,146 @@ contract RevenueShareFactoryUpgradeable is
         );
 
         managerAddress = address(proxy);
+        _registerManager(managerAddress, artist, name, description);
+    }
 
+    /**
+     * @notice Crea un RevenueShare como clon mínimo (EIP-1167) de la implementación actual
+     * @dev Más barato de desplegar y de usar que el proxy, pero no upgradeable:
+     * el clon queda fijo en la implementación con la que se creó
+     * @param artist La dirección del artista que será propietario del contrato RevenueShare
+     * @param name Nombre del arreglo de revenue share
+     * @param description Descripción del arreglo de revenue share
+     * @return managerAddress La dirección del clon recién creado
+     */
+    function createRevenueShareClone(
+        address artist,
+        string memory name,
+        string memory description
+    ) external returns (address managerAddress) {
+        bytes memory initData = _revenueShareInitData(
+            artist,
+            name,
+            description
+        );
+
+        // Crear el clon e inicializarlo en la misma transacción
+        managerAddress = Clones.clone(revenueShareImplementation);
+        Address.functionCall(managerAddress, initData);
+
+        _registerManager(managerAddress, artist, name, description);
+        emit RevenueShareCloned(managerAddress, revenueShareImplementation);
+    }
+
+    /**
+     * @notice Crea un RevenueShare con dirección determinista (CREATE2)
+     * @dev La dirección depende de quien llama, del artista, del salt y de la
+     * implementación actual (ver predictRevenueShareAddress), no del nombre
+     * ni de la descripción. Quien llama queda como manager, igual que en
+     * createRevenueShare
+     * @param artist La dirección del artista que será propietario del contrato RevenueShare
+     * @param name Nombre del arreglo de revenue share
+     * @param description Descripción del arreglo de revenue share
+     * @param salt Salt elegido por quien llama
+     * @return managerAddress La dirección del contrato RevenueShare recién creado
+     */
+    function createRevenueShareDeterministic(
+        address artist,
+        string memory name,
+        string memory description,
+        bytes32 salt
+    ) external returns (address managerAddress) {
+        bytes memory initData = _revenueShareInitData(
+            artist,
+            name,
+            description
+        );
+
+        bytes32 deploySalt = _deploySalt(msg.sender, artist, salt);
+        if (_predictProxy(deploySalt).code.length > 0) {
+            revert SaltAlreadyUsed(salt);
+        }
+
+        // El proxy se crea sin datos para que la dirección no dependa de
+        // ellos, y se inicializa en la misma transacción
+        managerAddress = address(
+            new ERC1967Proxy{salt: deploySalt}(revenueShareImplementation, "")
+        );
+        Address.functionCall(managerAddress, initData);
+
+        _registerManager(managerAddress, artist, name, description);
+    }
+
+    /**
+     * @notice Predice la dirección de createRevenueShareDeterministic
+     * @dev Cambia si se actualiza la implementación antes de crearlo
+     * @param deployer Cuenta (o contrato) que llamará al factory
+     * @param artist La dirección del artista
+     * @param salt Salt elegido por quien llama
+     * @return La dirección que tendrá el RevenueShare
+     */
+    function predictRevenueShareAddress(
+        address deployer,
+        address artist,
+        bytes32 salt
+    ) external view returns (address) {
+        return _predictProxy(_deploySalt(deployer, artist, salt));
+    }
+
+    /**
+     * @dev Incluye a quien llama: nadie puede ocupar la dirección de otro
+     */
+    function _deploySalt(
+        address deployer,
+        address artist,
+        bytes32 salt
+    ) private pure returns (bytes32) {
+        return keccak256(abi.encode(deployer, artist, salt));
+    }
+
+    function _predictProxy(bytes32 deploySalt) private view returns (address) {
+        return
+            Create2.computeAddress(
+                deploySalt,
+                keccak256(
+                    abi.encodePacked(
+                        type(ERC1967Proxy).creationCode,
+                        abi.encode(revenueShareImplementation, bytes(""))
+                    )
+                )
+            );
+    }
+
+    /**
+     * @dev Valida los parámetros y codifica la llamada a initialize
+     */
+    function _revenueShareInitData(
+        address artist,
+        string memory name,
+        string memory description
+    ) private view returns (bytes memory) {
+        // Input validation
+        if (artist == address(0)) revert InvalidArtist();
+        if (bytes(name).length == 0) revert EmptyName();
+        if (bytes(description).length == 0) revert EmptyDescription();
+
+        // Encode initialize call data
+        return
+            abi.encodeWithSelector(
+                RevenueShareUpgradeable.initialize.selector,
+                artist,
+                msg.sender,
+                name,
+                description
+            );
+    }
+
+    function _registerManager(
+        address managerAddress,
+        address artist,
+        string memory name,
+        string memory description
+    ) private {
         // Verify contract creation
         if (managerAddress == address(0)) revert ManagerCreationFailed();
 
@@ -7,6 +7,9 @@ import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "./interfaces/IRevenueShare.sol";
 
 /**
  * @title RevenueShareUpgradeable
@@ -14,6 +17,11 @@ import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
  * @dev Implementa distribución de pagos directos con seguimiento de herencia para remixes/playlists
  * @dev Soporta tanto tokens nativos (ETH) como tokens ERC20 (USDC, DAI, etc.)
  * @dev Incluye sistema de roles de manager permitiendo que desarrolladores configuren splits mientras artistas mantienen ownership
+ * @dev Desde 1.1.0 puede ser el receptor ERC2981 de las colecciones: reparte los royalties de reventa según los splits de reventa y la cascada
+ * @dev Desde 1.2.0 tiene un modo escrow opcional: los pagos se acumulan como saldos reclamables en lugar de transferirse
+ * @dev Desde 1.3.0 el linaje de un remix referencia tokens (collection, tokenId) con pesos y se resuelve recursivamente
+ * @dev Desde 1.4.0 reparte ingresos de streaming por época, según liquidaciones EIP-712 firmadas por un oráculo de reproducciones
+ * @dev Desde 1.5.0 emite RecipientPaid por cada destinatario, para reconstruir lo cobrado por cuenta, token y moneda
  */
 contract RevenueShareUpgradeable is
     Initializable,
@@ -26,6 +34,19 @@ contract RevenueShareUpgradeable is
     /// @dev Role identifier for managers who can configure splits
     bytes32 public constant MANAGER_ROLE = keccak256("MANAGER_ROLE");
 
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+    bytes32 public constant STREAMING_PAYOUT_TYPEHASH =
+        keccak256(
+            "StreamingPayout(address collection,uint256 tokenId,uint256 plays,uint256 amount)"
+        );
+    bytes32 public constant STREAMING_SETTLEMENT_TYPEHASH =
+        keccak256(
+            "StreamingSettlement(uint256 epoch,uint256 periodStart,uint256 periodEnd,address token,uint256 total,StreamingPayout[] payouts)StreamingPayout(address collection,uint256 tokenId,uint256 plays,uint256 amount)"
+        );
+
     /// @dev Custom errors for gas efficiency
     error NotOwner();
     error NotAuthorized();
@@ -37,12 +58,59 @@ contract RevenueShareUpgradeable is
     error EmptyName();
     error InvalidTokenId();
     error InvalidAmount();
+    error InsufficientBalance(uint256 available);
+    error NothingToClaim();
+    error LineageCycle(address collection, uint256 tokenId);
+    error LineageTooDeep(uint256 maxDepth);
+    error TooManySources(uint256 maxSources);
+    error SourceWithoutSplits(address collection, uint256 tokenId);
+    error InvalidSettlement();
+    error EpochAlreadySettled(uint256 epoch);
+    error InvalidPeriod(uint256 periodStart, uint256 periodEnd);
+    error SettlementTotalMismatch(uint256 total, uint256 payouts);
 
     struct Share {
         address account;
         uint96 percentage; // base 10000 = 100%
     }
 
+    /// @dev Fuente de un remix: un token de esta u otra colección
+    struct LineageSource {
+        address collection;
+        uint256 tokenId;
+        uint96 weight; // base 10000 = 100% de la cascada
+    }
+
+    /// @dev Origen de un pago a un destinatario (ver RecipientPaid)
+    enum PayoutKind {
+        Mint,
+        Resale,
+        Streaming
+    }
+
+    /// @dev Ingresos de streaming de un token en una época
+    struct StreamingPayout {
+        address collection;
+        uint256 tokenId;
+        uint256 plays; // informativo: el oráculo ya convirtió las reproducciones a `amount`
+        uint256 amount;
+    }
+
+    /// @dev Liquidación de una época que firma el `streamingOracle`
+    struct StreamingSettlement {
+        uint256 epoch;
+        uint256 periodStart;
+        uint256 periodEnd;
+        address token; // address(0) = ETH
+        uint256 total;
+        StreamingPayout[] payouts;
+    }
+
+    /// @dev Niveles de remixes encadenados que se resuelven al repartir
+    uint256 public constant MAX_LINEAGE_DEPTH = 4;
+    /// @dev Fuentes máximas por token en setLineage
+    uint256 public constant MAX_LINEAGE_SOURCES = 8;
+
     address public owner;
     string public name;
     string public description;
@@ -58,6 +126,20 @@ contract RevenueShareUpgradeable is
     /// @dev Cascade settings for remixes/playlists
     mapping(uint256 => uint96) public cascadePercentage; // Percentage that goes to original sources
 
+    /// @dev Modo escrow (agregado en 1.2.0, al final del storage)
+    bool public escrowMode;
+    mapping(address => mapping(address => uint256)) public claimable; // account => token (address(0) = ETH) => saldo
+    mapping(address => uint256) public totalClaimable; // token => suma de saldos reclamables
+
+    /// @dev Linaje ponderado (agregado en 1.3.0, al final del storage)
+    mapping(address => mapping(uint256 => LineageSource[]))
+        public lineageSources; // (collection, tokenId) => fuentes con peso
+    mapping(address => mapping(uint256 => uint96)) public lineagePercentage; // (collection, tokenId) => cascada a las fuentes
+
+    /// @dev Streaming (agregado en 1.4.0, al final del storage)
+    address public streamingOracle; // firmante de las liquidaciones
+    mapping(uint256 => bool) public settledEpochs; // época => ya liquidada
+
     /// @dev Events for comprehensive state change tracking
     event MintSplitsSet(
         address indexed collection,
@@ -73,6 +155,45 @@ contract RevenueShareUpgradeable is
 
     event InheritanceSet(uint256 indexed tokenId, address[] sources);
 
+    event LineageSet(
+        address indexed collection,
+        uint256 indexed tokenId,
+        LineageSource[] sources,
+        uint96 percentage
+    );
+
+    /// @dev La parte de una fuente se envió al RevenueShare de su colección
+    event LineagePaymentForwarded(
+        address indexed revenueShare,
+        address indexed collection,
+        uint256 indexed tokenId,
+        address token,
+        uint256 amount
+    );
+
+    /// @dev El RevenueShare de la fuente rechazó su parte: queda en
+    /// `claimable` de ese contrato, que la recibe con claimFor
+    event LineagePaymentFailed(
+        address indexed revenueShare,
+        address indexed collection,
+        uint256 indexed tokenId,
+        address token,
+        uint256 amount
+    );
+
+    /// @dev Lo que cobró un destinatario de un pago. collection y tokenId son
+    /// el token cuyos splits lo incluyen; cascade = true si el pago llegó por
+    /// la cascada de un remix (herencia o linaje). Se emite también en escrow
+    event RecipientPaid(
+        address indexed account,
+        address indexed collection,
+        uint256 indexed tokenId,
+        address token,
+        uint256 amount,
+        PayoutKind kind,
+        bool cascade
+    );
+
     event PaymentDistributed(
         address indexed collection,
         uint256 indexed tokenId,
@@ -86,6 +207,47 @@ contract RevenueShareUpgradeable is
         uint256 amount
     );
 
+    /// @dev Royalty ERC2981 recibido sin indicar el token (transferencia directa de ETH)
+    event RoyaltyReceived(address indexed from, uint256 amount);
+
+    /// @dev token = address(0) para ETH; fromBalance = true si se repartieron fondos ya recibidos
+    event ResaleRoyaltiesDistributed(
+        address indexed collection,
+        uint256 indexed tokenId,
+        address indexed token,
+        uint256 amount,
+        bool fromBalance
+    );
+
+    event EscrowModeUpdated(bool enabled);
+    event PaymentAccrued(
+        address indexed account,
+        address indexed token,
+        uint256 amount
+    );
+    event Claimed(
+        address indexed account,
+        address indexed token,
+        uint256 amount,
+        address recipient
+    );
+
+    event StreamingOracleUpdated(address indexed oracle);
+    event StreamingPayment(
+        uint256 indexed epoch,
+        address indexed collection,
+        uint256 indexed tokenId,
+        uint256 plays,
+        uint256 amount
+    );
+    event StreamingEpochSettled(
+        uint256 indexed epoch,
+        address indexed token,
+        uint256 total,
+        uint256 periodStart,
+        uint256 periodEnd
+    );
+
     event ManagerAdded(address indexed manager);
     event ManagerRemoved(address indexed manager);
 
@@ -145,8 +307,17 @@ contract RevenueShareUpgradeable is
     /**
      * @dev Obtener versión del contrato para tracking de upgrades
      */
-    function version() external pure returns (string memory) {
-        return "1.0.0";
+    function version() external pure virtual returns (string memory) {
+        return "1.5.0";
+    }
+
+    /**
+     * @notice Recibe royalties ERC2981 en ETH enviados por marketplaces
+     * @dev Los marketplaces no indican el token vendido: los fondos quedan en
+     * el contrato hasta que un manager los liquide con settleResaleRoyalties
+     */
+    receive() external payable {
+        emit RoyaltyReceived(msg.sender, msg.value);
     }
 
     /**
@@ -168,6 +339,70 @@ contract RevenueShareUpgradeable is
         emit ManagerRemoved(manager);
     }
 
+    /**
+     * @notice Activa o desactiva el modo escrow (solo el owner)
+     * @dev Con escrow activo los pagos no se transfieren: se acumulan en
+     * `claimable` y cada destinatario los retira con claim. Un destinatario
+     * que rechaza ETH ya no bloquea los mints. Al desactivarlo los saldos
+     * acumulados siguen siendo reclamables
+     * @param enabled True para acumular saldos en lugar de transferir
+     */
+    function setEscrowMode(bool enabled) external onlyOwner {
+        escrowMode = enabled;
+        emit EscrowModeUpdated(enabled);
+    }
+
+    /**
+     * @notice Configura el oráculo que firma las liquidaciones de streaming (solo el owner)
+     * @dev address(0) desactiva las liquidaciones
+     * @param oracle Cuenta del servicio de reproducciones
+     */
+    function setStreamingOracle(address oracle) external onlyOwner {
+        streamingOracle = oracle;
+        emit StreamingOracleUpdated(oracle);
+    }
+
+    /**
+     * @notice Retira el saldo reclamable del sender
+     * @param token La dirección del token ERC20, address(0) para ETH
+     */
+    function claim(address token) external nonReentrant {
+        _claim(msg.sender, token, msg.sender);
+    }
+
+    /**
+     * @notice Transfiere el saldo reclamable de una cuenta a esa misma cuenta
+     * @dev Cualquiera puede pagar el gas; los fondos siempre van a `account`
+     * @param account El destinatario con saldo
+     * @param token La dirección del token ERC20, address(0) para ETH
+     */
+    function claimFor(address account, address token) external nonReentrant {
+        _claim(account, token, account);
+    }
+
+    /**
+     * @notice Retira el saldo reclamable del sender a otra cuenta
+     * @dev Para destinatarios que no pueden recibir el pago (un contrato sin
+     * receive): solo la cuenta con saldo elige a dónde van sus fondos
+     * @param token La dirección del token ERC20, address(0) para ETH
+     * @param recipient La cuenta que recibe los fondos
+     */
+    function claimTo(address token, address recipient) external nonReentrant {
+        if (recipient == address(0)) revert InvalidAddress();
+        _claim(msg.sender, token, recipient);
+    }
+
+    function _claim(address account, address token, address recipient) private {
+        uint256 amount = claimable[account][token];
+        if (amount == 0) revert NothingToClaim();
+
+        claimable[account][token] = 0;
+        totalClaimable[token] -= amount;
+        _transfer(token, recipient, amount);
+
+        emit Claimed(account, token, amount, recipient);
+    }
+
     /**
      * @notice Verifica si una address tiene rol de manager
      * @param account Address a verificar
@@ -237,6 +472,8 @@ contract RevenueShareUpgradeable is
 
     /**
      * @notice Establece las fuentes de herencia para tokens de remix/playlist
+     * @dev Modelo anterior a 1.3.0: las fuentes son direcciones que cobran en
+     * partes iguales. Solo aplica a los tokens sin setLineage
      * @param tokenId El ID del token remix/playlist
      * @param sources Array de direcciones de tokens fuente de los que este token hereda
      */
@@ -248,6 +485,117 @@ contract RevenueShareUpgradeable is
         emit InheritanceSet(tokenId, sources);
     }
 
+    /**
+     * @notice Establece el linaje ponderado de un token de remix/playlist
+     * @dev Tiene prioridad sobre setInheritance. Cada fuente cobra su parte de
+     * la cascada según sus propios splits y su propio linaje, hasta
+     * MAX_LINEAGE_DEPTH niveles. Una fuente cuya colección indica otro
+     * RevenueShare se paga a través de ese contrato, que debe tener splits de
+     * mint para ella. Un array vacío borra el linaje
+     * @param collection La dirección de la colección del remix
+     * @param tokenId El ID del token remix/playlist
+     * @param sources Tokens fuente con pesos que deben totalizar 10000 (100%)
+     * @param percentage Porcentaje del pago que va a las fuentes (base 10000)
+     */
+    function setLineage(
+        address collection,
+        uint256 tokenId,
+        LineageSource[] memory sources,
+        uint96 percentage
+    ) external onlyOwnerOrManager {
+        if (collection == address(0)) revert InvalidAddress();
+        if (percentage > 10000) revert InvalidTotal(percentage);
+        if (sources.length > MAX_LINEAGE_SOURCES) {
+            revert TooManySources(MAX_LINEAGE_SOURCES);
+        }
+
+        delete lineageSources[collection][tokenId];
+        uint96 total;
+
+        for (uint i = 0; i < sources.length; i++) {
+            if (sources[i].collection == address(0)) revert InvalidAddress();
+            if (sources[i].weight == 0) revert ZeroPercentage();
+            total += sources[i].weight;
+            _checkLineage(
+                sources[i].collection,
+                sources[i].tokenId,
+                collection,
+                tokenId,
+                1
+            );
+            _checkSourceSplits(sources[i]);
+            lineageSources[collection][tokenId].push(sources[i]);
+        }
+
+        if (sources.length > 0 && total != 10000) revert InvalidTotal(total);
+
+        lineagePercentage[collection][tokenId] = sources.length > 0
+            ? percentage
+            : 0;
+        emit LineageSet(
+            collection,
+            tokenId,
+            sources,
+            lineagePercentage[collection][tokenId]
+        );
+    }
+
+    /**
+     * @dev Recorre el linaje de una fuente: revierte si vuelve al token que se
+     * configura (ciclo) o si la cadena supera MAX_LINEAGE_DEPTH. Las fuentes
+     * que se reparten en otro RevenueShare cuentan como hojas
+     */
+    function _checkLineage(
+        address collection,
+        uint256 tokenId,
+        address rootCollection,
+        uint256 rootTokenId,
+        uint256 level
+    ) private view {
+        if (collection == rootCollection && tokenId == rootTokenId) {
+            revert LineageCycle(collection, tokenId);
+        }
+        if (level > MAX_LINEAGE_DEPTH) revert LineageTooDeep(MAX_LINEAGE_DEPTH);
+        if (_sourceRevenueShare(collection) != address(this)) return;
+
+        LineageSource[] storage sources = lineageSources[collection][tokenId];
+        for (uint i = 0; i < sources.length; i++) {
+            _checkLineage(
+                sources[i].collection,
+                sources[i].tokenId,
+                rootCollection,
+                rootTokenId,
+                level + 1
+            );
+        }
+    }
+
+    /**
+     * @dev Exige que la fuente tenga splits de mint en el RevenueShare donde
+     * se reparte, sea este u otro. Si una fuente de otro RevenueShare los
+     * pierde después, su parte queda reclamable para ese contrato en lugar
+     * de bloquear los pagos del remix
+     */
+    function _checkSourceSplits(LineageSource memory source) private view {
+        address target = _sourceRevenueShare(source.collection);
+        if (target == address(this)) {
+            if (
+                _getEffectiveMintSplits(source.collection, source.tokenId)
+                    .length > 0
+            ) return;
+        } else if (target.code.length > 0) {
+            try
+                IRevenueShare(target).getMintSplits(
+                    source.collection,
+                    source.tokenId
+                )
+            returns (IRevenueShare.Share[] memory shares) {
+                if (shares.length > 0) return;
+            } catch {}
+        }
+        revert SourceWithoutSplits(source.collection, source.tokenId);
+    }
+
     /**
      * @notice Establece splits de mint para una colección completa (default para todos los tokens)
      * @param collection La dirección de la colección NFT
@@ -330,14 +678,19 @@ contract RevenueShareUpgradeable is
 
         uint256 totalAmount = msg.value;
 
-        // Envía ETH directamente a cada destinatario
+        // Envía ETH directamente a cada destinatario (o lo acumula en escrow)
         for (uint i = 0; i < shares.length; i++) {
             uint256 shareAmount = (totalAmount * shares[i].percentage) / 10000;
             if (shareAmount > 0) {
-                (bool success, ) = payable(shares[i].account).call{
-                    value: shareAmount
-                }("");
-                if (!success) revert TransferFailed();
+                _pay(
+                    address(0),
+                    shares[i].account,
+                    shareAmount,
+                    collection,
+                    tokenId,
+                    PayoutKind.Mint,
+                    false
+                );
             }
         }
 
@@ -362,16 +715,22 @@ contract RevenueShareUpgradeable is
         if (token == address(0)) revert InvalidAddress();
         if (amount == 0) revert InvalidAmount();
 
-        IERC20 tokenContract = IERC20(token);
-
         // Transfiere tokens del sender a este contrato primero
-        tokenContract.safeTransferFrom(msg.sender, address(this), amount);
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
 
-        // Distribuye tokens directamente a cada destinatario
+        // Distribuye tokens directamente a cada destinatario (o los acumula en escrow)
         for (uint i = 0; i < shares.length; i++) {
             uint256 shareAmount = (amount * shares[i].percentage) / 10000;
             if (shareAmount > 0) {
-                tokenContract.safeTransfer(shares[i].account, shareAmount);
+                _pay(
+                    token,
+                    shares[i].account,
+                    shareAmount,
+                    collection,
+                    tokenId,
+                    PayoutKind.Mint,
+                    false
+                );
             }
         }
 
@@ -389,47 +748,16 @@ contract RevenueShareUpgradeable is
     ) external payable nonReentrant {
         if (msg.value == 0) revert InvalidAmount();
 
-        uint256 totalAmount = msg.value;
-        uint256 remainingAmount = totalAmount;
+        _distributeLineage(
+            collection,
+            tokenId,
+            address(0),
+            msg.value,
+            PayoutKind.Mint,
+            0
+        );
 
-        // Maneja cascada a fuentes originales DIRECTAMENTE
-        address[] memory sources = inheritedFrom[tokenId];
-        if (sources.length > 0) {
-            uint96 cascadePercent = cascadePercentage[tokenId];
-            if (cascadePercent > 0) {
-                uint256 cascadeAmount = (totalAmount * cascadePercent) / 10000;
-                uint256 perSource = cascadeAmount / sources.length;
-
-                // Envía ETH directamente a cada fuente
-                for (uint i = 0; i < sources.length; i++) {
-                    if (perSource > 0) {
-                        (bool success, ) = payable(sources[i]).call{
-                            value: perSource
-                        }("");
-                        if (!success) revert TransferFailed();
-                    }
-                }
-
-                remainingAmount -= cascadeAmount;
-            }
-        }
-
-        // Distribuye cantidad restante DIRECTAMENTE según splits
-        Share[] memory shares = _getEffectiveMintSplits(collection, tokenId);
-        if (shares.length > 0) {
-            for (uint i = 0; i < shares.length; i++) {
-                uint256 shareAmount = (remainingAmount * shares[i].percentage) /
-                    10000;
-                if (shareAmount > 0) {
-                    (bool success, ) = payable(shares[i].account).call{
-                        value: shareAmount
-                    }("");
-                    if (!success) revert TransferFailed();
-                }
-            }
-        }
-
-        emit PaymentDistributed(collection, tokenId, totalAmount);
+        emit PaymentDistributed(collection, tokenId, msg.value);
     }
 
     /**
@@ -448,45 +776,532 @@ contract RevenueShareUpgradeable is
         if (token == address(0)) revert InvalidAddress();
         if (amount == 0) revert InvalidAmount();
 
-        IERC20 tokenContract = IERC20(token);
-
         // Transfiere tokens del sender a este contrato primero
-        tokenContract.safeTransferFrom(msg.sender, address(this), amount);
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
 
-        uint256 remainingAmount = amount;
+        _distributeLineage(
+            collection,
+            tokenId,
+            token,
+            amount,
+            PayoutKind.Mint,
+            0
+        );
 
-        // Maneja cascada a fuentes originales DIRECTAMENTE
-        address[] memory sources = inheritedFrom[tokenId];
-        if (sources.length > 0) {
-            uint96 cascadePercent = cascadePercentage[tokenId];
-            if (cascadePercent > 0) {
-                uint256 cascadeAmount = (amount * cascadePercent) / 10000;
-                uint256 perSource = cascadeAmount / sources.length;
-
-                // Envía tokens directamente a cada fuente
-                for (uint i = 0; i < sources.length; i++) {
-                    if (perSource > 0) {
-                        tokenContract.safeTransfer(sources[i], perSource);
-                    }
-                }
+        emit ERC20PaymentDistributed(collection, tokenId, token, amount);
+    }
 
-                remainingAmount -= cascadeAmount;
+    /**
+     * @notice Distribuye el royalty de una reventa según los royalties de reventa y la cascada (ETH)
+     * @param collection La dirección de la colección NFT
+     * @param tokenId El ID del token revendido
+     */
+    function distributeResalePayment(
+        address collection,
+        uint256 tokenId
+    ) external payable nonReentrant {
+        if (msg.value == 0) revert InvalidAmount();
+        _distributeLineage(
+            collection,
+            tokenId,
+            address(0),
+            msg.value,
+            PayoutKind.Resale,
+            0
+        );
+        emit ResaleRoyaltiesDistributed(
+            collection,
+            tokenId,
+            address(0),
+            msg.value,
+            false
+        );
+    }
+
+    /**
+     * @notice Distribuye el royalty de una reventa según los royalties de reventa y la cascada (ERC20)
+     * @param collection La dirección de la colección NFT
+     * @param tokenId El ID del token revendido
+     * @param token La dirección del token ERC20
+     * @param amount La cantidad de tokens a distribuir
+     */
+    function distributeResalePaymentERC20(
+        address collection,
+        uint256 tokenId,
+        address token,
+        uint256 amount
+    ) external nonReentrant {
+        if (token == address(0)) revert InvalidAddress();
+        if (amount == 0) revert InvalidAmount();
+
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        _distributeLineage(
+            collection,
+            tokenId,
+            token,
+            amount,
+            PayoutKind.Resale,
+            0
+        );
+        emit ResaleRoyaltiesDistributed(
+            collection,
+            tokenId,
+            token,
+            amount,
+            false
+        );
+    }
+
+    /**
+     * @notice Reparte royalties ya recibidos por el contrato (ETH vía receive o
+     * transferencias ERC20 directas) asignándolos a la reventa de un token
+     * @dev Solo owner o manager: quien liquida decide a qué token corresponden
+     * @param collection La dirección de la colección NFT
+     * @param tokenId El ID del token revendido
+     * @param token La dirección del token ERC20, address(0) para ETH
+     * @param amount La cantidad a distribuir
+     */
+    function settleResaleRoyalties(
+        address collection,
+        uint256 tokenId,
+        address token,
+        uint256 amount
+    ) external onlyOwnerOrManager nonReentrant {
+        if (amount == 0) revert InvalidAmount();
+
+        // Los saldos reclamables del escrow no están disponibles
+        uint256 available = (
+            token == address(0)
+                ? address(this).balance
+                : IERC20(token).balanceOf(address(this))
+        ) - totalClaimable[token];
+        if (amount > available) revert InsufficientBalance(available);
+
+        _distributeLineage(
+            collection,
+            tokenId,
+            token,
+            amount,
+            PayoutKind.Resale,
+            0
+        );
+        emit ResaleRoyaltiesDistributed(
+            collection,
+            tokenId,
+            token,
+            amount,
+            true
+        );
+    }
+
+    /**
+     * @notice Reparte los ingresos de streaming de una época firmada por el `streamingOracle`
+     * @dev Cualquiera puede enviarla, pagando `total` (en ETH como msg.value o
+     * en el ERC20 con approve previo). Cada token cobra `amount` con las
+     * mismas reglas que un pago de mint con cascada: cede su linaje y reparte
+     * el resto según sus splits de mint. Cada época se liquida una sola vez
+     * @param settlement La liquidación de la época
+     * @param signature Firma EIP-712 del oráculo (ver hashStreamingSettlement)
+     */
+    function settleStreamingEpoch(
+        StreamingSettlement calldata settlement,
+        bytes calldata signature
+    ) external payable nonReentrant {
+        if (settledEpochs[settlement.epoch]) {
+            revert EpochAlreadySettled(settlement.epoch);
+        }
+        (address signer, ECDSA.RecoverError recoverError, ) = ECDSA.tryRecover(
+            hashStreamingSettlement(settlement),
+            signature
+        );
+        if (
+            recoverError != ECDSA.RecoverError.NoError ||
+            streamingOracle == address(0) ||
+            signer != streamingOracle
+        ) revert InvalidSettlement();
+        if (
+            settlement.periodStart >= settlement.periodEnd ||
+            settlement.periodEnd > block.timestamp
+        ) revert InvalidPeriod(settlement.periodStart, settlement.periodEnd);
+
+        uint256 sum;
+        for (uint i = 0; i < settlement.payouts.length; i++) {
+            if (settlement.payouts[i].amount == 0) revert InvalidAmount();
+            sum += settlement.payouts[i].amount;
+        }
+        if (sum == 0 || sum != settlement.total) {
+            revert SettlementTotalMismatch(settlement.total, sum);
+        }
+
+        settledEpochs[settlement.epoch] = true;
+        if (settlement.token == address(0)) {
+            if (msg.value != settlement.total) revert InvalidAmount();
+        } else {
+            if (msg.value != 0) revert InvalidAmount();
+            IERC20(settlement.token).safeTransferFrom(
+                msg.sender,
+                address(this),
+                settlement.total
+            );
+        }
+
+        for (uint i = 0; i < settlement.payouts.length; i++) {
+            StreamingPayout calldata payout = settlement.payouts[i];
+            // Sin splits el pago quedaría en el contrato: se rechaza la época
+            if (
+                _getEffectiveMintSplits(payout.collection, payout.tokenId)
+                    .length == 0
+            ) revert NoShares();
+            _distributeLineage(
+                payout.collection,
+                payout.tokenId,
+                settlement.token,
+                payout.amount,
+                PayoutKind.Streaming,
+                0
+            );
+            emit StreamingPayment(
+                settlement.epoch,
+                payout.collection,
+                payout.tokenId,
+                payout.plays,
+                payout.amount
+            );
+        }
+
+        emit StreamingEpochSettled(
+            settlement.epoch,
+            settlement.token,
+            settlement.total,
+            settlement.periodStart,
+            settlement.periodEnd
+        );
+    }
+
+    /**
+     * @notice Separador de dominio EIP-712 de las liquidaciones de streaming
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    DOMAIN_TYPEHASH,
+                    keccak256("RevenueShare"),
+                    keccak256("1"),
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+
+    /**
+     * @notice Digest EIP-712 que firma el `streamingOracle`
+     * @param settlement La liquidación de la época
+     */
+    function hashStreamingSettlement(
+        StreamingSettlement calldata settlement
+    ) public view returns (bytes32) {
+        bytes32[] memory payoutHashes = new bytes32[](
+            settlement.payouts.length
+        );
+        for (uint i = 0; i < settlement.payouts.length; i++) {
+            payoutHashes[i] = keccak256(
+                abi.encode(STREAMING_PAYOUT_TYPEHASH, settlement.payouts[i])
+            );
+        }
+        return
+            MessageHashUtils.toTypedDataHash(
+                domainSeparator(),
+                keccak256(
+                    abi.encode(
+                        STREAMING_SETTLEMENT_TYPEHASH,
+                        settlement.epoch,
+                        settlement.periodStart,
+                        settlement.periodEnd,
+                        settlement.token,
+                        settlement.total,
+                        keccak256(abi.encodePacked(payoutHashes))
+                    )
+                )
+            );
+    }
+
+    /**
+     * @dev Reparte un pago de un token: cede la cascada a sus fuentes y reparte
+     * el resto según sus royalties de reventa (kind Resale) o sus splits de
+     * mint. Una fuente (depth > 0) sin royalties de reventa cobra su parte de
+     * una reventa por sus splits de mint, los que exige setLineage. En la raíz
+     * (depth 0) un pago de mint sin splits deja el resto en el contrato, como
+     * siempre hizo distributeCascadePayment
+     */
+    function _distributeLineage(
+        address collection,
+        uint256 tokenId,
+        address token,
+        uint256 amount,
+        PayoutKind kind,
+        uint256 depth
+    ) private {
+        bool resale = kind == PayoutKind.Resale;
+        Share[] memory shares = resale
+            ? _getEffectiveResaleRoyalties(collection, tokenId)
+            : _getEffectiveMintSplits(collection, tokenId);
+        if (shares.length == 0 && resale && depth > 0) {
+            shares = _getEffectiveMintSplits(collection, tokenId);
+        }
+        if (shares.length == 0) {
+            if (depth > 0) revert SourceWithoutSplits(collection, tokenId);
+            if (resale) revert NoShares();
+        }
+
+        uint256 remainingAmount = amount -
+            _payCascade(collection, tokenId, token, amount, kind, depth);
+
+        for (uint i = 0; i < shares.length; i++) {
+            uint256 shareAmount = (remainingAmount * shares[i].percentage) /
+                10000;
+            if (shareAmount > 0) {
+                _pay(
+                    token,
+                    shares[i].account,
+                    shareAmount,
+                    collection,
+                    tokenId,
+                    kind,
+                    depth > 0
+                );
             }
         }
+    }
 
-        // Distribuye cantidad restante DIRECTAMENTE según splits
-        Share[] memory shares = _getEffectiveMintSplits(collection, tokenId);
-        if (shares.length > 0) {
-            for (uint i = 0; i < shares.length; i++) {
-                uint256 shareAmount = (remainingAmount * shares[i].percentage) /
+    /**
+     * @dev Paga la cascada de un token y devuelve el monto cedido. Con linaje
+     * ponderado cada fuente cobra `cascada * weight / 10000` por sus propios
+     * splits; en MAX_LINEAGE_DEPTH ya no se cede nada. Sin linaje se usa la
+     * herencia por tokenId, en partes iguales y solo en la raíz
+     */
+    function _payCascade(
+        address collection,
+        uint256 tokenId,
+        address token,
+        uint256 amount,
+        PayoutKind kind,
+        uint256 depth
+    ) private returns (uint256 cascadeAmount) {
+        LineageSource[] memory sources = lineageSources[collection][tokenId];
+        if (sources.length > 0) {
+            uint96 percent = lineagePercentage[collection][tokenId];
+            if (percent == 0 || depth >= MAX_LINEAGE_DEPTH) return 0;
+
+            cascadeAmount = (amount * percent) / 10000;
+            for (uint i = 0; i < sources.length; i++) {
+                uint256 sourceAmount = (cascadeAmount * sources[i].weight) /
                     10000;
-                if (shareAmount > 0) {
-                    tokenContract.safeTransfer(shares[i].account, shareAmount);
+                if (sourceAmount > 0) {
+                    _paySource(sources[i], token, sourceAmount, kind, depth);
                 }
             }
+            return cascadeAmount;
         }
 
-        emit ERC20PaymentDistributed(collection, tokenId, token, amount);
+        address[] memory inherited = inheritedFrom[tokenId];
+        uint96 cascadePercent = cascadePercentage[tokenId];
+        if (depth > 0 || inherited.length == 0 || cascadePercent == 0) {
+            return 0;
+        }
+
+        cascadeAmount = (amount * cascadePercent) / 10000;
+        uint256 perSource = cascadeAmount / inherited.length;
+        for (uint i = 0; i < inherited.length; i++) {
+            if (perSource > 0) {
+                _pay(
+                    token,
+                    inherited[i],
+                    perSource,
+                    collection,
+                    tokenId,
+                    kind,
+                    true
+                );
+            }
+        }
+    }
+
+    /**
+     * @dev Paga la parte de una fuente: la reparte aquí si sus splits están en
+     * este contrato o la envía al RevenueShare de su colección, que aplica su
+     * propio linaje. Si ese contrato revierte (sin splits, un ciclo que vuelve
+     * a este contrato por el nonReentrant o cualquier otro fallo) la parte
+     * queda reclamable para él y el resto del pago sigue adelante
+     */
+    function _paySource(
+        LineageSource memory source,
+        address token,
+        uint256 amount,
+        PayoutKind kind,
+        uint256 depth
+    ) private {
+        address target = _sourceRevenueShare(source.collection);
+        if (target == address(this)) {
+            _distributeLineage(
+                source.collection,
+                source.tokenId,
+                token,
+                amount,
+                kind,
+                depth + 1
+            );
+            return;
+        }
+
+        if (_forwardSource(target, source, token, amount, kind)) {
+            emit LineagePaymentForwarded(
+                target,
+                source.collection,
+                source.tokenId,
+                token,
+                amount
+            );
+            return;
+        }
+
+        claimable[target][token] += amount;
+        totalClaimable[token] += amount;
+        emit LineagePaymentFailed(
+            target,
+            source.collection,
+            source.tokenId,
+            token,
+            amount
+        );
+        emit PaymentAccrued(target, token, amount);
+    }
+
+    /**
+     * @dev Envía la parte de una fuente a otro RevenueShare y devuelve si la
+     * aceptó. El streaming llega al otro contrato como un pago de cascada de mint
+     */
+    function _forwardSource(
+        address target,
+        LineageSource memory source,
+        address token,
+        uint256 amount,
+        PayoutKind kind
+    ) private returns (bool) {
+        if (target.code.length == 0) return false;
+
+        bool resale = kind == PayoutKind.Resale;
+        IRevenueShare remote = IRevenueShare(target);
+        if (token == address(0)) {
+            if (resale) {
+                try
+                    remote.distributeResalePayment{value: amount}(
+                        source.collection,
+                        source.tokenId
+                    )
+                {
+                    return true;
+                } catch {}
+            } else {
+                try
+                    remote.distributeCascadePayment{value: amount}(
+                        source.collection,
+                        source.tokenId
+                    )
+                {
+                    return true;
+                } catch {}
+            }
+            return false;
+        }
+
+        IERC20(token).forceApprove(target, amount);
+        if (resale) {
+            try
+                remote.distributeResalePaymentERC20(
+                    source.collection,
+                    source.tokenId,
+                    token,
+                    amount
+                )
+            {
+                return true;
+            } catch {}
+        } else {
+            try
+                remote.distributeCascadePaymentERC20(
+                    source.collection,
+                    source.tokenId,
+                    token,
+                    amount
+                )
+            {
+                return true;
+            } catch {}
+        }
+        IERC20(token).forceApprove(target, 0);
+        return false;
+    }
+
+    /**
+     * @dev RevenueShare que reparte los pagos de una colección: el que indica
+     * su `revenueShare()`, o este contrato si no lo indica
+     */
+    function _sourceRevenueShare(
+        address collection
+    ) private view returns (address) {
+        (bool success, bytes memory data) = collection.staticcall(
+            abi.encodeWithSignature("revenueShare()")
+        );
+        if (success && data.length == 32) {
+            address target = abi.decode(data, (address));
+            if (target != address(0)) return target;
+        }
+        return address(this);
+    }
+
+    /**
+     * @dev Paga a un destinatario: lo acumula como saldo reclamable en modo
+     * escrow o lo transfiere directamente. collection, tokenId, kind y
+     * cascade solo se registran en RecipientPaid
+     */
+    function _pay(
+        address token,
+        address to,
+        uint256 amount,
+        address collection,
+        uint256 tokenId,
+        PayoutKind kind,
+        bool cascade
+    ) private {
+        emit RecipientPaid(
+            to,
+            collection,
+            tokenId,
+            token,
+            amount,
+            kind,
+            cascade
+        );
+        if (escrowMode) {
+            claimable[to][token] += amount;
+            totalClaimable[token] += amount;
+            emit PaymentAccrued(to, token, amount);
+        } else {
+            _transfer(token, to, amount);
+        }
+    }
+
+    /**
+     * @dev Envía ETH (token = address(0)) o tokens ERC20 desde el contrato
+     */
+    function _transfer(address token, address to, uint256 amount) private {
+        if (token == address(0)) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            if (!success) revert TransferFailed();
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
     }
 
     /**
@@ -549,6 +1364,38 @@ contract RevenueShareUpgradeable is
         return inheritedFrom[tokenId];
     }
 
+    /**
+     * @notice Obtiene el linaje ponderado de un token
+     * @param collection La dirección de la colección NFT
+     * @param tokenId El ID del token
+     * @return sources Tokens fuente con su peso
+     * @return percentage Porcentaje del pago que va a las fuentes
+     */
+    function getLineage(
+        address collection,
+        uint256 tokenId
+    )
+        external
+        view
+        returns (LineageSource[] memory sources, uint96 percentage)
+    {
+        return (
+            lineageSources[collection][tokenId],
+            lineagePercentage[collection][tokenId]
+        );
+    }
+
+    /**
+     * @notice Indica qué RevenueShare reparte la parte de una fuente de esa colección
+     * @param collection La dirección de la colección fuente
+     * @return Este contrato o el RevenueShare que indica la colección
+     */
+    function getSourceRevenueShare(
+        address collection
+    ) external view returns (address) {
+        return _sourceRevenueShare(collection);
+    }
+
     /**
      * @notice Obtiene los splits de mint para un token (splits efectivos)
      * @param collection La dirección de la colección NFT
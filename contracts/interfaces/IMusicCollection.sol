@@ -6,6 +6,20 @@ pragma solidity ^0.8.22;
  * @dev Interfaz para colecciones de música NFT
  */
 interface IMusicCollection {
+    /**
+     * @dev Voucher de preventa firmado (EIP-712) por el `voucherSigner` de la
+     * colección. `maxAmount` es el total que `to` puede mintear del token en
+     * preventa y `paymentToken` address(0) indica pago en ETH
+     */
+    struct MintVoucher {
+        address to;
+        uint256 tokenId;
+        uint256 maxAmount;
+        uint256 pricePerToken;
+        address paymentToken;
+        uint256 deadline;
+    }
+
     /**
      * @dev Errores del contrato
      */
@@ -17,13 +31,25 @@ interface IMusicCollection {
     error InsufficientPayment();
     error IncorrectValue();
     error TransferFailed();
+    error PriceMismatch(uint256 expected, uint256 provided);
+    error PresaleNotStarted();
+    error InvalidProof();
+    error InvalidVoucher();
+    error VoucherExpired();
+    error ExceedsAllowance(uint256 remaining);
 
     /**
      * @dev Eventos del contrato
      */
     event MaxSupplyUpdated(uint256 indexed tokenId, uint256 maxSupply);
     event PaymentTokenAdded(address indexed token, uint256 price);
+    event MintPriceUpdated(uint256 price);
     event MintDatesUpdated(uint256 startDate, uint256 endDate);
+    event PresaleUpdated(
+        uint256 startDate,
+        bytes32 allowlistRoot,
+        address voucherSigner
+    );
     event RoyaltyInfoUpdated(address receiver, uint96 feeNumerator);
     event BaseURIUpdated(string uri);
     event TokenMinted(
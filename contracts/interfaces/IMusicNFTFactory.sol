@@ -17,7 +17,8 @@ interface IMusicNFTFactory {
     );
 
     /**
-     * @dev Crea una nueva colección ERC1155
+     * @dev Crea una nueva colección ERC1155 con el precio del mint con ETH
+     * ya fijado (0 = gratuito)
      */
     function createCollection(
         string memory name,
@@ -26,6 +27,7 @@ interface IMusicNFTFactory {
         string memory collectionMetadata,
         uint256 mintStartDate,
         uint256 mintEndDate,
+        uint256 mintPrice,
         address paymentToken,
         address royaltyReceiver,
         uint96 royaltyFee,
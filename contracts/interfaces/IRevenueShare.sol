@@ -7,6 +7,12 @@ interface IRevenueShare {
         uint96 percentage; // base 10000 = 100%
     }
 
+    struct LineageSource {
+        address collection;
+        uint256 tokenId;
+        uint96 weight; // base 10000 = 100% de la cascada
+    }
+
     function owner() external view returns (address);
 
     function name() external view returns (string memory);
@@ -34,6 +40,13 @@ interface IRevenueShare {
 
     function setInheritance(uint256 tokenId, address[] memory sources) external;
 
+    function setLineage(
+        address collection,
+        uint256 tokenId,
+        LineageSource[] memory sources,
+        uint96 percentage
+    ) external;
+
     function setCollectionMintSplits(
         address collection,
         Share[] memory shares
@@ -70,6 +83,39 @@ interface IRevenueShare {
         uint256 amount
     ) external;
 
+    function distributeResalePayment(
+        address collection,
+        uint256 tokenId
+    ) external payable;
+
+    function distributeResalePaymentERC20(
+        address collection,
+        uint256 tokenId,
+        address token,
+        uint256 amount
+    ) external;
+
+    function settleResaleRoyalties(
+        address collection,
+        uint256 tokenId,
+        address token,
+        uint256 amount
+    ) external;
+
+    // Escrow (pull payments)
+    function setEscrowMode(bool enabled) external;
+
+    function claim(address token) external;
+
+    function claimFor(address account, address token) external;
+
+    function claimTo(address token, address recipient) external;
+
+    function claimable(
+        address account,
+        address token
+    ) external view returns (uint256);
+
     function getResaleInfo(
         address collection,
         uint256 tokenId
@@ -79,6 +125,15 @@ interface IRevenueShare {
         uint256 tokenId
     ) external view returns (address[] memory);
 
+    function getLineage(
+        address collection,
+        uint256 tokenId
+    ) external view returns (LineageSource[] memory sources, uint96 percentage);
+
+    function getSourceRevenueShare(
+        address collection
+    ) external view returns (address);
+
     function getMintSplits(
         address collection,
         uint256 tokenId
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+/**
+ * @title IRevenueShareFactory
+ * @dev Funciones del factory de revenue shares que usa MusicNFTFactory para
+ * crear releases y validar el RevenueShare de las colecciones
+ */
+interface IRevenueShareFactory {
+    /**
+     * @dev Crea un RevenueShare con CREATE2; quien llama queda como manager
+     */
+    function createRevenueShareDeterministic(
+        address artist,
+        string memory name,
+        string memory description,
+        bytes32 salt
+    ) external returns (address);
+
+    /**
+     * @dev Dirección que tendrá el RevenueShare que `deployer` cree con
+     * createRevenueShareDeterministic(artist, ..., salt)
+     */
+    function predictRevenueShareAddress(
+        address deployer,
+        address artist,
+        bytes32 salt
+    ) external view returns (address);
+
+    /**
+     * @dev Si `managerAddress` es un RevenueShare creado por el factory
+     */
+    function isManagerCreatedByFactory(
+        address managerAddress
+    ) external view returns (bool);
+}
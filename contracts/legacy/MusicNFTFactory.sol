@@ -4,13 +4,24 @@ pragma solidity ^0.8.20;
 import "./MusicCollection.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "../interfaces/IMusicNFTFactory.sol";
 
 /**
  * @title MusicNFTFactory
  * @dev Factory para que artistas musicales creen sus propias colecciones NFT
+ * @notice No implementa IMusicNFTFactory: su createCollection no recibe el
+ * precio del mint
  */
-contract MusicNFTFactory is IMusicNFTFactory, Ownable, ReentrancyGuard {
+contract MusicNFTFactory is Ownable, ReentrancyGuard {
+    /**
+     * @dev Evento emitido cuando se crea una nueva colección
+     */
+    event CollectionCreated(
+        address indexed artist,
+        address indexed collection,
+        string name,
+        string symbol
+    );
+
     // Almacena todas las colecciones creadas
     MusicCollection[] public collections;
 
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "../MusicCollectionUpgradeable.sol";
+import "../RevenueShareUpgradeable.sol";
+
+/**
+ * @title MusicCollectionUpgradeableV2Mock
+ * @dev Nueva implementación de colección con el mismo storage, usada en los tests de migración
+ */
+contract MusicCollectionUpgradeableV2Mock is MusicCollectionUpgradeable {
+    function version() external pure override returns (string memory) {
+        return "2.0.0";
+    }
+
+    function migrated() external pure returns (bool) {
+        return true;
+    }
+}
+
+/**
+ * @title RevenueShareUpgradeableV2Mock
+ * @dev Nueva implementación de revenue share con el mismo storage, usada en los tests de migración
+ */
+contract RevenueShareUpgradeableV2Mock is RevenueShareUpgradeable {
+    function version() external pure override returns (string memory) {
+        return "2.0.0";
+    }
+
+    function migrated() external pure returns (bool) {
+        return true;
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+/**
+ * @title ContractWalletMock
+ * @dev Wallet de contrato sin receive: rechaza ETH pero su owner puede llamar
+ * a otros contratos desde ella, usada en los tests del escrow
+ */
+contract ContractWalletMock {
+    address public immutable owner;
+
+    error NotOwner();
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    function execute(
+        address target,
+        bytes calldata data
+    ) external returns (bytes memory) {
+        if (msg.sender != owner) revert NotOwner();
+        (bool success, bytes memory result) = target.call(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+}
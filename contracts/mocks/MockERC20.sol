@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockERC20
+ * @dev Token ERC20 con mint libre y decimales configurables, solo para tests
+ * y el entorno de demo local (scripts/seed-demo.js)
+ */
+contract MockERC20 is ERC20 {
+    uint8 private immutable _decimals;
+
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        uint8 decimals_
+    ) ERC20(name_, symbol_) {
+        _decimals = decimals_;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /**
+     * @dev Monto que entrega faucet(): 1.000 unidades enteras del token
+     */
+    function faucetAmount() public view returns (uint256) {
+        return 1000 * 10 ** _decimals;
+    }
+
+    /**
+     * @dev Faucet para wallets de la demo: entrega faucetAmount() a quien llama
+     */
+    function faucet() external {
+        _mint(msg.sender, faucetAmount());
+    }
+}
@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+
+/**
+ * @title MusicNFTFactoryUpgradeableV2Mock
+ * @dev Nueva versión del factory con el mismo storage, usada en los tests de upgrade
+ */
+contract MusicNFTFactoryUpgradeableV2Mock is
+    Initializable,
+    OwnableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    UUPSUpgradeable
+{
+    address public collectionImplementation;
+    address[] public collections;
+    mapping(address => address[]) public artistCollections;
+    address public revenueShareFactory;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize() public initializer {
+        __Ownable_init(msg.sender);
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
+    }
+
+    function _authorizeUpgrade(
+        address newImplementation
+    ) internal override onlyOwner {}
+
+    function version() external pure returns (string memory) {
+        return "2.0.0";
+    }
+}
+
+/**
+ * @title BrokenMusicNFTFactoryUpgradeableMock
+ * @dev Versión que pierde la referencia al template, para probar el rollback
+ */
+contract BrokenMusicNFTFactoryUpgradeableMock is
+    Initializable,
+    OwnableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    UUPSUpgradeable
+{
+    /// @custom:oz-renamed-from collectionImplementation
+    address internal _collectionImplementation;
+    address[] public collections;
+    mapping(address => address[]) public artistCollections;
+    address public revenueShareFactory;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize() public initializer {
+        __Ownable_init(msg.sender);
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
+    }
+
+    function _authorizeUpgrade(
+        address newImplementation
+    ) internal override onlyOwner {}
+
+    function version() external pure returns (string memory) {
+        return "2.0.0-broken";
+    }
+
+    function collectionImplementation() external pure returns (address) {
+        return address(0);
+    }
+}
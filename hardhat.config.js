@@ -1,6 +1,11 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("@openzeppelin/hardhat-upgrades");
 require("dotenv").config();
+require("./tasks");
+const {
+  buildEtherscanConfig,
+  buildHardhatNetworks,
+} = require("./scripts/utils/network-profiles");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -28,29 +33,10 @@ module.exports = {
       },
     ],
   },
-  networks: {
-    baseSepolia: {
-      url: "https://sepolia.base.org",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 84532,
-    },
-    hardhat: {},
-  },
-  etherscan: {
-    apiKey: {
-      baseSepolia: process.env.ETHERSCAN_API_KEY,
-    },
-    customChains: [
-      {
-        network: "baseSepolia",
-        chainId: 84532,
-        urls: {
-          apiURL: "https://api-sepolia.basescan.org/api",
-          browserURL: "https://sepolia.basescan.org",
-        },
-      },
-    ],
-  },
+  // Redes y verificación salen de los perfiles (Base, Polygon, Arbitrum,
+  // nodo local y fork con FORK_URL o FORK_NETWORK)
+  networks: buildHardhatNetworks(),
+  etherscan: buildEtherscanConfig(),
   paths: {
     sources: "./contracts",
     tests: "./test",
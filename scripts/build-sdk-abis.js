@@ -0,0 +1,34 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { ABI_DIR, CONTRACTS } = require("../sdk/abis");
+
+async function main() {
+  console.log("📦 Generando ABIs del SDK desde los artifacts...\n");
+
+  fs.mkdirSync(ABI_DIR, { recursive: true });
+
+  for (const contractName of Object.keys(CONTRACTS)) {
+    const artifact = await hre.artifacts.readArtifact(contractName);
+    fs.writeFileSync(
+      path.join(ABI_DIR, `${contractName}.json`),
+      JSON.stringify(
+        { contractName: artifact.contractName, abi: artifact.abi },
+        null,
+        2
+      )
+    );
+    console.log(`✅ ${contractName}`);
+  }
+
+  console.log(
+    `\n📝 ABIs guardados en ${path.relative(process.cwd(), ABI_DIR)}`
+  );
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Error generando ABIs del SDK:", error);
+    process.exit(1);
+  });
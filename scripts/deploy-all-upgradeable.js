@@ -1,51 +1,146 @@
-const { ethers, upgrades } = require("hardhat");
-const fs = require("fs");
-
-async function main() {
+const hre = require("hardhat");
+const {
+  deployImplementation,
+  deployUUPSProxy,
+  loadNetworkDeployment,
+  deployTimelock,
+  saveDeployment,
+  verifyContract,
+  verifyDeployment,
+  waitForConfirmations,
+} = require("./utils/deploy-helpers");
+const {
+  assertProfileChain,
+  confirmNetwork,
+  getGasOverrides,
+  getNetworkProfile,
+} = require("./utils/network-profiles");
+const {
+  describeFailures,
+  printCheckReport,
+  runPostDeployChecks,
+  writeCheckReport,
+} = require("./utils/post-deploy-checks");
+
+const { ethers } = hre;
+
+/**
+ * Despliega la plataforma completa y la guarda en deployments/<network>/
+ *
+ * El perfil de la red define el owner de los factories (el deployer si no
+ * hay), las confirmaciones por transacción y la estrategia de gas. En
+ * mainnet el owner es obligatorio y se pide confirmación antes de desplegar.
+ * Con `timelockDelay` se despliega un PlatformTimelock, con el owner del
+ * perfil como proposer y executor, y los factories quedan a su nombre.
+ * Al terminar corre los checks post-deploy (ver post-deploy-checks.js) y
+ * falla si alguno no pasa, después de guardar el registro y el reporte.
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - Perfil (default: el de la red actual)
+ * @param {string} [options.confirm] - Nombre de la red, confirmado de antemano
+ * @param {Function} [options.prompt] - Pregunta de confirmación (ver confirmNetwork)
+ * @param {boolean} [options.verify] - Verificar los contratos en el explorador
+ * @param {number} [options.timelockDelay] - Delay mínimo (segundos) del timelock owner
+ * @param {boolean} [options.smoke] - Smoke test de mint (default: en hardhat y localhost)
+ * @param {Array<Object>} [options.checks] - Checks post-deploy (default: POST_DEPLOY_CHECKS)
+ * @returns {Promise<Object>} - Registro de deployments de la red
+ */
+async function deployAll({
+  profile = getNetworkProfile(hre.network.name),
+  confirm,
+  prompt,
+  verify = false,
+  timelockDelay,
+  smoke,
+  checks,
+} = {}) {
   console.log("🚀 Desplegando TODOS los contratos upgradeables...\n");
 
-  const deploymentInfo = {
-    network: await ethers.provider.getNetwork(),
-    timestamp: new Date().toISOString(),
-    contracts: {},
+  const [deployer] = await ethers.getSigners();
+  const deployment = await loadNetworkDeployment();
+  assertProfileChain(profile, deployment.chainId);
+  if (profile.mainnet && !profile.owner) {
+    throw new Error(
+      `${profile.name} es mainnet: define el owner (multisig) de los factories en el perfil`
+    );
+  }
+  const admin = profile.owner || deployer.address;
+  if (
+    timelockDelay !== undefined &&
+    !(Number.isInteger(timelockDelay) && timelockDelay >= 0)
+  ) {
+    throw new Error(
+      `El delay del timelock debe ser un entero de segundos: ${timelockDelay}`
+    );
+  }
+
+  console.log(
+    `🌐 Red: ${deployment.network} (chainId ${deployment.chainId}) - Deployer: ${deployer.address}`
+  );
+  const ownerLabel =
+    timelockDelay !== undefined
+      ? `timelock de ${timelockDelay}s administrado por ${admin}`
+      : admin;
+  console.log(
+    `👤 Owner de los factories: ${ownerLabel}${profile.fork ? ` (fork de ${profile.fork})` : ""}`
+  );
+  console.log(
+    `⛽ Gas: ${profile.gas.strategy} - Confirmaciones: ${profile.confirmations}\n`
+  );
+  await confirmNetwork(profile, {
+    confirm,
+    prompt,
+    action: "desplegar la plataforma",
+  });
+
+  const txOptions = {
+    overrides: await getGasOverrides(ethers.provider, profile.gas),
+    confirmations: profile.confirmations,
   };
 
+  // ============================================================================
+  // 0. DESPLEGAR TIMELOCK (OPCIONAL)
+  // ============================================================================
+
+  let owner = admin;
+  if (timelockDelay !== undefined) {
+    console.log("📦 0. Desplegando PlatformTimelock...");
+    ({ address: owner } = await deployTimelock(
+      deployment,
+      { minDelay: timelockDelay, proposers: [admin], executors: [admin] },
+      txOptions
+    ));
+    console.log("✅ PlatformTimelock:", owner, "\n");
+  }
+
   // ============================================================================
   // 1. DESPLEGAR MUSIC COLLECTION + FACTORY
   // ============================================================================
 
   console.log("📦 1. Desplegando MusicCollectionUpgradeable implementation...");
-  const MusicCollectionUpgradeable = await ethers.getContractFactory(
-    "MusicCollectionUpgradeable"
+  const { address: collectionImplAddress } = await deployImplementation(
+    deployment,
+    "collectionImplementation",
+    "MusicCollectionUpgradeable",
+    txOptions
   );
-  const collectionImplementation = await MusicCollectionUpgradeable.deploy();
-  await collectionImplementation.waitForDeployment();
-
-  const collectionImplAddress = await collectionImplementation.getAddress();
   console.log(
     "✅ MusicCollectionUpgradeable implementation:",
     collectionImplAddress
   );
 
   console.log("\n📦 2. Desplegando MusicNFTFactoryUpgradeable...");
-  const MusicNFTFactoryUpgradeable = await ethers.getContractFactory(
-    "MusicNFTFactoryUpgradeable"
-  );
-
-  const musicFactory = await upgrades.deployProxy(
-    MusicNFTFactoryUpgradeable,
+  const {
+    contract: musicFactory,
+    address: musicFactoryAddress,
+    implementation: musicFactoryImplAddress,
+  } = await deployUUPSProxy(
+    deployment,
+    "musicFactory",
+    "MusicNFTFactoryUpgradeable",
     [collectionImplAddress],
-    {
-      kind: "uups",
-      initializer: "initialize",
-    }
+    txOptions
   );
 
-  await musicFactory.waitForDeployment();
-  const musicFactoryAddress = await musicFactory.getAddress();
-  const musicFactoryImplAddress =
-    await upgrades.erc1967.getImplementationAddress(musicFactoryAddress);
-
   console.log("✅ MusicNFTFactoryUpgradeable proxy:", musicFactoryAddress);
   console.log(
     "📋 MusicNFTFactoryUpgradeable implementation:",
@@ -57,38 +152,30 @@ async function main() {
   // ============================================================================
 
   console.log("\n📦 3. Desplegando RevenueShareUpgradeable implementation...");
-  const RevenueShareUpgradeable = await ethers.getContractFactory(
-    "RevenueShareUpgradeable"
+  const { address: revenueShareImplAddress } = await deployImplementation(
+    deployment,
+    "revenueShareImplementation",
+    "RevenueShareUpgradeable",
+    txOptions
   );
-  const revenueShareImplementation = await RevenueShareUpgradeable.deploy();
-  await revenueShareImplementation.waitForDeployment();
-
-  const revenueShareImplAddress = await revenueShareImplementation.getAddress();
   console.log(
     "✅ RevenueShareUpgradeable implementation:",
     revenueShareImplAddress
   );
 
   console.log("\n📦 4. Desplegando RevenueShareFactoryUpgradeable...");
-  const RevenueShareFactoryUpgradeable = await ethers.getContractFactory(
-    "RevenueShareFactoryUpgradeable"
-  );
-
-  const [deployer] = await ethers.getSigners();
-  const revenueFactory = await upgrades.deployProxy(
-    RevenueShareFactoryUpgradeable,
-    [revenueShareImplAddress, deployer.address], // implementation + owner
-    {
-      kind: "uups",
-      initializer: "initialize",
-    }
+  const {
+    contract: revenueFactory,
+    address: revenueFactoryAddress,
+    implementation: revenueFactoryImplAddress,
+  } = await deployUUPSProxy(
+    deployment,
+    "revenueFactory",
+    "RevenueShareFactoryUpgradeable",
+    [revenueShareImplAddress, owner], // implementation + owner
+    txOptions
   );
 
-  await revenueFactory.waitForDeployment();
-  const revenueFactoryAddress = await revenueFactory.getAddress();
-  const revenueFactoryImplAddress =
-    await upgrades.erc1967.getImplementationAddress(revenueFactoryAddress);
-
   console.log(
     "✅ RevenueShareFactoryUpgradeable proxy:",
     revenueFactoryAddress
@@ -98,42 +185,59 @@ async function main() {
     revenueFactoryImplAddress
   );
 
-  // ============================================================================
-  // 5. VERIFICAR DEPLOYMENTS
-  // ============================================================================
+  // createRelease crea el RevenueShare con el otro factory
+  console.log("\n🔗 Vinculando los factories para createRelease...");
+  const linkTx = await musicFactory.setRevenueShareFactory(
+    revenueFactoryAddress,
+    txOptions.overrides
+  );
+  await waitForConfirmations(linkTx.hash, txOptions.confirmations);
 
-  console.log("\n🔍 Verificando deployments...");
+  // MusicNFTFactory toma como owner a quien lo inicializa
+  if (owner !== deployer.address) {
+    console.log(`\n👤 Transfiriendo MusicNFTFactoryUpgradeable a ${owner}...`);
+    const tx = await musicFactory.transferOwnership(owner, txOptions.overrides);
+    await waitForConfirmations(tx.hash, txOptions.confirmations);
+  }
 
-  const musicFactoryVersion = await musicFactory.version();
-  const revenueFactoryVersion = await revenueFactory.version();
-  const collectionImpl = await musicFactory.collectionImplementation();
-  const revenueImpl = await revenueFactory.revenueShareImplementation();
+  // ============================================================================
+  // 5. CHECKS POST-DEPLOY Y VERIFICACIÓN
+  // ============================================================================
 
-  console.log("📌 MusicNFTFactory version:", musicFactoryVersion);
-  console.log("📌 RevenueShareFactory version:", revenueFactoryVersion);
-  console.log("📌 Collection impl configurada:", collectionImpl);
-  console.log("📌 RevenueShare impl configurada:", revenueImpl);
+  deployment.owner = owner;
+  const report = await runPostDeployChecks({ deployment, checks, smoke });
+
+  if (verify) {
+    if (!profile.verifier) {
+      console.log(`⚠️  ${profile.name} no tiene explorador para verificar`);
+    } else {
+      report.verification = await verifyDeployment(deployment);
+      if (timelockDelay !== undefined) {
+        report.verification.push({
+          key: "timelock",
+          ...(await verifyContract(owner, [
+            timelockDelay,
+            [admin],
+            [admin],
+            ethers.ZeroAddress,
+          ])),
+        });
+      }
+    }
+  }
 
   // ============================================================================
   // 6. GUARDAR INFORMACIÓN
   // ============================================================================
 
-  deploymentInfo.contracts = {
-    // Music NFT contracts
-    musicFactoryProxy: musicFactoryAddress,
-    musicFactoryImplementation: musicFactoryImplAddress,
-    collectionImplementation: collectionImplAddress,
-
-    // Revenue Share contracts
-    revenueFactoryProxy: revenueFactoryAddress,
-    revenueFactoryImplementation: revenueFactoryImplAddress,
-    revenueShareImplementation: revenueShareImplAddress,
-  };
-
-  fs.writeFileSync(
-    "./deployment-upgradeable-complete.json",
-    JSON.stringify(deploymentInfo, null, 2)
-  );
+  // El registro se guarda aunque fallen los checks: los contratos ya existen
+  const deploymentDir = saveDeployment(deployment);
+  const reportFile = writeCheckReport(report);
+  printCheckReport(report);
+  const failures = describeFailures(report);
+  if (failures) {
+    throw new Error(`${failures}\nReporte en ${reportFile}`);
+  }
 
   // ============================================================================
   // 7. RESUMEN FINAL
@@ -150,42 +254,57 @@ async function main() {
   console.log("  🏭 Factory Proxy:", revenueFactoryAddress);
   console.log("  🔧 Factory Implementation:", revenueFactoryImplAddress);
   console.log("  📜 RevenueShare Implementation:", revenueShareImplAddress);
+  console.log("");
+  console.log("👤 Owner de los factories:", owner);
+  if (timelockDelay !== undefined) {
+    console.log(`⏳ Timelock: ${timelockDelay}s, proposer y executor ${admin}`);
+  }
   console.log("==========================================\n");
 
   console.log("✨ Deployment completo exitoso!");
-  console.log("📝 Info guardada en deployment-upgradeable-complete.json");
+  console.log(`📝 Info guardada en ${deploymentDir}/deployment.json`);
+  console.log(`🩺 Reporte de checks guardado en ${reportFile}`);
+  console.log(
+    `📱 Configuración para frontend guardada en ${deploymentDir}/frontend-config.json`
+  );
 
   console.log("\n💡 PRÓXIMOS PASOS:");
   console.log("1. Actualizar tu frontend con estas direcciones:");
   console.log(`   MUSIC_NFT_FACTORY = "${musicFactoryAddress}"`);
   console.log(`   REVENUE_SHARE_FACTORY = "${revenueFactoryAddress}"`);
-  console.log("2. Para upgrades futuros usa: npm run upgrade");
-  console.log("3. Verificar contratos en Etherscan (opcional)");
-
-  // ============================================================================
-  // 8. CREAR ARCHIVO DE CONFIGURACIÓN PARA FRONTEND
-  // ============================================================================
-
-  const frontendConfig = {
-    MUSIC_NFT_FACTORY_ADDRESS: musicFactoryAddress,
-    REVENUE_SHARE_FACTORY_ADDRESS: revenueFactoryAddress,
-    NETWORK: deploymentInfo.network.name,
-    DEPLOYED_AT: deploymentInfo.timestamp,
-  };
-
-  fs.writeFileSync(
-    "./frontend-config.json",
-    JSON.stringify(frontendConfig, null, 2)
-  );
-
   console.log(
-    "📱 Configuración para frontend guardada en frontend-config.json"
+    owner === deployer.address
+      ? "2. Para upgrades futuros usa: npm run upgrade"
+      : "2. Para upgrades futuros usa: npm run upgrade (genera la propuesta para el owner)"
   );
+  if (!verify) {
+    console.log(
+      "3. Verificar contratos en el explorador (opcional, DEPLOY_VERIFY=true)"
+    );
+  }
+
+  return deployment;
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error("❌ Error durante el deployment:", error);
-    process.exit(1);
-  });
+// `hardhat run` no reenvía argumentos: se configura por variables de entorno
+if (require.main === module) {
+  deployAll({
+    confirm: process.env.CONFIRM_NETWORK,
+    verify: process.env.DEPLOY_VERIFY === "true",
+    timelockDelay: process.env.DEPLOY_TIMELOCK_DELAY
+      ? Number(process.env.DEPLOY_TIMELOCK_DELAY)
+      : undefined,
+    smoke: process.env.DEPLOY_SMOKE
+      ? process.env.DEPLOY_SMOKE === "true"
+      : undefined,
+  })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Error durante el deployment:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  deployAll,
+};
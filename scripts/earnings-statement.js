@@ -0,0 +1,234 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ERC20_ABI } = require("../sdk/abis");
+const { getEarningsStatement } = require("./utils/indexer-queries");
+const { getStorePath, loadStore } = require("./utils/indexer-store");
+
+const { ethers } = hre;
+
+const CSV_COLUMNS = [
+  "date",
+  "recipient",
+  "collection",
+  "collection_name",
+  "token_id",
+  "kind",
+  "cascade",
+  "currency",
+  "token",
+  "amount",
+  "amount_raw",
+  "revenue_share",
+  "tx_hash",
+];
+
+/**
+ * Símbolo y decimales de cada moneda ("ETH" o dirección del ERC20)
+ */
+async function getAssets(assets) {
+  const resolved = new Map();
+  for (const asset of assets) {
+    if (asset === "ETH") {
+      resolved.set(asset, { symbol: "ETH", decimals: 18 });
+      continue;
+    }
+    const erc20 = new ethers.Contract(asset, ERC20_ABI, ethers.provider);
+    const [symbol, decimals] = await Promise.all([
+      erc20.symbol(),
+      erc20.decimals(),
+    ]);
+    resolved.set(asset, { symbol, decimals: Number(decimals) });
+  }
+  return resolved;
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Estado de cuenta con los montos convertidos a unidades de cada moneda
+ * (string con decimales) junto al monto en unidades mínimas
+ */
+function formatStatement(statement, { assets, collections, from, to }) {
+  const format = (asset, amount) => ({
+    currency: assets.get(asset).symbol,
+    amount: ethers.formatUnits(amount, assets.get(asset).decimals),
+    amountRaw: amount.toString(),
+  });
+  const collectionName = (address) =>
+    collections[address] ? collections[address].name : null;
+
+  return {
+    recipient: statement.recipient,
+    from: from === undefined ? null : new Date(from * 1000).toISOString(),
+    to: to === undefined ? null : new Date(to * 1000).toISOString(),
+    payments: statement.payments,
+    totals: Object.entries(statement.totals).map(([asset, amount]) => ({
+      token: asset,
+      ...format(asset, amount),
+    })),
+    items: statement.items.map((item) => ({
+      collection: item.collection,
+      collectionName: collectionName(item.collection),
+      tokenId: item.tokenId,
+      token: item.asset,
+      payments: item.payments,
+      ...format(item.asset, item.amount),
+      cascade: format(item.asset, item.cascade).amount,
+      byKind: Object.fromEntries(
+        Object.entries(item.byKind).map(([kind, amount]) => [
+          kind,
+          format(item.asset, amount).amount,
+        ])
+      ),
+    })),
+    lines: statement.lines.map((line) => ({
+      date: new Date(line.timestamp * 1000).toISOString(),
+      collection: line.collection,
+      collectionName: collectionName(line.collection),
+      tokenId: line.tokenId,
+      kind: line.kind,
+      cascade: line.cascade,
+      token: line.asset,
+      ...format(line.asset, line.amount),
+      revenueShare: line.revenueShare,
+      blockNumber: line.blockNumber,
+      transactionHash: line.transactionHash,
+    })),
+  };
+}
+
+/**
+ * Estado de cuenta en CSV: una fila por pago recibido
+ * @param {Object} statement - Estado de cuenta de formatStatement
+ * @returns {string}
+ */
+function toStatementCsv(statement) {
+  const rows = statement.lines.map((line) =>
+    [
+      line.date,
+      statement.recipient,
+      line.collection,
+      line.collectionName || "",
+      line.tokenId,
+      line.kind,
+      line.cascade,
+      line.currency,
+      line.token,
+      line.amount,
+      line.amountRaw,
+      line.revenueShare,
+      line.transactionHash,
+    ]
+      .map(csvCell)
+      .join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+function printStatement(statement) {
+  console.log(`\n🧾 ${statement.recipient}: ${statement.payments} pago(s)`);
+  for (const item of statement.items) {
+    const cascade =
+      item.cascade !== "0.0" ? ` (${item.cascade} por cascada)` : "";
+    console.log(
+      `  ${item.collectionName || item.collection} #${item.tokenId}: ${item.amount} ${item.currency}${cascade}`
+    );
+  }
+  console.log(
+    `  💰 Total: ${statement.totals.map((total) => `${total.amount} ${total.currency}`).join(", ")}`
+  );
+}
+
+/**
+ * Genera los estados de cuenta de los destinatarios a partir del store del
+ * indexer (hay que correr antes `indexer:sync`)
+ *
+ * Con `out` escribe `<recipient>.csv` y `<recipient>.json` por destinatario
+ * en ese directorio.
+ * @param {Object} [params]
+ * @param {string} [params.file] - Ruta del store (default: .indexer/<network>.json)
+ * @param {number} [params.from] - Timestamp unix mínimo (inclusive)
+ * @param {number} [params.to] - Timestamp unix máximo (inclusive)
+ * @param {string} [params.recipient] - Solo esta cuenta
+ * @param {string} [params.collection] - Solo esta colección
+ * @param {string} [params.out] - Directorio de salida
+ * @returns {Promise<Object>} - { statements, files }
+ */
+async function buildEarningsStatements({
+  file,
+  from,
+  to,
+  recipient,
+  collection,
+  out,
+} = {}) {
+  file = file || getStorePath(hre.network.name);
+  const store = loadStore(file);
+  if (!store)
+    throw new Error(`No existe ${file}: ejecuta primero indexer:sync`);
+
+  const raw = getEarningsStatement(store, { from, to, recipient, collection });
+  const assets = await getAssets(
+    new Set(
+      raw.flatMap((statement) => statement.items.map((item) => item.asset))
+    )
+  );
+  const statements = raw.map((statement) =>
+    formatStatement(statement, {
+      assets,
+      collections: store.collections,
+      from,
+      to,
+    })
+  );
+
+  const checkpoint = store.checkpoint ? store.checkpoint.blockNumber : "-";
+  console.log(
+    `📒 ${statements.length} estado(s) de cuenta (indexado hasta el bloque ${checkpoint})`
+  );
+  statements.forEach(printStatement);
+
+  const files = [];
+  if (out) {
+    fs.mkdirSync(out, { recursive: true });
+    for (const statement of statements) {
+      const base = path.join(out, statement.recipient);
+      fs.writeFileSync(`${base}.csv`, toStatementCsv(statement));
+      fs.writeFileSync(
+        `${base}.json`,
+        JSON.stringify(statement, null, 2) + "\n"
+      );
+      files.push(`${base}.csv`, `${base}.json`);
+    }
+    console.log(`\n📝 ${files.length} archivo(s) en ${out}`);
+  }
+  return { statements, files };
+}
+
+// `hardhat run` no reenvía argumentos: se configura por variables de entorno
+if (require.main === module) {
+  const toNumber = (value) => (value === undefined ? undefined : Number(value));
+  buildEarningsStatements({
+    file: process.env.INDEXER_STORE,
+    from: toNumber(process.env.STATEMENT_FROM),
+    to: toNumber(process.env.STATEMENT_TO),
+    recipient: process.env.STATEMENT_RECIPIENT,
+    collection: process.env.STATEMENT_COLLECTION,
+    out: process.env.STATEMENT_OUT,
+  })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Error generando estados de cuenta:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  buildEarningsStatements,
+  toStatementCsv,
+};
@@ -0,0 +1,382 @@
+const fs = require("fs");
+const hre = require("hardhat");
+
+const { ethers, upgrades } = hre;
+
+/**
+ * Formas de crear colecciones y revenue shares que se comparan
+ */
+const VARIANTS = {
+  legacy: "Contratos de contracts/legacy/ (un contrato completo por artista)",
+  proxy: "Upgradeables con un ERC1967Proxy por contrato",
+  clone: "Upgradeables con un clon EIP-1167 por contrato (no upgradeable)",
+};
+
+const DEFAULT_SPLIT_SIZES = [1, 5, 10, 20];
+
+const ETH_PRICE = ethers.parseEther("0.01");
+const TOKEN_PRICE = 10_000_000n; // 10 USDC (6 decimales)
+
+/**
+ * Destinatarios deterministas para que el calldata (y el gas) no cambie
+ * entre ejecuciones
+ */
+function splitRecipients(count) {
+  return Array.from({ length: count }, (_, i) =>
+    ethers.getAddress(
+      ethers.dataSlice(ethers.id(`tuneport-benchmark-${i}`), 12)
+    )
+  );
+}
+
+/**
+ * Splits en partes iguales; el último se queda con el resto de la división
+ */
+function equalShares(recipients) {
+  const percentage = Math.floor(10000 / recipients.length);
+  return recipients.map((account, i) => ({
+    account,
+    percentage:
+      i === recipients.length - 1
+        ? 10000 - percentage * (recipients.length - 1)
+        : percentage,
+  }));
+}
+
+function findEventArg(contract, receipt, name, arg) {
+  for (const log of receipt.logs) {
+    let parsed;
+    try {
+      parsed = contract.interface.parseLog(log);
+    } catch (_) {
+      continue;
+    }
+    if (parsed && parsed.name === name) return parsed.args[arg];
+  }
+  throw new Error(`La transacción no emitió ${name}`);
+}
+
+async function measure(send) {
+  const receipt = await (await send()).wait();
+  return { gasUsed: Number(receipt.gasUsed), receipt };
+}
+
+async function deployLegacy() {
+  const musicFactory = await ethers.deployContract(
+    "contracts/legacy/MusicNFTFactory.sol:MusicNFTFactory"
+  );
+  const revenueFactory = await ethers.deployContract(
+    "contracts/legacy/RevenueShareFactory.sol:RevenueShareFactory"
+  );
+  return {
+    musicFactory,
+    revenueFactory,
+    collectionContract: "contracts/legacy/MusicCollection.sol:MusicCollection",
+    revenueShareContract: "contracts/legacy/RevenueShare.sol:RevenueShare",
+    createCollection: "createCollection",
+    createRevenueShare: "createRevenueShare",
+  };
+}
+
+async function deployUpgradeable(owner) {
+  const collectionImpl = await ethers.deployContract(
+    "MusicCollectionUpgradeable"
+  );
+  const musicFactory = await upgrades.deployProxy(
+    await ethers.getContractFactory("MusicNFTFactoryUpgradeable"),
+    [await collectionImpl.getAddress()],
+    { kind: "uups" }
+  );
+  const revenueShareImpl = await ethers.deployContract(
+    "RevenueShareUpgradeable"
+  );
+  const revenueFactory = await upgrades.deployProxy(
+    await ethers.getContractFactory("RevenueShareFactoryUpgradeable"),
+    [await revenueShareImpl.getAddress(), owner],
+    { kind: "uups" }
+  );
+  // createCollection solo acepta RevenueShares del factory vinculado
+  await (
+    await musicFactory.setRevenueShareFactory(await revenueFactory.getAddress())
+  ).wait();
+  return {
+    musicFactory,
+    revenueFactory,
+    collectionContract: "MusicCollectionUpgradeable",
+    revenueShareContract: "RevenueShareUpgradeable",
+  };
+}
+
+/**
+ * Mide una variante: crea su revenue share y, por cada tamaño de split,
+ * una colección nueva con sus splits, un mint en ETH, uno en ERC20 y un
+ * reparto directo. Los destinatarios ya tienen saldo de ETH y del token,
+ * así que no se mide el costo de crear cuentas
+ */
+async function benchmarkVariant(
+  platform,
+  { splitSizes, artist, buyer, token }
+) {
+  const rows = [];
+  const add = (operation, splits, gasUsed) =>
+    rows.push({ operation, splits, gasUsed });
+  const musicFactory = platform.musicFactory.connect(artist);
+  const revenueFactory = platform.revenueFactory.connect(artist);
+
+  const revenueCreated = await measure(() =>
+    revenueFactory[platform.createRevenueShare](
+      artist.address,
+      "Benchmark Revenue",
+      "Benchmark de gas"
+    )
+  );
+  add("createRevenueShare", null, revenueCreated.gasUsed);
+  const revenueShare = await ethers.getContractAt(
+    platform.revenueShareContract,
+    findEventArg(
+      revenueFactory,
+      revenueCreated.receipt,
+      "RevenueShareCreated",
+      "manager"
+    ),
+    artist
+  );
+  const revenueShareAddress = await revenueShare.getAddress();
+  const tokenAddress = await token.getAddress();
+
+  // Las colecciones legacy no tienen precio de mint: lo indica el comprador
+  const withMintPrice = musicFactory.interface
+    .getFunction(platform.createCollection)
+    .inputs.some((input) => input.name === "mintPrice");
+
+  for (const size of splitSizes) {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const collectionCreated = await measure(() =>
+      musicFactory[platform.createCollection](
+        "Benchmark",
+        "BENCH",
+        "ipfs://benchmark/",
+        "ipfs://benchmark/collection.json",
+        timestamp,
+        timestamp + 30 * 24 * 60 * 60,
+        ...(withMintPrice ? [ETH_PRICE] : []),
+        ethers.ZeroAddress,
+        revenueShareAddress,
+        500,
+        artist.address,
+        revenueShareAddress
+      )
+    );
+    // La creación no depende de los splits: se mide una sola vez
+    if (size === splitSizes[0]) {
+      add("createCollection", null, collectionCreated.gasUsed);
+    }
+    const collection = await ethers.getContractAt(
+      platform.collectionContract,
+      findEventArg(
+        musicFactory,
+        collectionCreated.receipt,
+        "CollectionCreated",
+        "collection"
+      ),
+      artist
+    );
+    const collectionAddress = await collection.getAddress();
+
+    await (await collection.addPaymentToken(tokenAddress, TOKEN_PRICE)).wait();
+    await (
+      await token.connect(buyer).approve(collectionAddress, TOKEN_PRICE)
+    ).wait();
+
+    const shares = equalShares(splitRecipients(size));
+    add(
+      "setCollectionMintSplits",
+      size,
+      (
+        await measure(() =>
+          revenueShare.setCollectionMintSplits(collectionAddress, shares)
+        )
+      ).gasUsed
+    );
+    add(
+      "mint",
+      size,
+      (
+        await measure(() =>
+          collection
+            .connect(buyer)
+            .mint(buyer.address, 1, 1, ETH_PRICE, "", { value: ETH_PRICE })
+        )
+      ).gasUsed
+    );
+    add(
+      "mintWithERC20",
+      size,
+      (
+        await measure(() =>
+          collection
+            .connect(buyer)
+            .mintWithERC20(buyer.address, 2, 1, TOKEN_PRICE, tokenAddress, "")
+        )
+      ).gasUsed
+    );
+    add(
+      "distributeMintPayment",
+      size,
+      (
+        await measure(() =>
+          revenueShare
+            .connect(buyer)
+            .distributeMintPayment(collectionAddress, 1, { value: ETH_PRICE })
+        )
+      ).gasUsed
+    );
+  }
+
+  return rows;
+}
+
+/**
+ * Compara el gas de creación, mint, mintWithERC20 y reparto entre los
+ * contratos legacy, los upgradeables con proxy y los upgradeables con clon
+ *
+ * Despliega todo desde cero, así que solo corre en la red hardhat.
+ * @param {Object} [options]
+ * @param {Array<number>} [options.splitSizes] - Cantidades de destinatarios a medir
+ * @param {string} [options.out] - JSON donde guardar el reporte
+ * @returns {Promise<Object>} - { network, createdAt, splitSizes, variants, rows }
+ *   con rows [{ operation, splits, gas: { legacy, proxy, clone }, cloneSavings }]
+ */
+async function runGasBenchmark({ splitSizes = DEFAULT_SPLIT_SIZES, out } = {}) {
+  if (hre.network.name !== "hardhat") {
+    throw new Error(
+      `El benchmark despliega contratos de prueba: corre solo en la red hardhat (no en ${hre.network.name})`
+    );
+  }
+  if (
+    splitSizes.length === 0 ||
+    !splitSizes.every((size) => Number.isInteger(size) && size > 0)
+  ) {
+    throw new Error(`Tamaños de split inválidos: ${splitSizes.join(",")}`);
+  }
+
+  const [artist, buyer] = await ethers.getSigners();
+  console.log("⛽ Benchmark de gas en la red hardhat");
+  console.log(`👥 Splits: ${splitSizes.join(", ")} destinatarios\n`);
+
+  // Token y destinatarios con saldo previo: se mide el caso habitual
+  const token = await ethers.deployContract("MockERC20", [
+    "USD Coin",
+    "USDC",
+    6,
+  ]);
+  await (await token.mint(buyer.address, TOKEN_PRICE * 1000n)).wait();
+  for (const recipient of splitRecipients(Math.max(...splitSizes))) {
+    await (await artist.sendTransaction({ to: recipient, value: 1n })).wait();
+    await (await token.mint(recipient, 1n)).wait();
+  }
+
+  const upgradeable = await deployUpgradeable(artist.address);
+  const platforms = {
+    legacy: await deployLegacy(),
+    proxy: {
+      ...upgradeable,
+      createCollection: "createCollection",
+      createRevenueShare: "createRevenueShare",
+    },
+    clone: {
+      ...upgradeable,
+      createCollection: "createCollectionClone",
+      createRevenueShare: "createRevenueShareClone",
+    },
+  };
+
+  const measured = {};
+  for (const [variant, platform] of Object.entries(platforms)) {
+    console.log(`📏 Midiendo ${variant}: ${VARIANTS[variant]}`);
+    measured[variant] = await benchmarkVariant(platform, {
+      splitSizes,
+      artist,
+      buyer,
+      token,
+    });
+  }
+
+  const rows = measured.legacy.map(({ operation, splits }, i) => {
+    const gas = Object.fromEntries(
+      Object.keys(platforms).map((variant) => [
+        variant,
+        measured[variant][i].gasUsed,
+      ])
+    );
+    const saved = gas.proxy - gas.clone;
+    return {
+      operation,
+      splits,
+      gas,
+      cloneSavings: {
+        gas: saved,
+        percent: Number(((saved / gas.proxy) * 100).toFixed(2)),
+      },
+    };
+  });
+
+  const report = {
+    network: hre.network.name,
+    createdAt: new Date().toISOString(),
+    splitSizes,
+    variants: VARIANTS,
+    rows,
+  };
+  printGasReport(report);
+  if (out) {
+    fs.writeFileSync(out, JSON.stringify(report, null, 2) + "\n");
+    console.log(`\n📝 Reporte guardado en ${out}`);
+  }
+  return report;
+}
+
+/**
+ * Imprime el reporte como tabla
+ * @param {Object} report - Resultado de runGasBenchmark
+ */
+function printGasReport(report) {
+  const columns = Object.keys(report.variants);
+  const format = (value) => value.toLocaleString("en-US");
+
+  console.log(
+    `\n${"Operación".padEnd(24)}${"Splits".padStart(7)}${columns
+      .map((variant) => variant.padStart(12))
+      .join("")}${"clon vs proxy".padStart(18)}`
+  );
+  for (const row of report.rows) {
+    const savings = `${row.cloneSavings.gas >= 0 ? "-" : "+"}${format(Math.abs(row.cloneSavings.gas))} (${Math.abs(row.cloneSavings.percent)}%)`;
+    console.log(
+      `${row.operation.padEnd(24)}${String(row.splits ?? "-").padStart(7)}${columns
+        .map((variant) => format(row.gas[variant]).padStart(12))
+        .join("")}${savings.padStart(18)}`
+    );
+  }
+}
+
+// `hardhat run` no reenvía argumentos: se configura por variables de entorno
+if (require.main === module) {
+  runGasBenchmark({
+    splitSizes: process.env.BENCHMARK_SPLITS
+      ? process.env.BENCHMARK_SPLITS.split(",").map(Number)
+      : undefined,
+    out: process.env.BENCHMARK_OUT,
+  })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Error en el benchmark de gas:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  DEFAULT_SPLIT_SIZES,
+  VARIANTS,
+  printGasReport,
+  runGasBenchmark,
+};
@@ -0,0 +1,200 @@
+const fs = require("fs");
+const hre = require("hardhat");
+const registry = require("./utils/deployment-registry");
+const { loadNetworkDeployment } = require("./utils/deploy-helpers");
+const {
+  DEFAULT_BATCH_SIZE,
+  createEventIndexer,
+} = require("./utils/event-indexer");
+const {
+  createStore,
+  getStorePath,
+  loadStore,
+  saveStore,
+} = require("./utils/indexer-store");
+
+const { ethers } = hre;
+
+/**
+ * Primer bloque a indexar: el del deploy de los factories, si está registrado
+ */
+function getDeploymentStartBlock(deployment) {
+  const blocks = ["musicFactory", "revenueFactory"]
+    .map((key) => deployment.contracts[key])
+    .map((record) => record && record.blockNumber)
+    .filter((blockNumber) => Number.isInteger(blockNumber));
+  return blocks.length > 0 ? Math.min(...blocks) : 0;
+}
+
+async function openStore({ deployment, file, fromBlock, reset }) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const factories = {
+    musicFactory: registry.getAddress(deployment, "musicFactory"),
+    revenueFactory: registry.getAddress(deployment, "revenueFactory"),
+  };
+  if (!factories.musicFactory || !factories.revenueFactory) {
+    throw new Error(
+      `No hay factories registrados en deployments/${deployment.network}`
+    );
+  }
+
+  const existing = reset ? undefined : loadStore(file);
+  if (existing) {
+    if (existing.chainId !== Number(chainId)) {
+      throw new Error(
+        `El store ${file} es de la chainId ${existing.chainId}, no de ${chainId}`
+      );
+    }
+    const sameFactories =
+      existing.factories.musicFactory ===
+        ethers.getAddress(factories.musicFactory) &&
+      existing.factories.revenueFactory ===
+        ethers.getAddress(factories.revenueFactory);
+    if (!sameFactories) {
+      throw new Error(
+        `El store ${file} es de otros factories: usa --reset o --store`
+      );
+    }
+    return { store: existing, resumed: true };
+  }
+
+  const startBlock =
+    fromBlock !== undefined ? fromBlock : getDeploymentStartBlock(deployment);
+  return {
+    store: createStore({
+      network: deployment.network,
+      chainId,
+      factories,
+      startBlock,
+    }),
+    resumed: false,
+  };
+}
+
+function printSummary(summary, store) {
+  if (summary.reorg) {
+    const { from, to, removed } = summary.reorg;
+    console.log(
+      `🔀 Reorg detectado: checkpoint ${from} -> ${to}, ${removed.events} evento(s) descartado(s)`
+    );
+  }
+  if (summary.fromBlock > summary.toBlock) {
+    console.log(`✨ Sin bloques nuevos (checkpoint ${summary.toBlock})`);
+    return;
+  }
+  console.log(
+    `📦 Bloques ${summary.fromBlock}-${summary.toBlock}: ${summary.events} evento(s) nuevo(s)`
+  );
+  for (const address of summary.collections) {
+    const { name, artist } = store.collections[address];
+    console.log(`  🎵 Colección ${name} (${address}) de ${artist}`);
+  }
+  for (const address of summary.revenueShares) {
+    console.log(`  💰 RevenueShare ${address}`);
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Indexa los eventos de los factories y de los proxies de los artistas en
+ * un store JSON local, reanudando desde el último checkpoint
+ * @param {Object} [options]
+ * @param {Object} [options.deployment] - Registro a usar (default: red actual)
+ * @param {string} [options.file] - Ruta del store (default: .indexer/<network>.json)
+ * @param {number} [options.fromBlock] - Bloque inicial de un store nuevo
+ * @param {number} [options.toBlock] - Último bloque a indexar
+ * @param {number} [options.batchSize] - Bloques por consulta de logs
+ * @param {number} [options.confirmations] - Bloques a dejar sin indexar en la punta
+ * @param {boolean} [options.reset] - Descarta el store existente
+ * @param {boolean} [options.watch] - Sigue indexando hasta recibir SIGINT
+ * @param {number} [options.interval] - Milisegundos entre sincronizaciones con `watch`
+ * @returns {Promise<Object>} - { store, file, summary }
+ */
+async function indexEvents({
+  deployment,
+  file,
+  fromBlock,
+  toBlock,
+  batchSize = DEFAULT_BATCH_SIZE,
+  confirmations = 0,
+  reset = false,
+  watch = false,
+  interval = 4000,
+} = {}) {
+  deployment = deployment || (await loadNetworkDeployment());
+  file = file || getStorePath(hre.network.name);
+
+  const { store, resumed } = await openStore({
+    deployment,
+    file,
+    fromBlock,
+    reset,
+  });
+  console.log(
+    resumed && store.checkpoint
+      ? `📂 Reanudando ${file} desde el bloque ${store.checkpoint.blockNumber + 1}`
+      : `🆕 Store nuevo en ${file} desde el bloque ${store.startBlock}`
+  );
+
+  const indexer = createEventIndexer({
+    provider: ethers.provider,
+    store,
+    batchSize,
+    confirmations,
+    onBatch: () => saveStore(store, file),
+  });
+
+  let stopped = !watch;
+  const stop = () => {
+    stopped = true;
+  };
+  if (watch) {
+    process.once("SIGINT", stop);
+    console.log("👀 Modo watch: Ctrl+C para detener");
+  }
+
+  let summary;
+  try {
+    do {
+      summary = await indexer.sync({ toBlock });
+      // Un reorg sin bloques nuevos también modifica el store
+      if (summary.reorg || !fs.existsSync(file)) saveStore(store, file);
+      if (watch && summary.fromBlock > summary.toBlock && !summary.reorg) {
+        await sleep(interval);
+        continue;
+      }
+      printSummary(summary, store);
+    } while (!stopped);
+  } finally {
+    process.removeListener("SIGINT", stop);
+  }
+
+  console.log(
+    `✅ ${Object.keys(store.collections).length} colecciones, ${Object.keys(store.revenueShares).length} revenue shares y ${store.events.length} eventos indexados`
+  );
+  return { store, file, summary };
+}
+
+module.exports = {
+  indexEvents,
+};
+
+// `hardhat run` no reenvía argumentos: se configura por variables de entorno
+if (require.main === module) {
+  const toNumber = (value) => (value === undefined ? undefined : Number(value));
+  indexEvents({
+    file: process.env.INDEXER_STORE,
+    fromBlock: toNumber(process.env.INDEXER_FROM_BLOCK),
+    confirmations: toNumber(process.env.INDEXER_CONFIRMATIONS),
+    reset: process.env.INDEXER_RESET === "true",
+    watch: process.env.INDEXER_WATCH === "true",
+  })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Error indexando eventos:", error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,148 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { loadNetworkDeployment } = require("./utils/deploy-helpers");
+const {
+  buildMigrationBatches,
+  getMigrationDir,
+  inventoryProxies,
+  needsUpgrade,
+  readMintPrices,
+  validateMigration,
+} = require("./utils/proxy-migration");
+const { writeTxBatch } = require("./utils/tx-batch");
+
+const { ethers } = hre;
+
+const KIND_LABELS = {
+  collection: "🎵 Colección",
+  revenueShare: "💰 RevenueShare",
+};
+
+function printInventory(inventory) {
+  for (const [kind, target] of Object.entries(inventory.targets)) {
+    console.log(`🎯 Destino ${kind}: ${target.address} (v${target.version})`);
+  }
+
+  console.log("");
+  for (const proxy of inventory.proxies) {
+    const status = proxy.clone
+      ? "🧬 clon (no actualizable)"
+      : proxy.upToDate
+        ? "✅ al día"
+        : "⏳ pendiente";
+    console.log(`${KIND_LABELS[proxy.kind]} ${proxy.address} - ${status}`);
+    console.log(`  👤 Owner: ${proxy.owner}`);
+    console.log(
+      `  🔧 Implementación: ${proxy.implementation} (v${proxy.version})`
+    );
+    if (proxy.kind === "collection") {
+      console.log(
+        proxy.mintPrice === null
+          ? "  💵 Sin mintPrice (anterior a 1.1.0)"
+          : `  💵 mintPrice: ${ethers.formatEther(proxy.mintPrice)} ETH`
+      );
+    }
+  }
+}
+
+/**
+ * Inventaría las colecciones y revenue shares existentes y genera, por
+ * owner, el batch de `upgradeToAndCall` hacia el template actual. Las
+ * colecciones fijan su `mintPrice` en el mismo upgrade
+ * @param {Object} [options]
+ * @param {Object} [options.deployment] - Registro a usar (default: red actual)
+ * @param {string} [options.out] - Carpeta de salida de los batches
+ * @param {string} [options.collectionImplementation] - Destino de las colecciones
+ * @param {string} [options.revenueShareImplementation] - Destino de los revenue shares
+ * @param {Object} [options.mintPrices] - { [colección]: precio en wei };
+ *   obligatorio para las colecciones anteriores a 1.1.0
+ * @returns {Promise<Object>} - { inventory, batches, out }
+ */
+async function migrateProxies({
+  deployment,
+  out,
+  collectionImplementation,
+  revenueShareImplementation,
+  mintPrices,
+} = {}) {
+  deployment = deployment || (await loadNetworkDeployment());
+  const { chainId } = await ethers.provider.getNetwork();
+
+  console.log(
+    `📋 Inventario de proxies en ${deployment.network} (chainId ${chainId})\n`
+  );
+  const inventory = await inventoryProxies(deployment, {
+    collection: collectionImplementation,
+    revenueShare: revenueShareImplementation,
+  });
+  printInventory(inventory);
+
+  const pending = inventory.proxies.filter(needsUpgrade);
+  console.log(
+    `\n📊 ${inventory.proxies.length} proxies, ${pending.length} pendientes de upgrade`
+  );
+  if (pending.length === 0) {
+    console.log("✨ Todos los proxies usan la implementación destino");
+    return { inventory, batches: [], out: null };
+  }
+
+  const { errors, warnings } = await validateMigration(deployment, inventory);
+  for (const warning of warnings) {
+    console.log(`⚠️  Sin layout de referencia: ${warning.split("\n")[0]}`);
+  }
+  if (errors.length > 0) {
+    throw new Error(
+      `Storage layout incompatible:\n  - ${errors.join("\n  - ")}`
+    );
+  }
+
+  const batches = buildMigrationBatches({ chainId, inventory, mintPrices });
+  out = out || getMigrationDir(deployment);
+  for (const entry of batches) {
+    entry.file = writeTxBatch(
+      path.join(out, `${entry.owner}.json`),
+      entry.batch
+    );
+  }
+  fs.writeFileSync(
+    path.join(out, "inventory.json"),
+    JSON.stringify({ chainId: String(chainId), ...inventory }, null, 2) + "\n"
+  );
+
+  console.log(`\n📝 Batches generados en ${out}:`);
+  for (const entry of batches) {
+    console.log(
+      `  👤 ${entry.owner}: ${entry.proxies.length} upgrade(s) -> ${path.basename(entry.file)}`
+    );
+  }
+  console.log(
+    "\n💡 Cada owner puede importar su archivo en el Transaction Builder de Safe o ejecutarlo con:"
+  );
+  console.log(
+    `  npx hardhat batch:execute --network ${hre.network.name} --file <archivo>`
+  );
+
+  return { inventory, batches, out };
+}
+
+module.exports = {
+  migrateProxies,
+};
+
+// `hardhat run` no reenvía argumentos: se configura por variables de entorno
+if (require.main === module) {
+  migrateProxies({
+    out: process.env.MIGRATION_OUT,
+    collectionImplementation: process.env.COLLECTION_IMPLEMENTATION,
+    revenueShareImplementation: process.env.REVENUE_SHARE_IMPLEMENTATION,
+    mintPrices:
+      process.env.MIGRATION_MINT_PRICES &&
+      readMintPrices(process.env.MIGRATION_MINT_PRICES),
+  })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Error generando la migración:", error.message);
+      process.exit(1);
+    });
+}
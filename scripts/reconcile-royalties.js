@@ -0,0 +1,145 @@
+const fs = require("fs");
+const hre = require("hardhat");
+const { ERC20_ABI } = require("../sdk/abis");
+const {
+  readSalesFile,
+  reconcileRoyalties,
+} = require("./utils/royalty-reconciliation");
+
+const { ethers } = hre;
+
+async function getAssets(tokens) {
+  const assets = new Map();
+  for (const token of tokens) {
+    if (token === ethers.ZeroAddress) {
+      assets.set(token, { symbol: "ETH", decimals: 18 });
+      continue;
+    }
+    const erc20 = new ethers.Contract(token, ERC20_ABI, ethers.provider);
+    const [symbol, decimals] = await Promise.all([
+      erc20.symbol(),
+      erc20.decimals(),
+    ]);
+    assets.set(token, { symbol, decimals: Number(decimals) });
+  }
+  return assets;
+}
+
+function printReport(report, assets) {
+  const format = (token, amount) => {
+    const { symbol, decimals } = assets.get(token);
+    return `${ethers.formatUnits(amount, decimals)} ${symbol}`;
+  };
+
+  console.log("🧾 Ventas:");
+  for (const sale of report.sales) {
+    const label = `token ${sale.tokenId} a ${format(sale.token, sale.price)}${sale.marketplace ? ` (${sale.marketplace})` : ""}`;
+    const royalty = format(sale.token, sale.royalty);
+    if (sale.status === "sin-tx") {
+      console.log(`  ➖ ${label}: royalty ${royalty}, sin txHash`);
+    } else if (sale.status === "ok") {
+      console.log(`  ✅ ${label}: royalty ${royalty} recibido`);
+    } else {
+      console.log(
+        `  ❌ ${label}: royalty ${royalty}, recibido ${format(sale.token, sale.paid)} (${sale.status})`
+      );
+    }
+  }
+
+  console.log("\n💰 Por moneda:");
+  for (const currency of report.currencies) {
+    const icon =
+      currency.difference === 0n && currency.pending === 0n ? "✅" : "⚠️ ";
+    console.log(
+      `  ${icon} ${assets.get(currency.token).symbol}: esperado ${format(currency.token, currency.expected)}, recibido ${format(currency.token, currency.received)}, repartido ${format(currency.token, currency.distributed)}, sin liquidar ${format(currency.token, currency.pending)}`
+    );
+  }
+
+  console.log("\n👥 Por destinatario:");
+  for (const recipient of report.recipients) {
+    console.log(
+      `  ${recipient.ok ? "✅" : "❌"} ${recipient.account}: esperado ${format(recipient.token, recipient.expected)}, pagado ${format(recipient.token, recipient.paid)}`
+    );
+  }
+
+  for (const problem of report.problems) {
+    console.log(`\n⚠️  ${problem}`);
+  }
+}
+
+function toJson(value) {
+  return JSON.stringify(
+    value,
+    (_, item) => (typeof item === "bigint" ? item.toString() : item),
+    2
+  );
+}
+
+/**
+ * Concilia un archivo de ventas con los royalties de reventa en cadena y
+ * muestra el reporte
+ * @param {Object} params
+ * @param {string} params.revenueShare - RevenueShare receptor de los royalties
+ * @param {string} params.collection - Colección vendida
+ * @param {string} params.file - Ventas en CSV o JSON
+ * @param {number} [params.fromBlock] - Primer bloque a revisar
+ * @param {string} [params.out] - JSON donde guardar el reporte
+ * @returns {Promise<Object>} - Reporte de reconcileRoyalties
+ */
+async function reconcileRoyaltiesFile({
+  revenueShare,
+  collection,
+  file,
+  fromBlock = 0,
+  out,
+}) {
+  const sales = readSalesFile(file);
+  const { chainId } = await ethers.provider.getNetwork();
+
+  console.log(
+    `🔎 Conciliando ${sales.length} venta(s) de ${collection} en ${hre.network.name} (chainId ${chainId}) desde el bloque ${fromBlock}\n`
+  );
+  const report = await reconcileRoyalties({
+    runner: ethers.provider,
+    revenueShare,
+    collection,
+    sales,
+    fromBlock,
+  });
+
+  const assets = await getAssets(
+    new Set(report.currencies.map((currency) => currency.token))
+  );
+  printReport(report, assets);
+
+  if (out) {
+    fs.writeFileSync(out, toJson(report));
+    console.log(`\n📝 Reporte guardado en ${out}`);
+  }
+  console.log(
+    report.ok
+      ? "\n✅ Los royalties cobrados y repartidos coinciden con las ventas"
+      : "\n⚠️  Hay diferencias entre las ventas y los royalties en cadena"
+  );
+  return report;
+}
+
+module.exports = {
+  reconcileRoyaltiesFile,
+};
+
+// `hardhat run` no reenvía argumentos: se configura por variables de entorno
+if (require.main === module) {
+  reconcileRoyaltiesFile({
+    revenueShare: process.env.ROYALTY_REVENUE_SHARE,
+    collection: process.env.ROYALTY_COLLECTION,
+    file: process.env.ROYALTY_SALES,
+    fromBlock: Number(process.env.ROYALTY_FROM_BLOCK || 0),
+    out: process.env.ROYALTY_REPORT,
+  })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Error conciliando royalties:", error.message);
+      process.exit(1);
+    });
+}
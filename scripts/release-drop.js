@@ -0,0 +1,152 @@
+const path = require("path");
+const hre = require("hardhat");
+const {
+  normalizeReleaseManifest,
+  readReleaseManifest,
+} = require("./utils/release-manifest");
+const {
+  DEFAULT_MAX_PENDING,
+  buildReleasePlan,
+  executeReleasePlan,
+  getProgressPath,
+  loadProgress,
+  reconcileRelease,
+  saveProgress,
+  settleProgress,
+} = require("./utils/release-plan");
+
+const { ethers } = hre;
+
+function printPlan(plan) {
+  console.log(`🎵 Colección: ${plan.collection}`);
+  console.log(`💰 RevenueShare: ${plan.revenueShare}`);
+  if (plan.done.length > 0) {
+    console.log(`\n✅ ${plan.done.length} paso(s) ya aplicados`);
+  }
+  console.log(`\n📋 ${plan.steps.length} transacción(es) pendientes:`);
+  plan.steps.forEach((step, i) => {
+    console.log(`  ${i + 1}. ${step.description}`);
+  });
+}
+
+function printReport(report) {
+  console.log("\n📊 Conciliación:");
+  for (const item of report.items) {
+    const label =
+      item.tokenId === null
+        ? item.check
+        : `token ${item.tokenId} ${item.check}`;
+    console.log(
+      item.ok
+        ? `  ✅ ${label}: ${item.actual}`
+        : `  ❌ ${label}: esperado ${item.expected}, en cadena ${item.actual}`
+    );
+  }
+}
+
+/**
+ * Aplica un manifest de lanzamiento: valida sin red, muestra el plan, envía
+ * las transacciones pendientes y concilia el resultado con la cadena
+ * @param {Object} params
+ * @param {string} params.file - Manifest JSON o CSV
+ * @param {string} [params.collection] - Colección (si no está en el manifest)
+ * @param {string} [params.progressFile] - Progreso (default: junto al manifest)
+ * @param {number} [params.maxPending] - Transacciones en vuelo a la vez
+ * @param {boolean} [params.dryRun] - Solo muestra el plan
+ * @returns {Promise<Object>} - { plan, report, progressFile }
+ */
+async function releaseDrop({
+  file,
+  collection,
+  progressFile,
+  maxPending = DEFAULT_MAX_PENDING,
+  dryRun = false,
+}) {
+  const manifest = normalizeReleaseManifest(readReleaseManifest(file), {
+    collection,
+    baseDir: path.dirname(file),
+  });
+  const [signer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+  progressFile = progressFile || getProgressPath(file);
+
+  const progress = loadProgress(progressFile, {
+    chainId,
+    collection: manifest.collection,
+  });
+  const settled = await settleProgress(ethers.provider, progress);
+  if (settled.length > 0) {
+    console.log(
+      `⏳ ${settled.length} transacción(es) de la ejecución anterior resueltas`
+    );
+    saveProgress(progress, progressFile);
+  }
+
+  console.log(
+    `🚀 Lanzamiento ${path.basename(file)} en ${hre.network.name} (chainId ${chainId}) desde ${signer.address}\n`
+  );
+  const plan = await buildReleasePlan({ manifest, signer, progress });
+  printPlan(plan);
+
+  if (dryRun) {
+    console.log("\n🔍 --dry-run: no se envió ninguna transacción");
+    return { plan, report: null, progressFile };
+  }
+
+  if (plan.steps.length > 0) {
+    console.log("");
+    let sent = 0;
+    try {
+      await executeReleasePlan({
+        plan,
+        signer,
+        progress,
+        maxPending,
+        onStep: ({ step, entry }) => {
+          saveProgress(progress, progressFile);
+          if (entry && entry.status === "confirmed") {
+            sent++;
+            console.log(
+              `  📝 ${sent}/${plan.steps.length} ${step.description} (nonce ${entry.nonce}, bloque ${entry.blockNumber})`
+            );
+          }
+        },
+      });
+    } catch (error) {
+      throw new Error(
+        `${error.message}\n💾 Progreso guardado en ${progressFile}: vuelve a ejecutar para reanudar`
+      );
+    }
+  }
+
+  const report = await reconcileRelease({ manifest, runner: signer, progress });
+  progress.report = { ...report, checkedAt: new Date().toISOString() };
+  saveProgress(progress, progressFile);
+  printReport(report);
+
+  console.log(
+    report.ok
+      ? `\n✅ Lanzamiento aplicado (progreso en ${progressFile})`
+      : `\n⚠️  El estado en cadena no coincide con el manifest (detalle en ${progressFile})`
+  );
+  return { plan, report, progressFile };
+}
+
+module.exports = {
+  releaseDrop,
+};
+
+// `hardhat run` no reenvía argumentos: se configura por variables de entorno
+if (require.main === module) {
+  releaseDrop({
+    file: process.env.RELEASE_MANIFEST,
+    collection: process.env.RELEASE_COLLECTION,
+    progressFile: process.env.RELEASE_PROGRESS,
+    dryRun: process.env.RELEASE_DRY_RUN === "true",
+  })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Error aplicando el lanzamiento:", error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,295 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { createCollectionClient } = require("../sdk/collection");
+const { createMusicFactoryClient } = require("../sdk/music-factory");
+const { createRevenueShareClient } = require("../sdk/revenue-share");
+const {
+  createRevenueShareFactoryClient,
+} = require("../sdk/revenue-share-factory");
+const { deployAll } = require("./deploy-all-upgradeable");
+const registry = require("./utils/deployment-registry");
+const {
+  DEFAULT_DEMO_FIXTURE,
+  normalizeDemoFixture,
+  readDemoFixture,
+} = require("./utils/demo-fixture");
+
+const { ethers } = hre;
+
+const DAY = 24 * 60 * 60;
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+function describeWindow({ startDate, endDate }, now) {
+  if (now < startDate) {
+    return `⏳ abre en ${Math.ceil((startDate - now) / DAY)} día(s)`;
+  }
+  return now > endDate ? "🔴 cerrada" : "🟢 abierta";
+}
+
+/**
+ * Siembra el entorno de demo: tokens ERC20 de prueba con saldo para cada
+ * cuenta, un RevenueShare por artista, sus colecciones con precios,
+ * maxSupply, splits de colección y de token, remixes con herencia y
+ * porcentaje de cascada, y el historial de mints del fixture
+ *
+ * Las ventanas de mint son relativas al último bloque. Una colección ya
+ * cerrada que tiene mints en el fixture se crea abierta y se cierra con
+ * setMintDates después de mintear.
+ * @param {Object} params
+ * @param {Object} params.fixture - Fixture normalizado (normalizeDemoFixture)
+ * @param {Object} [params.addresses] - { musicFactory, revenueShareFactory };
+ *   sin ellas despliega la plataforma con deployAll
+ * @returns {Promise<Object>} - { addresses, accounts, tokens, revenueShares,
+ *   collections, summary }: signers y contratos por nombre, y un resumen con
+ *   las direcciones para el frontend
+ */
+async function seedDemo({ fixture, addresses }) {
+  if (!LOCAL_NETWORKS.includes(hre.network.name)) {
+    throw new Error(
+      `El seed de demo es solo para hardhat y localhost, no para ${hre.network.name}`
+    );
+  }
+
+  const signers = await ethers.getSigners();
+  const accounts = {};
+  for (const [name, index] of Object.entries(fixture.accounts)) {
+    if (!signers[index]) {
+      throw new Error(
+        `accounts.${name}: no hay signer en el índice ${index} (hay ${signers.length})`
+      );
+    }
+    accounts[name] = signers[index];
+  }
+  const resolve = (account) =>
+    accounts[account] ? accounts[account].address : account;
+  const resolveShares = (shares) =>
+    shares.map(({ account, percentage }) => ({
+      account: resolve(account),
+      percentage,
+    }));
+
+  if (!addresses) {
+    const deployment = await deployAll({ smoke: false });
+    addresses = {
+      musicFactory: deployment.contracts.musicFactory.address,
+      revenueShareFactory: deployment.contracts.revenueFactory.address,
+    };
+  }
+
+  // ============================================================================
+  // 1. TOKENS DE PRUEBA
+  // ============================================================================
+
+  console.log("🪙 Desplegando tokens de prueba...");
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const tokens = {};
+  for (const token of fixture.tokens) {
+    const contract = await MockERC20.deploy(
+      token.name,
+      token.symbol,
+      token.decimals
+    );
+    await contract.waitForDeployment();
+    tokens[token.key] = contract;
+    if (token.faucet > 0n) {
+      for (const signer of Object.values(accounts)) {
+        await (await contract.mint(signer.address, token.faucet)).wait();
+      }
+    }
+    console.log(
+      `  ${token.symbol}: ${contract.target} (${ethers.formatUnits(token.faucet, token.decimals)} por cuenta)`
+    );
+  }
+
+  // ============================================================================
+  // 2. ARTISTAS, COLECCIONES Y SPLITS
+  // ============================================================================
+
+  const now = (await ethers.provider.getBlock("latest")).timestamp;
+  const withMints = new Set(fixture.mints.map((mint) => mint.collection));
+  const revenueShares = {};
+  const collections = {};
+  const windows = {};
+  const summary = {
+    network: hre.network.name,
+    ...addresses,
+    tokens: {},
+    accounts: {},
+    artists: {},
+  };
+
+  for (const artist of fixture.artists) {
+    const signer = accounts[artist.account];
+    console.log(`\n🎤 ${artist.account} (${signer.address})`);
+
+    const { revenueShare } = await createRevenueShareFactoryClient({
+      address: addresses.revenueShareFactory,
+      runner: signer,
+    }).createRevenueShare({ artist: signer.address, ...artist.revenueShare });
+    const splits = createRevenueShareClient({
+      address: revenueShare,
+      runner: signer,
+    });
+    revenueShares[artist.account] = await ethers.getContractAt(
+      "RevenueShareUpgradeable",
+      revenueShare,
+      signer
+    );
+    summary.artists[artist.account] = { revenueShare, collections: {} };
+    console.log(`  💰 RevenueShare: ${revenueShare}`);
+
+    for (const collection of artist.collections) {
+      const window = {
+        startDate: now + Math.round(collection.mintStartDays * DAY),
+        endDate: now + Math.round(collection.mintEndDays * DAY),
+      };
+      const closeAfterMints =
+        window.endDate <= now && withMints.has(collection.key);
+
+      const { collection: address } = await createMusicFactoryClient({
+        address: addresses.musicFactory,
+        runner: signer,
+      }).createCollection({
+        name: collection.name,
+        symbol: collection.symbol,
+        baseURI: collection.baseURI,
+        collectionMetadata: collection.metadata,
+        mintStartDate: window.startDate,
+        mintEndDate: closeAfterMints ? now + DAY : window.endDate,
+        mintPrice: collection.price,
+        royaltyFee: collection.royaltyFee,
+        artist: signer.address,
+        revenueShare,
+      });
+      const client = createCollectionClient({ address, runner: signer });
+
+      for (const { token, price } of collection.paymentTokens) {
+        await client.addPaymentToken({ token: tokens[token].target, price });
+      }
+      if (collection.splits) {
+        await splits.setCollectionMintSplits({
+          collection: address,
+          shares: resolveShares(collection.splits),
+        });
+      }
+      for (const track of collection.tokens) {
+        if (track.maxSupply) {
+          await client.setMaxSupply({
+            tokenId: track.tokenId,
+            supply: track.maxSupply,
+          });
+        }
+        if (track.uri) {
+          await client.setTokenURI({ tokenId: track.tokenId, uri: track.uri });
+        }
+        if (track.splits) {
+          await splits.setMintSplits({
+            collection: address,
+            tokenId: track.tokenId,
+            shares: resolveShares(track.splits),
+          });
+        }
+        if (track.remix) {
+          await splits.setInheritance({
+            tokenId: track.tokenId,
+            sources: track.remix.sources.map(resolve),
+          });
+          await splits.setCascadePercentage({
+            tokenId: track.tokenId,
+            percentage: track.remix.cascadePercentage,
+          });
+        }
+      }
+
+      collections[collection.key] = await ethers.getContractAt(
+        "MusicCollectionUpgradeable",
+        address,
+        signer
+      );
+      windows[collection.key] = { ...window, closeAfterMints, signer };
+      summary.artists[artist.account].collections[collection.key] = address;
+      console.log(
+        `  🎵 ${collection.name}: ${address} - ${describeWindow(window, now)}, ${collection.tokens.length} token(s)`
+      );
+    }
+  }
+
+  // ============================================================================
+  // 3. HISTORIAL DE MINTS
+  // ============================================================================
+
+  console.log(`\n🛒 Minteando ${fixture.mints.length} compra(s)...`);
+  for (const mint of fixture.mints) {
+    const buyer = accounts[mint.buyer];
+    const client = createCollectionClient({
+      address: collections[mint.collection].target,
+      runner: buyer,
+    });
+    const params = {
+      to: buyer.address,
+      tokenId: mint.tokenId,
+      amount: mint.amount,
+      pricePerToken: mint.price,
+    };
+    if (mint.token === "ETH") {
+      await client.mint(params);
+    } else {
+      const token = tokens[mint.token].connect(buyer);
+      await (
+        await token.approve(client.address, mint.price * mint.amount)
+      ).wait();
+      await client.mintWithERC20({ ...params, paymentToken: token.target });
+    }
+  }
+
+  for (const [key, window] of Object.entries(windows)) {
+    if (!window.closeAfterMints) continue;
+    await createCollectionClient({
+      address: collections[key].target,
+      runner: window.signer,
+    }).setMintDates({ startDate: window.startDate, endDate: window.endDate });
+  }
+
+  for (const [key, contract] of Object.entries(tokens)) {
+    summary.tokens[key] = contract.target;
+  }
+  for (const [name, signer] of Object.entries(accounts)) {
+    summary.accounts[name] = signer.address;
+  }
+  console.log("\n✨ Demo sembrada");
+
+  return {
+    addresses,
+    accounts,
+    tokens,
+    revenueShares,
+    collections,
+    summary,
+  };
+}
+
+// `hardhat run` no reenvía argumentos: se configura por variables de entorno
+if (require.main === module) {
+  (async () => {
+    // Se valida antes de desplegar: un error no deja la red a medio sembrar
+    const fixture = normalizeDemoFixture(
+      readDemoFixture(process.env.DEMO_FIXTURE || DEFAULT_DEMO_FIXTURE)
+    );
+    const { summary } = await seedDemo({ fixture });
+    const dir = registry.getNetworkDir(hre.network.name);
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, "demo.json");
+    fs.writeFileSync(file, JSON.stringify(summary, null, 2) + "\n");
+    console.log(`📝 Direcciones de la demo guardadas en ${file}`);
+  })()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Error sembrando la demo:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  seedDemo,
+};
@@ -0,0 +1,255 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ERC20_ABI } = require("../sdk/abis");
+const { createRevenueShareClient } = require("../sdk/revenue-share");
+const {
+  aggregatePlays,
+  computeStreamingPayouts,
+  normalizeSettlement,
+  parsePlayReportCsv,
+  parsePlayReportJson,
+  recoverSettlementSigner,
+  signStreamingSettlement,
+} = require("../sdk/streaming");
+
+const { ethers } = hre;
+
+function toJson(value) {
+  return JSON.stringify(
+    value,
+    (_, item) => (typeof item === "bigint" ? item.toString() : item),
+    2
+  );
+}
+
+/**
+ * Lee reportes de reproducciones en CSV o JSON (según la extensión)
+ * @param {Array<string>} files - Archivos de reportes
+ * @returns {Array<Object>} - Filas sin validar de todos los archivos
+ */
+function readPlayReports(files) {
+  return files.flatMap((file) => {
+    const text = fs.readFileSync(file, "utf8");
+    return path.extname(file).toLowerCase() === ".csv"
+      ? parsePlayReportCsv(text)
+      : parsePlayReportJson(JSON.parse(text));
+  });
+}
+
+/**
+ * Lee una liquidación firmada guardada por signStreamingEpoch
+ * @param {string} file - JSON { revenueShare, chainId, settlement, signature }
+ */
+function readSignedSettlement(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  return { ...raw, settlement: normalizeSettlement(raw.settlement) };
+}
+
+async function getAsset(token) {
+  if (token === ethers.ZeroAddress) return { symbol: "ETH", decimals: 18 };
+  const erc20 = new ethers.Contract(token, ERC20_ABI, ethers.provider);
+  const [symbol, decimals] = await Promise.all([
+    erc20.symbol(),
+    erc20.decimals(),
+  ]);
+  return { symbol, decimals: Number(decimals) };
+}
+
+/**
+ * Calcula y firma la liquidación de una época a partir de los reportes
+ *
+ * Antes de firmar revisa que la época no esté liquidada, que el oráculo sea
+ * el `streamingOracle` del RevenueShare y que cada token tenga splits de
+ * mint: si no, la transacción se revertiría.
+ * @param {Object} params
+ * @param {string} params.revenueShare - RevenueShare que reparte
+ * @param {Array<string>} params.files - Reportes de reproducciones (CSV o JSON)
+ * @param {bigint} params.epoch - Número de época
+ * @param {bigint} params.periodStart - Inicio del período (unix, incluido)
+ * @param {bigint} params.periodEnd - Fin del período (unix, excluido)
+ * @param {string} [params.token] - ERC20 del pago (default: ETH)
+ * @param {bigint} [params.pool] - Pozo a repartir, en unidades mínimas
+ * @param {bigint} [params.ratePerPlay] - Tarifa por reproducción, en unidades mínimas
+ * @param {Object} params.oracle - Signer del oráculo
+ * @param {string} [params.out] - JSON donde guardar la liquidación firmada
+ * @returns {Promise<Object>} - { revenueShare, chainId, settlement, signature }
+ */
+async function signStreamingEpoch({
+  revenueShare,
+  files,
+  epoch,
+  periodStart,
+  periodEnd,
+  token = ethers.ZeroAddress,
+  pool,
+  ratePerPlay,
+  oracle,
+  out,
+}) {
+  const client = createRevenueShareClient({
+    address: revenueShare,
+    runner: ethers.provider,
+  });
+  const { chainId } = await ethers.provider.getNetwork();
+
+  if (await client.isEpochSettled(epoch)) {
+    throw new Error(`La época ${epoch} ya se liquidó en ${revenueShare}`);
+  }
+  const streamingOracle = await client.getStreamingOracle();
+  if (streamingOracle !== oracle.address) {
+    throw new Error(
+      streamingOracle === ethers.ZeroAddress
+        ? `${revenueShare} no tiene streamingOracle: configúralo con revenue:set-streaming-oracle`
+        : `El streamingOracle de ${revenueShare} es ${streamingOracle}: las liquidaciones de ${oracle.address} serán rechazadas`
+    );
+  }
+
+  const plays = aggregatePlays(readPlayReports(files), {
+    periodStart,
+    periodEnd,
+  });
+  const { total, payouts } = computeStreamingPayouts(plays, {
+    pool,
+    ratePerPlay,
+  });
+  if (payouts.length === 0) {
+    throw new Error("No hay montos que liquidar en el período");
+  }
+
+  const missing = [];
+  for (const payout of payouts) {
+    const shares = await client.getMintSplits(payout);
+    if (shares.length === 0) {
+      missing.push(`${payout.collection} #${payout.tokenId}`);
+    }
+  }
+  if (missing.length > 0) {
+    throw new Error(
+      `Tokens sin splits de mint:\n  - ${missing.join("\n  - ")}`
+    );
+  }
+
+  const { symbol, decimals } = await getAsset(token);
+  console.log(
+    `🎧 Época ${epoch}: ${plays.reduce((sum, entry) => sum + entry.plays, 0n)} reproducciones de ${plays.length} token(s)`
+  );
+  for (const payout of payouts) {
+    console.log(
+      `  ${payout.collection} #${payout.tokenId}: ${payout.plays} → ${ethers.formatUnits(payout.amount, decimals)} ${symbol}`
+    );
+  }
+  console.log(`💰 Total: ${ethers.formatUnits(total, decimals)} ${symbol}`);
+
+  const signed = await signStreamingSettlement({
+    signer: oracle,
+    revenueShare,
+    chainId,
+    settlement: { epoch, periodStart, periodEnd, token, total, payouts },
+  });
+  const result = { revenueShare, chainId, ...signed };
+  console.log(`✍️  Liquidación firmada por ${oracle.address}`);
+
+  if (out) {
+    fs.writeFileSync(out, toJson(result) + "\n");
+    console.log(`📝 Liquidación guardada en ${out}`);
+  }
+  return result;
+}
+
+/**
+ * Envía una liquidación firmada. Con ERC20 aprueba antes el total si la
+ * allowance no alcanza; con ETH el total va como value
+ * @param {Object} params
+ * @param {string} params.revenueShare - RevenueShare que reparte
+ * @param {Object} params.settlement - Liquidación normalizada
+ * @param {string} params.signature - Firma del oráculo
+ * @param {Object} params.signer - Cuenta que paga la época
+ * @returns {Promise<Object>} - { hash, receipt }
+ */
+async function submitStreamingSettlement({
+  revenueShare,
+  settlement,
+  signature,
+  signer,
+}) {
+  const client = createRevenueShareClient({
+    address: revenueShare,
+    runner: signer,
+  });
+  const { chainId } = await ethers.provider.getNetwork();
+  const recovered = recoverSettlementSigner({
+    revenueShare,
+    chainId,
+    settlement,
+    signature,
+  });
+  const streamingOracle = await client.getStreamingOracle();
+  if (recovered !== streamingOracle) {
+    throw new Error(
+      `La liquidación la firmó ${recovered}, pero el streamingOracle es ${streamingOracle}`
+    );
+  }
+  if (await client.isEpochSettled(settlement.epoch)) {
+    throw new Error(`La época ${settlement.epoch} ya se liquidó`);
+  }
+
+  let value = 0n;
+  if (settlement.token === ethers.ZeroAddress) {
+    value = settlement.total;
+  } else {
+    const erc20 = new ethers.Contract(settlement.token, ERC20_ABI, signer);
+    const allowance = await erc20.allowance(signer.address, revenueShare);
+    if (allowance < settlement.total) {
+      console.log(`🔓 Aprobando ${settlement.total} unidades del token...`);
+      await (await erc20.approve(revenueShare, settlement.total)).wait();
+    }
+  }
+
+  console.log(
+    `📤 Liquidando la época ${settlement.epoch} desde ${signer.address}...`
+  );
+  return client.settleStreamingEpoch({ settlement, signature, value });
+}
+
+// `hardhat run` no reenvía argumentos: se configura por variables de entorno
+if (require.main === module) {
+  (async () => {
+    const [signer] = await ethers.getSigners();
+    const oracle = process.env.STREAMING_ORACLE_KEY
+      ? new ethers.Wallet(process.env.STREAMING_ORACLE_KEY, ethers.provider)
+      : signer;
+    const signed = await signStreamingEpoch({
+      revenueShare: process.env.STREAMING_REVENUE_SHARE,
+      files: (process.env.STREAMING_REPORTS || "").split(",").filter(Boolean),
+      epoch: BigInt(process.env.STREAMING_EPOCH),
+      periodStart: BigInt(process.env.STREAMING_PERIOD_START),
+      periodEnd: BigInt(process.env.STREAMING_PERIOD_END),
+      token: process.env.STREAMING_TOKEN || ethers.ZeroAddress,
+      pool: process.env.STREAMING_POOL && BigInt(process.env.STREAMING_POOL),
+      ratePerPlay:
+        process.env.STREAMING_RATE && BigInt(process.env.STREAMING_RATE),
+      oracle,
+      out: process.env.STREAMING_OUT,
+    });
+    if (process.env.STREAMING_SIGN_ONLY !== "true") {
+      const { receipt } = await submitStreamingSettlement({
+        ...signed,
+        signer,
+      });
+      console.log(`✅ Época liquidada en el bloque ${receipt.blockNumber}`);
+    }
+  })()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Error liquidando la época:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  readPlayReports,
+  readSignedSettlement,
+  signStreamingEpoch,
+  submitStreamingSettlement,
+};
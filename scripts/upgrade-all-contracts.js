@@ -1,267 +1,416 @@
-const { ethers, upgrades } = require("hardhat");
-const fs = require("fs");
-
-async function main() {
-  console.log("🔄 Iniciando proceso de upgrade completo...\n");
-
-  // Leer información del deployment anterior
-  let deploymentInfo;
-  try {
-    const data = fs.readFileSync(
-      "./deployment-upgradeable-complete.json",
-      "utf8"
-    );
-    deploymentInfo = JSON.parse(data);
-    console.log("📖 Información de deployment anterior cargada");
-  } catch (error) {
-    console.error("❌ No se pudo leer deployment-upgradeable-complete.json");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  getTxInfo,
+  loadNetworkDeployment,
+  saveDeployment,
+} = require("./utils/deploy-helpers");
+const {
+  applyUpgrade,
+  buildUpgradeCall,
+  checkUpgrade,
+  formatStorageDiff,
+  getUpgradeOwner,
+  parseUpgradeTargets,
+  planUpgrade,
+  recordAppliedUpgrade,
+  rollbackUpgrade,
+  snapshotUpgrade,
+} = require("./utils/upgrade-helpers");
+const {
+  assertProfileChain,
+  confirmNetwork,
+  getGasOverrides,
+  getNetworkProfile,
+} = require("./utils/network-profiles");
+const {
+  buildUpgradeProposal,
+  detectOwnerKind,
+  getProposalDir,
+  isProposalExecuted,
+  readUpgradeProposal,
+  writeUpgradeProposal,
+} = require("./utils/upgrade-proposals");
+const {
+  describeFailures,
+  printCheckReport,
+  runPostDeployChecks,
+  writeCheckReport,
+} = require("./utils/post-deploy-checks");
+
+const DEFAULT_TARGETS = "musicFactory,revenueFactory";
+
+function printPlan(plan, network) {
+  console.log(`\n📦 ${plan.key} (${plan.contract})`);
+  console.log(
+    `  📌 Implementación actual: ${plan.previousImplementation} (v${plan.previousVersion})`
+  );
+  // Sin implementación la validación falló y el error del plugin ya
+  // detalla el storage layout
+  if (plan.implementation) {
     console.log(
-      "💡 Asegúrate de haber desplegado los contratos primero con deploy-all-upgradeable.js"
+      `  🔧 Nueva implementación: ${plan.implementation} (v${plan.version})`
     );
-    process.exit(1);
+    if (!plan.storageDiff) {
+      console.log(
+        `  🗂️  Storage layout: sin referencia en el manifest de .openzeppelin para ${network}`
+      );
+    } else if (plan.storageDiff.length === 0) {
+      console.log("  🗂️  Storage layout: sin cambios");
+    } else {
+      console.log("  🗂️  Storage layout:");
+      for (const line of formatStorageDiff(plan.storageDiff)) {
+        console.log(`     ${line}`);
+      }
+    }
   }
 
-  const musicFactoryProxy = deploymentInfo.contracts.musicFactoryProxy;
-  const revenueFactoryProxy = deploymentInfo.contracts.revenueFactoryProxy;
+  for (const problem of plan.problems) {
+    console.log(`  ❌ ${problem}`);
+  }
+}
 
-  console.log("🎯 Contratos a actualizar:");
-  console.log("  🎵 MusicNFTFactory Proxy:", musicFactoryProxy);
-  console.log("  💰 RevenueShareFactory Proxy:", revenueFactoryProxy);
+async function rollbackAll(deployment, applied, txOptions) {
+  for (const { plan } of [...applied].reverse()) {
+    console.log(
+      `⏪ Restaurando ${plan.key} a ${plan.previousImplementation}...`
+    );
+    await rollbackUpgrade(deployment, plan, txOptions);
+    console.log(`✅ ${plan.key} restaurado`);
+  }
+}
 
-  const upgradedContracts = {};
+/**
+ * Guarda los upgrades planificados como propuesta para el owner
+ * (multisig o timelock) en lugar de enviarlos
+ */
+async function proposeUpgrades(deployment, plans, { out, delay, salt }) {
+  const owners = [
+    ...new Set(
+      await Promise.all(plans.map((plan) => getUpgradeOwner(deployment, plan)))
+    ),
+  ];
+  if (owners.length > 1) {
+    throw new Error(
+      `Los contratos tienen owners distintos (${owners.join(", ")}): propón cada grupo por separado`
+    );
+  }
+  const [owner] = owners;
+  const ownerKind = await detectOwnerKind(hre.ethers.provider, owner);
+
+  const calls = [];
+  for (const plan of plans) {
+    // El estado previo se guarda para verificar el upgrade al registrarlo
+    plan.snapshot = await snapshotUpgrade(deployment, plan);
+    calls.push(await buildUpgradeCall(deployment, plan));
+  }
 
-  // ============================================================================
-  // 1. UPGRADE MUSIC NFT FACTORY
-  // ============================================================================
+  const { proposal, batches } = buildUpgradeProposal({
+    deployment,
+    owner,
+    ownerKind,
+    plans,
+    calls,
+    delay,
+    salt,
+  });
+  out = out || getProposalDir(deployment);
+  const files = writeUpgradeProposal(out, { proposal, batches });
 
-  console.log("\n📦 1. Preparando upgrade de MusicNFTFactoryUpgradeable...");
-  const MusicNFTFactoryUpgradeableV2 = await ethers.getContractFactory(
-    "MusicNFTFactoryUpgradeable"
+  console.log(
+    `\n📝 Propuesta para el owner ${owner} (${ownerKind.kind}) en ${out}:`
   );
-
-  console.log("🔄 Ejecutando upgrade del MusicNFTFactory...");
-  const upgradedMusicFactory = await upgrades.upgradeProxy(
-    musicFactoryProxy,
-    MusicNFTFactoryUpgradeableV2,
-    { kind: "uups" }
+  if (proposal.timelock) {
+    console.log(
+      `  🆔 Operación del timelock: ${proposal.timelock.operationId}`
+    );
+    console.log(
+      `  1. El proposer programa la operación: ${path.basename(files.batches.schedule)}`
+    );
+    console.log(
+      `  2. Pasados ${proposal.timelock.delay}s, el executor la ejecuta: ${path.basename(files.batches.execute)}`
+    );
+  } else {
+    console.log(
+      `  1. El owner firma las llamadas: ${path.basename(files.batches.upgrade)}`
+    );
+  }
+  console.log(
+    `  ${proposal.timelock ? 3 : 2}. Registrar el upgrade: npx hardhat contracts:record-upgrade --network ${deployment.network} --proposal ${out}`
+  );
+  console.log(
+    "\n💡 Los batches se importan en el Transaction Builder de Safe o se ejecutan desde una EOA con batch:execute"
   );
 
-  const newMusicFactoryImplAddress =
-    await upgrades.erc1967.getImplementationAddress(musicFactoryProxy);
-  const musicFactoryVersion = await upgradedMusicFactory.version();
-
-  console.log("✅ MusicNFTFactory actualizado exitosamente!");
-  console.log("📌 Nueva implementación:", newMusicFactoryImplAddress);
-  console.log("📌 Nueva versión:", musicFactoryVersion);
+  return { proposal, files, out };
+}
 
-  upgradedContracts.musicFactory = {
-    proxy: musicFactoryProxy,
-    implementation: newMusicFactoryImplAddress,
-    version: musicFactoryVersion,
-  };
-
-  // ============================================================================
-  // 2. UPGRADE REVENUE SHARE FACTORY
-  // ============================================================================
+/**
+ * Actualiza los contratos seleccionados de la red actual
+ *
+ * Primero valida todos los upgrades (storage layout y version()); si alguno
+ * falla no se toca ningún contrato. Después aplica cada upgrade y verifica
+ * el estado; si un check falla se restauran las implementaciones anteriores
+ * de todo lo aplicado en esta ejecución.
+ *
+ * El gas y las confirmaciones salen del perfil de la red. En mainnet se pide
+ * confirmación también en dry run: validar despliega las implementaciones.
+ *
+ * Si la cuenta que ejecuta no es el owner (o con `propose`), las
+ * implementaciones se despliegan igual y las llamadas se guardan como
+ * propuesta para el multisig o el timelock; el registro se actualiza después
+ * con recordUpgradeProposal.
+ *
+ * Antes de guardar el registro se corren los checks post-deploy; si alguno
+ * falla también se restauran las implementaciones anteriores. El smoke test
+ * de mint es opcional: una versión nueva puede cambiar createCollection.
+ * @param {Object} [options]
+ * @param {string} [options.contracts] - Contratos a actualizar (ver parseUpgradeTargets)
+ * @param {boolean} [options.dryRun] - Solo validar y mostrar el plan
+ * @param {Object} [options.profile] - Perfil (default: el de la red actual)
+ * @param {string} [options.confirm] - Nombre de la red, confirmado de antemano
+ * @param {Function} [options.prompt] - Pregunta de confirmación (ver confirmNetwork)
+ * @param {boolean} [options.propose] - Generar la propuesta aunque la cuenta sea el owner
+ * @param {string} [options.out] - Carpeta de la propuesta
+ * @param {number} [options.delay] - Delay del timelock (default: su mínimo)
+ * @param {string} [options.salt] - Salt (bytes32) de la operación del timelock
+ * @param {boolean} [options.smoke] - Incluir el smoke test de mint en los checks
+ * @returns {Promise<Object>} - { dryRun, plans, deployment, report?, proposal?, files?, out? }
+ */
+async function upgradeContracts({
+  contracts = DEFAULT_TARGETS,
+  dryRun = false,
+  profile,
+  confirm,
+  prompt,
+  propose = false,
+  out,
+  delay,
+  salt,
+  smoke = false,
+} = {}) {
+  const targets = parseUpgradeTargets(contracts);
+  const deployment = await loadNetworkDeployment();
+  if (!profile) profile = getNetworkProfile(deployment.network);
+  assertProfileChain(profile, deployment.chainId);
 
   console.log(
-    "\n📦 2. Preparando upgrade de RevenueShareFactoryUpgradeable..."
-  );
-  const RevenueShareFactoryUpgradeableV2 = await ethers.getContractFactory(
-    "RevenueShareFactoryUpgradeable"
+    `🔄 ${dryRun ? "Dry run de" : "Iniciando"} upgrade en ${deployment.network} (chainId ${deployment.chainId})`
   );
-
-  console.log("🔄 Ejecutando upgrade del RevenueShareFactory...");
-  const upgradedRevenueFactory = await upgrades.upgradeProxy(
-    revenueFactoryProxy,
-    RevenueShareFactoryUpgradeableV2,
-    { kind: "uups" }
+  console.log(
+    "🎯 Contratos a actualizar:",
+    targets.map((target) => target.key).join(", ")
   );
-
-  const newRevenueFactoryImplAddress =
-    await upgrades.erc1967.getImplementationAddress(revenueFactoryProxy);
-  const revenueFactoryVersion = await upgradedRevenueFactory.version();
-
-  console.log("✅ RevenueShareFactory actualizado exitosamente!");
-  console.log("📌 Nueva implementación:", newRevenueFactoryImplAddress);
-  console.log("📌 Nueva versión:", revenueFactoryVersion);
-
-  upgradedContracts.revenueFactory = {
-    proxy: revenueFactoryProxy,
-    implementation: newRevenueFactoryImplAddress,
-    version: revenueFactoryVersion,
+  await confirmNetwork(profile, {
+    confirm,
+    prompt,
+    action: dryRun
+      ? "desplegar las implementaciones a validar"
+      : "actualizar contratos",
+  });
+  const txOptions = {
+    overrides: await getGasOverrides(hre.ethers.provider, profile.gas),
+    confirmations: profile.confirmations,
   };
 
   // ============================================================================
-  // 3. UPGRADE IMPLEMENTATIONS (OPCIONAL)
+  // 1. VALIDAR Y PREPARAR
   // ============================================================================
 
-  const updateCollectionImpl = process.argv.includes("--update-collection");
-  const updateRevenueShareImpl = process.argv.includes(
-    "--update-revenue-share"
-  );
-
-  // 3a. Actualizar Collection Implementation
-  if (updateCollectionImpl) {
-    console.log(
-      "\n📦 3a. Desplegando nueva implementación de MusicCollectionUpgradeable..."
-    );
-    const MusicCollectionUpgradeableV2 = await ethers.getContractFactory(
-      "MusicCollectionUpgradeable"
-    );
-    const newCollectionImpl = await MusicCollectionUpgradeableV2.deploy();
-    await newCollectionImpl.waitForDeployment();
-
-    const newCollectionImplAddress = await newCollectionImpl.getAddress();
-    console.log(
-      "✅ Nueva Collection Implementation:",
-      newCollectionImplAddress
-    );
-
-    console.log("🔄 Actualizando referencia en MusicNFTFactory...");
-    await upgradedMusicFactory.updateCollectionImplementation(
-      newCollectionImplAddress
-    );
-    console.log("✅ Referencia actualizada en el Factory");
-
-    deploymentInfo.contracts.collectionImplementation =
-      newCollectionImplAddress;
-    upgradedContracts.collectionImplementation = newCollectionImplAddress;
+  const plans = [];
+  for (const target of targets) {
+    const plan = await planUpgrade(deployment, target, txOptions);
+    printPlan(plan, deployment.network);
+    plans.push(plan);
   }
 
-  // 3b. Actualizar RevenueShare Implementation
-  if (updateRevenueShareImpl) {
-    console.log(
-      "\n📦 3b. Desplegando nueva implementación de RevenueShareUpgradeable..."
-    );
-    const RevenueShareUpgradeableV2 = await ethers.getContractFactory(
-      "RevenueShareUpgradeable"
-    );
-    const newRevenueShareImpl = await RevenueShareUpgradeableV2.deploy();
-    await newRevenueShareImpl.waitForDeployment();
-
-    const newRevenueShareImplAddress = await newRevenueShareImpl.getAddress();
-    console.log(
-      "✅ Nueva RevenueShare Implementation:",
-      newRevenueShareImplAddress
-    );
+  const problems = plans.flatMap((plan) =>
+    plan.problems.map((problem) => `${plan.key}: ${problem}`)
+  );
+  if (problems.length > 0) {
+    throw new Error(`Upgrade abortado:\n  - ${problems.join("\n  - ")}`);
+  }
 
-    console.log("🔄 Actualizando referencia en RevenueShareFactory...");
-    await upgradedRevenueFactory.updateRevenueShareImplementation(
-      newRevenueShareImplAddress
-    );
-    console.log("✅ Referencia actualizada en el Factory");
+  if (dryRun) {
+    console.log("\n🧪 Dry run completo: no se modificó ningún contrato");
+    return { dryRun, plans, deployment };
+  }
 
-    deploymentInfo.contracts.revenueShareImplementation =
-      newRevenueShareImplAddress;
-    upgradedContracts.revenueShareImplementation = newRevenueShareImplAddress;
+  const [signer] = await hre.ethers.getSigners();
+  const owners = await Promise.all(
+    plans.map((plan) => getUpgradeOwner(deployment, plan))
+  );
+  if (propose || owners.some((owner) => owner !== signer.address)) {
+    const result = await proposeUpgrades(deployment, plans, {
+      out,
+      delay,
+      salt,
+    });
+    return { dryRun, plans, deployment, ...result };
   }
 
   // ============================================================================
-  // 4. ACTUALIZAR ARCHIVO DE DEPLOYMENT
+  // 2. APLICAR Y VERIFICAR
   // ============================================================================
 
-  deploymentInfo.contracts.musicFactoryImplementation =
-    newMusicFactoryImplAddress;
-  deploymentInfo.contracts.revenueFactoryImplementation =
-    newRevenueFactoryImplAddress;
-
-  deploymentInfo.lastUpgrade = {
-    timestamp: new Date().toISOString(),
-    upgradedContracts,
-  };
+  const applied = [];
+  let failure;
+
+  for (const plan of plans) {
+    try {
+      console.log(`\n🔄 Actualizando ${plan.key}...`);
+      const snapshot = await snapshotUpgrade(deployment, plan);
+      const txInfo = await applyUpgrade(deployment, plan, txOptions);
+      applied.push({ plan, txInfo });
+
+      const failures = await checkUpgrade(deployment, plan, snapshot);
+      if (failures.length > 0) {
+        failure = new Error(
+          `Checks fallidos en ${plan.key}:\n  - ${failures.join("\n  - ")}`
+        );
+        break;
+      }
+      console.log(`✅ ${plan.key} actualizado a v${plan.version}`);
+    } catch (error) {
+      failure = error;
+      break;
+    }
+  }
 
-  fs.writeFileSync(
-    "./deployment-upgradeable-complete.json",
-    JSON.stringify(deploymentInfo, null, 2)
-  );
+  if (failure) {
+    console.error(`\n❌ ${failure.message}`);
+    await rollbackAll(deployment, applied, txOptions);
+    throw failure;
+  }
 
   // ============================================================================
-  // 5. VERIFICAR UPGRADES
+  // 3. ACTUALIZAR REGISTRO
   // ============================================================================
 
-  console.log("\n🔍 Verificando upgrades...");
-
-  const collectionImpl = await upgradedMusicFactory.collectionImplementation();
-  const revenueImpl = await upgradedRevenueFactory.revenueShareImplementation();
+  for (const { plan, txInfo } of applied) {
+    await recordAppliedUpgrade(deployment, plan, txInfo);
+  }
 
-  console.log("📌 Collection impl actual:", collectionImpl);
-  console.log("📌 RevenueShare impl actual:", revenueImpl);
+  const report = await runPostDeployChecks({ deployment, smoke });
+  const reportFile = writeCheckReport(report);
+  printCheckReport(report);
+  const checkFailures = describeFailures(report);
+  if (checkFailures) {
+    console.error(`\n❌ ${checkFailures}`);
+    await rollbackAll(deployment, applied, txOptions);
+    throw new Error(`${checkFailures}\nReporte en ${reportFile}`);
+  }
 
-  // ============================================================================
-  // 6. RESUMEN FINAL
-  // ============================================================================
+  const deploymentDir = saveDeployment(deployment);
 
   console.log("\n📄 RESUMEN DEL UPGRADE:");
   console.log("==========================================");
-  console.log("🎵 MUSIC NFT FACTORY:");
-  console.log("  🏭 Proxy (sin cambios):", musicFactoryProxy);
-  console.log("  🔧 Nueva Implementation:", newMusicFactoryImplAddress);
-  console.log("  📌 Versión:", musicFactoryVersion);
-  if (updateCollectionImpl) {
-    console.log(
-      "  📜 Nueva Collection Implementation:",
-      upgradedContracts.collectionImplementation
-    );
-  }
-  console.log("");
-  console.log("💰 REVENUE SHARE FACTORY:");
-  console.log("  🏭 Proxy (sin cambios):", revenueFactoryProxy);
-  console.log("  🔧 Nueva Implementation:", newRevenueFactoryImplAddress);
-  console.log("  📌 Versión:", revenueFactoryVersion);
-  if (updateRevenueShareImpl) {
+  for (const plan of plans) {
     console.log(
-      "  📜 Nueva RevenueShare Implementation:",
-      upgradedContracts.revenueShareImplementation
+      `  ${plan.key}: v${plan.previousVersion} -> v${plan.version} (${plan.implementation})`
     );
   }
   console.log("==========================================\n");
-
   console.log("✨ Upgrade completo exitoso!");
-  console.log(
-    "📝 Información actualizada en deployment-upgradeable-complete.json"
-  );
+  console.log(`📝 Información actualizada en ${deploymentDir}/deployment.json`);
+  console.log(`🩺 Reporte de checks guardado en ${reportFile}`);
 
-  // Mostrar opciones adicionales si no se usaron
-  if (!updateCollectionImpl && !updateRevenueShareImpl) {
-    console.log("\n💡 OPCIONES ADICIONALES para el próximo upgrade:");
-    console.log(
-      "  --update-collection      Actualizar Collection Implementation"
-    );
-    console.log(
-      "  --update-revenue-share   Actualizar RevenueShare Implementation"
-    );
-    console.log(
-      "  --update-collection --update-revenue-share   Actualizar ambos"
+  return { dryRun, plans, deployment, report };
+}
+
+/**
+ * Registra los upgrades de una propuesta ya ejecutada por el owner
+ *
+ * Verifica en la cadena cada upgrade con los mismos checks que el upgrade
+ * directo (contra el estado guardado en la propuesta) antes de tocar el
+ * registro de la red. Después corre los checks post-deploy: el upgrade ya
+ * está en la cadena, así que el registro se guarda aunque fallen.
+ * @param {Object} params
+ * @param {string} params.proposal - proposal.json o su carpeta
+ * @param {string} [params.txHash] - Transacción que ejecutó la propuesta
+ * @param {boolean} [params.smoke] - Incluir el smoke test de mint en los checks
+ * @returns {Promise<Object>} - { proposal, deployment, report }
+ */
+async function recordUpgradeProposal({
+  proposal: file,
+  txHash,
+  smoke = false,
+}) {
+  const proposal = readUpgradeProposal(file);
+  const deployment = await loadNetworkDeployment();
+  if (proposal.chainId !== String(deployment.chainId)) {
+    throw new Error(
+      `La propuesta es de chainId ${proposal.chainId} y la red es ${deployment.chainId}`
     );
-    console.log("\nEjemplo:");
-    console.log(
-      "  npx hardhat run scripts/upgrade-all-contracts.js --update-collection"
+  }
+  if (!(await isProposalExecuted(hre.ethers.provider, proposal))) {
+    throw new Error(
+      `La operación ${proposal.timelock.operationId} del timelock todavía no se ejecutó`
     );
   }
 
-  // ============================================================================
-  // 7. ACTUALIZAR CONFIGURACIÓN FRONTEND
-  // ============================================================================
-
-  const frontendConfig = {
-    MUSIC_NFT_FACTORY_ADDRESS: musicFactoryProxy,
-    REVENUE_SHARE_FACTORY_ADDRESS: revenueFactoryProxy,
-    NETWORK: deploymentInfo.network.name,
-    LAST_UPDATED: new Date().toISOString(),
-  };
+  const failures = [];
+  for (const plan of proposal.plans) {
+    const record = deployment.contracts[plan.key];
+    if (
+      record &&
+      (record.implementation || record.address) === plan.implementation
+    ) {
+      failures.push(`${plan.key}: el upgrade ya está en el registro`);
+      continue;
+    }
+    for (const failure of await checkUpgrade(deployment, plan, plan.snapshot)) {
+      failures.push(`${plan.key}: ${failure}`);
+    }
+  }
+  if (failures.length > 0) {
+    throw new Error(`Propuesta sin aplicar:\n  - ${failures.join("\n  - ")}`);
+  }
 
-  fs.writeFileSync(
-    "./frontend-config.json",
-    JSON.stringify(frontendConfig, null, 2)
-  );
+  const txInfo = await getTxInfo(txHash);
+  for (const plan of proposal.plans) {
+    await recordAppliedUpgrade(deployment, plan, txInfo);
+    console.log(
+      `✅ ${plan.key}: v${plan.previousVersion} -> v${plan.version} registrado`
+    );
+  }
+  const deploymentDir = saveDeployment(deployment);
+  console.log(`📝 Información actualizada en ${deploymentDir}/deployment.json`);
+
+  const report = await runPostDeployChecks({ deployment, smoke });
+  const reportFile = writeCheckReport(report);
+  printCheckReport(report);
+  const checkFailures = describeFailures(report);
+  if (checkFailures) {
+    throw new Error(`${checkFailures}\nReporte en ${reportFile}`);
+  }
+  console.log(`🩺 Reporte de checks guardado en ${reportFile}`);
 
-  console.log("📱 Configuración frontend actualizada en frontend-config.json");
+  return { proposal, deployment, report };
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error("❌ Error durante el upgrade:", error);
-    process.exit(1);
-  });
+module.exports = {
+  DEFAULT_TARGETS,
+  recordUpgradeProposal,
+  upgradeContracts,
+};
+
+// `hardhat run` no reenvía argumentos: se configura por variables de entorno
+if (require.main === module) {
+  upgradeContracts({
+    contracts: process.env.UPGRADE_CONTRACTS || DEFAULT_TARGETS,
+    dryRun: process.env.UPGRADE_DRY_RUN === "true",
+    confirm: process.env.CONFIRM_NETWORK,
+    propose: process.env.UPGRADE_PROPOSE === "true",
+    out: process.env.UPGRADE_OUT,
+    delay: process.env.UPGRADE_DELAY
+      ? Number(process.env.UPGRADE_DELAY)
+      : undefined,
+    smoke: process.env.UPGRADE_SMOKE === "true",
+  })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Error durante el upgrade:", error.message);
+      process.exit(1);
+    });
+}
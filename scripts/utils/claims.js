@@ -0,0 +1,148 @@
+/**
+ * Saldos reclamables del modo escrow de RevenueShareUpgradeable
+ *
+ * Los destinatarios con saldo se descubren con los eventos `PaymentAccrued`
+ * y el monto se lee de `claimable`, así que los saldos ya reclamados no
+ * aparecen. Los reclamos se arman como `claimFor(account, token)`: cualquier
+ * cuenta puede enviarlos y los fondos siempre van al destinatario.
+ */
+const { Contract, Interface, ZeroAddress, zeroPadValue } = require("ethers");
+const { getAbi } = require("../../sdk/abis");
+const { getLogsInBatches } = require("./logs");
+const { createTxBatch } = require("./tx-batch");
+
+const DEFAULT_BATCH_SIZE = 2000;
+
+function getInterface() {
+  return new Interface(getAbi("RevenueShareUpgradeable"));
+}
+
+/**
+ * Lista los saldos reclamables de uno o varios RevenueShare
+ * @param {Object} params
+ * @param {Object} params.runner - Provider o signer de ethers v6
+ * @param {Array<string>} params.revenueShares - Direcciones de los RevenueShare
+ * @param {string} [params.account] - Solo los saldos de esta cuenta
+ * @param {string} [params.token] - Solo este token (address(0) = ETH)
+ * @param {number} [params.fromBlock] - Primer bloque a revisar (default: 0)
+ * @param {number} [params.toBlock] - Último bloque (default: el último)
+ * @param {number} [params.batchSize] - Bloques por consulta de logs
+ * @returns {Promise<Array<Object>>} - [{ revenueShare, account, token, amount }]
+ */
+async function listClaimableBalances({
+  runner,
+  revenueShares,
+  account,
+  token,
+  fromBlock = 0,
+  toBlock,
+  batchSize = DEFAULT_BATCH_SIZE,
+}) {
+  const provider = runner.provider || runner;
+  const iface = getInterface();
+  if (toBlock === undefined) toBlock = await provider.getBlockNumber();
+  const topics = [
+    iface.getEvent("PaymentAccrued").topicHash,
+    account ? zeroPadValue(account, 32) : null,
+    token ? zeroPadValue(token, 32) : null,
+  ];
+
+  const balances = [];
+  for (const revenueShare of revenueShares) {
+    const logs = await getLogsInBatches(
+      provider,
+      { address: revenueShare, topics },
+      fromBlock,
+      toBlock,
+      batchSize
+    );
+    const pairs = new Map();
+    for (const log of logs) {
+      const { args } = iface.parseLog(log);
+      pairs.set(`${args.account}:${args.token}`, {
+        account: args.account,
+        token: args.token,
+      });
+    }
+
+    const contract = new Contract(revenueShare, iface, provider);
+    for (const pair of pairs.values()) {
+      const amount = await contract.claimable(pair.account, pair.token, {
+        blockTag: toBlock,
+      });
+      if (amount > 0n) balances.push({ revenueShare, ...pair, amount });
+    }
+  }
+  return balances;
+}
+
+/**
+ * Transacciones `claimFor` para una lista de saldos
+ * @param {Array<Object>} balances - Resultado de listClaimableBalances
+ * @returns {Array<Object>} - [{ to, value, data }]
+ */
+function buildClaimTransactions(balances) {
+  const iface = getInterface();
+  return balances.map((balance) => ({
+    to: balance.revenueShare,
+    value: 0,
+    data: iface.encodeFunctionData("claimFor", [
+      balance.account,
+      balance.token,
+    ]),
+  }));
+}
+
+/**
+ * Batch (Safe Transaction Builder) con un `claimFor` por saldo
+ * @param {Object} params
+ * @param {number|bigint|string} params.chainId - Chain ID donde se ejecuta
+ * @param {Array<Object>} params.balances - Resultado de listClaimableBalances
+ * @returns {Object} - Batch de createTxBatch
+ */
+function createClaimBatch({ chainId, balances }) {
+  return createTxBatch({
+    chainId,
+    name: `Tuneport: ${balances.length} reclamo(s) de saldos`,
+    description: balances
+      .map(
+        (balance) =>
+          `${balance.account} reclama ${balance.amount} de ${balance.token === ZeroAddress ? "ETH" : balance.token} en ${balance.revenueShare}`
+      )
+      .join("\n"),
+    transactions: buildClaimTransactions(balances),
+  });
+}
+
+/**
+ * Envía los reclamos uno por uno. Un reclamo que revierte (p. ej. una cuenta
+ * que sigue rechazando ETH) se registra y no detiene a los demás.
+ * @param {Object} params
+ * @param {Object} params.signer - Signer de ethers que paga el gas
+ * @param {Array<Object>} params.balances - Resultado de listClaimableBalances
+ * @param {Function} [params.onResult] - Callback ({ index, balance, receipt, error })
+ * @returns {Promise<Array<Object>>} - [{ ...balance, receipt } | { ...balance, error }]
+ */
+async function executeClaims({ signer, balances, onResult }) {
+  const results = [];
+  const transactions = buildClaimTransactions(balances);
+  for (const [index, balance] of balances.entries()) {
+    let result;
+    try {
+      const tx = await signer.sendTransaction(transactions[index]);
+      result = { ...balance, hash: tx.hash, receipt: await tx.wait() };
+    } catch (error) {
+      result = { ...balance, error: error.shortMessage || error.message };
+    }
+    results.push(result);
+    if (onResult) await onResult({ index, ...result });
+  }
+  return results;
+}
+
+module.exports = {
+  buildClaimTransactions,
+  createClaimBatch,
+  executeClaims,
+  listClaimableBalances,
+};
@@ -0,0 +1,434 @@
+/**
+ * Fixture declarativo del entorno de demo: cuentas, tokens de prueba,
+ * artistas con sus colecciones, splits, remixes e historial de mints
+ *
+ * Se valida sin red antes de enviar transacciones. Las cuentas se nombran en
+ * `accounts` (índice del signer de Hardhat) y se referencian por nombre; en
+ * splits y fuentes de remix también se acepta una dirección. No depende de
+ * Hardhat.
+ */
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const DEFAULT_DEMO_FIXTURE = path.join(
+  __dirname,
+  "..",
+  "fixtures",
+  "demo.json"
+);
+
+function isUint(value) {
+  return /^\d+$/.test(String(value));
+}
+
+/**
+ * Lee un fixture de demo (JSON)
+ * @param {string} [file] - Ruta del fixture (default: scripts/fixtures/demo.json)
+ * @returns {Object} - Fixture sin validar
+ */
+function readDemoFixture(file = DEFAULT_DEMO_FIXTURE) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function checkText(errors, label, value) {
+  if (typeof value !== "string" || value.trim() === "") {
+    errors.push(`${label}: es obligatorio`);
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Una cuenta con nombre o, si `allowAddress`, una dirección
+ */
+function checkAccount(errors, label, value, accounts, allowAddress = true) {
+  if (Object.hasOwn(accounts, value)) return value;
+  if (allowAddress && ethers.isAddress(value) && value !== ethers.ZeroAddress) {
+    return ethers.getAddress(value);
+  }
+  errors.push(
+    allowAddress
+      ? `${label}: cuenta desconocida: ${value}`
+      : `${label}: debe ser una cuenta de accounts: ${value}`
+  );
+  return null;
+}
+
+function checkAmount(errors, label, value, decimals) {
+  try {
+    return ethers.parseUnits(String(value), decimals);
+  } catch {
+    errors.push(`${label}: monto inválido: ${value}`);
+    return null;
+  }
+}
+
+function checkSplits(errors, label, splits, accounts) {
+  if (!Array.isArray(splits) || splits.length === 0) {
+    errors.push(`${label}: debe tener al menos un split`);
+    return null;
+  }
+  let total = 0;
+  const normalized = splits.map((split, i) => {
+    const account = checkAccount(
+      errors,
+      `${label}[${i}].account`,
+      split.account,
+      accounts
+    );
+    if (!isUint(split.percentage) || Number(split.percentage) === 0) {
+      errors.push(
+        `${label}[${i}].percentage: debe ser un entero mayor a 0: ${split.percentage}`
+      );
+      return null;
+    }
+    total += Number(split.percentage);
+    return account && { account, percentage: Number(split.percentage) };
+  });
+  if (total !== 10000) {
+    errors.push(
+      `${label}: los porcentajes deben sumar 10000 (100%), suman ${total}`
+    );
+  }
+  return normalized;
+}
+
+function normalizeToken(errors, token, i) {
+  const label = `tokens[${i}]`;
+  const key = checkText(errors, `${label}.key`, token.key);
+  if (key === "ETH") errors.push(`${label}.key: "ETH" está reservado`);
+  const name = checkText(errors, `${label}.name`, token.name);
+  const symbol = checkText(errors, `${label}.symbol`, token.symbol);
+  if (!isUint(token.decimals) || Number(token.decimals) > 36) {
+    errors.push(
+      `${label}.decimals: debe ser un entero entre 0 y 36: ${token.decimals}`
+    );
+    return null;
+  }
+  const decimals = Number(token.decimals);
+  const faucet =
+    token.faucet === undefined
+      ? 0n
+      : checkAmount(errors, `${label}.faucet`, token.faucet, decimals);
+  return { key, name, symbol, decimals, faucet };
+}
+
+function normalizeTrack(errors, track, label, accounts) {
+  if (!isUint(track.tokenId)) {
+    errors.push(`${label}.tokenId: debe ser un entero: ${track.tokenId}`);
+    return null;
+  }
+
+  let maxSupply = null;
+  if (track.maxSupply !== undefined) {
+    if (isUint(track.maxSupply) && BigInt(track.maxSupply) > 0n) {
+      maxSupply = BigInt(track.maxSupply);
+    } else {
+      errors.push(
+        `${label}.maxSupply: debe ser un entero mayor a 0: ${track.maxSupply}`
+      );
+    }
+  }
+
+  let remix = null;
+  if (track.remix) {
+    const sources = Array.isArray(track.remix.sources)
+      ? track.remix.sources
+      : [];
+    if (sources.length === 0) {
+      errors.push(`${label}.remix.sources: debe tener al menos una fuente`);
+    }
+    const percentage = track.remix.cascadePercentage;
+    if (
+      !isUint(percentage) ||
+      Number(percentage) === 0 ||
+      Number(percentage) > 10000
+    ) {
+      errors.push(
+        `${label}.remix.cascadePercentage: debe ser un entero entre 1 y 10000: ${percentage}`
+      );
+    }
+    remix = {
+      sources: sources.map((source, j) =>
+        checkAccount(errors, `${label}.remix.sources[${j}]`, source, accounts)
+      ),
+      cascadePercentage: Number(percentage),
+    };
+  }
+
+  return {
+    tokenId: BigInt(track.tokenId),
+    maxSupply,
+    uri: track.uri || null,
+    splits: track.splits
+      ? checkSplits(errors, `${label}.splits`, track.splits, accounts)
+      : null,
+    remix,
+  };
+}
+
+function normalizeCollection(errors, collection, label, context) {
+  const { accounts, tokens } = context;
+  const key = checkText(errors, `${label}.key`, collection.key);
+  const name = checkText(errors, `${label}.name`, collection.name);
+  const symbol = checkText(errors, `${label}.symbol`, collection.symbol);
+
+  const { mintStartDays, mintEndDays } = collection;
+  if (!Number.isFinite(mintStartDays) || !Number.isFinite(mintEndDays)) {
+    errors.push(
+      `${label}: mintStartDays y mintEndDays deben ser números de días desde el seed`
+    );
+  } else if (mintStartDays >= mintEndDays) {
+    errors.push(`${label}: mintStartDays debe ser anterior a mintEndDays`);
+  }
+
+  const royaltyFee = collection.royaltyFee ?? 0;
+  if (!isUint(royaltyFee) || Number(royaltyFee) > 10000) {
+    errors.push(
+      `${label}.royaltyFee: debe ser un entero entre 0 y 10000: ${royaltyFee}`
+    );
+  }
+
+  const paymentTokens = (collection.paymentTokens || []).map((entry, j) => {
+    const token = tokens.get(entry.token);
+    if (!token) {
+      errors.push(
+        `${label}.paymentTokens[${j}].token: token desconocido: ${entry.token}`
+      );
+      return null;
+    }
+    const price = checkAmount(
+      errors,
+      `${label}.paymentTokens[${j}].price`,
+      entry.price,
+      token.decimals
+    );
+    if (price === 0n) {
+      errors.push(`${label}.paymentTokens[${j}].price: debe ser mayor a 0`);
+    }
+    return { token: token.key, price };
+  });
+
+  const tracks = (collection.tokens || []).map((track, j) =>
+    normalizeTrack(errors, track, `${label}.tokens[${j}]`, accounts)
+  );
+  const seen = new Set();
+  tracks.forEach((track, j) => {
+    if (!track) return;
+    if (seen.has(track.tokenId)) {
+      errors.push(`${label}.tokens[${j}].tokenId: repetido: ${track.tokenId}`);
+    }
+    seen.add(track.tokenId);
+  });
+
+  return {
+    key,
+    name,
+    symbol,
+    baseURI: collection.baseURI || "",
+    metadata: collection.metadata || "",
+    mintStartDays,
+    mintEndDays,
+    price: checkAmount(errors, `${label}.price`, collection.price ?? "0", 18),
+    paymentTokens,
+    royaltyFee: Number(royaltyFee),
+    splits: collection.splits
+      ? checkSplits(errors, `${label}.splits`, collection.splits, accounts)
+      : null,
+    tokens: tracks,
+  };
+}
+
+function normalizeArtist(errors, artist, i, context) {
+  const label = `artists[${i}]`;
+  const account = checkAccount(
+    errors,
+    `${label}.account`,
+    artist.account,
+    context.accounts,
+    false
+  );
+  const revenueShare = artist.revenueShare || {};
+  const collections = (artist.collections || []).map((collection, j) =>
+    normalizeCollection(
+      errors,
+      collection,
+      `${label}.collections[${j}]`,
+      context
+    )
+  );
+  if (collections.length === 0) {
+    errors.push(`${label}.collections: el artista no tiene colecciones`);
+  }
+
+  // La herencia de remixes es por tokenId en el RevenueShare del artista
+  const remixes = new Map();
+  for (const collection of collections) {
+    for (const track of collection.tokens) {
+      if (!track || !track.remix) continue;
+      if (remixes.has(track.tokenId)) {
+        errors.push(
+          `${label}: el remix del token ${track.tokenId} está en ${remixes.get(track.tokenId)} y ${collection.key}, pero la herencia es por tokenId en el RevenueShare del artista`
+        );
+      }
+      remixes.set(track.tokenId, collection.key);
+    }
+  }
+
+  return {
+    account,
+    revenueShare: {
+      name: checkText(errors, `${label}.revenueShare.name`, revenueShare.name),
+      description: revenueShare.description || "",
+    },
+    collections,
+  };
+}
+
+function normalizeMint(errors, mint, i, context) {
+  const label = `mints[${i}]`;
+  const collection = context.collections.get(mint.collection);
+  if (!collection) {
+    errors.push(
+      `${label}.collection: colección desconocida: ${mint.collection}`
+    );
+    return null;
+  }
+  if (!isUint(mint.tokenId)) {
+    errors.push(`${label}.tokenId: debe ser un entero: ${mint.tokenId}`);
+    return null;
+  }
+  if (!isUint(mint.amount) || BigInt(mint.amount) === 0n) {
+    errors.push(`${label}.amount: debe ser mayor a 0: ${mint.amount}`);
+    return null;
+  }
+  const buyer = checkAccount(
+    errors,
+    `${label}.buyer`,
+    mint.buyer,
+    context.accounts,
+    false
+  );
+  const tokenId = BigInt(mint.tokenId);
+  const amount = BigInt(mint.amount);
+  const token = mint.token || "ETH";
+
+  if (collection.mintStartDays > 0) {
+    errors.push(
+      `${label}: ${collection.key} abre en ${collection.mintStartDays} día(s); no puede tener mints`
+    );
+  }
+
+  let price = collection.price;
+  if (token !== "ETH") {
+    const accepted = collection.paymentTokens.find(
+      (entry) => entry && entry.token === token
+    );
+    if (!accepted) {
+      errors.push(`${label}.token: ${collection.key} no acepta ${token}`);
+      return null;
+    }
+    price = accepted.price;
+  }
+
+  const track = collection.tokens.find(
+    (entry) => entry && entry.tokenId === tokenId
+  );
+  if (price > 0n && !collection.splits && !(track && track.splits)) {
+    errors.push(
+      `${label}: ${collection.key} #${tokenId} no tiene splits; el RevenueShare revertiría con NoShares`
+    );
+  }
+  if (track && track.maxSupply) {
+    const key = `${collection.key}:${tokenId}`;
+    const minted = (context.minted.get(key) || 0n) + amount;
+    context.minted.set(key, minted);
+    if (minted > track.maxSupply) {
+      errors.push(
+        `${label}: ${collection.key} #${tokenId} supera maxSupply (${minted} > ${track.maxSupply})`
+      );
+    }
+  }
+
+  return { collection: collection.key, tokenId, buyer, amount, token, price };
+}
+
+/**
+ * Valida el fixture sin red: cuentas y tokens conocidos, splits que suman
+ * 10000, ventanas de mint coherentes y mints posibles (colección abierta o
+ * cerrada, token aceptado, splits configurados y dentro de maxSupply)
+ * @param {Object} raw - Fixture leído con readDemoFixture
+ * @returns {Object} - { accounts, tokens, artists, mints } con montos en bigint
+ * @throws {Error} - Con todos los problemas encontrados
+ */
+function normalizeDemoFixture(raw) {
+  const errors = [];
+
+  const accounts = raw.accounts || {};
+  const indexes = new Set();
+  for (const [name, index] of Object.entries(accounts)) {
+    if (!isUint(index)) {
+      errors.push(
+        `accounts.${name}: debe ser el índice de un signer: ${index}`
+      );
+    } else if (indexes.has(Number(index))) {
+      errors.push(`accounts.${name}: el índice ${index} está repetido`);
+    }
+    indexes.add(Number(index));
+  }
+
+  const tokens = (raw.tokens || []).map((token, i) =>
+    normalizeToken(errors, token, i)
+  );
+  const tokensByKey = new Map();
+  tokens.forEach((token, i) => {
+    if (!token || !token.key) return;
+    if (tokensByKey.has(token.key)) {
+      errors.push(`tokens[${i}].key: repetido: ${token.key}`);
+    }
+    tokensByKey.set(token.key, token);
+  });
+
+  const context = { accounts, tokens: tokensByKey };
+  const artists = (raw.artists || []).map((artist, i) =>
+    normalizeArtist(errors, artist, i, context)
+  );
+  if (artists.length === 0)
+    errors.push("artists: el fixture no tiene artistas");
+
+  const collections = new Map();
+  const seenArtists = new Set();
+  artists.forEach((artist, i) => {
+    if (artist.account && seenArtists.has(artist.account)) {
+      errors.push(`artists[${i}].account: repetido: ${artist.account}`);
+    }
+    seenArtists.add(artist.account);
+    artist.collections.forEach((collection, j) => {
+      if (!collection.key) return;
+      if (collections.has(collection.key)) {
+        errors.push(
+          `artists[${i}].collections[${j}].key: repetido: ${collection.key}`
+        );
+      }
+      collections.set(collection.key, collection);
+    });
+  });
+
+  const mintContext = { accounts, collections, minted: new Map() };
+  const mints = (raw.mints || []).map((mint, i) =>
+    normalizeMint(errors, mint, i, mintContext)
+  );
+
+  if (errors.length > 0) {
+    throw new Error(`Fixture de demo inválido:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  return { accounts, tokens, artists, mints };
+}
+
+module.exports = {
+  DEFAULT_DEMO_FIXTURE,
+  normalizeDemoFixture,
+  readDemoFixture,
+};
@@ -1,13 +1,215 @@
 /**
  * Helpers para despliegue de contratos
  */
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { Manifest } = require("@openzeppelin/upgrades-core");
+const registry = require("./deployment-registry");
+
+const { ethers, upgrades } = hre;
+
+/**
+ * Carga (o crea) el registro de deployments de la red actual
+ * @returns {Promise<Object>} - Registro de la red
+ */
+async function loadNetworkDeployment() {
+  const { chainId } = await ethers.provider.getNetwork();
+  return registry.loadOrCreateDeployment({
+    network: hre.network.name,
+    chainId,
+  });
+}
+
+/**
+ * Obtiene tx hash y bloque de una transacción
+ * @param {string} txHash - Hash de la transacción
+ * @returns {Promise<Object>} - { txHash, blockNumber }
+ */
+async function getTxInfo(txHash) {
+  if (!txHash) return { txHash: null, blockNumber: null };
+  const receipt = await ethers.provider.getTransactionReceipt(txHash);
+  return { txHash, blockNumber: receipt ? receipt.blockNumber : null };
+}
+
+/**
+ * Busca en el manifest de OpenZeppelin la tx que desplegó una implementación
+ * @param {string} implementation - Dirección de la implementación
+ * @returns {Promise<string|null>}
+ */
+async function getImplementationTxHash(implementation) {
+  try {
+    const manifest = await Manifest.forNetwork(hre.network.provider);
+    const deployment = await manifest.getDeploymentFromAddress(implementation);
+    return deployment.txHash || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Lee version() de un contrato si la expone
+ */
+async function readVersion(contract) {
+  try {
+    return await contract.version();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Espera las confirmaciones de una transacción (las del perfil de red)
+ * @param {string} txHash - Hash de la transacción
+ * @param {number} [confirmations] - Bloques a esperar (default: 1)
+ * @returns {Promise<Object|null>} - Receipt
+ */
+async function waitForConfirmations(txHash, confirmations = 1) {
+  if (!txHash) return null;
+  const tx = await ethers.provider.getTransaction(txHash);
+  return tx ? tx.wait(confirmations) : null;
+}
+
+/**
+ * Despliega una implementación (template sin proxy) y la registra
+ * @param {Object} deployment - Registro de la red
+ * @param {string} key - Clave en el registro (ej. "collectionImplementation")
+ * @param {string} contractName - Nombre del contrato
+ * @param {Object} [options]
+ * @param {Object} [options.overrides] - Overrides de gas (getGasOverrides)
+ * @param {number} [options.confirmations] - Confirmaciones a esperar
+ * @returns {Promise<Object>} - { contract, address, record }
+ */
+async function deployImplementation(
+  deployment,
+  key,
+  contractName,
+  { overrides = {}, confirmations = 1 } = {}
+) {
+  const [deployer] = await ethers.getSigners();
+  const Contract = await ethers.getContractFactory(contractName);
+  // Se despliega con el plugin para que quede en el manifest de
+  // .openzeppelin y sirva de referencia de storage en futuros upgrades
+  const address = await upgrades.deployImplementation(Contract, {
+    kind: "uups",
+    txOverrides: overrides,
+  });
+  const contract = Contract.attach(address);
+
+  const implementationTxHash = await getImplementationTxHash(address);
+  await waitForConfirmations(implementationTxHash, confirmations);
+  const txInfo = await getTxInfo(implementationTxHash);
+  const entry = {
+    contract: contractName,
+    kind: "implementation",
+    address,
+    version: await readVersion(contract),
+    deployer: deployer.address,
+    ...txInfo,
+  };
+
+  const record = deployment.contracts[key]
+    ? registry.recordUpgrade(deployment, key, entry)
+    : registry.recordDeploy(deployment, key, entry);
+
+  return { contract, address, record };
+}
+
+/**
+ * Despliega un proxy UUPS con su implementación y lo registra
+ * @param {Object} deployment - Registro de la red
+ * @param {string} key - Clave en el registro (ej. "musicFactory")
+ * @param {string} contractName - Nombre del contrato
+ * @param {Array} args - Argumentos de initialize
+ * @param {Object} [options]
+ * @param {Object} [options.overrides] - Overrides de gas (getGasOverrides)
+ * @param {number} [options.confirmations] - Confirmaciones a esperar
+ * @returns {Promise<Object>} - { contract, address, implementation, record }
+ */
+async function deployUUPSProxy(
+  deployment,
+  key,
+  contractName,
+  args,
+  { overrides = {}, confirmations = 1 } = {}
+) {
+  const [deployer] = await ethers.getSigners();
+  const Contract = await ethers.getContractFactory(contractName);
+  const contract = await upgrades.deployProxy(Contract, args, {
+    kind: "uups",
+    initializer: "initialize",
+    txOverrides: overrides,
+  });
+  await contract.waitForDeployment();
+  await waitForConfirmations(
+    contract.deploymentTransaction().hash,
+    confirmations
+  );
+
+  const address = await contract.getAddress();
+  const implementation =
+    await upgrades.erc1967.getImplementationAddress(address);
+  const txInfo = await getTxInfo(contract.deploymentTransaction().hash);
+
+  const record = registry.recordDeploy(deployment, key, {
+    contract: contractName,
+    kind: "uups",
+    address,
+    implementation,
+    implementationTxHash: await getImplementationTxHash(implementation),
+    version: await readVersion(contract),
+    deployer: deployer.address,
+    ...txInfo,
+  });
+
+  return { contract, address, implementation, record };
+}
+
+/**
+ * Despliega un PlatformTimelock para usarlo como owner de los factories
+ * @param {Object} deployment - Registro de la red
+ * @param {Object} params
+ * @param {number} params.minDelay - Delay mínimo de las operaciones (segundos)
+ * @param {Array<string>} params.proposers - Cuentas que programan (y cancelan)
+ * @param {Array<string>} params.executors - Cuentas que ejecutan
+ * @param {Object} [options] - { overrides, confirmations } (ver deployUUPSProxy)
+ * @returns {Promise<Object>} - { contract, address, record }
+ */
+async function deployTimelock(
+  deployment,
+  { minDelay, proposers, executors },
+  { overrides = {}, confirmations = 1 } = {}
+) {
+  const [deployer] = await ethers.getSigners();
+  // Sin admin: los roles solo cambian con operaciones del propio timelock
+  const contract = await ethers.deployContract(
+    "PlatformTimelock",
+    [minDelay, proposers, executors, ethers.ZeroAddress],
+    overrides
+  );
+  await contract.waitForDeployment();
+  await waitForConfirmations(
+    contract.deploymentTransaction().hash,
+    confirmations
+  );
+
+  const address = await contract.getAddress();
+  const record = registry.recordDeploy(deployment, "timelock", {
+    contract: "PlatformTimelock",
+    kind: "timelock",
+    address,
+    version: null,
+    deployer: deployer.address,
+    ...(await getTxInfo(contract.deploymentTransaction().hash)),
+  });
+
+  return { contract, address, record };
+}
 
 /**
- * Despliega el contrato MusicNFTFactory
+ * Despliega el contrato MusicNFTFactory (legacy, no upgradeable)
+ * @param {Object} [deployment] - Registro donde guardarlo (opcional)
  * @returns {Promise<Object>} - Contrato factory desplegado
  */
-async function deployFactory() {
+async function deployFactory(deployment) {
   console.log("Desplegando MusicNFTFactory...");
 
   const MusicNFTFactory = await ethers.getContractFactory("MusicNFTFactory");
@@ -18,14 +220,24 @@ async function deployFactory() {
   const factoryAddress = await factory.getAddress();
   console.log(`MusicNFTFactory desplegado en: ${factoryAddress}`);
 
+  if (deployment) {
+    await recordLegacy(
+      deployment,
+      "legacyMusicFactory",
+      "MusicNFTFactory",
+      factory
+    );
+  }
+
   return { factory, factoryAddress };
 }
 
 /**
- * Despliega el contrato RevenueShareFactory
+ * Despliega el contrato RevenueShareFactory (legacy, no upgradeable)
+ * @param {Object} [deployment] - Registro donde guardarlo (opcional)
  * @returns {Promise<Object>} - Contrato RevenueShareFactory desplegado
  */
-async function deployRevenueShareFactory() {
+async function deployRevenueShareFactory(deployment) {
   console.log("Desplegando RevenueShareFactory...");
 
   const RevenueShareFactory = await ethers.getContractFactory(
@@ -38,18 +250,28 @@ async function deployRevenueShareFactory() {
   const factoryAddress = await factory.getAddress();
   console.log(`RevenueShareFactory desplegado en: ${factoryAddress}`);
 
+  if (deployment) {
+    await recordLegacy(
+      deployment,
+      "legacyRevenueFactory",
+      "RevenueShareFactory",
+      factory
+    );
+  }
+
   return { factory, factoryAddress };
 }
 
 /**
- * Despliega ambos factories
+ * Despliega ambos factories legacy
+ * @param {Object} [deployment] - Registro donde guardarlos (opcional)
  * @returns {Promise<Object>} - Ambos contratos desplegados
  */
-async function deployAllFactories() {
+async function deployAllFactories(deployment) {
   console.log("Desplegando todos los factories...");
 
-  const musicFactory = await deployFactory();
-  const revenueFactory = await deployRevenueShareFactory();
+  const musicFactory = await deployFactory(deployment);
+  const revenueFactory = await deployRevenueShareFactory(deployment);
 
   console.log("\n=== RESUMEN DE DESPLIEGUE ===");
   console.log(`MusicNFTFactory: ${musicFactory.factoryAddress}`);
@@ -61,10 +283,23 @@ async function deployAllFactories() {
   };
 }
 
+async function recordLegacy(deployment, key, contractName, contract) {
+  const [deployer] = await ethers.getSigners();
+  registry.recordDeploy(deployment, key, {
+    contract: contractName,
+    kind: "legacy",
+    address: await contract.getAddress(),
+    version: null,
+    deployer: deployer.address,
+    ...(await getTxInfo(contract.deploymentTransaction().hash)),
+  });
+}
+
 /**
  * Verifica un contrato en Etherscan/Basescan
  * @param {string} address - Dirección del contrato a verificar
  * @param {Array} constructorArgs - Argumentos del constructor
+ * @returns {Promise<Object>} - { address, verified, error? }
  */
 async function verifyContract(address, constructorArgs) {
   console.log(`Verificando contrato en ${address}...`);
@@ -74,14 +309,46 @@ async function verifyContract(address, constructorArgs) {
       constructorArguments: constructorArgs,
     });
     console.log("Contrato verificado con éxito");
+    return { address, verified: true };
   } catch (error) {
     console.log(`Error al verificar: ${error.message}`);
+    return { address, verified: false, error: error.message };
+  }
+}
+
+/**
+ * Verifica los proxies y templates del registro. En un proxy el plugin de
+ * upgrades verifica también su implementación.
+ * @param {Object} deployment - Registro de la red
+ * @param {Array<string>} [keys] - Contratos a verificar (default: todos)
+ * @returns {Promise<Array<Object>>} - [{ key, address, verified, error? }]
+ */
+async function verifyDeployment(
+  deployment,
+  keys = Object.keys(deployment.contracts)
+) {
+  const results = [];
+  for (const key of keys) {
+    const record = deployment.contracts[key];
+    if (!record || !["uups", "implementation"].includes(record.kind)) continue;
+    results.push({ key, ...(await verifyContract(record.address, [])) });
   }
+  return results;
 }
 
 module.exports = {
+  deployAllFactories,
   deployFactory,
+  deployImplementation,
   deployRevenueShareFactory,
-  deployAllFactories,
+  deployTimelock,
+  deployUUPSProxy,
+  getImplementationTxHash,
+  getTxInfo,
+  loadNetworkDeployment,
+  readVersion,
+  saveDeployment: registry.saveDeployment,
   verifyContract,
+  verifyDeployment,
+  waitForConfirmations,
 };
@@ -0,0 +1,281 @@
+/**
+ * Registro de deployments por red
+ *
+ * Cada red tiene su carpeta en `deployments/<network>/` con:
+ * - `deployment.json`: proxies, implementaciones, versiones, deployer,
+ *   tx hash y bloque de cada contrato, más el historial de deploys y upgrades
+ * - `frontend-config.json`: direcciones que consume el frontend
+ *
+ * No depende de Hardhat para que el SDK pueda leerlo.
+ */
+const fs = require("fs");
+const path = require("path");
+
+/** Carpeta por defecto; DEPLOYMENTS_DIR en el entorno la reemplaza */
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+const DEPLOYMENT_FILE = "deployment.json";
+const FRONTEND_CONFIG_FILE = "frontend-config.json";
+
+/**
+ * Contratos registrados y su clave en el registro
+ */
+const CONTRACT_KEYS = {
+  musicFactory: "MusicNFTFactoryUpgradeable",
+  revenueFactory: "RevenueShareFactoryUpgradeable",
+  collectionImplementation: "MusicCollectionUpgradeable",
+  revenueShareImplementation: "RevenueShareUpgradeable",
+};
+
+/**
+ * Carpeta raíz del registro (se lee en cada llamada)
+ * @returns {string}
+ */
+function getDeploymentsDir() {
+  return process.env.DEPLOYMENTS_DIR || DEPLOYMENTS_DIR;
+}
+
+function getNetworkDir(networkName) {
+  return path.join(getDeploymentsDir(), networkName);
+}
+
+function readJson(file) {
+  if (!fs.existsSync(file)) return undefined;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Crea un registro vacío para una red
+ * @param {Object} params
+ * @param {string} params.network - Nombre de la red en Hardhat
+ * @param {number|bigint} params.chainId - Chain ID de la red
+ * @returns {Object} - Registro vacío
+ */
+function createDeployment({ network, chainId }) {
+  return {
+    network,
+    chainId: Number(chainId),
+    contracts: {},
+    history: [],
+  };
+}
+
+/**
+ * Lee el registro de una red
+ * @param {string} networkName - Nombre de la red en Hardhat
+ * @returns {Object|undefined} - Registro o undefined si no existe
+ */
+function loadDeployment(networkName) {
+  return readJson(path.join(getNetworkDir(networkName), DEPLOYMENT_FILE));
+}
+
+/**
+ * Lista los registros guardados de todas las redes
+ * @returns {Array<Object>}
+ */
+function listDeployments() {
+  const dir = getDeploymentsDir();
+  if (!fs.existsSync(dir)) return [];
+
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => loadDeployment(entry.name))
+    .filter(Boolean);
+}
+
+/**
+ * Busca el registro de una red por chainId
+ *
+ * Si varias redes comparten el chainId (31337: hardhat y localhost) hay que
+ * indicar cuál; nunca se devuelve el registro de otra red.
+ * @param {number|bigint|string} chainId - Chain ID buscado
+ * @param {Object} [options]
+ * @param {string} [options.network] - Red buscada entre las de ese chainId
+ * @returns {Object|undefined} - Registro o undefined si ninguna red tiene ese chainId
+ */
+function findDeploymentByChainId(chainId, { network } = {}) {
+  const matches = listDeployments().filter(
+    (deployment) => String(deployment.chainId) === String(chainId)
+  );
+  if (matches.length === 0) return undefined;
+
+  if (network) {
+    const match = matches.find((deployment) => deployment.network === network);
+    if (!match) {
+      throw new Error(
+        `No hay deployment registrado para la red ${network} con chainId ${chainId} (registradas: ${matches
+          .map((deployment) => deployment.network)
+          .join(", ")})`
+      );
+    }
+    return match;
+  }
+  if (matches.length > 1) {
+    throw new Error(
+      `Varias redes comparten chainId ${chainId} (${matches
+        .map((deployment) => deployment.network)
+        .join(", ")}): indica network`
+    );
+  }
+  return matches[0];
+}
+
+/**
+ * Carga el registro de una red o crea uno vacío
+ * @param {Object} params
+ * @param {string} params.network - Nombre de la red en Hardhat
+ * @param {number|bigint} params.chainId - Chain ID de la red
+ */
+function loadOrCreateDeployment({ network, chainId }) {
+  const existing = loadDeployment(network);
+  if (existing) {
+    if (String(existing.chainId) !== String(chainId)) {
+      throw new Error(
+        `deployments/${network} es de chainId ${existing.chainId}, pero la red actual es chainId ${chainId}`
+      );
+    }
+    return existing;
+  }
+  return createDeployment({ network, chainId });
+}
+
+/**
+ * Guarda el registro y la configuración del frontend de una red
+ * @param {Object} deployment - Registro a guardar
+ * @returns {string} - Carpeta donde se guardó
+ */
+function saveDeployment(deployment) {
+  const dir = getNetworkDir(deployment.network);
+  fs.mkdirSync(dir, { recursive: true });
+
+  fs.writeFileSync(
+    path.join(dir, DEPLOYMENT_FILE),
+    JSON.stringify(deployment, null, 2) + "\n"
+  );
+  fs.writeFileSync(
+    path.join(dir, FRONTEND_CONFIG_FILE),
+    JSON.stringify(buildFrontendConfig(deployment), null, 2) + "\n"
+  );
+
+  return dir;
+}
+
+/**
+ * Registra el deploy de un contrato (proxy o implementación)
+ * @param {Object} deployment - Registro de la red
+ * @param {string} key - Clave del contrato (ej. "musicFactory")
+ * @param {Object} entry - { contract, kind, address, implementation, implementationTxHash, version, deployer, txHash, blockNumber }
+ */
+function recordDeploy(deployment, key, entry) {
+  const timestamp = new Date().toISOString();
+  const record = {
+    contract: entry.contract,
+    kind: entry.kind,
+    address: entry.address,
+    implementation: entry.implementation,
+    implementationTxHash: entry.implementationTxHash,
+    version: entry.version,
+    deployer: entry.deployer,
+    txHash: entry.txHash,
+    blockNumber: entry.blockNumber,
+    deployedAt: timestamp,
+  };
+
+  deployment.contracts[key] = record;
+  deployment.history.push({
+    action: "deploy",
+    key,
+    ...record,
+    timestamp,
+  });
+
+  return record;
+}
+
+/**
+ * Registra un upgrade manteniendo el historial de implementaciones anteriores
+ * @param {Object} deployment - Registro de la red
+ * @param {string} key - Clave del contrato (ej. "musicFactory")
+ * @param {Object} entry - { contract, address, implementation, implementationTxHash, version, deployer, txHash, blockNumber }
+ */
+function recordUpgrade(deployment, key, entry) {
+  const current = deployment.contracts[key];
+  if (!current) {
+    throw new Error(`No hay un deploy registrado para ${key}`);
+  }
+
+  const timestamp = new Date().toISOString();
+  const previous = {
+    address: current.address,
+    implementation: current.implementation,
+    version: current.version,
+  };
+
+  Object.assign(current, {
+    contract: entry.contract || current.contract,
+    address: entry.address || current.address,
+    implementation: entry.implementation,
+    implementationTxHash: entry.implementationTxHash,
+    version: entry.version,
+    upgradedAt: timestamp,
+  });
+
+  deployment.history.push({
+    action: "upgrade",
+    key,
+    contract: current.contract,
+    address: current.address,
+    implementation: entry.implementation,
+    implementationTxHash: entry.implementationTxHash,
+    version: entry.version,
+    previousAddress: previous.address,
+    previousImplementation: previous.implementation,
+    previousVersion: previous.version,
+    deployer: entry.deployer,
+    txHash: entry.txHash,
+    blockNumber: entry.blockNumber,
+    timestamp,
+  });
+
+  return current;
+}
+
+/**
+ * Devuelve la dirección registrada de un contrato
+ * @param {Object} deployment - Registro de la red
+ * @param {string} key - Clave del contrato
+ */
+function getAddress(deployment, key) {
+  const record = deployment && deployment.contracts[key];
+  return record ? record.address : undefined;
+}
+
+/**
+ * Configuración consumida por el frontend
+ */
+function buildFrontendConfig(deployment) {
+  const lastEntry = deployment.history[deployment.history.length - 1];
+  return {
+    MUSIC_NFT_FACTORY_ADDRESS: getAddress(deployment, "musicFactory"),
+    REVENUE_SHARE_FACTORY_ADDRESS: getAddress(deployment, "revenueFactory"),
+    NETWORK: deployment.network,
+    CHAIN_ID: deployment.chainId,
+    LAST_UPDATED: lastEntry ? lastEntry.timestamp : undefined,
+  };
+}
+
+module.exports = {
+  CONTRACT_KEYS,
+  DEPLOYMENTS_DIR,
+  createDeployment,
+  findDeploymentByChainId,
+  getAddress,
+  getDeploymentsDir,
+  getNetworkDir,
+  listDeployments,
+  loadDeployment,
+  loadOrCreateDeployment,
+  recordDeploy,
+  recordUpgrade,
+  saveDeployment,
+};
@@ -0,0 +1,406 @@
+/**
+ * Indexer de eventos de colecciones, mints y pagos
+ *
+ * Recorre los logs por lotes de bloques desde el checkpoint del store:
+ * primero los factories, para descubrir las colecciones y revenue shares
+ * creados en el lote, y luego los eventos de todos los proxies conocidos.
+ * Antes de cada sincronización compara los hashes guardados con la cadena y,
+ * si hubo un reorg, descarta lo indexado desde el último bloque en común.
+ *
+ * Los pagos de mint y en cascada emiten el mismo evento: cada pago guarda en
+ * `payment` la función llamada en la transacción y, si es una cascada, el
+ * porcentaje de cascada del token al cierre de ese bloque. Desde la 1.5.0
+ * del RevenueShare, `RecipientPaid` registra además lo que cobró cada
+ * destinatario (ver `getEarningsStatement`).
+ *
+ * Solo usa un provider de ethers: funciona contra un nodo local de Hardhat.
+ */
+const { Interface, ZeroAddress, getAddress } = require("ethers");
+const { getAbi } = require("../../sdk/abis");
+const { addEvents, rollbackStore, setCheckpoint } = require("./indexer-store");
+
+/**
+ * Eventos indexados por tipo de contrato
+ */
+const INDEXED_EVENTS = {
+  musicFactory: {
+    contract: "MusicNFTFactoryUpgradeable",
+    events: ["CollectionCreated"],
+  },
+  revenueFactory: {
+    contract: "RevenueShareFactoryUpgradeable",
+    events: ["RevenueShareCreated"],
+  },
+  collection: {
+    contract: "MusicCollectionUpgradeable",
+    events: [
+      "TokenMinted",
+      "TokenMintedWithETH",
+      "TokenMintedWithERC20",
+      "TokenURIUpdated",
+      "BaseURIUpdated",
+      "MaxSupplyUpdated",
+    ],
+  },
+  revenueShare: {
+    contract: "RevenueShareUpgradeable",
+    events: [
+      "PaymentDistributed",
+      "ERC20PaymentDistributed",
+      "MintSplitsSet",
+      "InheritanceSet",
+      "LineageSet",
+      "RecipientPaid",
+      "LineagePaymentForwarded",
+    ],
+  },
+};
+
+const PAYMENT_EVENTS = ["PaymentDistributed", "ERC20PaymentDistributed"];
+const CASCADE_FUNCTIONS = [
+  "distributeCascadePayment",
+  "distributeCascadePaymentERC20",
+];
+
+const DEFAULT_BATCH_SIZE = 2000;
+
+// `getLogs` con demasiadas direcciones es rechazado por varios RPC
+const ADDRESS_CHUNK_SIZE = 200;
+
+let eventSets;
+
+function getEventSets() {
+  if (!eventSets) {
+    eventSets = {};
+    for (const [kind, { contract, events }] of Object.entries(INDEXED_EVENTS)) {
+      const iface = new Interface(getAbi(contract));
+      eventSets[kind] = {
+        iface,
+        topics: events.map((name) => iface.getEvent(name).topicHash),
+      };
+    }
+  }
+  return eventSets;
+}
+
+/**
+ * Convierte un valor decodificado a JSON (uint como string, structs como objeto)
+ */
+function toJsonValue(param, value) {
+  if (param.baseType === "array") {
+    return Array.from(value, (item) => toJsonValue(param.arrayChildren, item));
+  }
+  if (param.baseType === "tuple") {
+    return Object.fromEntries(
+      param.components.map((component, i) => [
+        component.name || i,
+        toJsonValue(component, value[i]),
+      ])
+    );
+  }
+  if (typeof value === "bigint") return value.toString();
+  return value;
+}
+
+function decodeLog(kind, log) {
+  const parsed = getEventSets()[kind].iface.parseLog({
+    topics: log.topics,
+    data: log.data,
+  });
+  if (!parsed) return null;
+
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name || i] = toJsonValue(input, parsed.args[i]);
+  });
+
+  return {
+    id: `${log.transactionHash}:${log.index}`,
+    name: parsed.name,
+    kind,
+    address: getAddress(log.address),
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+    args,
+  };
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Crea un indexer sobre un store
+ * @param {Object} params
+ * @param {Object} params.provider - Provider de ethers v6
+ * @param {Object} params.store - Store creado con `createStore` o `loadStore`
+ * @param {number} [params.batchSize] - Bloques por consulta de logs
+ * @param {number} [params.confirmations] - Bloques a dejar sin indexar en la punta
+ * @param {Function} [params.onBatch] - Se llama tras cada lote (ej. para guardar)
+ * @returns {Object} - { sync, checkReorg }
+ */
+function createEventIndexer({
+  provider,
+  store,
+  batchSize = DEFAULT_BATCH_SIZE,
+  confirmations = 0,
+  onBatch,
+}) {
+  async function getLogs(kind, addresses, fromBlock, toBlock) {
+    const logs = [];
+    for (const address of chunk(addresses, ADDRESS_CHUNK_SIZE)) {
+      logs.push(
+        ...(await provider.getLogs({
+          address,
+          topics: [getEventSets()[kind].topics],
+          fromBlock,
+          toBlock,
+        }))
+      );
+    }
+    return logs
+      .map((log) => decodeLog(kind, log))
+      .filter(Boolean)
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  async function callAt(kind, to, method, args, blockTag) {
+    const { iface } = getEventSets()[kind];
+    const data = await provider.call({
+      to,
+      data: iface.encodeFunctionData(method, args),
+      blockTag,
+    });
+    return iface.decodeFunctionResult(method, data)[0];
+  }
+
+  function trackRevenueShare(address, record) {
+    if (store.revenueShares[address]) return false;
+    store.revenueShares[address] = { address, ...record };
+    return true;
+  }
+
+  /**
+   * Registra los proxies creados por los factories en el rango
+   */
+  async function discoverProxies(fromBlock, toBlock) {
+    const { musicFactory, revenueFactory } = store.factories;
+    const discovered = { collections: [], revenueShares: [] };
+
+    const created = [
+      ...(await getLogs("musicFactory", [musicFactory], fromBlock, toBlock)),
+      ...(await getLogs(
+        "revenueFactory",
+        [revenueFactory],
+        fromBlock,
+        toBlock
+      )),
+    ];
+
+    for (const event of created) {
+      const origin = {
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+      };
+
+      if (event.name === "RevenueShareCreated") {
+        const address = getAddress(event.args.manager);
+        if (
+          trackRevenueShare(address, {
+            artist: event.args.artist,
+            name: event.args.name,
+            managerId: event.args.managerId,
+            source: "factory",
+            ...origin,
+          })
+        ) {
+          discovered.revenueShares.push(address);
+        }
+        continue;
+      }
+
+      const address = getAddress(event.args.collection);
+      if (store.collections[address]) continue;
+
+      // Una colección puede apuntar a un revenue share que no salió del factory
+      const revenueShare = getAddress(
+        await callAt(
+          "collection",
+          address,
+          "revenueShare",
+          [],
+          event.blockNumber
+        )
+      );
+      store.collections[address] = {
+        address,
+        artist: event.args.artist,
+        name: event.args.name,
+        symbol: event.args.symbol,
+        baseURI: await callAt(
+          "collection",
+          address,
+          "baseURI",
+          [],
+          event.blockNumber
+        ),
+        revenueShare: revenueShare === ZeroAddress ? null : revenueShare,
+        ...origin,
+      };
+      discovered.collections.push(address);
+
+      if (
+        revenueShare !== ZeroAddress &&
+        trackRevenueShare(revenueShare, {
+          artist: event.args.artist,
+          name: null,
+          managerId: null,
+          source: "collection",
+          ...origin,
+        })
+      ) {
+        discovered.revenueShares.push(revenueShare);
+      }
+    }
+
+    return { created, discovered };
+  }
+
+  async function addPaymentMethods(events) {
+    const { iface } = getEventSets().revenueShare;
+    for (const event of events) {
+      if (!PAYMENT_EVENTS.includes(event.name)) continue;
+
+      // Un pago llamado desde otro contrato (ej. el mint) cuenta como mint
+      const tx = await provider.getTransaction(event.transactionHash);
+      const called =
+        tx.to && getAddress(tx.to) === event.address
+          ? iface.parseTransaction({ data: tx.data })
+          : null;
+      if (!called || !CASCADE_FUNCTIONS.includes(called.name)) {
+        event.payment = { method: "mint" };
+        continue;
+      }
+
+      const cascadePercentage = await callAt(
+        "revenueShare",
+        event.address,
+        "cascadePercentage",
+        [event.args.tokenId],
+        event.blockNumber
+      );
+      event.payment = {
+        method: "cascade",
+        cascadePercentage: Number(cascadePercentage),
+      };
+    }
+  }
+
+  async function addTimestamps(events) {
+    const timestamps = new Map();
+    for (const event of events) {
+      if (!timestamps.has(event.blockNumber)) {
+        const block = await provider.getBlock(event.blockNumber);
+        timestamps.set(event.blockNumber, block.timestamp);
+      }
+      event.timestamp = timestamps.get(event.blockNumber);
+    }
+  }
+
+  /**
+   * Compara los bloques de corte guardados con la cadena y descarta lo
+   * indexado después del último bloque en común
+   * @returns {Promise<Object|null>} - Detalle del reorg o null si no hubo
+   */
+  async function checkReorg() {
+    const tracked = store.blocks;
+    for (let i = tracked.length - 1; i >= 0; i--) {
+      const block = await provider.getBlock(tracked[i].number);
+      if (block && block.hash === tracked[i].hash) {
+        if (i === tracked.length - 1) return null;
+
+        const from = store.checkpoint.blockNumber;
+        const removed = rollbackStore(store, tracked[i].number);
+        return { from, to: tracked[i].number, removed };
+      }
+    }
+
+    if (tracked.length > 0) {
+      throw new Error(
+        `Reorg más profundo que los ${tracked.length} bloques guardados (desde el ${tracked[0].number}): reindexa desde cero`
+      );
+    }
+    return null;
+  }
+
+  /**
+   * Indexa desde el checkpoint hasta `toBlock` (default: la punta menos las
+   * confirmaciones)
+   * @param {Object} [options]
+   * @param {number} [options.toBlock] - Último bloque a indexar
+   * @returns {Promise<Object>} - { fromBlock, toBlock, events, collections, revenueShares, reorg }
+   */
+  async function sync({ toBlock } = {}) {
+    const reorg = await checkReorg();
+
+    const head = (await provider.getBlockNumber()) - confirmations;
+    const target = toBlock === undefined ? head : Math.min(toBlock, head);
+    const fromBlock = store.checkpoint
+      ? store.checkpoint.blockNumber + 1
+      : store.startBlock;
+    const summary = {
+      fromBlock,
+      toBlock: target,
+      events: 0,
+      collections: [],
+      revenueShares: [],
+      reorg,
+    };
+
+    for (let start = fromBlock; start <= target; start += batchSize) {
+      const end = Math.min(start + batchSize - 1, target);
+
+      const { created, discovered } = await discoverProxies(start, end);
+      const proxyEvents = [
+        ...(await getLogs(
+          "collection",
+          Object.keys(store.collections),
+          start,
+          end
+        )),
+        ...(await getLogs(
+          "revenueShare",
+          Object.keys(store.revenueShares),
+          start,
+          end
+        )),
+      ];
+      const events = [...created, ...proxyEvents];
+      await addTimestamps(events);
+      await addPaymentMethods(events);
+      summary.events += addEvents(store, events);
+      summary.collections.push(...discovered.collections);
+      summary.revenueShares.push(...discovered.revenueShares);
+
+      const block = await provider.getBlock(end);
+      setCheckpoint(store, { number: end, hash: block.hash });
+      if (onBatch) await onBatch({ fromBlock: start, toBlock: end, store });
+    }
+
+    return summary;
+  }
+
+  return { sync, checkReorg };
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  INDEXED_EVENTS,
+  createEventIndexer,
+};
@@ -0,0 +1,294 @@
+/**
+ * API HTTP de solo lectura sobre el store del indexer
+ *
+ * Responde JSON (montos como string) con `http` de Node, sin dependencias.
+ * El store se relee cuando cambia el archivo, así que puede servirse
+ * mientras `indexer:sync --watch` lo actualiza en otro proceso.
+ *
+ * Los listados aceptan `limit` (máx. 500) y `offset` y devuelven
+ * `{ items, total, limit, offset }`.
+ */
+const fs = require("fs");
+const http = require("http");
+const { getAddress, isAddress } = require("ethers");
+const queries = require("./indexer-queries");
+const { loadStore } = require("./indexer-store");
+
+/**
+ * Error con el código HTTP a responder
+ * @param {number} status - Código HTTP
+ * @param {string} message - Mensaje para el cliente
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function toJson(value) {
+  return JSON.stringify(value, (_, item) =>
+    typeof item === "bigint" ? item.toString() : item
+  );
+}
+
+function parseAddressParam(name, value) {
+  if (!isAddress(value)) {
+    throw httpError(400, `${name} no es una dirección válida: ${value}`);
+  }
+  return getAddress(value);
+}
+
+function parseIntParam(name, value, fallback) {
+  if (value === null) return fallback;
+  if (!/^\d+$/.test(value)) {
+    throw httpError(400, `${name} debe ser un entero no negativo: ${value}`);
+  }
+  return Number(value);
+}
+
+/**
+ * Timestamp unix en segundos o fecha ISO (ej. 2024-06-01)
+ */
+function parseTimeParam(name, value) {
+  if (value === null) return undefined;
+  if (/^\d+$/.test(value)) return Number(value);
+  const millis = Date.parse(value);
+  if (Number.isNaN(millis)) {
+    throw httpError(
+      400,
+      `${name} debe ser un timestamp unix o una fecha ISO: ${value}`
+    );
+  }
+  return Math.floor(millis / 1000);
+}
+
+function parseAssetParam(value) {
+  if (value === null) return undefined;
+  return value.toUpperCase() === "ETH"
+    ? "ETH"
+    : parseAddressParam("asset", value);
+}
+
+function parsePage(query) {
+  return {
+    limit: parseIntParam(
+      "limit",
+      query.get("limit"),
+      queries.DEFAULT_PAGE_SIZE
+    ),
+    offset: parseIntParam("offset", query.get("offset"), 0),
+  };
+}
+
+function parsePayoutFilters(query) {
+  return {
+    from: parseTimeParam("from", query.get("from")),
+    to: parseTimeParam("to", query.get("to")),
+    asset: parseAssetParam(query.get("asset")),
+  };
+}
+
+function requireCollection(store, address) {
+  const collection = queries.getCollection(store, address);
+  if (!collection) {
+    throw httpError(404, `Colección no indexada: ${address}`);
+  }
+  return collection;
+}
+
+/**
+ * Rutas: `:address` y `:tokenId` se validan antes de llegar al handler
+ */
+const ROUTES = {
+  "/health": (store) => ({
+    network: store.network,
+    chainId: store.chainId,
+    checkpoint: store.checkpoint,
+    collections: Object.keys(store.collections).length,
+    revenueShares: Object.keys(store.revenueShares).length,
+    events: store.events.length,
+  }),
+
+  "/collections": (store, { query }) => {
+    const artist = query.get("artist");
+    return queries.paginate(
+      queries.listCollections(store, {
+        artist: artist && parseAddressParam("artist", artist),
+      }),
+      parsePage(query)
+    );
+  },
+
+  "/collections/:address": (store, { address }) =>
+    requireCollection(store, address),
+
+  "/collections/:address/tokens": (store, { address, query }) => {
+    requireCollection(store, address);
+    return queries.paginate(
+      queries.listCollectionTokens(store, address),
+      parsePage(query)
+    );
+  },
+
+  "/collections/:address/tokens/:tokenId": (store, { address, tokenId }) => {
+    requireCollection(store, address);
+    const token = queries
+      .listCollectionTokens(store, address)
+      .find((entry) => entry.tokenId === tokenId);
+    if (!token) {
+      throw httpError(404, `Token ${tokenId} sin actividad indexada`);
+    }
+    return token;
+  },
+
+  "/collections/:address/tokens/:tokenId/lineage": (
+    store,
+    { address, tokenId }
+  ) => {
+    requireCollection(store, address);
+    return queries.getTokenLineage(store, address, tokenId);
+  },
+
+  "/artists/:address/collections": (store, { address, query }) =>
+    queries.paginate(
+      queries.getArtistCollections(store, address),
+      parsePage(query)
+    ),
+
+  "/artists/:address/sales": (store, { address }) =>
+    queries.getArtistSales(store, address),
+
+  "/recipients/:address/earnings": (store, { address, query }) => {
+    const interval = query.get("interval") || "day";
+    if (!queries.INTERVALS.includes(interval)) {
+      throw httpError(
+        400,
+        `interval debe ser ${queries.INTERVALS.join(", ")}: ${interval}`
+      );
+    }
+    return queries.getRecipientEarnings(store, address, {
+      ...parsePayoutFilters(query),
+      interval,
+    });
+  },
+
+  "/recipients/:address/payouts": (store, { address, query }) =>
+    queries.paginate(
+      queries.getRecipientPayouts(store, address, parsePayoutFilters(query)),
+      parsePage(query)
+    ),
+
+  "/events": (store, { query }) => {
+    const address = query.get("address");
+    const fromBlock = query.get("fromBlock");
+    const toBlock = query.get("toBlock");
+    return queries.paginate(
+      queries.listEvents(store, {
+        name: query.get("name") || undefined,
+        address: address && parseAddressParam("address", address),
+        fromBlock: parseIntParam("fromBlock", fromBlock, undefined),
+        toBlock: parseIntParam("toBlock", toBlock, undefined),
+      }),
+      parsePage(query)
+    );
+  },
+};
+
+const PARAM_PARSERS = {
+  address: (value) => parseAddressParam("address", value),
+  tokenId: (value) => {
+    if (!/^\d+$/.test(value)) {
+      throw httpError(400, `tokenId debe ser un entero no negativo: ${value}`);
+    }
+    return BigInt(value).toString();
+  },
+};
+
+function matchRoute(pathname) {
+  const parts = pathname.replace(/\/+$/, "").split("/");
+  for (const [pattern, handler] of Object.entries(ROUTES)) {
+    const segments = pattern.split("/");
+    if (segments.length !== parts.length) continue;
+
+    const params = {};
+    const matches = segments.every((segment, i) => {
+      if (segment.startsWith(":")) {
+        try {
+          params[segment.slice(1)] = decodeURIComponent(parts[i]);
+        } catch (error) {
+          throw httpError(400, `Ruta mal codificada: ${pathname}`);
+        }
+        return true;
+      }
+      return segment === parts[i];
+    });
+    if (!matches) continue;
+
+    for (const [name, value] of Object.entries(params)) {
+      params[name] = PARAM_PARSERS[name](value);
+    }
+    return { handler, params };
+  }
+  return null;
+}
+
+/**
+ * Lee el store y lo cachea hasta que cambie el archivo
+ */
+function createStoreReader(file) {
+  let cached;
+  let mtime;
+  return () => {
+    if (!fs.existsSync(file)) {
+      throw httpError(503, "Store no disponible: ejecuta indexer:sync");
+    }
+    const { mtimeMs } = fs.statSync(file);
+    if (!cached || mtimeMs !== mtime) {
+      cached = loadStore(file);
+      mtime = mtimeMs;
+    }
+    return cached;
+  };
+}
+
+/**
+ * Crea el servidor HTTP de la API (sin escuchar todavía)
+ * @param {Object} params
+ * @param {string} params.file - Ruta del store del indexer
+ * @returns {http.Server}
+ */
+function createApiServer({ file }) {
+  const readStore = createStoreReader(file);
+
+  return http.createServer((req, res) => {
+    let status = 200;
+    let body;
+    try {
+      if (req.method !== "GET") {
+        throw httpError(405, `Método no permitido: ${req.method}`);
+      }
+      const url = new URL(req.url, "http://localhost");
+      const route = matchRoute(url.pathname);
+      if (!route) throw httpError(404, `Ruta no encontrada: ${url.pathname}`);
+
+      body = route.handler(readStore(), {
+        ...route.params,
+        query: url.searchParams,
+      });
+    } catch (error) {
+      status = error.status || 500;
+      body = { error: error.message };
+    }
+
+    res.writeHead(status, {
+      "Content-Type": "application/json; charset=utf-8",
+      "Access-Control-Allow-Origin": "*",
+    });
+    res.end(toJson(body));
+  });
+}
+
+module.exports = {
+  ROUTES,
+  createApiServer,
+};
@@ -0,0 +1,702 @@
+/**
+ * Consultas sobre el store del indexer
+ *
+ * Todas leen solo el store (ninguna llama a la cadena) y devuelven montos
+ * como bigint. Las ganancias por destinatario salen de los `RecipientPaid`
+ * (RevenueShare 1.5.0 o superior). Los pagos anteriores, sin ese evento, se
+ * reconstruyen aplicando los splits y fuentes vigentes en ese punto de la
+ * cadena con la misma aritmética del contrato (`sdk/splits.js`).
+ */
+const { ZeroAddress, getAddress } = require("ethers");
+const { MAX_LINEAGE_DEPTH } = require("../../sdk/lineage");
+const { ROLES } = require("../../sdk/payout-simulator");
+const { computeCascadeSplit, computeMintSplit } = require("../../sdk/splits");
+
+const MINT_EVENTS = [
+  "TokenMinted",
+  "TokenMintedWithETH",
+  "TokenMintedWithERC20",
+];
+const PAYMENT_EVENTS = ["PaymentDistributed", "ERC20PaymentDistributed"];
+
+/**
+ * Valores de `PayoutKind` en RecipientPaid, en el orden del enum
+ */
+const PAYOUT_KINDS = ["mint", "resale", "streaming"];
+
+/**
+ * Agrupaciones de tiempo de las ganancias
+ */
+const INTERVALS = ["day", "week", "month"];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+function sameAddress(a, b) {
+  return Boolean(a) && Boolean(b) && getAddress(a) === getAddress(b);
+}
+
+function addAmount(totals, key, amount) {
+  totals[key] = (totals[key] || 0n) + BigInt(amount);
+}
+
+/**
+ * Colecciones indexadas de un artista
+ * @param {Object} store
+ * @param {string} artist - Dirección del artista
+ * @returns {Array<Object>}
+ */
+function getArtistCollections(store, artist) {
+  return listCollections(store, { artist });
+}
+
+/**
+ * Resume lo que vendió un artista: mints por colección y token, lo cobrado
+ * por cada mint y lo repartido por sus revenue shares
+ *
+ * Los montos se agrupan por activo: "ETH" o la dirección del ERC20.
+ * @param {Object} store
+ * @param {string} artist - Dirección del artista
+ * @returns {Object} - { artist, collections, totals }
+ */
+function getArtistSales(store, artist) {
+  const totals = { mints: 0, tokens: 0n, revenue: {}, distributed: {} };
+
+  const collections = getArtistCollections(store, artist).map((collection) => {
+    const summary = {
+      ...collection,
+      mints: 0,
+      tokens: 0n,
+      freeMints: 0,
+      byToken: {},
+      revenue: {},
+      distributed: {},
+    };
+
+    for (const event of store.events) {
+      if (
+        MINT_EVENTS.includes(event.name) &&
+        sameAddress(event.address, collection.address)
+      ) {
+        const amount = BigInt(event.args.amount);
+        summary.mints++;
+        summary.tokens += amount;
+        addAmount(summary.byToken, event.args.tokenId, amount);
+        if (event.name === "TokenMinted") summary.freeMints++;
+        if (event.name === "TokenMintedWithETH") {
+          addAmount(summary.revenue, "ETH", event.args.cost);
+        }
+        if (event.name === "TokenMintedWithERC20") {
+          addAmount(summary.revenue, event.args.token, event.args.cost);
+        }
+      }
+
+      if (
+        PAYMENT_EVENTS.includes(event.name) &&
+        sameAddress(event.args.collection, collection.address)
+      ) {
+        addAmount(
+          summary.distributed,
+          event.name === "PaymentDistributed" ? "ETH" : event.args.token,
+          event.args.amount
+        );
+      }
+    }
+
+    totals.mints += summary.mints;
+    totals.tokens += summary.tokens;
+    for (const [asset, amount] of Object.entries(summary.revenue)) {
+      addAmount(totals.revenue, asset, amount);
+    }
+    for (const [asset, amount] of Object.entries(summary.distributed)) {
+      addAmount(totals.distributed, asset, amount);
+    }
+    return summary;
+  });
+
+  return { artist: getAddress(artist), collections, totals };
+}
+
+/**
+ * Devuelve una página de resultados
+ * @param {Array} items - Resultados completos
+ * @param {Object} [params] - { limit, offset }
+ * @returns {Object} - { items, total, limit, offset }
+ */
+function paginate(items, { limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+  const size = Math.min(limit, MAX_PAGE_SIZE);
+  return {
+    items: items.slice(offset, offset + size),
+    total: items.length,
+    limit: size,
+    offset,
+  };
+}
+
+/**
+ * Colecciones indexadas, en orden de creación
+ * @param {Object} store
+ * @param {Object} [filters]
+ * @param {string} [filters.artist] - Solo las de este artista
+ * @returns {Array<Object>}
+ */
+function listCollections(store, { artist } = {}) {
+  return Object.values(store.collections)
+    .filter((collection) => !artist || sameAddress(collection.artist, artist))
+    .sort((a, b) => a.blockNumber - b.blockNumber);
+}
+
+/**
+ * Colección indexada por dirección
+ * @param {Object} store
+ * @param {string} address
+ * @returns {Object|undefined}
+ */
+function getCollection(store, address) {
+  return store.collections[getAddress(address)];
+}
+
+function collectionEvents(store, collection) {
+  return store.events.filter((event) =>
+    sameAddress(event.address, collection.address)
+  );
+}
+
+/**
+ * Tokens de una colección con supply, max supply y URI
+ *
+ * Solo aparecen los tokens con algún mint o configuración indexada (el
+ * contrato no los enumera). El URI sigue la lógica de `uri()`: el URI propio
+ * del token o, si no tiene, el baseURI vigente de la colección.
+ * @param {Object} store
+ * @param {string} address - Dirección de la colección
+ * @returns {Array<Object>|undefined} - undefined si la colección no está indexada
+ */
+function listCollectionTokens(store, address) {
+  const collection = getCollection(store, address);
+  if (!collection) return undefined;
+
+  let baseURI = collection.baseURI;
+  const tokens = new Map();
+  const token = (tokenId) => {
+    if (!tokens.has(tokenId)) {
+      tokens.set(tokenId, {
+        tokenId,
+        supply: 0n,
+        maxSupply: null,
+        uri: null,
+        mints: 0,
+        firstMintAt: null,
+        lastMintAt: null,
+      });
+    }
+    return tokens.get(tokenId);
+  };
+
+  for (const event of collectionEvents(store, collection)) {
+    if (event.name === "BaseURIUpdated") {
+      baseURI = event.args.uri;
+    } else if (event.name === "TokenURIUpdated") {
+      token(event.args.tokenId).uri = event.args.uri;
+    } else if (event.name === "MaxSupplyUpdated") {
+      const maxSupply = BigInt(event.args.maxSupply);
+      token(event.args.tokenId).maxSupply = maxSupply > 0n ? maxSupply : null;
+    } else if (MINT_EVENTS.includes(event.name)) {
+      const minted = token(event.args.tokenId);
+      minted.supply += BigInt(event.args.amount);
+      minted.mints++;
+      minted.firstMintAt = minted.firstMintAt ?? event.timestamp;
+      minted.lastMintAt = event.timestamp;
+    }
+  }
+
+  return [...tokens.values()]
+    .map((entry) => ({ ...entry, uri: entry.uri || baseURI }))
+    .sort((a, b) => (BigInt(a.tokenId) < BigInt(b.tokenId) ? -1 : 1));
+}
+
+/**
+ * Último linaje ponderado (`LineageSet`) de cada token por RevenueShare
+ */
+function indexLineages(store) {
+  const lineages = new Map();
+  for (const event of store.events) {
+    if (event.name !== "LineageSet") continue;
+    lineages.set(
+      [event.address, getAddress(event.args.collection), event.args.tokenId]
+        .join(":")
+        .toLowerCase(),
+      {
+        sources: event.args.sources,
+        percentage: Number(event.args.percentage),
+      }
+    );
+  }
+  return (revenueShare, collection, tokenId) =>
+    lineages.get(
+      [revenueShare, collection, tokenId].join(":").toLowerCase()
+    ) || { sources: [], percentage: 0 };
+}
+
+/**
+ * Linaje de un token: fuentes heredadas en su revenue share, su linaje
+ * ponderado y el historial de ambos
+ *
+ * `weighted` resuelve el último `LineageSet` de cada fuente como
+ * `readLineageTree` (`sdk/lineage.js`): la fuente de una colección con otro
+ * revenue share se resuelve en ese contrato, donde la profundidad vuelve a
+ * 0, y en MAX_LINEAGE_DEPTH un token ya no cede su cascada (`truncated`).
+ * @param {Object} store
+ * @param {string} address - Dirección de la colección
+ * @param {string|number|bigint} tokenId
+ * @returns {Object|undefined} - { collection, tokenId, revenueShare, sources, cascadePercentage, weighted, history }
+ */
+function getTokenLineage(store, address, tokenId) {
+  const collection = getCollection(store, address);
+  if (!collection) return undefined;
+
+  const id = String(tokenId);
+  const lineage = {
+    collection: collection.address,
+    tokenId: id,
+    revenueShare: collection.revenueShare,
+    sources: [],
+    // Solo se conoce por los pagos en cascada indexados (no hay evento)
+    cascadePercentage: null,
+    weighted: null,
+    history: [],
+  };
+  if (!collection.revenueShare) return lineage;
+
+  for (const event of store.events) {
+    if (!sameAddress(event.address, collection.revenueShare)) continue;
+    const entry = {
+      event: event.name,
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp,
+      transactionHash: event.transactionHash,
+    };
+    if (event.name === "InheritanceSet" && event.args.tokenId === id) {
+      lineage.sources = event.args.sources;
+      lineage.history.push({ sources: event.args.sources, ...entry });
+    }
+    if (
+      event.name === "LineageSet" &&
+      event.args.tokenId === id &&
+      sameAddress(event.args.collection, collection.address)
+    ) {
+      lineage.history.push({
+        sources: event.args.sources,
+        percentage: Number(event.args.percentage),
+        ...entry,
+      });
+    }
+    if (
+      event.payment &&
+      event.payment.method === "cascade" &&
+      event.args.tokenId === id &&
+      sameAddress(event.args.collection, collection.address)
+    ) {
+      lineage.cascadePercentage = event.payment.cascadePercentage;
+    }
+  }
+
+  const lineageOf = indexLineages(store);
+  // Una colección sin revenue share indexado se reparte en el mismo contrato,
+  // como hace `_sourceRevenueShare`
+  const resolveSources = (revenueShare, sources, depth, active) =>
+    sources.map((source) => {
+      const known = store.collections[getAddress(source.collection)];
+      const target = (known && known.revenueShare) || revenueShare;
+      const forwarded = !sameAddress(target, revenueShare);
+      const node = {
+        collection: getAddress(source.collection),
+        tokenId: source.tokenId,
+        weight: Number(source.weight),
+        revenueShare: target,
+        depth: forwarded ? 0 : depth + 1,
+        forwarded,
+        percentage: 0,
+        truncated: false,
+        cycle: forwarded && active.has(target.toLowerCase()),
+        sources: [],
+      };
+      if (node.cycle) return node;
+
+      const own = lineageOf(target, node.collection, node.tokenId);
+      node.percentage = own.percentage;
+      node.truncated =
+        own.sources.length > 0 && node.depth >= MAX_LINEAGE_DEPTH;
+      if (own.sources.length > 0 && !node.truncated) {
+        node.sources = resolveSources(
+          target,
+          own.sources,
+          node.depth,
+          new Set(active).add(target.toLowerCase())
+        );
+      }
+      return node;
+    });
+
+  const root = lineageOf(collection.revenueShare, collection.address, id);
+  if (root.sources.length > 0) {
+    lineage.weighted = {
+      percentage: root.percentage,
+      sources: resolveSources(
+        collection.revenueShare,
+        root.sources,
+        0,
+        new Set([collection.revenueShare.toLowerCase()])
+      ),
+    };
+  }
+  return lineage;
+}
+
+function parseTimestamp(value) {
+  return value === undefined ? undefined : Number(value);
+}
+
+/**
+ * Pagos recibidos por una cuenta
+ *
+ * Los pagos de un RevenueShare 1.5.0 o superior salen de sus `RecipientPaid`
+ * (`getStatementLines`): incluyen reventas, streaming y lo que llega por el
+ * linaje ponderado. Los anteriores, sin ese evento, se reconstruyen con los
+ * splits del token o, si no tiene, los de la colección (tokenId 0) y la
+ * herencia vigentes al momento del pago, igual que `_getEffectiveMintSplits`.
+ * @param {Object} store
+ * @param {string} recipient - Dirección del destinatario
+ * @param {Object} [filters]
+ * @param {number} [filters.from] - Timestamp unix mínimo (inclusive)
+ * @param {number} [filters.to] - Timestamp unix máximo (inclusive)
+ * @param {string} [filters.asset] - "ETH" o dirección del ERC20
+ * @returns {Array<Object>} - [{ role, asset, amount, collection, tokenId, revenueShare, method, blockNumber, timestamp, transactionHash }]
+ */
+function getRecipientPayouts(store, recipient, { from, to, asset } = {}) {
+  const account = getAddress(recipient);
+  const splits = new Map();
+  const sources = new Map();
+  const methods = new Map();
+  const reported = new Set();
+  const payouts = [];
+  const key = (...parts) => parts.join(":").toLowerCase();
+
+  for (const event of store.events) {
+    if (event.name === "RecipientPaid") {
+      reported.add(key(event.transactionHash, event.address));
+    }
+  }
+
+  for (const event of store.events) {
+    const { args } = event;
+    if (event.name === "MintSplitsSet") {
+      splits.set(
+        key(event.address, args.collection, args.tokenId),
+        args.shares
+      );
+      continue;
+    }
+    if (event.name === "InheritanceSet") {
+      sources.set(key(event.address, args.tokenId), args.sources);
+      continue;
+    }
+    if (!PAYMENT_EVENTS.includes(event.name)) continue;
+
+    const method = event.payment ? event.payment.method : "mint";
+    if (reported.has(key(event.transactionHash, event.address))) {
+      methods.set(key(event.transactionHash, event.address), method);
+      continue;
+    }
+
+    const tokenShares = splits.get(
+      key(event.address, args.collection, args.tokenId)
+    );
+    const shares =
+      tokenShares && tokenShares.length > 0
+        ? tokenShares
+        : splits.get(key(event.address, args.collection, "0")) || [];
+    const split =
+      method === "cascade"
+        ? computeCascadeSplit(args.amount, {
+            sources: sources.get(key(event.address, args.tokenId)) || [],
+            cascadePercentage: event.payment.cascadePercentage,
+            shares,
+          })
+        : { sourcePayouts: [], ...computeMintSplit(args.amount, shares) };
+
+    const paymentAsset =
+      event.name === "PaymentDistributed" ? "ETH" : getAddress(args.token);
+    const received = [
+      ...split.sourcePayouts.map((payout) => ({
+        ...payout,
+        role: ROLES.source,
+      })),
+      ...split.payouts.map((payout) => ({ ...payout, role: ROLES.split })),
+    ].filter((payout) => sameAddress(payout.account, account));
+
+    for (const payout of received) {
+      payouts.push({
+        role: payout.role,
+        asset: paymentAsset,
+        amount: payout.amount,
+        collection: getAddress(args.collection),
+        tokenId: args.tokenId,
+        revenueShare: event.address,
+        method,
+        blockNumber: event.blockNumber,
+        timestamp: event.timestamp,
+        transactionHash: event.transactionHash,
+      });
+    }
+  }
+
+  // Un pago de mint es "cascade" si llegó por el linaje o si la transacción
+  // llamó distributeCascadePayment* en ese RevenueShare
+  for (const line of getStatementLines(store, { recipient: account })) {
+    const called = methods.get(key(line.transactionHash, line.revenueShare));
+    payouts.push({
+      role: line.cascade ? ROLES.source : ROLES.split,
+      asset: line.asset,
+      amount: line.amount,
+      collection: line.collection,
+      tokenId: line.tokenId,
+      revenueShare: line.revenueShare,
+      method:
+        line.kind === "mint" && (line.cascade || called === "cascade")
+          ? "cascade"
+          : line.kind,
+      blockNumber: line.blockNumber,
+      timestamp: line.timestamp,
+      transactionHash: line.transactionHash,
+    });
+  }
+
+  const since = parseTimestamp(from);
+  const until = parseTimestamp(to);
+  return payouts
+    .sort((a, b) => a.blockNumber - b.blockNumber)
+    .filter(
+      (payout) =>
+        (since === undefined || payout.timestamp >= since) &&
+        (until === undefined || payout.timestamp <= until) &&
+        (!asset || payout.asset === asset || sameAddress(payout.asset, asset))
+    );
+}
+
+/**
+ * Inicio del período (UTC) de un timestamp: día, semana (lunes) o mes
+ */
+function getPeriod(timestamp, interval) {
+  const date = new Date(timestamp * 1000);
+  if (interval === "month") return date.toISOString().slice(0, 7);
+  if (interval === "week") {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Ganancias de un destinatario por activo y por período
+ * @param {Object} store
+ * @param {string} recipient - Dirección del destinatario
+ * @param {Object} [filters] - { from, to, asset } de `getRecipientPayouts` e `interval`
+ * @returns {Object} - { recipient, interval, payments, totals, periods }
+ */
+function getRecipientEarnings(store, recipient, filters = {}) {
+  const { interval = "day" } = filters;
+  if (!INTERVALS.includes(interval)) {
+    throw new Error(
+      `Intervalo inválido: ${interval} (${INTERVALS.join(", ")})`
+    );
+  }
+
+  const payouts = getRecipientPayouts(store, recipient, filters);
+  const totals = {};
+  const periods = new Map();
+  for (const payout of payouts) {
+    addAmount(totals, payout.asset, payout.amount);
+
+    const period = getPeriod(payout.timestamp, interval);
+    if (!periods.has(period)) {
+      periods.set(period, { period, payments: 0, amounts: {} });
+    }
+    const entry = periods.get(period);
+    entry.payments++;
+    addAmount(entry.amounts, payout.asset, payout.amount);
+  }
+
+  return {
+    recipient: getAddress(recipient),
+    interval,
+    payments: payouts.length,
+    totals,
+    periods: [...periods.values()].sort((a, b) =>
+      a.period.localeCompare(b.period)
+    ),
+  };
+}
+
+/**
+ * Líneas de un estado de cuenta: una por cada `RecipientPaid` indexado
+ *
+ * A diferencia de `getRecipientPayouts`, no recalcula nada: usa lo que el
+ * contrato pagó (RevenueShare 1.5.0 o superior). La parte que un remix cede
+ * a una fuente de otra colección llega al RevenueShare de esa colección como
+ * un pago nuevo; se marca como cascada cruzándola con el
+ * `LineagePaymentForwarded` de la misma transacción.
+ * @param {Object} store
+ * @param {Object} [filters]
+ * @param {number} [filters.from] - Timestamp unix mínimo (inclusive)
+ * @param {number} [filters.to] - Timestamp unix máximo (inclusive)
+ * @param {string} [filters.recipient] - Solo los pagos a esta cuenta
+ * @param {string} [filters.collection] - Solo los pagos por tokens de esta colección
+ * @param {string} [filters.asset] - "ETH" o dirección del ERC20
+ * @returns {Array<Object>} - [{ recipient, revenueShare, collection, tokenId, asset, amount, kind, cascade, blockNumber, timestamp, transactionHash }]
+ */
+function getStatementLines(
+  store,
+  { from, to, recipient, collection, asset } = {}
+) {
+  const key = (...parts) => parts.map(String).join(":").toLowerCase();
+  const forwarded = new Set(
+    store.events
+      .filter((event) => event.name === "LineagePaymentForwarded")
+      .map((event) =>
+        key(
+          event.transactionHash,
+          event.args.revenueShare,
+          event.args.collection,
+          event.args.tokenId
+        )
+      )
+  );
+
+  const since = parseTimestamp(from);
+  const until = parseTimestamp(to);
+  return store.events
+    .filter((event) => event.name === "RecipientPaid")
+    .map((event) => ({
+      recipient: getAddress(event.args.account),
+      revenueShare: event.address,
+      collection: getAddress(event.args.collection),
+      tokenId: event.args.tokenId,
+      asset:
+        event.args.token === ZeroAddress ? "ETH" : getAddress(event.args.token),
+      amount: BigInt(event.args.amount),
+      kind: PAYOUT_KINDS[Number(event.args.kind)],
+      cascade:
+        event.args.cascade ||
+        forwarded.has(
+          key(
+            event.transactionHash,
+            event.address,
+            event.args.collection,
+            event.args.tokenId
+          )
+        ),
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp,
+      transactionHash: event.transactionHash,
+    }))
+    .filter(
+      (line) =>
+        (since === undefined || line.timestamp >= since) &&
+        (until === undefined || line.timestamp <= until) &&
+        (!recipient || sameAddress(line.recipient, recipient)) &&
+        (!collection || sameAddress(line.collection, collection)) &&
+        (!asset || line.asset === asset || sameAddress(line.asset, asset))
+    );
+}
+
+/**
+ * Estados de cuenta por destinatario: lo cobrado por colección, token y
+ * moneda en un rango de fechas, separando lo que llegó por cascada
+ * @param {Object} store
+ * @param {Object} [filters] - Los de `getStatementLines`
+ * @returns {Array<Object>} - [{ recipient, payments, totals, items, lines }]
+ *   con items [{ collection, tokenId, asset, payments, amount, cascade, byKind }]
+ */
+function getEarningsStatement(store, filters = {}) {
+  const statements = new Map();
+  for (const line of getStatementLines(store, filters)) {
+    if (!statements.has(line.recipient)) {
+      statements.set(line.recipient, {
+        recipient: line.recipient,
+        payments: 0,
+        totals: {},
+        items: new Map(),
+        lines: [],
+      });
+    }
+    const statement = statements.get(line.recipient);
+    statement.payments++;
+    statement.lines.push(line);
+    addAmount(statement.totals, line.asset, line.amount);
+
+    const itemKey = [line.collection, line.tokenId, line.asset].join(":");
+    if (!statement.items.has(itemKey)) {
+      statement.items.set(itemKey, {
+        collection: line.collection,
+        tokenId: line.tokenId,
+        asset: line.asset,
+        payments: 0,
+        amount: 0n,
+        cascade: 0n,
+        byKind: {},
+      });
+    }
+    const item = statement.items.get(itemKey);
+    item.payments++;
+    item.amount += line.amount;
+    if (line.cascade) item.cascade += line.amount;
+    addAmount(item.byKind, line.kind, line.amount);
+  }
+
+  return [...statements.values()]
+    .map((statement) => ({
+      ...statement,
+      items: [...statement.items.values()].sort(
+        (a, b) =>
+          a.collection.localeCompare(b.collection) ||
+          Number(BigInt(a.tokenId) - BigInt(b.tokenId)) ||
+          a.asset.localeCompare(b.asset)
+      ),
+    }))
+    .sort((a, b) => a.recipient.localeCompare(b.recipient));
+}
+
+/**
+ * Eventos indexados con filtros
+ * @param {Object} store
+ * @param {Object} [filters] - { name, address, fromBlock, toBlock }
+ * @returns {Array<Object>}
+ */
+function listEvents(store, { name, address, fromBlock, toBlock } = {}) {
+  return store.events.filter(
+    (event) =>
+      (!name || event.name === name) &&
+      (!address || sameAddress(event.address, address)) &&
+      (fromBlock === undefined || event.blockNumber >= fromBlock) &&
+      (toBlock === undefined || event.blockNumber <= toBlock)
+  );
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  INTERVALS,
+  MAX_PAGE_SIZE,
+  PAYOUT_KINDS,
+  getArtistCollections,
+  getArtistSales,
+  getCollection,
+  getEarningsStatement,
+  getRecipientEarnings,
+  getRecipientPayouts,
+  getStatementLines,
+  getTokenLineage,
+  listCollectionTokens,
+  listCollections,
+  listEvents,
+  paginate,
+};
@@ -0,0 +1,165 @@
+/**
+ * Store local del indexer de eventos
+ *
+ * Un archivo JSON por red en `.indexer/<network>.json` con:
+ * - `checkpoint`: último bloque indexado y su hash, para reanudar
+ * - `blocks`: hashes de los últimos bloques de corte, para detectar reorgs
+ * - `collections` / `revenueShares`: proxies descubiertos por dirección
+ * - `events`: eventos decodificados en orden de cadena (montos como string)
+ *
+ * No depende de Hardhat para que otros procesos puedan leerlo.
+ */
+const fs = require("fs");
+const path = require("path");
+const { getAddress } = require("ethers");
+
+const STORE_VERSION = 4;
+const INDEXER_DIR = path.join(__dirname, "..", "..", ".indexer");
+
+/**
+ * Cantidad de bloques de corte que se conservan para detectar reorgs
+ */
+const MAX_TRACKED_BLOCKS = 64;
+
+/**
+ * Ruta por defecto del store de una red
+ * @param {string} networkName - Nombre de la red en Hardhat
+ */
+function getStorePath(networkName) {
+  return path.join(INDEXER_DIR, `${networkName}.json`);
+}
+
+/**
+ * Crea un store vacío
+ * @param {Object} params
+ * @param {string} params.network - Nombre de la red
+ * @param {number|bigint} params.chainId - Chain ID de la red
+ * @param {Object} params.factories - { musicFactory, revenueFactory }
+ * @param {number} params.startBlock - Primer bloque a indexar
+ * @returns {Object} - Store vacío
+ */
+function createStore({ network, chainId, factories, startBlock }) {
+  return {
+    version: STORE_VERSION,
+    network,
+    chainId: Number(chainId),
+    factories: {
+      musicFactory: getAddress(factories.musicFactory),
+      revenueFactory: getAddress(factories.revenueFactory),
+    },
+    startBlock,
+    checkpoint: null,
+    blocks: [],
+    collections: {},
+    revenueShares: {},
+    events: [],
+  };
+}
+
+/**
+ * Lee un store guardado
+ * @param {string} file - Ruta del store
+ * @returns {Object|undefined} - Store o undefined si no existe
+ */
+function loadStore(file) {
+  if (!fs.existsSync(file)) return undefined;
+  const store = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (store.version !== STORE_VERSION) {
+    throw new Error(
+      `Store ${file} en versión ${store.version}; se esperaba ${STORE_VERSION}. Reindexa desde cero`
+    );
+  }
+  return store;
+}
+
+/**
+ * Guarda el store (escribe a un temporal y renombra para no dejarlo a medias)
+ * @param {Object} store
+ * @param {string} file - Ruta del store
+ * @returns {string} - Ruta escrita
+ */
+function saveStore(store, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+  return file;
+}
+
+/**
+ * Registra un bloque indexado como nuevo checkpoint
+ * @param {Object} store
+ * @param {{number: number, hash: string}} block
+ */
+function setCheckpoint(store, { number, hash }) {
+  store.checkpoint = { blockNumber: number, blockHash: hash };
+  store.blocks.push({ number, hash });
+  if (store.blocks.length > MAX_TRACKED_BLOCKS) {
+    store.blocks.splice(0, store.blocks.length - MAX_TRACKED_BLOCKS);
+  }
+}
+
+/**
+ * Agrega eventos ignorando los que ya estén guardados
+ * @param {Object} store
+ * @param {Array<Object>} events - Eventos con `id` único (txHash:logIndex)
+ * @returns {number} - Cantidad de eventos nuevos
+ */
+function addEvents(store, events) {
+  const known = new Set(store.events.map((event) => event.id));
+  let added = 0;
+  for (const event of events) {
+    if (known.has(event.id)) continue;
+    store.events.push(event);
+    known.add(event.id);
+    added++;
+  }
+  store.events.sort(
+    (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+  );
+  return added;
+}
+
+/**
+ * Descarta todo lo indexado después de un bloque (reorg)
+ * @param {Object} store
+ * @param {number} blockNumber - Último bloque que sigue siendo válido
+ * @returns {Object} - Cantidades descartadas { events, collections, revenueShares }
+ */
+function rollbackStore(store, blockNumber) {
+  const removed = { events: 0, collections: 0, revenueShares: 0 };
+
+  const kept = store.events.filter((event) => event.blockNumber <= blockNumber);
+  removed.events = store.events.length - kept.length;
+  store.events = kept;
+
+  for (const key of ["collections", "revenueShares"]) {
+    for (const [address, record] of Object.entries(store[key])) {
+      if (record.blockNumber > blockNumber) {
+        delete store[key][address];
+        removed[key]++;
+      }
+    }
+  }
+
+  store.blocks = store.blocks.filter((block) => block.number <= blockNumber);
+  const last = store.blocks[store.blocks.length - 1];
+  store.checkpoint = last
+    ? { blockNumber: last.number, blockHash: last.hash }
+    : null;
+
+  return removed;
+}
+
+module.exports = {
+  INDEXER_DIR,
+  MAX_TRACKED_BLOCKS,
+  STORE_VERSION,
+  addEvents,
+  createStore,
+  getStorePath,
+  loadStore,
+  rollbackStore,
+  saveStore,
+  setCheckpoint,
+};
@@ -0,0 +1,39 @@
+/**
+ * Consulta de logs por tramos de bloques
+ *
+ * Varios RPC limitan el rango de bloques de `eth_getLogs`, así que los
+ * scripts que recorren el historial de un contrato lo piden por tramos.
+ */
+
+/**
+ * Logs de un filtro consultados en tramos de `batchSize` bloques
+ * @param {Object} provider - Provider de ethers v6
+ * @param {Object} filter - Filtro sin rango de bloques
+ * @param {number} fromBlock - Primer bloque
+ * @param {number} toBlock - Último bloque
+ * @param {number} batchSize - Bloques por consulta
+ * @returns {Promise<Array<Object>>} - Logs en orden
+ */
+async function getLogsInBatches(
+  provider,
+  filter,
+  fromBlock,
+  toBlock,
+  batchSize
+) {
+  const logs = [];
+  for (let start = fromBlock; start <= toBlock; start += batchSize) {
+    logs.push(
+      ...(await provider.getLogs({
+        ...filter,
+        fromBlock: start,
+        toBlock: Math.min(start + batchSize - 1, toBlock),
+      }))
+    );
+  }
+  return logs;
+}
+
+module.exports = {
+  getLogsInBatches,
+};
@@ -0,0 +1,389 @@
+/**
+ * Perfiles de red para deploys y upgrades
+ *
+ * Cada perfil define la red en Hardhat (RPC y chainId), el owner de los
+ * factories (normalmente un multisig), las confirmaciones a esperar por
+ * transacción, la estrategia de gas y el explorador donde se verifican los
+ * contratos. Los perfiles `mainnet` exigen owner y una confirmación explícita
+ * antes de enviar transacciones.
+ *
+ * No depende de Hardhat: lo carga hardhat.config.js.
+ */
+const readline = require("readline");
+const { ethers } = require("ethers");
+
+/**
+ * Perfiles conocidos. `rpcEnv` y `ownerEnv` son las variables de entorno que
+ * sobrescriben el RPC público y definen el owner de la red.
+ *
+ * Estrategias de gas:
+ * - `auto`: lo que estime el provider
+ * - `eip1559`: maxFeePerGas = baseFee * baseFeePercent / 100 + propina, con
+ *   propina mínima `minPriorityFeeGwei` (Polygon rechaza menos de 30 gwei)
+ * - `legacy`: gasPrice del provider * gasPricePercent / 100
+ * `maxFeeGwei` es un tope: si el gas calculado lo supera no se envía nada.
+ */
+const NETWORK_PROFILES = {
+  base: {
+    chainId: 8453,
+    rpcUrl: "https://mainnet.base.org",
+    rpcEnv: "BASE_RPC_URL",
+    ownerEnv: "BASE_OWNER",
+    mainnet: true,
+    confirmations: 3,
+    gas: {
+      strategy: "eip1559",
+      baseFeePercent: 200,
+      minPriorityFeeGwei: "0.001",
+      maxFeeGwei: "1",
+    },
+    verifier: {
+      apiKeyEnv: "BASESCAN_API_KEY",
+      apiURL: "https://api.basescan.org/api",
+      browserURL: "https://basescan.org",
+    },
+  },
+  baseSepolia: {
+    chainId: 84532,
+    rpcUrl: "https://sepolia.base.org",
+    rpcEnv: "BASE_SEPOLIA_RPC_URL",
+    ownerEnv: "BASE_SEPOLIA_OWNER",
+    mainnet: false,
+    confirmations: 1,
+    gas: { strategy: "auto" },
+    verifier: {
+      apiKeyEnv: "BASESCAN_API_KEY",
+      apiURL: "https://api-sepolia.basescan.org/api",
+      browserURL: "https://sepolia.basescan.org",
+    },
+  },
+  polygon: {
+    chainId: 137,
+    rpcUrl: "https://polygon-rpc.com",
+    rpcEnv: "POLYGON_RPC_URL",
+    ownerEnv: "POLYGON_OWNER",
+    mainnet: true,
+    confirmations: 5,
+    gas: {
+      strategy: "eip1559",
+      baseFeePercent: 200,
+      minPriorityFeeGwei: "30",
+      maxFeeGwei: "500",
+    },
+    verifier: {
+      apiKeyEnv: "POLYGONSCAN_API_KEY",
+      apiURL: "https://api.polygonscan.com/api",
+      browserURL: "https://polygonscan.com",
+    },
+  },
+  arbitrum: {
+    chainId: 42161,
+    rpcUrl: "https://arb1.arbitrum.io/rpc",
+    rpcEnv: "ARBITRUM_RPC_URL",
+    ownerEnv: "ARBITRUM_OWNER",
+    mainnet: true,
+    confirmations: 1,
+    // Arbitrum cobra el baseFee y devuelve el excedente: no hay propina
+    gas: { strategy: "legacy", gasPricePercent: 120, maxFeeGwei: "1" },
+    verifier: {
+      apiKeyEnv: "ARBISCAN_API_KEY",
+      apiURL: "https://api.arbiscan.io/api",
+      browserURL: "https://arbiscan.io",
+    },
+  },
+  // Nodo local (hardhat node o anvil). Sin chainId: anvil conserva el de
+  // la red que forkea
+  localhost: {
+    rpcUrl: "http://127.0.0.1:8545",
+    rpcEnv: "LOCALHOST_RPC_URL",
+    ownerEnv: "LOCALHOST_OWNER",
+    mainnet: false,
+    confirmations: 1,
+    gas: { strategy: "auto" },
+  },
+};
+
+/** Redes locales: con FORK_NETWORK heredan owner y gas de la red forkeada */
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+const LOCAL_PROFILE = {
+  mainnet: false,
+  confirmations: 1,
+  gas: { strategy: "auto" },
+};
+
+function readOwner(profileName, ownerEnv, env) {
+  const owner = ownerEnv && env[ownerEnv];
+  if (!owner) return null;
+  if (!ethers.isAddress(owner) || owner === ethers.ZeroAddress) {
+    throw new Error(
+      `${ownerEnv} no es una dirección válida para el perfil ${profileName}: ${owner}`
+    );
+  }
+  return ethers.getAddress(owner);
+}
+
+function resolveVerifier(verifier, env) {
+  if (!verifier) return null;
+  return {
+    apiURL: verifier.apiURL,
+    browserURL: verifier.browserURL,
+    apiKey: env[verifier.apiKeyEnv] || env.ETHERSCAN_API_KEY || "",
+  };
+}
+
+/**
+ * Resuelve el perfil de una red con las variables de entorno
+ *
+ * `hardhat` y `localhost` son locales: no son mainnet y esperan una
+ * confirmación. Con `FORK_NETWORK=<perfil>` toman el owner y la estrategia
+ * de gas del perfil forkeado, para ensayar sobre un fork el deploy de esa red.
+ * @param {string} name - Nombre de la red en Hardhat
+ * @param {Object} [env] - Variables de entorno (default: process.env)
+ * @returns {Object} - { name, chainId, url, owner, mainnet, confirmations, gas, verifier, fork }
+ */
+function getNetworkProfile(name, env = process.env) {
+  const fork = LOCAL_NETWORKS.includes(name)
+    ? getForkProfileName(env)
+    : undefined;
+  const profile = NETWORK_PROFILES[name];
+  if (fork) {
+    const forked = NETWORK_PROFILES[fork];
+    return {
+      ...LOCAL_PROFILE,
+      name,
+      chainId: undefined,
+      url: profile ? env[profile.rpcEnv] || profile.rpcUrl : undefined,
+      owner: readOwner(fork, forked.ownerEnv, env),
+      gas: forked.gas,
+      verifier: null,
+      fork,
+    };
+  }
+  if (!profile) {
+    return {
+      ...LOCAL_PROFILE,
+      name,
+      chainId: undefined,
+      url: undefined,
+      owner: null,
+      verifier: null,
+      fork: null,
+    };
+  }
+
+  return {
+    name,
+    chainId: profile.chainId,
+    url: env[profile.rpcEnv] || profile.rpcUrl,
+    owner: readOwner(name, profile.ownerEnv, env),
+    mainnet: profile.mainnet,
+    confirmations: profile.confirmations,
+    gas: profile.gas,
+    verifier: resolveVerifier(profile.verifier, env),
+    fork: null,
+  };
+}
+
+function getForkProfileName(env) {
+  const fork = env.FORK_NETWORK;
+  if (!fork) return undefined;
+  const forkable = Object.keys(NETWORK_PROFILES).filter(
+    (name) => !LOCAL_NETWORKS.includes(name)
+  );
+  if (!forkable.includes(fork)) {
+    throw new Error(
+      `FORK_NETWORK inválido: ${fork} (perfiles: ${forkable.join(", ")})`
+    );
+  }
+  return fork;
+}
+
+/**
+ * Redes de hardhat.config.js generadas a partir de los perfiles
+ *
+ * La red `hardhat` forkea FORK_URL o, con FORK_NETWORK, el RPC del perfil
+ * indicado (FORK_BLOCK fija el bloque).
+ * @param {Object} [env] - Variables de entorno (default: process.env)
+ * @returns {Object} - Sección `networks` de la configuración
+ */
+function buildHardhatNetworks(env = process.env) {
+  const accounts = env.PRIVATE_KEY ? [env.PRIVATE_KEY] : [];
+  const networks = {};
+  for (const [name, profile] of Object.entries(NETWORK_PROFILES)) {
+    networks[name] = {
+      url: env[profile.rpcEnv] || profile.rpcUrl,
+      accounts,
+      ...(profile.chainId && { chainId: profile.chainId }),
+    };
+  }
+  // El nodo local usa sus cuentas de prueba salvo que se indique una clave
+  if (!env.PRIVATE_KEY) delete networks.localhost.accounts;
+
+  const fork = getForkProfileName(env);
+  const forkProfile = fork && NETWORK_PROFILES[fork];
+  const forkUrl =
+    env.FORK_URL ||
+    (forkProfile && (env[forkProfile.rpcEnv] || forkProfile.rpcUrl));
+  networks.hardhat = forkUrl
+    ? {
+        forking: {
+          url: forkUrl,
+          ...(env.FORK_BLOCK && { blockNumber: Number(env.FORK_BLOCK) }),
+        },
+      }
+    : {};
+
+  return networks;
+}
+
+/**
+ * Configuración de verificación (hardhat-verify) a partir de los perfiles
+ * @param {Object} [env] - Variables de entorno (default: process.env)
+ * @returns {Object} - Sección `etherscan` de la configuración
+ */
+function buildEtherscanConfig(env = process.env) {
+  const apiKey = {};
+  const customChains = [];
+  for (const [name, profile] of Object.entries(NETWORK_PROFILES)) {
+    const verifier = resolveVerifier(profile.verifier, env);
+    if (!verifier) continue;
+    apiKey[name] = verifier.apiKey;
+    customChains.push({
+      network: name,
+      chainId: profile.chainId,
+      urls: { apiURL: verifier.apiURL, browserURL: verifier.browserURL },
+    });
+  }
+  return { apiKey, customChains };
+}
+
+/**
+ * Comprueba que el nodo conectado sea la cadena del perfil
+ * @param {Object} profile - Resultado de getNetworkProfile
+ * @param {number|bigint} chainId - Chain ID del provider
+ */
+function assertProfileChain(profile, chainId) {
+  if (profile.chainId && BigInt(profile.chainId) !== BigInt(chainId)) {
+    throw new Error(
+      `El RPC de ${profile.name} responde con chainId ${chainId}, el perfil espera ${profile.chainId}`
+    );
+  }
+}
+
+/**
+ * Overrides de gas para las transacciones según la estrategia del perfil
+ * @param {Object} provider - Provider de ethers v6
+ * @param {Object} gas - `gas` del perfil
+ * @returns {Promise<Object>} - Overrides ({} con `auto`)
+ */
+async function getGasOverrides(provider, gas) {
+  if (!gas || gas.strategy === "auto") return {};
+
+  const cap = gas.maxFeeGwei && ethers.parseUnits(gas.maxFeeGwei, "gwei");
+  const checkCap = (value, field) => {
+    if (cap && value > cap) {
+      throw new Error(
+        `${field} calculado (${ethers.formatUnits(value, "gwei")} gwei) supera el tope del perfil (${gas.maxFeeGwei} gwei)`
+      );
+    }
+    return value;
+  };
+
+  if (gas.strategy === "legacy") {
+    const { gasPrice } = await provider.getFeeData();
+    return {
+      gasPrice: checkCap(
+        (gasPrice * BigInt(gas.gasPricePercent || 100)) / 100n,
+        "gasPrice"
+      ),
+    };
+  }
+
+  if (gas.strategy === "eip1559") {
+    const [block, feeData] = await Promise.all([
+      provider.getBlock("latest"),
+      provider.getFeeData(),
+    ]);
+    const minPriorityFee = ethers.parseUnits(
+      gas.minPriorityFeeGwei || "0",
+      "gwei"
+    );
+    const suggested = feeData.maxPriorityFeePerGas || 0n;
+    const maxPriorityFeePerGas =
+      suggested > minPriorityFee ? suggested : minPriorityFee;
+    const baseFee = block.baseFeePerGas || 0n;
+    return {
+      maxPriorityFeePerGas,
+      maxFeePerGas: checkCap(
+        (baseFee * BigInt(gas.baseFeePercent || 200)) / 100n +
+          maxPriorityFeePerGas,
+        "maxFeePerGas"
+      ),
+    };
+  }
+
+  throw new Error(`Estrategia de gas desconocida: ${gas.strategy}`);
+}
+
+function askQuestion(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  return new Promise((resolve) =>
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    })
+  );
+}
+
+/**
+ * Pide confirmación antes de operar sobre una red mainnet
+ *
+ * Hay que escribir el nombre de la red. Sin terminal interactiva (CI) se
+ * confirma con `confirm` (CONFIRM_NETWORK=<red> en los scripts).
+ * @param {Object} profile - Resultado de getNetworkProfile
+ * @param {Object} [options]
+ * @param {string} [options.confirm] - Nombre de la red, confirmado de antemano
+ * @param {string} [options.action] - Qué se va a hacer (para el mensaje)
+ * @param {Function} [options.prompt] - (pregunta) => Promise<respuesta>
+ * @returns {Promise<void>}
+ */
+async function confirmNetwork(
+  profile,
+  { confirm, action = "enviar transacciones", prompt } = {}
+) {
+  if (!profile.mainnet) return;
+  if (confirm !== undefined && confirm !== "") {
+    if (confirm !== profile.name) {
+      throw new Error(
+        `Confirmación inválida: se indicó "${confirm}" pero la red es ${profile.name}`
+      );
+    }
+    return;
+  }
+  if (!prompt && !process.stdin.isTTY) {
+    throw new Error(
+      `${profile.name} es mainnet: define CONFIRM_NETWORK=${profile.name} para ${action} sin terminal interactiva`
+    );
+  }
+
+  const answer = await (prompt || askQuestion)(
+    `⚠️  Vas a ${action} en ${profile.name} (mainnet, chainId ${profile.chainId}). Escribe "${profile.name}" para continuar: `
+  );
+  if (String(answer).trim() !== profile.name) {
+    throw new Error(`Operación cancelada: no se confirmó ${profile.name}`);
+  }
+}
+
+module.exports = {
+  NETWORK_PROFILES,
+  assertProfileChain,
+  buildEtherscanConfig,
+  buildHardhatNetworks,
+  confirmNetwork,
+  getGasOverrides,
+  getNetworkProfile,
+};
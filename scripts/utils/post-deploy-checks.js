@@ -0,0 +1,431 @@
+/**
+ * Checks posteriores a deploys y upgrades
+ *
+ * Cada check recibe el contexto ({ deployment, expectedOwner, smoke, signer })
+ * y devuelve { status, message, details }, con status "pass", "fail" o
+ * "skip". Para sumar un check basta con pasar otra lista a
+ * runPostDeployChecks (p. ej. [...POST_DEPLOY_CHECKS, miCheck]). El
+ * resultado es un reporte JSON que se guarda en
+ * `deployments/<network>/checks/`.
+ */
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const registry = require("./deployment-registry");
+const { readVersion } = require("./deploy-helpers");
+
+const { ethers, upgrades } = hre;
+
+/** Slot de InitializableStorage (ERC-7201) de OpenZeppelin v5 */
+const INITIALIZABLE_SLOT =
+  "0xf0c57e16840df040f15088dc2f81fe391c3923bec73e23a9662efc9c229c6a00";
+/** `_initialized` queda en type(uint64).max tras _disableInitializers() */
+const INITIALIZERS_DISABLED = (1n << 64n) - 1n;
+
+/** Template que cada factory usa para crear contratos */
+const FACTORY_TEMPLATES = {
+  musicFactory: {
+    template: "collectionImplementation",
+    getter: "collectionImplementation",
+  },
+  revenueFactory: {
+    template: "revenueShareImplementation",
+    getter: "revenueShareImplementation",
+  },
+};
+
+function recordsOfKind(deployment, kind) {
+  return Object.entries(deployment.contracts).filter(
+    ([, record]) => record.kind === kind
+  );
+}
+
+function result(failures, message, details) {
+  return failures.length > 0
+    ? { status: "fail", message: failures.join("; "), details }
+    : { status: "pass", message, details };
+}
+
+async function checkImplementationSlots({ deployment }) {
+  const failures = [];
+  const details = {};
+
+  for (const [key, record] of recordsOfKind(deployment, "uups")) {
+    const implementation = await upgrades.erc1967.getImplementationAddress(
+      record.address
+    );
+    details[key] = implementation;
+    if (implementation !== record.implementation) {
+      failures.push(
+        `${key} apunta a ${implementation}, el registro dice ${record.implementation}`
+      );
+    }
+  }
+
+  for (const [key, { template, getter }] of Object.entries(FACTORY_TEMPLATES)) {
+    const factory = deployment.contracts[key];
+    const expected = deployment.contracts[template];
+    if (!factory || !expected) continue;
+    const contract = await ethers.getContractAt(
+      factory.contract,
+      factory.address
+    );
+    const linked = await contract[getter]();
+    details[template] = linked;
+    if (linked !== expected.address) {
+      failures.push(
+        `${key}.${getter}() es ${linked}, el registro dice ${expected.address}`
+      );
+    }
+  }
+
+  return result(
+    failures,
+    "Los proxies y templates coinciden con el registro",
+    details
+  );
+}
+
+async function checkInitializersLocked({ deployment }) {
+  const implementations = [
+    ...recordsOfKind(deployment, "uups").map(([key, record]) => [
+      key,
+      record.implementation,
+    ]),
+    ...recordsOfKind(deployment, "implementation").map(([key, record]) => [
+      key,
+      record.address,
+    ]),
+  ];
+
+  const failures = [];
+  const details = {};
+  for (const [key, address] of implementations) {
+    const initialized =
+      BigInt(await ethers.provider.getStorage(address, INITIALIZABLE_SLOT)) &
+      INITIALIZERS_DISABLED;
+    details[key] = {
+      implementation: address,
+      initialized: String(initialized),
+    };
+    if (initialized !== INITIALIZERS_DISABLED) {
+      failures.push(
+        `La implementación de ${key} (${address}) se puede inicializar`
+      );
+    }
+  }
+
+  return result(
+    failures,
+    `${implementations.length} implementaciones con initialize bloqueado`,
+    details
+  );
+}
+
+async function checkOwners({ deployment, expectedOwner }) {
+  if (!expectedOwner) {
+    return {
+      status: "skip",
+      message: "El registro no tiene owner esperado (usa --owner)",
+    };
+  }
+
+  const failures = [];
+  const details = {};
+  for (const [key, record] of recordsOfKind(deployment, "uups")) {
+    const contract = await ethers.getContractAt(
+      record.contract,
+      record.address
+    );
+    details[key] = await contract.owner();
+    if (details[key] !== expectedOwner) {
+      failures.push(
+        `owner de ${key} es ${details[key]}, se esperaba ${expectedOwner}`
+      );
+    }
+  }
+
+  return result(failures, `Los factories son de ${expectedOwner}`, details);
+}
+
+async function checkVersions({ deployment }) {
+  const failures = [];
+  const details = {};
+  for (const [key, record] of Object.entries(deployment.contracts)) {
+    if (!record.version) continue;
+    const contract = await ethers.getContractAt(
+      record.contract,
+      record.address
+    );
+    details[key] = await readVersion(contract);
+    if (details[key] !== record.version) {
+      failures.push(
+        `version() de ${key} es ${details[key]}, el registro dice ${record.version}`
+      );
+    }
+  }
+
+  return result(failures, "version() coincide con el registro", details);
+}
+
+function findEvent(contract, receipt, name) {
+  const event = receipt.logs
+    .map((log) => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch (_) {
+        return null;
+      }
+    })
+    .find((log) => log && log.name === name);
+  if (!event) throw new Error(`La transacción no emitió ${name}`);
+  return event;
+}
+
+/**
+ * Crea un revenue share y una colección de prueba y mintea un token pagando
+ * en ETH. Corre dentro de un evm_snapshot que se revierte al terminar, así
+ * que solo se ejecuta en nodos locales o forks.
+ */
+async function checkSmokeMint({ deployment, smoke, signer }) {
+  if (!smoke) {
+    return { status: "skip", message: "Solo en nodos locales (o con --smoke)" };
+  }
+  let snapshot;
+  try {
+    snapshot = await ethers.provider.send("evm_snapshot", []);
+  } catch (_) {
+    return {
+      status: "skip",
+      message: "El nodo no admite evm_snapshot: el smoke test no se revertiría",
+    };
+  }
+
+  try {
+    const musicRecord = deployment.contracts.musicFactory;
+    const revenueRecord = deployment.contracts.revenueFactory;
+    const musicFactory = await ethers.getContractAt(
+      musicRecord.contract,
+      musicRecord.address,
+      signer
+    );
+    const revenueFactory = await ethers.getContractAt(
+      revenueRecord.contract,
+      revenueRecord.address,
+      signer
+    );
+
+    const revenueReceipt = await (
+      await revenueFactory.createRevenueShare(
+        signer.address,
+        "Smoke Test Revenue",
+        "Check post-deploy"
+      )
+    ).wait();
+    const revenueShare = await ethers.getContractAt(
+      "RevenueShareUpgradeable",
+      findEvent(revenueFactory, revenueReceipt, "RevenueShareCreated").args
+        .manager,
+      signer
+    );
+
+    const price = ethers.parseUnits("1", "gwei");
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const collectionReceipt = await (
+      await musicFactory.createCollection(
+        "Smoke Test",
+        "SMOKE",
+        "ipfs://smoke/",
+        "ipfs://smoke/collection.json",
+        timestamp,
+        timestamp + 86400,
+        price,
+        ethers.ZeroAddress,
+        signer.address,
+        500,
+        signer.address,
+        await revenueShare.getAddress()
+      )
+    ).wait();
+    const collection = await ethers.getContractAt(
+      "MusicCollectionUpgradeable",
+      findEvent(musicFactory, collectionReceipt, "CollectionCreated").args
+        .collection,
+      signer
+    );
+    const collectionAddress = await collection.getAddress();
+
+    await (
+      await revenueShare.setCollectionMintSplits(collectionAddress, [
+        { account: signer.address, percentage: 10000 },
+      ])
+    ).wait();
+    await (
+      await collection.mint(
+        signer.address,
+        1,
+        1,
+        price,
+        "ipfs://smoke/1.json",
+        {
+          value: price,
+        }
+      )
+    ).wait();
+
+    const balance = await collection.balanceOf(signer.address, 1);
+    return result(
+      balance === 1n ? [] : [`El mint dejó un balance de ${balance}`],
+      "Colección creada y token minteado (revertido)",
+      {
+        revenueShare: await revenueShare.getAddress(),
+        collection: collectionAddress,
+      }
+    );
+  } finally {
+    await ethers.provider.send("evm_revert", [snapshot]);
+  }
+}
+
+/**
+ * Checks por defecto, en el orden en que se ejecutan
+ */
+const POST_DEPLOY_CHECKS = [
+  {
+    id: "implementation-slots",
+    description: "Slot ERC1967 de cada proxy y template de cada factory",
+    run: checkImplementationSlots,
+  },
+  {
+    id: "initializers-locked",
+    description: "initialize() bloqueado en las implementaciones",
+    run: checkInitializersLocked,
+  },
+  {
+    id: "owners",
+    description: "Owner de los factories",
+    run: checkOwners,
+  },
+  {
+    id: "versions",
+    description: "version() on-chain contra el registro",
+    run: checkVersions,
+  },
+  {
+    id: "smoke-mint",
+    description: "Crear una colección y mintear (nodo local o fork)",
+    run: checkSmokeMint,
+  },
+];
+
+/**
+ * Ejecuta los checks sobre el registro de una red
+ *
+ * Un check que lanza un error cuenta como fallido; los demás se ejecutan
+ * igual.
+ * @param {Object} params
+ * @param {Object} params.deployment - Registro de la red
+ * @param {string} [params.expectedOwner] - Owner esperado (default: deployment.owner)
+ * @param {boolean} [params.smoke] - Correr el smoke test (default: en hardhat y localhost)
+ * @param {Array<Object>} [params.checks] - Checks a ejecutar ({ id, description, run })
+ * @param {Object} [params.signer] - Signer del smoke test (default: el primero)
+ * @returns {Promise<Object>} - Reporte { network, chainId, createdAt, ok, results }
+ */
+async function runPostDeployChecks({
+  deployment,
+  expectedOwner = deployment.owner,
+  smoke = ["hardhat", "localhost"].includes(hre.network.name),
+  checks = POST_DEPLOY_CHECKS,
+  signer,
+}) {
+  if (!signer) [signer] = await ethers.getSigners();
+  const context = { deployment, expectedOwner, smoke, signer };
+
+  const results = [];
+  for (const check of checks) {
+    let outcome;
+    try {
+      outcome = await check.run(context);
+    } catch (error) {
+      outcome = {
+        status: "fail",
+        message: error.shortMessage || error.message,
+      };
+    }
+    results.push({
+      id: check.id,
+      description: check.description,
+      ...outcome,
+    });
+  }
+
+  return {
+    network: deployment.network,
+    chainId: String(deployment.chainId),
+    createdAt: new Date().toISOString(),
+    ok: results.every((entry) => entry.status !== "fail"),
+    results,
+  };
+}
+
+const STATUS_ICONS = { pass: "✅", fail: "❌", skip: "⏭️ " };
+
+/**
+ * Imprime un reporte de checks
+ * @param {Object} report - Resultado de runPostDeployChecks
+ */
+function printCheckReport(report) {
+  console.log(`\n🩺 Checks post-deploy en ${report.network}:`);
+  for (const entry of report.results) {
+    console.log(
+      `  ${STATUS_ICONS[entry.status]} ${entry.id}: ${entry.message}`
+    );
+  }
+  for (const entry of report.verification || []) {
+    console.log(
+      `  ${entry.verified ? "✅" : "❌"} verificación de ${entry.key} (${entry.address})${entry.error ? `: ${entry.error}` : ""}`
+    );
+  }
+}
+
+/**
+ * Guarda el reporte en deployments/<network>/checks/
+ * @param {Object} report - Resultado de runPostDeployChecks
+ * @param {string} [file] - Ruta del archivo (default: con la fecha)
+ * @returns {string} - Ruta del archivo
+ */
+function writeCheckReport(report, file) {
+  file =
+    file ||
+    path.join(
+      registry.getNetworkDir(report.network),
+      "checks",
+      `${report.createdAt.replace(/[:.]/g, "-")}.json`
+    );
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(report, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * Mensaje de error con los checks fallidos de un reporte (una
+ * verificación fallida en el explorador no cuenta: se puede repetir)
+ * @param {Object} report - Resultado de runPostDeployChecks
+ * @returns {string|null} - null si no falló nada
+ */
+function describeFailures(report) {
+  const failures = report.results
+    .filter((entry) => entry.status === "fail")
+    .map((entry) => `${entry.id}: ${entry.message}`);
+  return failures.length > 0
+    ? `Checks post-deploy fallidos:\n  - ${failures.join("\n  - ")}`
+    : null;
+}
+
+module.exports = {
+  POST_DEPLOY_CHECKS,
+  describeFailures,
+  printCheckReport,
+  runPostDeployChecks,
+  writeCheckReport,
+};
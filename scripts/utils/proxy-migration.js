@@ -0,0 +1,365 @@
+/**
+ * Helpers para migrar las colecciones y revenue shares ya desplegados
+ *
+ * `updateCollectionImplementation` y `updateRevenueShareImplementation` solo
+ * afectan a los proxies creados después. Cada proxy existente es UUPS y solo
+ * su owner (el artista) puede hacer el upgrade, así que aquí se inventarían y
+ * se generan las transacciones `upgradeToAndCall` que cada owner debe firmar.
+ * Los clones (EIP-1167) se inventarían pero no se pueden actualizar.
+ *
+ * El upgrade de cada colección llama a `setMintPrice` en la misma
+ * transacción: las anteriores a 1.1.0 no tienen precio en cadena y sin esa
+ * llamada quedarían con el mint con ETH gratuito.
+ */
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const registry = require("./deployment-registry");
+const { readVersion } = require("./deploy-helpers");
+const { createTxBatch } = require("./tx-batch");
+
+const { ethers, upgrades } = hre;
+
+/**
+ * Tipos de proxies por artista y de dónde sale su template actual
+ */
+const PROXY_KINDS = {
+  collection: {
+    contract: "MusicCollectionUpgradeable",
+    factoryKey: "musicFactory",
+    templateKey: "collectionImplementation",
+    getter: "collectionImplementation",
+  },
+  revenueShare: {
+    contract: "RevenueShareUpgradeable",
+    factoryKey: "revenueFactory",
+    templateKey: "revenueShareImplementation",
+    getter: "revenueShareImplementation",
+  },
+};
+
+/** Runtime de un clon mínimo EIP-1167 (Clones de OpenZeppelin) */
+const CLONE_PREFIX = "0x363d3d373d3d3d363d73";
+const CLONE_SUFFIX = "5af43d82803e903d91602b57fd5bf3";
+
+/**
+ * Implementación de un clon EIP-1167 a partir de su código
+ * @param {string} code - Código desplegado (eth_getCode)
+ * @returns {string|null} - Dirección de la implementación o null si no es un clon
+ */
+function getCloneImplementation(code) {
+  code = code.toLowerCase();
+  if (
+    code.length !== 92 ||
+    !code.startsWith(CLONE_PREFIX) ||
+    !code.endsWith(CLONE_SUFFIX)
+  ) {
+    return null;
+  }
+  return ethers.getAddress(`0x${code.slice(22, 62)}`);
+}
+
+/**
+ * Indica si un proxy del inventario necesita un upgrade que su owner pueda firmar
+ * @param {Object} proxy - Elemento de inventoryProxies().proxies
+ */
+function needsUpgrade(proxy) {
+  return !proxy.upToDate && !proxy.clone;
+}
+
+async function getFactory(deployment, key) {
+  const record = deployment.contracts[key];
+  if (!record) {
+    throw new Error(
+      `No hay ${key} registrado en deployments/${deployment.network}`
+    );
+  }
+  return ethers.getContractAt(record.contract, record.address);
+}
+
+async function listCollections(musicFactory) {
+  const count = await musicFactory.getCollectionsCount();
+  const addresses = [];
+  for (let i = 0n; i < count; i++) {
+    addresses.push(await musicFactory.collections(i));
+  }
+  return addresses;
+}
+
+async function listRevenueShares(revenueFactory) {
+  const count = await revenueFactory.getTotalManagersCreated();
+  const addresses = [];
+  for (let i = 0n; i < count; i++) {
+    addresses.push(await revenueFactory.getManagerByGlobalIndex(i));
+  }
+  return addresses;
+}
+
+/**
+ * Precio del mint con ETH de una colección, en wei (null antes de 1.1.0)
+ */
+async function readMintPrice(contract) {
+  try {
+    return (await contract.mintPrice()).toString();
+  } catch (_) {
+    return null;
+  }
+}
+
+async function describeProxy(kind, address, target) {
+  const contract = await ethers.getContractAt(
+    PROXY_KINDS[kind].contract,
+    address
+  );
+  const cloneOf = getCloneImplementation(
+    await ethers.provider.getCode(address)
+  );
+  const implementation =
+    cloneOf || (await upgrades.erc1967.getImplementationAddress(address));
+
+  const proxy = {
+    kind,
+    address,
+    owner: await contract.owner(),
+    implementation,
+    version: await readVersion(contract),
+    clone: Boolean(cloneOf),
+    upToDate: implementation === target,
+  };
+  if (kind === "collection") proxy.mintPrice = await readMintPrice(contract);
+  return proxy;
+}
+
+/**
+ * Inventario de los proxies creados por ambos factories
+ * @param {Object} deployment - Registro de la red
+ * @param {Object} [targets] - { collection, revenueShare } implementaciones
+ *   destino (default: template actual de cada factory)
+ * @returns {Promise<Object>} - { targets, proxies } (cada proxy con `clone`
+ *   si es un clon EIP-1167 y cada colección con su `mintPrice` en wei, null
+ *   si es anterior a 1.1.0)
+ */
+async function inventoryProxies(deployment, targets = {}) {
+  const resolved = {};
+  const proxies = [];
+
+  for (const [kind, config] of Object.entries(PROXY_KINDS)) {
+    const factory = await getFactory(deployment, config.factoryKey);
+    const address = targets[kind] || (await factory[config.getter]());
+    const implementation = await ethers.getContractAt(config.contract, address);
+    resolved[kind] = { address, version: await readVersion(implementation) };
+
+    const addresses =
+      kind === "collection"
+        ? await listCollections(factory)
+        : await listRevenueShares(factory);
+    for (const proxy of addresses) {
+      proxies.push(await describeProxy(kind, proxy, address));
+    }
+  }
+
+  return { targets: resolved, proxies };
+}
+
+/**
+ * Valida el storage layout de cada implementación actual contra su destino
+ *
+ * Requiere que ambas implementaciones estén en el manifest de .openzeppelin;
+ * si la actual no está se devuelve un aviso en lugar de un error.
+ * @param {Object} deployment - Registro de la red
+ * @param {Object} inventory - Resultado de inventoryProxies
+ * @returns {Promise<Object>} - { errors, warnings }
+ */
+async function validateMigration(deployment, inventory) {
+  const errors = [];
+  const warnings = [];
+
+  for (const [kind, config] of Object.entries(PROXY_KINDS)) {
+    const template = deployment.contracts[config.templateKey];
+    const contractName =
+      template && template.address === inventory.targets[kind].address
+        ? template.contract
+        : config.contract;
+    const Contract = await ethers.getContractFactory(contractName);
+
+    const current = new Set(
+      inventory.proxies
+        .filter((proxy) => proxy.kind === kind && needsUpgrade(proxy))
+        .map((proxy) => proxy.implementation)
+    );
+    for (const implementation of current) {
+      try {
+        await upgrades.validateUpgrade(implementation, Contract, {
+          kind: "uups",
+        });
+      } catch (error) {
+        const message = `${kind} ${implementation} -> ${contractName}: ${error.message}`;
+        if (error.message.includes("is not registered")) {
+          warnings.push(message);
+        } else {
+          errors.push(message);
+        }
+      }
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Lee los precios de mint de una migración desde un JSON
+ * `{ "0xColeccion": "0.05" }` (en ETH)
+ * @param {string} file - Ruta del JSON
+ * @returns {Object} - { [colección]: precio en wei }
+ */
+function readMintPrices(file) {
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`No se pudo leer ${file}: ${error.message}`);
+  }
+  if (!entries || typeof entries !== "object" || Array.isArray(entries)) {
+    throw new Error(`${file} debe ser un objeto { "0xColeccion": "0.05" }`);
+  }
+
+  const prices = {};
+  for (const [address, price] of Object.entries(entries)) {
+    if (!ethers.isAddress(address)) {
+      throw new Error(`${file}: ${address} no es una dirección válida`);
+    }
+    try {
+      prices[ethers.getAddress(address)] = ethers.parseEther(String(price));
+    } catch (_) {
+      throw new Error(
+        `${file}: ${price} no es un monto válido para ${address}`
+      );
+    }
+  }
+  return prices;
+}
+
+/**
+ * Precio con que se migra cada colección pendiente: el indicado o, si no
+ * hay, el que ya tiene en cadena
+ * @param {Object} inventory - Resultado de inventoryProxies
+ * @param {Object} [mintPrices] - { [colección]: precio en wei }
+ * @returns {Map<string, bigint>}
+ */
+function resolveMintPrices(inventory, mintPrices = {}) {
+  const pending = inventory.proxies.filter(
+    (proxy) => proxy.kind === "collection" && needsUpgrade(proxy)
+  );
+  const given = new Map(
+    Object.entries(mintPrices).map(([address, price]) => [
+      ethers.getAddress(address),
+      BigInt(price),
+    ])
+  );
+
+  const unknown = [...given.keys()].filter(
+    (address) => !pending.some((proxy) => proxy.address === address)
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `Precio de mint para contratos que no son colecciones pendientes de upgrade:\n  - ${unknown.join("\n  - ")}`
+    );
+  }
+
+  const prices = new Map();
+  const missing = [];
+  for (const proxy of pending) {
+    if (given.has(proxy.address)) {
+      prices.set(proxy.address, given.get(proxy.address));
+    } else if (proxy.mintPrice !== null && proxy.mintPrice !== undefined) {
+      prices.set(proxy.address, BigInt(proxy.mintPrice));
+    } else {
+      missing.push(`${proxy.address} (v${proxy.version})`);
+    }
+  }
+  if (missing.length > 0) {
+    throw new Error(
+      `Colecciones sin precio de mint: tras el upgrade el mint con ETH sería gratuito. Indica su precio con --mint-prices:\n  - ${missing.join("\n  - ")}`
+    );
+  }
+  return prices;
+}
+
+/**
+ * Agrupa por owner los upgrades pendientes como batches de transacciones
+ *
+ * Cada colección se actualiza con `upgradeToAndCall(impl, setMintPrice(precio))`.
+ * @param {Object} params
+ * @param {number|bigint} params.chainId - Chain ID de la red
+ * @param {Object} params.inventory - Resultado de inventoryProxies
+ * @param {Object} [params.mintPrices] - { [colección]: precio en wei };
+ *   obligatorio para las colecciones sin `mintPrice` en cadena
+ * @returns {Array<Object>} - [{ owner, proxies, batch }]
+ */
+function buildMigrationBatches({ chainId, inventory, mintPrices }) {
+  const uups = new ethers.Interface([
+    "function upgradeToAndCall(address newImplementation, bytes data) payable",
+    "function setMintPrice(uint256 price)",
+  ]);
+  const prices = resolveMintPrices(inventory, mintPrices);
+  const byOwner = new Map();
+
+  for (const proxy of inventory.proxies) {
+    if (!needsUpgrade(proxy)) continue;
+    if (!byOwner.has(proxy.owner)) byOwner.set(proxy.owner, []);
+    byOwner.get(proxy.owner).push(proxy);
+  }
+
+  const describe = (proxy) => {
+    const line = `${proxy.kind} ${proxy.address}: v${proxy.version} -> v${inventory.targets[proxy.kind].version}`;
+    return prices.has(proxy.address)
+      ? `${line} (mintPrice ${ethers.formatEther(prices.get(proxy.address))} ETH)`
+      : line;
+  };
+  const initializer = (proxy) =>
+    prices.has(proxy.address)
+      ? uups.encodeFunctionData("setMintPrice", [prices.get(proxy.address)])
+      : "0x";
+
+  return [...byOwner.entries()].map(([owner, proxies]) => ({
+    owner,
+    proxies,
+    batch: createTxBatch({
+      chainId,
+      name: `Tuneport: upgrade de ${proxies.length} contrato(s)`,
+      description: proxies.map(describe).join("\n"),
+      from: owner,
+      transactions: proxies.map((proxy) => ({
+        to: proxy.address,
+        value: 0,
+        data: uups.encodeFunctionData("upgradeToAndCall", [
+          inventory.targets[proxy.kind].address,
+          initializer(proxy),
+        ]),
+      })),
+    }),
+  }));
+}
+
+/**
+ * Carpeta por defecto para los batches de migración
+ * @param {Object} deployment - Registro de la red
+ */
+function getMigrationDir(deployment) {
+  return path.join(
+    registry.getNetworkDir(deployment.network),
+    "migrations",
+    new Date().toISOString().replace(/[:.]/g, "-")
+  );
+}
+
+module.exports = {
+  PROXY_KINDS,
+  buildMigrationBatches,
+  getCloneImplementation,
+  getMigrationDir,
+  inventoryProxies,
+  needsUpgrade,
+  readMintPrices,
+  validateMigration,
+};
@@ -0,0 +1,254 @@
+/**
+ * Manifest de un lanzamiento: tracks, supplies, metadatos, airdrops y splits
+ *
+ * Se lee de un JSON o de un CSV (una fila por track) y se valida sin red con
+ * las mismas reglas que los contratos. No depende de Hardhat.
+ */
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { computeCid } = require("../../sdk/cid");
+const { validateMetadata } = require("../../sdk/metadata");
+const { validateShares } = require("../../sdk/utils");
+
+/**
+ * Columnas del CSV. `splits` y `airdrops` usan "0x...:valor" separados por ";"
+ */
+const CSV_COLUMNS = [
+  "tokenId",
+  "maxSupply",
+  "uri",
+  "metadataFile",
+  "splits",
+  "airdrops",
+];
+
+function isUint(value) {
+  return /^\d+$/.test(String(value));
+}
+
+function parseCsvLine(line) {
+  return line.split(",").map((cell) => cell.trim().replace(/^"(.*)"$/, "$1"));
+}
+
+function parsePairs(value, key) {
+  return String(value)
+    .split(";")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [account, amount] = entry.split(":");
+      return { account, [key]: amount };
+    });
+}
+
+/**
+ * Convierte un CSV de tracks al formato JSON del manifest
+ * @param {string} text - Contenido del CSV (con encabezado)
+ * @returns {Object} - { tracks }
+ */
+function parseReleaseCsv(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+  if (lines.length === 0) return { tracks: [] };
+
+  const header = parseCsvLine(lines[0]);
+  const unknown = header.filter((column) => !CSV_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Columnas desconocidas: ${unknown.join(", ")} (válidas: ${CSV_COLUMNS.join(", ")})`
+    );
+  }
+
+  const tracks = lines.slice(1).map((line) => {
+    const cells = parseCsvLine(line);
+    const row = Object.fromEntries(
+      header.map((column, i) => [column, cells[i] || undefined])
+    );
+    return {
+      tokenId: row.tokenId,
+      maxSupply: row.maxSupply,
+      uri: row.uri,
+      metadataFile: row.metadataFile,
+      splits: row.splits && parsePairs(row.splits, "percentage"),
+      airdrops:
+        row.airdrops &&
+        parsePairs(row.airdrops, "amount").map(({ account, amount }) => ({
+          to: account,
+          amount,
+        })),
+    };
+  });
+  return { tracks };
+}
+
+/**
+ * Lee un manifest JSON o CSV (según la extensión)
+ * @param {string} file - Ruta del manifest
+ * @returns {Object} - Manifest sin validar
+ */
+function readReleaseManifest(file) {
+  const text = fs.readFileSync(file, "utf8");
+  return path.extname(file).toLowerCase() === ".csv"
+    ? parseReleaseCsv(text)
+    : JSON.parse(text);
+}
+
+function checkAddress(errors, label, value) {
+  if (!ethers.isAddress(value) || value === ethers.ZeroAddress) {
+    errors.push(`${label}: dirección inválida: ${value}`);
+    return null;
+  }
+  return ethers.getAddress(value);
+}
+
+function readMetadataUri(errors, label, file, baseDir) {
+  const resolved = path.resolve(baseDir, file);
+  let content;
+  let metadata;
+  try {
+    content = fs.readFileSync(resolved, "utf8");
+    metadata = JSON.parse(content);
+  } catch (error) {
+    errors.push(`${label}: no se pudo leer ${file}: ${error.message}`);
+    return null;
+  }
+  const problems = validateMetadata(metadata, "track");
+  for (const problem of problems) {
+    errors.push(`${label} (${file}) ${problem.path}: ${problem.message}`);
+  }
+  return problems.length > 0 ? null : `ipfs://${computeCid(content)}`;
+}
+
+function normalizeTrack(errors, track, i, baseDir) {
+  const label = `tracks[${i}]`;
+  if (!isUint(track.tokenId)) {
+    errors.push(`${label}.tokenId: debe ser un entero: ${track.tokenId}`);
+    return null;
+  }
+  const tokenId = BigInt(track.tokenId);
+
+  let maxSupply = null;
+  if (track.maxSupply !== undefined && track.maxSupply !== null) {
+    if (isUint(track.maxSupply)) {
+      maxSupply = BigInt(track.maxSupply);
+    } else {
+      errors.push(`${label}.maxSupply: debe ser un entero: ${track.maxSupply}`);
+    }
+  }
+
+  let uri = track.uri || null;
+  if (track.uri && track.metadataFile) {
+    errors.push(`${label}: indica uri o metadataFile, no ambos`);
+  } else if (track.metadataFile) {
+    uri = readMetadataUri(
+      errors,
+      `${label}.metadataFile`,
+      track.metadataFile,
+      baseDir
+    );
+  }
+
+  let splits = null;
+  if (track.splits) {
+    try {
+      splits = validateShares(track.splits);
+    } catch (error) {
+      errors.push(`${label}.splits: ${error.message}`);
+    }
+  }
+
+  const airdrops = (track.airdrops || []).map((airdrop, j) => {
+    const to = checkAddress(errors, `${label}.airdrops[${j}].to`, airdrop.to);
+    if (!isUint(airdrop.amount) || BigInt(airdrop.amount) === 0n) {
+      errors.push(
+        `${label}.airdrops[${j}].amount: debe ser mayor a 0: ${airdrop.amount}`
+      );
+      return null;
+    }
+    return to && { to, amount: BigInt(airdrop.amount) };
+  });
+
+  const airdropped = airdrops.reduce(
+    (sum, airdrop) => sum + (airdrop ? airdrop.amount : 0n),
+    0n
+  );
+  if (maxSupply && airdropped > maxSupply) {
+    errors.push(
+      `${label}: los airdrops (${airdropped}) superan maxSupply (${maxSupply})`
+    );
+  }
+
+  return { tokenId, maxSupply, uri, splits, airdrops, airdropped };
+}
+
+/**
+ * Valida el manifest sin red: direcciones, splits que suman 10000, tokenIds
+ * únicos y airdrops dentro del suministro máximo
+ * @param {Object} raw - Manifest leído con readReleaseManifest
+ * @param {Object} [options]
+ * @param {string} [options.collection] - Colección (si no está en el manifest)
+ * @param {string} [options.baseDir] - Carpeta desde la que resolver metadataFile
+ * @returns {Object} - { collection, paymentTokens, tracks } con montos en bigint
+ * @throws {Error} - Con todos los problemas encontrados
+ */
+function normalizeReleaseManifest(raw, { collection, baseDir = "." } = {}) {
+  const errors = [];
+
+  const collectionAddress = checkAddress(
+    errors,
+    "collection",
+    collection || raw.collection
+  );
+
+  const paymentTokens = (raw.paymentTokens || []).map((entry, i) => {
+    const label = `paymentTokens[${i}]`;
+    const token = checkAddress(errors, `${label}.token`, entry.token);
+    if (!isUint(entry.price) || BigInt(entry.price) === 0n) {
+      errors.push(
+        `${label}.price: debe ser un entero mayor a 0 en unidades del token: ${entry.price}`
+      );
+      return null;
+    }
+    return token && { token, price: BigInt(entry.price) };
+  });
+
+  const tracks = (raw.tracks || []).map((track, i) =>
+    normalizeTrack(errors, track, i, baseDir)
+  );
+  if (tracks.length === 0 && paymentTokens.length === 0) {
+    errors.push("tracks: el manifest no tiene tracks");
+  }
+
+  const seen = new Set();
+  tracks.forEach((track, i) => {
+    if (!track) return;
+    if (seen.has(track.tokenId)) {
+      errors.push(`tracks[${i}].tokenId: repetido: ${track.tokenId}`);
+    }
+    seen.add(track.tokenId);
+  });
+  const seenTokens = new Set();
+  paymentTokens.forEach((entry, i) => {
+    if (!entry) return;
+    if (seenTokens.has(entry.token)) {
+      errors.push(`paymentTokens[${i}].token: repetido: ${entry.token}`);
+    }
+    seenTokens.add(entry.token);
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Manifest inválido:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  return { collection: collectionAddress, paymentTokens, tracks };
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  normalizeReleaseManifest,
+  parseReleaseCsv,
+  readReleaseManifest,
+};
@@ -0,0 +1,525 @@
+/**
+ * Plan, ejecución y conciliación de un lanzamiento
+ *
+ * El plan compara el manifest con el estado actual de la colección y su
+ * revenue share y solo incluye lo que falta: volver a correrlo es seguro.
+ * Los airdrops no se pueden deducir del estado, así que se registran en un
+ * archivo de progreso que permite reanudar un lanzamiento interrumpido.
+ *
+ * Las transacciones se envían con nonces explícitos y hasta `maxPending` en
+ * vuelo. La configuración (supplies, URIs, splits, tokens de pago) se
+ * confirma antes de empezar los airdrops, que dependen del maxSupply.
+ */
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { getAbi } = require("../../sdk/abis");
+const { decodeError } = require("../../sdk/errors");
+const { formatShares } = require("../../sdk/utils");
+
+const PROGRESS_VERSION = 1;
+const PHASES = ["config", "airdrop"];
+const DEFAULT_MAX_PENDING = 5;
+
+/**
+ * Archivo de progreso por defecto: junto al manifest
+ * @param {string} manifestFile - Ruta del manifest
+ */
+function getProgressPath(manifestFile) {
+  const { dir, name } = path.parse(manifestFile);
+  return path.join(dir, `${name}.progress.json`);
+}
+
+/**
+ * Lee el progreso de un lanzamiento o crea uno vacío
+ * @param {string} file - Ruta del archivo de progreso
+ * @param {Object} params - { chainId, collection } del lanzamiento
+ */
+function loadProgress(file, { chainId, collection }) {
+  if (!fs.existsSync(file)) {
+    return {
+      version: PROGRESS_VERSION,
+      chainId: Number(chainId),
+      collection,
+      steps: {},
+    };
+  }
+
+  const progress = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (progress.version !== PROGRESS_VERSION) {
+    throw new Error(
+      `${file} tiene versión ${progress.version}, se esperaba ${PROGRESS_VERSION}`
+    );
+  }
+  if (
+    progress.chainId !== Number(chainId) ||
+    progress.collection !== collection
+  ) {
+    throw new Error(
+      `${file} es de la colección ${progress.collection} en chainId ${progress.chainId}, no de ${collection} en chainId ${chainId}`
+    );
+  }
+  return progress;
+}
+
+/**
+ * Guarda el progreso de forma atómica
+ */
+function saveProgress(progress, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(progress, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+  return file;
+}
+
+/**
+ * Resuelve las transacciones que quedaron enviadas sin confirmar en una
+ * ejecución anterior: espera las pendientes y libera las descartadas
+ * @param {Object} provider - Provider de ethers
+ * @param {Object} progress - Progreso del lanzamiento
+ * @returns {Promise<Array<string>>} - IDs de los pasos resueltos
+ */
+async function settleProgress(provider, progress) {
+  const settled = [];
+  for (const [id, entry] of Object.entries(progress.steps)) {
+    if (entry.status !== "sent") continue;
+
+    let receipt = await provider.getTransactionReceipt(entry.hash);
+    if (!receipt && (await provider.getTransaction(entry.hash))) {
+      receipt = await provider.waitForTransaction(entry.hash);
+    }
+
+    if (receipt && receipt.status === 1) {
+      progress.steps[id] = {
+        ...entry,
+        status: "confirmed",
+        blockNumber: receipt.blockNumber,
+      };
+    } else {
+      // Revertida o descartada: el paso vuelve a quedar pendiente
+      delete progress.steps[id];
+    }
+    settled.push(id);
+  }
+  return settled;
+}
+
+function airdropId(tokenId, index, { to, amount }) {
+  return `airdrop:${tokenId}:${index}:${to}:${amount}`;
+}
+
+function sameShares(a, b) {
+  return (
+    a.length === b.length &&
+    a.every(
+      (share, i) =>
+        share.account === b[i].account && share.percentage === b[i].percentage
+    )
+  );
+}
+
+function formatSplits(shares) {
+  return shares
+    .map((share) => `${share.account}:${share.percentage}`)
+    .join(";");
+}
+
+async function getContracts(manifest, runner) {
+  const collection = new ethers.Contract(
+    manifest.collection,
+    getAbi("MusicCollectionUpgradeable"),
+    runner
+  );
+  const revenueShareAddress = await collection.revenueShare();
+  return {
+    collection,
+    revenueShareAddress,
+    revenueShare:
+      revenueShareAddress !== ethers.ZeroAddress
+        ? new ethers.Contract(
+            revenueShareAddress,
+            getAbi("RevenueShareUpgradeable"),
+            runner
+          )
+        : null,
+  };
+}
+
+/**
+ * Splits propios del token (sin caer en los de la colección)
+ */
+async function readTokenSplits(revenueShare, collection, tokenId) {
+  try {
+    // El getter del array público revierte si el token no tiene splits
+    await revenueShare.mintSplits(collection, tokenId, 0);
+  } catch (_) {
+    return [];
+  }
+  return formatShares(await revenueShare.getMintSplits(collection, tokenId));
+}
+
+async function readTrackState(contracts, manifest, tokenId) {
+  const { collection, revenueShare } = contracts;
+  const [totalSupply, maxSupply, uri, splits] = await Promise.all([
+    collection["totalSupply(uint256)"](tokenId),
+    collection.maxSupply(tokenId),
+    collection.uri(tokenId),
+    revenueShare
+      ? readTokenSplits(revenueShare, manifest.collection, tokenId)
+      : [],
+  ]);
+  return { totalSupply, maxSupply, uri, splits };
+}
+
+/**
+ * Arma el plan de transacciones pendientes contra el estado actual
+ * @param {Object} params
+ * @param {Object} params.manifest - Manifest normalizado
+ * @param {Object} params.signer - Signer que ejecutará el plan
+ * @param {Object} params.progress - Progreso del lanzamiento
+ * @returns {Promise<Object>} - { collection, revenueShare, steps, done }
+ * @throws {Error} - Si el signer no tiene permisos o un supply no alcanza
+ */
+async function buildReleasePlan({ manifest, signer, progress }) {
+  const contracts = await getContracts(manifest, signer);
+  const { collection, revenueShareAddress } = contracts;
+  const errors = [];
+  const steps = [];
+  const done = [];
+
+  function addStep(step, current, desired) {
+    if (current === desired) {
+      done.push(step);
+      return;
+    }
+    steps.push(step);
+  }
+
+  for (const { token, price } of manifest.paymentTokens) {
+    addStep(
+      {
+        id: `paymentToken:${token}`,
+        phase: "config",
+        target: "collection",
+        description: `Aceptar ${token} a ${price}`,
+        to: manifest.collection,
+        data: collection.interface.encodeFunctionData("addPaymentToken", [
+          token,
+          price,
+        ]),
+      },
+      await collection.acceptedTokens(token),
+      price
+    );
+  }
+
+  for (const track of manifest.tracks) {
+    const { tokenId } = track;
+    const state = await readTrackState(contracts, manifest, tokenId);
+
+    if (track.maxSupply !== null) {
+      if (track.maxSupply !== 0n && track.maxSupply < state.totalSupply) {
+        errors.push(
+          `Token ${tokenId}: maxSupply ${track.maxSupply} es menor a lo ya minteado (${state.totalSupply})`
+        );
+      }
+      addStep(
+        {
+          id: `maxSupply:${tokenId}`,
+          phase: "config",
+          target: "collection",
+          tokenId,
+          description: `Max supply del token ${tokenId} -> ${track.maxSupply}`,
+          to: manifest.collection,
+          data: collection.interface.encodeFunctionData("setMaxSupply", [
+            tokenId,
+            track.maxSupply,
+          ]),
+        },
+        state.maxSupply,
+        track.maxSupply
+      );
+    }
+
+    if (track.uri) {
+      addStep(
+        {
+          id: `uri:${tokenId}`,
+          phase: "config",
+          target: "collection",
+          tokenId,
+          description: `URI del token ${tokenId} -> ${track.uri}`,
+          to: manifest.collection,
+          data: collection.interface.encodeFunctionData("setTokenURI", [
+            tokenId,
+            track.uri,
+          ]),
+        },
+        state.uri,
+        track.uri
+      );
+    }
+
+    if (track.splits) {
+      if (!contracts.revenueShare) {
+        errors.push(
+          `Token ${tokenId}: la colección no tiene revenue share para los splits`
+        );
+      } else {
+        const step = {
+          id: `splits:${tokenId}`,
+          phase: "config",
+          target: "revenueShare",
+          tokenId,
+          description: `Splits del token ${tokenId} -> ${formatSplits(track.splits)}`,
+          to: revenueShareAddress,
+          data: contracts.revenueShare.interface.encodeFunctionData(
+            "setMintSplits",
+            [manifest.collection, tokenId, track.splits]
+          ),
+        };
+        if (sameShares(state.splits, track.splits)) done.push(step);
+        else steps.push(step);
+      }
+    }
+
+    let remaining = 0n;
+    track.airdrops.forEach((airdrop, i) => {
+      const step = {
+        id: airdropId(tokenId, i, airdrop),
+        phase: "airdrop",
+        target: "collection",
+        tokenId,
+        description: `Airdrop de ${airdrop.amount} del token ${tokenId} a ${airdrop.to}`,
+        to: manifest.collection,
+        data: collection.interface.encodeFunctionData("freeMint", [
+          airdrop.to,
+          tokenId,
+          airdrop.amount,
+          "",
+        ]),
+      };
+      const entry = progress.steps[step.id];
+      if (entry && entry.status === "confirmed") {
+        done.push(step);
+      } else {
+        steps.push(step);
+        remaining += airdrop.amount;
+      }
+    });
+
+    const limit = track.maxSupply !== null ? track.maxSupply : state.maxSupply;
+    if (limit !== 0n && state.totalSupply + remaining > limit) {
+      errors.push(
+        `Token ${tokenId}: ${state.totalSupply} minteados + ${remaining} de airdrops superan maxSupply (${limit})`
+      );
+    }
+  }
+
+  const targets = new Set(steps.map((step) => step.target));
+  if (targets.has("collection")) {
+    const owner = await collection.owner();
+    if (owner !== signer.address) {
+      errors.push(`La colección es de ${owner}, no de ${signer.address}`);
+    }
+  }
+  if (targets.has("revenueShare")) {
+    const [owner, isManager] = await Promise.all([
+      contracts.revenueShare.owner(),
+      contracts.revenueShare.isManager(signer.address),
+    ]);
+    if (owner !== signer.address && !isManager) {
+      errors.push(
+        `${signer.address} no es owner ni manager del revenue share ${revenueShareAddress}`
+      );
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `El plan no se puede ejecutar:\n  - ${errors.join("\n  - ")}`
+    );
+  }
+
+  return {
+    collection: manifest.collection,
+    revenueShare: revenueShareAddress,
+    // En el orden en que se ejecutan: toda la configuración antes de los airdrops
+    steps: PHASES.flatMap((phase) =>
+      steps.filter((step) => step.phase === phase)
+    ),
+    done,
+  };
+}
+
+function describeError(error) {
+  const decoded = decodeError(error);
+  return decoded.errorName
+    ? `${decoded.errorName}: ${decoded.message}`
+    : decoded.shortMessage || decoded.message;
+}
+
+/**
+ * Ejecuta los pasos del plan con nonces explícitos
+ *
+ * Cada cambio de estado se informa con `onStep` para guardar el progreso:
+ * si el proceso se corta, los pasos "sent" se resuelven con settleProgress.
+ * @param {Object} params
+ * @param {Object} params.plan - Resultado de buildReleasePlan
+ * @param {Object} params.signer - Signer que envía las transacciones
+ * @param {Object} params.progress - Progreso del lanzamiento (se actualiza)
+ * @param {number} [params.maxPending] - Transacciones en vuelo a la vez
+ * @param {Function} [params.onStep] - Callback ({ step, entry }), entry null si falló
+ * @returns {Promise<number>} - Pasos confirmados
+ * @throws {Error} - En el primer paso que falla, después de esperar los enviados
+ */
+async function executeReleasePlan({
+  plan,
+  signer,
+  progress,
+  maxPending = DEFAULT_MAX_PENDING,
+  onStep,
+}) {
+  let nonce = await signer.provider.getTransactionCount(
+    signer.address,
+    "pending"
+  );
+  let confirmed = 0;
+
+  // entry null: el paso vuelve a quedar pendiente
+  async function update(step, entry) {
+    if (entry) progress.steps[step.id] = entry;
+    else delete progress.steps[step.id];
+    if (onStep) await onStep({ step, entry });
+  }
+
+  async function confirm({ step, tx }) {
+    try {
+      const receipt = await tx.wait();
+      confirmed++;
+      await update(step, {
+        status: "confirmed",
+        hash: tx.hash,
+        nonce: tx.nonce,
+        blockNumber: receipt.blockNumber,
+      });
+      return null;
+    } catch (error) {
+      await update(step, null);
+      return { step, error };
+    }
+  }
+
+  for (const phase of PHASES) {
+    const inFlight = [];
+    let failure = null;
+
+    for (const step of plan.steps.filter((item) => item.phase === phase)) {
+      try {
+        const tx = await signer.sendTransaction({
+          to: step.to,
+          data: step.data,
+          nonce,
+        });
+        nonce++;
+        inFlight.push({ step, tx });
+        await update(step, { status: "sent", hash: tx.hash, nonce: tx.nonce });
+      } catch (error) {
+        failure = { step, error };
+        break;
+      }
+
+      if (inFlight.length >= maxPending) {
+        failure = await confirm(inFlight.shift());
+        if (failure) break;
+      }
+    }
+
+    // Lo ya enviado se confirma aunque un paso haya fallado
+    for (const sent of inFlight) {
+      failure = (await confirm(sent)) || failure;
+    }
+
+    if (failure) {
+      throw new Error(
+        `Falló "${failure.step.description}": ${describeError(failure.error)}`
+      );
+    }
+  }
+
+  return confirmed;
+}
+
+/**
+ * Compara el manifest con el estado final de la cadena
+ * @param {Object} params
+ * @param {Object} params.manifest - Manifest normalizado
+ * @param {Object} params.runner - Signer o provider de ethers
+ * @param {Object} params.progress - Progreso del lanzamiento
+ * @returns {Promise<Object>} - { ok, items: [{ tokenId, check, expected, actual, ok }] }
+ */
+async function reconcileRelease({ manifest, runner, progress }) {
+  const contracts = await getContracts(manifest, runner);
+  const { collection } = contracts;
+  const items = [];
+
+  function check(tokenId, name, expected, actual) {
+    items.push({
+      tokenId: tokenId === null ? null : tokenId.toString(),
+      check: name,
+      expected: String(expected),
+      actual: String(actual),
+      ok: String(expected) === String(actual),
+    });
+  }
+
+  for (const { token, price } of manifest.paymentTokens) {
+    check(
+      null,
+      `precio ${token}`,
+      price,
+      await collection.acceptedTokens(token)
+    );
+  }
+
+  for (const track of manifest.tracks) {
+    const { tokenId } = track;
+    const state = await readTrackState(contracts, manifest, tokenId);
+
+    if (track.maxSupply !== null) {
+      check(tokenId, "maxSupply", track.maxSupply, state.maxSupply);
+    }
+    if (track.uri) check(tokenId, "uri", track.uri, state.uri);
+    if (track.splits) {
+      check(
+        tokenId,
+        "splits",
+        formatSplits(track.splits),
+        formatSplits(state.splits)
+      );
+    }
+    if (track.airdrops.length > 0) {
+      const airdropped = track.airdrops.reduce((sum, airdrop, i) => {
+        const entry = progress.steps[airdropId(tokenId, i, airdrop)];
+        return entry && entry.status === "confirmed"
+          ? sum + airdrop.amount
+          : sum;
+      }, 0n);
+      check(tokenId, "airdrops", track.airdropped, airdropped);
+    }
+  }
+
+  return { ok: items.every((item) => item.ok), items };
+}
+
+module.exports = {
+  DEFAULT_MAX_PENDING,
+  buildReleasePlan,
+  executeReleasePlan,
+  getProgressPath,
+  loadProgress,
+  reconcileRelease,
+  saveProgress,
+  settleProgress,
+};
@@ -0,0 +1,465 @@
+/**
+ * Conciliación de royalties de reventa cobrados por un RevenueShare
+ *
+ * Compara un registro de ventas en marketplaces (CSV o JSON) con la cadena:
+ * el royalty ERC2981 esperado de cada venta, lo que recibió el RevenueShare
+ * (ETH vía `RoyaltyReceived`, transferencias ERC20 directas y pagos con
+ * `distributeResalePayment*`) y lo repartido con `ResaleRoyaltiesDistributed`.
+ * El reparto por destinatario se calcula con la configuración actual del
+ * RevenueShare y la misma aritmética entera del contrato (sdk/splits.js).
+ *
+ * Ventas (montos en unidades mínimas, `token` vacío = ETH):
+ *   tokenId,price,token,txHash,marketplace
+ *   1,50000000000000000,,0xabc...,opensea
+ */
+const fs = require("fs");
+const path = require("path");
+const { Interface, ZeroAddress, ethers } = require("ethers");
+const { ERC20_ABI, getAbi } = require("../../sdk/abis");
+const {
+  readPayoutConfig,
+  resolveTokenConfig,
+} = require("../../sdk/payout-simulator");
+const { computeCascadeSplit } = require("../../sdk/splits");
+const { getLogsInBatches } = require("./logs");
+
+const SALES_CSV_COLUMNS = [
+  "tokenId",
+  "price",
+  "token",
+  "txHash",
+  "marketplace",
+];
+
+const DEFAULT_BATCH_SIZE = 2000;
+
+function isUint(value) {
+  return /^\d+$/.test(String(value));
+}
+
+function parseSalesCsv(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+  if (lines.length === 0) return [];
+
+  const header = lines[0].split(",").map((cell) => cell.trim());
+  const unknown = header.filter(
+    (column) => !SALES_CSV_COLUMNS.includes(column)
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `Columnas desconocidas: ${unknown.join(", ")} (válidas: ${SALES_CSV_COLUMNS.join(", ")})`
+    );
+  }
+  return lines.slice(1).map((line) => {
+    const cells = line.split(",").map((cell) => cell.trim());
+    return Object.fromEntries(
+      header.map((column, i) => [column, cells[i] || undefined])
+    );
+  });
+}
+
+/**
+ * Valida las ventas de un marketplace
+ * @param {Array<Object>} sales - [{ tokenId, price, token, txHash, marketplace }]
+ * @returns {Array<Object>} - Ventas con montos en bigint y direcciones checksum
+ * @throws {Error} - Con todos los problemas encontrados
+ */
+function normalizeSales(sales) {
+  const errors = [];
+  const normalized = (sales || []).map((sale, i) => {
+    const label = `[${i}]`;
+    const token = sale.token || ZeroAddress;
+    let valid = true;
+    if (!isUint(sale.tokenId)) {
+      errors.push(`${label}.tokenId: debe ser un entero: ${sale.tokenId}`);
+      valid = false;
+    }
+    if (!isUint(sale.price) || BigInt(sale.price) === 0n) {
+      errors.push(
+        `${label}.price: debe ser un entero mayor a 0 en unidades mínimas: ${sale.price}`
+      );
+      valid = false;
+    }
+    if (!ethers.isAddress(token)) {
+      errors.push(`${label}.token: dirección inválida: ${token}`);
+      valid = false;
+    }
+    if (sale.txHash && !ethers.isHexString(sale.txHash, 32)) {
+      errors.push(`${label}.txHash: hash inválido: ${sale.txHash}`);
+      valid = false;
+    }
+    if (!valid) return null;
+
+    return {
+      tokenId: BigInt(sale.tokenId),
+      price: BigInt(sale.price),
+      token: ethers.getAddress(token),
+      txHash: sale.txHash ? sale.txHash.toLowerCase() : null,
+      marketplace: sale.marketplace || null,
+    };
+  });
+
+  if (normalized.length === 0) errors.push("no hay ventas");
+  if (errors.length > 0) {
+    throw new Error(`Ventas inválidas:\n  - ${errors.join("\n  - ")}`);
+  }
+  return normalized;
+}
+
+/**
+ * Lee un archivo de ventas CSV o JSON (array o { sales })
+ * @param {string} file - Ruta del archivo
+ * @returns {Array<Object>} - Ventas normalizadas
+ */
+function readSalesFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  if (path.extname(file).toLowerCase() === ".csv") {
+    return normalizeSales(parseSalesCsv(text));
+  }
+  const raw = JSON.parse(text);
+  return normalizeSales(Array.isArray(raw) ? raw : raw.sales);
+}
+
+/**
+ * Royalties recibidos y repartidos por el RevenueShare en un rango de bloques
+ *
+ * Una transferencia ERC20 al RevenueShare cuenta como royalty recibido solo
+ * si la transacción no emitió eventos del RevenueShare: las que sí emiten
+ * son cobros de los propios `distribute*` (mints o reventas con token).
+ * @param {Object} params
+ * @param {Object} params.provider - Provider de ethers v6
+ * @param {string} params.revenueShare - Dirección del RevenueShare
+ * @param {Array<string>} params.tokens - Tokens ERC20 a revisar
+ * @param {number} params.fromBlock - Primer bloque
+ * @param {number} params.toBlock - Último bloque
+ * @param {number} [params.batchSize] - Bloques por consulta de logs
+ * @returns {Promise<Object>} - { payments, distributions }
+ */
+async function collectRoyaltyActivity({
+  provider,
+  revenueShare,
+  tokens,
+  fromBlock,
+  toBlock,
+  batchSize = DEFAULT_BATCH_SIZE,
+}) {
+  const iface = new Interface(getAbi("RevenueShareUpgradeable"));
+  const erc20 = new Interface(ERC20_ABI);
+  const payments = [];
+  const distributions = [];
+  const ownTransactions = new Set();
+
+  const logs = await getLogsInBatches(
+    provider,
+    { address: revenueShare },
+    fromBlock,
+    toBlock,
+    batchSize
+  );
+  for (const log of logs) {
+    ownTransactions.add(log.transactionHash);
+    const parsed = iface.parseLog({ topics: log.topics, data: log.data });
+    if (!parsed) continue;
+    const base = {
+      txHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+    };
+
+    if (parsed.name === "RoyaltyReceived") {
+      payments.push({
+        ...base,
+        token: ZeroAddress,
+        from: parsed.args.from,
+        amount: parsed.args.amount,
+        via: "receive",
+      });
+    } else if (parsed.name === "ResaleRoyaltiesDistributed") {
+      const distribution = {
+        ...base,
+        collection: parsed.args.collection,
+        tokenId: parsed.args.tokenId,
+        token: parsed.args.token,
+        amount: parsed.args.amount,
+        fromBalance: parsed.args.fromBalance,
+      };
+      distributions.push(distribution);
+      if (!distribution.fromBalance) {
+        payments.push({
+          ...base,
+          token: distribution.token,
+          from: null,
+          amount: distribution.amount,
+          via: "distributeResalePayment",
+        });
+      }
+    }
+  }
+
+  for (const token of tokens) {
+    const transfers = await getLogsInBatches(
+      provider,
+      {
+        address: token,
+        topics: [
+          erc20.getEvent("Transfer").topicHash,
+          null,
+          ethers.zeroPadValue(revenueShare, 32),
+        ],
+      },
+      fromBlock,
+      toBlock,
+      batchSize
+    );
+    for (const log of transfers) {
+      if (ownTransactions.has(log.transactionHash)) continue;
+      const parsed = erc20.parseLog({ topics: log.topics, data: log.data });
+      payments.push({
+        txHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+        token,
+        from: parsed.args.from,
+        amount: parsed.args.value,
+        via: "transfer",
+      });
+    }
+  }
+
+  return { payments, distributions };
+}
+
+function addAmount(map, token, account, amount) {
+  const key = `${token}:${account}`;
+  const row = map.get(key) || { token, account, amount: 0n, entries: 0 };
+  row.amount += amount;
+  row.entries += 1;
+  map.set(key, row);
+}
+
+function addSplit(map, token, result) {
+  for (const payout of [...result.sourcePayouts, ...result.payouts]) {
+    addAmount(map, token, payout.account, payout.amount);
+  }
+}
+
+function saleStatus(expected, paid) {
+  if (paid === null) return "sin-tx";
+  if (paid === expected) return "ok";
+  if (paid === 0n) return "sin-pago";
+  return paid < expected ? "incompleto" : "excedente";
+}
+
+/**
+ * Concilia las ventas de un marketplace con los royalties en cadena
+ *
+ * - Por venta: royalty esperado (`royaltyInfo` de la colección) y, si la
+ *   venta indica `txHash`, lo que el RevenueShare recibió en esa transacción.
+ * - Por moneda: royalties esperados, recibidos, repartidos para la colección
+ *   y fondos recibidos que nadie liquidó todavía (`pending`).
+ * - Por destinatario: lo esperado según las ventas contra lo pagado según
+ *   las distribuciones. La diferencia tolera el redondeo del contrato (menos
+ *   de una unidad por pago).
+ * @param {Object} params
+ * @param {Object} params.runner - Provider o signer de ethers v6
+ * @param {string} params.revenueShare - Dirección del RevenueShare
+ * @param {string} params.collection - Dirección de la colección
+ * @param {Array<Object>} params.sales - Ventas de normalizeSales
+ * @param {number} [params.fromBlock] - Primer bloque (default: 0)
+ * @param {number} [params.toBlock] - Último bloque (default: el último)
+ * @returns {Promise<Object>} - { ok, sales, currencies, recipients, problems }
+ */
+async function reconcileRoyalties({
+  runner,
+  revenueShare,
+  collection,
+  sales,
+  fromBlock = 0,
+  toBlock,
+  batchSize,
+}) {
+  const provider = runner.provider || runner;
+  revenueShare = ethers.getAddress(revenueShare);
+  collection = ethers.getAddress(collection);
+  if (toBlock === undefined) toBlock = await provider.getBlockNumber();
+  const problems = [];
+
+  const tokens = [
+    ...new Set(
+      sales.map((sale) => sale.token).filter((t) => t !== ZeroAddress)
+    ),
+  ];
+  const { payments, distributions } = await collectRoyaltyActivity({
+    provider,
+    revenueShare,
+    tokens,
+    fromBlock,
+    toBlock,
+    batchSize,
+  });
+  const ownDistributions = distributions.filter(
+    (distribution) => distribution.collection === collection
+  );
+
+  const tokenIds = [
+    ...new Set(
+      [...sales, ...ownDistributions].map((item) => item.tokenId.toString())
+    ),
+  ].map(BigInt);
+  const config = await readPayoutConfig({
+    runner,
+    revenueShare,
+    collection,
+    tokenIds,
+  });
+  const collectionContract = new ethers.Contract(
+    collection,
+    getAbi("MusicCollectionUpgradeable"),
+    runner
+  );
+
+  const expectedByRecipient = new Map();
+  const paidByRecipient = new Map();
+  const receivers = new Set();
+
+  const saleRows = [];
+  for (const sale of sales) {
+    const [receiver, royalty] = await collectionContract.royaltyInfo(
+      sale.tokenId,
+      sale.price
+    );
+    if (receiver !== revenueShare && !receivers.has(receiver)) {
+      receivers.add(receiver);
+      problems.push(
+        `El royalty ERC2981 del token ${sale.tokenId} lo cobra ${receiver}, no el RevenueShare: usa collection:set-royalty`
+      );
+    }
+
+    const tokenConfig = resolveTokenConfig(config, sale.tokenId);
+    if (tokenConfig.resaleRoyalties.length === 0) {
+      problems.push(
+        `El token ${sale.tokenId} no tiene royalties de reventa configurados`
+      );
+    } else if (royalty > 0n) {
+      addSplit(
+        expectedByRecipient,
+        sale.token,
+        computeCascadeSplit(royalty, {
+          ...tokenConfig,
+          shares: tokenConfig.resaleRoyalties,
+        })
+      );
+    }
+
+    const paid = sale.txHash
+      ? payments
+          .filter(
+            (payment) =>
+              payment.txHash.toLowerCase() === sale.txHash &&
+              payment.token === sale.token
+          )
+          .reduce((total, payment) => total + payment.amount, 0n)
+      : null;
+    saleRows.push({
+      ...sale,
+      royalty,
+      paid,
+      status: saleStatus(royalty, paid),
+    });
+  }
+
+  for (const distribution of ownDistributions) {
+    const tokenConfig = resolveTokenConfig(config, distribution.tokenId);
+    addSplit(
+      paidByRecipient,
+      distribution.token,
+      computeCascadeSplit(distribution.amount, {
+        ...tokenConfig,
+        shares: tokenConfig.resaleRoyalties,
+      })
+    );
+  }
+
+  const currencyTokens = new Set([
+    ...sales.map((sale) => sale.token),
+    ...payments.map((payment) => payment.token),
+    ...ownDistributions.map((distribution) => distribution.token),
+  ]);
+  const sum = (items) => items.reduce((total, item) => total + item.amount, 0n);
+  const currencies = [...currencyTokens].map((token) => {
+    const expected = saleRows
+      .filter((sale) => sale.token === token)
+      .reduce((total, sale) => total + sale.royalty, 0n);
+    const received = sum(payments.filter((p) => p.token === token));
+    const direct = sum(
+      payments.filter(
+        (p) => p.token === token && p.via !== "distributeResalePayment"
+      )
+    );
+    const settled = sum(
+      distributions.filter((d) => d.token === token && d.fromBalance)
+    );
+    return {
+      token,
+      expected,
+      received,
+      distributed: sum(ownDistributions.filter((d) => d.token === token)),
+      pending: direct > settled ? direct - settled : 0n,
+      difference: received - expected,
+    };
+  });
+
+  const recipientKeys = new Set([
+    ...expectedByRecipient.keys(),
+    ...paidByRecipient.keys(),
+  ]);
+  const recipients = [...recipientKeys].map((key) => {
+    const expected = expectedByRecipient.get(key);
+    const paid = paidByRecipient.get(key);
+    const expectedAmount = expected ? expected.amount : 0n;
+    const paidAmount = paid ? paid.amount : 0n;
+    const tolerance = BigInt(
+      (expected ? expected.entries : 0) + (paid ? paid.entries : 0)
+    );
+    const difference = paidAmount - expectedAmount;
+    return {
+      token: (expected || paid).token,
+      account: (expected || paid).account,
+      expected: expectedAmount,
+      paid: paidAmount,
+      difference,
+      ok: (difference < 0n ? -difference : difference) <= tolerance,
+    };
+  });
+
+  const ok =
+    problems.length === 0 &&
+    saleRows.every((sale) => ["ok", "sin-tx"].includes(sale.status)) &&
+    currencies.every(
+      (currency) => currency.difference === 0n && currency.pending === 0n
+    ) &&
+    recipients.every((recipient) => recipient.ok);
+
+  return {
+    ok,
+    revenueShare,
+    collection,
+    fromBlock,
+    toBlock,
+    sales: saleRows,
+    currencies,
+    recipients,
+    payments,
+    distributions: ownDistributions,
+    problems,
+  };
+}
+
+module.exports = {
+  SALES_CSV_COLUMNS,
+  collectRoyaltyActivity,
+  normalizeSales,
+  readSalesFile,
+  reconcileRoyalties,
+};
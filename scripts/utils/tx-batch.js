@@ -0,0 +1,116 @@
+/**
+ * Batches de transacciones en el formato JSON del Transaction Builder de Safe
+ *
+ * Los archivos se pueden importar en la app de Safe o ejecutarse desde una
+ * cuenta EOA con la task `batch:execute`.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const TX_BUILDER_VERSION = "1.16.5";
+
+/**
+ * Crea un batch de transacciones
+ * @param {Object} params
+ * @param {number|bigint|string} params.chainId - Chain ID donde se ejecuta
+ * @param {string} params.name - Nombre del batch
+ * @param {string} [params.description] - Descripción del batch
+ * @param {string} [params.from] - Cuenta (EOA o Safe) que debe firmarlo
+ * @param {Array<Object>} params.transactions - [{ to, value, data }]
+ * @returns {Object} - Batch listo para serializar
+ */
+function createTxBatch({
+  chainId,
+  name,
+  description = "",
+  from,
+  transactions,
+}) {
+  return {
+    version: "1.0",
+    chainId: String(chainId),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description,
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: from || "",
+      createdFromOwnerAddress: "",
+    },
+    transactions: transactions.map((tx) => ({
+      to: tx.to,
+      value: String(tx.value || 0),
+      data: tx.data,
+      contractMethod: null,
+      contractInputsValues: null,
+    })),
+  };
+}
+
+/**
+ * Guarda un batch como JSON
+ * @param {string} file - Ruta del archivo
+ * @param {Object} batch - Resultado de createTxBatch
+ * @returns {string} - Ruta del archivo
+ */
+function writeTxBatch(file, batch) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(batch, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * Lee y valida un batch guardado
+ * @param {string} file - Ruta del archivo
+ * @returns {Object} - Batch
+ */
+function readTxBatch(file) {
+  const batch = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!batch.chainId || !Array.isArray(batch.transactions)) {
+    throw new Error(`${file} no es un batch de transacciones válido`);
+  }
+  return batch;
+}
+
+/**
+ * Ejecuta en orden las transacciones de un batch desde una cuenta EOA
+ * @param {Object} params
+ * @param {Object} params.batch - Batch a ejecutar
+ * @param {Object} params.signer - Signer de ethers que firma las transacciones
+ * @param {Function} [params.onSent] - Callback ({ index, tx, receipt })
+ * @returns {Promise<Array<Object>>} - Receipts en orden
+ */
+async function executeTxBatch({ batch, signer, onSent }) {
+  const { chainId } = await signer.provider.getNetwork();
+  if (String(chainId) !== String(batch.chainId)) {
+    throw new Error(
+      `El batch es para chainId ${batch.chainId}, pero la red actual es chainId ${chainId}`
+    );
+  }
+
+  const from = batch.meta && batch.meta.createdFromSafeAddress;
+  if (from && from.toLowerCase() !== signer.address.toLowerCase()) {
+    throw new Error(`El batch debe firmarlo ${from}, no ${signer.address}`);
+  }
+
+  const receipts = [];
+  for (const [index, transaction] of batch.transactions.entries()) {
+    const tx = await signer.sendTransaction({
+      to: transaction.to,
+      value: BigInt(transaction.value || 0),
+      data: transaction.data,
+    });
+    const receipt = await tx.wait();
+    receipts.push(receipt);
+    if (onSent) await onSent({ index, tx, receipt });
+  }
+
+  return receipts;
+}
+
+module.exports = {
+  createTxBatch,
+  executeTxBatch,
+  readTxBatch,
+  writeTxBatch,
+};
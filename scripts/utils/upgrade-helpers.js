@@ -0,0 +1,558 @@
+/**
+ * Helpers para upgrades seguros de los contratos de la plataforma
+ *
+ * Cada upgrade pasa por tres fases:
+ * 1. plan: valida la nueva implementación contra la actual, calcula el diff
+ *    del storage layout y compara version()
+ * 2. apply: hace el upgrade del proxy o actualiza el template en el factory
+ * 3. check: verifica el estado tras el upgrade; si falla se hace rollback a
+ *    la implementación anterior
+ */
+const hre = require("hardhat");
+const { Manifest } = require("@openzeppelin/upgrades-core");
+const registry = require("./deployment-registry");
+const {
+  getImplementationTxHash,
+  getTxInfo,
+  readVersion,
+} = require("./deploy-helpers");
+
+const { ethers, upgrades } = hre;
+
+const UPGRADE_OPTIONS = { kind: "uups" };
+
+/**
+ * Contratos que se pueden actualizar, en el orden en que se aplican
+ *
+ * - `proxy`: upgrade UUPS del proxy registrado
+ * - `template`: nueva implementación que el factory usa para las próximas
+ *   colecciones / revenue shares (las existentes no cambian)
+ */
+const UPGRADE_TARGETS = {
+  musicFactory: {
+    type: "proxy",
+    contract: "MusicNFTFactoryUpgradeable",
+    getter: "collectionImplementation",
+  },
+  revenueFactory: {
+    type: "proxy",
+    contract: "RevenueShareFactoryUpgradeable",
+    getter: "revenueShareImplementation",
+  },
+  collectionImplementation: {
+    type: "template",
+    contract: "MusicCollectionUpgradeable",
+    factory: "musicFactory",
+    getter: "collectionImplementation",
+    setter: "updateCollectionImplementation",
+  },
+  revenueShareImplementation: {
+    type: "template",
+    contract: "RevenueShareUpgradeable",
+    factory: "revenueFactory",
+    getter: "revenueShareImplementation",
+    setter: "updateRevenueShareImplementation",
+  },
+};
+
+/**
+ * Parsea la lista de contratos a actualizar
+ * @param {string} value - "all" o lista separada por comas; cada entrada
+ *   acepta `clave=Contrato` para usar otro contrato como nueva versión
+ * @returns {Array<Object>} - [{ key, contract }] en orden de aplicación
+ */
+function parseUpgradeTargets(value) {
+  if (!value || !value.trim()) {
+    throw new Error(
+      `Indica los contratos a actualizar: ${Object.keys(UPGRADE_TARGETS).join(", ")} o all`
+    );
+  }
+
+  if (value.trim() === "all") {
+    return Object.keys(UPGRADE_TARGETS).map((key) => ({
+      key,
+      contract: UPGRADE_TARGETS[key].contract,
+    }));
+  }
+
+  const selected = {};
+  for (const entry of value.split(",")) {
+    const [key, contract] = entry.split("=").map((part) => part.trim());
+    if (!UPGRADE_TARGETS[key]) {
+      throw new Error(
+        `Contrato desconocido: ${key}. Opciones: ${Object.keys(UPGRADE_TARGETS).join(", ")}`
+      );
+    }
+    selected[key] = contract || UPGRADE_TARGETS[key].contract;
+  }
+
+  return Object.keys(UPGRADE_TARGETS)
+    .filter((key) => selected[key])
+    .map((key) => ({ key, contract: selected[key] }));
+}
+
+function describeItem(item, layout) {
+  const type = layout.types[item.type];
+  return `${item.label}: ${type ? type.label : item.type}`;
+}
+
+function diffStorageItems(original, updated, namespace) {
+  const changes = [];
+  const length = Math.max(original.items.length, updated.items.length);
+
+  for (let i = 0; i < length; i++) {
+    const before = original.items[i];
+    const after = updated.items[i];
+    const position = after || before;
+    const base = {
+      namespace,
+      slot: position.slot,
+      offset: position.offset,
+      contract: position.contract,
+    };
+
+    if (!before) {
+      changes.push({
+        ...base,
+        change: "added",
+        after: describeItem(after, updated.layout),
+      });
+    } else if (!after) {
+      changes.push({
+        ...base,
+        change: "removed",
+        before: describeItem(before, original.layout),
+      });
+    } else {
+      const beforeText = describeItem(before, original.layout);
+      const afterText = describeItem(after, updated.layout);
+      if (
+        beforeText !== afterText ||
+        before.slot !== after.slot ||
+        before.offset !== after.offset
+      ) {
+        changes.push({
+          ...base,
+          change: "changed",
+          before: beforeText,
+          after: afterText,
+        });
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Compara dos storage layouts posición a posición, incluyendo los
+ * namespaces ERC-7201 de OpenZeppelin v5
+ * @param {Object} original - Layout de la implementación actual
+ * @param {Object} updated - Layout de la nueva implementación
+ * @returns {Array<Object>} - [{ namespace, slot, offset, contract, change, before, after }]
+ */
+function diffStorageLayouts(original, updated) {
+  const changes = diffStorageItems(
+    { layout: original, items: original.storage },
+    { layout: updated, items: updated.storage },
+    null
+  );
+
+  const originalNamespaces = original.namespaces || {};
+  const updatedNamespaces = updated.namespaces || {};
+  const namespaces = new Set([
+    ...Object.keys(originalNamespaces),
+    ...Object.keys(updatedNamespaces),
+  ]);
+
+  for (const namespace of namespaces) {
+    changes.push(
+      ...diffStorageItems(
+        { layout: original, items: originalNamespaces[namespace] || [] },
+        { layout: updated, items: updatedNamespaces[namespace] || [] },
+        namespace
+      )
+    );
+  }
+
+  return changes;
+}
+
+/**
+ * Formatea el diff de storage para imprimirlo en consola
+ * @param {Array<Object>} changes - Resultado de diffStorageLayouts
+ * @returns {Array<string>} - Una línea por cambio
+ */
+function formatStorageDiff(changes) {
+  const symbols = { added: "+", removed: "-", changed: "~" };
+
+  return changes.map((change) => {
+    const location = `${change.namespace ? `${change.namespace} ` : ""}slot ${change.slot}:${change.offset}`;
+    const detail =
+      change.change === "changed"
+        ? `${change.before} -> ${change.after}`
+        : change.before || change.after;
+    return `${symbols[change.change]} [${location}] ${detail}`;
+  });
+}
+
+/**
+ * Storage layout con el que el plugin registró una implementación en el
+ * manifest de .openzeppelin; null si no la desplegó el plugin
+ */
+async function getManifestLayout(implementation) {
+  try {
+    const manifest = await Manifest.forNetwork(hre.network.provider);
+    const { layout } = await manifest.getDeploymentFromAddress(implementation);
+    return layout || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function getCurrentImplementation(deployment, key) {
+  const target = UPGRADE_TARGETS[key];
+  const address = registry.getAddress(deployment, key);
+  if (!address) {
+    throw new Error(
+      `No hay ${key} registrado en deployments/${deployment.network}`
+    );
+  }
+
+  if (target.type === "proxy") {
+    return {
+      address,
+      implementation: await upgrades.erc1967.getImplementationAddress(address),
+    };
+  }
+
+  const factoryAddress = registry.getAddress(deployment, target.factory);
+  const factory = await ethers.getContractAt(
+    UPGRADE_TARGETS[target.factory].contract,
+    factoryAddress
+  );
+  return {
+    address: factoryAddress,
+    implementation: await factory[target.getter](),
+  };
+}
+
+/**
+ * Valida y prepara el upgrade de un contrato
+ *
+ * Despliega (o reutiliza, si ya existe en el manifest) la nueva
+ * implementación con prepareUpgrade para poder leer su version(). No
+ * modifica proxies, factories ni el registro.
+ * @param {Object} deployment - Registro de la red
+ * @param {Object} params - { key, contract }
+ * @param {Object} [options]
+ * @param {Object} [options.overrides] - Overrides de gas (getGasOverrides)
+ * @returns {Promise<Object>} - Plan con implementación, versiones, diff y problemas
+ */
+async function planUpgrade(deployment, { key, contract }, { overrides } = {}) {
+  const target = UPGRADE_TARGETS[key];
+  const record = deployment.contracts[key];
+  const current = await getCurrentImplementation(deployment, key);
+  const Contract = await ethers.getContractFactory(contract);
+
+  const plan = {
+    key,
+    type: target.type,
+    contract,
+    address: current.address,
+    previousImplementation: current.implementation,
+    previousVersion: record.version,
+    implementation: null,
+    version: null,
+    storageDiff: null,
+    problems: [],
+  };
+
+  if (target.type === "proxy") {
+    plan.previousVersion = await readVersion(
+      await ethers.getContractAt(record.contract, current.address)
+    );
+  }
+
+  const referenceLayout = await getManifestLayout(current.implementation);
+  const reference =
+    target.type === "proxy" ? current.address : current.implementation;
+
+  try {
+    if (target.type === "proxy" || referenceLayout) {
+      await upgrades.validateUpgrade(reference, Contract, UPGRADE_OPTIONS);
+      plan.implementation = await upgrades.prepareUpgrade(reference, Contract, {
+        ...UPGRADE_OPTIONS,
+        txOverrides: overrides,
+      });
+    } else {
+      // Template desplegado fuera del plugin: no hay layout de referencia
+      await upgrades.validateImplementation(Contract, UPGRADE_OPTIONS);
+      plan.implementation = await upgrades.deployImplementation(Contract, {
+        ...UPGRADE_OPTIONS,
+        txOverrides: overrides,
+      });
+    }
+  } catch (error) {
+    plan.problems.push(`Validación fallida: ${error.message}`);
+    return plan;
+  }
+
+  // prepareUpgrade registra el layout de la nueva implementación en el manifest
+  const layout =
+    referenceLayout && (await getManifestLayout(plan.implementation));
+  if (layout) {
+    plan.storageDiff = diffStorageLayouts(referenceLayout, layout);
+  }
+
+  plan.version = await readVersion(
+    await ethers.getContractAt(contract, plan.implementation)
+  );
+
+  if (plan.implementation === plan.previousImplementation) {
+    plan.problems.push("La implementación no cambió");
+  }
+  if (!plan.version) {
+    plan.problems.push(`${contract} no expone version()`);
+  } else if (plan.version === plan.previousVersion) {
+    plan.problems.push(
+      `version() no cambió (${plan.version}): actualízala antes del upgrade`
+    );
+  }
+
+  return plan;
+}
+
+/**
+ * Aplica un upgrade previamente planificado
+ * @param {Object} deployment - Registro de la red
+ * @param {Object} plan - Resultado de planUpgrade
+ * @param {Object} [options]
+ * @param {Object} [options.overrides] - Overrides de gas (getGasOverrides)
+ * @param {number} [options.confirmations] - Confirmaciones a esperar
+ * @returns {Promise<Object>} - { txHash, blockNumber }
+ */
+async function applyUpgrade(
+  deployment,
+  plan,
+  { overrides = {}, confirmations = 1 } = {}
+) {
+  const target = UPGRADE_TARGETS[plan.key];
+
+  if (target.type === "proxy") {
+    const Contract = await ethers.getContractFactory(plan.contract);
+    const contract = await upgrades.upgradeProxy(plan.address, Contract, {
+      ...UPGRADE_OPTIONS,
+      txOverrides: overrides,
+    });
+    const upgradeTx = contract.deployTransaction;
+    if (upgradeTx) await upgradeTx.wait(confirmations);
+    return getTxInfo(upgradeTx && upgradeTx.hash);
+  }
+
+  const factory = await ethers.getContractAt(
+    deployment.contracts[target.factory].contract,
+    plan.address
+  );
+  const tx = await factory[target.setter](plan.implementation, overrides);
+  await tx.wait(confirmations);
+  return getTxInfo(tx.hash);
+}
+
+/**
+ * Transacción que aplica un upgrade planificado, para que la firme el owner
+ * (multisig o timelock) en lugar de la cuenta que ejecuta el script
+ * @param {Object} deployment - Registro de la red
+ * @param {Object} plan - Resultado de planUpgrade
+ * @returns {Promise<Object>} - { to, value, data }
+ */
+async function buildUpgradeCall(deployment, plan) {
+  const target = UPGRADE_TARGETS[plan.key];
+
+  if (target.type === "proxy") {
+    const proxy = await ethers.getContractAt(plan.contract, plan.address);
+    return {
+      to: plan.address,
+      value: 0,
+      data: proxy.interface.encodeFunctionData("upgradeToAndCall", [
+        plan.implementation,
+        "0x",
+      ]),
+    };
+  }
+
+  const factory = await ethers.getContractAt(
+    deployment.contracts[target.factory].contract,
+    plan.address
+  );
+  return {
+    to: plan.address,
+    value: 0,
+    data: factory.interface.encodeFunctionData(target.setter, [
+      plan.implementation,
+    ]),
+  };
+}
+
+/**
+ * Owner que autoriza un upgrade: el del proxy o el del factory del template
+ * @param {Object} deployment - Registro de la red
+ * @param {Object} plan - Resultado de planUpgrade
+ * @returns {Promise<string>}
+ */
+async function getUpgradeOwner(deployment, plan) {
+  const target = UPGRADE_TARGETS[plan.key];
+  const contract = await ethers.getContractAt(
+    deployment.contracts[target.factory || plan.key].contract,
+    plan.address
+  );
+  return contract.owner();
+}
+
+/**
+ * Verifica el estado del contrato tras el upgrade
+ * @param {Object} deployment - Registro de la red
+ * @param {Object} plan - Plan aplicado
+ * @param {Object} snapshot - Estado previo ({ owner, linked })
+ * @returns {Promise<Array<string>>} - Checks fallidos
+ */
+async function checkUpgrade(deployment, plan, snapshot) {
+  const target = UPGRADE_TARGETS[plan.key];
+  const failures = [];
+
+  if (target.type === "proxy") {
+    const contract = await ethers.getContractAt(plan.contract, plan.address);
+    const implementation = await getLinkedImplementation(deployment, plan);
+    if (implementation !== plan.implementation) {
+      failures.push(`El proxy apunta a ${implementation}`);
+    }
+    if ((await readVersion(contract)) !== plan.version) {
+      failures.push("version() del proxy no coincide con la nueva");
+    }
+    if ((await contract.owner()) !== snapshot.owner) {
+      failures.push("El owner cambió durante el upgrade");
+    }
+    const linked = await contract[target.getter]();
+    if (linked === ethers.ZeroAddress || linked !== snapshot.linked) {
+      failures.push(`${target.getter}() no conserva su valor (${linked})`);
+    }
+    return failures;
+  }
+
+  const linked = await getLinkedImplementation(deployment, plan);
+  if (linked !== plan.implementation) {
+    failures.push(`${target.getter}() apunta a ${linked}`);
+  }
+  return failures;
+}
+
+/**
+ * Guarda el estado que checkUpgrade compara tras el upgrade
+ * @param {Object} deployment - Registro de la red
+ * @param {Object} plan - Plan a aplicar
+ * @returns {Promise<Object>} - { owner, linked } para proxies
+ */
+async function snapshotUpgrade(deployment, plan) {
+  const target = UPGRADE_TARGETS[plan.key];
+  if (target.type !== "proxy") return {};
+
+  const contract = await ethers.getContractAt(
+    deployment.contracts[plan.key].contract,
+    plan.address
+  );
+  return {
+    owner: await contract.owner(),
+    linked: await contract[target.getter](),
+  };
+}
+
+/**
+ * Implementación a la que apunta hoy el proxy o el factory del plan
+ */
+async function getLinkedImplementation(deployment, plan) {
+  const target = UPGRADE_TARGETS[plan.key];
+  if (target.type === "proxy") {
+    return upgrades.erc1967.getImplementationAddress(plan.address);
+  }
+
+  const factory = await ethers.getContractAt(
+    deployment.contracts[target.factory].contract,
+    plan.address
+  );
+  return factory[target.getter]();
+}
+
+/**
+ * Restaura la implementación anterior de un upgrade aplicado
+ * @param {Object} deployment - Registro de la red
+ * @param {Object} plan - Plan aplicado
+ * @param {Object} [options] - { overrides, confirmations } (ver applyUpgrade)
+ */
+async function rollbackUpgrade(
+  deployment,
+  plan,
+  { overrides = {}, confirmations = 1 } = {}
+) {
+  const target = UPGRADE_TARGETS[plan.key];
+
+  if (target.type === "proxy") {
+    const proxy = await ethers.getContractAt(plan.contract, plan.address);
+    const tx = await proxy.upgradeToAndCall(
+      plan.previousImplementation,
+      "0x",
+      overrides
+    );
+    await tx.wait(confirmations);
+  } else {
+    const factory = await ethers.getContractAt(
+      deployment.contracts[target.factory].contract,
+      plan.address
+    );
+    const tx = await factory[target.setter](
+      plan.previousImplementation,
+      overrides
+    );
+    await tx.wait(confirmations);
+  }
+
+  const restored = await getLinkedImplementation(deployment, plan);
+  if (restored !== plan.previousImplementation) {
+    throw new Error(`Rollback de ${plan.key} incompleto: apunta a ${restored}`);
+  }
+}
+
+/**
+ * Registra en el historial un upgrade aplicado y verificado
+ * @param {Object} deployment - Registro de la red
+ * @param {Object} plan - Plan aplicado
+ * @param {Object} txInfo - { txHash, blockNumber }
+ */
+async function recordAppliedUpgrade(deployment, plan, txInfo) {
+  const [deployer] = await ethers.getSigners();
+  const target = UPGRADE_TARGETS[plan.key];
+
+  return registry.recordUpgrade(deployment, plan.key, {
+    contract: plan.contract,
+    address: target.type === "proxy" ? plan.address : plan.implementation,
+    implementation: target.type === "proxy" ? plan.implementation : undefined,
+    implementationTxHash: await getImplementationTxHash(plan.implementation),
+    version: plan.version,
+    deployer: deployer.address,
+    ...txInfo,
+  });
+}
+
+module.exports = {
+  UPGRADE_TARGETS,
+  applyUpgrade,
+  buildUpgradeCall,
+  checkUpgrade,
+  diffStorageLayouts,
+  formatStorageDiff,
+  getUpgradeOwner,
+  parseUpgradeTargets,
+  planUpgrade,
+  recordAppliedUpgrade,
+  rollbackUpgrade,
+  snapshotUpgrade,
+};
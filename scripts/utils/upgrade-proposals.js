@@ -0,0 +1,264 @@
+/**
+ * Propuestas de upgrade para factories con owner multisig o timelock
+ *
+ * Cuando la cuenta que ejecuta `contracts:upgrade` no es el owner, las
+ * implementaciones se despliegan igual (no requieren permisos) y las
+ * llamadas que las activan se guardan como propuesta:
+ * - multisig: un batch del Transaction Builder de Safe con las llamadas
+ * - timelock: un batch con `scheduleBatch` y otro con `executeBatch`, para
+ *   el proposer y el executor, más el calldata suelto de cada uno
+ *
+ * No depende de Hardhat.
+ */
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const registry = require("./deployment-registry");
+const { createTxBatch, writeTxBatch } = require("./tx-batch");
+
+const PROPOSAL_FILE = "proposal.json";
+
+const TIMELOCK_ABI = [
+  "function getMinDelay() view returns (uint256)",
+  "function isOperationDone(bytes32 id) view returns (bool)",
+  "function scheduleBatch(address[] targets, uint256[] values, bytes[] payloads, bytes32 predecessor, bytes32 salt, uint256 delay)",
+  "function executeBatch(address[] targets, uint256[] values, bytes[] payloads, bytes32 predecessor, bytes32 salt) payable",
+];
+
+/**
+ * Identifica el tipo de owner de los factories
+ * @param {Object} provider - Provider de ethers v6
+ * @param {string} owner - Dirección del owner
+ * @returns {Promise<Object>} - { kind: "eoa"|"timelock"|"multisig", minDelay? }
+ */
+async function detectOwnerKind(provider, owner) {
+  if ((await provider.getCode(owner)) === "0x") return { kind: "eoa" };
+  try {
+    const timelock = new ethers.Contract(owner, TIMELOCK_ABI, provider);
+    return { kind: "timelock", minDelay: await timelock.getMinDelay() };
+  } catch (_) {
+    return { kind: "multisig" };
+  }
+}
+
+/**
+ * Id de una operación por lotes del timelock (igual que hashOperationBatch)
+ */
+function hashTimelockBatch({ targets, values, payloads, predecessor, salt }) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address[]", "uint256[]", "bytes[]", "bytes32", "bytes32"],
+      [targets, values, payloads, predecessor, salt]
+    )
+  );
+}
+
+/**
+ * Calldata de `scheduleBatch` y `executeBatch` para un conjunto de llamadas
+ * @param {Object} params
+ * @param {string} params.timelock - Dirección del timelock
+ * @param {Array<Object>} params.calls - [{ to, value, data }]
+ * @param {number|bigint} params.delay - Delay (segundos), al menos el mínimo del timelock
+ * @param {string} [params.salt] - bytes32 (default: aleatorio)
+ * @param {string} [params.predecessor] - Operación que debe ejecutarse antes
+ * @returns {Object} - { address, delay, salt, predecessor, operationId, schedule, execute }
+ */
+function buildTimelockOperation({
+  timelock,
+  calls,
+  delay,
+  salt = ethers.hexlify(ethers.randomBytes(32)),
+  predecessor = ethers.ZeroHash,
+}) {
+  const iface = new ethers.Interface(TIMELOCK_ABI);
+  const operation = {
+    targets: calls.map((call) => call.to),
+    values: calls.map((call) => BigInt(call.value || 0)),
+    payloads: calls.map((call) => call.data),
+    predecessor,
+    salt,
+  };
+  const args = [
+    operation.targets,
+    operation.values,
+    operation.payloads,
+    predecessor,
+    salt,
+  ];
+
+  return {
+    address: timelock,
+    delay: String(delay),
+    salt,
+    predecessor,
+    operationId: hashTimelockBatch(operation),
+    schedule: {
+      to: timelock,
+      value: 0,
+      data: iface.encodeFunctionData("scheduleBatch", [...args, delay]),
+    },
+    execute: {
+      to: timelock,
+      value: 0,
+      data: iface.encodeFunctionData("executeBatch", args),
+    },
+  };
+}
+
+function describePlans(plans) {
+  return plans
+    .map(
+      (plan) =>
+        `${plan.key}: v${plan.previousVersion} -> v${plan.version} (${plan.implementation})`
+    )
+    .join("\n");
+}
+
+/**
+ * Arma la propuesta de upgrade y sus batches
+ * @param {Object} params
+ * @param {Object} params.deployment - Registro de la red
+ * @param {string} params.owner - Owner que debe autorizar los upgrades
+ * @param {Object} params.ownerKind - Resultado de detectOwnerKind
+ * @param {Array<Object>} params.plans - Planes (con su `snapshot`)
+ * @param {Array<Object>} params.calls - Una llamada por plan ({ to, value, data })
+ * @param {number|bigint} [params.delay] - Delay del timelock (default: el mínimo)
+ * @param {string} [params.salt] - Salt del timelock
+ * @returns {Object} - { proposal, batches: { [nombre]: batch } }
+ */
+function buildUpgradeProposal({
+  deployment,
+  owner,
+  ownerKind,
+  plans,
+  calls,
+  delay,
+  salt,
+}) {
+  const chainId = deployment.chainId;
+  const description = describePlans(plans);
+  const proposal = {
+    network: deployment.network,
+    chainId: String(chainId),
+    createdAt: new Date().toISOString(),
+    owner,
+    ownerKind: ownerKind.kind,
+    plans,
+    calls,
+  };
+  const batches = {};
+
+  if (ownerKind.kind === "timelock") {
+    if (delay === undefined) delay = ownerKind.minDelay;
+    if (BigInt(delay) < BigInt(ownerKind.minDelay)) {
+      throw new Error(
+        `El delay (${delay}s) es menor que el mínimo del timelock (${ownerKind.minDelay}s)`
+      );
+    }
+    proposal.timelock = buildTimelockOperation({
+      timelock: owner,
+      calls,
+      delay,
+      salt,
+    });
+    batches.schedule = createTxBatch({
+      chainId,
+      name: `Tuneport: programar upgrade en el timelock ${owner}`,
+      description: `${description}\nEjecutable a partir de ${delay}s después de programarlo`,
+      transactions: [proposal.timelock.schedule],
+    });
+    batches.execute = createTxBatch({
+      chainId,
+      name: `Tuneport: ejecutar upgrade del timelock ${owner}`,
+      description,
+      transactions: [proposal.timelock.execute],
+    });
+  } else {
+    batches.upgrade = createTxBatch({
+      chainId,
+      name: `Tuneport: upgrade de ${plans.length} contrato(s)`,
+      description,
+      from: owner,
+      transactions: calls,
+    });
+  }
+
+  return { proposal, batches };
+}
+
+/**
+ * Carpeta por defecto para las propuestas de upgrade
+ * @param {Object} deployment - Registro de la red
+ */
+function getProposalDir(deployment) {
+  return path.join(
+    registry.getNetworkDir(deployment.network),
+    "proposals",
+    new Date().toISOString().replace(/[:.]/g, "-")
+  );
+}
+
+/**
+ * Guarda la propuesta (proposal.json) y un archivo por batch
+ * @param {string} dir - Carpeta de salida
+ * @param {Object} params - Resultado de buildUpgradeProposal
+ * @returns {Object} - { proposal: archivo, batches: { [nombre]: archivo } }
+ */
+function writeUpgradeProposal(dir, { proposal, batches }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const files = { proposal: path.join(dir, PROPOSAL_FILE), batches: {} };
+  fs.writeFileSync(
+    files.proposal,
+    JSON.stringify(
+      proposal,
+      (_, value) => (typeof value === "bigint" ? value.toString() : value),
+      2
+    ) + "\n"
+  );
+  for (const [name, batch] of Object.entries(batches)) {
+    files.batches[name] = writeTxBatch(path.join(dir, `${name}.json`), batch);
+  }
+  return files;
+}
+
+/**
+ * Lee una propuesta guardada (el archivo o su carpeta)
+ * @param {string} file - proposal.json o la carpeta que lo contiene
+ * @returns {Object} - Propuesta
+ */
+function readUpgradeProposal(file) {
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+    file = path.join(file, PROPOSAL_FILE);
+  }
+  const proposal = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!proposal.chainId || !Array.isArray(proposal.plans)) {
+    throw new Error(`${file} no es una propuesta de upgrade válida`);
+  }
+  return proposal;
+}
+
+/**
+ * Indica si la operación de una propuesta con timelock ya se ejecutó
+ * @param {Object} provider - Provider de ethers v6
+ * @param {Object} proposal - Resultado de readUpgradeProposal
+ * @returns {Promise<boolean>} - true también si la propuesta no usa timelock
+ */
+async function isProposalExecuted(provider, proposal) {
+  if (!proposal.timelock) return true;
+  const timelock = new ethers.Contract(
+    proposal.timelock.address,
+    TIMELOCK_ABI,
+    provider
+  );
+  return timelock.isOperationDone(proposal.timelock.operationId);
+}
+
+module.exports = {
+  buildTimelockOperation,
+  buildUpgradeProposal,
+  detectOwnerKind,
+  getProposalDir,
+  isProposalExecuted,
+  readUpgradeProposal,
+  writeUpgradeProposal,
+};
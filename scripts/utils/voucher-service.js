@@ -0,0 +1,365 @@
+/**
+ * Servicio HTTP local que firma vouchers de preventa para el frontend
+ *
+ * Una política JSON define qué cuentas pueden pedir un voucher: listas de
+ * direcciones y/o holders de otro token ERC1155. El servicio también sirve
+ * las pruebas de la allowlist Merkle de la colección. Usa `http` de Node,
+ * sin dependencias, y responde JSON con los montos como string.
+ *
+ * Los navegadores solo pueden usarlo desde los orígenes configurados: un
+ * pedido con otro `Origin` recibe 403, así que una página cualquiera que
+ * abra el operador no puede pedirle vouchers.
+ *
+ * Política:
+ *   {
+ *     "collection": "0x...",
+ *     "ttl": 3600,                      // segundos de validez de cada voucher
+ *     "allowlist": "allowlist.json",    // opcional, de presale:allowlist
+ *     "tiers": [
+ *       { "name": "fans", "tokenId": 1, "maxAmount": 2, "price": "0",
+ *         "paymentToken": "0x...", "accounts": ["0x..."] },
+ *       { "name": "holders", "tokenId": 1, "maxAmount": 1, "price": "0",
+ *         "holderOf": { "collection": "0x...", "tokenId": 3, "minBalance": 1 } }
+ *     ]
+ *   }
+ */
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { ethers } = require("ethers");
+const { buildAllowlist, signMintVoucher } = require("../../sdk/presale");
+
+const DEFAULT_TTL = 3600;
+const MAX_BODY_SIZE = 10 * 1024;
+
+const HOLDER_ABI = [
+  "function balanceOf(address account, uint256 id) view returns (uint256)",
+];
+
+function isUint(value) {
+  return /^\d+$/.test(String(value));
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function toJson(value) {
+  return JSON.stringify(value, (_, item) =>
+    typeof item === "bigint" ? item.toString() : item
+  );
+}
+
+/**
+ * Lee un archivo de presale:allowlist y comprueba que el root corresponda
+ * a sus entradas
+ * @param {string} file - Ruta del JSON
+ * @returns {Object} - { root, entries } con montos en bigint
+ */
+function readAllowlistFile(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const allowlist = buildAllowlist(raw.entries);
+  if (allowlist.root !== raw.root) {
+    throw new Error(
+      `El root de ${file} no corresponde a sus entradas: vuelve a generarlo con presale:allowlist`
+    );
+  }
+  return allowlist;
+}
+
+function checkAddress(errors, label, value) {
+  if (!ethers.isAddress(value) || value === ethers.ZeroAddress) {
+    errors.push(`${label}: dirección inválida: ${value}`);
+    return null;
+  }
+  return ethers.getAddress(value);
+}
+
+function normalizeTier(errors, tier, i, collection) {
+  const label = `tiers[${i}]`;
+  for (const field of ["tokenId", "maxAmount"]) {
+    if (!isUint(tier[field])) {
+      errors.push(`${label}.${field}: debe ser un entero: ${tier[field]}`);
+    }
+  }
+  if (!isUint(tier.price || 0)) {
+    errors.push(
+      `${label}.price: debe ser un entero en unidades mínimas: ${tier.price}`
+    );
+  }
+  const paymentToken = tier.paymentToken || ethers.ZeroAddress;
+  if (!ethers.isAddress(paymentToken)) {
+    errors.push(`${label}.paymentToken: dirección inválida: ${paymentToken}`);
+  }
+
+  const accounts = (tier.accounts || []).map((account, j) =>
+    checkAddress(errors, `${label}.accounts[${j}]`, account)
+  );
+  let holderOf = null;
+  if (tier.holderOf) {
+    const { tokenId, minBalance = 1 } = tier.holderOf;
+    if (!isUint(tokenId) || !isUint(minBalance)) {
+      errors.push(
+        `${label}.holderOf: tokenId y minBalance deben ser enteros: ${tokenId}, ${minBalance}`
+      );
+    }
+    holderOf = {
+      collection: checkAddress(
+        errors,
+        `${label}.holderOf.collection`,
+        tier.holderOf.collection || collection
+      ),
+      tokenId,
+      minBalance,
+    };
+  }
+  if (accounts.length === 0 && !holderOf) {
+    errors.push(`${label}: indica accounts o holderOf`);
+  }
+  if (errors.length > 0) return null;
+  if (holderOf) {
+    holderOf.tokenId = BigInt(holderOf.tokenId);
+    holderOf.minBalance = BigInt(holderOf.minBalance);
+  }
+
+  return {
+    name: tier.name || `tier ${i}`,
+    tokenId: BigInt(tier.tokenId),
+    maxAmount: BigInt(tier.maxAmount),
+    pricePerToken: BigInt(tier.price || 0),
+    paymentToken: ethers.getAddress(paymentToken),
+    accounts: new Set(accounts),
+    holderOf,
+  };
+}
+
+/**
+ * Lee y valida la política del servicio
+ * @param {string} file - Ruta del JSON de la política
+ * @returns {Object} - { collection, ttl, allowlist, tiers }
+ * @throws {Error} - Con todos los problemas encontrados
+ */
+function loadVoucherPolicy(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const errors = [];
+
+  const collection = checkAddress(errors, "collection", raw.collection);
+  const ttl = raw.ttl === undefined ? DEFAULT_TTL : raw.ttl;
+  if (!isUint(ttl) || Number(ttl) === 0) {
+    errors.push(`ttl: debe ser un entero mayor a 0: ${raw.ttl}`);
+  }
+  const tiers = (raw.tiers || []).map((tier, i) =>
+    normalizeTier(errors, tier, i, collection)
+  );
+
+  let allowlist = null;
+  if (raw.allowlist) {
+    try {
+      allowlist = readAllowlistFile(
+        path.resolve(path.dirname(file), raw.allowlist)
+      );
+    } catch (error) {
+      errors.push(`allowlist: ${error.message}`);
+    }
+  }
+  if (tiers.length === 0 && !allowlist) {
+    errors.push("tiers: la política no tiene tiers ni allowlist");
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Política inválida:\n  - ${errors.join("\n  - ")}`);
+  }
+  return { collection, ttl: Number(ttl), allowlist, tiers };
+}
+
+/**
+ * Primer tier del token en el que la cuenta es elegible
+ */
+async function findTier(policy, provider, account, tokenId) {
+  for (const tier of policy.tiers) {
+    if (tier.tokenId !== tokenId) continue;
+    if (tier.accounts.has(account)) return tier;
+    if (tier.holderOf) {
+      const holder = new ethers.Contract(
+        tier.holderOf.collection,
+        HOLDER_ABI,
+        provider
+      );
+      const balance = await holder.balanceOf(account, tier.holderOf.tokenId);
+      if (balance >= tier.holderOf.minBalance) return tier;
+    }
+  }
+  return null;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(httpError(413, "Body demasiado grande"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      let parsed;
+      try {
+        parsed = body ? JSON.parse(body) : {};
+      } catch (_) {
+        return reject(httpError(400, "El body debe ser JSON"));
+      }
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        return reject(httpError(400, "El body debe ser un objeto JSON"));
+      }
+      resolve(parsed);
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Crea el servidor HTTP del firmante (sin escuchar todavía)
+ *
+ * Rutas:
+ *   GET  /health
+ *   GET  /allowlist/:address    entradas y pruebas de la cuenta
+ *   POST /vouchers              { to, tokenId } -> { voucher, signature, tier }
+ *
+ * @param {Object} params
+ * @param {Object} params.policy - Política de loadVoucherPolicy
+ * @param {Object} params.signer - Signer de ethers v6 conectado a un provider
+ * @param {number|bigint} params.chainId - Chain ID de la colección
+ * @param {Array<string>} [params.origins] - Orígenes de navegador admitidos
+ *   (ej. https://app.example); sin ellos solo se atienden pedidos sin Origin
+ * @returns {http.Server}
+ */
+function createVoucherServer({ policy, signer, chainId, origins = [] }) {
+  const { provider } = signer;
+  const collection = new ethers.Contract(
+    policy.collection,
+    ["function voucherSigner() view returns (address)"],
+    provider
+  );
+
+  const routes = {
+    "GET /health": async () => ({
+      collection: policy.collection,
+      chainId: BigInt(chainId),
+      signer: signer.address,
+      voucherSigner: await collection.voucherSigner(),
+      allowlistRoot: policy.allowlist ? policy.allowlist.root : null,
+      tiers: policy.tiers.map(({ name, tokenId, maxAmount }) => ({
+        name,
+        tokenId,
+        maxAmount,
+      })),
+    }),
+
+    "GET /allowlist/:address": async (account) => {
+      if (!policy.allowlist) {
+        throw httpError(404, "El servicio no tiene allowlist configurada");
+      }
+      const entries = policy.allowlist.entries
+        .filter((entry) => entry.to === account)
+        .map(({ leaf, ...entry }) => entry);
+      if (entries.length === 0) {
+        throw httpError(404, `${account} no está en la allowlist`);
+      }
+      return { root: policy.allowlist.root, entries };
+    },
+
+    "POST /vouchers": async (_, req) => {
+      const body = await readBody(req);
+      if (!ethers.isAddress(body.to)) {
+        throw httpError(400, `to no es una dirección válida: ${body.to}`);
+      }
+      if (!isUint(body.tokenId)) {
+        throw httpError(400, `tokenId debe ser un entero: ${body.tokenId}`);
+      }
+      const to = ethers.getAddress(body.to);
+      const tokenId = BigInt(body.tokenId);
+
+      const tier = await findTier(policy, provider, to, tokenId);
+      if (!tier) {
+        throw httpError(
+          403,
+          `${to} no es elegible para la preventa del token ${tokenId}`
+        );
+      }
+
+      // El vencimiento se calcula con el reloj de la cadena, no el local
+      const { timestamp } = await provider.getBlock("latest");
+      const signed = await signMintVoucher({
+        signer,
+        collection: policy.collection,
+        chainId,
+        voucher: {
+          to,
+          tokenId,
+          maxAmount: tier.maxAmount,
+          pricePerToken: tier.pricePerToken,
+          paymentToken: tier.paymentToken,
+          deadline: BigInt(timestamp) + BigInt(policy.ttl),
+        },
+      });
+      return { ...signed, tier: tier.name };
+    },
+  };
+
+  return http.createServer(async (req, res) => {
+    const { origin } = req.headers;
+    const allowed = origin !== undefined && origins.includes(origin);
+    let status = 200;
+    let body;
+    try {
+      // Los navegadores siempre envían Origin; curl y los backends no
+      if (origin !== undefined && !allowed) {
+        throw httpError(403, `Origen no permitido: ${origin}`);
+      }
+      const url = new URL(req.url, "http://localhost");
+      const [, resource, param] = url.pathname.replace(/\/+$/, "").split("/");
+      const route =
+        param === undefined
+          ? `${req.method} /${resource}`
+          : `${req.method} /${resource}/:address`;
+
+      if (req.method === "OPTIONS") {
+        // Preflight CORS del POST con JSON
+        status = 204;
+      } else if (!routes[route]) {
+        throw httpError(
+          404,
+          `Ruta no encontrada: ${req.method} ${url.pathname}`
+        );
+      } else if (param !== undefined && !ethers.isAddress(param)) {
+        throw httpError(400, `address no es una dirección válida: ${param}`);
+      } else {
+        body = await routes[route](param && ethers.getAddress(param), req);
+      }
+    } catch (error) {
+      status = error.status || 500;
+      body = { error: error.message };
+    }
+
+    res.writeHead(status, {
+      "Content-Type": "application/json; charset=utf-8",
+      ...(allowed && {
+        "Access-Control-Allow-Origin": origin,
+        "Access-Control-Allow-Headers": "Content-Type",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        Vary: "Origin",
+      }),
+    });
+    res.end(status === 204 ? undefined : toJson(body));
+  });
+}
+
+module.exports = {
+  DEFAULT_TTL,
+  createVoucherServer,
+  loadVoucherPolicy,
+  readAllowlistFile,
+};
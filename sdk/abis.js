@@ -0,0 +1,80 @@
+/**
+ * Carga de ABIs para el SDK
+ *
+ * Dentro del repo se leen directamente de `artifacts/` (requiere
+ * `npm run compile`). Para el paquete publicado se generan con
+ * `npm run build:sdk` y se guardan en `sdk/abi/`.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const ABI_DIR = path.join(__dirname, "abi");
+const ARTIFACTS_DIR = path.join(__dirname, "..", "artifacts", "contracts");
+
+/**
+ * Contratos expuestos por el SDK y su archivo fuente
+ */
+const CONTRACTS = {
+  MusicNFTFactoryUpgradeable: "MusicNFTFactoryUpgradeable.sol",
+  MusicCollectionUpgradeable: "MusicCollectionUpgradeable.sol",
+  RevenueShareFactoryUpgradeable: "RevenueShareFactoryUpgradeable.sol",
+  RevenueShareUpgradeable: "RevenueShareUpgradeable.sol",
+};
+
+/**
+ * ABI mínimo de ERC20 usado para pagos (incluye errores de OpenZeppelin v5)
+ */
+const ERC20_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 value) returns (bool)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InvalidSender(address sender)",
+  "error ERC20InvalidReceiver(address receiver)",
+];
+
+const abiCache = new Map();
+
+/**
+ * Devuelve el ABI de un contrato del proyecto
+ * @param {string} contractName - Nombre del contrato (ej. "MusicCollectionUpgradeable")
+ * @returns {Array} - ABI del contrato
+ */
+function getAbi(contractName) {
+  if (abiCache.has(contractName)) {
+    return abiCache.get(contractName);
+  }
+
+  const sourceFile = CONTRACTS[contractName];
+  if (!sourceFile) {
+    throw new Error(`Contrato desconocido para el SDK: ${contractName}`);
+  }
+
+  const candidates = [
+    path.join(ARTIFACTS_DIR, sourceFile, `${contractName}.json`),
+    path.join(ABI_DIR, `${contractName}.json`),
+  ];
+
+  const abiPath = candidates.find((candidate) => fs.existsSync(candidate));
+  if (!abiPath) {
+    throw new Error(
+      `No se encontró el ABI de ${contractName}. Ejecuta "npm run compile" o "npm run build:sdk" primero.`
+    );
+  }
+
+  const { abi } = JSON.parse(fs.readFileSync(abiPath, "utf8"));
+  abiCache.set(contractName, abi);
+  return abi;
+}
+
+module.exports = {
+  ABI_DIR,
+  CONTRACTS,
+  ERC20_ABI,
+  getAbi,
+};
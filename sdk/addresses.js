@@ -0,0 +1,64 @@
+/**
+ * Resolución de direcciones desplegadas para el SDK
+ */
+const {
+  findDeploymentByChainId,
+  getAddress,
+  listDeployments,
+  loadDeployment: loadNetworkDeployment,
+} = require("../scripts/utils/deployment-registry");
+
+/**
+ * Lee las direcciones de los factories desde deployments/<network>/
+ * @param {Object} [options]
+ * @param {number|bigint|string} [options.chainId] - Chain ID de la red
+ * @param {string} [options.network] - Nombre de la red en Hardhat
+ * @returns {Object} - Direcciones de factories e implementaciones
+ */
+function loadDeployment({ chainId, network } = {}) {
+  let deployment;
+
+  if (chainId !== undefined) {
+    deployment = findDeploymentByChainId(chainId, { network });
+    if (!deployment) {
+      throw new Error(`No hay deployment registrado para chainId ${chainId}`);
+    }
+  } else if (network) {
+    deployment = loadNetworkDeployment(network);
+    if (!deployment) {
+      throw new Error(`No hay deployment registrado para la red ${network}`);
+    }
+  } else {
+    const deployments = listDeployments();
+    if (deployments.length === 0) {
+      throw new Error(
+        "No hay deployments registrados: despliega primero la red (npm run deploy -- --network <red>)"
+      );
+    }
+    if (deployments.length > 1) {
+      throw new Error(
+        "Hay varios deployments registrados: indica chainId o network"
+      );
+    }
+    deployment = deployments[0];
+  }
+
+  return {
+    network: deployment.network,
+    chainId: deployment.chainId,
+    musicFactory: getAddress(deployment, "musicFactory"),
+    revenueShareFactory: getAddress(deployment, "revenueFactory"),
+    collectionImplementation: getAddress(
+      deployment,
+      "collectionImplementation"
+    ),
+    revenueShareImplementation: getAddress(
+      deployment,
+      "revenueShareImplementation"
+    ),
+  };
+}
+
+module.exports = {
+  loadDeployment,
+};
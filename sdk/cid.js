@@ -0,0 +1,60 @@
+/**
+ * CIDs de IPFS calculados localmente, sin red
+ *
+ * Calcula el CIDv1 (codec raw, sha2-256, base32) de un archivo que entra en
+ * un solo bloque. Es el mismo CID que devuelve `ipfs add --cid-version 1`
+ * (raw leaves) para archivos de hasta 256 KiB, como los JSON de metadatos.
+ * Archivos más grandes (audio, imágenes) se dividen en bloques y su CID
+ * depende del DAG, así que deben subirse para obtenerlo.
+ */
+const { getBytes, sha256, toUtf8Bytes } = require("ethers");
+
+/**
+ * Tamaño de bloque por defecto de IPFS: hasta aquí el CID raw coincide
+ */
+const MAX_RAW_BLOCK_SIZE = 256 * 1024;
+
+const CID_VERSION = 0x01;
+const RAW_CODEC = 0x55;
+const SHA2_256 = 0x12;
+const SHA2_256_LENGTH = 0x20;
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+function toBase32(bytes) {
+  let output = "";
+  let value = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * Calcula el CIDv1 raw de un contenido
+ * @param {string|Uint8Array} content - Texto (UTF-8) o bytes del archivo
+ * @returns {string} - CID en base32 (ej. "bafkrei...")
+ */
+function computeCid(content) {
+  const bytes =
+    typeof content === "string" ? toUtf8Bytes(content) : getBytes(content);
+  if (bytes.length > MAX_RAW_BLOCK_SIZE) {
+    throw new Error(
+      `El archivo ocupa ${bytes.length} bytes: solo se calcula el CID de archivos de hasta ${MAX_RAW_BLOCK_SIZE} bytes`
+    );
+  }
+
+  const digest = getBytes(sha256(bytes));
+  return `b${toBase32([CID_VERSION, RAW_CODEC, SHA2_256, SHA2_256_LENGTH, ...digest])}`;
+}
+
+module.exports = {
+  MAX_RAW_BLOCK_SIZE,
+  computeCid,
+};
@@ -0,0 +1,263 @@
+/**
+ * Cliente para MusicCollectionUpgradeable
+ */
+const { ethers } = require("ethers");
+const { getAbi } = require("./abis");
+const { quoteMint } = require("./quote");
+const { sendTransaction, toTimestamp } = require("./utils");
+
+/**
+ * msg.value de un mint de preventa: solo se envía ETH si la preventa se paga
+ * en ETH; con un ERC20 el pago va por approve
+ * @param {Object} entry - Entrada de la allowlist o voucher ({ pricePerToken })
+ * @param {string} paymentToken - Token de pago, address(0) para ETH
+ * @param {number|bigint} amount - Cantidad a mintear
+ * @returns {bigint} - Valor en wei
+ */
+function presaleValue({ pricePerToken }, paymentToken, amount) {
+  return paymentToken === ethers.ZeroAddress
+    ? BigInt(pricePerToken) * BigInt(amount)
+    : 0n;
+}
+
+/**
+ * Crea un cliente para una colección
+ * @param {Object} params
+ * @param {string} params.address - Dirección del proxy de la colección
+ * @param {Object} params.runner - Signer o provider de ethers
+ * @returns {Object} - Cliente de la colección
+ */
+function createCollectionClient({ address, runner }) {
+  const contract = new ethers.Contract(
+    address,
+    getAbi("MusicCollectionUpgradeable"),
+    runner
+  );
+
+  /**
+   * Mint pagando con ETH. Por defecto usa el `mintPrice` de la colección y
+   * envía pricePerToken * amount.
+   * @param {Object} params
+   * @param {string} params.to - Receptor de los tokens
+   * @param {number|bigint} params.tokenId - ID del token
+   * @param {number|bigint} params.amount - Cantidad a mintear
+   * @param {bigint} [params.pricePerToken] - Precio por token en wei (default: mintPrice)
+   * @param {string} [params.tokenMetadata] - URI del token (solo primer mint)
+   * @param {bigint} [params.value] - ETH a enviar (default: costo total)
+   */
+  async function mint({
+    to,
+    tokenId,
+    amount,
+    pricePerToken,
+    tokenMetadata = "",
+    value,
+  }) {
+    if (pricePerToken === undefined) {
+      pricePerToken = await contract.mintPrice();
+    }
+    const totalCost = BigInt(pricePerToken) * BigInt(amount);
+    return sendTransaction(() =>
+      contract.mint(to, tokenId, amount, pricePerToken, tokenMetadata, {
+        value: value !== undefined ? value : totalCost,
+      })
+    );
+  }
+
+  /**
+   * Mint pagando con un token ERC20 aceptado. El sender debe haber aprobado
+   * a la colección por pricePerToken * amount (ver quoteMint).
+   * @param {Object} params
+   * @param {string} params.to - Receptor de los tokens
+   * @param {number|bigint} params.tokenId - ID del token
+   * @param {number|bigint} params.amount - Cantidad a mintear
+   * @param {bigint} [params.pricePerToken] - Precio por token en unidades del
+   *   ERC20 (default: el configurado en la colección)
+   * @param {string} params.paymentToken - Dirección del token ERC20
+   * @param {string} [params.tokenMetadata] - URI del token (solo primer mint)
+   */
+  async function mintWithERC20({
+    to,
+    tokenId,
+    amount,
+    pricePerToken,
+    paymentToken,
+    tokenMetadata = "",
+  }) {
+    if (pricePerToken === undefined) {
+      pricePerToken = await contract.acceptedTokens(paymentToken);
+    }
+    return sendTransaction(() =>
+      contract.mintWithERC20(
+        to,
+        tokenId,
+        amount,
+        pricePerToken,
+        paymentToken,
+        tokenMetadata
+      )
+    );
+  }
+
+  /**
+   * Mint de preventa con una entrada de la allowlist (ver buildAllowlist).
+   * Envía pricePerToken * amount en ETH si la entrada no usa ERC20.
+   * @param {Object} params
+   * @param {Object} params.entry - { to, tokenId, maxAmount, pricePerToken,
+   *   paymentToken, proof }
+   * @param {number|bigint} params.amount - Cantidad a mintear
+   * @param {string} [params.tokenMetadata] - URI del token (solo primer mint)
+   */
+  function allowlistMint({ entry, amount, tokenMetadata = "" }) {
+    const paymentToken = entry.paymentToken || ethers.ZeroAddress;
+    return sendTransaction(() =>
+      contract.allowlistMint(
+        entry.to,
+        entry.tokenId,
+        amount,
+        entry.maxAmount,
+        entry.pricePerToken,
+        paymentToken,
+        entry.proof,
+        tokenMetadata,
+        { value: presaleValue(entry, paymentToken, amount) }
+      )
+    );
+  }
+
+  /**
+   * Mint de preventa con un voucher firmado (ver signMintVoucher)
+   * @param {Object} params
+   * @param {Object} params.voucher - Voucher firmado
+   * @param {string} params.signature - Firma EIP-712 del voucher
+   * @param {number|bigint} params.amount - Cantidad a mintear
+   * @param {string} [params.tokenMetadata] - URI del token (solo primer mint)
+   */
+  function voucherMint({ voucher, signature, amount, tokenMetadata = "" }) {
+    const paymentToken = voucher.paymentToken || ethers.ZeroAddress;
+    return sendTransaction(() =>
+      contract.voucherMint(
+        { ...voucher, paymentToken },
+        signature,
+        amount,
+        tokenMetadata,
+        { value: presaleValue(voucher, paymentToken, amount) }
+      )
+    );
+  }
+
+  /**
+   * Mint gratuito (solo owner)
+   * @param {Object} params
+   * @param {string} params.to - Receptor de los tokens
+   * @param {number|bigint} params.tokenId - ID del token
+   * @param {number|bigint} params.amount - Cantidad a mintear
+   * @param {string} [params.tokenMetadata] - URI del token (solo primer mint)
+   */
+  function freeMint({ to, tokenId, amount, tokenMetadata = "" }) {
+    return sendTransaction(() =>
+      contract.freeMint(to, tokenId, amount, tokenMetadata)
+    );
+  }
+
+  /**
+   * Devuelve la configuración general de la colección
+   * @returns {Promise<Object>}
+   */
+  async function getInfo() {
+    const [
+      name,
+      symbol,
+      baseURI,
+      collectionMetadata,
+      mintStartDate,
+      mintEndDate,
+      mintPrice,
+      paymentToken,
+      revenueShare,
+      owner,
+      version,
+    ] = await Promise.all([
+      contract.name(),
+      contract.symbol(),
+      contract.baseURI(),
+      contract.collectionMetadata(),
+      contract.mintStartDate(),
+      contract.mintEndDate(),
+      contract.mintPrice(),
+      contract.paymentToken(),
+      contract.revenueShare(),
+      contract.owner(),
+      contract.version(),
+    ]);
+
+    return {
+      address,
+      name,
+      symbol,
+      baseURI,
+      collectionMetadata,
+      mintStartDate,
+      mintEndDate,
+      mintPrice,
+      paymentToken,
+      revenueShare,
+      owner,
+      version,
+    };
+  }
+
+  return {
+    address,
+    contract,
+    mint,
+    mintWithERC20,
+    freeMint,
+    allowlistMint,
+    voucherMint,
+    setMaxSupply: ({ tokenId, supply }) =>
+      sendTransaction(() => contract.setMaxSupply(tokenId, supply)),
+    setMintPrice: ({ price }) =>
+      sendTransaction(() => contract.setMintPrice(price)),
+    addPaymentToken: ({ token, price }) =>
+      sendTransaction(() => contract.addPaymentToken(token, price)),
+    setPresale: ({
+      startDate,
+      root = ethers.ZeroHash,
+      signer = ethers.ZeroAddress,
+    }) =>
+      sendTransaction(() =>
+        contract.setPresale(toTimestamp(startDate), root, signer)
+      ),
+    setMintDates: ({ startDate, endDate }) =>
+      sendTransaction(() =>
+        contract.setMintDates(toTimestamp(startDate), toTimestamp(endDate))
+      ),
+    setRoyaltyInfo: ({ receiver, feeNumerator }) =>
+      sendTransaction(() => contract.setRoyaltyInfo(receiver, feeNumerator)),
+    setTokenURI: ({ tokenId, uri }) =>
+      sendTransaction(() => contract.setTokenURI(tokenId, uri)),
+    setCollectionMetadata: ({ metadata }) =>
+      sendTransaction(() => contract.setCollectionMetadata(metadata)),
+    setBaseURI: ({ baseURI }) =>
+      sendTransaction(() => contract.setBaseURI(baseURI)),
+    getInfo,
+    uri: (tokenId) => contract.uri(tokenId),
+    totalSupply: (tokenId) => contract["totalSupply(uint256)"](tokenId),
+    maxSupply: (tokenId) => contract.maxSupply(tokenId),
+    balanceOf: (account, tokenId) => contract.balanceOf(account, tokenId),
+    mintPrice: () => contract.mintPrice(),
+    getPaymentTokenPrice: (token) => contract.acceptedTokens(token),
+    presaleMinted: (account, tokenId) =>
+      contract.presaleMinted(account, tokenId),
+    quoteMint: (params) =>
+      quoteMint({ ...params, runner, collection: address }),
+    royaltyInfo: (tokenId, salePrice) =>
+      contract.royaltyInfo(tokenId, salePrice),
+    version: () => contract.version(),
+  };
+}
+
+module.exports = {
+  createCollectionClient,
+};
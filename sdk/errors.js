@@ -0,0 +1,219 @@
+/**
+ * Decodificación de errores de los contratos a errores legibles de JS
+ */
+const { Interface } = require("ethers");
+const { CONTRACTS, ERC20_ABI, getAbi } = require("./abis");
+
+/**
+ * Mensajes legibles por error custom de los contratos
+ */
+const ERROR_MESSAGES = {
+  // MusicCollectionUpgradeable
+  InvalidDates: () => "La fecha de inicio debe ser anterior a la de fin",
+  MintNotStarted: () => "El período de mint todavía no comenzó",
+  MintEnded: () => "El período de mint ya terminó",
+  ExceedsMaxSupply: () => "La cantidad supera el suministro máximo del token",
+  UnsupportedToken: () => "El token ERC20 no está aceptado como pago",
+  InsufficientPayment: () => "El pago enviado es insuficiente",
+  IncorrectValue: () => "El valor enviado es incorrecto",
+  PriceMismatch: ({ expected, provided }) =>
+    `El precio no coincide con el de la colección: es ${expected}, se indicó ${provided}`,
+  PresaleNotStarted: () => "La preventa no está activa todavía",
+  InvalidProof: () => "La cuenta no está en la allowlist con esos datos",
+  InvalidVoucher: () =>
+    "El voucher no está firmado por el signer de la colección",
+  VoucherExpired: () => "El voucher venció",
+  ExceedsAllowance: ({ remaining }) =>
+    `La cantidad supera el cupo de preventa (quedan ${remaining})`,
+  TransferFailed: () => "Falló la transferencia del pago",
+
+  // RevenueShareUpgradeable
+  NotOwner: () => "Solo el owner del revenue share puede hacer esto",
+  NotAuthorized: () => "Solo el owner o un manager pueden hacer esto",
+  NoShares: () => "No hay splits configurados",
+  InvalidAddress: () => "Dirección inválida (address(0))",
+  ZeroPercentage: () => "Cada split debe tener un porcentaje mayor a 0",
+  InvalidTotal: ({ total }) =>
+    `Los porcentajes deben sumar 10000 (100%), suman ${total}`,
+  EmptyName: () => "El nombre no puede estar vacío",
+  InvalidTokenId: () => "Token ID inválido",
+  InvalidAmount: () => "El monto debe ser mayor a 0",
+  InsufficientBalance: ({ available }) =>
+    `El revenue share no tiene fondos suficientes (disponible: ${available})`,
+  NothingToClaim: () => "La cuenta no tiene saldo para reclamar en ese token",
+  LineageCycle: ({ collection, tokenId }) =>
+    `El linaje forma un ciclo: vuelve al token ${tokenId} de ${collection}`,
+  LineageTooDeep: ({ maxDepth }) =>
+    `El linaje supera los ${maxDepth} niveles de remixes encadenados`,
+  TooManySources: ({ maxSources }) =>
+    `Un token admite como máximo ${maxSources} fuentes`,
+  SourceWithoutSplits: ({ collection, tokenId }) =>
+    `La fuente ${collection}#${tokenId} no tiene splits en el revenue share`,
+  InvalidSettlement: () =>
+    "La liquidación no está firmada por el streamingOracle del revenue share",
+  EpochAlreadySettled: ({ epoch }) => `La época ${epoch} ya se liquidó`,
+  InvalidPeriod: ({ periodStart, periodEnd }) =>
+    `Período inválido (${periodStart} - ${periodEnd}): debe empezar antes de terminar y no terminar en el futuro`,
+  SettlementTotalMismatch: ({ total, payouts }) =>
+    `El total de la liquidación (${total}) no coincide con la suma de los pagos (${payouts})`,
+
+  // RevenueShareFactoryUpgradeable
+  InvalidArtist: () => "Dirección de artista inválida",
+  EmptyDescription: () => "La descripción no puede estar vacía",
+  ManagerCreationFailed: () => "No se pudo crear el revenue share",
+
+  // MusicNFTFactoryUpgradeable
+  RevenueShareFactoryNotSet: () =>
+    "El factory de colecciones no tiene un revenueShareFactory configurado",
+  SaltAlreadyUsed: ({ salt }) =>
+    `Ya existe un release de esta cuenta con el salt ${salt}`,
+  InvalidRevenueShare: ({ revenueShare }) =>
+    `${revenueShare} no es un RevenueShare del artista creado por el revenueShareFactory`,
+  CallerNotArtist: ({ caller, artist }) =>
+    `Solo el artista ${artist} puede crear sus colecciones (firmó ${caller})`,
+
+  // OpenZeppelin
+  OwnableUnauthorizedAccount: ({ account }) =>
+    `La cuenta ${account} no es owner del contrato`,
+  AccessControlUnauthorizedAccount: ({ account }) =>
+    `La cuenta ${account} no tiene el rol requerido`,
+  ReentrancyGuardReentrantCall: () => "Llamada reentrante no permitida",
+  ERC20InsufficientBalance: ({ needed, balance }) =>
+    `Balance ERC20 insuficiente: se necesitan ${needed}, hay ${balance}`,
+  ERC20InsufficientAllowance: ({ needed, allowance }) =>
+    `Allowance ERC20 insuficiente: se necesitan ${needed}, aprobado ${allowance}`,
+  SafeERC20FailedOperation: ({ token }) =>
+    `Falló la operación con el token ERC20 ${token}`,
+
+  // Solidity
+  Panic: (args) => `Panic del contrato (código ${args[0]})`,
+};
+
+/**
+ * Error de contrato decodificado
+ */
+class ContractError extends Error {
+  /**
+   * @param {Object} params
+   * @param {string} params.errorName - Nombre del error custom (ej. "InvalidTotal")
+   * @param {Object} [params.args] - Argumentos nombrados del error
+   * @param {string} [params.message] - Mensaje legible
+   * @param {Error} [params.cause] - Error original de ethers
+   */
+  constructor({ errorName, args = {}, message, cause }) {
+    super(message || errorName, cause ? { cause } : undefined);
+    this.name = "ContractError";
+    this.errorName = errorName;
+    this.args = args;
+  }
+}
+
+let interfaces;
+
+/**
+ * Interfaces usadas para decodificar errores (contratos del proyecto + ERC20)
+ */
+function getErrorInterfaces() {
+  if (!interfaces) {
+    interfaces = [
+      ...Object.keys(CONTRACTS).map((name) => new Interface(getAbi(name))),
+      new Interface(ERC20_ABI),
+    ];
+  }
+  return interfaces;
+}
+
+/**
+ * Busca los datos de revert dentro de un error de ethers/proveedor
+ * @param {any} error - Error lanzado por ethers
+ * @returns {string|undefined} - Datos hex del revert
+ */
+function extractRevertData(error, depth = 0) {
+  if (!error || typeof error !== "object" || depth > 5) return undefined;
+
+  if (typeof error.data === "string" && error.data.startsWith("0x")) {
+    return error.data;
+  }
+
+  return (
+    extractRevertData(error.data, depth + 1) ||
+    extractRevertData(error.error, depth + 1) ||
+    extractRevertData(error.info && error.info.error, depth + 1) ||
+    extractRevertData(error.cause, depth + 1)
+  );
+}
+
+/**
+ * Convierte los argumentos de un error a un objeto con nombres
+ */
+function namedArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, i) => {
+    result[input.name || i] = args[i];
+  });
+  return result;
+}
+
+/**
+ * Decodifica un error de ethers a un ContractError legible
+ * @param {any} error - Error lanzado por ethers
+ * @returns {Error} - ContractError si se pudo decodificar, o el error original
+ */
+function decodeError(error) {
+  if (error instanceof ContractError) return error;
+
+  const data = extractRevertData(error);
+  if (!data || data === "0x") return error;
+
+  for (const iface of getErrorInterfaces()) {
+    let parsed;
+    try {
+      parsed = iface.parseError(data);
+    } catch (_) {
+      parsed = null;
+    }
+    if (!parsed) continue;
+
+    const args = namedArgs(parsed.fragment, parsed.args);
+
+    // Error(string) de require()
+    if (parsed.name === "Error") {
+      return new ContractError({
+        errorName: "Error",
+        args,
+        message: String(parsed.args[0]),
+        cause: error,
+      });
+    }
+
+    const describe = ERROR_MESSAGES[parsed.name];
+    return new ContractError({
+      errorName: parsed.name,
+      args,
+      message: describe ? describe(args) : parsed.name,
+      cause: error,
+    });
+  }
+
+  return error;
+}
+
+/**
+ * Ejecuta una función y relanza los errores de contrato decodificados
+ * @param {Function} fn - Función async a ejecutar
+ */
+async function withDecodedErrors(fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    throw decodeError(error);
+  }
+}
+
+module.exports = {
+  ContractError,
+  ERROR_MESSAGES,
+  decodeError,
+  extractRevertData,
+  withDecodedErrors,
+};
@@ -0,0 +1,52 @@
+/**
+ * Decodificación de eventos de los contratos del proyecto
+ */
+const { Interface } = require("ethers");
+const { CONTRACTS, ERC20_ABI, getAbi } = require("./abis");
+
+let interfaces;
+
+function getEventInterfaces() {
+  if (!interfaces) {
+    interfaces = [
+      ...Object.keys(CONTRACTS).map((name) => new Interface(getAbi(name))),
+      new Interface(ERC20_ABI),
+    ];
+  }
+  return interfaces;
+}
+
+/**
+ * Decodifica los logs que pertenezcan a algún contrato del proyecto
+ * @param {Array} logs - Logs de un receipt o de getLogs
+ * @returns {Array<Object>} - [{ address, name, args, log }]
+ */
+function decodeLogs(logs) {
+  const decoded = [];
+
+  for (const log of logs) {
+    for (const iface of getEventInterfaces()) {
+      let parsed;
+      try {
+        parsed = iface.parseLog({ topics: log.topics, data: log.data });
+      } catch (_) {
+        parsed = null;
+      }
+      if (!parsed) continue;
+
+      const args = {};
+      parsed.fragment.inputs.forEach((input, i) => {
+        args[input.name || i] = parsed.args[i];
+      });
+
+      decoded.push({ address: log.address, name: parsed.name, args, log });
+      break;
+    }
+  }
+
+  return decoded;
+}
+
+module.exports = {
+  decodeLogs,
+};
@@ -0,0 +1,141 @@
+/**
+ * SDK de JavaScript para los contratos de Tuneport
+ *
+ * Envuelve los factories y los contratos por artista con métodos de
+ * parámetros nombrados, decodifica los errores custom y devuelve las
+ * direcciones de los proxies creados.
+ */
+const { ERC20_ABI, getAbi } = require("./abis");
+const { loadDeployment } = require("./addresses");
+const { computeCid } = require("./cid");
+const { createCollectionClient } = require("./collection");
+const { ContractError, decodeError } = require("./errors");
+const { decodeLogs } = require("./events");
+const {
+  COLLECTION_METADATA_SCHEMA,
+  MetadataError,
+  TRACK_METADATA_SCHEMA,
+  assertValidMetadata,
+  buildCollectionMetadata,
+  buildTrackMetadata,
+  packRelease,
+  serializeMetadata,
+  validateMetadata,
+} = require("./metadata");
+const {
+  computeLineagePayout,
+  formatLineageTree,
+  readLineageTree,
+  validateLineageSources,
+} = require("./lineage");
+const { createMusicFactoryClient, toReleaseSalt } = require("./music-factory");
+const {
+  formatPayoutTable,
+  normalizePayoutConfig,
+  readPayoutConfig,
+  simulatePayout,
+  toPayoutCsv,
+} = require("./payout-simulator");
+const {
+  buildAllowlist,
+  hashAllowlistLeaf,
+  parseAllowlistCsv,
+  recoverVoucherSigner,
+  signMintVoucher,
+  verifyAllowlistProof,
+} = require("./presale");
+const { quoteMint } = require("./quote");
+const { createRevenueShareClient } = require("./revenue-share");
+const { createRevenueShareFactoryClient } = require("./revenue-share-factory");
+const {
+  aggregatePlays,
+  computeStreamingPayouts,
+  parsePlayReportCsv,
+  parsePlayReportJson,
+  recoverSettlementSigner,
+  signStreamingSettlement,
+} = require("./streaming");
+const {
+  aggregatePayouts,
+  computeCascadeSplit,
+  computeMintSplit,
+} = require("./splits");
+const { validateShares } = require("./utils");
+
+/**
+ * Crea una instancia del SDK
+ * @param {Object} params
+ * @param {Object} params.runner - Signer o provider de ethers v6
+ * @param {Object} [params.addresses] - { musicFactory, revenueShareFactory }
+ * @param {number} [params.chainId] - Chain ID para validar el deployment guardado
+ * @param {string} [params.network] - Red del registro (hardhat y localhost comparten chainId)
+ * @returns {Object} - Clientes de factories y fábricas de clientes por contrato
+ */
+function createTuneportSDK({ runner, addresses, chainId, network } = {}) {
+  const resolved = addresses || loadDeployment({ chainId, network });
+
+  return {
+    addresses: resolved,
+    musicFactory: createMusicFactoryClient({
+      address: resolved.musicFactory,
+      runner,
+    }),
+    revenueShareFactory: createRevenueShareFactoryClient({
+      address: resolved.revenueShareFactory,
+      runner,
+    }),
+    collection: (address) => createCollectionClient({ address, runner }),
+    revenueShare: (address) => createRevenueShareClient({ address, runner }),
+  };
+}
+
+module.exports = {
+  COLLECTION_METADATA_SCHEMA,
+  ContractError,
+  ERC20_ABI,
+  MetadataError,
+  TRACK_METADATA_SCHEMA,
+  aggregatePayouts,
+  aggregatePlays,
+  assertValidMetadata,
+  buildAllowlist,
+  buildCollectionMetadata,
+  buildTrackMetadata,
+  computeCascadeSplit,
+  computeCid,
+  computeLineagePayout,
+  computeMintSplit,
+  computeStreamingPayouts,
+  createCollectionClient,
+  createMusicFactoryClient,
+  createRevenueShareClient,
+  createRevenueShareFactoryClient,
+  createTuneportSDK,
+  decodeError,
+  decodeLogs,
+  formatLineageTree,
+  formatPayoutTable,
+  getAbi,
+  hashAllowlistLeaf,
+  loadDeployment,
+  normalizePayoutConfig,
+  packRelease,
+  parseAllowlistCsv,
+  parsePlayReportCsv,
+  parsePlayReportJson,
+  quoteMint,
+  readLineageTree,
+  readPayoutConfig,
+  recoverSettlementSigner,
+  recoverVoucherSigner,
+  serializeMetadata,
+  signMintVoucher,
+  signStreamingSettlement,
+  simulatePayout,
+  toPayoutCsv,
+  toReleaseSalt,
+  validateLineageSources,
+  validateMetadata,
+  validateShares,
+  verifyAllowlistProof,
+};
@@ -0,0 +1,389 @@
+/**
+ * Linaje ponderado de remixes de RevenueShareUpgradeable (setLineage)
+ *
+ * Lee de la cadena el árbol de fuentes de un token, siguiendo las fuentes
+ * que se reparten en el RevenueShare de otra colección, y proyecta el
+ * reparto de un pago con la aritmética entera y el límite de profundidad del
+ * contrato. Los tokens sin linaje usan la herencia por tokenId
+ * (`setInheritance`), que solo aplica en la raíz de cada RevenueShare. Si el
+ * RevenueShare de una fuente revierte, su parte queda reclamable para él en
+ * el contrato que se la envía, como en la cadena.
+ */
+const { ethers } = require("ethers");
+const { getAbi } = require("./abis");
+const { computeCascadeSplit } = require("./splits");
+const { formatShares } = require("./utils");
+
+const BASIS_POINTS = 10000n;
+const MAX_LINEAGE_DEPTH = 4;
+const MAX_LINEAGE_SOURCES = 8;
+
+/**
+ * Valida las fuentes de un linaje con las mismas reglas que setLineage
+ * @param {Array<{collection: string, tokenId: number|bigint|string, weight: number}>} sources
+ * @returns {Array<{collection: string, tokenId: bigint, weight: number}>} - Fuentes normalizadas
+ */
+function validateLineageSources(sources) {
+  if (!Array.isArray(sources)) {
+    throw new Error("Las fuentes deben ser un array");
+  }
+  if (sources.length > MAX_LINEAGE_SOURCES) {
+    throw new Error(
+      `Un token admite como máximo ${MAX_LINEAGE_SOURCES} fuentes`
+    );
+  }
+
+  const errors = [];
+  let total = 0;
+  const normalized = sources.map((source, i) => {
+    let collection = source.collection;
+    if (ethers.isAddress(collection) && collection !== ethers.ZeroAddress) {
+      collection = ethers.getAddress(collection);
+    } else {
+      errors.push(`[${i}].collection no es una dirección válida`);
+    }
+    let tokenId;
+    try {
+      tokenId = BigInt(source.tokenId);
+      if (tokenId < 0n) throw new Error();
+    } catch (_) {
+      errors.push(`[${i}].tokenId debe ser un entero no negativo`);
+    }
+    const weight = Number(source.weight);
+    if (!Number.isInteger(weight) || weight <= 0) {
+      errors.push(`[${i}].weight debe ser un entero mayor a 0`);
+    }
+    total += weight;
+    return { collection, tokenId, weight };
+  });
+
+  if (sources.length > 0 && errors.length === 0 && total !== 10000) {
+    errors.push(`los pesos deben sumar 10000 (100%), suman ${total}`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Linaje inválido:\n  - ${errors.join("\n  - ")}`);
+  }
+  return normalized;
+}
+
+/**
+ * Lee el árbol de linaje de un token
+ *
+ * Cada nodo indica el RevenueShare que lo reparte, sus splits efectivos
+ * (de mint o de reventa; una fuente sin royalties de reventa usa los de
+ * mint, como el contrato), su linaje y la profundidad dentro de ese
+ * RevenueShare: al pasar a otro contrato la profundidad vuelve a 0, igual
+ * que en la cadena. Una fuente que vuelve a un RevenueShare que ya está
+ * repartiendo se marca con `cycle`: en la cadena revierte por reentrancia y
+ * su parte queda reclamable.
+ * @param {Object} params
+ * @param {Object} params.runner - Provider o signer de ethers v6
+ * @param {string} params.revenueShare - RevenueShare del token
+ * @param {string} params.collection - Colección del token
+ * @param {number|bigint|string} params.tokenId - ID del token
+ * @param {string} [params.kind] - "mint" (distributeCascadePayment) o "resale"
+ * @returns {Promise<Object>} - Nodo raíz
+ */
+async function readLineageTree({
+  runner,
+  revenueShare,
+  collection,
+  tokenId,
+  kind = "mint",
+}) {
+  if (!["mint", "resale"].includes(kind)) {
+    throw new Error(`Tipo de pago inválido: ${kind} (mint o resale)`);
+  }
+  const contracts = new Map();
+  const contractAt = (address) => {
+    if (!contracts.has(address)) {
+      contracts.set(
+        address,
+        new ethers.Contract(address, getAbi("RevenueShareUpgradeable"), runner)
+      );
+    }
+    return contracts.get(address);
+  };
+
+  async function readNode(target, source, depth, forwarded, active) {
+    const contract = contractAt(target);
+    const node = {
+      revenueShare: target,
+      kind,
+      collection: source.collection,
+      tokenId: BigInt(source.tokenId),
+      depth,
+      forwarded,
+      shares: [],
+      percentage: 0,
+      sources: [],
+      truncated: false,
+      cycle: forwarded && active.has(target),
+      inherited: null,
+    };
+    if (node.cycle) return node;
+
+    const reached = new Set(active).add(target);
+    node.shares = formatShares(
+      kind === "resale"
+        ? await contract.getResaleInfo(source.collection, source.tokenId)
+        : await contract.getMintSplits(source.collection, source.tokenId)
+    );
+    // Una fuente sin royalties de reventa cobra por sus splits de mint
+    if (kind === "resale" && depth > 0 && node.shares.length === 0) {
+      node.shares = formatShares(
+        await contract.getMintSplits(source.collection, source.tokenId)
+      );
+    }
+
+    // Los RevenueShare anteriores a 1.3.0 no tienen linaje ponderado
+    let lineage = [[], 0n];
+    try {
+      lineage = await contract.getLineage(source.collection, source.tokenId);
+    } catch (_) {}
+    const [sources, percentage] = lineage;
+    node.percentage = Number(percentage);
+
+    if (sources.length > 0) {
+      node.truncated = depth >= MAX_LINEAGE_DEPTH;
+      for (const child of sources) {
+        const entry = {
+          collection: child.collection,
+          tokenId: child.tokenId,
+          weight: Number(child.weight),
+          node: null,
+        };
+        if (!node.truncated) {
+          const childTarget = await contract.getSourceRevenueShare(
+            child.collection
+          );
+          entry.node =
+            childTarget === target
+              ? await readNode(target, child, depth + 1, false, reached)
+              : await readNode(childTarget, child, 0, true, reached);
+        }
+        node.sources.push(entry);
+      }
+    } else if (depth === 0) {
+      const [inherited, cascadePercentage] = await Promise.all([
+        contract.getInheritedSources(source.tokenId),
+        contract.getCascadePercentage(source.tokenId),
+      ]);
+      if (inherited.length > 0) {
+        node.inherited = {
+          sources: [...inherited],
+          cascadePercentage: Number(cascadePercentage),
+        };
+      }
+    }
+    return node;
+  }
+
+  return readNode(
+    ethers.getAddress(revenueShare),
+    { collection: ethers.getAddress(collection), tokenId },
+    0,
+    false,
+    new Set()
+  );
+}
+
+function nodeLabel(node) {
+  return `${node.collection}#${node.tokenId}`;
+}
+
+/**
+ * Proyecta el reparto de un pago sobre un árbol de linaje
+ * @param {Object} tree - Resultado de readLineageTree
+ * @param {bigint|number|string} amount - Monto pagado al token raíz
+ * @returns {Object} - { amount, payouts, totals, received, failed, distributed, dust }.
+ *   Las partes que otro RevenueShare rechaza son payouts con rol "reclamable"
+ *   a nombre de ese contrato, y sus nodos quedan en `failed`
+ */
+function computeLineagePayout(tree, amount) {
+  const total = BigInt(amount);
+  if (total <= 0n) throw new Error("El monto debe ser mayor a 0");
+
+  const payouts = [];
+  let received = new Map();
+  const failed = new Set();
+
+  function payNode(node, value) {
+    received.set(node, (received.get(node) || 0n) + value);
+    if (node.cycle) {
+      throw new Error(
+        `La fuente ${nodeLabel(node)} vuelve a ${node.revenueShare}, que ya está repartiendo: revierte por reentrancia`
+      );
+    }
+    if (node.shares.length === 0) {
+      if (node.depth > 0) {
+        throw new Error(
+          `La fuente ${nodeLabel(node)} no tiene splits: el contrato revierte con SourceWithoutSplits`
+        );
+      }
+      if (node.kind === "resale") {
+        throw new Error(
+          `${nodeLabel(node)} no tiene royalties de reventa en ${node.revenueShare}: el contrato revierte con NoShares`
+        );
+      }
+    }
+
+    const where = {
+      revenueShare: node.revenueShare,
+      collection: node.collection,
+      tokenId: node.tokenId,
+    };
+    let cascadeAmount = 0n;
+    if (node.sources.length > 0) {
+      if (node.percentage > 0 && !node.truncated) {
+        cascadeAmount = (value * BigInt(node.percentage)) / BASIS_POINTS;
+        for (const source of node.sources) {
+          const share = (cascadeAmount * BigInt(source.weight)) / BASIS_POINTS;
+          if (share > 0n) paySource(source.node, share, where);
+        }
+      }
+    } else if (node.inherited) {
+      const result = computeCascadeSplit(value, node.inherited);
+      cascadeAmount = result.cascadeAmount;
+      for (const payout of result.sourcePayouts) {
+        if (payout.amount > 0n) {
+          payouts.push({ ...where, role: "herencia", ...payout });
+        }
+      }
+    }
+
+    const remaining = value - cascadeAmount;
+    for (const share of node.shares) {
+      const payout = (remaining * BigInt(share.percentage)) / BASIS_POINTS;
+      if (payout > 0n) {
+        payouts.push({
+          ...where,
+          role: "split",
+          account: share.account,
+          amount: payout,
+        });
+      }
+    }
+  }
+
+  // Lo que revierte en otro RevenueShare se descarta y su parte queda
+  // reclamable para ese contrato en el que la envía
+  function paySource(node, value, where) {
+    if (!node.forwarded) return payNode(node, value);
+    const mark = payouts.length;
+    const snapshot = new Map(received);
+    try {
+      payNode(node, value);
+    } catch (error) {
+      payouts.length = mark;
+      received = snapshot.set(node, (snapshot.get(node) || 0n) + value);
+      failed.add(node);
+      payouts.push({
+        ...where,
+        role: "reclamable",
+        account: node.revenueShare,
+        amount: value,
+        reason: error.message,
+      });
+    }
+  }
+
+  payNode(tree, total);
+
+  const totals = new Map();
+  for (const payout of payouts) {
+    totals.set(
+      payout.account,
+      (totals.get(payout.account) || 0n) + payout.amount
+    );
+  }
+  const distributed = payouts.reduce((sum, payout) => sum + payout.amount, 0n);
+  return {
+    amount: total,
+    payouts,
+    totals: [...totals].map(([account, value]) => ({ account, amount: value })),
+    received,
+    failed,
+    distributed,
+    dust: total - distributed,
+  };
+}
+
+/**
+ * Árbol de linaje en texto, con el monto proyectado de cada nodo
+ * @param {Object} tree - Resultado de readLineageTree
+ * @param {Object} [params]
+ * @param {Object} [params.payout] - Resultado de computeLineagePayout
+ * @param {string} [params.symbol] - Símbolo del monto (default: ETH)
+ * @param {number} [params.decimals] - Decimales del monto (default: 18)
+ * @returns {string}
+ */
+function formatLineageTree(
+  tree,
+  { payout, symbol = "ETH", decimals = 18 } = {}
+) {
+  const lines = [];
+
+  function describe(node) {
+    const parts = [nodeLabel(node)];
+    if (payout && payout.received.has(node)) {
+      parts.push(
+        `${ethers.formatUnits(payout.received.get(node), decimals)} ${symbol}`
+      );
+    }
+    if (node.forwarded) parts.push(`[RevenueShare ${node.revenueShare}]`);
+    if (node.cycle) parts.push("⚠️  ciclo");
+    if (payout && payout.failed.has(node)) {
+      parts.push("⚠️  revierte: su parte queda reclamable");
+    }
+    if (node.sources.length > 0) {
+      parts.push(
+        node.truncated
+          ? `(profundidad máxima: no cede su ${node.percentage / 100}%)`
+          : `(cede ${node.percentage / 100}%)`
+      );
+    } else if (node.inherited) {
+      parts.push(
+        `(herencia: ${node.inherited.cascadePercentage / 100}% en partes iguales)`
+      );
+    }
+    if (node.shares.length === 0) parts.push("(sin splits)");
+    return parts.join(" ");
+  }
+
+  function walk(node, prefix) {
+    const children = [
+      ...node.sources.map((source) => ({
+        label: `${source.weight / 100}% → `,
+        node: source.node,
+        source,
+      })),
+      ...(node.inherited ? node.inherited.sources : []).map((account) => ({
+        label: "→ ",
+        account,
+      })),
+    ];
+    for (const [i, child] of children.entries()) {
+      const last = i === children.length - 1;
+      const text = child.node
+        ? describe(child.node)
+        : child.account ||
+          `${child.source.collection}#${child.source.tokenId} (no se resuelve)`;
+      lines.push(`${prefix}${last ? "└── " : "├── "}${child.label}${text}`);
+      if (child.node) walk(child.node, `${prefix}${last ? "    " : "│   "}`);
+    }
+  }
+
+  lines.push(describe(tree));
+  walk(tree, "");
+  return lines.join("\n");
+}
+
+module.exports = {
+  MAX_LINEAGE_DEPTH,
+  MAX_LINEAGE_SOURCES,
+  computeLineagePayout,
+  formatLineageTree,
+  readLineageTree,
+  validateLineageSources,
+};
@@ -0,0 +1,452 @@
+/**
+ * Metadatos de tracks y colecciones
+ *
+ * Arma el JSON ERC-1155 / OpenSea de cada track y el `contractURI` de la
+ * colección, los valida contra un esquema antes de usarlos en `mint`,
+ * `freeMint`, `setTokenURI` o `setCollectionMetadata`, y empaqueta un
+ * lanzamiento en archivos con su CID para subirlos a IPFS.
+ *
+ * El contrato guarda un URI por token y `uri()` no agrega el tokenId al
+ * baseURI, así que cada token debe apuntar a su propio archivo
+ * (`ipfs://<cid>`).
+ */
+const { ethers } = require("ethers");
+const { computeCid } = require("./cid");
+
+const URI_PATTERN = /^(ipfs:\/\/|ar:\/\/|https:\/\/|data:)\S+$/;
+
+const ISRC_PATTERN = /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/;
+
+const ATTRIBUTE_SCHEMA = {
+  type: "object",
+  required: ["trait_type", "value"],
+  properties: {
+    trait_type: { type: "string", minLength: 1 },
+    value: { type: ["string", "number"] },
+    display_type: { type: "string" },
+  },
+};
+
+/**
+ * Los esquemas usan un subconjunto de JSON Schema: type, required,
+ * properties, additionalProperties, items, minLength, maxLength, pattern,
+ * minimum, maximum y format ("uri" o "address")
+ */
+const TRACK_METADATA_SCHEMA = {
+  type: "object",
+  required: ["name", "description", "image", "animation_url", "properties"],
+  properties: {
+    name: { type: "string", minLength: 1, maxLength: 200 },
+    description: { type: "string" },
+    image: { type: "string", format: "uri" },
+    animation_url: { type: "string", format: "uri" },
+    external_url: { type: "string", format: "uri" },
+    attributes: { type: "array", items: ATTRIBUTE_SCHEMA },
+    properties: {
+      type: "object",
+      required: ["artist", "duration"],
+      properties: {
+        artist: { type: "string", minLength: 1 },
+        duration: { type: "integer", minimum: 1 },
+        genre: { type: "string", minLength: 1 },
+        isrc: { type: "string", pattern: ISRC_PATTERN },
+        release_date: { type: "string", pattern: /^\d{4}-\d{2}-\d{2}$/ },
+        credits: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["name", "role"],
+            additionalProperties: false,
+            properties: {
+              name: { type: "string", minLength: 1 },
+              role: { type: "string", minLength: 1 },
+              address: { type: "string", format: "address" },
+            },
+          },
+        },
+        sources: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["address"],
+            additionalProperties: false,
+            properties: {
+              address: { type: "string", format: "address" },
+              collection: { type: "string", format: "address" },
+              tokenId: { type: "string", pattern: /^\d+$/ },
+              title: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+const COLLECTION_METADATA_SCHEMA = {
+  type: "object",
+  required: ["name", "description", "image"],
+  properties: {
+    name: { type: "string", minLength: 1, maxLength: 200 },
+    description: { type: "string" },
+    image: { type: "string", format: "uri" },
+    banner_image: { type: "string", format: "uri" },
+    external_link: { type: "string", format: "uri" },
+    seller_fee_basis_points: { type: "integer", minimum: 0, maximum: 10000 },
+    fee_recipient: { type: "string", format: "address" },
+    artist: { type: "string", minLength: 1 },
+  },
+};
+
+const SCHEMAS = {
+  track: TRACK_METADATA_SCHEMA,
+  collection: COLLECTION_METADATA_SCHEMA,
+};
+
+/**
+ * Error de validación con la lista de problemas encontrados
+ */
+class MetadataError extends Error {
+  /**
+   * @param {string} kind - "track" o "collection"
+   * @param {Array<{path: string, message: string}>} errors
+   */
+  constructor(kind, errors) {
+    super(
+      `Metadatos de ${kind} inválidos:\n${errors
+        .map((error) => `  - ${error.path}: ${error.message}`)
+        .join("\n")}`
+    );
+    this.name = "MetadataError";
+    this.kind = kind;
+    this.errors = errors;
+  }
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(expected, value) {
+  const actual = typeOf(value);
+  return []
+    .concat(expected)
+    .some(
+      (type) => type === actual || (type === "number" && actual === "integer")
+    );
+}
+
+function checkSchema(schema, value, path, errors) {
+  const fail = (message) => errors.push({ path, message });
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    fail(`debe ser ${[].concat(schema.type).join(" o ")}`);
+    return;
+  }
+
+  if (typeof value === "string") {
+    if (
+      schema.minLength !== undefined &&
+      value.trim().length < schema.minLength
+    ) {
+      fail("no puede estar vacío");
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`supera los ${schema.maxLength} caracteres`);
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      fail(`formato inválido: ${value}`);
+    }
+    if (schema.format === "uri" && !URI_PATTERN.test(value)) {
+      fail(`URI inválido (ipfs://, ar://, https:// o data:): ${value}`);
+    }
+    if (
+      schema.format === "address" &&
+      (!ethers.isAddress(value) || value === ethers.ZeroAddress)
+    ) {
+      fail(`dirección inválida: ${value}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`debe ser al menos ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`no puede ser mayor a ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) =>
+      checkSchema(schema.items, item, `${path}[${i}]`, errors)
+    );
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: "es obligatorio" });
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const child = schema.properties && schema.properties[key];
+      if (child) {
+        checkSchema(child, item, `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: "campo no admitido" });
+      }
+    }
+  }
+}
+
+/**
+ * Valida metadatos contra su esquema
+ * @param {Object} metadata - JSON de un track o de una colección
+ * @param {string} [kind] - "track" (default) o "collection"
+ * @returns {Array<{path: string, message: string}>} - Vacío si es válido
+ */
+function validateMetadata(metadata, kind = "track") {
+  const schema = SCHEMAS[kind];
+  if (!schema) throw new Error(`Tipo de metadatos desconocido: ${kind}`);
+
+  const errors = [];
+  checkSchema(schema, metadata, "$", errors);
+  return errors;
+}
+
+/**
+ * Igual que `validateMetadata` pero lanza MetadataError si hay problemas
+ * @returns {Object} - Los mismos metadatos
+ */
+function assertValidMetadata(metadata, kind = "track") {
+  const errors = validateMetadata(metadata, kind);
+  if (errors.length > 0) throw new MetadataError(kind, errors);
+  return metadata;
+}
+
+/**
+ * Acepta segundos o "m:ss" / "h:mm:ss"
+ */
+function parseDuration(duration) {
+  if (typeof duration === "number") return duration;
+  if (typeof duration === "string" && /^\d+(:\d{2}){0,2}$/.test(duration)) {
+    return duration
+      .split(":")
+      .reduce((total, part) => total * 60 + Number(part), 0);
+  }
+  return duration;
+}
+
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+function omitUndefined(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Arma los metadatos ERC-1155 / OpenSea de un track
+ * @param {Object} track
+ * @param {string} track.title - Título
+ * @param {string} track.artist - Nombre del artista
+ * @param {string} track.image - Portada (ipfs://, ar://, https://)
+ * @param {string} track.audio - Archivo de audio, va en `animation_url`
+ * @param {number|string} track.duration - Segundos o "m:ss"
+ * @param {string} [track.description]
+ * @param {string} [track.genre]
+ * @param {string} [track.isrc] - Código ISRC (ej. "USRC17607839")
+ * @param {string} [track.releaseDate] - Fecha "YYYY-MM-DD"
+ * @param {string} [track.externalUrl]
+ * @param {Array<{name: string, role: string, address?: string}>} [track.credits]
+ * @param {Array<{address: string, collection?: string, tokenId?: string, title?: string}>} [track.sources] - Fuentes de un remix (las de `setInheritance`)
+ * @param {Array<Object>} [track.attributes] - Atributos extra de OpenSea
+ * @returns {Object} - Metadatos validados
+ */
+function buildTrackMetadata(track) {
+  const duration = parseDuration(track.duration);
+  const isrc =
+    typeof track.isrc === "string"
+      ? track.isrc.replace(/-/g, "").toUpperCase()
+      : track.isrc;
+  const sources =
+    track.sources &&
+    track.sources.map((source) =>
+      omitUndefined({
+        ...source,
+        tokenId:
+          source.tokenId !== undefined ? String(source.tokenId) : undefined,
+      })
+    );
+
+  const attributes = [
+    track.artist && { trait_type: "Artist", value: track.artist },
+    track.genre && { trait_type: "Genre", value: track.genre },
+    Number.isInteger(duration) && {
+      trait_type: "Duration",
+      value: formatDuration(duration),
+    },
+    isrc && { trait_type: "ISRC", value: isrc },
+    sources && sources.length > 0 && { trait_type: "Type", value: "Remix" },
+    ...(track.attributes || []),
+  ].filter(Boolean);
+
+  return assertValidMetadata(
+    omitUndefined({
+      name: track.title,
+      description: track.description || "",
+      image: track.image,
+      animation_url: track.audio,
+      external_url: track.externalUrl,
+      attributes,
+      properties: omitUndefined({
+        artist: track.artist,
+        duration,
+        genre: track.genre,
+        isrc,
+        release_date: track.releaseDate,
+        credits: track.credits,
+        sources,
+      }),
+    }),
+    "track"
+  );
+}
+
+/**
+ * Arma los metadatos de la colección (formato `contractURI` de OpenSea)
+ * para `createCollection` o `setCollectionMetadata`
+ * @param {Object} collection
+ * @param {string} collection.name
+ * @param {string} collection.image
+ * @param {string} [collection.description]
+ * @param {string} [collection.artist]
+ * @param {string} [collection.bannerImage]
+ * @param {string} [collection.externalLink]
+ * @param {number} [collection.royaltyFee] - Royalty en base 10000 (el de ERC2981)
+ * @param {string} [collection.royaltyReceiver]
+ * @returns {Object} - Metadatos validados
+ */
+function buildCollectionMetadata(collection) {
+  return assertValidMetadata(
+    omitUndefined({
+      name: collection.name,
+      description: collection.description || "",
+      image: collection.image,
+      banner_image: collection.bannerImage,
+      external_link: collection.externalLink,
+      seller_fee_basis_points: collection.royaltyFee,
+      fee_recipient: collection.royaltyReceiver,
+      artist: collection.artist,
+    }),
+    "collection"
+  );
+}
+
+/**
+ * Serializa metadatos de forma determinista (los bytes que se suben)
+ */
+function serializeMetadata(metadata) {
+  return JSON.stringify(metadata, null, 2) + "\n";
+}
+
+function prefixErrors(error, prefix) {
+  if (!(error instanceof MetadataError)) throw error;
+  return error.errors.map((item) => ({
+    ...item,
+    path: `${prefix}${item.path.slice(1)}`,
+  }));
+}
+
+function packFile(path, metadata) {
+  const content = serializeMetadata(metadata);
+  const cid = computeCid(content);
+  return { path, content, cid, uri: `ipfs://${cid}` };
+}
+
+/**
+ * Arma y empaqueta los metadatos de un lanzamiento
+ *
+ * Cada archivo lleva su CID calculado localmente: al subir la carpeta con
+ * `ipfs add -r --cid-version 1` (o a un servicio de pinning) cada archivo
+ * queda con ese mismo CID.
+ * @param {Object} release
+ * @param {Object} [release.collection] - Entrada de `buildCollectionMetadata`
+ * @param {Array<Object>} release.tracks - Entradas de `buildTrackMetadata` con `tokenId`
+ * @returns {Object} - { files: [{ path, content, cid, uri }], manifest }
+ */
+function packRelease({ collection, tracks = [] }) {
+  const files = [];
+  const manifest = { collection: null, tokens: {} };
+  const errors = [];
+
+  if (collection) {
+    try {
+      const file = packFile(
+        "collection.json",
+        buildCollectionMetadata(collection)
+      );
+      files.push(file);
+      manifest.collection = { path: file.path, cid: file.cid, uri: file.uri };
+    } catch (error) {
+      errors.push(...prefixErrors(error, "collection"));
+    }
+  }
+
+  tracks.forEach((track, i) => {
+    const label = `tracks[${i}]`;
+    if (!/^\d+$/.test(String(track.tokenId))) {
+      errors.push({
+        path: `${label}.tokenId`,
+        message: "es obligatorio y debe ser un entero",
+      });
+      return;
+    }
+    const tokenId = String(track.tokenId);
+    if (manifest.tokens[tokenId]) {
+      errors.push({
+        path: `${label}.tokenId`,
+        message: `repetido: ${tokenId}`,
+      });
+      return;
+    }
+
+    try {
+      const file = packFile(
+        `tokens/${tokenId}.json`,
+        buildTrackMetadata(track)
+      );
+      files.push(file);
+      manifest.tokens[tokenId] = {
+        path: file.path,
+        cid: file.cid,
+        uri: file.uri,
+        title: track.title,
+      };
+    } catch (error) {
+      errors.push(...prefixErrors(error, label));
+    }
+  });
+
+  if (errors.length > 0) throw new MetadataError("lanzamiento", errors);
+  return { files, manifest };
+}
+
+module.exports = {
+  COLLECTION_METADATA_SCHEMA,
+  MetadataError,
+  TRACK_METADATA_SCHEMA,
+  assertValidMetadata,
+  buildCollectionMetadata,
+  buildTrackMetadata,
+  packRelease,
+  serializeMetadata,
+  validateMetadata,
+};
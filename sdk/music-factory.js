@@ -0,0 +1,263 @@
+/**
+ * Cliente para MusicNFTFactoryUpgradeable
+ */
+const { ethers } = require("ethers");
+const { getAbi } = require("./abis");
+const {
+  parseEvents,
+  sendTransaction,
+  toTimestamp,
+  validateShares,
+} = require("./utils");
+
+/**
+ * @typedef {Object} CreateCollectionParams
+ * @property {string} name - Nombre de la colección
+ * @property {string} symbol - Símbolo de la colección
+ * @property {string} [baseURI] - URI base de los tokens
+ * @property {string} [collectionMetadata] - Metadatos de la colección
+ * @property {Date|number|bigint} mintStartDate - Inicio del período de mint
+ * @property {Date|number|bigint} mintEndDate - Fin del período de mint
+ * @property {bigint} mintPrice - Precio del mint con ETH en wei (0n = gratuito)
+ * @property {string} [paymentToken] - Token de pago, address(0) para ETH
+ * @property {string} [royaltyReceiver] - Receptor de royalties (default: el
+ *   revenueShare, que reparte los royalties de reventa; si no hay, artist)
+ * @property {number} [royaltyFee] - Royalty en base 10000 (1000 = 10%)
+ * @property {string} artist - Owner de la colección: debe ser quien firma
+ * @property {string} [revenueShare] - RevenueShare del artista creado por el
+ *   factory vinculado, address(0) si no hay
+ * @property {boolean} [clone] - Crear un clon EIP-1167 (más barato, no upgradeable)
+ */
+
+/**
+ * @typedef {Object} CreateReleaseParams
+ * @property {string} name - Nombre de la colección
+ * @property {string} symbol - Símbolo de la colección
+ * @property {string} [baseURI] - URI base de los tokens
+ * @property {string} [collectionMetadata] - Metadatos de la colección
+ * @property {Date|number|bigint} mintStartDate - Inicio del período de mint
+ * @property {Date|number|bigint} mintEndDate - Fin del período de mint
+ * @property {bigint} mintPrice - Precio del mint con ETH en wei (0n = gratuito)
+ * @property {string} [paymentToken] - Token de pago, address(0) para ETH
+ * @property {string} [royaltyReceiver] - Receptor de royalties (default: el
+ *   RevenueShare del release)
+ * @property {number} [royaltyFee] - Royalty en base 10000 (1000 = 10%)
+ * @property {string} revenueShareName - Nombre del RevenueShare
+ * @property {string} revenueShareDescription - Descripción del RevenueShare
+ * @property {Array<{account: string, percentage: number}>} [mintSplits] -
+ *   Splits de mint de la colección (se pueden configurar después)
+ * @property {string} [salt] - bytes32 o texto (ver toReleaseSalt); default: aleatorio
+ */
+
+/**
+ * Exige un precio de mint explícito: si se omitiera, la colección quedaría
+ * con mint gratuito hasta que el artista llamara setMintPrice
+ * @param {bigint} mintPrice - Precio del mint con ETH en wei
+ * @returns {bigint}
+ */
+function toMintPrice(mintPrice) {
+  if (mintPrice === undefined || mintPrice === null) {
+    throw new Error("Indica mintPrice en wei (0n para un mint gratuito)");
+  }
+  return BigInt(mintPrice);
+}
+
+/**
+ * Convierte el salt de un release a bytes32: un hex de 32 bytes se usa tal
+ * cual y cualquier otro texto se hashea (ej. "album-2024")
+ * @param {string} salt - Salt del release
+ * @returns {string} - bytes32
+ */
+function toReleaseSalt(salt) {
+  if (ethers.isHexString(salt, 32)) return salt;
+  if (typeof salt !== "string" || salt.length === 0) {
+    throw new Error("El salt del release debe ser un bytes32 o un texto");
+  }
+  return ethers.id(salt);
+}
+
+/**
+ * Crea un cliente para el factory de colecciones
+ * @param {Object} params
+ * @param {string} params.address - Dirección del proxy del factory
+ * @param {Object} params.runner - Signer o provider de ethers
+ * @returns {Object} - Cliente del factory
+ */
+function createMusicFactoryClient({ address, runner }) {
+  const contract = new ethers.Contract(
+    address,
+    getAbi("MusicNFTFactoryUpgradeable"),
+    runner
+  );
+
+  /**
+   * Crea una nueva colección y devuelve la dirección del proxy (o del clon)
+   * @param {CreateCollectionParams} params
+   * @returns {Promise<Object>} - { collection, hash, receipt }
+   */
+  async function createCollection({
+    name,
+    symbol,
+    baseURI = "",
+    collectionMetadata = "",
+    mintStartDate,
+    mintEndDate,
+    mintPrice,
+    paymentToken = ethers.ZeroAddress,
+    royaltyReceiver,
+    royaltyFee = 0,
+    artist,
+    revenueShare = ethers.ZeroAddress,
+    clone = false,
+  }) {
+    const { hash, receipt } = await sendTransaction(() =>
+      contract[clone ? "createCollectionClone" : "createCollection"](
+        name,
+        symbol,
+        baseURI,
+        collectionMetadata,
+        toTimestamp(mintStartDate),
+        toTimestamp(mintEndDate),
+        toMintPrice(mintPrice),
+        paymentToken,
+        royaltyReceiver ||
+          (revenueShare !== ethers.ZeroAddress ? revenueShare : artist),
+        royaltyFee,
+        artist,
+        revenueShare
+      )
+    );
+
+    const [event] = parseEvents(receipt, contract, "CollectionCreated");
+    return { collection: event.args.collection, hash, receipt };
+  }
+
+  /**
+   * Predice las direcciones de un release sin enviar transacciones. Son
+   * válidas mientras no cambien las implementaciones de los factories
+   * @param {Object} params
+   * @param {string} params.artist - Cuenta que enviará createRelease
+   * @param {string} params.salt - bytes32 o texto (ver toReleaseSalt)
+   * @returns {Promise<Object>} - { collection, revenueShare, salt }
+   */
+  async function predictRelease({ artist, salt }) {
+    const normalized = toReleaseSalt(salt);
+    const [collection, revenueShare] = await contract.predictRelease(
+      artist,
+      normalized
+    );
+    return { collection, revenueShare, salt: normalized };
+  }
+
+  /**
+   * Crea en una transacción el RevenueShare del sender, su colección
+   * vinculada y los splits de mint iniciales
+   * @param {CreateReleaseParams} params
+   * @returns {Promise<Object>} - { collection, revenueShare, salt, hash, receipt }
+   */
+  async function createRelease({
+    name,
+    symbol,
+    baseURI = "",
+    collectionMetadata = "",
+    mintStartDate,
+    mintEndDate,
+    mintPrice,
+    paymentToken = ethers.ZeroAddress,
+    royaltyReceiver = ethers.ZeroAddress,
+    royaltyFee = 0,
+    revenueShareName,
+    revenueShareDescription,
+    mintSplits = [],
+    salt = ethers.hexlify(ethers.randomBytes(32)),
+  }) {
+    const shares = mintSplits.length > 0 ? validateShares(mintSplits) : [];
+    const normalized = toReleaseSalt(salt);
+
+    const { hash, receipt } = await sendTransaction(() =>
+      contract.createRelease(
+        {
+          name,
+          symbol,
+          baseURI,
+          collectionMetadata,
+          mintStartDate: toTimestamp(mintStartDate),
+          mintEndDate: toTimestamp(mintEndDate),
+          mintPrice: toMintPrice(mintPrice),
+          paymentToken,
+          royaltyReceiver,
+          royaltyFee,
+          revenueShareName,
+          revenueShareDescription,
+        },
+        shares,
+        normalized
+      )
+    );
+
+    const [event] = parseEvents(receipt, contract, "ReleaseCreated");
+    return {
+      collection: event.args.collection,
+      revenueShare: event.args.revenueShare,
+      salt: normalized,
+      hash,
+      receipt,
+    };
+  }
+
+  /**
+   * Configura el factory de revenue shares de createRelease (solo owner)
+   * @param {Object} params
+   * @param {string} params.factory - Proxy de RevenueShareFactoryUpgradeable
+   */
+  function setRevenueShareFactory({ factory }) {
+    return sendTransaction(() => contract.setRevenueShareFactory(factory));
+  }
+
+  /**
+   * Actualiza la implementación usada para nuevas colecciones (solo owner)
+   * @param {Object} params
+   * @param {string} params.implementation - Nueva implementación
+   */
+  function updateCollectionImplementation({ implementation }) {
+    return sendTransaction(() =>
+      contract.updateCollectionImplementation(implementation)
+    );
+  }
+
+  /**
+   * Devuelve todas las colecciones creadas por el factory
+   * @returns {Promise<string[]>}
+   */
+  async function getCollections() {
+    const count = await contract.getCollectionsCount();
+    const collections = [];
+    for (let i = 0n; i < count; i++) {
+      collections.push(await contract.collections(i));
+    }
+    return collections;
+  }
+
+  return {
+    address,
+    contract,
+    createCollection,
+    createRelease,
+    predictRelease,
+    setRevenueShareFactory,
+    updateCollectionImplementation,
+    getCollections,
+    getCollectionsCount: () => contract.getCollectionsCount(),
+    getArtistCollections: (artist) => contract.getArtistCollections(artist),
+    getArtistCollectionsCount: (artist) =>
+      contract.getArtistCollectionsCount(artist),
+    getCollectionImplementation: () => contract.collectionImplementation(),
+    getRevenueShareFactory: () => contract.revenueShareFactory(),
+    version: () => contract.version(),
+  };
+}
+
+module.exports = {
+  createMusicFactoryClient,
+  toReleaseSalt,
+};
@@ -0,0 +1,470 @@
+/**
+ * Simulador off-chain de pagos de RevenueShareUpgradeable
+ *
+ * Trabaja sobre una configuración con la misma forma que el contrato (splits
+ * por token y por colección, herencia y porcentaje de cascada), leída de la
+ * cadena con readPayoutConfig o propuesta en un archivo JSON, y predice quién
+ * recibe cuánto en un mint o una reventa antes de enviar ninguna transacción.
+ * La configuración leída incluye el linaje ponderado (setLineage), que tiene
+ * prioridad sobre la herencia y se reparte con computeLineagePayout.
+ */
+const { ethers } = require("ethers");
+const { getAbi } = require("./abis");
+const { computeLineagePayout, readLineageTree } = require("./lineage");
+const { computeCascadeSplit, computeMintSplit } = require("./splits");
+const { formatShares, validateShares } = require("./utils");
+
+const ROLES = {
+  split: "split",
+  source: "fuente",
+  seller: "vendedor",
+  claimable: "reclamable",
+  dust: "sin asignar",
+};
+
+/**
+ * @typedef {Object} PayoutConfig
+ * @property {string} [collection] - Colección a la que aplica la configuración
+ * @property {number} [royaltyFee] - Royalty ERC2981 de la colección (base 10000)
+ * @property {Array<Share>} [collectionMintSplits] - Splits de mint de la colección
+ * @property {Array<Share>} [collectionResaleRoyalties] - Royalties de reventa de la colección
+ * @property {Object<string, Object>} [tokens] - Por tokenId: { mintSplits,
+ *   resaleRoyalties, sources, cascadePercentage, lineage }. `lineage` solo
+ *   viene de readPayoutConfig: { percentage, sources, trees: { mint, resale } },
+ *   con los árboles de readLineageTree
+ */
+
+function normalizeShares(shares) {
+  return shares && shares.length > 0 ? validateShares(shares) : [];
+}
+
+/**
+ * Valida una configuración propuesta con las mismas reglas que el contrato
+ * @param {PayoutConfig} raw - Configuración (ej. el JSON de un archivo)
+ * @returns {PayoutConfig} - Configuración normalizada
+ */
+function normalizePayoutConfig(raw = {}) {
+  const tokens = {};
+  for (const [tokenId, token] of Object.entries(raw.tokens || {})) {
+    const cascadePercentage = Number(token.cascadePercentage || 0);
+    if (
+      !Number.isInteger(cascadePercentage) ||
+      cascadePercentage < 0 ||
+      cascadePercentage > 10000
+    ) {
+      throw new Error(
+        `cascadePercentage del token ${tokenId} debe estar entre 0 y 10000`
+      );
+    }
+    for (const source of token.sources || []) {
+      if (!ethers.isAddress(source)) {
+        throw new Error(`Fuente inválida en el token ${tokenId}: ${source}`);
+      }
+    }
+    if (token.lineage) {
+      throw new Error(
+        `El token ${tokenId} tiene linaje: el simulador solo lo lee de la cadena (usa --revenue-share o revenue:lineage)`
+      );
+    }
+
+    tokens[String(BigInt(tokenId))] = {
+      mintSplits: normalizeShares(token.mintSplits),
+      resaleRoyalties: normalizeShares(token.resaleRoyalties),
+      sources: (token.sources || []).map((source) => ethers.getAddress(source)),
+      cascadePercentage,
+    };
+  }
+
+  return {
+    collection: raw.collection,
+    royaltyFee:
+      raw.royaltyFee === undefined ? undefined : Number(raw.royaltyFee),
+    collectionMintSplits: normalizeShares(raw.collectionMintSplits),
+    collectionResaleRoyalties: normalizeShares(raw.collectionResaleRoyalties),
+    tokens,
+  };
+}
+
+/**
+ * Configuración efectiva de un token, con la precedencia de
+ * `_getEffectiveMintSplits` / `_getEffectiveResaleRoyalties`: los splits del
+ * token si existen, si no los de la colección
+ * @param {PayoutConfig} config - Configuración normalizada
+ * @param {number|bigint|string} tokenId - ID del token
+ * @returns {Object} - { mintSplits, mintLevel, resaleRoyalties, resaleLevel, sources, cascadePercentage, lineage }
+ */
+function resolveTokenConfig(config, tokenId) {
+  const token = config.tokens[String(BigInt(tokenId))] || {};
+  const pick = (own, collection) =>
+    own && own.length > 0
+      ? { shares: own, level: "token" }
+      : {
+          shares: collection,
+          level: collection.length > 0 ? "colección" : null,
+        };
+
+  const mint = pick(token.mintSplits, config.collectionMintSplits);
+  const resale = pick(token.resaleRoyalties, config.collectionResaleRoyalties);
+
+  return {
+    mintSplits: mint.shares,
+    mintLevel: mint.level,
+    resaleRoyalties: resale.shares,
+    resaleLevel: resale.level,
+    sources: token.sources || [],
+    cascadePercentage: token.cascadePercentage || 0,
+    lineage: token.lineage || null,
+  };
+}
+
+/**
+ * Lee la configuración actual de un RevenueShare para una colección
+ * @param {Object} params
+ * @param {Object} params.runner - Signer o provider de ethers
+ * @param {string} params.revenueShare - Dirección del RevenueShare
+ * @param {string} params.collection - Dirección de la colección
+ * @param {Array<number|bigint>} params.tokenIds - Tokens a incluir
+ * @returns {Promise<PayoutConfig>}
+ */
+async function readPayoutConfig({
+  runner,
+  revenueShare,
+  collection,
+  tokenIds,
+}) {
+  const contract = new ethers.Contract(
+    revenueShare,
+    getAbi("RevenueShareUpgradeable"),
+    runner
+  );
+  const collectionContract = new ethers.Contract(
+    collection,
+    getAbi("MusicCollectionUpgradeable"),
+    runner
+  );
+
+  // Los getters de arrays públicos revierten fuera de rango: si no hay
+  // elemento 0 el token no tiene splits propios
+  async function hasTokenLevel(getter, tokenId) {
+    try {
+      await contract[getter](collection, tokenId, 0);
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  // Con linaje se leen los árboles de mint y de reventa: cada fuente reparte
+  // con sus propios splits de ese tipo
+  async function readTokenLineage(tokenId) {
+    // Los RevenueShare anteriores a 1.3.0 no tienen linaje ponderado
+    let lineage = [[], 0n];
+    try {
+      lineage = await contract.getLineage(collection, tokenId);
+    } catch (_) {}
+    const [sources, percentage] = lineage;
+    if (sources.length === 0) return null;
+
+    const readTree = (kind) =>
+      readLineageTree({ runner, revenueShare, collection, tokenId, kind });
+    return {
+      percentage: Number(percentage),
+      sources: sources.map((source) => ({
+        collection: source.collection,
+        tokenId: source.tokenId,
+        weight: Number(source.weight),
+      })),
+      trees: { mint: await readTree("mint"), resale: await readTree("resale") },
+    };
+  }
+
+  const tokens = {};
+  for (const tokenId of tokenIds) {
+    const [ownMint, ownResale] = await Promise.all([
+      hasTokenLevel("mintSplits", tokenId),
+      hasTokenLevel("resaleRoyalties", tokenId),
+    ]);
+    tokens[String(BigInt(tokenId))] = {
+      mintSplits: ownMint
+        ? formatShares(await contract.getMintSplits(collection, tokenId))
+        : [],
+      resaleRoyalties: ownResale
+        ? formatShares(await contract.getResaleInfo(collection, tokenId))
+        : [],
+      sources: [...(await contract.getInheritedSources(tokenId))],
+      cascadePercentage: Number(await contract.getCascadePercentage(tokenId)),
+      lineage: await readTokenLineage(tokenId),
+    };
+  }
+
+  let royaltyFee;
+  try {
+    const [, royalty] = await collectionContract.royaltyInfo(
+      tokenIds[0] ?? 0,
+      10000
+    );
+    royaltyFee = Number(royalty);
+  } catch (_) {
+    // La colección no implementa ERC2981: se debe indicar el royalty a mano
+  }
+
+  return {
+    collection,
+    royaltyFee,
+    collectionMintSplits: formatShares(
+      await contract.getCollectionMintSplits(collection)
+    ),
+    collectionResaleRoyalties: formatShares(
+      await contract.getCollectionResaleRoyalties(collection)
+    ),
+    tokens,
+  };
+}
+
+function addRow(rows, role, account, amount, percentage = null) {
+  const key = `${role}:${account}`;
+  const row = rows.get(key);
+  if (row) {
+    row.amount += amount;
+    if (percentage !== null) row.percentage += percentage;
+  } else {
+    rows.set(key, { role, account, percentage, amount });
+  }
+}
+
+/**
+ * Reparte `times` pagos iguales de un token con linaje como
+ * `_distributeLineage`: la raíz cobra con sus splits y la cascada llega a los
+ * destinatarios de cada fuente, también a través de otros RevenueShare
+ * @returns {bigint} - Polvo total retenido en los contratos
+ */
+function distributeLineage(rows, amount, tree, times) {
+  const result = computeLineagePayout(tree, amount);
+  // La parte que otro RevenueShare rechaza queda reclamable para él
+  const roleOf = (payout) => {
+    if (payout.role === "reclamable") return ROLES.claimable;
+    const root =
+      payout.role === "split" &&
+      payout.revenueShare === tree.revenueShare &&
+      payout.collection === tree.collection &&
+      payout.tokenId === tree.tokenId;
+    return root ? ROLES.split : ROLES.source;
+  };
+
+  for (const share of tree.shares) {
+    addRow(rows, ROLES.split, share.account, 0n, share.percentage);
+  }
+  for (const payout of result.payouts) {
+    addRow(rows, roleOf(payout), payout.account, payout.amount * times);
+  }
+  return result.dust * times;
+}
+
+/**
+ * Reparte `times` pagos iguales como lo haría el contrato y acumula las filas
+ * por destinatario
+ * @returns {bigint} - Polvo total retenido en el contrato
+ */
+function distribute(
+  rows,
+  amount,
+  shares,
+  tokenConfig,
+  { cascade, kind, times = 1n }
+) {
+  if (cascade && tokenConfig.lineage) {
+    return distributeLineage(
+      rows,
+      amount,
+      tokenConfig.lineage.trees[kind],
+      times
+    );
+  }
+  if (!cascade && shares.length === 0) {
+    throw new Error(
+      "No hay splits configurados para el token: el contrato revierte con NoShares"
+    );
+  }
+
+  const result = cascade
+    ? computeCascadeSplit(amount, { ...tokenConfig, shares })
+    : computeMintSplit(amount, shares);
+
+  for (const payout of result.sourcePayouts || []) {
+    addRow(rows, ROLES.source, payout.account, payout.amount * times);
+  }
+  for (const [i, payout] of result.payouts.entries()) {
+    addRow(
+      rows,
+      ROLES.split,
+      payout.account,
+      payout.amount * times,
+      shares[i].percentage
+    );
+  }
+  return result.dust * times;
+}
+
+/**
+ * Simula el mint o la reventa de `quantity` tokens
+ *
+ * - mint: un solo pago de `price * quantity` (como `mint`/`mintWithERC20`).
+ *   Con `cascade` se simula `distributeCascadePayment`, que cede parte al
+ *   linaje del token o, si no tiene, a sus fuentes heredadas.
+ * - resale: `quantity` ventas de `price` cada una. El royalty ERC2981 de cada
+ *   venta se reparte como distributeResalePayment: siempre cede la cascada
+ *   (linaje o fuentes heredadas) y el resto va por los royalties de reventa.
+ *   El resto de la venta es del vendedor.
+ * @param {PayoutConfig} config - Configuración normalizada
+ * @param {Object} params
+ * @param {string} [params.kind] - "mint" o "resale" (default: mint)
+ * @param {number|bigint|string} params.tokenId - ID del token
+ * @param {number|bigint} [params.quantity] - Cantidad de tokens (default: 1)
+ * @param {bigint} params.price - Precio por token en wei o unidades del ERC20
+ * @param {boolean} [params.cascade] - Aplicar la cascada a las fuentes en un
+ *   mint; la reventa la aplica siempre
+ * @param {number} [params.royaltyFee] - Royalty de reventa (default: config.royaltyFee)
+ * @returns {Object} - { kind, tokenId, quantity, price, gross, royalty, levels, lineage, rows, distributed, dust }
+ */
+function simulatePayout(
+  config,
+  { kind = "mint", tokenId, quantity = 1, price, cascade = false, royaltyFee }
+) {
+  if (!["mint", "resale"].includes(kind)) {
+    throw new Error(`Tipo de simulación inválido: ${kind} (mint o resale)`);
+  }
+  const count = BigInt(quantity);
+  const unitPrice = BigInt(price);
+  if (count <= 0n) throw new Error("La cantidad debe ser mayor a 0");
+  if (unitPrice <= 0n) throw new Error("El precio debe ser mayor a 0");
+
+  const tokenConfig = resolveTokenConfig(config, tokenId);
+  const rows = new Map();
+  const gross = unitPrice * count;
+  let royalty = null;
+  let dust = 0n;
+
+  if (kind === "mint") {
+    dust = distribute(rows, gross, tokenConfig.mintSplits, tokenConfig, {
+      cascade,
+      kind,
+    });
+  } else {
+    const fee = royaltyFee ?? config.royaltyFee;
+    if (fee === undefined || fee < 0 || fee > 10000) {
+      throw new Error("Indica un royalty de reventa entre 0 y 10000");
+    }
+    if (tokenConfig.resaleRoyalties.length === 0) {
+      throw new Error(
+        "No hay royalties de reventa configurados para el token ni para la colección: el contrato revierte con NoShares"
+      );
+    }
+    const perSale = (unitPrice * BigInt(fee)) / 10000n;
+    royalty = perSale * count;
+
+    // Cada reventa es un pago independiente: el polvo se acumula por venta
+    if (perSale > 0n) {
+      dust = distribute(
+        rows,
+        perSale,
+        tokenConfig.resaleRoyalties,
+        tokenConfig,
+        { cascade: true, kind, times: count }
+      );
+    }
+    addRow(rows, ROLES.seller, null, gross - royalty);
+  }
+
+  const list = [...rows.values()];
+  return {
+    kind,
+    tokenId: BigInt(tokenId),
+    quantity: count,
+    price: unitPrice,
+    gross,
+    royalty,
+    cascade: kind === "resale" || cascade,
+    levels: { mint: tokenConfig.mintLevel, resale: tokenConfig.resaleLevel },
+    sources: tokenConfig.sources,
+    cascadePercentage: tokenConfig.cascadePercentage,
+    lineage: tokenConfig.lineage && {
+      percentage: tokenConfig.lineage.percentage,
+      sources: tokenConfig.lineage.sources,
+    },
+    rows: list,
+    distributed: list.reduce((total, row) => total + row.amount, 0n),
+    dust,
+  };
+}
+
+function formatPercentage(percentage) {
+  return percentage === null ? "" : `${percentage / 100}%`;
+}
+
+function breakdownRows(result) {
+  return [
+    ...result.rows,
+    { role: ROLES.dust, account: null, percentage: null, amount: result.dust },
+  ];
+}
+
+/**
+ * Tabla de texto con el desglose por destinatario
+ * @param {Object} result - Resultado de simulatePayout
+ * @param {Object} [asset] - { symbol, decimals } (default: ETH, 18)
+ * @returns {string}
+ */
+function formatPayoutTable(result, { symbol = "ETH", decimals = 18 } = {}) {
+  const lines = breakdownRows(result).map((row) => [
+    row.role,
+    row.account || "-",
+    formatPercentage(row.percentage),
+    `${ethers.formatUnits(row.amount, decimals)} ${symbol}`,
+  ]);
+  const header = ["Rol", "Cuenta", "%", "Monto"];
+  const widths = header.map((title, i) =>
+    Math.max(title.length, ...lines.map((line) => line[i].length))
+  );
+  const render = (cells) =>
+    cells
+      .map((cell, i) => cell.padEnd(widths[i]))
+      .join("  ")
+      .trimEnd();
+
+  return [
+    render(header),
+    render(widths.map((width) => "-".repeat(width))),
+    ...lines.map(render),
+  ].join("\n");
+}
+
+/**
+ * Desglose por destinatario en CSV (montos en unidades y en wei/unidades base)
+ * @param {Object} result - Resultado de simulatePayout
+ * @param {Object} [asset] - { decimals } (default: 18)
+ * @returns {string}
+ */
+function toPayoutCsv(result, { decimals = 18 } = {}) {
+  const lines = breakdownRows(result).map((row) =>
+    [
+      row.role,
+      row.account || "",
+      row.percentage === null ? "" : row.percentage,
+      ethers.formatUnits(row.amount, decimals),
+      row.amount.toString(),
+    ].join(",")
+  );
+  return (
+    ["role,account,percentage,amount,amount_raw", ...lines].join("\n") + "\n"
+  );
+}
+
+module.exports = {
+  ROLES,
+  formatPayoutTable,
+  normalizePayoutConfig,
+  readPayoutConfig,
+  resolveTokenConfig,
+  simulatePayout,
+  toPayoutCsv,
+};
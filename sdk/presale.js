@@ -0,0 +1,290 @@
+/**
+ * Preventas de MusicCollectionUpgradeable: allowlists Merkle y vouchers EIP-712
+ *
+ * El árbol usa el mismo formato que StandardMerkleTree de OpenZeppelin (hojas
+ * con doble keccak256 del abi.encode y pares ordenados), así que el root y
+ * las pruebas se verifican con `MerkleProof` en el contrato. Los vouchers se
+ * firman con cualquier signer de ethers v6 (clave local o wallet).
+ */
+const { ethers } = require("ethers");
+
+/**
+ * Tipos de cada hoja: (to, tokenId, maxAmount, pricePerToken, paymentToken)
+ */
+const ALLOWLIST_LEAF_TYPES = [
+  "address",
+  "uint256",
+  "uint256",
+  "uint256",
+  "address",
+];
+
+/**
+ * Columnas del CSV de allowlist. `price` va en unidades mínimas (wei o las
+ * del ERC20) y `paymentToken` vacío significa ETH
+ */
+const ALLOWLIST_CSV_COLUMNS = [
+  "address",
+  "tokenId",
+  "maxAmount",
+  "price",
+  "paymentToken",
+];
+
+const MINT_VOUCHER_TYPES = {
+  MintVoucher: [
+    { name: "to", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "maxAmount", type: "uint256" },
+    { name: "pricePerToken", type: "uint256" },
+    { name: "paymentToken", type: "address" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+function isUint(value) {
+  return /^\d+$/.test(String(value));
+}
+
+/**
+ * Convierte un CSV de allowlist (con encabezado) a entradas sin validar
+ * @param {string} text - Contenido del CSV
+ * @returns {Array<Object>} - [{ to, tokenId, maxAmount, pricePerToken, paymentToken }]
+ */
+function parseAllowlistCsv(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+  if (lines.length === 0) return [];
+
+  const header = lines[0].split(",").map((cell) => cell.trim());
+  const unknown = header.filter(
+    (column) => !ALLOWLIST_CSV_COLUMNS.includes(column)
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `Columnas desconocidas: ${unknown.join(", ")} (válidas: ${ALLOWLIST_CSV_COLUMNS.join(", ")})`
+    );
+  }
+
+  return lines.slice(1).map((line) => {
+    const cells = line.split(",").map((cell) => cell.trim());
+    const row = Object.fromEntries(
+      header.map((column, i) => [column, cells[i] || undefined])
+    );
+    return {
+      to: row.address,
+      tokenId: row.tokenId,
+      maxAmount: row.maxAmount,
+      pricePerToken: row.price || "0",
+      paymentToken: row.paymentToken,
+    };
+  });
+}
+
+/**
+ * Valida las entradas de una allowlist con las reglas del contrato
+ * @param {Array<Object>} entries - Entradas (ej. de parseAllowlistCsv)
+ * @returns {Array<Object>} - Entradas con montos en bigint y direcciones checksum
+ * @throws {Error} - Con todos los problemas encontrados
+ */
+function normalizeAllowlist(entries) {
+  const errors = [];
+  const seen = new Set();
+
+  const normalized = (entries || []).map((entry, i) => {
+    const label = `[${i}]`;
+    let valid = true;
+    if (!ethers.isAddress(entry.to) || entry.to === ethers.ZeroAddress) {
+      errors.push(`${label}.to: dirección inválida: ${entry.to}`);
+      valid = false;
+    }
+    const paymentToken = entry.paymentToken || ethers.ZeroAddress;
+    if (!ethers.isAddress(paymentToken)) {
+      errors.push(`${label}.paymentToken: dirección inválida: ${paymentToken}`);
+      valid = false;
+    }
+    for (const field of ["tokenId", "maxAmount", "pricePerToken"]) {
+      if (!isUint(entry[field])) {
+        errors.push(`${label}.${field}: debe ser un entero: ${entry[field]}`);
+        valid = false;
+      }
+    }
+    if (valid && BigInt(entry.maxAmount) === 0n) {
+      errors.push(`${label}.maxAmount: debe ser mayor a 0`);
+      valid = false;
+    }
+    if (!valid) return null;
+
+    const result = {
+      to: ethers.getAddress(entry.to),
+      tokenId: BigInt(entry.tokenId),
+      maxAmount: BigInt(entry.maxAmount),
+      pricePerToken: BigInt(entry.pricePerToken),
+      paymentToken: ethers.getAddress(paymentToken),
+    };
+    const key = `${result.to}:${result.tokenId}`;
+    if (seen.has(key)) {
+      errors.push(
+        `${label}: ${result.to} repetido para el token ${result.tokenId}`
+      );
+    }
+    seen.add(key);
+    return result;
+  });
+
+  if (normalized.length === 0) {
+    errors.push("la allowlist no tiene entradas");
+  }
+  if (errors.length > 0) {
+    throw new Error(`Allowlist inválida:\n  - ${errors.join("\n  - ")}`);
+  }
+  return normalized;
+}
+
+/**
+ * Hoja del árbol para una entrada (igual que `allowlistMint` en el contrato)
+ * @param {Object} entry - { to, tokenId, maxAmount, pricePerToken, paymentToken }
+ * @returns {string} - Hash de la hoja
+ */
+function hashAllowlistLeaf(entry) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+    ALLOWLIST_LEAF_TYPES,
+    [
+      entry.to,
+      entry.tokenId,
+      entry.maxAmount,
+      entry.pricePerToken,
+      entry.paymentToken || ethers.ZeroAddress,
+    ]
+  );
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+function hashPair(a, b) {
+  const [left, right] = BigInt(a) < BigInt(b) ? [a, b] : [b, a];
+  return ethers.keccak256(ethers.concat([left, right]));
+}
+
+/**
+ * Construye el árbol Merkle y la prueba de cada entrada
+ * @param {Array<Object>} entries - Entradas sin validar (ver normalizeAllowlist)
+ * @returns {Object} - { root, entries: [{ ...entry, leaf, proof }] }
+ */
+function buildAllowlist(entries) {
+  const normalized = normalizeAllowlist(entries).map((entry) => ({
+    ...entry,
+    leaf: hashAllowlistLeaf(entry),
+  }));
+
+  // Árbol completo en un array: hojas ordenadas al final, raíz en la posición 0
+  const leaves = normalized
+    .map((entry) => entry.leaf)
+    .sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+  const tree = new Array(2 * leaves.length - 1);
+  leaves.forEach((leaf, i) => {
+    tree[tree.length - 1 - i] = leaf;
+  });
+  for (let i = tree.length - 1 - leaves.length; i >= 0; i--) {
+    tree[i] = hashPair(tree[2 * i + 1], tree[2 * i + 2]);
+  }
+
+  return {
+    root: tree[0],
+    entries: normalized.map((entry) => {
+      const proof = [];
+      let index = tree.length - 1 - leaves.indexOf(entry.leaf);
+      while (index > 0) {
+        proof.push(tree[index % 2 === 1 ? index + 1 : index - 1]);
+        index = Math.floor((index - 1) / 2);
+      }
+      return { ...entry, proof };
+    }),
+  };
+}
+
+/**
+ * Verifica una prueba contra un root, como `MerkleProof.verify`
+ * @param {Object} params - { root, entry, proof }
+ * @returns {boolean}
+ */
+function verifyAllowlistProof({ root, entry, proof }) {
+  const computed = proof.reduce(
+    (hash, sibling) => hashPair(hash, sibling),
+    hashAllowlistLeaf(entry)
+  );
+  return computed === root;
+}
+
+/**
+ * Dominio EIP-712 de los vouchers de una colección
+ * @param {Object} params - { collection, chainId }
+ */
+function getVoucherDomain({ collection, chainId }) {
+  return {
+    name: "MusicCollection",
+    version: "1",
+    chainId: BigInt(chainId),
+    verifyingContract: ethers.getAddress(collection),
+  };
+}
+
+function normalizeVoucher(voucher) {
+  return {
+    to: ethers.getAddress(voucher.to),
+    tokenId: BigInt(voucher.tokenId),
+    maxAmount: BigInt(voucher.maxAmount),
+    pricePerToken: BigInt(voucher.pricePerToken || 0),
+    paymentToken: ethers.getAddress(voucher.paymentToken || ethers.ZeroAddress),
+    deadline: BigInt(voucher.deadline),
+  };
+}
+
+/**
+ * Firma un voucher de preventa
+ * @param {Object} params
+ * @param {Object} params.signer - Signer de ethers v6 (el `voucherSigner` de la colección)
+ * @param {string} params.collection - Dirección de la colección
+ * @param {number|bigint} params.chainId - Chain ID donde se usará
+ * @param {Object} params.voucher - { to, tokenId, maxAmount, pricePerToken,
+ *   paymentToken, deadline }
+ * @returns {Promise<Object>} - { voucher, signature }
+ */
+async function signMintVoucher({ signer, collection, chainId, voucher }) {
+  const normalized = normalizeVoucher(voucher);
+  const signature = await signer.signTypedData(
+    getVoucherDomain({ collection, chainId }),
+    MINT_VOUCHER_TYPES,
+    normalized
+  );
+  return { voucher: normalized, signature };
+}
+
+/**
+ * Recupera la dirección que firmó un voucher
+ * @param {Object} params - { collection, chainId, voucher, signature }
+ * @returns {string} - Dirección del firmante
+ */
+function recoverVoucherSigner({ collection, chainId, voucher, signature }) {
+  return ethers.verifyTypedData(
+    getVoucherDomain({ collection, chainId }),
+    MINT_VOUCHER_TYPES,
+    normalizeVoucher(voucher),
+    signature
+  );
+}
+
+module.exports = {
+  ALLOWLIST_CSV_COLUMNS,
+  ALLOWLIST_LEAF_TYPES,
+  MINT_VOUCHER_TYPES,
+  buildAllowlist,
+  getVoucherDomain,
+  hashAllowlistLeaf,
+  normalizeAllowlist,
+  parseAllowlistCsv,
+  recoverVoucherSigner,
+  signMintVoucher,
+  verifyAllowlistProof,
+};
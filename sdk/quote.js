@@ -0,0 +1,192 @@
+/**
+ * Cotización de mints de MusicCollectionUpgradeable
+ *
+ * Lee de la cadena el precio vigente (`mintPrice` para ETH o
+ * `acceptedTokens` para ERC20), la ventana de mint y el suministro restante,
+ * y arma las transacciones listas para enviar, incluido el `approve` del
+ * ERC20 cuando el allowance no alcanza.
+ */
+const { ethers } = require("ethers");
+const { ERC20_ABI, getAbi } = require("./abis");
+
+const WINDOW_STATUS = {
+  open: "abierto",
+  notStarted: "no comenzó",
+  ended: "terminó",
+};
+
+/**
+ * Lee el precio de ETH. Las colecciones anteriores a 1.1.0 no lo tienen
+ */
+async function readMintPrice(contract) {
+  try {
+    return await contract.mintPrice();
+  } catch (error) {
+    throw new Error(
+      `La colección ${contract.target} no expone mintPrice(): actualízala a la versión 1.1.0 para cotizar mints`,
+      { cause: error }
+    );
+  }
+}
+
+/**
+ * Cotiza un mint y arma sus transacciones
+ * @param {Object} params
+ * @param {Object} params.runner - Signer o provider de ethers v6
+ * @param {string} params.collection - Dirección del proxy de la colección
+ * @param {number|bigint} params.tokenId - ID del token
+ * @param {number|bigint} [params.amount] - Cantidad a mintear
+ * @param {string} [params.paymentToken] - Token ERC20 (omitido = ETH nativo)
+ * @param {string} [params.buyer] - Quien paga (default: dirección del signer)
+ * @param {string} [params.to] - Receptor de los tokens (default: buyer)
+ * @param {string} [params.tokenMetadata] - URI del token (solo primer mint)
+ * @returns {Promise<Object>} - { price, totalCost, value, allowance, window,
+ *   supply, problems, mintable, transactions }
+ */
+async function quoteMint({
+  runner,
+  collection,
+  tokenId,
+  amount = 1n,
+  paymentToken,
+  buyer,
+  to,
+  tokenMetadata = "",
+}) {
+  amount = BigInt(amount);
+  tokenId = BigInt(tokenId);
+  if (amount === 0n) {
+    throw new Error("La cantidad a mintear debe ser mayor a 0");
+  }
+
+  const contract = new ethers.Contract(
+    collection,
+    getAbi("MusicCollectionUpgradeable"),
+    runner
+  );
+  const provider = runner.provider || runner;
+  if (!buyer && typeof runner.getAddress === "function") {
+    buyer = await runner.getAddress();
+  }
+  to = to || buyer;
+  if (!to) {
+    throw new Error("Indica buyer o to: el runner no tiene dirección");
+  }
+
+  const isERC20 = Boolean(paymentToken) && paymentToken !== ethers.ZeroAddress;
+  const [price, mintStartDate, mintEndDate, max, minted, block] =
+    await Promise.all([
+      isERC20 ? contract.acceptedTokens(paymentToken) : readMintPrice(contract),
+      contract.mintStartDate(),
+      contract.mintEndDate(),
+      contract.maxSupply(tokenId),
+      contract["totalSupply(uint256)"](tokenId),
+      provider.getBlock("latest"),
+    ]);
+
+  const problems = [];
+  const totalCost = price * amount;
+  const now = BigInt(block.timestamp);
+
+  let status = "open";
+  if (now < mintStartDate) status = "notStarted";
+  else if (now > mintEndDate) status = "ended";
+  if (status !== "open") {
+    problems.push(`El período de mint ${WINDOW_STATUS[status]}`);
+  }
+
+  // maxSupply 0 significa sin límite
+  const remaining = max === 0n ? null : max > minted ? max - minted : 0n;
+  if (remaining !== null && amount > remaining) {
+    problems.push(
+      `La cantidad (${amount}) supera el suministro restante (${remaining})`
+    );
+  }
+
+  let allowance = null;
+  const transactions = [];
+  if (isERC20) {
+    if (price === 0n) {
+      problems.push(`El token ${paymentToken} no está aceptado como pago`);
+    }
+    const token = new ethers.Contract(paymentToken, ERC20_ABI, runner);
+    const [current, balance] = buyer
+      ? await Promise.all([
+          token.allowance(buyer, collection),
+          token.balanceOf(buyer),
+        ])
+      : [0n, null];
+    const missing = current >= totalCost ? 0n : totalCost - current;
+    allowance = { spender: collection, required: totalCost, current, missing };
+
+    if (balance !== null && balance < totalCost) {
+      problems.push(
+        `Balance ERC20 insuficiente: se necesitan ${totalCost}, hay ${balance}`
+      );
+    }
+    if (missing > 0n) {
+      transactions.push({
+        to: paymentToken,
+        data: token.interface.encodeFunctionData("approve", [
+          collection,
+          totalCost,
+        ]),
+        value: 0n,
+        description: `Aprobar ${totalCost} del token ${paymentToken} a la colección`,
+      });
+    }
+    transactions.push({
+      to: collection,
+      data: contract.interface.encodeFunctionData("mintWithERC20", [
+        to,
+        tokenId,
+        amount,
+        price,
+        paymentToken,
+        tokenMetadata,
+      ]),
+      value: 0n,
+      description: `Mintear ${amount} del token ${tokenId} pagando con ${paymentToken}`,
+    });
+  } else {
+    transactions.push({
+      to: collection,
+      data: contract.interface.encodeFunctionData("mint", [
+        to,
+        tokenId,
+        amount,
+        price,
+        tokenMetadata,
+      ]),
+      value: totalCost,
+      description: `Mintear ${amount} del token ${tokenId} pagando ${ethers.formatEther(totalCost)} ETH`,
+    });
+  }
+
+  return {
+    collection,
+    tokenId,
+    amount,
+    paymentToken: isERC20 ? paymentToken : null,
+    price,
+    totalCost,
+    value: isERC20 ? 0n : totalCost,
+    allowance,
+    window: {
+      start: mintStartDate,
+      end: mintEndDate,
+      now,
+      open: status === "open",
+      status,
+    },
+    supply: { minted, max, remaining },
+    problems,
+    mintable: problems.length === 0,
+    transactions,
+  };
+}
+
+module.exports = {
+  WINDOW_STATUS,
+  quoteMint,
+};
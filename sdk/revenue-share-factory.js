@@ -0,0 +1,113 @@
+/**
+ * Cliente para RevenueShareFactoryUpgradeable
+ */
+const { ethers } = require("ethers");
+const { getAbi } = require("./abis");
+const { parseEvents, sendTransaction } = require("./utils");
+
+/**
+ * Crea un cliente para el factory de revenue shares
+ * @param {Object} params
+ * @param {string} params.address - Dirección del proxy del factory
+ * @param {Object} params.runner - Signer o provider de ethers
+ * @returns {Object} - Cliente del factory
+ */
+function createRevenueShareFactoryClient({ address, runner }) {
+  const contract = new ethers.Contract(
+    address,
+    getAbi("RevenueShareFactoryUpgradeable"),
+    runner
+  );
+
+  /**
+   * Crea un RevenueShare para un artista y devuelve la dirección del proxy.
+   * El sender queda como manager inicial.
+   * @param {Object} params
+   * @param {string} params.artist - Owner del revenue share
+   * @param {string} params.name - Nombre del arreglo
+   * @param {string} params.description - Descripción del arreglo
+   * @param {boolean} [params.clone] - Crear un clon EIP-1167 (más barato, no upgradeable)
+   * @returns {Promise<Object>} - { revenueShare, managerId, hash, receipt }
+   */
+  async function createRevenueShare({
+    artist,
+    name,
+    description,
+    clone = false,
+  }) {
+    const { hash, receipt } = await sendTransaction(() =>
+      contract[clone ? "createRevenueShareClone" : "createRevenueShare"](
+        artist,
+        name,
+        description
+      )
+    );
+
+    const [event] = parseEvents(receipt, contract, "RevenueShareCreated");
+    return {
+      revenueShare: event.args.manager,
+      managerId: event.args.managerId,
+      hash,
+      receipt,
+    };
+  }
+
+  /**
+   * Actualiza la implementación usada para nuevos revenue shares (solo owner)
+   * @param {Object} params
+   * @param {string} params.implementation - Nueva implementación
+   */
+  function updateRevenueShareImplementation({ implementation }) {
+    return sendTransaction(() =>
+      contract.updateRevenueShareImplementation(implementation)
+    );
+  }
+
+  /**
+   * Devuelve los revenue shares creados para un artista
+   * @param {string} artist - Dirección del artista
+   * @returns {Promise<Array>} - [{ managerAddress, name, description, createdAt }]
+   */
+  async function getArtistManagers(artist) {
+    const managers = await contract.getArtistManagers(artist);
+    return managers.map((info) => ({
+      managerAddress: info.managerAddress,
+      name: info.name,
+      description: info.description,
+      createdAt: info.createdAt,
+    }));
+  }
+
+  /**
+   * Devuelve todos los revenue shares creados por el factory
+   * @returns {Promise<string[]>}
+   */
+  async function getAllManagers() {
+    const count = await contract.getTotalManagersCreated();
+    const managers = [];
+    for (let i = 0n; i < count; i++) {
+      managers.push(await contract.getManagerByGlobalIndex(i));
+    }
+    return managers;
+  }
+
+  return {
+    address,
+    contract,
+    createRevenueShare,
+    updateRevenueShareImplementation,
+    getArtistManagers,
+    getAllManagers,
+    getArtistManagerCount: (artist) => contract.getArtistManagerCount(artist),
+    getTotalManagersCreated: () => contract.getTotalManagersCreated(),
+    getManagerByGlobalIndex: (index) => contract.getManagerByGlobalIndex(index),
+    isManagerCreatedByFactory: (manager) =>
+      contract.isManagerCreatedByFactory(manager),
+    getRevenueShareImplementation: () => contract.revenueShareImplementation(),
+    version: () => contract.version(),
+  };
+}
+
+module.exports = {
+  createRevenueShareFactoryClient,
+};
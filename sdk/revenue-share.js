@@ -0,0 +1,195 @@
+/**
+ * Cliente para RevenueShareUpgradeable
+ */
+const { ethers } = require("ethers");
+const { getAbi } = require("./abis");
+const { validateLineageSources } = require("./lineage");
+const { formatShares, sendTransaction, validateShares } = require("./utils");
+
+/**
+ * @typedef {Object} Share
+ * @property {string} account - Receptor del split
+ * @property {number} percentage - Porcentaje en base 10000 (10000 = 100%)
+ */
+
+/**
+ * Crea un cliente para un contrato RevenueShare
+ * @param {Object} params
+ * @param {string} params.address - Dirección del proxy del revenue share
+ * @param {Object} params.runner - Signer o provider de ethers
+ * @returns {Object} - Cliente del revenue share
+ */
+function createRevenueShareClient({ address, runner }) {
+  const contract = new ethers.Contract(
+    address,
+    getAbi("RevenueShareUpgradeable"),
+    runner
+  );
+
+  /**
+   * Devuelve la configuración general del revenue share
+   * @returns {Promise<Object>}
+   */
+  async function getInfo() {
+    const [owner, name, description, version] = await Promise.all([
+      contract.owner(),
+      contract.name(),
+      contract.description(),
+      contract.version(),
+    ]);
+    return { address, owner, name, description, version };
+  }
+
+  return {
+    address,
+    contract,
+
+    // Roles
+    addManager: ({ manager }) =>
+      sendTransaction(() => contract.addManager(manager)),
+    removeManager: ({ manager }) =>
+      sendTransaction(() => contract.removeManager(manager)),
+    isManager: (account) => contract.isManager(account),
+
+    // Configuración de splits (se validan antes de enviar)
+    setMintSplits: ({ collection, tokenId, shares }) =>
+      sendTransaction(() =>
+        contract.setMintSplits(collection, tokenId, validateShares(shares))
+      ),
+    setResaleRoyalties: ({ collection, tokenId, shares }) =>
+      sendTransaction(() =>
+        contract.setResaleRoyalties(collection, tokenId, validateShares(shares))
+      ),
+    setCollectionMintSplits: ({ collection, shares }) =>
+      sendTransaction(() =>
+        contract.setCollectionMintSplits(collection, validateShares(shares))
+      ),
+    setCollectionResaleRoyalties: ({ collection, shares }) =>
+      sendTransaction(() =>
+        contract.setCollectionResaleRoyalties(
+          collection,
+          validateShares(shares)
+        )
+      ),
+    setInheritance: ({ tokenId, sources }) =>
+      sendTransaction(() => contract.setInheritance(tokenId, sources)),
+    setCascadePercentage: ({ tokenId, percentage }) =>
+      sendTransaction(() => contract.setCascadePercentage(tokenId, percentage)),
+    setLineage: ({ collection, tokenId, sources, percentage }) =>
+      sendTransaction(() =>
+        contract.setLineage(
+          collection,
+          tokenId,
+          validateLineageSources(sources),
+          percentage
+        )
+      ),
+
+    // Distribución de pagos
+    distributeMintPayment: ({ collection, tokenId, value }) =>
+      sendTransaction(() =>
+        contract.distributeMintPayment(collection, tokenId, { value })
+      ),
+    distributeMintPaymentERC20: ({ collection, tokenId, token, amount }) =>
+      sendTransaction(() =>
+        contract.distributeMintPaymentERC20(collection, tokenId, token, amount)
+      ),
+    distributeCascadePayment: ({ collection, tokenId, value }) =>
+      sendTransaction(() =>
+        contract.distributeCascadePayment(collection, tokenId, { value })
+      ),
+    distributeCascadePaymentERC20: ({ collection, tokenId, token, amount }) =>
+      sendTransaction(() =>
+        contract.distributeCascadePaymentERC20(
+          collection,
+          tokenId,
+          token,
+          amount
+        )
+      ),
+
+    // Royalties de reventa (receptor ERC2981)
+    distributeResalePayment: ({ collection, tokenId, value }) =>
+      sendTransaction(() =>
+        contract.distributeResalePayment(collection, tokenId, { value })
+      ),
+    distributeResalePaymentERC20: ({ collection, tokenId, token, amount }) =>
+      sendTransaction(() =>
+        contract.distributeResalePaymentERC20(
+          collection,
+          tokenId,
+          token,
+          amount
+        )
+      ),
+    settleResaleRoyalties: ({
+      collection,
+      tokenId,
+      token = ethers.ZeroAddress,
+      amount,
+    }) =>
+      sendTransaction(() =>
+        contract.settleResaleRoyalties(collection, tokenId, token, amount)
+      ),
+
+    // Escrow: saldos reclamables (token = address(0) para ETH)
+    setEscrowMode: ({ enabled }) =>
+      sendTransaction(() => contract.setEscrowMode(enabled)),
+    claim: ({ token = ethers.ZeroAddress } = {}) =>
+      sendTransaction(() => contract.claim(token)),
+    claimFor: ({ account, token = ethers.ZeroAddress }) =>
+      sendTransaction(() => contract.claimFor(account, token)),
+    claimTo: ({ recipient, token = ethers.ZeroAddress }) =>
+      sendTransaction(() => contract.claimTo(token, recipient)),
+    escrowMode: () => contract.escrowMode(),
+    claimable: (account, token = ethers.ZeroAddress) =>
+      contract.claimable(account, token),
+    totalClaimable: (token = ethers.ZeroAddress) =>
+      contract.totalClaimable(token),
+
+    // Streaming: liquidaciones por época firmadas por el oráculo
+    setStreamingOracle: ({ oracle }) =>
+      sendTransaction(() => contract.setStreamingOracle(oracle)),
+    settleStreamingEpoch: ({ settlement, signature, value = 0n }) =>
+      sendTransaction(() =>
+        contract.settleStreamingEpoch(settlement, signature, { value })
+      ),
+    getStreamingOracle: () => contract.streamingOracle(),
+    isEpochSettled: (epoch) => contract.settledEpochs(epoch),
+
+    // Lecturas
+    getInfo,
+    getMintSplits: async ({ collection, tokenId }) =>
+      formatShares(await contract.getMintSplits(collection, tokenId)),
+    getResaleInfo: async ({ collection, tokenId }) =>
+      formatShares(await contract.getResaleInfo(collection, tokenId)),
+    getCollectionMintSplits: async ({ collection }) =>
+      formatShares(await contract.getCollectionMintSplits(collection)),
+    getCollectionResaleRoyalties: async ({ collection }) =>
+      formatShares(await contract.getCollectionResaleRoyalties(collection)),
+    getInheritedSources: (tokenId) => contract.getInheritedSources(tokenId),
+    getCascadePercentage: async (tokenId) =>
+      Number(await contract.getCascadePercentage(tokenId)),
+    getLineage: async ({ collection, tokenId }) => {
+      const [sources, percentage] = await contract.getLineage(
+        collection,
+        tokenId
+      );
+      return {
+        sources: sources.map((source) => ({
+          collection: source.collection,
+          tokenId: source.tokenId,
+          weight: Number(source.weight),
+        })),
+        percentage: Number(percentage),
+      };
+    },
+    getSourceRevenueShare: (collection) =>
+      contract.getSourceRevenueShare(collection),
+    version: () => contract.version(),
+  };
+}
+
+module.exports = {
+  createRevenueShareClient,
+};
@@ -0,0 +1,102 @@
+/**
+ * Implementación de referencia del reparto de RevenueShareUpgradeable
+ *
+ * Reproduce la aritmética entera del contrato (`amount * percentage / 10000`
+ * y `cascadeAmount / sources.length`) para poder predecir lo que recibe cada
+ * destinatario y cuánto queda retenido en el contrato por redondeo ("dust").
+ * Sirve igual para ETH y ERC20: la lógica de ambas variantes es la misma.
+ */
+
+const BASIS_POINTS = 10000n;
+
+function toAmount(value) {
+  const amount = BigInt(value);
+  if (amount < 0n) {
+    throw new Error(`Monto inválido: ${value}`);
+  }
+  return amount;
+}
+
+function splitByShares(amount, shares) {
+  return shares.map(({ account, percentage }) => ({
+    account,
+    amount: (amount * BigInt(percentage)) / BASIS_POINTS,
+  }));
+}
+
+function sumAmounts(payouts) {
+  return payouts.reduce((total, payout) => total + payout.amount, 0n);
+}
+
+/**
+ * Calcula el reparto de `distributeMintPayment` / `distributeMintPaymentERC20`
+ * @param {bigint|number|string} amount - Monto pagado (wei o unidades del token)
+ * @param {Array<{account: string, percentage: number}>} shares - Splits efectivos
+ * @returns {Object} - { payouts, distributed, dust }
+ */
+function computeMintSplit(amount, shares) {
+  const total = toAmount(amount);
+  const payouts = splitByShares(total, shares);
+  const distributed = sumAmounts(payouts);
+
+  return { payouts, distributed, dust: total - distributed };
+}
+
+/**
+ * Calcula el reparto de `distributeCascadePayment` / `distributeCascadePaymentERC20`
+ *
+ * Las fuentes solo cobran si hay fuentes y un porcentaje de cascada mayor a
+ * 0; el resto se reparte según los splits. Sin splits, el resto queda
+ * completo en el contrato.
+ * @param {bigint|number|string} amount - Monto pagado
+ * @param {Object} params
+ * @param {Array<string>} [params.sources] - Fuentes heredadas del token
+ * @param {number} [params.cascadePercentage] - Porcentaje de cascada (base 10000)
+ * @param {Array<{account: string, percentage: number}>} [params.shares] - Splits efectivos
+ * @returns {Object} - { sourcePayouts, payouts, cascadeAmount, distributed, dust }
+ */
+function computeCascadeSplit(
+  amount,
+  { sources = [], cascadePercentage = 0, shares = [] }
+) {
+  const total = toAmount(amount);
+  let cascadeAmount = 0n;
+  let sourcePayouts = [];
+
+  if (sources.length > 0 && BigInt(cascadePercentage) > 0n) {
+    cascadeAmount = (total * BigInt(cascadePercentage)) / BASIS_POINTS;
+    const perSource = cascadeAmount / BigInt(sources.length);
+    sourcePayouts = sources.map((account) => ({ account, amount: perSource }));
+  }
+
+  const payouts = splitByShares(total - cascadeAmount, shares);
+  const distributed = sumAmounts(sourcePayouts) + sumAmounts(payouts);
+
+  return {
+    sourcePayouts,
+    payouts,
+    cascadeAmount,
+    distributed,
+    dust: total - distributed,
+  };
+}
+
+/**
+ * Suma los montos por cuenta (una cuenta puede aparecer en varios splits)
+ * @param {Array<{account: string, amount: bigint}>} payouts
+ * @returns {Map<string, bigint>} - Monto total por dirección
+ */
+function aggregatePayouts(payouts) {
+  const totals = new Map();
+  for (const { account, amount } of payouts) {
+    totals.set(account, (totals.get(account) || 0n) + amount);
+  }
+  return totals;
+}
+
+module.exports = {
+  BASIS_POINTS,
+  aggregatePayouts,
+  computeCascadeSplit,
+  computeMintSplit,
+};
@@ -0,0 +1,307 @@
+/**
+ * Ingresos de streaming: reportes de reproducciones y liquidaciones por época
+ *
+ * Un reporte indica cuántas veces se reprodujo cada token (colección y
+ * tokenId). Las reproducciones de un período se convierten a montos por
+ * token, repartiendo un pozo en proporción a las reproducciones o aplicando
+ * una tarifa por reproducción, y el resultado se firma como liquidación
+ * EIP-712 para `settleStreamingEpoch` de RevenueShareUpgradeable. Los montos
+ * van en unidades mínimas (wei o las del ERC20).
+ */
+const { ethers } = require("ethers");
+
+/**
+ * Columnas del CSV de reproducciones. `date` es opcional (timestamp unix o
+ * fecha ISO): las filas con fecha fuera del período se descartan
+ */
+const PLAY_REPORT_CSV_COLUMNS = ["collection", "tokenId", "plays", "date"];
+
+const STREAMING_SETTLEMENT_TYPES = {
+  StreamingSettlement: [
+    { name: "epoch", type: "uint256" },
+    { name: "periodStart", type: "uint256" },
+    { name: "periodEnd", type: "uint256" },
+    { name: "token", type: "address" },
+    { name: "total", type: "uint256" },
+    { name: "payouts", type: "StreamingPayout[]" },
+  ],
+  StreamingPayout: [
+    { name: "collection", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "plays", type: "uint256" },
+    { name: "amount", type: "uint256" },
+  ],
+};
+
+function isUint(value) {
+  return /^\d+$/.test(String(value));
+}
+
+function toSeconds(value) {
+  if (isUint(value)) return Number(value);
+  const millis = Date.parse(value);
+  return Number.isNaN(millis) ? NaN : Math.floor(millis / 1000);
+}
+
+/**
+ * Convierte un CSV de reproducciones (con encabezado) a filas sin validar
+ * @param {string} text - Contenido del CSV
+ * @returns {Array<Object>} - [{ collection, tokenId, plays, date }]
+ */
+function parsePlayReportCsv(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+  if (lines.length === 0) return [];
+
+  const header = lines[0].split(",").map((cell) => cell.trim());
+  const unknown = header.filter(
+    (column) => !PLAY_REPORT_CSV_COLUMNS.includes(column)
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `Columnas desconocidas: ${unknown.join(", ")} (válidas: ${PLAY_REPORT_CSV_COLUMNS.join(", ")})`
+    );
+  }
+
+  return lines.slice(1).map((line) => {
+    const cells = line.split(",").map((cell) => cell.trim());
+    return Object.fromEntries(
+      header.map((column, i) => [column, cells[i] || undefined])
+    );
+  });
+}
+
+/**
+ * Convierte un reporte JSON a filas sin validar. Acepta filas sueltas
+ * ([{ collection, tokenId, plays, date }]) o reportes por colección
+ * ({ collection, date, plays: { "<tokenId>": n } }), solos o en un array
+ * @param {Object|Array} report - JSON ya parseado
+ * @returns {Array<Object>} - [{ collection, tokenId, plays, date }]
+ */
+function parsePlayReportJson(report) {
+  return [].concat(report).flatMap((entry) => {
+    if (entry && entry.plays && typeof entry.plays === "object") {
+      return Object.entries(entry.plays).map(([tokenId, plays]) => ({
+        collection: entry.collection,
+        tokenId,
+        plays,
+        date: entry.date,
+      }));
+    }
+    return [entry];
+  });
+}
+
+/**
+ * Valida las filas y suma las reproducciones de cada token dentro del
+ * período [periodStart, periodEnd)
+ * @param {Array<Object>} rows - Filas de parsePlayReportCsv o parsePlayReportJson
+ * @param {Object} [period] - { periodStart, periodEnd } en segundos
+ * @returns {Array<Object>} - [{ collection, tokenId, plays }] con bigint,
+ *   ordenado por colección y tokenId
+ * @throws {Error} - Con todos los problemas encontrados
+ */
+function aggregatePlays(rows, { periodStart, periodEnd } = {}) {
+  const errors = [];
+  const totals = new Map();
+
+  rows.forEach((row, i) => {
+    const label = `[${i}]`;
+    if (!row || !ethers.isAddress(row.collection)) {
+      errors.push(
+        `${label}.collection: dirección inválida: ${row?.collection}`
+      );
+      return;
+    }
+    if (!isUint(row.tokenId)) {
+      errors.push(`${label}.tokenId: debe ser un entero: ${row.tokenId}`);
+      return;
+    }
+    if (!isUint(row.plays)) {
+      errors.push(`${label}.plays: debe ser un entero: ${row.plays}`);
+      return;
+    }
+    if (row.date !== undefined) {
+      const date = toSeconds(row.date);
+      if (Number.isNaN(date)) {
+        errors.push(`${label}.date: fecha inválida: ${row.date}`);
+        return;
+      }
+      if (
+        (periodStart !== undefined && date < Number(periodStart)) ||
+        (periodEnd !== undefined && date >= Number(periodEnd))
+      ) {
+        return;
+      }
+    }
+
+    const collection = ethers.getAddress(row.collection);
+    const key = `${collection}:${BigInt(row.tokenId)}`;
+    const entry = totals.get(key) || {
+      collection,
+      tokenId: BigInt(row.tokenId),
+      plays: 0n,
+    };
+    entry.plays += BigInt(row.plays);
+    totals.set(key, entry);
+  });
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Reporte de reproducciones inválido:\n  - ${errors.join("\n  - ")}`
+    );
+  }
+  return [...totals.values()]
+    .filter((entry) => entry.plays > 0n)
+    .sort((a, b) =>
+      a.collection === b.collection
+        ? Number(a.tokenId - b.tokenId)
+        : a.collection.toLowerCase() < b.collection.toLowerCase()
+          ? -1
+          : 1
+    );
+}
+
+/**
+ * Convierte las reproducciones de cada token a montos
+ *
+ * Con `pool` el pozo se reparte en proporción a las reproducciones y las
+ * unidades que sobran del redondeo van, de a una, a los tokens con mayor
+ * resto (el total siempre es el pozo). Con `ratePerPlay` cada token cobra
+ * reproducciones × tarifa. Los tokens que no llegan a una unidad se omiten.
+ * @param {Array<Object>} plays - Resultado de aggregatePlays
+ * @param {Object} params - { pool } o { ratePerPlay }, en unidades mínimas
+ * @returns {Object} - { total, payouts: [{ collection, tokenId, plays, amount }] }
+ */
+function computeStreamingPayouts(plays, { pool, ratePerPlay } = {}) {
+  if ((pool === undefined) === (ratePerPlay === undefined)) {
+    throw new Error("Indica el pozo del período o la tarifa por reproducción");
+  }
+
+  let payouts;
+  if (ratePerPlay !== undefined) {
+    payouts = plays.map((entry) => ({
+      ...entry,
+      amount: entry.plays * BigInt(ratePerPlay),
+    }));
+  } else {
+    const totalPlays = plays.reduce((sum, entry) => sum + entry.plays, 0n);
+    if (totalPlays === 0n) {
+      throw new Error("No hay reproducciones en el período");
+    }
+    payouts = plays.map((entry) => ({
+      ...entry,
+      amount: (BigInt(pool) * entry.plays) / totalPlays,
+      remainder: (BigInt(pool) * entry.plays) % totalPlays,
+    }));
+
+    let dust =
+      BigInt(pool) - payouts.reduce((sum, entry) => sum + entry.amount, 0n);
+    const byRemainder = [...payouts].sort((a, b) =>
+      a.remainder === b.remainder ? 0 : a.remainder > b.remainder ? -1 : 1
+    );
+    for (const entry of byRemainder) {
+      if (dust === 0n) break;
+      entry.amount += 1n;
+      dust -= 1n;
+    }
+    payouts = payouts.map(({ remainder, ...entry }) => entry);
+  }
+
+  payouts = payouts.filter((entry) => entry.amount > 0n);
+  return {
+    total: payouts.reduce((sum, entry) => sum + entry.amount, 0n),
+    payouts,
+  };
+}
+
+/**
+ * Dominio EIP-712 de las liquidaciones de un RevenueShare
+ * @param {Object} params - { revenueShare, chainId }
+ */
+function getStreamingDomain({ revenueShare, chainId }) {
+  return {
+    name: "RevenueShare",
+    version: "1",
+    chainId: BigInt(chainId),
+    verifyingContract: ethers.getAddress(revenueShare),
+  };
+}
+
+/**
+ * Normaliza una liquidación (montos en bigint, direcciones checksum)
+ * @param {Object} settlement - { epoch, periodStart, periodEnd, token, total, payouts }
+ */
+function normalizeSettlement(settlement) {
+  return {
+    epoch: BigInt(settlement.epoch),
+    periodStart: BigInt(settlement.periodStart),
+    periodEnd: BigInt(settlement.periodEnd),
+    token: ethers.getAddress(settlement.token || ethers.ZeroAddress),
+    total: BigInt(settlement.total),
+    payouts: settlement.payouts.map((payout) => ({
+      collection: ethers.getAddress(payout.collection),
+      tokenId: BigInt(payout.tokenId),
+      plays: BigInt(payout.plays),
+      amount: BigInt(payout.amount),
+    })),
+  };
+}
+
+/**
+ * Firma la liquidación de una época
+ * @param {Object} params
+ * @param {Object} params.signer - Signer de ethers v6 (el `streamingOracle` del RevenueShare)
+ * @param {string} params.revenueShare - Dirección del RevenueShare
+ * @param {number|bigint} params.chainId - Chain ID donde se liquidará
+ * @param {Object} params.settlement - { epoch, periodStart, periodEnd, token, total, payouts }
+ * @returns {Promise<Object>} - { settlement, signature }
+ */
+async function signStreamingSettlement({
+  signer,
+  revenueShare,
+  chainId,
+  settlement,
+}) {
+  const normalized = normalizeSettlement(settlement);
+  const signature = await signer.signTypedData(
+    getStreamingDomain({ revenueShare, chainId }),
+    STREAMING_SETTLEMENT_TYPES,
+    normalized
+  );
+  return { settlement: normalized, signature };
+}
+
+/**
+ * Recupera la dirección que firmó una liquidación
+ * @param {Object} params - { revenueShare, chainId, settlement, signature }
+ * @returns {string} - Dirección del firmante
+ */
+function recoverSettlementSigner({
+  revenueShare,
+  chainId,
+  settlement,
+  signature,
+}) {
+  return ethers.verifyTypedData(
+    getStreamingDomain({ revenueShare, chainId }),
+    STREAMING_SETTLEMENT_TYPES,
+    normalizeSettlement(settlement),
+    signature
+  );
+}
+
+module.exports = {
+  PLAY_REPORT_CSV_COLUMNS,
+  STREAMING_SETTLEMENT_TYPES,
+  aggregatePlays,
+  computeStreamingPayouts,
+  getStreamingDomain,
+  normalizeSettlement,
+  parsePlayReportCsv,
+  parsePlayReportJson,
+  recoverSettlementSigner,
+  signStreamingSettlement,
+};
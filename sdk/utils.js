@@ -0,0 +1,121 @@
+/**
+ * Utilidades compartidas por los clientes del SDK
+ */
+const { ethers } = require("ethers");
+const { ContractError, withDecodedErrors } = require("./errors");
+
+/**
+ * Envía una transacción, espera el receipt y decodifica errores de contrato
+ * @param {Function} send - Función que devuelve la transacción enviada
+ * @returns {Promise<Object>} - { hash, receipt }
+ */
+async function sendTransaction(send) {
+  return withDecodedErrors(async () => {
+    const tx = await send();
+    const receipt = await tx.wait();
+    return { hash: tx.hash, receipt };
+  });
+}
+
+/**
+ * Busca y parsea los eventos de un contrato dentro de un receipt
+ * @param {Object} receipt - Receipt de la transacción
+ * @param {Object} contract - Contrato de ethers que emitió los eventos
+ * @param {string} eventName - Nombre del evento
+ * @returns {Array} - Logs parseados
+ */
+function parseEvents(receipt, contract, eventName) {
+  const events = [];
+  for (const log of receipt.logs) {
+    let parsed;
+    try {
+      parsed = contract.interface.parseLog({
+        topics: log.topics,
+        data: log.data,
+      });
+    } catch (_) {
+      parsed = null;
+    }
+    if (parsed && parsed.name === eventName) {
+      events.push(parsed);
+    }
+  }
+  return events;
+}
+
+/**
+ * Convierte una fecha (Date, segundos o bigint) a timestamp unix en segundos
+ * @param {Date|number|bigint} value - Fecha a convertir
+ * @returns {bigint} - Timestamp en segundos
+ */
+function toTimestamp(value) {
+  if (value instanceof Date) {
+    return BigInt(Math.floor(value.getTime() / 1000));
+  }
+  return BigInt(value);
+}
+
+/**
+ * Valida splits antes de enviarlos, con las mismas reglas que RevenueShare
+ * @param {Array<{account: string, percentage: number}>} shares - Splits a validar
+ * @returns {Array<{account: string, percentage: number}>} - Splits normalizados
+ */
+function validateShares(shares) {
+  if (!Array.isArray(shares) || shares.length === 0) {
+    throw new ContractError({
+      errorName: "NoShares",
+      message: "No hay splits configurados",
+    });
+  }
+
+  let total = 0;
+  const normalized = shares.map(({ account, percentage }) => {
+    if (!ethers.isAddress(account) || account === ethers.ZeroAddress) {
+      throw new ContractError({
+        errorName: "InvalidAddress",
+        args: { account },
+        message: `Dirección inválida en splits: ${account}`,
+      });
+    }
+    if (!(Number(percentage) > 0)) {
+      throw new ContractError({
+        errorName: "ZeroPercentage",
+        args: { account },
+        message: `El split de ${account} debe tener un porcentaje mayor a 0`,
+      });
+    }
+    total += Number(percentage);
+    return {
+      account: ethers.getAddress(account),
+      percentage: Number(percentage),
+    };
+  });
+
+  if (total !== 10000) {
+    throw new ContractError({
+      errorName: "InvalidTotal",
+      args: { total },
+      message: `Los porcentajes deben sumar 10000 (100%), suman ${total}`,
+    });
+  }
+
+  return normalized;
+}
+
+/**
+ * Normaliza los structs Share devueltos por el contrato
+ */
+function formatShares(shares) {
+  return shares.map((share) => ({
+    account: share.account,
+    percentage: Number(share.percentage),
+  }));
+}
+
+module.exports = {
+  formatShares,
+  parseEvents,
+  sendTransaction,
+  toTimestamp,
+  validateShares,
+};
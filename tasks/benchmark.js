@@ -0,0 +1,34 @@
+/**
+ * Tasks para medir el gas de la plataforma
+ */
+const { task } = require("hardhat/config");
+const { parseUint, taskError, withTaskErrors } = require("./utils");
+
+task(
+  "gas:benchmark",
+  "Compara el gas de creación, mint y reparto entre contratos legacy, proxies y clones (red hardhat)"
+)
+  .addOptionalParam(
+    "splits",
+    "Cantidades de destinatarios a medir, separadas por coma",
+    "1,5,10,20"
+  )
+  .addOptionalParam("out", "JSON donde guardar el reporte")
+  .setAction(
+    withTaskErrors(async (args) => {
+      // Se carga en la acción: el script requiere el runtime de Hardhat
+      const { runGasBenchmark } = require("../scripts/gas-benchmark");
+
+      const splitSizes = args.splits.split(",").map((value) => {
+        const size = Number(parseUint("splits", value.trim(), { max: 100 }));
+        if (size === 0) throw taskError("--splits no admite 0 destinatarios");
+        return size;
+      });
+
+      try {
+        return await runGasBenchmark({ splitSizes, out: args.out });
+      } catch (error) {
+        throw taskError(error.message);
+      }
+    })
+  );
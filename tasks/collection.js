@@ -0,0 +1,478 @@
+/**
+ * Tasks para administrar colecciones musicales
+ */
+const { task } = require("hardhat/config");
+const { createCollectionClient, createMusicFactoryClient } = require("../sdk");
+const { readAllowlistFile } = require("../scripts/utils/voucher-service");
+const {
+  getSigner,
+  parseAddress,
+  parseDate,
+  parseEtherAmount,
+  parseUint,
+  printReceipt,
+  readMetadataFile,
+  resolveDeployment,
+  taskError,
+  withTaskErrors,
+} = require("./utils");
+
+async function getCollection(hre, address) {
+  const signer = await getSigner(hre);
+  return createCollectionClient({
+    address: parseAddress(hre, "collection", address),
+    runner: signer,
+  });
+}
+
+/**
+ * URI indicado directamente o el ipfs://<cid> de un JSON local validado
+ */
+function resolveMetadataUri({ uri, file, flag, kind }) {
+  if (uri && file) {
+    throw taskError(`Indica --${flag} o --metadata-file (solo uno)`);
+  }
+  if (!file) return uri;
+
+  const { uri: fileUri } = readMetadataFile(file, kind);
+  console.log(`📌 ${file} -> ${fileUri} (sube este mismo archivo a IPFS)`);
+  return fileUri;
+}
+
+task("collection:create", "Crea una colección con MusicNFTFactory")
+  .addParam("name", "Nombre de la colección")
+  .addParam("symbol", "Símbolo de la colección")
+  .addParam("start", "Inicio del mint (timestamp unix o fecha ISO)")
+  .addParam("end", "Fin del mint (timestamp unix o fecha ISO)")
+  .addParam(
+    "mintPrice",
+    "Precio por token del mint con ETH (ej. 0.05; 0 = gratuito)"
+  )
+  .addOptionalParam("baseUri", "URI base de los tokens", "")
+  .addOptionalParam("metadata", "Metadatos de la colección", "")
+  .addOptionalParam(
+    "metadataFile",
+    "JSON de metadatos de la colección: se valida y se usa su ipfs://<cid>"
+  )
+  .addOptionalParam("paymentToken", "Token de pago (default: ETH)")
+  .addOptionalParam(
+    "royaltyReceiver",
+    "Receptor de royalties (default: --revenue-share, si no el signer)"
+  )
+  .addOptionalParam("royaltyFee", "Royalty en base 10000 (1000 = 10%)", "0")
+  .addOptionalParam("revenueShare", "Contrato RevenueShare a usar")
+  .addOptionalParam("factory", "Dirección del MusicNFTFactory (override)")
+  .addFlag(
+    "clone",
+    "Crea un clon EIP-1167: más barato, pero la colección no es upgradeable"
+  )
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const signer = await getSigner(hre);
+      const { ZeroAddress } = hre.ethers;
+
+      // El factory solo deja crear colecciones al propio artista
+      const artist = signer.address;
+      const mintStartDate = parseDate("start", args.start);
+      const mintEndDate = parseDate("end", args.end);
+      if (mintStartDate >= mintEndDate) {
+        throw taskError("--start debe ser anterior a --end");
+      }
+      const mintPrice = parseEtherAmount(hre, "mint-price", args.mintPrice);
+      const collectionMetadata = resolveMetadataUri({
+        uri: args.metadata,
+        file: args.metadataFile,
+        flag: "metadata",
+        kind: "collection",
+      });
+
+      const deployment = await resolveDeployment(hre, {
+        musicFactory:
+          args.factory && parseAddress(hre, "factory", args.factory),
+      });
+      const factory = createMusicFactoryClient({
+        address: deployment.musicFactory,
+        runner: signer,
+      });
+
+      console.log(
+        `🎵 Creando colección "${args.name}" para ${artist}${args.clone ? " (clon)" : ""}...`
+      );
+      const result = await factory.createCollection({
+        name: args.name,
+        symbol: args.symbol,
+        baseURI: args.baseUri,
+        collectionMetadata,
+        mintStartDate,
+        mintEndDate,
+        mintPrice,
+        paymentToken: args.paymentToken
+          ? parseAddress(hre, "payment-token", args.paymentToken, {
+              allowZero: true,
+            })
+          : ZeroAddress,
+        royaltyReceiver:
+          args.royaltyReceiver &&
+          parseAddress(hre, "royalty-receiver", args.royaltyReceiver),
+        royaltyFee: parseUint("royalty-fee", args.royaltyFee, { max: 10000 }),
+        artist,
+        revenueShare: args.revenueShare
+          ? parseAddress(hre, "revenue-share", args.revenueShare)
+          : ZeroAddress,
+        clone: args.clone,
+      });
+
+      printReceipt(result);
+      console.log(`✅ Colección creada: ${result.collection}`);
+      return result.collection;
+    })
+  );
+
+task("collection:set-max-supply", "Configura el suministro máximo de un token")
+  .addParam("collection", "Dirección de la colección")
+  .addParam("tokenId", "ID del token")
+  .addParam("supply", "Suministro máximo (0 = sin límite)")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const collection = await getCollection(hre, args.collection);
+      const tokenId = parseUint("token-id", args.tokenId);
+      const supply = parseUint("supply", args.supply);
+
+      const minted = await collection.totalSupply(tokenId);
+      if (supply !== 0n && supply < minted) {
+        throw taskError(
+          `--supply (${supply}) es menor a lo ya minteado del token ${tokenId} (${minted})`
+        );
+      }
+
+      console.log(`📦 Max supply del token ${tokenId} -> ${supply}`);
+      printReceipt(await collection.setMaxSupply({ tokenId, supply }));
+    })
+  );
+
+task(
+  "collection:add-payment-token",
+  "Acepta un token ERC20 como pago con su precio"
+)
+  .addParam("collection", "Dirección de la colección")
+  .addParam("token", "Dirección del token ERC20")
+  .addParam("price", "Precio por token en unidades del ERC20 (ej. 5.5)")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const collection = await getCollection(hre, args.collection);
+      const token = parseAddress(hre, "token", args.token);
+
+      const erc20 = await hre.ethers.getContractAt(
+        ["function decimals() view returns (uint8)"],
+        token
+      );
+      const decimals = await erc20.decimals();
+
+      let price;
+      try {
+        price = hre.ethers.parseUnits(args.price, decimals);
+      } catch (_) {
+        throw taskError(`--price no es un monto válido: ${args.price}`);
+      }
+      if (price === 0n) {
+        throw taskError("--price debe ser mayor a 0");
+      }
+
+      console.log(`💰 Aceptando ${token} a ${args.price} por token`);
+      printReceipt(await collection.addPaymentToken({ token, price }));
+    })
+  );
+
+task(
+  "collection:set-mint-price",
+  "Configura el precio por token del mint con ETH"
+)
+  .addParam("collection", "Dirección de la colección")
+  .addParam("price", "Precio por token en ETH (ej. 0.05; 0 = gratuito)")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const collection = await getCollection(hre, args.collection);
+      const price = parseEtherAmount(hre, "price", args.price);
+
+      console.log(`💰 Precio del mint con ETH: ${args.price} ETH por token`);
+      printReceipt(await collection.setMintPrice({ price }));
+    })
+  );
+
+task(
+  "collection:set-royalty",
+  "Configura el royalty ERC2981 de reventa (por defecto lo cobra el RevenueShare)"
+)
+  .addParam("collection", "Dirección de la colección")
+  .addParam("fee", "Royalty en base 10000 (1000 = 10%)")
+  .addOptionalParam(
+    "receiver",
+    "Receptor de los royalties (default: el RevenueShare de la colección)"
+  )
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const collection = await getCollection(hre, args.collection);
+      const feeNumerator = parseUint("fee", args.fee, { max: 10000 });
+
+      let receiver;
+      if (args.receiver) {
+        receiver = parseAddress(hre, "receiver", args.receiver);
+      } else {
+        receiver = await collection.contract.revenueShare();
+        if (receiver === hre.ethers.ZeroAddress) {
+          throw taskError(
+            "La colección no tiene RevenueShare: indica --receiver"
+          );
+        }
+      }
+
+      console.log(
+        `👑 Royalty de reventa: ${Number(feeNumerator) / 100}% para ${receiver}`
+      );
+      printReceipt(await collection.setRoyaltyInfo({ receiver, feeNumerator }));
+    })
+  );
+
+task(
+  "collection:quote",
+  "Cotiza un mint: precio vigente, pago o allowance, ventana y suministro"
+)
+  .addParam("collection", "Dirección de la colección")
+  .addParam("tokenId", "ID del token")
+  .addOptionalParam("amount", "Cantidad a mintear", "1")
+  .addOptionalParam("token", "Token ERC20 de pago (default: ETH)")
+  .addOptionalParam("buyer", "Quien paga (default: signer)")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const collection = await getCollection(hre, args.collection);
+      const amount = parseUint("amount", args.amount);
+      if (amount === 0n) {
+        throw taskError("--amount debe ser mayor a 0");
+      }
+
+      const token = args.token && parseAddress(hre, "token", args.token);
+      let format = (value) => `${hre.ethers.formatEther(value)} ETH`;
+      if (token) {
+        const erc20 = await hre.ethers.getContractAt(
+          [
+            "function decimals() view returns (uint8)",
+            "function symbol() view returns (string)",
+          ],
+          token
+        );
+        const [decimals, symbol] = await Promise.all([
+          erc20.decimals(),
+          erc20.symbol(),
+        ]);
+        format = (value) =>
+          `${hre.ethers.formatUnits(value, decimals)} ${symbol}`;
+      }
+
+      let quote;
+      try {
+        quote = await collection.quoteMint({
+          tokenId: parseUint("token-id", args.tokenId),
+          amount,
+          paymentToken: token,
+          buyer: args.buyer && parseAddress(hre, "buyer", args.buyer),
+        });
+      } catch (error) {
+        throw taskError(error.message);
+      }
+
+      const { window, supply, allowance } = quote;
+      console.log(`🧾 Token ${quote.tokenId} x${quote.amount}`);
+      console.log(`  💰 Precio: ${format(quote.price)} por token`);
+      console.log(`  💵 Total: ${format(quote.totalCost)}`);
+      if (allowance) {
+        console.log(
+          `  🔓 Allowance: ${format(allowance.current)} aprobado, faltan ${format(allowance.missing)}`
+        );
+      } else {
+        console.log(`  📤 msg.value: ${quote.value} wei`);
+      }
+      console.log(
+        `  🗓️  Ventana: ${window.open ? "abierta" : "cerrada"} (${new Date(Number(window.start) * 1000).toISOString()} -> ${new Date(Number(window.end) * 1000).toISOString()})`
+      );
+      console.log(
+        `  📦 Suministro: ${supply.minted} minteados, ${supply.remaining === null ? "sin límite" : `quedan ${supply.remaining}`}`
+      );
+
+      console.log(`\n📋 ${quote.transactions.length} transacción(es):`);
+      quote.transactions.forEach((tx, i) => {
+        console.log(`  ${i + 1}. ${tx.description}`);
+      });
+
+      if (quote.mintable) {
+        console.log("\n✅ El mint se puede enviar");
+      } else {
+        console.log(
+          `\n⚠️  El mint revertiría:\n  - ${quote.problems.join("\n  - ")}`
+        );
+      }
+      return quote;
+    })
+  );
+
+task(
+  "collection:set-presale",
+  "Configura la preventa con allowlist Merkle y/o vouchers firmados"
+)
+  .addParam("collection", "Dirección de la colección")
+  .addParam(
+    "start",
+    "Inicio de la preventa (timestamp unix o fecha ISO; 0 = desactivar)"
+  )
+  .addOptionalParam("allowlist", "JSON generado con presale:allowlist")
+  .addOptionalParam("root", "Root de la allowlist (en lugar de --allowlist)")
+  .addOptionalParam("signer", "Dirección que firma los vouchers")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const collection = await getCollection(hre, args.collection);
+      const startDate = parseDate("start", args.start);
+      if (args.allowlist && args.root) {
+        throw taskError("Indica --allowlist o --root (solo uno)");
+      }
+
+      let root = hre.ethers.ZeroHash;
+      if (args.allowlist) {
+        try {
+          ({ root } = readAllowlistFile(args.allowlist));
+        } catch (error) {
+          throw taskError(error.message);
+        }
+      } else if (args.root) {
+        if (!hre.ethers.isHexString(args.root, 32)) {
+          throw taskError(`--root debe ser un bytes32: ${args.root}`);
+        }
+        root = args.root;
+      }
+      const signer = args.signer
+        ? parseAddress(hre, "signer", args.signer)
+        : hre.ethers.ZeroAddress;
+
+      if (startDate === 0n) {
+        console.log("🔒 Preventa desactivada");
+      } else {
+        console.log(
+          `🎟️  Preventa desde ${new Date(Number(startDate) * 1000).toISOString()}`
+        );
+        console.log(`  🌳 Allowlist: ${root}`);
+        console.log(`  ✍️  Firmante de vouchers: ${signer}`);
+      }
+      printReceipt(await collection.setPresale({ startDate, root, signer }));
+    })
+  );
+
+task("collection:set-dates", "Actualiza el período de mint")
+  .addParam("collection", "Dirección de la colección")
+  .addParam("start", "Inicio del mint (timestamp unix o fecha ISO)")
+  .addParam("end", "Fin del mint (timestamp unix o fecha ISO)")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const collection = await getCollection(hre, args.collection);
+      const startDate = parseDate("start", args.start);
+      const endDate = parseDate("end", args.end);
+      if (startDate >= endDate) {
+        throw taskError("--start debe ser anterior a --end");
+      }
+
+      console.log(`📅 Período de mint: ${startDate} -> ${endDate}`);
+      printReceipt(await collection.setMintDates({ startDate, endDate }));
+    })
+  );
+
+task("collection:free-mint", "Mint gratuito del owner a una dirección")
+  .addParam("collection", "Dirección de la colección")
+  .addParam("to", "Receptor de los tokens")
+  .addParam("tokenId", "ID del token")
+  .addOptionalParam("amount", "Cantidad a mintear", "1")
+  .addOptionalParam("metadata", "URI del token (solo primer mint)", "")
+  .addOptionalParam(
+    "metadataFile",
+    "JSON de metadatos del token: se valida y se usa su ipfs://<cid>"
+  )
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const collection = await getCollection(hre, args.collection);
+      const to = parseAddress(hre, "to", args.to);
+      const tokenId = parseUint("token-id", args.tokenId);
+      const amount = parseUint("amount", args.amount);
+      if (amount === 0n) {
+        throw taskError("--amount debe ser mayor a 0");
+      }
+      const tokenMetadata = resolveMetadataUri({
+        uri: args.metadata,
+        file: args.metadataFile,
+        flag: "metadata",
+        kind: "track",
+      });
+      if (tokenMetadata && (await collection.totalSupply(tokenId)) > 0n) {
+        console.log(
+          `⚠️  El token ${tokenId} ya fue minteado: el URI se ignora, usa collection:set-token-uri`
+        );
+      }
+
+      console.log(`🎁 Minteando ${amount} del token ${tokenId} a ${to}`);
+      printReceipt(
+        await collection.freeMint({
+          to,
+          tokenId,
+          amount,
+          tokenMetadata,
+        })
+      );
+    })
+  );
+
+task("collection:set-token-uri", "Actualiza el URI de metadatos de un token")
+  .addParam("collection", "Dirección de la colección")
+  .addParam("tokenId", "ID del token")
+  .addOptionalParam("uri", "URI de metadatos del token")
+  .addOptionalParam(
+    "metadataFile",
+    "JSON de metadatos del token: se valida y se usa su ipfs://<cid>"
+  )
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const collection = await getCollection(hre, args.collection);
+      const tokenId = parseUint("token-id", args.tokenId);
+      const uri = resolveMetadataUri({
+        uri: args.uri,
+        file: args.metadataFile,
+        flag: "uri",
+        kind: "track",
+      });
+      if (!uri) {
+        throw taskError("Indica --uri o --metadata-file");
+      }
+
+      console.log(`🏷️  URI del token ${tokenId} -> ${uri}`);
+      printReceipt(await collection.setTokenURI({ tokenId, uri }));
+    })
+  );
+
+task("collection:set-metadata", "Actualiza los metadatos de la colección")
+  .addParam("collection", "Dirección de la colección")
+  .addOptionalParam("metadata", "URI de metadatos de la colección")
+  .addOptionalParam(
+    "metadataFile",
+    "JSON de metadatos de la colección: se valida y se usa su ipfs://<cid>"
+  )
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const collection = await getCollection(hre, args.collection);
+      const metadata = resolveMetadataUri({
+        uri: args.metadata,
+        file: args.metadataFile,
+        flag: "metadata",
+        kind: "collection",
+      });
+      if (!metadata) {
+        throw taskError("Indica --metadata o --metadata-file");
+      }
+
+      console.log(`🗂️  Metadatos de la colección -> ${metadata}`);
+      printReceipt(await collection.setCollectionMetadata({ metadata }));
+    })
+  );
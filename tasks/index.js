@@ -0,0 +1,13 @@
+/**
+ * Registro de tasks de Hardhat del proyecto
+ */
+require("./collection");
+require("./revenue");
+require("./upgrade");
+require("./proxies");
+require("./indexer");
+require("./metadata");
+require("./release");
+require("./presale");
+require("./network");
+require("./benchmark");
@@ -0,0 +1,227 @@
+/**
+ * Tasks del indexer de eventos local
+ */
+const { task } = require("hardhat/config");
+const registry = require("../scripts/utils/deployment-registry");
+const { ROUTES, createApiServer } = require("../scripts/utils/indexer-api");
+const { getArtistSales } = require("../scripts/utils/indexer-queries");
+const { getStorePath, loadStore } = require("../scripts/utils/indexer-store");
+const {
+  parseAddress,
+  parseDate,
+  parseUint,
+  taskError,
+  withTaskErrors,
+} = require("./utils");
+
+function optionalNumber(name, value) {
+  return value === undefined ? undefined : Number(parseUint(name, value));
+}
+
+task(
+  "indexer:sync",
+  "Indexa colecciones, mints y pagos en un store JSON local, reanudando desde el checkpoint"
+)
+  .addOptionalParam(
+    "store",
+    "Ruta del store (default: .indexer/<network>.json)"
+  )
+  .addOptionalParam(
+    "fromBlock",
+    "Bloque inicial de un store nuevo (default: deploy de los factories)"
+  )
+  .addOptionalParam("toBlock", "Último bloque a indexar (default: la punta)")
+  .addOptionalParam("batchSize", "Bloques por consulta de logs", "2000")
+  .addOptionalParam(
+    "confirmations",
+    "Bloques a dejar sin indexar en la punta",
+    "0"
+  )
+  .addOptionalParam("interval", "Milisegundos entre sincronizaciones", "4000")
+  .addOptionalParam(
+    "registry",
+    "Red del registro de deployments a usar (ej. baseSepolia en un fork)"
+  )
+  .addFlag("reset", "Descarta el store existente y reindexa")
+  .addFlag("watch", "Sigue indexando bloques nuevos hasta Ctrl+C")
+  .setAction(
+    withTaskErrors(async (args) => {
+      // Se carga en la acción: el script requiere el runtime de Hardhat
+      const { indexEvents } = require("../scripts/index-events");
+
+      let deployment;
+      if (args.registry) {
+        deployment = registry.loadDeployment(args.registry);
+        if (!deployment) {
+          throw taskError(`No hay deployment registrado para ${args.registry}`);
+        }
+      }
+
+      const batchSize = optionalNumber("batch-size", args.batchSize);
+      if (batchSize === 0) throw taskError("--batch-size debe ser mayor a 0");
+
+      try {
+        return await indexEvents({
+          deployment,
+          file: args.store,
+          fromBlock: optionalNumber("from-block", args.fromBlock),
+          toBlock: optionalNumber("to-block", args.toBlock),
+          batchSize,
+          confirmations: optionalNumber("confirmations", args.confirmations),
+          interval: optionalNumber("interval", args.interval),
+          reset: args.reset,
+          watch: args.watch,
+        });
+      } catch (error) {
+        throw taskError(error.message);
+      }
+    })
+  );
+
+function formatAssets(hre, amounts) {
+  const entries = Object.entries(amounts);
+  if (entries.length === 0) return "-";
+  return entries
+    .map(([asset, amount]) =>
+      asset === "ETH"
+        ? `${hre.ethers.formatEther(amount)} ETH`
+        : `${amount} (${asset})`
+    )
+    .join(", ");
+}
+
+task("indexer:sales", "Resume lo que vendió un artista según el store local")
+  .addParam("artist", "Dirección del artista")
+  .addOptionalParam(
+    "store",
+    "Ruta del store (default: .indexer/<network>.json)"
+  )
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const artist = parseAddress(hre, "artist", args.artist);
+      const file = args.store || getStorePath(hre.network.name);
+      const store = loadStore(file);
+      if (!store) {
+        throw taskError(`No existe ${file}: ejecuta primero indexer:sync`);
+      }
+
+      const sales = getArtistSales(store, artist);
+      const checkpoint = store.checkpoint ? store.checkpoint.blockNumber : "-";
+      console.log(
+        `🎤 Ventas de ${artist} (indexado hasta el bloque ${checkpoint})`
+      );
+      if (sales.collections.length === 0) {
+        console.log("  Sin colecciones indexadas");
+        return sales;
+      }
+
+      for (const collection of sales.collections) {
+        console.log(`\n🎵 ${collection.name} (${collection.address})`);
+        console.log(
+          `  🪙 ${collection.mints} mint(s), ${collection.tokens} token(s), ${collection.freeMints} gratis`
+        );
+        for (const [tokenId, amount] of Object.entries(collection.byToken)) {
+          console.log(`    #${tokenId}: ${amount}`);
+        }
+        console.log(`  💵 Cobrado: ${formatAssets(hre, collection.revenue)}`);
+        console.log(
+          `  💸 Repartido: ${formatAssets(hre, collection.distributed)}`
+        );
+      }
+
+      console.log(
+        `\n📊 Total: ${sales.totals.mints} mint(s), ${sales.totals.tokens} token(s), ${formatAssets(hre, sales.totals.revenue)}`
+      );
+      return sales;
+    })
+  );
+
+task(
+  "indexer:statement",
+  "Estados de cuenta por destinatario (colección, token y moneda) en CSV y JSON"
+)
+  .addOptionalParam("from", "Desde (timestamp unix o fecha ISO, inclusive)")
+  .addOptionalParam("to", "Hasta (timestamp unix o fecha ISO, inclusive)")
+  .addOptionalParam("recipient", "Solo esta cuenta")
+  .addOptionalParam("collection", "Solo esta colección")
+  .addOptionalParam(
+    "store",
+    "Ruta del store (default: .indexer/<network>.json)"
+  )
+  .addOptionalParam(
+    "out",
+    "Directorio donde escribir <recipient>.csv y <recipient>.json"
+  )
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      // Se carga en la acción: el script requiere el runtime de Hardhat
+      const {
+        buildEarningsStatements,
+      } = require("../scripts/earnings-statement");
+
+      const from =
+        args.from === undefined
+          ? undefined
+          : Number(parseDate("from", args.from));
+      const to =
+        args.to === undefined ? undefined : Number(parseDate("to", args.to));
+      if (from !== undefined && to !== undefined && from > to) {
+        throw taskError("--from debe ser anterior a --to");
+      }
+
+      try {
+        return await buildEarningsStatements({
+          file: args.store,
+          from,
+          to,
+          recipient:
+            args.recipient && parseAddress(hre, "recipient", args.recipient),
+          collection:
+            args.collection && parseAddress(hre, "collection", args.collection),
+          out: args.out,
+        });
+      } catch (error) {
+        throw taskError(error.message);
+      }
+    })
+  );
+
+task(
+  "indexer:serve",
+  "Sirve el store del indexer como API HTTP de solo lectura"
+)
+  .addOptionalParam(
+    "store",
+    "Ruta del store (default: .indexer/<network>.json)"
+  )
+  .addOptionalParam("port", "Puerto HTTP", "4000")
+  .addOptionalParam("host", "Interfaz donde escuchar", "127.0.0.1")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const file = args.store || getStorePath(hre.network.name);
+      const port = optionalNumber("port", args.port);
+      const server = createApiServer({ file });
+
+      await new Promise((resolve, reject) => {
+        server.once("error", (error) =>
+          reject(
+            taskError(
+              `No se pudo escuchar en ${args.host}:${port}: ${error.message}`
+            )
+          )
+        );
+        server.listen(port, args.host, resolve);
+      });
+
+      const url = `http://${args.host}:${server.address().port}`;
+      console.log(`🌐 API del indexer en ${url} (store: ${file})`);
+      for (const route of Object.keys(ROUTES)) {
+        console.log(`  GET ${route}`);
+      }
+      console.log("💡 Ctrl+C para detener");
+
+      await new Promise((resolve) => {
+        process.once("SIGINT", () => server.close(resolve));
+      });
+    })
+  );
@@ -0,0 +1,89 @@
+/**
+ * Tasks para armar y validar metadatos de tracks y colecciones
+ */
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { MetadataError, packRelease } = require("../sdk");
+const { readMetadataFile, taskError, withTaskErrors } = require("./utils");
+
+const KINDS = ["track", "collection"];
+
+task(
+  "metadata:build",
+  "Arma los JSON de un lanzamiento y calcula sus CIDs para subirlos a IPFS"
+)
+  .addParam(
+    "input",
+    "JSON del lanzamiento: { collection: {...}, tracks: [{ tokenId, title, ... }] }"
+  )
+  .addParam("out", "Carpeta donde escribir los archivos y manifest.json")
+  .addFlag("force", "Sobrescribe los archivos de una carpeta existente")
+  .setAction(
+    withTaskErrors(async (args) => {
+      let release;
+      try {
+        release = JSON.parse(fs.readFileSync(args.input, "utf8"));
+      } catch (error) {
+        throw taskError(
+          `No se pudo leer --input ${args.input}: ${error.message}`
+        );
+      }
+      const exists =
+        fs.existsSync(args.out) && fs.readdirSync(args.out).length > 0;
+      if (exists && !args.force) {
+        throw taskError(
+          `${args.out} no está vacía: usa --force para sobrescribir`
+        );
+      }
+
+      let pack;
+      try {
+        pack = packRelease(release);
+      } catch (error) {
+        if (error instanceof MetadataError) throw taskError(error.message);
+        throw error;
+      }
+
+      fs.mkdirSync(args.out, { recursive: true });
+      for (const file of pack.files) {
+        const target = path.join(args.out, file.path);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, file.content);
+      }
+      const manifestFile = path.join(args.out, "manifest.json");
+      fs.writeFileSync(
+        manifestFile,
+        JSON.stringify(pack.manifest, null, 2) + "\n"
+      );
+
+      console.log(`📦 ${pack.files.length} archivos en ${args.out}`);
+      if (pack.manifest.collection) {
+        console.log(`  🗂️  Colección: ${pack.manifest.collection.uri}`);
+      }
+      for (const [tokenId, token] of Object.entries(pack.manifest.tokens)) {
+        console.log(`  🎵 Token ${tokenId} (${token.title}): ${token.uri}`);
+      }
+      console.log(
+        `📌 Sube la carpeta con \`ipfs add -r --cid-version 1 ${args.out}\` y usa estos URIs al mintear`
+      );
+      console.log(`📝 Manifest: ${manifestFile}`);
+      return pack.manifest;
+    })
+  );
+
+task("metadata:validate", "Valida un JSON de metadatos y calcula su CID")
+  .addParam("file", "Archivo JSON de metadatos")
+  .addOptionalParam("kind", "track o collection", "track")
+  .setAction(
+    withTaskErrors(async (args) => {
+      if (!KINDS.includes(args.kind)) {
+        throw taskError(`--kind debe ser ${KINDS.join(" o ")}: ${args.kind}`);
+      }
+
+      const { cid, uri } = readMetadataFile(args.file, args.kind);
+      console.log(`✅ ${args.file} es válido (${args.kind})`);
+      console.log(`📌 CID: ${cid} -> ${uri}`);
+      return { cid, uri };
+    })
+  );
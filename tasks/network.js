@@ -0,0 +1,47 @@
+/**
+ * Tasks para consultar el perfil de la red seleccionada
+ */
+const { task } = require("hardhat/config");
+const {
+  assertProfileChain,
+  getGasOverrides,
+  getNetworkProfile,
+} = require("../scripts/utils/network-profiles");
+const { taskError, withTaskErrors } = require("./utils");
+
+task(
+  "network:profile",
+  "Muestra el perfil de la red (owner, confirmaciones, gas y explorador) y el gas que usaría ahora"
+).setAction(
+  withTaskErrors(async (_, hre) => {
+    let profile;
+    let chainId;
+    let overrides;
+    try {
+      profile = getNetworkProfile(hre.network.name);
+      ({ chainId } = await hre.ethers.provider.getNetwork());
+      assertProfileChain(profile, chainId);
+      overrides = await getGasOverrides(hre.ethers.provider, profile.gas);
+    } catch (error) {
+      throw taskError(error.message);
+    }
+
+    console.log(
+      `🌐 ${profile.name} (chainId ${chainId})${profile.mainnet ? " ⚠️  mainnet" : ""}`
+    );
+    if (profile.fork) console.log(`🍴 Fork de ${profile.fork}`);
+    console.log(
+      `👤 Owner: ${profile.owner || "el deployer (sin owner en el perfil)"}`
+    );
+    console.log(`⏳ Confirmaciones: ${profile.confirmations}`);
+    console.log(`⛽ Gas: ${profile.gas.strategy}`);
+    for (const [field, value] of Object.entries(overrides)) {
+      console.log(`   ${field}: ${hre.ethers.formatUnits(value, "gwei")} gwei`);
+    }
+    console.log(
+      `🔎 Explorador: ${profile.verifier ? profile.verifier.browserURL : "ninguno"}`
+    );
+
+    return { profile, chainId, overrides };
+  })
+);
@@ -0,0 +1,204 @@
+/**
+ * Tasks de preventa: allowlists Merkle, vouchers EIP-712 y servicio firmante
+ */
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const {
+  buildAllowlist,
+  parseAllowlistCsv,
+  signMintVoucher,
+} = require("../sdk");
+const {
+  DEFAULT_TTL,
+  createVoucherServer,
+  loadVoucherPolicy,
+} = require("../scripts/utils/voucher-service");
+const {
+  getSigner,
+  parseAddress,
+  parseUint,
+  taskError,
+  withTaskErrors,
+} = require("./utils");
+
+function toJson(value) {
+  return JSON.stringify(
+    value,
+    (_, item) => (typeof item === "bigint" ? item.toString() : item),
+    2
+  );
+}
+
+/**
+ * Firmante de vouchers: VOUCHER_SIGNER_KEY si está definida, si no el
+ * signer de la red (la clave del servicio no tiene por qué tener fondos)
+ */
+async function getVoucherSigner(hre) {
+  const key = process.env.VOUCHER_SIGNER_KEY;
+  if (!key) return getSigner(hre);
+  try {
+    return new hre.ethers.Wallet(key, hre.ethers.provider);
+  } catch (_) {
+    throw taskError("VOUCHER_SIGNER_KEY no es una clave privada válida");
+  }
+}
+
+task(
+  "presale:allowlist",
+  "Genera el árbol Merkle de una allowlist (CSV o JSON) con la prueba de cada cuenta"
+)
+  .addParam(
+    "input",
+    "CSV (address,tokenId,maxAmount,price,paymentToken) o JSON con las entradas"
+  )
+  .addParam("out", "JSON de salida con el root y las pruebas")
+  .setAction(
+    withTaskErrors(async (args) => {
+      let allowlist;
+      try {
+        const text = fs.readFileSync(args.input, "utf8");
+        const entries =
+          path.extname(args.input).toLowerCase() === ".csv"
+            ? parseAllowlistCsv(text)
+            : JSON.parse(text);
+        allowlist = buildAllowlist(entries);
+      } catch (error) {
+        throw taskError(error.message);
+      }
+
+      fs.mkdirSync(path.dirname(path.resolve(args.out)), { recursive: true });
+      fs.writeFileSync(
+        args.out,
+        toJson({
+          root: allowlist.root,
+          entries: allowlist.entries.map(({ leaf, ...entry }) => entry),
+        })
+      );
+
+      console.log(`🌳 Allowlist con ${allowlist.entries.length} entrada(s)`);
+      console.log(`  root: ${allowlist.root}`);
+      console.log(`📝 Pruebas guardadas en ${args.out}`);
+      console.log(
+        "💡 Actívala con collection:set-presale --allowlist <archivo>"
+      );
+      return allowlist;
+    })
+  );
+
+task("presale:sign-voucher", "Firma un voucher de preventa EIP-712")
+  .addParam("collection", "Dirección de la colección")
+  .addParam("to", "Cuenta que podrá mintear")
+  .addParam("tokenId", "ID del token")
+  .addParam("maxAmount", "Cantidad máxima en preventa para la cuenta")
+  .addOptionalParam(
+    "price",
+    "Precio por token en unidades mínimas (wei o del ERC20)",
+    "0"
+  )
+  .addOptionalParam("token", "Token ERC20 de pago (default: ETH)")
+  .addOptionalParam(
+    "ttl",
+    "Segundos de validez desde el último bloque",
+    String(DEFAULT_TTL)
+  )
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const signer = await getVoucherSigner(hre);
+      const { chainId } = await hre.ethers.provider.getNetwork();
+      const { timestamp } = await hre.ethers.provider.getBlock("latest");
+
+      const maxAmount = parseUint("max-amount", args.maxAmount);
+      if (maxAmount === 0n) {
+        throw taskError("--max-amount debe ser mayor a 0");
+      }
+
+      const signed = await signMintVoucher({
+        signer,
+        collection: parseAddress(hre, "collection", args.collection),
+        chainId,
+        voucher: {
+          to: parseAddress(hre, "to", args.to),
+          tokenId: parseUint("token-id", args.tokenId),
+          maxAmount,
+          pricePerToken: parseUint("price", args.price),
+          paymentToken: args.token && parseAddress(hre, "token", args.token),
+          deadline: BigInt(timestamp) + parseUint("ttl", args.ttl),
+        },
+      });
+
+      console.log(`✍️  Voucher firmado por ${signer.address}`);
+      console.log(toJson(signed));
+      return signed;
+    })
+  );
+
+task(
+  "presale:serve",
+  "Servicio HTTP local que firma vouchers de preventa según una política"
+)
+  .addParam("policy", "JSON con la colección, los tiers y la allowlist")
+  .addOptionalParam("port", "Puerto HTTP", "4100")
+  .addOptionalParam("host", "Interfaz donde escuchar", "127.0.0.1")
+  .addOptionalParam(
+    "allowOrigin",
+    "Orígenes del frontend admitidos, separados por coma (ej. http://localhost:3000)"
+  )
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      let policy;
+      try {
+        policy = loadVoucherPolicy(args.policy);
+      } catch (error) {
+        throw taskError(error.message);
+      }
+      const signer = await getVoucherSigner(hre);
+      const { chainId } = await hre.ethers.provider.getNetwork();
+      const port = Number(parseUint("port", args.port));
+      const origins = (args.allowOrigin || "")
+        .split(",")
+        .map((origin) => origin.trim().replace(/\/+$/, ""))
+        .filter(Boolean);
+
+      const collection = await hre.ethers.getContractAt(
+        "MusicCollectionUpgradeable",
+        policy.collection
+      );
+      const voucherSigner = await collection.voucherSigner();
+      if (voucherSigner !== signer.address) {
+        console.log(
+          `⚠️  El voucherSigner de la colección es ${voucherSigner}: los vouchers de ${signer.address} serán rechazados`
+        );
+      }
+
+      const server = createVoucherServer({ policy, signer, chainId, origins });
+      await new Promise((resolve, reject) => {
+        server.once("error", (error) =>
+          reject(
+            taskError(
+              `No se pudo escuchar en ${args.host}:${port}: ${error.message}`
+            )
+          )
+        );
+        server.listen(port, args.host, resolve);
+      });
+
+      const url = `http://${args.host}:${server.address().port}`;
+      console.log(
+        `🎟️  Firmante de vouchers en ${url} (colección ${policy.collection}, signer ${signer.address})`
+      );
+      console.log("  GET  /health");
+      console.log("  GET  /allowlist/:address");
+      console.log("  POST /vouchers { to, tokenId }");
+      console.log(
+        origins.length > 0
+          ? `🌐 Orígenes admitidos: ${origins.join(", ")}`
+          : "🌐 Sin --allow-origin: los navegadores reciben 403"
+      );
+      console.log("💡 Ctrl+C para detener");
+
+      await new Promise((resolve) => {
+        process.once("SIGINT", () => server.close(resolve));
+      });
+    })
+  );
@@ -0,0 +1,99 @@
+/**
+ * Tasks para migrar los proxies de los artistas y ejecutar batches
+ */
+const { task } = require("hardhat/config");
+const registry = require("../scripts/utils/deployment-registry");
+const { executeTxBatch, readTxBatch } = require("../scripts/utils/tx-batch");
+const {
+  getSigner,
+  parseAddress,
+  printReceipt,
+  taskError,
+  withTaskErrors,
+} = require("./utils");
+
+task(
+  "proxies:migrate",
+  "Reporta la implementación de cada colección y revenue share y genera los batches de upgrade por owner"
+)
+  .addOptionalParam("out", "Carpeta de salida de los batches")
+  .addOptionalParam(
+    "collectionImplementation",
+    "Implementación destino de las colecciones (default: template del factory)"
+  )
+  .addOptionalParam(
+    "revenueShareImplementation",
+    "Implementación destino de los revenue shares (default: template del factory)"
+  )
+  .addOptionalParam(
+    "mintPrices",
+    'JSON con el precio del mint en ETH de cada colección ({ "0x...": "0.05" }); obligatorio para las anteriores a 1.1.0'
+  )
+  .addOptionalParam(
+    "registry",
+    "Red del registro de deployments a usar (ej. baseSepolia en un fork)"
+  )
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      // Se cargan en la acción: los scripts requieren el runtime de Hardhat
+      const { migrateProxies } = require("../scripts/migrate-proxies");
+      const { readMintPrices } = require("../scripts/utils/proxy-migration");
+
+      let deployment;
+      if (args.registry) {
+        deployment = registry.loadDeployment(args.registry);
+        if (!deployment) {
+          throw taskError(`No hay deployment registrado para ${args.registry}`);
+        }
+      }
+
+      try {
+        return await migrateProxies({
+          deployment,
+          out: args.out,
+          mintPrices: args.mintPrices && readMintPrices(args.mintPrices),
+          collectionImplementation:
+            args.collectionImplementation &&
+            parseAddress(
+              hre,
+              "collection-implementation",
+              args.collectionImplementation
+            ),
+          revenueShareImplementation:
+            args.revenueShareImplementation &&
+            parseAddress(
+              hre,
+              "revenue-share-implementation",
+              args.revenueShareImplementation
+            ),
+        });
+      } catch (error) {
+        throw taskError(error.message);
+      }
+    })
+  );
+
+task("batch:execute", "Ejecuta un batch de transacciones desde la cuenta EOA")
+  .addParam("file", "Archivo JSON del batch (formato Safe Transaction Builder)")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const signer = await getSigner(hre);
+      const batch = readTxBatch(args.file);
+
+      console.log(
+        `📦 Ejecutando "${batch.meta.name}" (${batch.transactions.length} tx) desde ${signer.address}`
+      );
+      try {
+        return await executeTxBatch({
+          batch,
+          signer,
+          onSent: ({ index, tx, receipt }) => {
+            console.log(`\n${index + 1}/${batch.transactions.length}`);
+            printReceipt({ hash: tx.hash, receipt });
+          },
+        });
+      } catch (error) {
+        throw taskError(error.message);
+      }
+    })
+  );
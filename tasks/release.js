@@ -0,0 +1,164 @@
+/**
+ * Tasks para crear releases y aplicar lanzamientos completos desde un manifest
+ */
+const { task } = require("hardhat/config");
+const {
+  createMusicFactoryClient,
+  toReleaseSalt,
+  validateShares,
+} = require("../sdk");
+const {
+  getSigner,
+  parseAddress,
+  parseDate,
+  parseEtherAmount,
+  parseSplits,
+  parseUint,
+  printReceipt,
+  resolveDeployment,
+  taskError,
+  withTaskErrors,
+} = require("./utils");
+
+task(
+  "release:create",
+  "Crea en una transacción el RevenueShare, la colección vinculada y sus splits de mint"
+)
+  .addParam("name", "Nombre de la colección")
+  .addParam("symbol", "Símbolo de la colección")
+  .addParam("start", "Inicio del mint (timestamp unix o fecha ISO)")
+  .addParam("end", "Fin del mint (timestamp unix o fecha ISO)")
+  .addParam("salt", 'Salt del release: bytes32 o texto (ej. "album-2024")')
+  .addParam(
+    "mintPrice",
+    "Precio por token del mint con ETH (ej. 0.05; 0 = gratuito)"
+  )
+  .addOptionalParam(
+    "revenueName",
+    "Nombre del RevenueShare (default: <name> Revenue)"
+  )
+  .addOptionalParam(
+    "revenueDescription",
+    "Descripción del RevenueShare (default: Splits de <name>)"
+  )
+  .addOptionalParam("splits", 'Splits de mint "0xabc:7000,0xdef:3000"')
+  .addOptionalParam("baseUri", "URI base de los tokens", "")
+  .addOptionalParam("metadata", "Metadatos de la colección", "")
+  .addOptionalParam("paymentToken", "Token de pago (default: ETH)")
+  .addOptionalParam(
+    "royaltyReceiver",
+    "Receptor de royalties (default: el RevenueShare del release)"
+  )
+  .addOptionalParam("royaltyFee", "Royalty en base 10000 (1000 = 10%)", "0")
+  .addOptionalParam("factory", "Dirección del MusicNFTFactory (override)")
+  .addFlag("predict", "Solo muestra las direcciones, sin enviar la transacción")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const signer = await getSigner(hre);
+      const { ZeroAddress } = hre.ethers;
+
+      let salt;
+      try {
+        salt = toReleaseSalt(args.salt);
+      } catch (error) {
+        throw taskError(error.message);
+      }
+      const mintStartDate = parseDate("start", args.start);
+      const mintEndDate = parseDate("end", args.end);
+      if (mintStartDate >= mintEndDate) {
+        throw taskError("--start debe ser anterior a --end");
+      }
+      const mintPrice = parseEtherAmount(hre, "mint-price", args.mintPrice);
+      const mintSplits = args.splits
+        ? validateShares(parseSplits(hre, args.splits))
+        : [];
+
+      const deployment = await resolveDeployment(hre, {
+        musicFactory:
+          args.factory && parseAddress(hre, "factory", args.factory),
+      });
+      const factory = createMusicFactoryClient({
+        address: deployment.musicFactory,
+        runner: signer,
+      });
+
+      const predicted = await factory.predictRelease({
+        artist: signer.address,
+        salt,
+      });
+      console.log(`🔮 Release "${args.name}" de ${signer.address}:`);
+      console.log(`  Colección:    ${predicted.collection}`);
+      console.log(`  RevenueShare: ${predicted.revenueShare}`);
+      if (args.predict) return predicted;
+
+      console.log("\n🚀 Creando el release...");
+      const result = await factory.createRelease({
+        name: args.name,
+        symbol: args.symbol,
+        baseURI: args.baseUri,
+        collectionMetadata: args.metadata,
+        mintStartDate,
+        mintEndDate,
+        mintPrice,
+        paymentToken: args.paymentToken
+          ? parseAddress(hre, "payment-token", args.paymentToken, {
+              allowZero: true,
+            })
+          : ZeroAddress,
+        royaltyReceiver: args.royaltyReceiver
+          ? parseAddress(hre, "royalty-receiver", args.royaltyReceiver)
+          : ZeroAddress,
+        royaltyFee: parseUint("royalty-fee", args.royaltyFee, { max: 10000 }),
+        revenueShareName: args.revenueName || `${args.name} Revenue`,
+        revenueShareDescription:
+          args.revenueDescription || `Splits de ${args.name}`,
+        mintSplits,
+        salt,
+      });
+
+      printReceipt(result);
+      console.log(`✅ Release creado: colección ${result.collection}`);
+      console.log(`   RevenueShare ${result.revenueShare}`);
+      return result;
+    })
+  );
+
+task(
+  "release:drop",
+  "Aplica un manifest de lanzamiento (supplies, URIs, splits, tokens de pago y airdrops) y concilia el resultado"
+)
+  .addParam("manifest", "Manifest JSON o CSV del lanzamiento")
+  .addOptionalParam(
+    "collection",
+    "Dirección de la colección (obligatoria si el manifest no la incluye)"
+  )
+  .addOptionalParam(
+    "progress",
+    "Archivo de progreso (default: <manifest>.progress.json)"
+  )
+  .addOptionalParam("maxPending", "Transacciones en vuelo a la vez", "5")
+  .addFlag("dryRun", "Valida y muestra el plan sin enviar transacciones")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      // Se carga en la acción: el script requiere el runtime de Hardhat
+      const { releaseDrop } = require("../scripts/release-drop");
+
+      const maxPending = Number(parseUint("max-pending", args.maxPending));
+      if (maxPending === 0) {
+        throw taskError("--max-pending debe ser mayor a 0");
+      }
+
+      try {
+        return await releaseDrop({
+          file: args.manifest,
+          collection:
+            args.collection && parseAddress(hre, "collection", args.collection),
+          progressFile: args.progress,
+          maxPending,
+          dryRun: args.dryRun,
+        });
+      } catch (error) {
+        throw taskError(error.message);
+      }
+    })
+  );
@@ -0,0 +1,885 @@
+/**
+ * Tasks para administrar contratos RevenueShare
+ */
+const fs = require("fs");
+const { task } = require("hardhat/config");
+const {
+  ERC20_ABI,
+  computeLineagePayout,
+  createRevenueShareClient,
+  createRevenueShareFactoryClient,
+  formatLineageTree,
+  formatPayoutTable,
+  normalizePayoutConfig,
+  readLineageTree,
+  readPayoutConfig,
+  simulatePayout,
+  toPayoutCsv,
+  validateLineageSources,
+  validateShares,
+} = require("../sdk");
+const {
+  createClaimBatch,
+  executeClaims,
+  listClaimableBalances,
+} = require("../scripts/utils/claims");
+const { writeTxBatch } = require("../scripts/utils/tx-batch");
+const {
+  getSigner,
+  parseAddress,
+  parseDate,
+  parseLineageSources,
+  parseSplits,
+  parseUint,
+  printReceipt,
+  resolveDeployment,
+  taskError,
+  withTaskErrors,
+} = require("./utils");
+
+async function getRevenueShare(hre, address) {
+  const signer = await getSigner(hre);
+  return createRevenueShareClient({
+    address: parseAddress(hre, "revenue-share", address),
+    runner: signer,
+  });
+}
+
+task("revenue:create", "Crea un RevenueShare con RevenueShareFactory")
+  .addParam("name", "Nombre del arreglo de revenue share")
+  .addParam("description", "Descripción del arreglo")
+  .addOptionalParam("artist", "Owner del revenue share (default: signer)")
+  .addOptionalParam("factory", "Dirección del RevenueShareFactory (override)")
+  .addFlag(
+    "clone",
+    "Crea un clon EIP-1167: más barato, pero el contrato no es upgradeable"
+  )
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const signer = await getSigner(hre);
+      const artist = args.artist
+        ? parseAddress(hre, "artist", args.artist)
+        : signer.address;
+      if (!args.name.trim()) throw taskError("--name no puede estar vacío");
+      if (!args.description.trim()) {
+        throw taskError("--description no puede estar vacía");
+      }
+
+      const deployment = await resolveDeployment(hre, {
+        revenueShareFactory:
+          args.factory && parseAddress(hre, "factory", args.factory),
+      });
+      const factory = createRevenueShareFactoryClient({
+        address: deployment.revenueShareFactory,
+        runner: signer,
+      });
+
+      console.log(
+        `💰 Creando revenue share "${args.name}" para ${artist}${args.clone ? " (clon)" : ""}...`
+      );
+      const result = await factory.createRevenueShare({
+        artist,
+        name: args.name,
+        description: args.description,
+        clone: args.clone,
+      });
+
+      printReceipt(result);
+      console.log(`✅ RevenueShare creado: ${result.revenueShare}`);
+      return result.revenueShare;
+    })
+  );
+
+task("revenue:set-splits", "Configura splits de mint o royalties de reventa")
+  .addParam("revenueShare", "Dirección del RevenueShare")
+  .addParam("collection", "Dirección de la colección")
+  .addParam("splits", 'Splits "0xabc:7000,0xdef:3000" (base 10000)')
+  .addOptionalParam(
+    "tokenId",
+    "ID del token (si se omite aplica a toda la colección)"
+  )
+  .addFlag(
+    "resale",
+    "Configura royalties de reventa en lugar de splits de mint"
+  )
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const revenueShare = await getRevenueShare(hre, args.revenueShare);
+      const collection = parseAddress(hre, "collection", args.collection);
+      const shares = validateShares(parseSplits(hre, args.splits));
+
+      const kind = args.resale ? "royalties de reventa" : "splits de mint";
+      const scope =
+        args.tokenId !== undefined
+          ? `token ${args.tokenId}`
+          : "toda la colección";
+      console.log(`📊 Configurando ${kind} para ${scope}:`);
+      for (const share of shares) {
+        console.log(`  ${share.account}: ${share.percentage / 100}%`);
+      }
+
+      let result;
+      if (args.tokenId !== undefined) {
+        const tokenId = parseUint("token-id", args.tokenId);
+        result = args.resale
+          ? await revenueShare.setResaleRoyalties({
+              collection,
+              tokenId,
+              shares,
+            })
+          : await revenueShare.setMintSplits({ collection, tokenId, shares });
+      } else {
+        result = args.resale
+          ? await revenueShare.setCollectionResaleRoyalties({
+              collection,
+              shares,
+            })
+          : await revenueShare.setCollectionMintSplits({ collection, shares });
+      }
+
+      printReceipt(result);
+    })
+  );
+
+task("revenue:add-manager", "Otorga el rol de manager (solo owner)")
+  .addParam("revenueShare", "Dirección del RevenueShare")
+  .addParam("manager", "Dirección del nuevo manager")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const revenueShare = await getRevenueShare(hre, args.revenueShare);
+      const manager = parseAddress(hre, "manager", args.manager);
+
+      if (await revenueShare.isManager(manager)) {
+        throw taskError(`${manager} ya es manager`);
+      }
+
+      console.log(`👤 Agregando manager ${manager}`);
+      printReceipt(await revenueShare.addManager({ manager }));
+    })
+  );
+
+task(
+  "revenue:set-escrow",
+  "Activa el modo escrow: los pagos quedan como saldos reclamables (solo owner)"
+)
+  .addParam("revenueShare", "Dirección del RevenueShare")
+  .addFlag("disable", "Vuelve a los pagos directos")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const revenueShare = await getRevenueShare(hre, args.revenueShare);
+      const enabled = !args.disable;
+
+      if ((await revenueShare.escrowMode()) === enabled) {
+        throw taskError(
+          `El modo escrow ya está ${enabled ? "activado" : "desactivado"}`
+        );
+      }
+
+      console.log(
+        enabled
+          ? "🔒 Activando modo escrow: los pagos se acumulan hasta que cada cuenta los reclame"
+          : "🔓 Desactivando modo escrow: los pagos vuelven a ser directos"
+      );
+      printReceipt(await revenueShare.setEscrowMode({ enabled }));
+    })
+  );
+
+/**
+ * Firmante de las liquidaciones de streaming: STREAMING_ORACLE_KEY si está
+ * definida, si no el signer de la red
+ */
+async function getStreamingOracle(hre) {
+  const key = process.env.STREAMING_ORACLE_KEY;
+  if (!key) return getSigner(hre);
+  try {
+    return new hre.ethers.Wallet(key, hre.ethers.provider);
+  } catch (_) {
+    throw taskError("STREAMING_ORACLE_KEY no es una clave privada válida");
+  }
+}
+
+task(
+  "revenue:set-streaming-oracle",
+  "Configura el oráculo que firma las liquidaciones de streaming (solo owner)"
+)
+  .addParam("revenueShare", "Dirección del RevenueShare")
+  .addOptionalParam(
+    "oracle",
+    "Firmante de las liquidaciones (default: STREAMING_ORACLE_KEY o el signer)"
+  )
+  .addFlag("disable", "Quita el oráculo: no se aceptan más liquidaciones")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const revenueShare = await getRevenueShare(hre, args.revenueShare);
+      if (args.disable && args.oracle) {
+        throw taskError("--oracle y --disable son excluyentes");
+      }
+      let oracle = hre.ethers.ZeroAddress;
+      if (args.oracle) {
+        oracle = parseAddress(hre, "oracle", args.oracle);
+      } else if (!args.disable) {
+        oracle = (await getStreamingOracle(hre)).address;
+      }
+
+      if ((await revenueShare.getStreamingOracle()) === oracle) {
+        throw taskError(
+          args.disable
+            ? "El RevenueShare no tiene oráculo de streaming"
+            : `${oracle} ya es el oráculo de streaming`
+        );
+      }
+
+      console.log(
+        args.disable
+          ? "🔇 Quitando el oráculo de streaming"
+          : `🎧 Oráculo de streaming: ${oracle}`
+      );
+      printReceipt(await revenueShare.setStreamingOracle({ oracle }));
+    })
+  );
+
+task(
+  "revenue:settle-streaming",
+  "Reparte los ingresos de streaming de una época según los reportes de reproducciones"
+)
+  .addOptionalParam("revenueShare", "Dirección del RevenueShare")
+  .addOptionalParam(
+    "reports",
+    "Reportes de reproducciones separados por coma: CSV (collection,tokenId,plays,date) o JSON"
+  )
+  .addOptionalParam("epoch", "Número de época (cada una se liquida una vez)")
+  .addOptionalParam("periodStart", "Inicio del período (unix o fecha ISO)")
+  .addOptionalParam(
+    "periodEnd",
+    "Fin del período, excluido (unix o fecha ISO, no futuro)"
+  )
+  .addOptionalParam("token", "Token ERC20 del pago (default: ETH)")
+  .addOptionalParam(
+    "pool",
+    "Monto a repartir según las reproducciones (ej. 100.5)"
+  )
+  .addOptionalParam("rate", "Monto por reproducción (ej. 0.004)")
+  .addOptionalParam("out", "JSON donde guardar la liquidación firmada")
+  .addOptionalParam(
+    "settlement",
+    "Envía una liquidación ya firmada (JSON de --out) en lugar de calcularla"
+  )
+  .addFlag("signOnly", "Firma la liquidación sin enviarla")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      // Se carga en la acción: el script requiere el runtime de Hardhat
+      const {
+        readSignedSettlement,
+        signStreamingEpoch,
+        submitStreamingSettlement,
+      } = require("../scripts/settle-streaming");
+
+      let signed;
+      try {
+        if (args.settlement) {
+          signed = readSignedSettlement(args.settlement);
+        }
+      } catch (error) {
+        throw taskError(
+          `No se pudo leer --settlement ${args.settlement}: ${error.message}`
+        );
+      }
+
+      if (signed) {
+        const { chainId } = await hre.ethers.provider.getNetwork();
+        if (String(signed.chainId) !== String(chainId)) {
+          throw taskError(
+            `La liquidación es para el chainId ${signed.chainId}, no ${chainId}`
+          );
+        }
+        if (args.signOnly) {
+          throw taskError("--sign-only no aplica a una liquidación firmada");
+        }
+      } else {
+        const missing = Object.entries({
+          "revenue-share": args.revenueShare,
+          reports: args.reports,
+          epoch: args.epoch,
+          "period-start": args.periodStart,
+          "period-end": args.periodEnd,
+        })
+          .filter(([, value]) => !value)
+          .map(([name]) => `--${name}`);
+        if (missing.length > 0) {
+          throw taskError(`Faltan parámetros: ${missing.join(", ")}`);
+        }
+        if (!args.pool === !args.rate) {
+          throw taskError("Indica --pool o --rate (solo uno)");
+        }
+
+        const token = args.token
+          ? parseAddress(hre, "token", args.token)
+          : hre.ethers.ZeroAddress;
+        const { decimals } = await getAsset(hre, args.token);
+        const parseAmount = (name, value) => {
+          let amount;
+          try {
+            amount = hre.ethers.parseUnits(value, decimals);
+          } catch (_) {
+            throw taskError(`--${name} no es un monto válido: ${value}`);
+          }
+          if (amount === 0n) throw taskError(`--${name} debe ser mayor a 0`);
+          return amount;
+        };
+
+        const periodStart = parseDate("period-start", args.periodStart);
+        const periodEnd = parseDate("period-end", args.periodEnd);
+        const { timestamp } = await hre.ethers.provider.getBlock("latest");
+        if (periodStart >= periodEnd || periodEnd > BigInt(timestamp)) {
+          throw taskError(
+            "El período debe empezar antes de terminar y no puede terminar en el futuro"
+          );
+        }
+
+        try {
+          signed = await signStreamingEpoch({
+            revenueShare: parseAddress(hre, "revenue-share", args.revenueShare),
+            files: args.reports
+              .split(",")
+              .map((file) => file.trim())
+              .filter(Boolean),
+            epoch: parseUint("epoch", args.epoch),
+            periodStart,
+            periodEnd,
+            token,
+            pool: args.pool && parseAmount("pool", args.pool),
+            ratePerPlay: args.rate && parseAmount("rate", args.rate),
+            oracle: await getStreamingOracle(hre),
+            out: args.out,
+          });
+        } catch (error) {
+          if (error.errorName) throw error;
+          throw taskError(error.message);
+        }
+        if (args.signOnly) return signed;
+      }
+
+      let result;
+      try {
+        result = await submitStreamingSettlement({
+          ...signed,
+          signer: await getSigner(hre),
+        });
+      } catch (error) {
+        if (error.errorName) throw error;
+        throw taskError(error.message);
+      }
+      printReceipt(result);
+      return { ...signed, ...result };
+    })
+  );
+
+function loadConfigFile(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw taskError(`No se pudo leer --file ${file}: ${error.message}`);
+  }
+  try {
+    return normalizePayoutConfig(raw);
+  } catch (error) {
+    if (error.errorName) throw error;
+    throw taskError(`Configuración inválida en ${file}: ${error.message}`);
+  }
+}
+
+async function getAsset(hre, token) {
+  if (!token) return { symbol: "ETH", decimals: 18 };
+  const erc20 = await hre.ethers.getContractAt(
+    ERC20_ABI,
+    parseAddress(hre, "token", token)
+  );
+  const [symbol, decimals] = await Promise.all([
+    erc20.symbol(),
+    erc20.decimals(),
+  ]);
+  return { symbol, decimals: Number(decimals) };
+}
+
+task(
+  "revenue:simulate",
+  "Simula quién recibe cuánto en un mint o una reventa, sin enviar transacciones"
+)
+  .addParam("tokenId", "ID del token")
+  .addParam(
+    "price",
+    "Precio por token en ETH o en unidades del ERC20 (ej. 0.05)"
+  )
+  .addOptionalParam(
+    "revenueShare",
+    "RevenueShare del que leer la configuración actual"
+  )
+  .addOptionalParam(
+    "file",
+    "Archivo JSON con una configuración propuesta (en lugar de --revenue-share)"
+  )
+  .addOptionalParam(
+    "collection",
+    "Dirección de la colección (default: la del archivo --file)"
+  )
+  .addOptionalParam("quantity", "Cantidad de tokens", "1")
+  .addOptionalParam("kind", "mint o resale", "mint")
+  .addOptionalParam("token", "Token ERC20 del pago (default: ETH)")
+  .addOptionalParam(
+    "royaltyFee",
+    "Royalty de reventa en base 10000 (default: el ERC2981 de la colección)"
+  )
+  .addOptionalParam("csv", "Archivo donde guardar el desglose en CSV")
+  .addFlag(
+    "cascade",
+    "Simula distributeCascadePayment en un mint: cede el porcentaje de cascada a las fuentes (la reventa siempre lo cede)"
+  )
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      if (Boolean(args.revenueShare) === Boolean(args.file)) {
+        throw taskError("Indica --revenue-share o --file (solo uno)");
+      }
+      if (!["mint", "resale"].includes(args.kind)) {
+        throw taskError(`--kind debe ser mint o resale: ${args.kind}`);
+      }
+
+      const tokenId = parseUint("token-id", args.tokenId);
+      const quantity = parseUint("quantity", args.quantity);
+      const royaltyFee =
+        args.royaltyFee !== undefined
+          ? Number(parseUint("royalty-fee", args.royaltyFee, { max: 10000 }))
+          : undefined;
+      const asset = await getAsset(hre, args.token);
+
+      let price;
+      try {
+        price = hre.ethers.parseUnits(args.price, asset.decimals);
+      } catch (_) {
+        throw taskError(`--price no es un monto válido: ${args.price}`);
+      }
+
+      let config;
+      if (args.file) {
+        config = loadConfigFile(args.file);
+        console.log(`📄 Configuración propuesta: ${args.file}`);
+      } else {
+        const collection = parseAddress(
+          hre,
+          "collection",
+          args.collection || ""
+        );
+        const revenueShare = parseAddress(
+          hre,
+          "revenue-share",
+          args.revenueShare
+        );
+        config = await readPayoutConfig({
+          runner: hre.ethers.provider,
+          revenueShare,
+          collection,
+          tokenIds: [tokenId],
+        });
+        console.log(`🔗 Configuración actual de ${revenueShare}`);
+      }
+
+      let result;
+      try {
+        result = simulatePayout(config, {
+          kind: args.kind,
+          tokenId,
+          quantity,
+          price,
+          cascade: args.cascade,
+          royaltyFee,
+        });
+      } catch (error) {
+        throw taskError(error.message);
+      }
+
+      const action = args.kind === "mint" ? "Mint" : "Reventa";
+      console.log(
+        `🧮 ${action} de ${quantity} token(s) #${tokenId} a ${args.price} ${asset.symbol}`
+      );
+      const level = result.levels[args.kind === "mint" ? "mint" : "resale"];
+      if (level) console.log(`📊 Splits de nivel ${level}`);
+      if (result.royalty !== null) {
+        console.log(
+          `👑 Royalty total: ${hre.ethers.formatUnits(result.royalty, asset.decimals)} ${asset.symbol}`
+        );
+      }
+      if (!result.cascade && result.lineage) {
+        console.log(
+          `ℹ️  El token tiene linaje con ${result.lineage.sources.length} fuente(s) y ${result.lineage.percentage / 100}% de cascada: usa --cascade para incluirla`
+        );
+      } else if (
+        !result.cascade &&
+        result.sources.length > 0 &&
+        result.cascadePercentage > 0
+      ) {
+        console.log(
+          `ℹ️  El token hereda de ${result.sources.length} fuente(s) con ${result.cascadePercentage / 100}% de cascada: usa --cascade para incluirla`
+        );
+      }
+
+      console.log(`\n${formatPayoutTable(result, asset)}\n`);
+
+      if (args.csv) {
+        fs.writeFileSync(args.csv, toPayoutCsv(result, asset));
+        console.log(`📝 CSV guardado en ${args.csv}`);
+      }
+      return result;
+    })
+  );
+
+task(
+  "revenue:set-lineage",
+  "Configura las fuentes ponderadas de un remix/playlist (linaje recursivo)"
+)
+  .addParam("revenueShare", "Dirección del RevenueShare")
+  .addParam("collection", "Colección del remix")
+  .addParam("tokenId", "ID del token remix")
+  .addOptionalParam(
+    "sources",
+    'Fuentes "0xColeccion:tokenId:peso,..." (pesos en base 10000)'
+  )
+  .addOptionalParam(
+    "percentage",
+    "Porcentaje del pago que va a las fuentes (base 10000)"
+  )
+  .addFlag("clear", "Borra el linaje (vuelve a la herencia por tokenId)")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const revenueShare = await getRevenueShare(hre, args.revenueShare);
+      const collection = parseAddress(hre, "collection", args.collection);
+      const tokenId = parseUint("token-id", args.tokenId);
+
+      if (args.clear) {
+        if (args.sources) throw taskError("--clear no admite --sources");
+        console.log(`🧹 Borrando el linaje del token ${tokenId}`);
+        printReceipt(
+          await revenueShare.setLineage({
+            collection,
+            tokenId,
+            sources: [],
+            percentage: 0,
+          })
+        );
+        return;
+      }
+      if (!args.sources || args.percentage === undefined) {
+        throw taskError("Indica --sources y --percentage, o --clear");
+      }
+
+      const percentage = Number(
+        parseUint("percentage", args.percentage, { max: 10000 })
+      );
+      let sources;
+      try {
+        sources = validateLineageSources(
+          parseLineageSources(hre, args.sources)
+        );
+      } catch (error) {
+        if (error.errorName) throw error;
+        throw taskError(error.message);
+      }
+      if (sources.length === 0) throw taskError("--sources está vacío");
+
+      console.log(
+        `🌳 Linaje del token ${tokenId}: ${percentage / 100}% a las fuentes`
+      );
+      for (const source of sources) {
+        console.log(
+          `  ${source.collection}#${source.tokenId}: ${source.weight / 100}%`
+        );
+      }
+      printReceipt(
+        await revenueShare.setLineage({
+          collection,
+          tokenId,
+          sources,
+          percentage,
+        })
+      );
+    })
+  );
+
+task(
+  "revenue:lineage",
+  "Muestra el árbol de linaje de un token y proyecta el reparto de un pago"
+)
+  .addParam("revenueShare", "RevenueShare del token")
+  .addParam("collection", "Colección del token")
+  .addParam("tokenId", "ID del token")
+  .addOptionalParam(
+    "amount",
+    "Pago a proyectar en ETH o en unidades del ERC20 (ej. 0.1)"
+  )
+  .addOptionalParam("kind", "mint (distributeCascadePayment) o resale", "mint")
+  .addOptionalParam("token", "Token ERC20 del pago (default: ETH)")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      if (!["mint", "resale"].includes(args.kind)) {
+        throw taskError(`--kind debe ser mint o resale: ${args.kind}`);
+      }
+      const revenueShare = parseAddress(
+        hre,
+        "revenue-share",
+        args.revenueShare
+      );
+      const collection = parseAddress(hre, "collection", args.collection);
+      const tokenId = parseUint("token-id", args.tokenId);
+      const asset = await getAsset(hre, args.token);
+
+      const tree = await readLineageTree({
+        runner: hre.ethers.provider,
+        revenueShare,
+        collection,
+        tokenId,
+        kind: args.kind,
+      });
+
+      let payout;
+      if (args.amount !== undefined) {
+        let amount;
+        try {
+          amount = hre.ethers.parseUnits(args.amount, asset.decimals);
+        } catch (_) {
+          throw taskError(`--amount no es un monto válido: ${args.amount}`);
+        }
+        try {
+          payout = computeLineagePayout(tree, amount);
+        } catch (error) {
+          throw taskError(error.message);
+        }
+      }
+
+      console.log(`🌳 Linaje (${args.kind}):\n`);
+      console.log(formatLineageTree(tree, { payout, ...asset }));
+
+      if (payout) {
+        const format = (value) =>
+          `${hre.ethers.formatUnits(value, asset.decimals)} ${asset.symbol}`;
+        console.log(`\n💰 Reparto de ${format(payout.amount)}:`);
+        for (const { account, amount } of payout.totals) {
+          console.log(`  ${account}: ${format(amount)}`);
+        }
+        console.log(`  sin asignar: ${format(payout.dust)}`);
+      }
+      return { tree, payout };
+    })
+  );
+
+task(
+  "revenue:settle-resale",
+  "Reparte royalties de reventa recibidos por el RevenueShare según los splits de reventa del token"
+)
+  .addParam("revenueShare", "Dirección del RevenueShare")
+  .addParam("collection", "Dirección de la colección")
+  .addParam("tokenId", "ID del token revendido")
+  .addParam("amount", "Monto en ETH o en unidades del ERC20 (ej. 0.05)")
+  .addOptionalParam("token", "Token ERC20 recibido (default: ETH)")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const revenueShare = await getRevenueShare(hre, args.revenueShare);
+      const collection = parseAddress(hre, "collection", args.collection);
+      const tokenId = parseUint("token-id", args.tokenId);
+      const asset = await getAsset(hre, args.token);
+
+      let amount;
+      try {
+        amount = hre.ethers.parseUnits(args.amount, asset.decimals);
+      } catch (_) {
+        throw taskError(`--amount no es un monto válido: ${args.amount}`);
+      }
+      if (amount === 0n) throw taskError("--amount debe ser mayor a 0");
+
+      console.log(
+        `👑 Liquidando ${args.amount} ${asset.symbol} de royalties del token ${tokenId}`
+      );
+      printReceipt(
+        await revenueShare.settleResaleRoyalties({
+          collection,
+          tokenId,
+          token: args.token
+            ? parseAddress(hre, "token", args.token)
+            : hre.ethers.ZeroAddress,
+          amount,
+        })
+      );
+    })
+  );
+
+task(
+  "revenue:reconcile-resale",
+  "Concilia ventas de marketplaces con los royalties de reventa recibidos y repartidos"
+)
+  .addParam("revenueShare", "RevenueShare receptor de los royalties")
+  .addParam("collection", "Dirección de la colección")
+  .addParam(
+    "sales",
+    "CSV (tokenId,price,token,txHash,marketplace) o JSON con las ventas"
+  )
+  .addOptionalParam("fromBlock", "Primer bloque a revisar", "0")
+  .addOptionalParam("out", "JSON donde guardar el reporte")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      // Se carga en la acción: el script requiere el runtime de Hardhat
+      const {
+        reconcileRoyaltiesFile,
+      } = require("../scripts/reconcile-royalties");
+
+      const revenueShare = parseAddress(
+        hre,
+        "revenue-share",
+        args.revenueShare
+      );
+      const collection = parseAddress(hre, "collection", args.collection);
+      const fromBlock = Number(parseUint("from-block", args.fromBlock));
+
+      try {
+        return await reconcileRoyaltiesFile({
+          revenueShare,
+          collection,
+          file: args.sales,
+          fromBlock,
+          out: args.out,
+        });
+      } catch (error) {
+        if (error.errorName) throw error;
+        throw taskError(error.message);
+      }
+    })
+  );
+
+async function getClaimTargets(hre, args) {
+  if (!args.artist === !args.revenueShare) {
+    throw taskError("Indica --artist o --revenue-share (solo uno)");
+  }
+  if (args.revenueShare) {
+    return [parseAddress(hre, "revenue-share", args.revenueShare)];
+  }
+
+  const deployment = await resolveDeployment(hre, {
+    revenueShareFactory:
+      args.factory && parseAddress(hre, "factory", args.factory),
+  });
+  const factory = createRevenueShareFactoryClient({
+    address: deployment.revenueShareFactory,
+    runner: hre.ethers.provider,
+  });
+  const managers = await factory.getArtistManagers(
+    parseAddress(hre, "artist", args.artist)
+  );
+  return managers.map((manager) => manager.managerAddress);
+}
+
+async function findClaimableBalances(hre, args) {
+  const revenueShares = await getClaimTargets(hre, args);
+  const balances = await listClaimableBalances({
+    runner: hre.ethers.provider,
+    revenueShares,
+    account: args.account && parseAddress(hre, "account", args.account),
+    token: args.token && parseAddress(hre, "token", args.token),
+    fromBlock: Number(parseUint("from-block", args.fromBlock)),
+  });
+
+  const assets = new Map();
+  for (const balance of balances) {
+    if (!assets.has(balance.token)) {
+      assets.set(
+        balance.token,
+        await getAsset(
+          hre,
+          balance.token === hre.ethers.ZeroAddress ? undefined : balance.token
+        )
+      );
+    }
+  }
+
+  console.log(
+    `🔎 ${balances.length} saldo(s) reclamable(s) en ${revenueShares.length} revenue share(s)`
+  );
+  for (const balance of balances) {
+    const { symbol, decimals } = assets.get(balance.token);
+    console.log(
+      `  ${balance.revenueShare} → ${balance.account}: ${hre.ethers.formatUnits(balance.amount, decimals)} ${symbol}`
+    );
+  }
+  return balances;
+}
+
+function addClaimParams(definition) {
+  return definition
+    .addOptionalParam("artist", "Revisa todos los revenue shares del artista")
+    .addOptionalParam("revenueShare", "Revisa un solo RevenueShare")
+    .addOptionalParam("account", "Solo los saldos de esta cuenta")
+    .addOptionalParam("token", "Solo los saldos de este token ERC20")
+    .addOptionalParam("fromBlock", "Primer bloque a revisar", "0")
+    .addOptionalParam(
+      "factory",
+      "Dirección del RevenueShareFactory (override)"
+    );
+}
+
+addClaimParams(
+  task(
+    "revenue:claimable",
+    "Lista los saldos pendientes de reclamar en modo escrow"
+  )
+).setAction(
+  withTaskErrors(async (args, hre) => findClaimableBalances(hre, args))
+);
+
+addClaimParams(
+  task(
+    "revenue:claim",
+    "Reclama con claimFor los saldos pendientes (los fondos van a cada destinatario)"
+  )
+)
+  .addOptionalParam(
+    "out",
+    "Guarda un batch para Safe en lugar de enviar las transacciones"
+  )
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      const balances = await findClaimableBalances(hre, args);
+      if (balances.length === 0) {
+        console.log("✅ No hay saldos pendientes");
+        return [];
+      }
+
+      if (args.out) {
+        const { chainId } = await hre.ethers.provider.getNetwork();
+        writeTxBatch(args.out, createClaimBatch({ chainId, balances }));
+        console.log(
+          `📦 Batch con ${balances.length} reclamo(s) guardado en ${args.out}`
+        );
+        return balances;
+      }
+
+      const signer = await getSigner(hre);
+      console.log(`\n💸 Reclamando desde ${signer.address}...`);
+      const results = await executeClaims({
+        signer,
+        balances,
+        onResult: ({ index, account, hash, receipt, error }) => {
+          const label = `${index + 1}/${balances.length} ${account}`;
+          if (error) {
+            console.log(`  ❌ ${label}: ${error}`);
+          } else {
+            console.log(`  ✅ ${label}`);
+            printReceipt({ hash, receipt });
+          }
+        },
+      });
+
+      const failed = results.filter((result) => result.error).length;
+      console.log(
+        failed
+          ? `\n⚠️  ${failed} de ${results.length} reclamo(s) fallaron`
+          : `\n✅ ${results.length} reclamo(s) enviados`
+      );
+      return results;
+    })
+  );
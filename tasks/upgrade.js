@@ -0,0 +1,168 @@
+/**
+ * Tasks para upgrades y checks post-deploy de los contratos de la plataforma
+ */
+const { task } = require("hardhat/config");
+const {
+  parseAddress,
+  parseUint,
+  taskError,
+  withTaskErrors,
+} = require("./utils");
+
+task(
+  "contracts:upgrade",
+  "Valida y aplica upgrades de los factories y templates registrados (o genera la propuesta para el owner)"
+)
+  .addOptionalParam(
+    "contracts",
+    'Contratos a actualizar separados por coma ("all" para todos; clave=Contrato para usar otro contrato)',
+    "musicFactory,revenueFactory"
+  )
+  .addFlag(
+    "dryRun",
+    "Solo valida, muestra el diff de storage y compara version()"
+  )
+  .addOptionalParam(
+    "confirm",
+    "Nombre de la red: confirma un upgrade en mainnet sin terminal interactiva (o CONFIRM_NETWORK)"
+  )
+  .addFlag(
+    "propose",
+    "Genera la propuesta aunque la cuenta sea el owner (automático si no lo es)"
+  )
+  .addOptionalParam("out", "Carpeta de salida de la propuesta")
+  .addOptionalParam(
+    "delay",
+    "Delay en segundos de la operación del timelock (default: su mínimo)"
+  )
+  .addOptionalParam(
+    "salt",
+    "Salt (bytes32) de la operación del timelock (default: aleatorio)"
+  )
+  .addFlag("smoke", "Incluye el smoke test de mint en los checks post-upgrade")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      // Se carga en la acción: el script requiere el runtime de Hardhat
+      const { upgradeContracts } = require("../scripts/upgrade-all-contracts");
+
+      if (args.salt && !hre.ethers.isHexString(args.salt, 32)) {
+        throw taskError(`--salt debe ser un bytes32: ${args.salt}`);
+      }
+      const delay =
+        args.delay === undefined ? undefined : parseUint("delay", args.delay);
+
+      try {
+        return await upgradeContracts({
+          contracts: args.contracts,
+          dryRun: args.dryRun,
+          confirm: args.confirm || process.env.CONFIRM_NETWORK,
+          propose: args.propose,
+          out: args.out,
+          delay,
+          salt: args.salt,
+          smoke: args.smoke,
+        });
+      } catch (error) {
+        throw taskError(error.message);
+      }
+    })
+  );
+
+task(
+  "contracts:record-upgrade",
+  "Verifica en la cadena una propuesta de upgrade ejecutada por el owner y la registra"
+)
+  .addParam("proposal", "proposal.json de la propuesta (o su carpeta)")
+  .addOptionalParam("tx", "Hash de la transacción que ejecutó la propuesta")
+  .addFlag("smoke", "Incluye el smoke test de mint en los checks post-upgrade")
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      // Se carga en la acción: el script requiere el runtime de Hardhat
+      const {
+        recordUpgradeProposal,
+      } = require("../scripts/upgrade-all-contracts");
+
+      if (args.tx && !hre.ethers.isHexString(args.tx, 32)) {
+        throw taskError(`--tx no es un hash de transacción: ${args.tx}`);
+      }
+      try {
+        return await recordUpgradeProposal({
+          proposal: args.proposal,
+          txHash: args.tx,
+          smoke: args.smoke,
+        });
+      } catch (error) {
+        throw taskError(error.message);
+      }
+    })
+  );
+
+task(
+  "contracts:check",
+  "Corre los checks post-deploy sobre el registro de la red y guarda el reporte JSON"
+)
+  .addOptionalParam(
+    "owner",
+    "Owner esperado de los factories (default: el del registro)"
+  )
+  .addFlag(
+    "smoke",
+    "Crea una colección y mintea dentro de un snapshot (siempre en hardhat y localhost)"
+  )
+  .addFlag(
+    "verify",
+    "Verifica los proxies y templates del registro en el explorador"
+  )
+  .addOptionalParam(
+    "out",
+    "Archivo del reporte (default: deployments/<network>/checks/)"
+  )
+  .setAction(
+    withTaskErrors(async (args, hre) => {
+      // Se carga en la acción: el script requiere el runtime de Hardhat
+      const {
+        loadNetworkDeployment,
+        verifyDeployment,
+      } = require("../scripts/utils/deploy-helpers");
+      const {
+        describeFailures,
+        printCheckReport,
+        runPostDeployChecks,
+        writeCheckReport,
+      } = require("../scripts/utils/post-deploy-checks");
+      const {
+        getNetworkProfile,
+      } = require("../scripts/utils/network-profiles");
+
+      const expectedOwner =
+        args.owner && parseAddress(hre, "owner", args.owner);
+      const deployment = await loadNetworkDeployment();
+      if (Object.keys(deployment.contracts).length === 0) {
+        throw taskError(
+          `No hay contratos registrados en ${deployment.network}`
+        );
+      }
+
+      const report = await runPostDeployChecks({
+        deployment,
+        expectedOwner: expectedOwner || deployment.owner,
+        smoke: args.smoke || undefined,
+      });
+      if (args.verify) {
+        if (!getNetworkProfile(hre.network.name).verifier) {
+          throw taskError(
+            `${hre.network.name} no tiene explorador para verificar`
+          );
+        }
+        report.verification = await verifyDeployment(deployment);
+      }
+
+      const file = writeCheckReport(report, args.out);
+      printCheckReport(report);
+      console.log(`\n📝 Reporte guardado en ${file}`);
+
+      const failures = describeFailures(report);
+      if (failures) throw taskError(failures);
+      return { report, file };
+    })
+  );
@@ -0,0 +1,241 @@
+/**
+ * Helpers compartidos por las tasks de Hardhat
+ */
+const fs = require("fs");
+const { HardhatPluginError } = require("hardhat/plugins");
+const {
+  ContractError,
+  MetadataError,
+  computeCid,
+  decodeLogs,
+  loadDeployment,
+  validateMetadata,
+} = require("../sdk");
+
+const PLUGIN_NAME = "tuneport";
+
+/**
+ * Error de validación o de contrato para mostrar sin stack trace
+ * @param {string} message - Mensaje a mostrar
+ */
+function taskError(message) {
+  return new HardhatPluginError(PLUGIN_NAME, message);
+}
+
+/**
+ * Resuelve las direcciones de los factories para la red seleccionada
+ * @param {Object} hre - Hardhat Runtime Environment
+ * @param {Object} [overrides] - { musicFactory, revenueShareFactory }
+ * @returns {Promise<Object>} - Direcciones de los factories
+ */
+async function resolveDeployment(hre, overrides = {}) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  let deployment = {};
+  try {
+    deployment = loadDeployment({ chainId, network: hre.network.name });
+  } catch (error) {
+    if (!overrides.musicFactory && !overrides.revenueShareFactory) {
+      throw taskError(
+        `${error.message}. Usa --factory para indicar la dirección manualmente.`
+      );
+    }
+  }
+
+  return {
+    ...deployment,
+    musicFactory: overrides.musicFactory || deployment.musicFactory,
+    revenueShareFactory:
+      overrides.revenueShareFactory || deployment.revenueShareFactory,
+  };
+}
+
+/**
+ * Devuelve el signer que ejecuta la task
+ * @param {Object} hre - Hardhat Runtime Environment
+ */
+async function getSigner(hre) {
+  const [signer] = await hre.ethers.getSigners();
+  if (!signer) {
+    throw taskError(
+      `No hay cuentas configuradas para la red ${hre.network.name}. Revisa PRIVATE_KEY en .env`
+    );
+  }
+  return signer;
+}
+
+/**
+ * Valida una dirección
+ */
+function parseAddress(hre, name, value, { allowZero = false } = {}) {
+  if (!hre.ethers.isAddress(value)) {
+    throw taskError(`--${name} no es una dirección válida: ${value}`);
+  }
+  const address = hre.ethers.getAddress(value);
+  if (!allowZero && address === hre.ethers.ZeroAddress) {
+    throw taskError(`--${name} no puede ser address(0)`);
+  }
+  return address;
+}
+
+/**
+ * Valida un entero no negativo
+ */
+function parseUint(name, value, { max } = {}) {
+  if (!/^\d+$/.test(String(value))) {
+    throw taskError(`--${name} debe ser un entero no negativo: ${value}`);
+  }
+  const parsed = BigInt(value);
+  if (max !== undefined && parsed > BigInt(max)) {
+    throw taskError(`--${name} no puede ser mayor a ${max}: ${value}`);
+  }
+  return parsed;
+}
+
+/**
+ * Valida un monto en ETH (ej. 0.05) y lo devuelve en wei
+ */
+function parseEtherAmount(hre, name, value) {
+  try {
+    return hre.ethers.parseEther(String(value));
+  } catch (_) {
+    throw taskError(`--${name} no es un monto válido: ${value}`);
+  }
+}
+
+/**
+ * Acepta un timestamp unix en segundos o una fecha ISO (ej. 2024-06-01T18:00:00Z)
+ */
+function parseDate(name, value) {
+  if (/^\d+$/.test(String(value))) {
+    return BigInt(value);
+  }
+  const millis = Date.parse(value);
+  if (Number.isNaN(millis)) {
+    throw taskError(
+      `--${name} debe ser un timestamp unix o una fecha ISO: ${value}`
+    );
+  }
+  return BigInt(Math.floor(millis / 1000));
+}
+
+/**
+ * Parsea splits con formato "0xabc...:7000,0xdef...:3000"
+ */
+function parseSplits(hre, value) {
+  return String(value)
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [account, percentage] = entry.split(":");
+      return {
+        account: parseAddress(hre, "splits", account),
+        percentage: Number(parseUint("splits", percentage, { max: 10000 })),
+      };
+    });
+}
+
+/**
+ * Parsea fuentes de linaje con formato "0xColeccion:tokenId:peso,..."
+ */
+function parseLineageSources(hre, value) {
+  return String(value)
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [collection, tokenId, weight] = entry.split(":");
+      return {
+        collection: parseAddress(hre, "sources", collection),
+        tokenId: parseUint("sources", tokenId),
+        weight: Number(parseUint("sources", weight, { max: 10000 })),
+      };
+    });
+}
+
+/**
+ * Lee un JSON de metadatos, lo valida y calcula su URI de IPFS
+ *
+ * El CID es el de los bytes del archivo tal cual: hay que subir ese mismo
+ * archivo para que el URI resuelva.
+ * @param {string} file - Ruta del JSON
+ * @param {string} [kind] - "track" o "collection"
+ * @returns {{metadata: Object, cid: string, uri: string}}
+ */
+function readMetadataFile(file, kind = "track") {
+  let content;
+  let metadata;
+  try {
+    content = fs.readFileSync(file, "utf8");
+    metadata = JSON.parse(content);
+  } catch (error) {
+    throw taskError(`No se pudo leer ${file}: ${error.message}`);
+  }
+
+  const errors = validateMetadata(metadata, kind);
+  if (errors.length > 0) {
+    throw taskError(`${file}: ${new MetadataError(kind, errors).message}`);
+  }
+  let cid;
+  try {
+    cid = computeCid(content);
+  } catch (error) {
+    throw taskError(`${file}: ${error.message}`);
+  }
+  return { metadata, cid, uri: `ipfs://${cid}` };
+}
+
+/**
+ * Ejecuta la acción de una task convirtiendo errores de contrato en errores legibles
+ * @param {Function} action - Acción async de la task
+ */
+function withTaskErrors(action) {
+  return async (args, hre) => {
+    try {
+      return await action(args, hre);
+    } catch (error) {
+      if (error instanceof ContractError) {
+        throw taskError(`${error.errorName}: ${error.message}`);
+      }
+      throw error;
+    }
+  };
+}
+
+/**
+ * Imprime la transacción y los eventos decodificados de un receipt
+ * @param {Object} result - { hash, receipt }
+ */
+function printReceipt({ hash, receipt }) {
+  console.log(`📝 Tx: ${hash} (bloque ${receipt.blockNumber})`);
+
+  for (const event of decodeLogs(receipt.logs)) {
+    const args = Object.entries(event.args)
+      .map(([key, value]) => `${key}=${formatValue(value)}`)
+      .join(", ");
+    console.log(`  📣 ${event.name}(${args})`);
+  }
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatValue).join(", ")}]`;
+  }
+  return String(value);
+}
+
+module.exports = {
+  getSigner,
+  parseAddress,
+  parseDate,
+  parseEtherAmount,
+  parseLineageSources,
+  parseSplits,
+  parseUint,
+  printReceipt,
+  readMetadataFile,
+  resolveDeployment,
+  taskError,
+  withTaskErrors,
+};
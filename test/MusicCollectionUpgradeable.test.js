@@ -0,0 +1,667 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  DAY,
+  createCollection,
+  createRevenueShare,
+  deployMockERC20,
+  deployPlatform,
+} = require("./helpers/deploy");
+const { buildAllowlist, signMintVoucher } = require("../sdk/presale");
+
+describe("MusicCollectionUpgradeable", function () {
+  const PRICE = ethers.parseEther("0.01");
+  const USDC_PRICE = 5_000_000n; // 5 USDC
+
+  async function deployCollectionFixture() {
+    const [owner, artist, collaborator, buyer, stranger] =
+      await ethers.getSigners();
+    const platform = await deployPlatform();
+    const start = (await time.latest()) + DAY;
+    const collection = await createCollection(platform.musicFactory, {
+      artist,
+      mintStartDate: start,
+      mintEndDate: start + 7 * DAY,
+    });
+
+    const usdc = await deployMockERC20();
+    await usdc.mint(buyer.address, 1_000n * 10n ** 6n);
+
+    return {
+      ...platform,
+      collection,
+      usdc,
+      start,
+      end: start + 7 * DAY,
+      owner,
+      artist,
+      collaborator,
+      buyer,
+      stranger,
+    };
+  }
+
+  /**
+   * Colección con mint abierto y pagos repartidos por un RevenueShare 70/30
+   */
+  async function deploySplitCollectionFixture() {
+    const [, artist, collaborator, buyer] = await ethers.getSigners();
+    const platform = await deployPlatform();
+    const revenueShare = await createRevenueShare(platform.revenueFactory, {
+      artist: artist.address,
+      caller: artist,
+    });
+    const collection = await createCollection(platform.musicFactory, {
+      artist,
+      revenueShare: await revenueShare.getAddress(),
+    });
+    await revenueShare
+      .connect(artist)
+      .setCollectionMintSplits(await collection.getAddress(), [
+        { account: artist.address, percentage: 7000 },
+        { account: collaborator.address, percentage: 3000 },
+      ]);
+    await collection.connect(artist).setMintPrice(PRICE);
+
+    const usdc = await deployMockERC20();
+    await usdc.mint(buyer.address, 1_000n * 10n ** 6n);
+
+    return {
+      ...platform,
+      collection,
+      revenueShare,
+      usdc,
+      artist,
+      collaborator,
+      buyer,
+    };
+  }
+
+  describe("Initialization", function () {
+    it("Debería inicializarse con los datos de la colección", async function () {
+      const { collection, artist, start, end } = await loadFixture(
+        deployCollectionFixture
+      );
+
+      expect(await collection.owner()).to.equal(artist.address);
+      expect(await collection.baseURI()).to.equal("ipfs://album/");
+      expect(await collection.collectionMetadata()).to.equal(
+        "ipfs://album/collection.json"
+      );
+      expect(await collection.mintStartDate()).to.equal(BigInt(start));
+      expect(await collection.mintEndDate()).to.equal(BigInt(end));
+      expect(await collection.version()).to.equal("1.2.0");
+    });
+
+    it("No debería permitir inicializar dos veces", async function () {
+      const { collection, artist, stranger } = await loadFixture(
+        deployCollectionFixture
+      );
+
+      await expect(
+        collection
+          .connect(stranger)
+          .initialize(
+            "Hijack",
+            "HJK",
+            "",
+            "",
+            0,
+            1,
+            0,
+            ethers.ZeroAddress,
+            stranger.address,
+            0,
+            stranger.address,
+            ethers.ZeroAddress
+          )
+      ).to.be.revertedWithCustomError(collection, "InvalidInitialization");
+      expect(await collection.owner()).to.equal(artist.address);
+    });
+
+    it("Debería soportar ERC1155 y ERC2981", async function () {
+      const { collection } = await loadFixture(deployCollectionFixture);
+
+      expect(await collection.supportsInterface("0xd9b67a26")).to.be.true;
+      expect(await collection.supportsInterface("0x2a55205a")).to.be.true;
+    });
+  });
+
+  describe("Mint window", function () {
+    it("Debería rechazar mints antes del inicio y después del final", async function () {
+      const { collection, buyer, usdc, end } = await loadFixture(
+        deployCollectionFixture
+      );
+      await collection.addPaymentToken(await usdc.getAddress(), USDC_PRICE);
+
+      await expect(
+        collection.connect(buyer).mint(buyer.address, 1, 1, 0, "")
+      ).to.be.revertedWithCustomError(collection, "MintNotStarted");
+      await expect(
+        collection
+          .connect(buyer)
+          .mintWithERC20(buyer.address, 1, 1, 0, await usdc.getAddress(), "")
+      ).to.be.revertedWithCustomError(collection, "MintNotStarted");
+
+      await time.increaseTo(end + 1);
+
+      await expect(
+        collection.connect(buyer).mint(buyer.address, 1, 1, 0, "")
+      ).to.be.revertedWithCustomError(collection, "MintEnded");
+      await expect(
+        collection
+          .connect(buyer)
+          .mintWithERC20(buyer.address, 1, 1, 0, await usdc.getAddress(), "")
+      ).to.be.revertedWithCustomError(collection, "MintEnded");
+    });
+
+    it("Debería permitir mintear dentro de la ventana", async function () {
+      const { collection, buyer, start } = await loadFixture(
+        deployCollectionFixture
+      );
+      await time.increaseTo(start);
+
+      await expect(collection.connect(buyer).mint(buyer.address, 1, 2, 0, ""))
+        .to.emit(collection, "TokenMintedWithETH")
+        .withArgs(buyer.address, 1, 2, 0);
+      expect(await collection.balanceOf(buyer.address, 1)).to.equal(2n);
+    });
+
+    it("Debería permitir al owner mover la ventana y rechazar fechas inválidas", async function () {
+      const { collection, stranger } = await loadFixture(
+        deployCollectionFixture
+      );
+      const now = await time.latest();
+
+      await expect(
+        collection.setMintDates(now + DAY, now + DAY)
+      ).to.be.revertedWithCustomError(collection, "InvalidDates");
+      await expect(collection.connect(stranger).setMintDates(now, now + DAY))
+        .to.be.revertedWithCustomError(collection, "OwnableUnauthorizedAccount")
+        .withArgs(stranger.address);
+
+      await expect(collection.setMintDates(now, now + DAY))
+        .to.emit(collection, "MintDatesUpdated")
+        .withArgs(now, now + DAY);
+    });
+
+    it("Debería permitir freeMint al owner fuera de la ventana", async function () {
+      const { collection, artist, stranger } = await loadFixture(
+        deployCollectionFixture
+      );
+
+      await expect(collection.freeMint(artist.address, 1, 1, ""))
+        .to.emit(collection, "TokenMinted")
+        .withArgs(artist.address, 1, 1);
+      await expect(
+        collection.connect(stranger).freeMint(stranger.address, 1, 1, "")
+      ).to.be.revertedWithCustomError(collection, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Max supply", function () {
+    it("Debería rechazar mints que superan el suministro máximo", async function () {
+      const { collection, artist, buyer, start } = await loadFixture(
+        deployCollectionFixture
+      );
+      await expect(collection.setMaxSupply(1, 3))
+        .to.emit(collection, "MaxSupplyUpdated")
+        .withArgs(1, 3);
+      await time.increaseTo(start);
+
+      await collection.connect(buyer).mint(buyer.address, 1, 2, 0, "");
+      await expect(
+        collection.connect(buyer).mint(buyer.address, 1, 2, 0, "")
+      ).to.be.revertedWithCustomError(collection, "ExceedsMaxSupply");
+      await expect(
+        collection.freeMint(artist.address, 1, 2, "")
+      ).to.be.revertedWithCustomError(collection, "ExceedsMaxSupply");
+
+      await collection.freeMint(artist.address, 1, 1, "");
+      expect(await collection["totalSupply(uint256)"](1)).to.equal(3n);
+    });
+  });
+
+  describe("Payments without RevenueShare", function () {
+    it("Debería enviar el ETH del mint al owner", async function () {
+      const { collection, artist, buyer, start } = await loadFixture(
+        deployCollectionFixture
+      );
+      await collection.setMintPrice(PRICE);
+      await time.increaseTo(start);
+
+      await expect(
+        collection
+          .connect(buyer)
+          .mint(buyer.address, 1, 2, PRICE, "", { value: PRICE * 2n })
+      ).to.changeEtherBalances([buyer, artist], [-(PRICE * 2n), PRICE * 2n]);
+    });
+
+    it("Debería rechazar pagos insuficientes", async function () {
+      const { collection, buyer, start } = await loadFixture(
+        deployCollectionFixture
+      );
+      await collection.setMintPrice(PRICE);
+      await time.increaseTo(start);
+
+      await expect(
+        collection
+          .connect(buyer)
+          .mint(buyer.address, 1, 2, PRICE, "", { value: PRICE })
+      ).to.be.revertedWithCustomError(collection, "InsufficientPayment");
+    });
+
+    it("Debería enviar el ERC20 del mint al owner", async function () {
+      const { collection, usdc, artist, buyer, start } = await loadFixture(
+        deployCollectionFixture
+      );
+      const token = await usdc.getAddress();
+      await collection.addPaymentToken(token, USDC_PRICE);
+      await usdc
+        .connect(buyer)
+        .approve(await collection.getAddress(), USDC_PRICE);
+      await time.increaseTo(start);
+
+      await expect(
+        collection
+          .connect(buyer)
+          .mintWithERC20(buyer.address, 1, 1, USDC_PRICE, token, "")
+      )
+        .to.emit(collection, "TokenMintedWithERC20")
+        .withArgs(buyer.address, 1, 1, token, USDC_PRICE);
+      expect(await usdc.balanceOf(artist.address)).to.equal(USDC_PRICE);
+    });
+
+    it("Debería rechazar tokens de pago no aceptados", async function () {
+      const { collection, usdc, buyer, start } = await loadFixture(
+        deployCollectionFixture
+      );
+      await time.increaseTo(start);
+
+      await expect(
+        collection
+          .connect(buyer)
+          .mintWithERC20(
+            buyer.address,
+            1,
+            1,
+            USDC_PRICE,
+            await usdc.getAddress(),
+            ""
+          )
+      ).to.be.revertedWithCustomError(collection, "UnsupportedToken");
+    });
+  });
+
+  describe("Mint price", function () {
+    it("Debería permitir solo al owner fijar el precio de ETH", async function () {
+      const { collection, stranger } = await loadFixture(
+        deployCollectionFixture
+      );
+
+      await expect(collection.setMintPrice(PRICE))
+        .to.emit(collection, "MintPriceUpdated")
+        .withArgs(PRICE);
+      expect(await collection.mintPrice()).to.equal(PRICE);
+      await expect(
+        collection.connect(stranger).setMintPrice(0)
+      ).to.be.revertedWithCustomError(collection, "OwnableUnauthorizedAccount");
+    });
+
+    it("Debería rechazar mints con ETH a un precio distinto o con valor de más", async function () {
+      const { collection, buyer, start } = await loadFixture(
+        deployCollectionFixture
+      );
+      await collection.setMintPrice(PRICE);
+      await time.increaseTo(start);
+
+      await expect(collection.connect(buyer).mint(buyer.address, 1, 1, 0, ""))
+        .to.be.revertedWithCustomError(collection, "PriceMismatch")
+        .withArgs(PRICE, 0);
+      await expect(
+        collection
+          .connect(buyer)
+          .mint(buyer.address, 1, 1, PRICE, "", { value: PRICE * 2n })
+      ).to.be.revertedWithCustomError(collection, "IncorrectValue");
+      await expect(
+        collection
+          .connect(buyer)
+          .mint(buyer.address, 1, 1, 0, "", { value: PRICE })
+      ).to.be.revertedWithCustomError(collection, "PriceMismatch");
+    });
+
+    it("Debería rechazar mints con ERC20 a un precio distinto al aceptado", async function () {
+      const { collection, usdc, buyer, start } = await loadFixture(
+        deployCollectionFixture
+      );
+      const token = await usdc.getAddress();
+      await collection.addPaymentToken(token, USDC_PRICE);
+      await usdc
+        .connect(buyer)
+        .approve(await collection.getAddress(), USDC_PRICE);
+      await time.increaseTo(start);
+
+      await expect(
+        collection
+          .connect(buyer)
+          .mintWithERC20(buyer.address, 1, 1, 0, token, "")
+      )
+        .to.be.revertedWithCustomError(collection, "PriceMismatch")
+        .withArgs(USDC_PRICE, 0);
+      expect(await usdc.balanceOf(buyer.address)).to.equal(1_000n * 10n ** 6n);
+    });
+  });
+
+  describe("Presale", function () {
+    /**
+     * Preventa abierta un día antes del mint público, con allowlist y vouchers
+     */
+    async function deployPresaleFixture() {
+      const ctx = await deployCollectionFixture();
+      const { collection, collaborator, buyer, stranger, usdc } = ctx;
+      const allowlist = buildAllowlist([
+        { to: buyer.address, tokenId: 1, maxAmount: 2, pricePerToken: PRICE },
+        {
+          to: collaborator.address,
+          tokenId: 1,
+          maxAmount: 1,
+          pricePerToken: USDC_PRICE,
+          paymentToken: usdc.target,
+        },
+      ]);
+      await collection.setPresale(
+        await time.latest(),
+        allowlist.root,
+        stranger.address
+      );
+
+      const chainId = (await ethers.provider.getNetwork()).chainId;
+      const signVoucher = async (voucher, signer = stranger) =>
+        signMintVoucher({
+          signer,
+          collection: await collection.getAddress(),
+          chainId,
+          voucher: {
+            deadline: (await time.latest()) + DAY,
+            ...voucher,
+          },
+        });
+
+      return { ...ctx, allowlist, signVoucher };
+    }
+
+    it("Debería mintear con una prueba de la allowlist respetando el cupo", async function () {
+      const { collection, buyer, artist, allowlist } =
+        await loadFixture(deployPresaleFixture);
+      const [entry] = allowlist.entries.filter((e) => e.to === buyer.address);
+      const args = (amount, value) => [
+        entry.to,
+        entry.tokenId,
+        amount,
+        entry.maxAmount,
+        entry.pricePerToken,
+        entry.paymentToken,
+        entry.proof,
+        "",
+        { value },
+      ];
+
+      await expect(
+        collection.connect(buyer).allowlistMint(...args(1, PRICE))
+      ).to.changeEtherBalances([buyer, artist], [-PRICE, PRICE]);
+      expect(await collection.presaleMinted(buyer.address, 1)).to.equal(1n);
+
+      await expect(
+        collection.connect(buyer).allowlistMint(...args(2, PRICE * 2n))
+      )
+        .to.be.revertedWithCustomError(collection, "ExceedsAllowance")
+        .withArgs(1);
+
+      // Otro precio no corresponde a ninguna hoja
+      const cheap = args(1, 0);
+      cheap[4] = 0;
+      await expect(
+        collection.connect(buyer).allowlistMint(...cheap)
+      ).to.be.revertedWithCustomError(collection, "InvalidProof");
+    });
+
+    it("Debería cobrar en ERC20 cuando la entrada lo indica", async function () {
+      const { collection, collaborator, artist, usdc, allowlist } =
+        await loadFixture(deployPresaleFixture);
+      const [entry] = allowlist.entries.filter(
+        (e) => e.to === collaborator.address
+      );
+      await usdc.mint(collaborator.address, USDC_PRICE);
+      await usdc
+        .connect(collaborator)
+        .approve(await collection.getAddress(), USDC_PRICE);
+
+      await expect(
+        collection
+          .connect(collaborator)
+          .allowlistMint(
+            entry.to,
+            entry.tokenId,
+            1,
+            entry.maxAmount,
+            entry.pricePerToken,
+            entry.paymentToken,
+            entry.proof,
+            ""
+          )
+      )
+        .to.emit(collection, "TokenMintedWithERC20")
+        .withArgs(collaborator.address, 1, 1, usdc.target, USDC_PRICE);
+      expect(await usdc.balanceOf(artist.address)).to.equal(USDC_PRICE);
+    });
+
+    it("Debería mintear con un voucher del firmante y rechazar los inválidos", async function () {
+      const { collection, buyer, collaborator, signVoucher } =
+        await loadFixture(deployPresaleFixture);
+
+      const { voucher, signature } = await signVoucher({
+        to: buyer.address,
+        tokenId: 2,
+        maxAmount: 3,
+        pricePerToken: 0,
+      });
+      await expect(
+        collection.connect(buyer).voucherMint(voucher, signature, 3, "")
+      )
+        .to.emit(collection, "TokenMintedWithETH")
+        .withArgs(buyer.address, 2, 3, 0);
+
+      const forged = await signVoucher(
+        { to: buyer.address, tokenId: 2, maxAmount: 10, pricePerToken: 0 },
+        collaborator
+      );
+      await expect(
+        collection
+          .connect(buyer)
+          .voucherMint(forged.voucher, forged.signature, 1, "")
+      ).to.be.revertedWithCustomError(collection, "InvalidVoucher");
+
+      // El voucher firmado no se puede reutilizar con otros datos
+      await expect(
+        collection
+          .connect(buyer)
+          .voucherMint({ ...voucher, maxAmount: 10n }, signature, 1, "")
+      ).to.be.revertedWithCustomError(collection, "InvalidVoucher");
+
+      const expired = await signVoucher({
+        to: buyer.address,
+        tokenId: 2,
+        maxAmount: 5,
+        pricePerToken: 0,
+        deadline: await time.latest(),
+      });
+      await time.increase(1);
+      await expect(
+        collection
+          .connect(buyer)
+          .voucherMint(expired.voucher, expired.signature, 1, "")
+      ).to.be.revertedWithCustomError(collection, "VoucherExpired");
+    });
+
+    it("Debería exigir la ventana de preventa y limitar su configuración al owner", async function () {
+      const { collection, buyer, stranger, signVoucher, end } =
+        await loadFixture(deployPresaleFixture);
+      const { voucher, signature } = await signVoucher({
+        to: buyer.address,
+        tokenId: 1,
+        maxAmount: 1,
+        pricePerToken: 0,
+        deadline: end + DAY,
+      });
+
+      await expect(
+        collection
+          .connect(stranger)
+          .setPresale(0, ethers.ZeroHash, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(collection, "OwnableUnauthorizedAccount");
+      await expect(
+        collection.setPresale(end + 1, ethers.ZeroHash, stranger.address)
+      ).to.be.revertedWithCustomError(collection, "InvalidDates");
+
+      await expect(collection.setPresale(0, ethers.ZeroHash, stranger.address))
+        .to.emit(collection, "PresaleUpdated")
+        .withArgs(0, ethers.ZeroHash, stranger.address);
+      await expect(
+        collection.connect(buyer).voucherMint(voucher, signature, 1, "")
+      ).to.be.revertedWithCustomError(collection, "PresaleNotStarted");
+
+      await collection.setPresale(
+        await time.latest(),
+        ethers.ZeroHash,
+        stranger.address
+      );
+      await time.increaseTo(end + 1);
+      await expect(
+        collection.connect(buyer).voucherMint(voucher, signature, 1, "")
+      ).to.be.revertedWithCustomError(collection, "MintEnded");
+    });
+  });
+
+  describe("Payments with RevenueShare", function () {
+    it("Debería repartir el ETH del mint según los splits", async function () {
+      const { collection, revenueShare, artist, collaborator, buyer } =
+        await loadFixture(deploySplitCollectionFixture);
+      const total = PRICE * 3n;
+
+      const tx = collection
+        .connect(buyer)
+        .mint(buyer.address, 1, 3, PRICE, "", { value: total });
+
+      await expect(tx)
+        .to.emit(revenueShare, "PaymentDistributed")
+        .withArgs(await collection.getAddress(), 1, total);
+      await expect(tx).to.changeEtherBalances(
+        [buyer, artist, collaborator],
+        [-total, (total * 7000n) / 10000n, (total * 3000n) / 10000n]
+      );
+    });
+
+    it("Debería repartir el ERC20 del mint según los splits", async function () {
+      const { collection, revenueShare, usdc, artist, collaborator, buyer } =
+        await loadFixture(deploySplitCollectionFixture);
+      const token = await usdc.getAddress();
+      const total = USDC_PRICE * 2n;
+      await collection.connect(artist).addPaymentToken(token, USDC_PRICE);
+      await usdc.connect(buyer).approve(await collection.getAddress(), total);
+
+      await expect(
+        collection
+          .connect(buyer)
+          .mintWithERC20(buyer.address, 1, 2, USDC_PRICE, token, "")
+      )
+        .to.emit(revenueShare, "ERC20PaymentDistributed")
+        .withArgs(await collection.getAddress(), 1, token, total);
+
+      expect(await usdc.balanceOf(artist.address)).to.equal(
+        (total * 7000n) / 10000n
+      );
+      expect(await usdc.balanceOf(collaborator.address)).to.equal(
+        (total * 3000n) / 10000n
+      );
+      expect(await usdc.balanceOf(await collection.getAddress())).to.equal(0n);
+    });
+  });
+
+  describe("Metadata", function () {
+    it("Debería fijar el URI del token en el primer mint y usar baseURI por defecto", async function () {
+      const { collection, artist, buyer, start } = await loadFixture(
+        deployCollectionFixture
+      );
+      await time.increaseTo(start);
+
+      await expect(
+        collection
+          .connect(buyer)
+          .mint(buyer.address, 1, 1, 0, "ipfs://track-1.json")
+      )
+        .to.emit(collection, "TokenURIUpdated")
+        .withArgs(1, "ipfs://track-1.json");
+
+      // Los mints siguientes no pisan los metadatos
+      await collection
+        .connect(buyer)
+        .mint(buyer.address, 1, 1, 0, "ipfs://other.json");
+      expect(await collection.uri(1)).to.equal("ipfs://track-1.json");
+      expect(await collection.uri(2)).to.equal("ipfs://album/");
+
+      await collection.connect(artist).setTokenURI(2, "ipfs://track-2.json");
+      expect(await collection.uri(2)).to.equal("ipfs://track-2.json");
+    });
+  });
+
+  describe("Upgrades", function () {
+    it("Debería permitir el upgrade al artista conservando el estado", async function () {
+      const { collection, artist } = await loadFixture(deployCollectionFixture);
+      await collection.freeMint(artist.address, 1, 5, "ipfs://track-1.json");
+
+      const V2 = await ethers.getContractFactory(
+        "MusicCollectionUpgradeableV2Mock"
+      );
+      const v2 = await V2.deploy();
+      await collection.upgradeToAndCall(await v2.getAddress(), "0x");
+
+      const upgraded = V2.attach(await collection.getAddress());
+      expect(
+        await upgrades.erc1967.getImplementationAddress(
+          await collection.getAddress()
+        )
+      ).to.equal(await v2.getAddress());
+      expect(await upgraded.migrated()).to.be.true;
+      expect(await upgraded.balanceOf(artist.address, 1)).to.equal(5n);
+      expect(await upgraded.uri(1)).to.equal("ipfs://track-1.json");
+    });
+
+    it("Debería rechazar upgrades de cuentas que no son owner", async function () {
+      const { collection, owner, stranger } = await loadFixture(
+        deployCollectionFixture
+      );
+      const V2 = await ethers.getContractFactory(
+        "MusicCollectionUpgradeableV2Mock"
+      );
+      const v2 = await V2.deploy();
+
+      // Ni siquiera el owner del factory puede actualizar la colección
+      for (const account of [owner, stranger]) {
+        await expect(
+          collection
+            .connect(account)
+            .upgradeToAndCall(await v2.getAddress(), "0x")
+        )
+          .to.be.revertedWithCustomError(
+            collection,
+            "OwnableUnauthorizedAccount"
+          )
+          .withArgs(account.address);
+      }
+    });
+  });
+});
@@ -0,0 +1,552 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  createCollection,
+  createRevenueShare,
+  deployPlatform,
+} = require("./helpers/deploy");
+
+describe("MusicNFTFactoryUpgradeable", function () {
+  async function deployFactoryFixture() {
+    const [owner, artist, otherArtist, user] = await ethers.getSigners();
+    const platform = await deployPlatform();
+    return { ...platform, owner, artist, otherArtist, user };
+  }
+
+  describe("Deployment", function () {
+    it("Debería desplegarse detrás de un proxy UUPS", async function () {
+      const { musicFactory, collectionImpl, owner } =
+        await loadFixture(deployFactoryFixture);
+      const proxy = await musicFactory.getAddress();
+
+      expect(await musicFactory.owner()).to.equal(owner.address);
+      expect(await musicFactory.collectionImplementation()).to.equal(
+        await collectionImpl.getAddress()
+      );
+      expect(await musicFactory.version()).to.equal("1.2.0");
+      expect(
+        await upgrades.erc1967.getImplementationAddress(proxy)
+      ).to.not.equal(proxy);
+    });
+
+    it("No debería permitir inicializar dos veces", async function () {
+      const { musicFactory, collectionImpl } =
+        await loadFixture(deployFactoryFixture);
+
+      await expect(
+        musicFactory.initialize(await collectionImpl.getAddress())
+      ).to.be.revertedWithCustomError(musicFactory, "InvalidInitialization");
+    });
+
+    it("No debería permitir inicializar la implementación directamente", async function () {
+      const { musicFactory, collectionImpl } =
+        await loadFixture(deployFactoryFixture);
+      const implementation = await ethers.getContractAt(
+        "MusicNFTFactoryUpgradeable",
+        await upgrades.erc1967.getImplementationAddress(
+          await musicFactory.getAddress()
+        )
+      );
+
+      await expect(
+        implementation.initialize(await collectionImpl.getAddress())
+      ).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+  });
+
+  describe("createCollection", function () {
+    it("Debería crear una colección inicializada para el artista", async function () {
+      const { musicFactory, artist } = await loadFixture(deployFactoryFixture);
+      const start = await time.latest();
+
+      const collection = await createCollection(musicFactory, {
+        artist,
+        name: "Debut",
+        symbol: "DBT",
+        mintStartDate: start,
+        mintEndDate: start + 3600,
+        mintPrice: ethers.parseEther("0.05"),
+        royaltyFee: 750,
+      });
+
+      expect(await collection.owner()).to.equal(artist.address);
+      expect(await collection.name()).to.equal("Debut");
+      expect(await collection.symbol()).to.equal("DBT");
+      expect(await collection.mintStartDate()).to.equal(BigInt(start));
+      expect(await collection.mintEndDate()).to.equal(BigInt(start + 3600));
+      expect(await collection.mintPrice()).to.equal(ethers.parseEther("0.05"));
+
+      const [receiver, royalty] = await collection.royaltyInfo(1, 10000);
+      expect(receiver).to.equal(artist.address);
+      expect(royalty).to.equal(750n);
+    });
+
+    it("Debería emitir CollectionCreated y registrar la colección", async function () {
+      const { musicFactory, artist, otherArtist } =
+        await loadFixture(deployFactoryFixture);
+      const start = await time.latest();
+
+      await expect(
+        musicFactory
+          .connect(artist)
+          .createCollection(
+            "Album",
+            "ALB",
+            "ipfs://album/",
+            "",
+            start,
+            start + 3600,
+            0,
+            ethers.ZeroAddress,
+            artist.address,
+            500,
+            artist.address,
+            ethers.ZeroAddress
+          )
+      )
+        .to.emit(musicFactory, "CollectionCreated")
+        .withArgs(artist.address, ethers.isAddress, "Album", "ALB");
+
+      const second = await createCollection(musicFactory, { artist });
+      const other = await createCollection(musicFactory, {
+        artist: otherArtist,
+      });
+
+      expect(await musicFactory.getCollectionsCount()).to.equal(3n);
+      expect(
+        await musicFactory.getArtistCollectionsCount(artist.address)
+      ).to.equal(2n);
+      expect(await musicFactory.collections(1)).to.equal(
+        await second.getAddress()
+      );
+      expect(
+        await musicFactory.getArtistCollections(otherArtist.address)
+      ).to.deep.equal([await other.getAddress()]);
+    });
+
+    it("Debería vincular la colección con su RevenueShare", async function () {
+      const { musicFactory, revenueFactory, artist } =
+        await loadFixture(deployFactoryFixture);
+      const revenueShare = await createRevenueShare(revenueFactory, {
+        artist: artist.address,
+        caller: artist,
+      });
+
+      const collection = await createCollection(musicFactory, {
+        artist,
+        revenueShare: await revenueShare.getAddress(),
+      });
+
+      expect(await collection.revenueShare()).to.equal(
+        await revenueShare.getAddress()
+      );
+    });
+
+    for (const clone of [false, true]) {
+      const method = clone ? "createCollectionClone" : "createCollection";
+
+      it(`${method} no debería permitir crear colecciones a nombre de otro artista`, async function () {
+        const { musicFactory, revenueFactory, artist, user } =
+          await loadFixture(deployFactoryFixture);
+        const revenueShare = await createRevenueShare(revenueFactory, {
+          artist: artist.address,
+          caller: artist,
+        });
+
+        for (const overrides of [
+          {},
+          { revenueShare: await revenueShare.getAddress() },
+        ]) {
+          await expect(
+            createCollection(musicFactory, {
+              artist,
+              caller: user,
+              clone,
+              ...overrides,
+            })
+          )
+            .to.be.revertedWithCustomError(musicFactory, "CallerNotArtist")
+            .withArgs(user.address, artist.address);
+        }
+      });
+
+      it(`${method} solo debería vincular RevenueShares del artista creados por el factory`, async function () {
+        const { musicFactory, revenueFactory, artist, user } =
+          await loadFixture(deployFactoryFixture);
+        // RevenueShare de otro artista, aunque lo haya creado el que llama
+        const foreign = await createRevenueShare(revenueFactory, {
+          artist: user.address,
+          caller: artist,
+        });
+        // RevenueShare del artista desplegado fuera del factory
+        const outside = await upgrades.deployProxy(
+          await ethers.getContractFactory("RevenueShareUpgradeable"),
+          [artist.address, artist.address, "Fuera", "Sin factory"],
+          { kind: "uups" }
+        );
+
+        for (const revenueShare of [
+          await foreign.getAddress(),
+          await outside.getAddress(),
+          user.address,
+        ]) {
+          await expect(
+            createCollection(musicFactory, { artist, clone, revenueShare })
+          )
+            .to.be.revertedWithCustomError(musicFactory, "InvalidRevenueShare")
+            .withArgs(revenueShare);
+        }
+      });
+    }
+
+    it("No debería vincular un RevenueShare sin revenueShareFactory configurado", async function () {
+      const { revenueFactory, collectionImpl, artist } =
+        await loadFixture(deployFactoryFixture);
+      const unlinked = await upgrades.deployProxy(
+        await ethers.getContractFactory("MusicNFTFactoryUpgradeable"),
+        [await collectionImpl.getAddress()],
+        { kind: "uups" }
+      );
+      const revenueShare = await createRevenueShare(revenueFactory, {
+        artist: artist.address,
+        caller: artist,
+      });
+
+      await expect(
+        createCollection(unlinked, {
+          artist,
+          revenueShare: await revenueShare.getAddress(),
+        })
+      ).to.be.revertedWithCustomError(unlinked, "RevenueShareFactoryNotSet");
+      expect(
+        await (await createCollection(unlinked, { artist })).owner()
+      ).to.equal(artist.address);
+    });
+  });
+
+  describe("createCollectionClone", function () {
+    it("Debería crear un clon inicializado y registrarlo como colección", async function () {
+      const { musicFactory, collectionImpl, artist, user } =
+        await loadFixture(deployFactoryFixture);
+      const start = await time.latest();
+      const implementation = await collectionImpl.getAddress();
+
+      await expect(
+        musicFactory
+          .connect(artist)
+          .createCollectionClone(
+            "Clon",
+            "CLN",
+            "ipfs://clon/",
+            "",
+            start,
+            start + 3600,
+            1000n,
+            ethers.ZeroAddress,
+            artist.address,
+            500,
+            artist.address,
+            ethers.ZeroAddress
+          )
+      )
+        .to.emit(musicFactory, "CollectionCreated")
+        .withArgs(artist.address, ethers.isAddress, "Clon", "CLN")
+        .and.to.emit(musicFactory, "CollectionCloned")
+        .withArgs(ethers.isAddress, implementation);
+
+      const clone = await ethers.getContractAt(
+        "MusicCollectionUpgradeable",
+        await musicFactory.collections(0),
+        artist
+      );
+      expect(await clone.owner()).to.equal(artist.address);
+      expect(await clone.name()).to.equal("Clon");
+      expect(
+        await musicFactory.getArtistCollections(artist.address)
+      ).to.deep.equal([await clone.getAddress()]);
+
+      // El clon delega siempre en la implementación con la que se creó
+      const code = await ethers.provider.getCode(await clone.getAddress());
+      expect(code).to.have.lengthOf(92);
+      expect(code).to.include(implementation.slice(2).toLowerCase());
+
+      expect(await clone.mintPrice()).to.equal(1000n);
+      await clone.connect(user).mint(user.address, 1, 2, 1000n, "", {
+        value: 2000n,
+      });
+      expect(await clone.balanceOf(user.address, 1)).to.equal(2n);
+
+      await expect(
+        clone.initialize(
+          "Otro",
+          "OTR",
+          "",
+          "",
+          start,
+          start + 3600,
+          0,
+          ethers.ZeroAddress,
+          user.address,
+          0,
+          user.address,
+          ethers.ZeroAddress
+        )
+      ).to.be.revertedWithCustomError(clone, "InvalidInitialization");
+    });
+
+    it("No debería permitir el upgrade de un clon", async function () {
+      const { musicFactory, artist } = await loadFixture(deployFactoryFixture);
+      const clone = await createCollection(musicFactory, {
+        artist,
+        clone: true,
+      });
+      const V2 = await ethers.deployContract(
+        "MusicCollectionUpgradeableV2Mock"
+      );
+
+      await expect(
+        clone.upgradeToAndCall(await V2.getAddress(), "0x")
+      ).to.be.revertedWithCustomError(clone, "UUPSUnauthorizedCallContext");
+    });
+  });
+
+  describe("createRelease", function () {
+    async function releaseParams(overrides = {}) {
+      const start = await time.latest();
+      return {
+        name: "Album",
+        symbol: "ALB",
+        baseURI: "ipfs://album/",
+        collectionMetadata: "ipfs://album/collection.json",
+        mintStartDate: start,
+        mintEndDate: start + 3600,
+        mintPrice: 0n,
+        paymentToken: ethers.ZeroAddress,
+        royaltyReceiver: ethers.ZeroAddress,
+        royaltyFee: 1000,
+        revenueShareName: "Album Revenue",
+        revenueShareDescription: "Splits del álbum",
+        ...overrides,
+      };
+    }
+
+    it("Debería crear la colección y su RevenueShare en las direcciones predichas", async function () {
+      const { musicFactory, revenueFactory, artist, user } =
+        await loadFixture(deployFactoryFixture);
+      const salt = ethers.id("album-2024");
+      const [collectionAddress, revenueShareAddress] =
+        await musicFactory.predictRelease(artist.address, salt);
+      const splits = [
+        { account: artist.address, percentage: 7000 },
+        { account: user.address, percentage: 3000 },
+      ];
+
+      await expect(
+        musicFactory
+          .connect(artist)
+          .createRelease(
+            await releaseParams({ mintPrice: ethers.parseEther("0.01") }),
+            splits,
+            salt
+          )
+      )
+        .to.emit(musicFactory, "ReleaseCreated")
+        .withArgs(artist.address, collectionAddress, revenueShareAddress, salt)
+        .and.to.emit(musicFactory, "CollectionCreated")
+        .withArgs(artist.address, collectionAddress, "Album", "ALB")
+        .and.to.emit(revenueFactory, "RevenueShareCreated")
+        .withArgs(artist.address, revenueShareAddress, "Album Revenue", 0);
+
+      const collection = await ethers.getContractAt(
+        "MusicCollectionUpgradeable",
+        collectionAddress
+      );
+      const revenueShare = await ethers.getContractAt(
+        "RevenueShareUpgradeable",
+        revenueShareAddress
+      );
+      expect(await collection.owner()).to.equal(artist.address);
+      expect(await collection.revenueShare()).to.equal(revenueShareAddress);
+      expect(await collection.mintPrice()).to.equal(ethers.parseEther("0.01"));
+      const [receiver] = await collection.royaltyInfo(1, 10000);
+      expect(receiver).to.equal(revenueShareAddress);
+      expect(await revenueShare.owner()).to.equal(artist.address);
+      expect(
+        (await revenueShare.getCollectionMintSplits(collectionAddress)).map(
+          ([account, percentage]) => [account, Number(percentage)]
+        )
+      ).to.deep.equal(splits.map((share) => [share.account, share.percentage]));
+
+      // El factory no conserva permisos sobre el RevenueShare
+      expect(await revenueShare.isManager(await musicFactory.getAddress())).to
+        .be.false;
+      expect(
+        await revenueFactory.isManagerCreatedByFactory(revenueShareAddress)
+      ).to.be.true;
+      expect(
+        await musicFactory.getArtistCollections(artist.address)
+      ).to.deep.equal([collectionAddress]);
+    });
+
+    it("Debería rechazar salts repetidos y splits inválidos sin crear nada", async function () {
+      const { musicFactory, revenueShareImpl, artist, otherArtist } =
+        await loadFixture(deployFactoryFixture);
+      const salt = ethers.id("single");
+      const params = await releaseParams({ royaltyReceiver: artist.address });
+
+      await expect(
+        musicFactory
+          .connect(artist)
+          .createRelease(
+            params,
+            [{ account: artist.address, percentage: 9000 }],
+            salt
+          )
+      )
+        .to.be.revertedWithCustomError(revenueShareImpl, "InvalidTotal")
+        .withArgs(9000);
+      expect(await musicFactory.getCollectionsCount()).to.equal(0n);
+
+      await musicFactory.connect(artist).createRelease(params, [], salt);
+      await expect(musicFactory.connect(artist).createRelease(params, [], salt))
+        .to.be.revertedWithCustomError(musicFactory, "SaltAlreadyUsed")
+        .withArgs(salt);
+
+      // El mismo salt de otro artista da otras direcciones
+      const [collection] = await musicFactory.predictRelease(
+        otherArtist.address,
+        salt
+      );
+      await musicFactory.connect(otherArtist).createRelease(params, [], salt);
+      expect(
+        await musicFactory.getArtistCollections(otherArtist.address)
+      ).to.deep.equal([collection]);
+    });
+
+    it("Debería requerir el factory de revenue shares", async function () {
+      const { musicFactory, collectionImpl, artist, user } =
+        await loadFixture(deployFactoryFixture);
+      const unlinked = await upgrades.deployProxy(
+        await ethers.getContractFactory("MusicNFTFactoryUpgradeable"),
+        [await collectionImpl.getAddress()],
+        { kind: "uups" }
+      );
+
+      await expect(
+        unlinked
+          .connect(artist)
+          .createRelease(await releaseParams(), [], ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(unlinked, "RevenueShareFactoryNotSet");
+      await expect(
+        unlinked.predictRelease(artist.address, ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(unlinked, "RevenueShareFactoryNotSet");
+
+      await expect(
+        musicFactory.connect(user).setRevenueShareFactory(user.address)
+      ).to.be.revertedWithCustomError(
+        musicFactory,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(
+        musicFactory.setRevenueShareFactory(ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid revenue share factory");
+      await expect(unlinked.setRevenueShareFactory(user.address))
+        .to.emit(unlinked, "RevenueShareFactoryUpdated")
+        .withArgs(user.address);
+    });
+  });
+
+  describe("updateCollectionImplementation", function () {
+    it("Debería usar la nueva implementación para las próximas colecciones", async function () {
+      const { musicFactory, artist } = await loadFixture(deployFactoryFixture);
+      const before = await createCollection(musicFactory, { artist });
+      const previous = await upgrades.erc1967.getImplementationAddress(
+        await before.getAddress()
+      );
+
+      const MusicCollectionUpgradeable = await ethers.getContractFactory(
+        "MusicCollectionUpgradeable"
+      );
+      const newImpl = await MusicCollectionUpgradeable.deploy();
+
+      await expect(
+        musicFactory.updateCollectionImplementation(await newImpl.getAddress())
+      )
+        .to.emit(musicFactory, "ImplementationUpdated")
+        .withArgs(await newImpl.getAddress());
+
+      const after = await createCollection(musicFactory, { artist });
+      expect(
+        await upgrades.erc1967.getImplementationAddress(
+          await after.getAddress()
+        )
+      ).to.equal(await newImpl.getAddress());
+      expect(
+        await upgrades.erc1967.getImplementationAddress(
+          await before.getAddress()
+        )
+      ).to.equal(previous);
+    });
+
+    it("Debería rechazar address(0) y cuentas que no son owner", async function () {
+      const { musicFactory, collectionImpl, user } =
+        await loadFixture(deployFactoryFixture);
+
+      await expect(
+        musicFactory.updateCollectionImplementation(ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid implementation address");
+      await expect(
+        musicFactory
+          .connect(user)
+          .updateCollectionImplementation(await collectionImpl.getAddress())
+      )
+        .to.be.revertedWithCustomError(
+          musicFactory,
+          "OwnableUnauthorizedAccount"
+        )
+        .withArgs(user.address);
+    });
+  });
+
+  describe("Upgrades", function () {
+    it("Debería permitir el upgrade al owner conservando el estado", async function () {
+      const { musicFactory, artist } = await loadFixture(deployFactoryFixture);
+      const collection = await createCollection(musicFactory, { artist });
+
+      const V2 = await ethers.getContractFactory(
+        "MusicNFTFactoryUpgradeableV2Mock"
+      );
+      const upgraded = await upgrades.upgradeProxy(
+        await musicFactory.getAddress(),
+        V2,
+        { kind: "uups" }
+      );
+
+      expect(await upgraded.version()).to.equal("2.0.0");
+      expect(await upgraded.collections(0)).to.equal(
+        await collection.getAddress()
+      );
+    });
+
+    it("Debería rechazar upgrades de cuentas que no son owner", async function () {
+      const { musicFactory, user } = await loadFixture(deployFactoryFixture);
+      const V2 = await ethers.getContractFactory(
+        "MusicNFTFactoryUpgradeableV2Mock"
+      );
+      const v2 = await V2.deploy();
+
+      await expect(
+        musicFactory.connect(user).upgradeToAndCall(await v2.getAddress(), "0x")
+      )
+        .to.be.revertedWithCustomError(
+          musicFactory,
+          "OwnableUnauthorizedAccount"
+        )
+        .withArgs(user.address);
+    });
+  });
+});
@@ -0,0 +1,354 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { createRevenueShare, deployPlatform } = require("./helpers/deploy");
+
+describe("RevenueShareFactoryUpgradeable", function () {
+  async function deployRevenueFactoryFixture() {
+    const [owner, artist, manager, otherArtist, stranger] =
+      await ethers.getSigners();
+    const platform = await deployPlatform();
+    return { ...platform, owner, artist, manager, otherArtist, stranger };
+  }
+
+  describe("Deployment", function () {
+    it("Debería desplegarse detrás de un proxy UUPS", async function () {
+      const { revenueFactory, revenueShareImpl, owner } = await loadFixture(
+        deployRevenueFactoryFixture
+      );
+
+      expect(await revenueFactory.owner()).to.equal(owner.address);
+      expect(await revenueFactory.revenueShareImplementation()).to.equal(
+        await revenueShareImpl.getAddress()
+      );
+      expect(await revenueFactory.version()).to.equal("1.2.0");
+      expect(await revenueFactory.getTotalManagersCreated()).to.equal(0n);
+    });
+
+    it("Debería rechazar inicializaciones con address(0)", async function () {
+      const { revenueShareImpl, owner } = await loadFixture(
+        deployRevenueFactoryFixture
+      );
+      const RevenueShareFactoryUpgradeable = await ethers.getContractFactory(
+        "RevenueShareFactoryUpgradeable"
+      );
+
+      await expect(
+        upgrades.deployProxy(
+          RevenueShareFactoryUpgradeable,
+          [ethers.ZeroAddress, owner.address],
+          { kind: "uups" }
+        )
+      ).to.be.revertedWithCustomError(
+        RevenueShareFactoryUpgradeable,
+        "InvalidArtist"
+      );
+      await expect(
+        upgrades.deployProxy(
+          RevenueShareFactoryUpgradeable,
+          [await revenueShareImpl.getAddress(), ethers.ZeroAddress],
+          { kind: "uups" }
+        )
+      ).to.be.revertedWithCustomError(
+        RevenueShareFactoryUpgradeable,
+        "InvalidArtist"
+      );
+    });
+
+    it("No debería permitir inicializar dos veces", async function () {
+      const { revenueFactory, revenueShareImpl, stranger } = await loadFixture(
+        deployRevenueFactoryFixture
+      );
+
+      await expect(
+        revenueFactory
+          .connect(stranger)
+          .initialize(await revenueShareImpl.getAddress(), stranger.address)
+      ).to.be.revertedWithCustomError(revenueFactory, "InvalidInitialization");
+    });
+  });
+
+  describe("createRevenueShare", function () {
+    it("Debería crear un RevenueShare del artista con quien llama como manager", async function () {
+      const { revenueFactory, artist, manager } = await loadFixture(
+        deployRevenueFactoryFixture
+      );
+
+      const revenueShare = await createRevenueShare(revenueFactory, {
+        artist: artist.address,
+        caller: manager,
+        name: "Tour 2025",
+        description: "Splits de la gira",
+      });
+
+      expect(await revenueShare.owner()).to.equal(artist.address);
+      expect(await revenueShare.name()).to.equal("Tour 2025");
+      expect(await revenueShare.description()).to.equal("Splits de la gira");
+      expect(await revenueShare.isManager(manager.address)).to.be.true;
+      expect(await revenueShare.isManager(artist.address)).to.be.false;
+      expect(
+        await revenueShare.hasRole(
+          await revenueShare.DEFAULT_ADMIN_ROLE(),
+          artist.address
+        )
+      ).to.be.true;
+    });
+
+    it("Debería emitir RevenueShareCreated y registrar el contrato", async function () {
+      const { revenueFactory, artist, otherArtist } = await loadFixture(
+        deployRevenueFactoryFixture
+      );
+
+      await expect(
+        revenueFactory
+          .connect(artist)
+          .createRevenueShare(artist.address, "Single", "Splits del single")
+      )
+        .to.emit(revenueFactory, "RevenueShareCreated")
+        .withArgs(artist.address, ethers.isAddress, "Single", 0);
+
+      const second = await createRevenueShare(revenueFactory, {
+        artist: artist.address,
+        caller: artist,
+        name: "Album",
+      });
+      const other = await createRevenueShare(revenueFactory, {
+        artist: otherArtist.address,
+        caller: otherArtist,
+      });
+
+      expect(await revenueFactory.getTotalManagersCreated()).to.equal(3n);
+      expect(
+        await revenueFactory.getArtistManagerCount(artist.address)
+      ).to.equal(2n);
+      expect(await revenueFactory.getManagerByGlobalIndex(2)).to.equal(
+        await other.getAddress()
+      );
+      await expect(
+        revenueFactory.getManagerByGlobalIndex(3)
+      ).to.be.revertedWith("Index out of bounds");
+
+      const info = await revenueFactory.getManagerByIndex(artist.address, 1);
+      expect(info.managerAddress).to.equal(await second.getAddress());
+      expect(info.name).to.equal("Album");
+      expect(info.createdAt).to.be.greaterThan(0n);
+      expect(
+        await revenueFactory.getArtistManagers(otherArtist.address)
+      ).to.have.lengthOf(1);
+
+      expect(
+        await revenueFactory.isManagerCreatedByFactory(await other.getAddress())
+      ).to.be.true;
+      expect(await revenueFactory.isManagerCreatedByFactory(artist.address)).to
+        .be.false;
+    });
+
+    it("Debería validar artista, nombre y descripción", async function () {
+      const { revenueFactory, artist } = await loadFixture(
+        deployRevenueFactoryFixture
+      );
+
+      await expect(
+        revenueFactory.createRevenueShare(ethers.ZeroAddress, "Album", "Splits")
+      ).to.be.revertedWithCustomError(revenueFactory, "InvalidArtist");
+      await expect(
+        revenueFactory.createRevenueShare(artist.address, "", "Splits")
+      ).to.be.revertedWithCustomError(revenueFactory, "EmptyName");
+      await expect(
+        revenueFactory.createRevenueShare(artist.address, "Album", "")
+      ).to.be.revertedWithCustomError(revenueFactory, "EmptyDescription");
+    });
+  });
+
+  describe("createRevenueShareClone", function () {
+    it("Debería crear un clon del artista con quien llama como manager", async function () {
+      const { revenueFactory, revenueShareImpl, artist, manager } =
+        await loadFixture(deployRevenueFactoryFixture);
+
+      await expect(
+        revenueFactory
+          .connect(manager)
+          .createRevenueShareClone(artist.address, "Clon", "Splits del clon")
+      )
+        .to.emit(revenueFactory, "RevenueShareCreated")
+        .withArgs(artist.address, ethers.isAddress, "Clon", 0)
+        .and.to.emit(revenueFactory, "RevenueShareCloned")
+        .withArgs(ethers.isAddress, await revenueShareImpl.getAddress());
+
+      const clone = await ethers.getContractAt(
+        "RevenueShareUpgradeable",
+        await revenueFactory.getManagerByGlobalIndex(0)
+      );
+      expect(await clone.owner()).to.equal(artist.address);
+      expect(await clone.name()).to.equal("Clon");
+      expect(await clone.isManager(manager.address)).to.be.true;
+      expect(
+        await revenueFactory.isManagerCreatedByFactory(await clone.getAddress())
+      ).to.be.true;
+      await expect(
+        clone.upgradeToAndCall(await revenueShareImpl.getAddress(), "0x")
+      ).to.be.revertedWithCustomError(clone, "UUPSUnauthorizedCallContext");
+    });
+
+    it("Debería validar artista, nombre y descripción", async function () {
+      const { revenueFactory, artist } = await loadFixture(
+        deployRevenueFactoryFixture
+      );
+
+      await expect(
+        revenueFactory.createRevenueShareClone(
+          ethers.ZeroAddress,
+          "Album",
+          "Splits"
+        )
+      ).to.be.revertedWithCustomError(revenueFactory, "InvalidArtist");
+      await expect(
+        revenueFactory.createRevenueShareClone(artist.address, "Album", "")
+      ).to.be.revertedWithCustomError(revenueFactory, "EmptyDescription");
+    });
+  });
+
+  describe("createRevenueShareDeterministic", function () {
+    it("Debería crear el RevenueShare en la dirección predicha", async function () {
+      const { revenueFactory, artist, manager, stranger } = await loadFixture(
+        deployRevenueFactoryFixture
+      );
+      const salt = ethers.id("album-2024");
+      const predicted = await revenueFactory.predictRevenueShareAddress(
+        manager.address,
+        artist.address,
+        salt
+      );
+
+      await expect(
+        revenueFactory
+          .connect(manager)
+          .createRevenueShareDeterministic(
+            artist.address,
+            "Album",
+            "Splits",
+            salt
+          )
+      )
+        .to.emit(revenueFactory, "RevenueShareCreated")
+        .withArgs(artist.address, predicted, "Album", 0);
+
+      const revenueShare = await ethers.getContractAt(
+        "RevenueShareUpgradeable",
+        predicted
+      );
+      expect(await revenueShare.owner()).to.equal(artist.address);
+      expect(await revenueShare.isManager(manager.address)).to.be.true;
+      expect(await revenueFactory.isManagerCreatedByFactory(predicted)).to.be
+        .true;
+
+      // El salt es por cuenta: otra cuenta no ocupa la misma dirección
+      await expect(
+        revenueFactory
+          .connect(manager)
+          .createRevenueShareDeterministic(artist.address, "Otro", "Otro", salt)
+      )
+        .to.be.revertedWithCustomError(revenueFactory, "SaltAlreadyUsed")
+        .withArgs(salt);
+      await revenueFactory
+        .connect(stranger)
+        .createRevenueShareDeterministic(artist.address, "Otro", "Otro", salt);
+      expect(await revenueFactory.getManagerByGlobalIndex(1)).to.not.equal(
+        predicted
+      );
+    });
+  });
+
+  describe("updateRevenueShareImplementation", function () {
+    it("Debería usar la nueva implementación para los próximos contratos", async function () {
+      const { revenueFactory, artist } = await loadFixture(
+        deployRevenueFactoryFixture
+      );
+      const V2 = await ethers.getContractFactory(
+        "RevenueShareUpgradeableV2Mock"
+      );
+      const v2 = await V2.deploy();
+
+      await expect(
+        revenueFactory.updateRevenueShareImplementation(await v2.getAddress())
+      )
+        .to.emit(revenueFactory, "ImplementationUpdated")
+        .withArgs(await v2.getAddress());
+
+      const revenueShare = await createRevenueShare(revenueFactory, {
+        artist: artist.address,
+        caller: artist,
+      });
+      expect(await V2.attach(await revenueShare.getAddress()).migrated()).to.be
+        .true;
+    });
+
+    it("Debería rechazar address(0) y cuentas que no son owner", async function () {
+      const { revenueFactory, revenueShareImpl, stranger } = await loadFixture(
+        deployRevenueFactoryFixture
+      );
+
+      await expect(
+        revenueFactory.updateRevenueShareImplementation(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(revenueFactory, "InvalidArtist");
+      await expect(
+        revenueFactory
+          .connect(stranger)
+          .updateRevenueShareImplementation(await revenueShareImpl.getAddress())
+      )
+        .to.be.revertedWithCustomError(
+          revenueFactory,
+          "OwnableUnauthorizedAccount"
+        )
+        .withArgs(stranger.address);
+    });
+  });
+
+  describe("Upgrades", function () {
+    it("Debería permitir el upgrade al owner conservando el estado", async function () {
+      const { revenueFactory, artist } = await loadFixture(
+        deployRevenueFactoryFixture
+      );
+      const revenueShare = await createRevenueShare(revenueFactory, {
+        artist: artist.address,
+        caller: artist,
+      });
+
+      const RevenueShareFactoryUpgradeable = await ethers.getContractFactory(
+        "RevenueShareFactoryUpgradeable"
+      );
+      const implementation = await upgrades.prepareUpgrade(
+        await revenueFactory.getAddress(),
+        RevenueShareFactoryUpgradeable,
+        { kind: "uups", redeployImplementation: "always" }
+      );
+      await revenueFactory.upgradeToAndCall(implementation, "0x");
+
+      expect(
+        await upgrades.erc1967.getImplementationAddress(
+          await revenueFactory.getAddress()
+        )
+      ).to.equal(implementation);
+      expect(await revenueFactory.getManagerByGlobalIndex(0)).to.equal(
+        await revenueShare.getAddress()
+      );
+    });
+
+    it("Debería rechazar upgrades de cuentas que no son owner", async function () {
+      const { revenueFactory, revenueShareImpl, stranger } = await loadFixture(
+        deployRevenueFactoryFixture
+      );
+
+      await expect(
+        revenueFactory
+          .connect(stranger)
+          .upgradeToAndCall(await revenueShareImpl.getAddress(), "0x")
+      )
+        .to.be.revertedWithCustomError(
+          revenueFactory,
+          "OwnableUnauthorizedAccount"
+        )
+        .withArgs(stranger.address);
+    });
+  });
+});
@@ -0,0 +1,1462 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { signStreamingSettlement } = require("../sdk/streaming");
+const {
+  createCollection,
+  createRevenueShare,
+  deployMockERC20,
+  deployPlatform,
+} = require("./helpers/deploy");
+
+describe("RevenueShareUpgradeable", function () {
+  async function deployRevenueShareFixture() {
+    const [owner, artist, manager, collaborator, producer, payer, stranger] =
+      await ethers.getSigners();
+    const platform = await deployPlatform();
+    const revenueShare = await createRevenueShare(platform.revenueFactory, {
+      artist: artist.address,
+      caller: manager,
+    });
+
+    // Cualquier dirección sirve como colección: los splits se indexan por address
+    const collection = ethers.Wallet.createRandom().address;
+    const usdc = await deployMockERC20();
+    await usdc.mint(payer.address, 1_000_000n * 10n ** 6n);
+    await usdc
+      .connect(payer)
+      .approve(await revenueShare.getAddress(), ethers.MaxUint256);
+
+    return {
+      ...platform,
+      revenueShare,
+      collection,
+      usdc,
+      owner,
+      artist,
+      manager,
+      collaborator,
+      producer,
+      payer,
+      stranger,
+    };
+  }
+
+  /**
+   * RevenueShare con splits de colección 60/40 y un remix (tokenId 2) que
+   * cede el 30% a dos fuentes originales
+   */
+  async function deployCascadeFixture() {
+    const fixture = await deployRevenueShareFixture();
+    const { revenueShare, collection, artist, collaborator, producer } =
+      fixture;
+    const sources = [producer.address, ethers.Wallet.createRandom().address];
+
+    await revenueShare.connect(artist).setCollectionMintSplits(collection, [
+      { account: artist.address, percentage: 6000 },
+      { account: collaborator.address, percentage: 4000 },
+    ]);
+    await revenueShare.connect(artist).setInheritance(2, sources);
+    await revenueShare.connect(artist).setCascadePercentage(2, 3000);
+
+    return { ...fixture, sources };
+  }
+
+  describe("Initialization", function () {
+    it("Debería rechazar owner vacío y nombre vacío", async function () {
+      const { artist } = await loadFixture(deployRevenueShareFixture);
+      const RevenueShareUpgradeable = await ethers.getContractFactory(
+        "RevenueShareUpgradeable"
+      );
+
+      await expect(
+        upgrades.deployProxy(
+          RevenueShareUpgradeable,
+          [ethers.ZeroAddress, artist.address, "Album", ""],
+          { kind: "uups" }
+        )
+      ).to.be.revertedWithCustomError(
+        RevenueShareUpgradeable,
+        "InvalidAddress"
+      );
+      await expect(
+        upgrades.deployProxy(
+          RevenueShareUpgradeable,
+          [artist.address, artist.address, "", ""],
+          { kind: "uups" }
+        )
+      ).to.be.revertedWithCustomError(RevenueShareUpgradeable, "EmptyName");
+    });
+
+    it("No debería permitir inicializar dos veces", async function () {
+      const { revenueShare, stranger } = await loadFixture(
+        deployRevenueShareFixture
+      );
+
+      await expect(
+        revenueShare
+          .connect(stranger)
+          .initialize(stranger.address, stranger.address, "Hijack", "")
+      ).to.be.revertedWithCustomError(revenueShare, "InvalidInitialization");
+    });
+  });
+
+  describe("Roles", function () {
+    it("Debería permitir al owner añadir y quitar managers", async function () {
+      const { revenueShare, artist, collaborator, collection } =
+        await loadFixture(deployRevenueShareFixture);
+      const shares = [{ account: artist.address, percentage: 10000 }];
+
+      await expect(
+        revenueShare.connect(artist).addManager(collaborator.address)
+      )
+        .to.emit(revenueShare, "ManagerAdded")
+        .withArgs(collaborator.address);
+      await revenueShare
+        .connect(collaborator)
+        .setCollectionMintSplits(collection, shares);
+
+      await expect(
+        revenueShare.connect(artist).removeManager(collaborator.address)
+      )
+        .to.emit(revenueShare, "ManagerRemoved")
+        .withArgs(collaborator.address);
+      expect(await revenueShare.isManager(collaborator.address)).to.be.false;
+      await expect(
+        revenueShare
+          .connect(collaborator)
+          .setCollectionMintSplits(collection, shares)
+      ).to.be.revertedWithCustomError(revenueShare, "NotAuthorized");
+    });
+
+    it("Debería reservar la gestión de managers al owner", async function () {
+      const { revenueShare, artist, manager, stranger } = await loadFixture(
+        deployRevenueShareFixture
+      );
+
+      await expect(
+        revenueShare.connect(manager).addManager(stranger.address)
+      ).to.be.revertedWithCustomError(revenueShare, "NotOwner");
+      await expect(
+        revenueShare.connect(stranger).removeManager(manager.address)
+      ).to.be.revertedWithCustomError(revenueShare, "NotOwner");
+      await expect(
+        revenueShare.connect(artist).addManager(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(revenueShare, "InvalidAddress");
+    });
+
+    it("Debería rechazar cambios de configuración de cuentas sin rol", async function () {
+      const { revenueShare, collection, stranger } = await loadFixture(
+        deployRevenueShareFixture
+      );
+      const shares = [{ account: stranger.address, percentage: 10000 }];
+      const asStranger = revenueShare.connect(stranger);
+
+      await expect(
+        asStranger.setMintSplits(collection, 1, shares)
+      ).to.be.revertedWithCustomError(revenueShare, "NotAuthorized");
+      await expect(
+        asStranger.setResaleRoyalties(collection, 1, shares)
+      ).to.be.revertedWithCustomError(revenueShare, "NotAuthorized");
+      await expect(
+        asStranger.setInheritance(1, [stranger.address])
+      ).to.be.revertedWithCustomError(revenueShare, "NotAuthorized");
+      await expect(
+        asStranger.setCascadePercentage(1, 1000)
+      ).to.be.revertedWithCustomError(revenueShare, "NotAuthorized");
+    });
+  });
+
+  describe("Splits", function () {
+    it("Debería priorizar los splits del token sobre los de la colección", async function () {
+      const { revenueShare, collection, manager, artist, collaborator } =
+        await loadFixture(deployRevenueShareFixture);
+      const asManager = revenueShare.connect(manager);
+
+      await asManager.setCollectionMintSplits(collection, [
+        { account: artist.address, percentage: 10000 },
+      ]);
+      await expect(
+        asManager.setMintSplits(collection, 7, [
+          { account: artist.address, percentage: 5000 },
+          { account: collaborator.address, percentage: 5000 },
+        ])
+      ).to.emit(revenueShare, "MintSplitsSet");
+
+      expect(await revenueShare.getMintSplits(collection, 7)).to.deep.equal([
+        [artist.address, 5000n],
+        [collaborator.address, 5000n],
+      ]);
+      expect(await revenueShare.getMintSplits(collection, 8)).to.deep.equal([
+        [artist.address, 10000n],
+      ]);
+    });
+
+    it("Debería validar los splits de mint y reventa", async function () {
+      const { revenueShare, collection, manager, artist, collaborator } =
+        await loadFixture(deployRevenueShareFixture);
+      const asManager = revenueShare.connect(manager);
+      const setters = [
+        (shares) => asManager.setMintSplits(collection, 1, shares),
+        (shares) => asManager.setResaleRoyalties(collection, 1, shares),
+        (shares) => asManager.setCollectionMintSplits(collection, shares),
+        (shares) => asManager.setCollectionResaleRoyalties(collection, shares),
+      ];
+
+      for (const setter of setters) {
+        await expect(setter([])).to.be.revertedWithCustomError(
+          revenueShare,
+          "NoShares"
+        );
+        await expect(
+          setter([{ account: ethers.ZeroAddress, percentage: 10000 }])
+        ).to.be.revertedWithCustomError(revenueShare, "InvalidAddress");
+        await expect(
+          setter([
+            { account: artist.address, percentage: 10000 },
+            { account: collaborator.address, percentage: 0 },
+          ])
+        ).to.be.revertedWithCustomError(revenueShare, "ZeroPercentage");
+        await expect(
+          setter([
+            { account: artist.address, percentage: 6000 },
+            { account: collaborator.address, percentage: 3000 },
+          ])
+        )
+          .to.be.revertedWithCustomError(revenueShare, "InvalidTotal")
+          .withArgs(9000);
+      }
+
+      await expect(
+        asManager.setMintSplits(ethers.ZeroAddress, 1, [
+          { account: artist.address, percentage: 10000 },
+        ])
+      ).to.be.revertedWithCustomError(revenueShare, "InvalidAddress");
+    });
+
+    it("Debería devolver los royalties de reventa efectivos", async function () {
+      const { revenueShare, collection, manager, artist, producer } =
+        await loadFixture(deployRevenueShareFixture);
+      await revenueShare
+        .connect(manager)
+        .setCollectionResaleRoyalties(collection, [
+          { account: artist.address, percentage: 8000 },
+          { account: producer.address, percentage: 2000 },
+        ]);
+
+      expect(await revenueShare.getResaleInfo(collection, 3)).to.deep.equal([
+        [artist.address, 8000n],
+        [producer.address, 2000n],
+      ]);
+      expect(
+        await revenueShare.getCollectionResaleRoyalties(collection)
+      ).to.have.lengthOf(2);
+    });
+  });
+
+  describe("Mint payments", function () {
+    it("Debería repartir pagos en ETH según los splits", async function () {
+      const { revenueShare, collection, manager, artist, collaborator, payer } =
+        await loadFixture(deployRevenueShareFixture);
+      await revenueShare.connect(manager).setCollectionMintSplits(collection, [
+        { account: artist.address, percentage: 7500 },
+        { account: collaborator.address, percentage: 2500 },
+      ]);
+      const amount = ethers.parseEther("1");
+
+      await expect(
+        revenueShare
+          .connect(payer)
+          .distributeMintPayment(collection, 1, { value: amount })
+      ).to.changeEtherBalances(
+        [payer, artist, collaborator],
+        [-amount, ethers.parseEther("0.75"), ethers.parseEther("0.25")]
+      );
+    });
+
+    it("Debería repartir pagos en ERC20 según los splits", async function () {
+      const {
+        revenueShare,
+        collection,
+        usdc,
+        manager,
+        artist,
+        collaborator,
+        payer,
+      } = await loadFixture(deployRevenueShareFixture);
+      await revenueShare.connect(manager).setMintSplits(collection, 1, [
+        { account: artist.address, percentage: 7500 },
+        { account: collaborator.address, percentage: 2500 },
+      ]);
+      const token = await usdc.getAddress();
+
+      await expect(
+        revenueShare
+          .connect(payer)
+          .distributeMintPaymentERC20(collection, 1, token, 100_000_000n)
+      )
+        .to.emit(revenueShare, "ERC20PaymentDistributed")
+        .withArgs(collection, 1, token, 100_000_000n);
+      expect(await usdc.balanceOf(artist.address)).to.equal(75_000_000n);
+      expect(await usdc.balanceOf(collaborator.address)).to.equal(25_000_000n);
+    });
+
+    it("Debería rechazar pagos sin splits, sin monto o sin token", async function () {
+      const { revenueShare, collection, usdc, manager, artist, payer } =
+        await loadFixture(deployRevenueShareFixture);
+      const asPayer = revenueShare.connect(payer);
+      const token = await usdc.getAddress();
+
+      await expect(
+        asPayer.distributeMintPayment(collection, 1, { value: 1 })
+      ).to.be.revertedWithCustomError(revenueShare, "NoShares");
+      await expect(
+        asPayer.distributeMintPaymentERC20(collection, 1, token, 1)
+      ).to.be.revertedWithCustomError(revenueShare, "NoShares");
+
+      await revenueShare
+        .connect(manager)
+        .setCollectionMintSplits(collection, [
+          { account: artist.address, percentage: 10000 },
+        ]);
+      await expect(
+        asPayer.distributeMintPayment(collection, 1)
+      ).to.be.revertedWithCustomError(revenueShare, "InvalidAmount");
+      await expect(
+        asPayer.distributeMintPaymentERC20(collection, 1, token, 0)
+      ).to.be.revertedWithCustomError(revenueShare, "InvalidAmount");
+      await expect(
+        asPayer.distributeMintPaymentERC20(collection, 1, ethers.ZeroAddress, 1)
+      ).to.be.revertedWithCustomError(revenueShare, "InvalidAddress");
+    });
+  });
+
+  describe("Cascade payments", function () {
+    it("Debería ceder el porcentaje de cascada a las fuentes en ETH", async function () {
+      const {
+        revenueShare,
+        collection,
+        sources,
+        artist,
+        collaborator,
+        producer,
+        payer,
+      } = await loadFixture(deployCascadeFixture);
+      const amount = ethers.parseEther("1");
+
+      expect(await revenueShare.getInheritedSources(2)).to.deep.equal(sources);
+      expect(await revenueShare.getCascadePercentage(2)).to.equal(3000n);
+
+      // 30% repartido entre 2 fuentes y el 70% restante según los splits 60/40
+      await expect(
+        revenueShare
+          .connect(payer)
+          .distributeCascadePayment(collection, 2, { value: amount })
+      ).to.changeEtherBalances(
+        [payer, producer, sources[1], artist, collaborator],
+        [
+          -amount,
+          ethers.parseEther("0.15"),
+          ethers.parseEther("0.15"),
+          ethers.parseEther("0.42"),
+          ethers.parseEther("0.28"),
+        ]
+      );
+    });
+
+    it("Debería ceder el porcentaje de cascada a las fuentes en ERC20", async function () {
+      const {
+        revenueShare,
+        collection,
+        usdc,
+        sources,
+        artist,
+        collaborator,
+        payer,
+      } = await loadFixture(deployCascadeFixture);
+
+      await revenueShare
+        .connect(payer)
+        .distributeCascadePaymentERC20(
+          collection,
+          2,
+          await usdc.getAddress(),
+          100_000_000n
+        );
+
+      expect(await usdc.balanceOf(sources[0])).to.equal(15_000_000n);
+      expect(await usdc.balanceOf(sources[1])).to.equal(15_000_000n);
+      expect(await usdc.balanceOf(artist.address)).to.equal(42_000_000n);
+      expect(await usdc.balanceOf(collaborator.address)).to.equal(28_000_000n);
+    });
+
+    it("Debería emitir RecipientPaid por destinatario marcando la cascada", async function () {
+      const {
+        revenueShare,
+        collection,
+        sources,
+        usdc,
+        artist,
+        collaborator,
+        producer,
+        payer,
+      } = await loadFixture(deployCascadeFixture);
+      const token = await usdc.getAddress();
+      const MINT = 0;
+
+      await expect(
+        revenueShare
+          .connect(payer)
+          .distributeCascadePaymentERC20(collection, 2, token, 1_000_000n)
+      )
+        .to.emit(revenueShare, "RecipientPaid")
+        .withArgs(producer.address, collection, 2, token, 150_000n, MINT, true)
+        .and.to.emit(revenueShare, "RecipientPaid")
+        .withArgs(sources[1], collection, 2, token, 150_000n, MINT, true)
+        .and.to.emit(revenueShare, "RecipientPaid")
+        .withArgs(artist.address, collection, 2, token, 420_000n, MINT, false)
+        .and.to.emit(revenueShare, "RecipientPaid")
+        .withArgs(
+          collaborator.address,
+          collection,
+          2,
+          token,
+          280_000n,
+          MINT,
+          false
+        );
+
+      // También con escrow: el evento registra lo devengado, no lo transferido
+      await revenueShare.connect(artist).setEscrowMode(true);
+      await expect(
+        revenueShare
+          .connect(payer)
+          .distributeMintPayment(collection, 1, { value: 100n })
+      )
+        .to.emit(revenueShare, "RecipientPaid")
+        .withArgs(
+          artist.address,
+          collection,
+          1,
+          ethers.ZeroAddress,
+          60n,
+          MINT,
+          false
+        )
+        .and.to.emit(revenueShare, "PaymentAccrued")
+        .withArgs(artist.address, ethers.ZeroAddress, 60n);
+    });
+
+    it("Debería rechazar porcentajes de cascada mayores a 100%", async function () {
+      const { revenueShare, artist } = await loadFixture(deployCascadeFixture);
+
+      await expect(revenueShare.connect(artist).setCascadePercentage(2, 10001))
+        .to.be.revertedWithCustomError(revenueShare, "InvalidTotal")
+        .withArgs(10001);
+    });
+  });
+
+  describe("Resale royalties", function () {
+    /**
+     * Royalties de reventa 50/50 para la colección sobre el remix de
+     * deployCascadeFixture (30% a las fuentes)
+     */
+    async function deployResaleFixture() {
+      const fixture = await deployCascadeFixture();
+      const { revenueShare, collection, artist, collaborator, producer } =
+        fixture;
+      await revenueShare
+        .connect(artist)
+        .setCollectionResaleRoyalties(collection, [
+          { account: collaborator.address, percentage: 5000 },
+          { account: producer.address, percentage: 5000 },
+        ]);
+      return fixture;
+    }
+
+    it("Debería repartir royalties de reventa con cascada en ETH", async function () {
+      const {
+        revenueShare,
+        collection,
+        sources,
+        collaborator,
+        producer,
+        payer,
+      } = await loadFixture(deployResaleFixture);
+      const amount = ethers.parseEther("1");
+
+      // 0.15 a cada fuente y 0.35 a cada split; producer es fuente y split
+      await expect(
+        revenueShare
+          .connect(payer)
+          .distributeResalePayment(collection, 2, { value: amount })
+      ).to.changeEtherBalances(
+        [payer, producer, sources[1], collaborator],
+        [
+          -amount,
+          ethers.parseEther("0.5"),
+          ethers.parseEther("0.15"),
+          ethers.parseEther("0.35"),
+        ]
+      );
+      await expect(
+        revenueShare
+          .connect(payer)
+          .distributeResalePayment(collection, 1, { value: amount })
+      )
+        .to.emit(revenueShare, "ResaleRoyaltiesDistributed")
+        .withArgs(collection, 1, ethers.ZeroAddress, amount, false);
+    });
+
+    it("Debería liquidar royalties recibidos directamente en ETH y ERC20", async function () {
+      const {
+        revenueShare,
+        collection,
+        usdc,
+        artist,
+        manager,
+        collaborator,
+        producer,
+        payer,
+        stranger,
+      } = await loadFixture(deployResaleFixture);
+      const address = await revenueShare.getAddress();
+      const usdcAddress = await usdc.getAddress();
+
+      // Un marketplace paga el royalty ERC2981 sin indicar el token
+      await expect(
+        payer.sendTransaction({ to: address, value: ethers.parseEther("0.2") })
+      )
+        .to.emit(revenueShare, "RoyaltyReceived")
+        .withArgs(payer.address, ethers.parseEther("0.2"));
+      await usdc.connect(payer).transfer(address, 10_000_000n);
+
+      await expect(
+        revenueShare
+          .connect(stranger)
+          .settleResaleRoyalties(collection, 1, ethers.ZeroAddress, 1n)
+      ).to.be.revertedWithCustomError(revenueShare, "NotAuthorized");
+      await expect(
+        revenueShare
+          .connect(manager)
+          .settleResaleRoyalties(
+            collection,
+            1,
+            ethers.ZeroAddress,
+            ethers.parseEther("0.3")
+          )
+      )
+        .to.be.revertedWithCustomError(revenueShare, "InsufficientBalance")
+        .withArgs(ethers.parseEther("0.2"));
+
+      await expect(
+        revenueShare
+          .connect(manager)
+          .settleResaleRoyalties(
+            collection,
+            1,
+            ethers.ZeroAddress,
+            ethers.parseEther("0.2")
+          )
+      ).to.changeEtherBalances(
+        [revenueShare, collaborator, producer],
+        [
+          -ethers.parseEther("0.2"),
+          ethers.parseEther("0.1"),
+          ethers.parseEther("0.1"),
+        ]
+      );
+      await expect(
+        revenueShare
+          .connect(artist)
+          .settleResaleRoyalties(collection, 1, usdcAddress, 10_000_000n)
+      )
+        .to.emit(revenueShare, "ResaleRoyaltiesDistributed")
+        .withArgs(collection, 1, usdcAddress, 10_000_000n, true);
+      expect(await usdc.balanceOf(collaborator.address)).to.equal(5_000_000n);
+      expect(await usdc.balanceOf(address)).to.equal(0n);
+    });
+
+    it("Debería rechazar reventas sin royalties configurados o sin monto", async function () {
+      const { revenueShare, collection, usdc, payer } =
+        await loadFixture(deployCascadeFixture);
+
+      await expect(
+        revenueShare
+          .connect(payer)
+          .distributeResalePayment(collection, 2, { value: 1n })
+      ).to.be.revertedWithCustomError(revenueShare, "NoShares");
+      await expect(
+        revenueShare.connect(payer).distributeResalePayment(collection, 2)
+      ).to.be.revertedWithCustomError(revenueShare, "InvalidAmount");
+      await expect(
+        revenueShare
+          .connect(payer)
+          .distributeResalePaymentERC20(
+            collection,
+            2,
+            await usdc.getAddress(),
+            0n
+          )
+      ).to.be.revertedWithCustomError(revenueShare, "InvalidAmount");
+    });
+  });
+
+  describe("Escrow", function () {
+    /**
+     * Splits 50/50 con un destinatario que rechaza ETH (un contrato sin
+     * receive: el propio USDC de prueba)
+     */
+    async function deployEscrowFixture() {
+      const fixture = await deployRevenueShareFixture();
+      const { revenueShare, collection, artist, usdc } = fixture;
+      const rejecting = await usdc.getAddress();
+      await revenueShare.connect(artist).setCollectionMintSplits(collection, [
+        { account: artist.address, percentage: 5000 },
+        { account: rejecting, percentage: 5000 },
+      ]);
+      return { ...fixture, rejecting };
+    }
+
+    it("Debería acumular saldos en lugar de revertir por un destinatario que rechaza ETH", async function () {
+      const { revenueShare, collection, artist, manager, payer, rejecting } =
+        await loadFixture(deployEscrowFixture);
+      const amount = ethers.parseEther("1");
+      const half = ethers.parseEther("0.5");
+
+      await expect(
+        revenueShare
+          .connect(payer)
+          .distributeMintPayment(collection, 1, { value: amount })
+      ).to.be.revertedWithCustomError(revenueShare, "TransferFailed");
+
+      await expect(
+        revenueShare.connect(manager).setEscrowMode(true)
+      ).to.be.revertedWithCustomError(revenueShare, "NotOwner");
+      await expect(revenueShare.connect(artist).setEscrowMode(true))
+        .to.emit(revenueShare, "EscrowModeUpdated")
+        .withArgs(true);
+
+      await expect(
+        revenueShare
+          .connect(payer)
+          .distributeMintPayment(collection, 1, { value: amount })
+      )
+        .to.emit(revenueShare, "PaymentAccrued")
+        .withArgs(rejecting, ethers.ZeroAddress, half);
+      expect(
+        await revenueShare.claimable(artist.address, ethers.ZeroAddress)
+      ).to.equal(half);
+      expect(await revenueShare.totalClaimable(ethers.ZeroAddress)).to.equal(
+        amount
+      );
+      expect(
+        await ethers.provider.getBalance(await revenueShare.getAddress())
+      ).to.equal(amount);
+    });
+
+    it("Debería permitir reclamar saldos propios y de terceros", async function () {
+      const {
+        revenueShare,
+        collection,
+        usdc,
+        artist,
+        collaborator,
+        payer,
+        stranger,
+        rejecting,
+      } = await loadFixture(deployEscrowFixture);
+      const usdcAddress = await usdc.getAddress();
+      await revenueShare.connect(artist).setEscrowMode(true);
+      await revenueShare
+        .connect(payer)
+        .distributeMintPayment(collection, 1, { value: 1000n });
+      await revenueShare
+        .connect(artist)
+        .setCollectionMintSplits(collection, [
+          { account: collaborator.address, percentage: 10000 },
+        ]);
+      await revenueShare
+        .connect(payer)
+        .distributeMintPaymentERC20(collection, 1, usdcAddress, 3_000_000n);
+
+      await expect(
+        revenueShare.connect(artist).claim(ethers.ZeroAddress)
+      ).to.changeEtherBalances([revenueShare, artist], [-500n, 500n]);
+      await expect(
+        revenueShare.connect(artist).claim(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(revenueShare, "NothingToClaim");
+
+      // claimFor paga a la cuenta con saldo, no a quien llama
+      await expect(
+        revenueShare
+          .connect(stranger)
+          .claimFor(collaborator.address, usdcAddress)
+      )
+        .to.emit(revenueShare, "Claimed")
+        .withArgs(
+          collaborator.address,
+          usdcAddress,
+          3_000_000n,
+          collaborator.address
+        );
+      expect(await usdc.balanceOf(collaborator.address)).to.equal(3_000_000n);
+
+      // Desactivar el escrow no bloquea los saldos pendientes
+      await revenueShare.connect(artist).setEscrowMode(false);
+      await expect(
+        revenueShare.connect(stranger).claimFor(rejecting, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(revenueShare, "TransferFailed");
+      expect(
+        await revenueShare.claimable(rejecting, ethers.ZeroAddress)
+      ).to.equal(500n);
+    });
+
+    it("Debería permitir a un contrato que rechaza ETH retirar su saldo a otra cuenta", async function () {
+      const {
+        revenueShare,
+        collection,
+        artist,
+        collaborator,
+        payer,
+        stranger,
+      } = await loadFixture(deployRevenueShareFixture);
+      const wallet = await (
+        await ethers.getContractFactory("ContractWalletMock", artist)
+      ).deploy();
+      const walletAddress = await wallet.getAddress();
+      const revenueShareAddress = await revenueShare.getAddress();
+      await revenueShare.connect(artist).setCollectionMintSplits(collection, [
+        { account: artist.address, percentage: 5000 },
+        { account: walletAddress, percentage: 5000 },
+      ]);
+      await revenueShare.connect(artist).setEscrowMode(true);
+      await revenueShare
+        .connect(payer)
+        .distributeMintPayment(collection, 1, { value: 1000n });
+
+      await expect(
+        revenueShare
+          .connect(stranger)
+          .claimFor(walletAddress, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(revenueShare, "TransferFailed");
+      // Solo la cuenta con saldo puede elegir otro destino
+      await expect(
+        revenueShare
+          .connect(stranger)
+          .claimTo(ethers.ZeroAddress, stranger.address)
+      ).to.be.revertedWithCustomError(revenueShare, "NothingToClaim");
+      await expect(
+        revenueShare
+          .connect(artist)
+          .claimTo(ethers.ZeroAddress, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(revenueShare, "InvalidAddress");
+
+      const claimTo = wallet.execute(
+        revenueShareAddress,
+        revenueShare.interface.encodeFunctionData("claimTo", [
+          ethers.ZeroAddress,
+          collaborator.address,
+        ])
+      );
+      await expect(claimTo)
+        .to.emit(revenueShare, "Claimed")
+        .withArgs(
+          walletAddress,
+          ethers.ZeroAddress,
+          500n,
+          collaborator.address
+        );
+      await expect(claimTo).to.changeEtherBalances(
+        [revenueShare, collaborator],
+        [-500n, 500n]
+      );
+      expect(
+        await revenueShare.claimable(walletAddress, ethers.ZeroAddress)
+      ).to.equal(0n);
+      expect(await revenueShare.totalClaimable(ethers.ZeroAddress)).to.equal(
+        500n
+      );
+    });
+
+    it("No debería liquidar royalties con fondos reservados para el escrow", async function () {
+      const { revenueShare, collection, artist, payer } =
+        await loadFixture(deployEscrowFixture);
+      await revenueShare.connect(artist).setEscrowMode(true);
+      await revenueShare
+        .connect(payer)
+        .distributeMintPayment(collection, 1, { value: 1000n });
+      await payer.sendTransaction({
+        to: await revenueShare.getAddress(),
+        value: 300n,
+      });
+
+      await expect(
+        revenueShare
+          .connect(artist)
+          .settleResaleRoyalties(collection, 1, ethers.ZeroAddress, 301n)
+      )
+        .to.be.revertedWithCustomError(revenueShare, "InsufficientBalance")
+        .withArgs(300n);
+    });
+  });
+
+  describe("Lineage", function () {
+    /**
+     * Originales 1 (artista) y 2 (colaborador), el remix 3 que cede el 20%
+     * a 1 y 2 con pesos 70/30, y el remix 4 (remix del remix) que cede el
+     * 50% al 3. Cada token cobra por sus propios splits
+     */
+    async function deployLineageFixture() {
+      const fixture = await deployRevenueShareFixture();
+      const { revenueShare, collection, artist, collaborator, producer } =
+        fixture;
+      const stranger = fixture.stranger;
+      const asArtist = revenueShare.connect(artist);
+      const owners = {
+        1: artist,
+        2: collaborator,
+        3: producer,
+        4: stranger,
+      };
+      for (const [tokenId, account] of Object.entries(owners)) {
+        await asArtist.setMintSplits(collection, tokenId, [
+          { account: account.address, percentage: 10000 },
+        ]);
+        await asArtist.setResaleRoyalties(collection, tokenId, [
+          { account: account.address, percentage: 10000 },
+        ]);
+      }
+      await asArtist.setLineage(
+        collection,
+        3,
+        [
+          { collection, tokenId: 1, weight: 7000 },
+          { collection, tokenId: 2, weight: 3000 },
+        ],
+        2000
+      );
+      await asArtist.setLineage(
+        collection,
+        4,
+        [{ collection, tokenId: 3, weight: 10000 }],
+        5000
+      );
+      return fixture;
+    }
+
+    it("Debería pagar un remix de un remix a través de los splits de cada original", async function () {
+      const {
+        revenueShare,
+        collection,
+        artist,
+        collaborator,
+        producer,
+        stranger,
+        payer,
+      } = await loadFixture(deployLineageFixture);
+
+      // 10000: 5000 al remix 3 (1000 cedidos a 1 y 2 con 70/30) y 5000 al 4
+      await expect(
+        revenueShare
+          .connect(payer)
+          .distributeCascadePayment(collection, 4, { value: 10000n })
+      ).to.changeEtherBalances(
+        [artist, collaborator, producer, stranger, revenueShare],
+        [700n, 300n, 4000n, 5000n, 0n]
+      );
+
+      await expect(
+        revenueShare
+          .connect(payer)
+          .distributeResalePayment(collection, 3, { value: 1000n })
+      ).to.changeEtherBalances(
+        [artist, collaborator, producer],
+        [140n, 60n, 800n]
+      );
+
+      const [sources, percentage] = await revenueShare.getLineage(
+        collection,
+        3
+      );
+      expect(sources.map((source) => source.weight)).to.deep.equal([
+        7000n,
+        3000n,
+      ]);
+      expect(percentage).to.equal(2000n);
+    });
+
+    it("Debería priorizar el linaje sobre la herencia por tokenId", async function () {
+      const { revenueShare, collection, artist, producer, stranger, payer } =
+        await loadFixture(deployLineageFixture);
+      await revenueShare.connect(artist).setInheritance(3, [stranger.address]);
+      await revenueShare.connect(artist).setCascadePercentage(3, 9000);
+
+      await expect(
+        revenueShare
+          .connect(payer)
+          .distributeCascadePayment(collection, 3, { value: 1000n })
+      ).to.changeEtherBalances([stranger, producer], [0n, 800n]);
+
+      // Al borrar el linaje vuelve a aplicar la herencia anterior
+      await expect(
+        revenueShare.connect(artist).setLineage(collection, 3, [], 2000)
+      )
+        .to.emit(revenueShare, "LineageSet")
+        .withArgs(collection, 3, [], 0);
+      await expect(
+        revenueShare
+          .connect(payer)
+          .distributeCascadePayment(collection, 3, { value: 1000n })
+      ).to.changeEtherBalances([stranger, producer], [900n, 100n]);
+    });
+
+    it("Debería rechazar ciclos, pesos inválidos y linajes demasiado profundos", async function () {
+      const { revenueShare, collection, artist, stranger } =
+        await loadFixture(deployLineageFixture);
+      const asArtist = revenueShare.connect(artist);
+      const source = (tokenId, weight = 10000) => ({
+        collection,
+        tokenId,
+        weight,
+      });
+
+      await expect(asArtist.setLineage(collection, 1, [source(4)], 1000))
+        .to.be.revertedWithCustomError(revenueShare, "LineageCycle")
+        .withArgs(collection, 1);
+      await expect(asArtist.setLineage(collection, 5, [source(5)], 1000))
+        .to.be.revertedWithCustomError(revenueShare, "LineageCycle")
+        .withArgs(collection, 5);
+      await expect(
+        asArtist.setLineage(
+          collection,
+          5,
+          [source(1, 6000), source(2, 3000)],
+          1000
+        )
+      )
+        .to.be.revertedWithCustomError(revenueShare, "InvalidTotal")
+        .withArgs(9000);
+      await expect(
+        asArtist.setLineage(collection, 5, [source(1, 0)], 1000)
+      ).to.be.revertedWithCustomError(revenueShare, "ZeroPercentage");
+      await expect(
+        asArtist.setLineage(collection, 5, [source(1)], 10001)
+      ).to.be.revertedWithCustomError(revenueShare, "InvalidTotal");
+      await expect(
+        asArtist.setLineage(
+          collection,
+          5,
+          Array.from({ length: 9 }, (_, i) =>
+            source(10 + i, i === 0 ? 2000 : 1000)
+          ),
+          1000
+        )
+      )
+        .to.be.revertedWithCustomError(revenueShare, "TooManySources")
+        .withArgs(8);
+      await expect(
+        revenueShare
+          .connect(stranger)
+          .setLineage(collection, 5, [source(1)], 1000)
+      ).to.be.revertedWithCustomError(revenueShare, "NotAuthorized");
+
+      // 4 -> 3 -> 1 ya tiene 2 niveles: se permiten 2 más y no un tercero
+      await asArtist.setMintSplits(collection, 5, [
+        { account: artist.address, percentage: 10000 },
+      ]);
+      await asArtist.setLineage(collection, 5, [source(4)], 1000);
+      await asArtist.setLineage(collection, 6, [source(5)], 1000);
+      await expect(asArtist.setLineage(collection, 7, [source(6)], 1000))
+        .to.be.revertedWithCustomError(revenueShare, "LineageTooDeep")
+        .withArgs(4);
+    });
+
+    it("Debería cortar la cascada en la profundidad máxima", async function () {
+      const {
+        revenueShare,
+        collection,
+        artist,
+        collaborator,
+        producer,
+        stranger,
+        payer,
+      } = await loadFixture(deployLineageFixture);
+      const asArtist = revenueShare.connect(artist);
+      await asArtist.setMintSplits(collection, 5, [
+        { account: artist.address, percentage: 10000 },
+      ]);
+      await asArtist.setMintSplits(collection, 6, [
+        { account: artist.address, percentage: 10000 },
+      ]);
+      await asArtist.setLineage(
+        collection,
+        5,
+        [{ collection, tokenId: 4, weight: 10000 }],
+        10000
+      );
+      await asArtist.setLineage(
+        collection,
+        6,
+        [{ collection, tokenId: 5, weight: 10000 }],
+        10000
+      );
+
+      // 6 -> 5 -> 4 -> 3 -> 1/2: el token 1 queda en el nivel 4, así que su
+      // nuevo linaje no se aplica y cobra todo por sus splits
+      await asArtist.setMintSplits(collection, 9, [
+        { account: payer.address, percentage: 10000 },
+      ]);
+      await asArtist.setLineage(
+        collection,
+        1,
+        [{ collection, tokenId: 9, weight: 10000 }],
+        10000
+      );
+      await expect(
+        revenueShare
+          .connect(payer)
+          .distributeCascadePayment(collection, 6, { value: 10000n })
+      ).to.changeEtherBalances(
+        [artist, collaborator, producer, stranger],
+        [700n, 300n, 4000n, 5000n]
+      );
+
+      // En la raíz (nivel 0) sí aplica: todo va a los splits del token 9
+      await expect(
+        revenueShare
+          .connect(stranger)
+          .distributeCascadePayment(collection, 1, { value: 1000n })
+      ).to.changeEtherBalances([artist, payer], [0n, 1000n]);
+    });
+
+    it("Debería rechazar en setLineage una fuente local sin splits", async function () {
+      const { revenueShare, collection, artist, producer } =
+        await loadFixture(deployLineageFixture);
+      const asArtist = revenueShare.connect(artist);
+
+      // El token 9 no tiene splits propios ni de colección
+      await expect(
+        asArtist.setLineage(
+          collection,
+          1,
+          [{ collection, tokenId: 9, weight: 10000 }],
+          5000
+        )
+      )
+        .to.be.revertedWithCustomError(revenueShare, "SourceWithoutSplits")
+        .withArgs(collection, 9);
+
+      // Con splits de colección alcanza para cualquier token de esa colección
+      const other = ethers.Wallet.createRandom().address;
+      const toOther = [{ collection: other, tokenId: 7, weight: 10000 }];
+      await expect(asArtist.setLineage(collection, 1, toOther, 5000))
+        .to.be.revertedWithCustomError(revenueShare, "SourceWithoutSplits")
+        .withArgs(other, 7);
+      await asArtist.setCollectionMintSplits(other, [
+        { account: producer.address, percentage: 10000 },
+      ]);
+      await expect(asArtist.setLineage(collection, 1, toOther, 5000)).to.emit(
+        revenueShare,
+        "LineageSet"
+      );
+    });
+
+    it("Debería repartir por sus splits de mint la reventa de una fuente local sin royalties de reventa", async function () {
+      const {
+        revenueShare,
+        collection,
+        artist,
+        manager,
+        collaborator,
+        producer,
+        payer,
+      } = await loadFixture(deployRevenueShareFixture);
+      const asArtist = revenueShare.connect(artist);
+      // El original 1 solo tiene splits de mint; el remix 2 cede el 50%
+      await asArtist.setMintSplits(collection, 1, [
+        { account: collaborator.address, percentage: 10000 },
+      ]);
+      await asArtist.setResaleRoyalties(collection, 2, [
+        { account: producer.address, percentage: 10000 },
+      ]);
+      await asArtist.setLineage(
+        collection,
+        2,
+        [{ collection, tokenId: 1, weight: 10000 }],
+        5000
+      );
+
+      await expect(
+        revenueShare
+          .connect(payer)
+          .distributeResalePayment(collection, 2, { value: 1000n })
+      ).to.changeEtherBalances([collaborator, producer], [500n, 500n]);
+
+      // Un royalty ERC2981 recibido directamente tampoco queda bloqueado
+      await payer.sendTransaction({
+        to: await revenueShare.getAddress(),
+        value: 1000n,
+      });
+      await expect(
+        revenueShare
+          .connect(manager)
+          .settleResaleRoyalties(collection, 2, ethers.ZeroAddress, 1000n)
+      ).to.changeEtherBalances(
+        [revenueShare, collaborator, producer],
+        [-1000n, 500n, 500n]
+      );
+    });
+
+    it("Debería enviar la parte de una fuente al RevenueShare de su colección", async function () {
+      const {
+        revenueShare,
+        revenueFactory,
+        musicFactory,
+        collection,
+        artist,
+        collaborator,
+        producer,
+        payer,
+        usdc,
+      } = await loadFixture(deployLineageFixture);
+      const other = await createRevenueShare(revenueFactory, {
+        artist: collaborator.address,
+        caller: collaborator,
+      });
+      const otherAddress = await other.getAddress();
+      const original = await createCollection(musicFactory, {
+        artist: collaborator,
+        revenueShare: otherAddress,
+      });
+      const originalAddress = await original.getAddress();
+      await other
+        .connect(collaborator)
+        .setCollectionMintSplits(originalAddress, [
+          { account: collaborator.address, percentage: 6000 },
+          { account: artist.address, percentage: 4000 },
+        ]);
+
+      await revenueShare
+        .connect(artist)
+        .setLineage(
+          collection,
+          3,
+          [{ collection: originalAddress, tokenId: 1, weight: 10000 }],
+          5000
+        );
+      expect(
+        await revenueShare.getSourceRevenueShare(originalAddress)
+      ).to.equal(otherAddress);
+      expect(await revenueShare.getSourceRevenueShare(collection)).to.equal(
+        await revenueShare.getAddress()
+      );
+
+      await expect(
+        revenueShare
+          .connect(payer)
+          .distributeCascadePayment(collection, 3, { value: 1000n })
+      )
+        .to.emit(revenueShare, "LineagePaymentForwarded")
+        .withArgs(otherAddress, originalAddress, 1, ethers.ZeroAddress, 500n)
+        .and.to.emit(other, "PaymentDistributed")
+        .withArgs(originalAddress, 1, 500n);
+
+      await revenueShare
+        .connect(payer)
+        .distributeCascadePaymentERC20(
+          collection,
+          3,
+          await usdc.getAddress(),
+          10_000n
+        );
+      expect(await usdc.balanceOf(collaborator.address)).to.equal(3000n);
+      expect(await usdc.balanceOf(artist.address)).to.equal(2000n);
+      expect(await usdc.balanceOf(producer.address)).to.equal(5000n);
+    });
+
+    it("Debería dejar reclamable la parte de una fuente remota que revierte", async function () {
+      const {
+        revenueShare,
+        revenueFactory,
+        musicFactory,
+        artist,
+        collaborator,
+        producer,
+        payer,
+        usdc,
+      } = await loadFixture(deployLineageFixture);
+      const revenueShareAddress = await revenueShare.getAddress();
+      const remixes = await (
+        await createCollection(musicFactory, {
+          artist,
+          revenueShare: revenueShareAddress,
+        })
+      ).getAddress();
+      const other = await createRevenueShare(revenueFactory, {
+        artist: collaborator.address,
+        caller: collaborator,
+      });
+      const otherAddress = await other.getAddress();
+      const original = await (
+        await createCollection(musicFactory, {
+          artist: collaborator,
+          revenueShare: otherAddress,
+        })
+      ).getAddress();
+      const asArtist = revenueShare.connect(artist);
+      const toOriginal = [{ collection: original, tokenId: 1, weight: 10000 }];
+
+      await asArtist.setMintSplits(remixes, 3, [
+        { account: producer.address, percentage: 10000 },
+      ]);
+      await asArtist.setResaleRoyalties(remixes, 3, [
+        { account: producer.address, percentage: 10000 },
+      ]);
+      // Sin splits en el otro RevenueShare la fuente se rechaza al configurarla
+      await expect(asArtist.setLineage(remixes, 3, toOriginal, 5000))
+        .to.be.revertedWithCustomError(revenueShare, "SourceWithoutSplits")
+        .withArgs(original, 1);
+
+      await other
+        .connect(collaborator)
+        .setCollectionMintSplits(original, [
+          { account: collaborator.address, percentage: 10000 },
+        ]);
+      await asArtist.setLineage(remixes, 3, toOriginal, 5000);
+      // El dueño de la fuente apunta su linaje de vuelta al remix
+      await other
+        .connect(collaborator)
+        .setLineage(
+          original,
+          1,
+          [{ collection: remixes, tokenId: 3, weight: 10000 }],
+          10000
+        );
+
+      // La vuelta revierte por el nonReentrant: queda reclamable en el otro
+      // contrato y el remix cobra su parte
+      const cascade = revenueShare
+        .connect(payer)
+        .distributeCascadePayment(remixes, 3, { value: 1000n });
+      await expect(cascade)
+        .to.emit(other, "LineagePaymentFailed")
+        .withArgs(revenueShareAddress, remixes, 3, ethers.ZeroAddress, 500n);
+      await expect(cascade).to.changeEtherBalances([producer], [500n]);
+      expect(
+        await other.claimable(revenueShareAddress, ethers.ZeroAddress)
+      ).to.equal(500n);
+
+      const usdcAddress = await usdc.getAddress();
+      await revenueShare
+        .connect(payer)
+        .distributeCascadePaymentERC20(remixes, 3, usdcAddress, 10_000n);
+      expect(await usdc.balanceOf(producer.address)).to.equal(5000n);
+      expect(await other.claimable(revenueShareAddress, usdcAddress)).to.equal(
+        5000n
+      );
+      expect(await usdc.allowance(otherAddress, revenueShareAddress)).to.equal(
+        0n
+      );
+
+      // La fuente no tiene royalties de reventa: su parte queda reclamable
+      // para el otro RevenueShare, que la recibe con claimFor
+      const resale = revenueShare
+        .connect(payer)
+        .distributeResalePayment(remixes, 3, { value: 1000n });
+      await expect(resale)
+        .to.emit(revenueShare, "LineagePaymentFailed")
+        .withArgs(otherAddress, original, 1, ethers.ZeroAddress, 500n);
+      await expect(resale).to.changeEtherBalances([producer], [500n]);
+      await expect(
+        revenueShare.connect(payer).claimFor(otherAddress, ethers.ZeroAddress)
+      )
+        .to.emit(other, "RoyaltyReceived")
+        .withArgs(revenueShareAddress, 500n);
+    });
+  });
+
+  describe("Streaming", function () {
+    /**
+     * Cascada con el owner de la plataforma como oráculo y una época de
+     * 150 USDC: 50 para el token 1 y 100 para el remix 2
+     */
+    async function deployStreamingFixture() {
+      const fixture = await deployCascadeFixture();
+      const { revenueShare, collection, usdc, owner, artist } = fixture;
+      await revenueShare.connect(artist).setStreamingOracle(owner.address);
+
+      const end = await time.latest();
+      const settlement = {
+        epoch: 1,
+        periodStart: end - 7 * 86400,
+        periodEnd: end,
+        token: await usdc.getAddress(),
+        total: 150_000_000n,
+        payouts: [
+          { collection, tokenId: 1, plays: 500, amount: 50_000_000n },
+          { collection, tokenId: 2, plays: 1000, amount: 100_000_000n },
+        ],
+      };
+      return { ...fixture, settlement };
+    }
+
+    async function sign(signer, revenueShare, settlement) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const { signature } = await signStreamingSettlement({
+        signer,
+        revenueShare: await revenueShare.getAddress(),
+        chainId,
+        settlement,
+      });
+      return signature;
+    }
+
+    it("Debería repartir una época firmada por el oráculo con los splits y la cascada", async function () {
+      const {
+        revenueShare,
+        collection,
+        usdc,
+        sources,
+        owner,
+        artist,
+        collaborator,
+        payer,
+        settlement,
+      } = await loadFixture(deployStreamingFixture);
+      const signature = await sign(owner, revenueShare, settlement);
+
+      await expect(
+        revenueShare.connect(payer).settleStreamingEpoch(settlement, signature)
+      )
+        .to.emit(revenueShare, "StreamingPayment")
+        .withArgs(1, collection, 2, 1000, 100_000_000n)
+        .and.to.emit(revenueShare, "StreamingEpochSettled")
+        .withArgs(
+          1,
+          settlement.token,
+          150_000_000n,
+          settlement.periodStart,
+          settlement.periodEnd
+        );
+
+      // Token 1: 60/40; token 2: 30% a las fuentes y el resto 60/40
+      expect(await usdc.balanceOf(artist.address)).to.equal(72_000_000n);
+      expect(await usdc.balanceOf(collaborator.address)).to.equal(48_000_000n);
+      expect(await usdc.balanceOf(sources[0])).to.equal(15_000_000n);
+      expect(await usdc.balanceOf(sources[1])).to.equal(15_000_000n);
+      expect(await revenueShare.settledEpochs(1)).to.be.true;
+
+      await expect(
+        revenueShare.connect(payer).settleStreamingEpoch(settlement, signature)
+      )
+        .to.be.revertedWithCustomError(revenueShare, "EpochAlreadySettled")
+        .withArgs(1);
+    });
+
+    it("Debería rechazar firmas ajenas, totales inconsistentes y períodos abiertos", async function () {
+      const { revenueShare, owner, artist, manager, stranger, settlement } =
+        await loadFixture(deployStreamingFixture);
+      const settle = async (signer, values, options = {}) =>
+        revenueShare
+          .connect(stranger)
+          .settleStreamingEpoch(
+            { ...settlement, ...values },
+            await sign(signer, revenueShare, { ...settlement, ...values }),
+            options
+          );
+
+      await expect(
+        revenueShare.connect(manager).setStreamingOracle(manager.address)
+      ).to.be.revertedWithCustomError(revenueShare, "NotOwner");
+      await expect(settle(stranger, {})).to.be.revertedWithCustomError(
+        revenueShare,
+        "InvalidSettlement"
+      );
+
+      await expect(settle(owner, { total: 100_000_000n }))
+        .to.be.revertedWithCustomError(revenueShare, "SettlementTotalMismatch")
+        .withArgs(100_000_000n, 150_000_000n);
+      const now = await time.latest();
+      await expect(settle(owner, { periodEnd: now + 3600 }))
+        .to.be.revertedWithCustomError(revenueShare, "InvalidPeriod")
+        .withArgs(settlement.periodStart, now + 3600);
+      await expect(
+        settle(owner, { token: ethers.ZeroAddress }, { value: 149_000_000n })
+      ).to.be.revertedWithCustomError(revenueShare, "InvalidAmount");
+
+      // Sin splits el pago quedaría retenido en el contrato
+      await expect(
+        settle(
+          owner,
+          {
+            token: ethers.ZeroAddress,
+            total: 1n,
+            payouts: [
+              {
+                collection: ethers.Wallet.createRandom().address,
+                tokenId: 1,
+                plays: 1,
+                amount: 1n,
+              },
+            ],
+          },
+          { value: 1n }
+        )
+      ).to.be.revertedWithCustomError(revenueShare, "NoShares");
+
+      await expect(
+        revenueShare.connect(artist).setStreamingOracle(ethers.ZeroAddress)
+      )
+        .to.emit(revenueShare, "StreamingOracleUpdated")
+        .withArgs(ethers.ZeroAddress);
+      await expect(settle(owner, {})).to.be.revertedWithCustomError(
+        revenueShare,
+        "InvalidSettlement"
+      );
+    });
+  });
+
+  describe("Upgrades", function () {
+    it("Debería permitir el upgrade al owner conservando el estado", async function () {
+      const { revenueShare, collection, artist } =
+        await loadFixture(deployCascadeFixture);
+      const V2 = await ethers.getContractFactory(
+        "RevenueShareUpgradeableV2Mock"
+      );
+      const v2 = await V2.deploy();
+
+      await revenueShare
+        .connect(artist)
+        .upgradeToAndCall(await v2.getAddress(), "0x");
+
+      const upgraded = V2.attach(await revenueShare.getAddress());
+      expect(await upgraded.migrated()).to.be.true;
+      expect(await upgraded.owner()).to.equal(artist.address);
+      expect(
+        await upgraded.getCollectionMintSplits(collection)
+      ).to.have.lengthOf(2);
+    });
+
+    it("Debería rechazar upgrades de managers y terceros", async function () {
+      const { revenueShare, manager, stranger } = await loadFixture(
+        deployRevenueShareFixture
+      );
+      const V2 = await ethers.getContractFactory(
+        "RevenueShareUpgradeableV2Mock"
+      );
+      const v2 = await V2.deploy();
+
+      for (const account of [manager, stranger]) {
+        await expect(
+          revenueShare
+            .connect(account)
+            .upgradeToAndCall(await v2.getAddress(), "0x")
+        ).to.be.revertedWithCustomError(revenueShare, "NotOwner");
+      }
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { readTxBatch } = require("../scripts/utils/tx-batch");
+const {
+  createRevenueShare,
+  deployMockERC20,
+  deployPlatform,
+} = require("./helpers/deploy");
+const { silenceConsole, useTempDir } = require("./helpers/env");
+
+const { ethers } = hre;
+
+describe("Reclamos del modo escrow", function () {
+  silenceConsole();
+  const tempDir = useTempDir("tuneport-claims-");
+
+  /**
+   * Dos revenue shares del artista en modo escrow: uno con un pago en ETH
+   * repartido 50/50 con una cuenta que rechaza ETH y otro con un pago en USDC
+   * para un colaborador
+   */
+  async function deployClaimsFixture() {
+    const [artist, collaborator, payer] = await ethers.getSigners();
+    const { revenueFactory } = await deployPlatform();
+    const factory = await revenueFactory.getAddress();
+    const album = await createRevenueShare(revenueFactory, {
+      artist: artist.address,
+      caller: artist,
+    });
+    const single = await createRevenueShare(revenueFactory, {
+      artist: artist.address,
+      caller: artist,
+      name: "Single Revenue",
+    });
+    const collection = ethers.Wallet.createRandom().address;
+    const usdc = await deployMockERC20();
+    // El USDC de prueba no tiene receive: sirve como cuenta que rechaza ETH
+    const rejecting = await usdc.getAddress();
+
+    for (const revenueShare of [album, single]) {
+      await hre.run("revenue:set-escrow", {
+        revenueShare: await revenueShare.getAddress(),
+      });
+    }
+    await album.setCollectionMintSplits(collection, [
+      { account: artist.address, percentage: 5000 },
+      { account: rejecting, percentage: 5000 },
+    ]);
+    await album
+      .connect(payer)
+      .distributeMintPayment(collection, 1, { value: 1000n });
+
+    await single.setCollectionMintSplits(collection, [
+      { account: collaborator.address, percentage: 10000 },
+    ]);
+    await usdc.mint(payer.address, 5_000_000n);
+    await usdc
+      .connect(payer)
+      .approve(await single.getAddress(), ethers.MaxUint256);
+    await single
+      .connect(payer)
+      .distributeMintPaymentERC20(collection, 1, rejecting, 5_000_000n);
+
+    return {
+      artist,
+      collaborator,
+      factory,
+      album,
+      albumAddress: await album.getAddress(),
+      single,
+      singleAddress: await single.getAddress(),
+      usdc,
+      rejecting,
+    };
+  }
+
+  it("Debería listar los saldos pendientes de todos los revenue shares del artista", async function () {
+    const {
+      artist,
+      collaborator,
+      factory,
+      album,
+      albumAddress,
+      singleAddress,
+      rejecting,
+    } = await loadFixture(deployClaimsFixture);
+
+    const balances = await hre.run("revenue:claimable", {
+      artist: artist.address,
+      factory,
+    });
+    expect(
+      balances.map((b) => [b.revenueShare, b.account, b.token, b.amount])
+    ).to.deep.equal([
+      [albumAddress, artist.address, ethers.ZeroAddress, 500n],
+      [albumAddress, rejecting, ethers.ZeroAddress, 500n],
+      [singleAddress, collaborator.address, rejecting, 5_000_000n],
+    ]);
+
+    // Los saldos ya reclamados dejan de aparecer
+    await album.claim(ethers.ZeroAddress);
+    const pending = await hre.run("revenue:claimable", {
+      revenueShare: albumAddress,
+    });
+    expect(pending.map((b) => b.account)).to.deep.equal([rejecting]);
+
+    const filtered = await hre.run("revenue:claimable", {
+      artist: artist.address,
+      factory,
+      account: collaborator.address,
+    });
+    expect(filtered).to.have.lengthOf(1);
+
+    await expect(
+      hre.run("revenue:claimable", {
+        artist: artist.address,
+        revenueShare: albumAddress,
+      })
+    ).to.be.rejectedWith("Indica --artist o --revenue-share");
+  });
+
+  it("Debería guardar un batch de claimFor o reclamar continuando tras un fallo", async function () {
+    const {
+      artist,
+      collaborator,
+      factory,
+      album,
+      albumAddress,
+      usdc,
+      rejecting,
+    } = await loadFixture(deployClaimsFixture);
+
+    const out = path.join(tempDir(), "claims.json");
+    await hre.run("revenue:claim", { artist: artist.address, factory, out });
+    const batch = readTxBatch(out);
+    expect(batch.transactions).to.have.lengthOf(3);
+    expect(
+      album.interface.parseTransaction(batch.transactions[1]).args
+    ).to.deep.equal([rejecting, ethers.ZeroAddress]);
+    expect(await usdc.balanceOf(collaborator.address)).to.equal(0n);
+
+    const results = await hre.run("revenue:claim", {
+      artist: artist.address,
+      factory,
+    });
+    expect(results.map((result) => Boolean(result.error))).to.deep.equal([
+      false,
+      true,
+      false,
+    ]);
+    expect(await usdc.balanceOf(collaborator.address)).to.equal(5_000_000n);
+    expect(await album.claimable(rejecting, ethers.ZeroAddress)).to.equal(500n);
+    expect(await album.claimable(artist.address, ethers.ZeroAddress)).to.equal(
+      0n
+    );
+    expect(
+      await hre.run("revenue:claimable", { revenueShare: albumAddress })
+    ).to.have.lengthOf(1);
+  });
+});
@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  normalizeDemoFixture,
+  readDemoFixture,
+} = require("../scripts/utils/demo-fixture");
+const { demoFixture } = require("./helpers/deploy");
+const { silenceConsole } = require("./helpers/env");
+
+describe("Seed de demo", function () {
+  silenceConsole();
+
+  it("Debería sembrar colecciones abiertas, cerradas y futuras con historial de mints", async function () {
+    const { accounts, collections, tokens } = await loadFixture(demoFixture());
+    const { amanecer, sesiones, remixes, proximo } = collections;
+    const now = await time.latest();
+
+    for (const open of [amanecer, remixes]) {
+      expect(await open.mintStartDate()).to.be.lte(now);
+      expect(await open.mintEndDate()).to.be.gt(now);
+    }
+    expect(await sesiones.mintEndDate()).to.be.lt(now);
+    expect(await proximo.mintStartDate()).to.be.gt(now);
+
+    // La colección cerrada conserva los mints hechos antes de cerrarla
+    expect(await sesiones["totalSupply(uint256)"](1)).to.equal(3n);
+    expect(await amanecer["totalSupply(uint256)"](1)).to.equal(3n);
+    expect(await amanecer.balanceOf(accounts.fan3.address, 2)).to.equal(3n);
+    expect(await remixes["totalSupply(uint256)"](2)).to.equal(2n);
+    expect(await amanecer.maxSupply(1)).to.equal(100n);
+    expect(await amanecer.uri(2)).to.equal(
+      "ipfs://demo/luna/amanecer/2-feat-mara.json"
+    );
+    expect(await remixes.acceptedTokens(tokens.dai.target)).to.equal(
+      ethers.parseUnits("8", 18)
+    );
+
+    const price = await sesiones.mintPrice();
+    await expect(
+      sesiones
+        .connect(accounts.fan1)
+        .mint(accounts.fan1.address, 1, 1, price, "", { value: price })
+    ).to.be.revertedWithCustomError(sesiones, "MintEnded");
+    await expect(
+      proximo
+        .connect(accounts.fan1)
+        .mint(accounts.fan1.address, 1, 1, await proximo.mintPrice(), "", {
+          value: await proximo.mintPrice(),
+        })
+    ).to.be.revertedWithCustomError(proximo, "MintNotStarted");
+  });
+
+  it("Debería configurar splits de colección y de token, remixes con cascada y el faucet", async function () {
+    const { accounts, revenueShares, collections, tokens } =
+      await loadFixture(demoFixture());
+    const { luna, kai, mara, productor, fan3 } = accounts;
+    const amanecer = collections.amanecer.target;
+
+    expect(await revenueShares.luna.getMintSplits(amanecer, 1)).to.deep.equal([
+      [luna.address, 8000n],
+      [productor.address, 2000n],
+    ]);
+    expect(await revenueShares.luna.getMintSplits(amanecer, 2)).to.deep.equal([
+      [luna.address, 5000n],
+      [mara.address, 5000n],
+    ]);
+    expect(await revenueShares.kai.getInheritedSources(2)).to.deep.equal([
+      luna.address,
+      mara.address,
+    ]);
+    expect(await revenueShares.kai.getCascadePercentage(2)).to.equal(3000n);
+    expect(await revenueShares.kai.owner()).to.equal(kai.address);
+
+    // 10.000 USDC del seed, 20% de 5 USDC en Primer Amanecer y 30% de 8 en Kai Remixes
+    expect(await tokens.usdc.balanceOf(productor.address)).to.equal(
+      10_003_400_000n
+    );
+
+    const before = await tokens.usdc.balanceOf(fan3.address);
+    await tokens.usdc.connect(fan3).faucet();
+    expect(await tokens.usdc.balanceOf(fan3.address)).to.equal(
+      before + 1_000_000_000n
+    );
+    expect(await tokens.dai.faucetAmount()).to.equal(ethers.parseEther("1000"));
+  });
+
+  it("Debería validar el fixture sin red", function () {
+    const raw = readDemoFixture();
+    const [luna] = raw.artists;
+    luna.collections[0].splits[0].percentage = 7000;
+    luna.collections[0].paymentTokens.push({ token: "eurc", price: "1" });
+    raw.mints.push(
+      { collection: "proximo", tokenId: 1, buyer: "fan1", amount: 1 },
+      { collection: "sesiones", tokenId: 1, buyer: "fan1", amount: 18 },
+      { collection: "remixes", tokenId: 1, buyer: "nadie", amount: 1 }
+    );
+
+    expect(() => normalizeDemoFixture(raw)).to.throw(
+      [
+        "Fixture de demo inválido:",
+        "  - artists[0].collections[0].paymentTokens[1].token: token desconocido: eurc",
+        "  - artists[0].collections[0].splits: los porcentajes deben sumar 10000 (100%), suman 9000",
+        "  - mints[8]: proximo abre en 14 día(s); no puede tener mints",
+        "  - mints[9]: sesiones #1 supera maxSupply (21 > 20)",
+        "  - mints[10].buyer: debe ser una cuenta de accounts: nadie",
+      ].join("\n")
+    );
+  });
+});
@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { ethers, network, upgrades } = require("hardhat");
+const registry = require("../scripts/utils/deployment-registry");
+const { deployAll } = require("../scripts/deploy-all-upgradeable");
+const { createTuneportSDK } = require("../sdk");
+const { loadDeployment } = require("../sdk/addresses");
+const { silenceConsole, useTempDeployments } = require("./helpers/env");
+
+describe("Deployment registry", function () {
+  const deploymentsDir = useTempDeployments();
+  silenceConsole();
+
+  it("Debería conservar la implementación anterior en el historial al hacer upgrade", function () {
+    const deployment = registry.createDeployment({
+      network: "test",
+      chainId: 1n,
+    });
+
+    registry.recordDeploy(deployment, "musicFactory", {
+      contract: "MusicNFTFactoryUpgradeable",
+      kind: "uups-proxy",
+      address: "0x0000000000000000000000000000000000000001",
+      implementation: "0x0000000000000000000000000000000000000002",
+      version: "1.0.0",
+    });
+    registry.recordUpgrade(deployment, "musicFactory", {
+      implementation: "0x0000000000000000000000000000000000000003",
+      version: "1.1.0",
+    });
+
+    const record = deployment.contracts.musicFactory;
+    expect(record.address).to.equal(
+      "0x0000000000000000000000000000000000000001"
+    );
+    expect(record.implementation).to.equal(
+      "0x0000000000000000000000000000000000000003"
+    );
+    expect(record.version).to.equal("1.1.0");
+
+    expect(deployment.history.map((entry) => entry.action)).to.deep.equal([
+      "deploy",
+      "upgrade",
+    ]);
+    expect(deployment.history[1].previousImplementation).to.equal(
+      "0x0000000000000000000000000000000000000002"
+    );
+    expect(deployment.history[1].previousVersion).to.equal("1.0.0");
+
+    expect(() =>
+      registry.recordUpgrade(deployment, "revenueFactory", {})
+    ).to.throw("No hay un deploy registrado para revenueFactory");
+  });
+
+  it("Debería registrar el deploy completo y exponerlo al SDK", async function () {
+    const [deployer] = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
+
+    await deployAll();
+
+    const saved = registry.loadDeployment(network.name);
+    expect(saved.chainId).to.equal(Number(chainId));
+    expect(Object.keys(saved.contracts)).to.have.members(
+      Object.keys(registry.CONTRACT_KEYS)
+    );
+    expect(saved.history).to.have.lengthOf(4);
+
+    const factory = saved.contracts.musicFactory;
+    expect(factory.contract).to.equal("MusicNFTFactoryUpgradeable");
+    expect(factory.version).to.equal("1.2.0");
+    expect(factory.deployer).to.equal(deployer.address);
+    expect(factory.blockNumber).to.be.a("number");
+    expect(factory.implementation).to.equal(
+      await upgrades.erc1967.getImplementationAddress(factory.address)
+    );
+
+    const frontendConfig = JSON.parse(
+      fs.readFileSync(
+        path.join(registry.getNetworkDir(network.name), "frontend-config.json"),
+        "utf8"
+      )
+    );
+    expect(frontendConfig.MUSIC_NFT_FACTORY_ADDRESS).to.equal(factory.address);
+    expect(frontendConfig.CHAIN_ID).to.equal(Number(chainId));
+
+    const addresses = loadDeployment({ chainId });
+    expect(addresses.network).to.equal(network.name);
+    expect(addresses.musicFactory).to.equal(factory.address);
+    expect(addresses.revenueShareFactory).to.equal(
+      saved.contracts.revenueFactory.address
+    );
+  });
+
+  it("Debería distinguir entre ningún deployment y varios y no cambiar de red por chainId", function () {
+    expect(registry.getNetworkDir(network.name)).to.equal(
+      path.join(deploymentsDir(), network.name)
+    );
+    expect(() => loadDeployment()).to.throw(
+      "No hay deployments registrados: despliega primero la red (npm run deploy -- --network <red>)"
+    );
+
+    for (const [name, chainId] of [
+      [network.name, 31337],
+      ["baseSepolia", 84532],
+    ]) {
+      registry.saveDeployment(
+        registry.createDeployment({ network: name, chainId })
+      );
+    }
+    expect(registry.listDeployments()).to.have.lengthOf(2);
+    expect(() => loadDeployment()).to.throw(
+      "Hay varios deployments registrados: indica chainId o network"
+    );
+
+    const localhost = registry.createDeployment({
+      network: "localhost",
+      chainId: 31337,
+    });
+    for (const [key, address] of [
+      ["musicFactory", "0x0000000000000000000000000000000000000001"],
+      ["revenueFactory", "0x0000000000000000000000000000000000000002"],
+    ]) {
+      registry.recordDeploy(localhost, key, {
+        contract: registry.CONTRACT_KEYS[key],
+        kind: "uups-proxy",
+        address,
+      });
+    }
+    registry.saveDeployment(localhost);
+    expect(() => loadDeployment({ chainId: 31337 })).to.throw(
+      `Varias redes comparten chainId 31337 (${network.name}, localhost): indica network`
+    );
+    const sdk = createTuneportSDK({
+      runner: ethers.provider,
+      chainId: 31337,
+      network: "localhost",
+    });
+    expect(sdk.addresses).to.include({
+      network: "localhost",
+      musicFactory: "0x0000000000000000000000000000000000000001",
+      revenueShareFactory: "0x0000000000000000000000000000000000000002",
+    });
+    expect(() => loadDeployment({ chainId: 84532, network: "base" })).to.throw(
+      "No hay deployment registrado para la red base con chainId 84532 (registradas: baseSepolia)"
+    );
+    expect(loadDeployment({ chainId: 84532 })).to.include({
+      network: "baseSepolia",
+    });
+  });
+});
@@ -0,0 +1,290 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const registry = require("../scripts/utils/deployment-registry");
+const { indexEvents } = require("../scripts/index-events");
+const { CSV_COLUMNS } = require("../scripts/earnings-statement");
+const {
+  getRecipientEarnings,
+  getRecipientPayouts,
+} = require("../scripts/utils/indexer-queries");
+const { loadStore } = require("../scripts/utils/indexer-store");
+const {
+  createCollection,
+  createRevenueShare,
+  deployMockERC20,
+  deployPlatform,
+} = require("./helpers/deploy");
+const { silenceConsole, useTempDir } = require("./helpers/env");
+
+const { ethers } = hre;
+
+describe("Estados de cuenta", function () {
+  silenceConsole();
+  const tempDir = useTempDir("tuneport-statement-");
+  const PRICE = ethers.parseEther("0.01");
+  const USDC_PRICE = 5_000_000n;
+
+  /**
+   * Dos artistas con su propio RevenueShare: el remix (token 1 de "Remix")
+   * reparte 80/20 con la autora del original y cede el 50% de la cascada al
+   * token 1 de "Original", cuyo RevenueShare le paga todo a ella
+   */
+  async function deployStatementFixture() {
+    const [, original, remixer, buyer] = await ethers.getSigners();
+    const platform = await deployPlatform();
+
+    const originalShare = await createRevenueShare(platform.revenueFactory, {
+      artist: original.address,
+      caller: original,
+    });
+    const originalCollection = await createCollection(platform.musicFactory, {
+      artist: original,
+      name: "Original",
+      revenueShare: await originalShare.getAddress(),
+    });
+    const originalAddress = await originalCollection.getAddress();
+    await originalShare
+      .connect(original)
+      .setCollectionMintSplits(originalAddress, [
+        { account: original.address, percentage: 10000 },
+      ]);
+
+    const remixShare = await createRevenueShare(platform.revenueFactory, {
+      artist: remixer.address,
+      caller: remixer,
+    });
+    const remixShareAddress = await remixShare.getAddress();
+    const remix = await createCollection(platform.musicFactory, {
+      artist: remixer,
+      name: "Remix",
+      revenueShare: remixShareAddress,
+    });
+    const remixAddress = await remix.getAddress();
+    await remixShare.connect(remixer).setCollectionMintSplits(remixAddress, [
+      { account: remixer.address, percentage: 8000 },
+      { account: original.address, percentage: 2000 },
+    ]);
+    await remixShare
+      .connect(remixer)
+      .setLineage(
+        remixAddress,
+        1,
+        [{ collection: originalAddress, tokenId: 1, weight: 10000 }],
+        5000
+      );
+
+    const usdc = await deployMockERC20();
+    await usdc.mint(buyer.address, USDC_PRICE * 10n);
+    await usdc.connect(buyer).approve(remixAddress, ethers.MaxUint256);
+    await usdc.connect(buyer).approve(remixShareAddress, ethers.MaxUint256);
+    await remix.connect(remixer).addPaymentToken(usdc.target, USDC_PRICE);
+    await remix.connect(remixer).setMintPrice(PRICE);
+
+    const deployment = registry.createDeployment({
+      network: hre.network.name,
+      chainId: 31337,
+    });
+    deployment.contracts.musicFactory = {
+      address: platform.addresses.musicFactory,
+    };
+    deployment.contracts.revenueFactory = {
+      address: platform.addresses.revenueShareFactory,
+    };
+
+    return {
+      original,
+      remixer,
+      buyer,
+      originalAddress,
+      remix,
+      remixAddress,
+      remixShare,
+      usdc,
+      deployment,
+    };
+  }
+
+  it("Debería reconstruir lo cobrado por colección, token y moneda incluyendo la cascada", async function () {
+    const {
+      original,
+      remixer,
+      buyer,
+      originalAddress,
+      remix,
+      remixAddress,
+      remixShare,
+      usdc,
+      deployment,
+    } = await loadFixture(deployStatementFixture);
+    const before = await time.latest();
+
+    await remix
+      .connect(buyer)
+      .mint(buyer.address, 1, 1, PRICE, "", { value: PRICE });
+    await remix
+      .connect(buyer)
+      .mintWithERC20(buyer.address, 1, 1, USDC_PRICE, usdc.target, "");
+    // 10 USDC por la cascada: 5 van al RevenueShare del original
+    await remixShare
+      .connect(buyer)
+      .distributeCascadePaymentERC20(remixAddress, 1, usdc.target, 10_000_000n);
+
+    const file = path.join(tempDir(), "store.json");
+    await indexEvents({ deployment, file });
+    const out = path.join(tempDir(), "statements");
+    const { statements, files } = await hre.run("indexer:statement", {
+      store: file,
+      from: String(before),
+      out,
+    });
+
+    expect(statements.map((statement) => statement.recipient)).to.have.members([
+      original.address,
+      remixer.address,
+    ]);
+    expect(files).to.have.lengthOf(4);
+
+    const statement = statements.find(
+      (entry) => entry.recipient === original.address
+    );
+    expect(statement.payments).to.equal(4);
+    expect(statement.totals).to.have.deep.members([
+      {
+        token: "ETH",
+        currency: "ETH",
+        amount: "0.002",
+        amountRaw: "2000000000000000",
+      },
+      {
+        token: usdc.target,
+        currency: "USDC",
+        amount: "7.0",
+        amountRaw: "7000000",
+      },
+    ]);
+    const item = (collection, token) =>
+      statement.items.find(
+        (entry) => entry.collection === collection && entry.token === token
+      );
+    expect(item(originalAddress, usdc.target)).to.deep.include({
+      collectionName: "Original",
+      tokenId: "1",
+      amount: "5.0",
+      cascade: "5.0",
+    });
+    expect(item(remixAddress, usdc.target)).to.deep.include({
+      collectionName: "Remix",
+      amount: "2.0",
+      cascade: "0.0",
+      byKind: { mint: "2.0" },
+    });
+    expect(item(remixAddress, "ETH")).to.deep.include({ amount: "0.002" });
+
+    const csv = fs
+      .readFileSync(path.join(out, `${original.address}.csv`), "utf8")
+      .trim()
+      .split("\n");
+    expect(csv[0]).to.equal(CSV_COLUMNS.join(","));
+    expect(csv).to.have.lengthOf(5);
+    const forwarded = csv.find((row) => row.includes(originalAddress));
+    expect(forwarded).to.include(",Original,1,mint,true,USDC,");
+    expect(forwarded).to.include(",5.0,5000000,");
+    expect(
+      JSON.parse(
+        fs.readFileSync(path.join(out, `${remixer.address}.json`), "utf8")
+      ).totals.map((total) => total.amount)
+    ).to.have.members(["0.008", "8.0"]);
+  });
+
+  it("Debería armar los pagos y ganancias de la API desde RecipientPaid", async function () {
+    const {
+      original,
+      remixer,
+      buyer,
+      originalAddress,
+      remixAddress,
+      remixShare,
+      usdc,
+      deployment,
+    } = await loadFixture(deployStatementFixture);
+    await remixShare
+      .connect(buyer)
+      .distributeCascadePaymentERC20(remixAddress, 1, usdc.target, 10_000_000n);
+
+    const file = path.join(tempDir(), "store.json");
+    await indexEvents({ deployment, file });
+    const store = loadStore(file);
+
+    // La mitad va antes al original: el remix solo reparte los 5 USDC restantes
+    expect(
+      getRecipientPayouts(store, original.address).map((payout) => ({
+        role: payout.role,
+        collection: payout.collection,
+        amount: payout.amount,
+        method: payout.method,
+      }))
+    ).to.deep.equal([
+      {
+        role: "fuente",
+        collection: originalAddress,
+        amount: 5_000_000n,
+        method: "cascade",
+      },
+      {
+        role: "split",
+        collection: remixAddress,
+        amount: 1_000_000n,
+        method: "cascade",
+      },
+    ]);
+    expect(
+      getRecipientEarnings(store, remixer.address).totals[usdc.target]
+    ).to.equal(4_000_000n);
+  });
+
+  it("Debería filtrar por fechas y destinatario y exigir el store", async function () {
+    const { remixer, buyer, remix, deployment } = await loadFixture(
+      deployStatementFixture
+    );
+    await remix
+      .connect(buyer)
+      .mint(buyer.address, 1, 1, PRICE, "", { value: PRICE });
+    const minted = await time.latest();
+
+    const file = path.join(tempDir(), "store.json");
+    await indexEvents({ deployment, file });
+
+    const only = await hre.run("indexer:statement", {
+      store: file,
+      recipient: remixer.address,
+    });
+    expect(only.statements).to.have.lengthOf(1);
+    expect(only.statements[0].totals[0].amount).to.equal("0.008");
+    expect(only.files).to.deep.equal([]);
+
+    const earlier = await hre.run("indexer:statement", {
+      store: file,
+      to: String(minted - 1),
+    });
+    expect(earlier.statements).to.deep.equal([]);
+
+    await expect(
+      hre.run("indexer:statement", {
+        store: file,
+        from: "2026-02-01",
+        to: "2026-01-01",
+      })
+    ).to.be.rejectedWith("--from debe ser anterior a --to");
+    await expect(
+      hre.run("indexer:statement", {
+        store: path.join(tempDir(), "missing.json"),
+      })
+    ).to.be.rejectedWith("ejecuta primero indexer:sync");
+  });
+});
@@ -0,0 +1,61 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { silenceConsole, useTempDir } = require("./helpers/env");
+
+describe("Benchmark de gas", function () {
+  silenceConsole();
+  const tempDir = useTempDir("tuneport-gas-");
+
+  it("Debería medir las tres variantes y probar el ahorro de los clones", async function () {
+    const out = path.join(tempDir(), "gas.json");
+    const report = await hre.run("gas:benchmark", { splits: "1,4", out });
+
+    expect(JSON.parse(fs.readFileSync(out, "utf8")).rows).to.deep.equal(
+      report.rows
+    );
+    expect(
+      report.rows.map((row) => `${row.operation}:${row.splits ?? "-"}`)
+    ).to.deep.equal([
+      "createRevenueShare:-",
+      "createCollection:-",
+      "setCollectionMintSplits:1",
+      "mint:1",
+      "mintWithERC20:1",
+      "distributeMintPayment:1",
+      "setCollectionMintSplits:4",
+      "mint:4",
+      "mintWithERC20:4",
+      "distributeMintPayment:4",
+    ]);
+
+    // Crear un clon cuesta menos que un proxy, y un proxy menos que un
+    // contrato legacy completo; cada llamada al clon se ahorra leer el slot
+    // de la implementación
+    for (const row of report.rows) {
+      expect(row.gas.clone, row.operation).to.be.lessThan(row.gas.proxy);
+      expect(row.cloneSavings.gas).to.equal(row.gas.proxy - row.gas.clone);
+    }
+    const creation = report.rows.filter((row) => row.splits === null);
+    for (const row of creation) {
+      expect(row.gas.proxy).to.be.lessThan(row.gas.legacy);
+      expect(row.cloneSavings.gas).to.be.greaterThan(50000);
+    }
+
+    // Más destinatarios cuestan más en todas las variantes
+    const mints = report.rows.filter((row) => row.operation === "mint");
+    for (const variant of ["legacy", "proxy", "clone"]) {
+      expect(mints[1].gas[variant]).to.be.greaterThan(mints[0].gas[variant]);
+    }
+  });
+
+  it("Debería rechazar tamaños de split inválidos", async function () {
+    await expect(
+      hre.run("gas:benchmark", { splits: "1,0" })
+    ).to.be.rejectedWith("--splits no admite 0 destinatarios");
+    await expect(
+      hre.run("gas:benchmark", { splits: "1,x" })
+    ).to.be.rejectedWith("--splits debe ser un entero no negativo");
+  });
+});
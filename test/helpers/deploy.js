@@ -0,0 +1,185 @@
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { seedDemo } = require("../../scripts/seed-demo");
+const {
+  DEFAULT_DEMO_FIXTURE,
+  normalizeDemoFixture,
+  readDemoFixture,
+} = require("../../scripts/utils/demo-fixture");
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * Despliega implementaciones y proxies de ambos factories
+ * @returns {Promise<Object>} - Contratos y direcciones desplegados
+ */
+async function deployPlatform() {
+  const [owner] = await ethers.getSigners();
+
+  const MusicCollectionUpgradeable = await ethers.getContractFactory(
+    "MusicCollectionUpgradeable"
+  );
+  const collectionImpl = await MusicCollectionUpgradeable.deploy();
+
+  const MusicNFTFactoryUpgradeable = await ethers.getContractFactory(
+    "MusicNFTFactoryUpgradeable"
+  );
+  const musicFactory = await upgrades.deployProxy(
+    MusicNFTFactoryUpgradeable,
+    [await collectionImpl.getAddress()],
+    { kind: "uups", initializer: "initialize" }
+  );
+
+  const RevenueShareUpgradeable = await ethers.getContractFactory(
+    "RevenueShareUpgradeable"
+  );
+  const revenueShareImpl = await RevenueShareUpgradeable.deploy();
+
+  const RevenueShareFactoryUpgradeable = await ethers.getContractFactory(
+    "RevenueShareFactoryUpgradeable"
+  );
+  const revenueFactory = await upgrades.deployProxy(
+    RevenueShareFactoryUpgradeable,
+    [await revenueShareImpl.getAddress(), owner.address],
+    { kind: "uups", initializer: "initialize" }
+  );
+  await musicFactory.setRevenueShareFactory(await revenueFactory.getAddress());
+
+  return {
+    collectionImpl,
+    musicFactory,
+    revenueShareImpl,
+    revenueFactory,
+    addresses: {
+      musicFactory: await musicFactory.getAddress(),
+      revenueShareFactory: await revenueFactory.getAddress(),
+    },
+  };
+}
+
+/**
+ * Crea una colección con el factory y devuelve el contrato conectado
+ * @param {Object} musicFactory - Proxy de MusicNFTFactoryUpgradeable
+ * @param {Object} params - { artist (signer), caller (signer, default: artist),
+ *   revenueShare, clone, ...campos de initialize }
+ * @returns {Promise<Object>} - Contrato MusicCollectionUpgradeable
+ */
+async function createCollection(
+  musicFactory,
+  { artist, caller = artist, clone = false, ...overrides }
+) {
+  const start = overrides.mintStartDate ?? (await time.latest());
+  const params = {
+    name: "Album",
+    symbol: "ALB",
+    baseURI: "ipfs://album/",
+    collectionMetadata: "ipfs://album/collection.json",
+    mintStartDate: start,
+    mintEndDate: start + 30 * DAY,
+    mintPrice: 0n,
+    paymentToken: ethers.ZeroAddress,
+    royaltyReceiver: artist.address,
+    royaltyFee: 1000,
+    revenueShare: ethers.ZeroAddress,
+    ...overrides,
+  };
+
+  const method = clone ? "createCollectionClone" : "createCollection";
+  const factory = musicFactory.connect(caller);
+  const tx = await factory[method](
+    params.name,
+    params.symbol,
+    params.baseURI,
+    params.collectionMetadata,
+    params.mintStartDate,
+    params.mintEndDate,
+    params.mintPrice,
+    params.paymentToken,
+    params.royaltyReceiver,
+    params.royaltyFee,
+    artist.address,
+    params.revenueShare
+  );
+  const receipt = await tx.wait();
+  const [event] = receipt.logs
+    .map((log) => musicFactory.interface.parseLog(log))
+    .filter((log) => log && log.name === "CollectionCreated");
+
+  return ethers.getContractAt(
+    "MusicCollectionUpgradeable",
+    event.args.collection,
+    artist
+  );
+}
+
+/**
+ * Crea un RevenueShare con el factory; quien llama queda como manager
+ * @param {Object} revenueFactory - Proxy de RevenueShareFactoryUpgradeable
+ * @param {Object} params - { artist (address), caller (signer), name, description, clone }
+ * @returns {Promise<Object>} - Contrato RevenueShareUpgradeable
+ */
+async function createRevenueShare(
+  revenueFactory,
+  {
+    artist,
+    caller,
+    name = "Album Revenue",
+    description = "Splits del álbum",
+    clone = false,
+  }
+) {
+  const method = clone ? "createRevenueShareClone" : "createRevenueShare";
+  const factory = revenueFactory.connect(caller);
+  const tx = await factory[method](artist, name, description);
+  const receipt = await tx.wait();
+  const [event] = receipt.logs
+    .map((log) => revenueFactory.interface.parseLog(log))
+    .filter((log) => log && log.name === "RevenueShareCreated");
+
+  return ethers.getContractAt("RevenueShareUpgradeable", event.args.manager);
+}
+
+/**
+ * Despliega un token ERC20 de prueba
+ */
+async function deployMockERC20(
+  name = "USD Coin",
+  symbol = "USDC",
+  decimals = 6
+) {
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  return MockERC20.deploy(name, symbol, decimals);
+}
+
+const demoFixtures = new Map();
+
+/**
+ * Fixture para loadFixture con la plataforma sembrada desde un fixture de
+ * demo. Devuelve la misma función para el mismo archivo, como exige
+ * loadFixture para reutilizar el snapshot
+ * @param {string} [file] - Fixture JSON (default: scripts/fixtures/demo.json)
+ * @returns {Function} - Fixture que devuelve la plataforma y lo de seedDemo
+ */
+function demoFixture(file = DEFAULT_DEMO_FIXTURE) {
+  if (!demoFixtures.has(file)) {
+    demoFixtures.set(file, async function deployDemoFixture() {
+      const fixture = normalizeDemoFixture(readDemoFixture(file));
+      const platform = await deployPlatform();
+      return {
+        ...platform,
+        ...(await seedDemo({ fixture, addresses: platform.addresses })),
+        fixture,
+      };
+    });
+  }
+  return demoFixtures.get(file);
+}
+
+module.exports = {
+  DAY,
+  createCollection,
+  createRevenueShare,
+  demoFixture,
+  deployMockERC20,
+  deployPlatform,
+};
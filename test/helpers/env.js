@@ -0,0 +1,98 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Registra los hooks de mocha del describe actual: por test o, con once,
+ * una sola vez para todo el describe
+ * @param {boolean} once - Usar before/after en lugar de beforeEach/afterEach
+ * @param {Function} setup - Hook de preparación
+ * @param {Function} teardown - Hook de limpieza
+ */
+function registerHooks(once, setup, teardown) {
+  (once ? before : beforeEach)(setup);
+  (once ? after : afterEach)(teardown);
+}
+
+/**
+ * Reemplaza métodos de console mientras corren los tests del describe; las
+ * tasks y los scripts imprimen progreso que ensucia la salida de mocha
+ * @param {Object} [options]
+ * @param {string[]} [options.methods] - Métodos de console a reemplazar
+ * @param {Function} [options.sink] - Recibe los argumentos de cada llamada
+ * @param {boolean} [options.once] - Reemplazar una vez para todo el describe
+ */
+function silenceConsole({
+  methods = ["log"],
+  sink = () => {},
+  once = false,
+} = {}) {
+  const originals = {};
+  registerHooks(
+    once,
+    function () {
+      for (const method of methods) {
+        originals[method] = console[method];
+        console[method] = sink;
+      }
+    },
+    function () {
+      for (const method of methods) console[method] = originals[method];
+    }
+  );
+}
+
+/**
+ * Crea una carpeta temporal para cada test del describe y la borra al terminar
+ * @param {string} prefix - Prefijo de la carpeta dentro de os.tmpdir()
+ * @param {Object} [options]
+ * @param {boolean} [options.once] - Una sola carpeta para todo el describe
+ * @returns {Function} - Devuelve la ruta de la carpeta en uso
+ */
+function useTempDir(prefix, { once = false } = {}) {
+  let dir;
+  registerHooks(
+    once,
+    function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    },
+    function () {
+      if (dir) fs.rmSync(dir, { recursive: true, force: true });
+      dir = undefined;
+    }
+  );
+  return () => dir;
+}
+
+/**
+ * Apunta DEPLOYMENTS_DIR a una carpeta temporal para que los deploys y
+ * upgrades de los tests no toquen el registro real de deployments/
+ * @param {Object} [options]
+ * @param {boolean} [options.once] - Un solo registro para todo el describe
+ * @returns {Function} - Devuelve la carpeta que hace de deployments/
+ */
+function useTempDeployments({ once = false } = {}) {
+  let dir;
+  let previous;
+  registerHooks(
+    once,
+    function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "tuneport-deployments-"));
+      previous = process.env.DEPLOYMENTS_DIR;
+      process.env.DEPLOYMENTS_DIR = dir;
+    },
+    function () {
+      if (previous === undefined) delete process.env.DEPLOYMENTS_DIR;
+      else process.env.DEPLOYMENTS_DIR = previous;
+      if (dir) fs.rmSync(dir, { recursive: true, force: true });
+      dir = undefined;
+    }
+  );
+  return () => dir;
+}
+
+module.exports = {
+  silenceConsole,
+  useTempDeployments,
+  useTempDir,
+};
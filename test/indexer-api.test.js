@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const path = require("path");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const registry = require("../scripts/utils/deployment-registry");
+const { deployAll } = require("../scripts/deploy-all-upgradeable");
+const { indexEvents } = require("../scripts/index-events");
+const { createApiServer } = require("../scripts/utils/indexer-api");
+const {
+  DAY,
+  createCollection,
+  createRevenueShare,
+} = require("./helpers/deploy");
+const {
+  silenceConsole,
+  useTempDeployments,
+  useTempDir,
+} = require("./helpers/env");
+
+const { ethers, network } = hre;
+
+describe("API del indexer", function () {
+  useTempDeployments({ once: true });
+  silenceConsole({ once: true });
+  const tempDir = useTempDir("tuneport-api-", { once: true });
+  const PRICE = ethers.parseEther("0.02");
+  const source = "0x4000000000000000000000000000000000000004";
+
+  let server;
+  let baseUrl;
+  let ctx;
+
+  async function get(route) {
+    const response = await fetch(`${baseUrl}${route}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  /**
+   * Plataforma desplegada con el script de deploy, una colección con splits
+   * de colección y de token, un remix con cascada y pagos en dos días
+   */
+  before(async function () {
+    const [, artist, producer, buyer] = await ethers.getSigners();
+    const deployment = await deployAll();
+    const musicFactory = await ethers.getContractAt(
+      "MusicNFTFactoryUpgradeable",
+      registry.getAddress(deployment, "musicFactory")
+    );
+    const revenueFactory = await ethers.getContractAt(
+      "RevenueShareFactoryUpgradeable",
+      registry.getAddress(deployment, "revenueFactory")
+    );
+
+    const revenueShare = (
+      await createRevenueShare(revenueFactory, {
+        artist: artist.address,
+        caller: artist,
+      })
+    ).connect(artist);
+    const collection = await createCollection(musicFactory, {
+      artist,
+      revenueShare: await revenueShare.getAddress(),
+    });
+    const collectionAddress = await collection.getAddress();
+
+    await revenueShare.setCollectionMintSplits(collectionAddress, [
+      { account: artist.address, percentage: 7000 },
+      { account: producer.address, percentage: 3000 },
+    ]);
+    await revenueShare.setMintSplits(collectionAddress, 2, [
+      { account: producer.address, percentage: 10000 },
+    ]);
+    await revenueShare.setInheritance(2, [source]);
+    await revenueShare.setCascadePercentage(2, 2000);
+    await collection.setMaxSupply(1, 100);
+    await collection.setMintPrice(PRICE);
+
+    const producerBefore = await ethers.provider.getBalance(producer.address);
+    await collection
+      .connect(buyer)
+      .mint(buyer.address, 1, 2, PRICE, "", { value: PRICE * 2n });
+    // Dos días después, a mediodía UTC: los dos pagos siguientes caen el mismo día
+    const today = Math.floor((await time.latest()) / DAY) * DAY;
+    await time.increaseTo(today + 2 * DAY + DAY / 2);
+    await collection
+      .connect(buyer)
+      .mint(buyer.address, 2, 1, PRICE, "ipfs://remix.json", {
+        value: PRICE,
+      });
+    await revenueShare
+      .connect(buyer)
+      .distributeCascadePayment(collectionAddress, 2, { value: PRICE });
+
+    const file = path.join(tempDir(), "store.json");
+    await indexEvents({ deployment, file });
+
+    server = createApiServer({ file });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    ctx = {
+      artist,
+      producer,
+      collection,
+      collectionAddress,
+      producerEarned:
+        (await ethers.provider.getBalance(producer.address)) - producerBefore,
+    };
+  });
+
+  after(async function () {
+    if (server) await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("Debería informar el checkpoint del store", async function () {
+    const { status, body } = await get("/health");
+
+    expect(status).to.equal(200);
+    expect(body.checkpoint.blockNumber).to.equal(
+      await ethers.provider.getBlockNumber()
+    );
+    expect(body).to.include({ collections: 1, revenueShares: 1 });
+  });
+
+  it("Debería listar las colecciones de un artista", async function () {
+    const { artist, producer, collectionAddress } = ctx;
+
+    const { body } = await get(`/collections?artist=${artist.address}`);
+    expect(body.total).to.equal(1);
+    expect(body.items[0]).to.include({
+      address: collectionAddress,
+      artist: artist.address,
+      name: "Album",
+      baseURI: "ipfs://album/",
+    });
+
+    const byArtist = await get(`/artists/${artist.address}/collections`);
+    expect(byArtist.body.items).to.deep.equal(body.items);
+    expect(
+      (await get(`/collections?artist=${producer.address}`)).body.total
+    ).to.equal(0);
+  });
+
+  it("Debería devolver supply y URI de cada token como el contrato", async function () {
+    const { collection, collectionAddress } = ctx;
+
+    const { body } = await get(`/collections/${collectionAddress}/tokens`);
+    expect(body.items.map((token) => token.tokenId)).to.deep.equal(["1", "2"]);
+    for (const token of body.items) {
+      expect(token.supply).to.equal(
+        (await collection["totalSupply(uint256)"](token.tokenId)).toString()
+      );
+      expect(token.uri).to.equal(await collection.uri(token.tokenId));
+    }
+    expect(body.items[0].maxSupply).to.equal("100");
+    expect(body.items[1].uri).to.equal("ipfs://remix.json");
+
+    const single = await get(`/collections/${collectionAddress}/tokens/1`);
+    expect(single.body).to.deep.equal(body.items[0]);
+  });
+
+  it("Debería devolver el linaje de un remix", async function () {
+    const { body } = await get(
+      `/collections/${ctx.collectionAddress}/tokens/2/lineage`
+    );
+
+    expect(body.sources).to.deep.equal([source]);
+    expect(body.cascadePercentage).to.equal(2000);
+    expect(body.history).to.have.lengthOf(1);
+  });
+
+  it("Debería reconstruir las ganancias de cada destinatario por período", async function () {
+    const { producer } = ctx;
+
+    const { body } = await get(`/recipients/${producer.address}/earnings`);
+    // Lo reconstruido coincide con lo que recibió realmente
+    expect(body.totals.ETH).to.equal(ctx.producerEarned.toString());
+    expect(body.payments).to.equal(3);
+    expect(body.periods).to.have.lengthOf(2);
+
+    const sourceEarnings = await get(`/recipients/${source}/earnings`);
+    expect(sourceEarnings.body.totals.ETH).to.equal(
+      (await ethers.provider.getBalance(source)).toString()
+    );
+
+    const monthly = await get(
+      `/recipients/${producer.address}/earnings?interval=month&asset=eth`
+    );
+    expect(monthly.body.totals).to.deep.equal(body.totals);
+  });
+
+  it("Debería paginar y filtrar los pagos", async function () {
+    const { producer } = ctx;
+    const route = `/recipients/${producer.address}/payouts`;
+
+    const first = await get(`${route}?limit=2`);
+    expect(first.body).to.include({ total: 3, limit: 2, offset: 0 });
+    expect(first.body.items).to.have.lengthOf(2);
+    expect(
+      (await get(`${route}?limit=2&offset=2`)).body.items
+    ).to.have.lengthOf(1);
+
+    const [payout] = first.body.items;
+    const later = await get(`${route}?from=${payout.timestamp + 1}`);
+    expect(later.body.items.map((item) => item.method)).to.deep.equal([
+      "mint",
+      "cascade",
+    ]);
+
+    const events = await get("/events?name=TokenMintedWithETH");
+    expect(events.body.total).to.equal(2);
+  });
+
+  it("Debería responder errores de cliente en JSON", async function () {
+    expect((await get("/collections/0x123")).status).to.equal(400);
+    expect((await get(`/collections/${source}`)).status).to.equal(404);
+    expect((await get("/artists")).status).to.equal(404);
+    expect(await get("/collections/%E0%A4%A")).to.deep.equal({
+      status: 400,
+      body: { error: "Ruta mal codificada: /collections/%E0%A4%A" },
+    });
+    expect(
+      (await get(`/recipients/${source}/earnings?interval=year`)).body.error
+    ).to.include("interval");
+
+    const response = await fetch(`${baseUrl}/health`, { method: "POST" });
+    expect(response.status).to.equal(405);
+  });
+});
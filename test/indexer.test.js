@@ -0,0 +1,337 @@
+const { expect } = require("chai");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  loadFixture,
+  mine,
+  takeSnapshot,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const registry = require("../scripts/utils/deployment-registry");
+const { createEventIndexer } = require("../scripts/utils/event-indexer");
+const {
+  getArtistSales,
+  getTokenLineage,
+} = require("../scripts/utils/indexer-queries");
+const { createStore, loadStore } = require("../scripts/utils/indexer-store");
+const {
+  createCollection,
+  createRevenueShare,
+  deployMockERC20,
+  deployPlatform,
+} = require("./helpers/deploy");
+const { silenceConsole, useTempDir } = require("./helpers/env");
+
+const { ethers } = hre;
+
+describe("Indexer de eventos", function () {
+  const PRICE = ethers.parseEther("0.01");
+  const USDC_PRICE = 5_000_000n;
+
+  async function deployIndexerFixture() {
+    const [, artist, producer, buyer] = await ethers.getSigners();
+    const startBlock = await ethers.provider.getBlockNumber();
+    const platform = await deployPlatform();
+
+    const revenueShare = await createRevenueShare(platform.revenueFactory, {
+      artist: artist.address,
+      caller: artist,
+    });
+    const collection = await createCollection(platform.musicFactory, {
+      artist,
+      revenueShare: await revenueShare.getAddress(),
+    });
+    const collectionAddress = await collection.getAddress();
+
+    const usdc = await deployMockERC20();
+    await usdc.mint(buyer.address, USDC_PRICE * 10n);
+    await usdc.connect(buyer).approve(collectionAddress, ethers.MaxUint256);
+    await collection.addPaymentToken(await usdc.getAddress(), USDC_PRICE);
+    await collection.setMintPrice(PRICE);
+
+    await revenueShare
+      .connect(artist)
+      .setCollectionMintSplits(collectionAddress, [
+        { account: artist.address, percentage: 8000 },
+        { account: producer.address, percentage: 2000 },
+      ]);
+    await revenueShare.connect(artist).setInheritance(1, [producer.address]);
+
+    return {
+      ...platform,
+      artist,
+      producer,
+      buyer,
+      collection,
+      collectionAddress,
+      revenueShare,
+      usdc,
+      newStore: () =>
+        createStore({
+          network: hre.network.name,
+          chainId: 31337,
+          factories: {
+            musicFactory: platform.addresses.musicFactory,
+            revenueFactory: platform.addresses.revenueShareFactory,
+          },
+          startBlock: startBlock + 1,
+        }),
+    };
+  }
+
+  function eventNames(store) {
+    return store.events.map((event) => event.name);
+  }
+
+  it("Debería descubrir los proxies e indexar mints y pagos", async function () {
+    const {
+      artist,
+      producer,
+      buyer,
+      collection,
+      collectionAddress,
+      usdc,
+      newStore,
+    } = await loadFixture(deployIndexerFixture);
+
+    await collection
+      .connect(buyer)
+      .mint(buyer.address, 1, 2, PRICE, "", { value: PRICE * 2n });
+    await collection
+      .connect(buyer)
+      .mintWithERC20(buyer.address, 2, 1, USDC_PRICE, usdc.target, "");
+    await collection.freeMint(artist.address, 3, 5, "");
+
+    const store = newStore();
+    // Lotes pequeños: la colección se descubre en un lote anterior a sus mints
+    const summary = await createEventIndexer({
+      provider: ethers.provider,
+      store,
+      batchSize: 3,
+    }).sync();
+
+    expect(summary.collections).to.deep.equal([collectionAddress]);
+    expect(summary.revenueShares).to.have.lengthOf(1);
+    expect(store.collections[collectionAddress].revenueShare).to.equal(
+      summary.revenueShares[0]
+    );
+    expect(eventNames(store)).to.deep.equal([
+      "RevenueShareCreated",
+      "CollectionCreated",
+      "MintSplitsSet",
+      "InheritanceSet",
+      "RecipientPaid",
+      "RecipientPaid",
+      "PaymentDistributed",
+      "TokenMintedWithETH",
+      "RecipientPaid",
+      "RecipientPaid",
+      "ERC20PaymentDistributed",
+      "TokenMintedWithERC20",
+      "TokenMinted",
+    ]);
+    expect(store.events[2].args.shares).to.deep.equal([
+      { account: artist.address, percentage: "8000" },
+      { account: producer.address, percentage: "2000" },
+    ]);
+
+    const sales = getArtistSales(store, artist.address);
+    expect(sales.collections).to.have.lengthOf(1);
+    expect(sales.collections[0]).to.include({ mints: 3, freeMints: 1 });
+    expect(sales.collections[0].byToken).to.deep.equal({
+      1: 2n,
+      2: 1n,
+      3: 5n,
+    });
+    expect(sales.totals.tokens).to.equal(8n);
+    expect(sales.totals.revenue).to.deep.equal({
+      ETH: PRICE * 2n,
+      [usdc.target]: USDC_PRICE,
+    });
+    expect(sales.totals.distributed).to.deep.equal(sales.totals.revenue);
+  });
+
+  it("Debería indexar el linaje ponderado de un remix", async function () {
+    const {
+      musicFactory,
+      revenueFactory,
+      artist,
+      producer,
+      collectionAddress,
+      revenueShare,
+      newStore,
+    } = await loadFixture(deployIndexerFixture);
+
+    // El token 2 remezcla el token 1 de la colección y el de otro artista
+    const originalShare = await createRevenueShare(revenueFactory, {
+      artist: producer.address,
+      caller: producer,
+    });
+    const original = await createCollection(musicFactory, {
+      artist: producer,
+      revenueShare: await originalShare.getAddress(),
+    });
+    await originalShare
+      .connect(producer)
+      .setCollectionMintSplits(original.target, [
+        { account: producer.address, percentage: 10000 },
+      ]);
+    await revenueShare.connect(artist).setLineage(
+      collectionAddress,
+      2,
+      [
+        { collection: collectionAddress, tokenId: 1, weight: 6000 },
+        { collection: original.target, tokenId: 1, weight: 4000 },
+      ],
+      2500
+    );
+
+    const store = newStore();
+    await createEventIndexer({ provider: ethers.provider, store }).sync();
+
+    const lineage = getTokenLineage(store, collectionAddress, 2);
+    expect(lineage.history.map((entry) => entry.event)).to.deep.equal([
+      "LineageSet",
+    ]);
+    const node = { percentage: 0, truncated: false, cycle: false, sources: [] };
+    expect(lineage.weighted).to.deep.equal({
+      percentage: 2500,
+      sources: [
+        {
+          ...node,
+          collection: collectionAddress,
+          tokenId: "1",
+          weight: 6000,
+          revenueShare: revenueShare.target,
+          depth: 1,
+          forwarded: false,
+        },
+        {
+          ...node,
+          collection: original.target,
+          tokenId: "1",
+          weight: 4000,
+          revenueShare: originalShare.target,
+          depth: 0,
+          forwarded: true,
+        },
+      ],
+    });
+  });
+
+  it("Debería reanudar desde el checkpoint sin duplicar eventos", async function () {
+    const { buyer, collection, newStore } =
+      await loadFixture(deployIndexerFixture);
+    const store = newStore();
+    const indexer = createEventIndexer({ provider: ethers.provider, store });
+
+    const first = await indexer.sync();
+    const indexed = store.events.length;
+    expect(store.checkpoint.blockNumber).to.equal(first.toBlock);
+
+    await collection
+      .connect(buyer)
+      .mint(buyer.address, 1, 1, PRICE, "", { value: PRICE });
+    const second = await indexer.sync();
+
+    expect(second.fromBlock).to.equal(first.toBlock + 1);
+    // Mint, pago y un RecipientPaid por cada destinatario del split
+    expect(second.events).to.equal(4);
+    expect(store.events).to.have.lengthOf(indexed + 4);
+    expect((await indexer.sync()).events).to.equal(0);
+  });
+
+  it("Debería respetar las confirmaciones en la punta", async function () {
+    const { newStore } = await loadFixture(deployIndexerFixture);
+    const store = newStore();
+    const head = await ethers.provider.getBlockNumber();
+
+    const summary = await createEventIndexer({
+      provider: ethers.provider,
+      store,
+      confirmations: 2,
+    }).sync();
+
+    expect(summary.toBlock).to.equal(head - 2);
+    expect(eventNames(store)).to.not.include("InheritanceSet");
+  });
+
+  it("Debería descartar los eventos de bloques reorganizados", async function () {
+    const { buyer, collection, newStore } =
+      await loadFixture(deployIndexerFixture);
+    const store = newStore();
+    const indexer = createEventIndexer({ provider: ethers.provider, store });
+    await indexer.sync();
+    const ancestor = store.checkpoint.blockNumber;
+
+    const snapshot = await takeSnapshot();
+    await collection
+      .connect(buyer)
+      .mint(buyer.address, 1, 1, PRICE, "", { value: PRICE });
+    await indexer.sync();
+    expect(eventNames(store)).to.include("TokenMintedWithETH");
+
+    // Cadena alternativa: otro mint y más bloques sobre el mismo ancestro
+    await snapshot.restore();
+    await collection.freeMint(buyer.address, 2, 3, "");
+    await mine(3);
+
+    const summary = await indexer.sync();
+    expect(summary.reorg).to.deep.include({ to: ancestor });
+    expect(summary.reorg.removed.events).to.equal(4);
+    expect(eventNames(store)).to.not.include("TokenMintedWithETH");
+    expect(
+      eventNames(store).filter((name) => name === "TokenMinted")
+    ).to.have.lengthOf(1);
+    expect(store.checkpoint.blockHash).to.equal(
+      (await ethers.provider.getBlock("latest")).hash
+    );
+  });
+
+  describe("indexer:sync e indexer:sales", function () {
+    silenceConsole();
+    const tempDir = useTempDir("tuneport-indexer-");
+
+    it("Debería guardar el store y resumir las ventas del artista", async function () {
+      const { addresses, artist, buyer, collection } =
+        await loadFixture(deployIndexerFixture);
+      await collection
+        .connect(buyer)
+        .mint(buyer.address, 1, 2, PRICE, "", { value: PRICE * 2n });
+
+      const { indexEvents } = require("../scripts/index-events");
+      const deployment = registry.createDeployment({
+        network: hre.network.name,
+        chainId: 31337,
+      });
+      deployment.contracts.musicFactory = {
+        address: addresses.musicFactory,
+      };
+      deployment.contracts.revenueFactory = {
+        address: addresses.revenueShareFactory,
+      };
+      const file = path.join(tempDir(), "store.json");
+
+      const { store } = await indexEvents({ deployment, file });
+      expect(loadStore(file)).to.deep.equal(store);
+
+      const resumed = await indexEvents({ deployment, file });
+      expect(resumed.summary.events).to.equal(0);
+
+      const sales = await hre.run("indexer:sales", {
+        artist: artist.address,
+        store: file,
+      });
+      expect(sales.totals.revenue).to.deep.equal({ ETH: PRICE * 2n });
+    });
+
+    it("Debería exigir un store existente para el resumen", async function () {
+      const [, artist] = await ethers.getSigners();
+      await expect(
+        hre.run("indexer:sales", {
+          artist: artist.address,
+          store: path.join(tempDir(), "missing.json"),
+        })
+      ).to.be.rejectedWith("ejecuta primero indexer:sync");
+    });
+  });
+});
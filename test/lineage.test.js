@@ -0,0 +1,251 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { validateLineageSources } = require("../sdk");
+const {
+  createCollection,
+  createRevenueShare,
+  deployPlatform,
+} = require("./helpers/deploy");
+const { silenceConsole } = require("./helpers/env");
+
+const { ethers } = hre;
+
+describe("Linaje de remixes", function () {
+  silenceConsole({ sink: (...args) => logs.push(args.join(" ")) });
+  let logs;
+
+  /**
+   * Remixes del artista en su RevenueShare: el token 2 remezcla el 1 y un
+   * original de otra colección (con su propio RevenueShare), y el token 3
+   * remezcla el 2
+   */
+  async function deployLineageFixture() {
+    const [artist, collaborator, producer, remixer, payer] =
+      await ethers.getSigners();
+    const { revenueFactory, musicFactory } = await deployPlatform();
+    const revenueShare = await createRevenueShare(revenueFactory, {
+      artist: artist.address,
+      caller: artist,
+    });
+    const otherShare = await createRevenueShare(revenueFactory, {
+      artist: collaborator.address,
+      caller: collaborator,
+    });
+    const original = await createCollection(musicFactory, {
+      artist: collaborator,
+      revenueShare: await otherShare.getAddress(),
+    });
+    const originalAddress = await original.getAddress();
+    await otherShare
+      .connect(collaborator)
+      .setCollectionMintSplits(originalAddress, [
+        { account: collaborator.address, percentage: 10000 },
+      ]);
+
+    const remixes = ethers.Wallet.createRandom().address;
+    await revenueShare.setMintSplits(remixes, 1, [
+      { account: artist.address, percentage: 10000 },
+    ]);
+    await revenueShare.setMintSplits(remixes, 2, [
+      { account: producer.address, percentage: 6000 },
+      { account: artist.address, percentage: 4000 },
+    ]);
+    await revenueShare.setMintSplits(remixes, 3, [
+      { account: remixer.address, percentage: 10000 },
+    ]);
+
+    return {
+      artist,
+      collaborator,
+      producer,
+      remixer,
+      payer,
+      revenueShare,
+      revenueShareAddress: await revenueShare.getAddress(),
+      otherShareAddress: await otherShare.getAddress(),
+      originalAddress,
+      remixes,
+    };
+  }
+
+  beforeEach(function () {
+    logs = [];
+  });
+
+  it("Debería configurar el linaje y proyectar el mismo reparto que la cadena", async function () {
+    const {
+      artist,
+      collaborator,
+      producer,
+      remixer,
+      payer,
+      revenueShare,
+      revenueShareAddress,
+      otherShareAddress,
+      originalAddress,
+      remixes,
+    } = await loadFixture(deployLineageFixture);
+
+    await hre.run("revenue:set-lineage", {
+      revenueShare: revenueShareAddress,
+      collection: remixes,
+      tokenId: "2",
+      sources: `${remixes}:1:5000,${originalAddress}:1:5000`,
+      percentage: "3000",
+    });
+    await hre.run("revenue:set-lineage", {
+      revenueShare: revenueShareAddress,
+      collection: remixes,
+      tokenId: "3",
+      sources: `${remixes}:2:10000`,
+      percentage: "5000",
+    });
+
+    logs = [];
+    const { tree, payout } = await hre.run("revenue:lineage", {
+      revenueShare: revenueShareAddress,
+      collection: remixes,
+      tokenId: "3",
+      amount: "1",
+    });
+    const original = tree.sources[0].node.sources[1].node;
+    expect(original).to.include({
+      revenueShare: otherShareAddress,
+      forwarded: true,
+      depth: 0,
+    });
+    expect(logs.join("\n")).to.include(`[RevenueShare ${otherShareAddress}]`);
+
+    // 1 ETH: 0.5 al remixer y 0.5 al remix 2, que cede 0.15 (0.075 a cada fuente)
+    const expected = {
+      [remixer.address]: ethers.parseEther("0.5"),
+      [producer.address]: ethers.parseEther("0.21"),
+      [artist.address]: ethers.parseEther("0.215"),
+      [collaborator.address]: ethers.parseEther("0.075"),
+    };
+    expect(
+      Object.fromEntries(payout.totals.map((t) => [t.account, t.amount]))
+    ).to.deep.equal(expected);
+    expect(payout.dust).to.equal(0n);
+
+    await expect(
+      revenueShare
+        .connect(payer)
+        .distributeCascadePayment(remixes, 3, { value: ethers.parseEther("1") })
+    ).to.changeEtherBalances(Object.keys(expected), Object.values(expected));
+  });
+
+  it("Debería proyectar como reclamable la parte que otro RevenueShare rechaza", async function () {
+    const {
+      artist,
+      payer,
+      revenueShare,
+      revenueShareAddress,
+      otherShareAddress,
+      originalAddress,
+      remixes,
+    } = await loadFixture(deployLineageFixture);
+    // El token 1 no tiene royalties de reventa: cobra por sus splits de mint
+    await revenueShare.setResaleRoyalties(remixes, 2, [
+      { account: artist.address, percentage: 10000 },
+    ]);
+    await revenueShare.setLineage(
+      remixes,
+      2,
+      [
+        { collection: remixes, tokenId: 1, weight: 5000 },
+        { collection: originalAddress, tokenId: 1, weight: 5000 },
+      ],
+      3000
+    );
+
+    // El original no tiene royalties de reventa: su RevenueShare revierte
+    logs = [];
+    const { tree, payout } = await hre.run("revenue:lineage", {
+      revenueShare: revenueShareAddress,
+      collection: remixes,
+      tokenId: "2",
+      kind: "resale",
+      amount: "1",
+    });
+    expect(tree.sources[0].node.shares).to.deep.equal([
+      { account: artist.address, percentage: 10000 },
+    ]);
+    const claimable = ethers.parseEther("0.15");
+    expect(
+      payout.payouts.find((entry) => entry.role === "reclamable")
+    ).to.include({
+      revenueShare: revenueShareAddress,
+      account: otherShareAddress,
+      amount: claimable,
+    });
+    expect(logs.join("\n")).to.include("su parte queda reclamable");
+
+    await expect(
+      revenueShare
+        .connect(payer)
+        .distributeResalePayment(remixes, 2, { value: ethers.parseEther("1") })
+    ).to.changeEtherBalances([artist], [ethers.parseEther("0.85")]);
+    expect(
+      await revenueShare.claimable(otherShareAddress, ethers.ZeroAddress)
+    ).to.equal(claimable);
+  });
+
+  it("Debería validar las fuentes y detectar ciclos", async function () {
+    const { revenueShareAddress, remixes } =
+      await loadFixture(deployLineageFixture);
+    const setLineage = (tokenId, sources, percentage = "1000") =>
+      hre.run("revenue:set-lineage", {
+        revenueShare: revenueShareAddress,
+        collection: remixes,
+        tokenId,
+        sources,
+        percentage,
+      });
+
+    await expect(
+      setLineage("2", `${remixes}:1:6000,${remixes}:3:3000`)
+    ).to.be.rejectedWith("suman 9000");
+    await expect(setLineage("2", `${remixes}:x:10000`)).to.be.rejectedWith(
+      "--sources debe ser un entero"
+    );
+    expect(() =>
+      validateLineageSources([
+        { collection: ethers.ZeroAddress, tokenId: 1, weight: 0 },
+      ])
+    )
+      .to.throw(Error)
+      .with.property("message")
+      .that.includes("[0].collection")
+      .and.includes("[0].weight");
+
+    await setLineage("2", `${remixes}:1:10000`);
+    await expect(setLineage("1", `${remixes}:2:10000`)).to.be.rejectedWith(
+      "LineageCycle"
+    );
+
+    await hre.run("revenue:set-lineage", {
+      revenueShare: revenueShareAddress,
+      collection: remixes,
+      tokenId: "2",
+      clear: true,
+    });
+    const { tree } = await hre.run("revenue:lineage", {
+      revenueShare: revenueShareAddress,
+      collection: remixes,
+      tokenId: "2",
+    });
+    expect(tree.sources).to.have.lengthOf(0);
+
+    await expect(
+      hre.run("revenue:lineage", {
+        revenueShare: revenueShareAddress,
+        collection: remixes,
+        tokenId: "2",
+        kind: "resale",
+        amount: "1",
+      })
+    ).to.be.rejectedWith("NoShares");
+  });
+});
@@ -0,0 +1,252 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  MetadataError,
+  buildCollectionMetadata,
+  buildTrackMetadata,
+  computeCid,
+  packRelease,
+  serializeMetadata,
+  validateMetadata,
+} = require("../sdk");
+const { createCollection, deployPlatform } = require("./helpers/deploy");
+const { silenceConsole, useTempDir } = require("./helpers/env");
+
+const { ethers } = hre;
+
+describe("Metadatos", function () {
+  const source = "0x4000000000000000000000000000000000000004";
+
+  function track(overrides = {}) {
+    return {
+      title: "Noche",
+      artist: "Luna",
+      image: "ipfs://bafkreicover",
+      audio: "ipfs://bafkreiaudio",
+      duration: "3:25",
+      genre: "House",
+      isrc: "us-rc1-76-07839",
+      ...overrides,
+    };
+  }
+
+  function release() {
+    return {
+      collection: {
+        name: "Album",
+        image: "ipfs://bafkreicover",
+        artist: "Luna",
+        royaltyFee: 500,
+        royaltyReceiver: source,
+      },
+      tracks: [
+        { tokenId: 1, ...track() },
+        {
+          tokenId: "2",
+          ...track({
+            title: "Noche (Remix)",
+            isrc: undefined,
+            sources: [{ address: source, tokenId: 1, title: "Noche" }],
+          }),
+        },
+      ],
+    };
+  }
+
+  it("Debería calcular el CIDv1 raw como IPFS", function () {
+    expect(computeCid("hello world")).to.equal(
+      "bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e"
+    );
+    expect(computeCid(new Uint8Array())).to.equal(
+      "bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku"
+    );
+    expect(() => computeCid(new Uint8Array(256 * 1024 + 1))).to.throw(
+      "hasta 262144 bytes"
+    );
+  });
+
+  it("Debería armar metadatos de track compatibles con OpenSea", function () {
+    const metadata = buildTrackMetadata(
+      track({ sources: [{ address: source, tokenId: 7 }] })
+    );
+
+    expect(metadata).to.include({
+      name: "Noche",
+      image: "ipfs://bafkreicover",
+      animation_url: "ipfs://bafkreiaudio",
+    });
+    expect(metadata.properties).to.deep.include({
+      artist: "Luna",
+      duration: 205,
+      isrc: "USRC17607839",
+      sources: [{ address: source, tokenId: "7" }],
+    });
+    expect(metadata.attributes).to.deep.include.members([
+      { trait_type: "Duration", value: "3:25" },
+      { trait_type: "Type", value: "Remix" },
+    ]);
+    expect(validateMetadata(metadata)).to.deep.equal([]);
+  });
+
+  it("Debería listar cada campo inválido", function () {
+    let error;
+    try {
+      buildTrackMetadata(
+        track({ artist: undefined, audio: "audio.mp3", isrc: "123" })
+      );
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).to.be.instanceOf(MetadataError);
+    expect(error.errors.map((item) => item.path)).to.have.members([
+      "$.animation_url",
+      "$.properties.artist",
+      "$.properties.isrc",
+    ]);
+    expect(
+      validateMetadata(
+        {
+          name: "Album",
+          description: "",
+          image: "ipfs://x",
+          seller_fee_basis_points: 10001,
+        },
+        "collection"
+      ).map((item) => item.path)
+    ).to.deep.equal(["$.seller_fee_basis_points"]);
+  });
+
+  it("Debería empaquetar un lanzamiento con el CID de cada archivo", function () {
+    const { files, manifest } = packRelease(release());
+
+    expect(files.map((file) => file.path)).to.deep.equal([
+      "collection.json",
+      "tokens/1.json",
+      "tokens/2.json",
+    ]);
+    for (const file of files) {
+      expect(file.uri).to.equal(`ipfs://${computeCid(file.content)}`);
+    }
+    expect(manifest.tokens["2"]).to.include({
+      path: "tokens/2.json",
+      title: "Noche (Remix)",
+    });
+    expect(files[0].content).to.equal(
+      serializeMetadata(buildCollectionMetadata(release().collection))
+    );
+
+    const invalid = release();
+    invalid.tracks[1].tokenId = 1;
+    expect(() => packRelease(invalid)).to.throw(
+      MetadataError,
+      "tracks[1].tokenId: repetido: 1"
+    );
+  });
+
+  describe("Tasks de metadatos", function () {
+    silenceConsole();
+    const tempDir = useTempDir("tuneport-metadata-");
+
+    async function deployMetadataFixture() {
+      const [owner] = await ethers.getSigners();
+      const { musicFactory } = await deployPlatform();
+      const collection = await createCollection(musicFactory, {
+        artist: owner,
+      });
+      return { owner, collection, address: await collection.getAddress() };
+    }
+
+    it("Debería escribir la carpeta del lanzamiento con su manifest", async function () {
+      const input = path.join(tempDir(), "release.json");
+      const out = path.join(tempDir(), "out");
+      fs.writeFileSync(input, JSON.stringify(release()));
+
+      const manifest = await hre.run("metadata:build", { input, out });
+
+      const written = fs.readFileSync(path.join(out, "tokens/1.json"), "utf8");
+      expect(manifest.tokens["1"].uri).to.equal(
+        `ipfs://${computeCid(written)}`
+      );
+      expect(
+        JSON.parse(fs.readFileSync(path.join(out, "manifest.json"), "utf8"))
+      ).to.deep.equal(manifest);
+      await expect(
+        hre.run("metadata:build", { input, out })
+      ).to.be.rejectedWith("usa --force");
+    });
+
+    it("Debería mintear y actualizar URIs desde archivos validados", async function () {
+      const { owner, collection, address } = await loadFixture(
+        deployMetadataFixture
+      );
+      const trackFile = path.join(tempDir(), "track.json");
+      const content = serializeMetadata(buildTrackMetadata(track()));
+      fs.writeFileSync(trackFile, content);
+
+      await hre.run("collection:free-mint", {
+        collection: address,
+        to: owner.address,
+        tokenId: "1",
+        metadataFile: trackFile,
+      });
+      expect(await collection.uri(1)).to.equal(`ipfs://${computeCid(content)}`);
+
+      const remixFile = path.join(tempDir(), "remix.json");
+      fs.writeFileSync(
+        remixFile,
+        serializeMetadata(buildTrackMetadata(track({ title: "Remix" })))
+      );
+      const { uri } = await hre.run("metadata:validate", { file: remixFile });
+      await hre.run("collection:set-token-uri", {
+        collection: address,
+        tokenId: "1",
+        metadataFile: remixFile,
+      });
+      expect(await collection.uri(1)).to.equal(uri);
+
+      const collectionFile = path.join(tempDir(), "collection.json");
+      fs.writeFileSync(
+        collectionFile,
+        serializeMetadata(buildCollectionMetadata(release().collection))
+      );
+      await hre.run("collection:set-metadata", {
+        collection: address,
+        metadataFile: collectionFile,
+      });
+      expect(await collection.collectionMetadata()).to.match(/^ipfs:\/\/b/);
+    });
+
+    it("Debería rechazar metadatos inválidos antes de enviar la transacción", async function () {
+      const { owner, collection, address } = await loadFixture(
+        deployMetadataFixture
+      );
+      const file = path.join(tempDir(), "track.json");
+      fs.writeFileSync(file, JSON.stringify({ name: "Sin audio" }));
+
+      await expect(
+        hre.run("collection:free-mint", {
+          collection: address,
+          to: owner.address,
+          tokenId: "1",
+          metadataFile: file,
+        })
+      ).to.be.rejectedWith("animation_url");
+      expect(await collection["totalSupply(uint256)"](1)).to.equal(0n);
+
+      await expect(
+        hre.run("collection:set-metadata", {
+          collection: address,
+          metadata: "ipfs://x",
+          metadataFile: file,
+        })
+      ).to.be.rejectedWith("solo uno");
+      await expect(
+        hre.run("metadata:validate", { file, kind: "album" })
+      ).to.be.rejectedWith("--kind");
+    });
+  });
+});
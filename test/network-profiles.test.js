@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { deployAll } = require("../scripts/deploy-all-upgradeable");
+const {
+  buildEtherscanConfig,
+  buildHardhatNetworks,
+  confirmNetwork,
+  getGasOverrides,
+  getNetworkProfile,
+} = require("../scripts/utils/network-profiles");
+const { silenceConsole, useTempDeployments } = require("./helpers/env");
+
+const { ethers, network } = hre;
+
+describe("Perfiles de red", function () {
+  silenceConsole();
+  const multisig = "0x000000000000000000000000000000000000dEaD";
+  useTempDeployments();
+
+  it("Debería resolver los perfiles con las variables de entorno", function () {
+    const base = getNetworkProfile("base", {
+      BASE_OWNER: multisig.toLowerCase(),
+      BASE_RPC_URL: "http://base.rpc",
+      ETHERSCAN_API_KEY: "clave",
+    });
+    expect(base).to.include({
+      chainId: 8453,
+      url: "http://base.rpc",
+      owner: multisig,
+      mainnet: true,
+      confirmations: 3,
+    });
+    expect(base.verifier.apiKey).to.equal("clave");
+
+    expect(() =>
+      getNetworkProfile("polygon", { POLYGON_OWNER: "0x1" })
+    ).to.throw("POLYGON_OWNER no es una dirección válida");
+
+    // Un fork ensaya el deploy de la red forkeada, sin prompts de mainnet
+    const fork = getNetworkProfile("hardhat", {
+      FORK_NETWORK: "arbitrum",
+      ARBITRUM_OWNER: multisig,
+    });
+    expect(fork).to.include({
+      mainnet: false,
+      owner: multisig,
+      fork: "arbitrum",
+    });
+    expect(fork.gas.strategy).to.equal("legacy");
+    expect(() =>
+      getNetworkProfile("localhost", { FORK_NETWORK: "mars" })
+    ).to.throw("FORK_NETWORK inválido: mars");
+
+    const networks = buildHardhatNetworks({
+      FORK_NETWORK: "base",
+      FORK_BLOCK: "100",
+    });
+    expect(networks.hardhat.forking).to.deep.equal({
+      url: "https://mainnet.base.org",
+      blockNumber: 100,
+    });
+    expect(networks.polygon).to.include({ chainId: 137 });
+    expect(networks.localhost).to.not.have.property("accounts");
+
+    const etherscan = buildEtherscanConfig({ POLYGONSCAN_API_KEY: "poly" });
+    expect(etherscan.apiKey.polygon).to.equal("poly");
+    expect(etherscan.customChains.map((chain) => chain.network)).to.deep.equal([
+      "base",
+      "baseSepolia",
+      "polygon",
+      "arbitrum",
+    ]);
+  });
+
+  it("Debería pedir confirmación en mainnet y respetar el tope de gas", async function () {
+    const base = getNetworkProfile("base", {});
+    await confirmNetwork(getNetworkProfile("baseSepolia", {}));
+    await confirmNetwork(base, { confirm: "base" });
+    await expect(
+      confirmNetwork(base, { confirm: "polygon" })
+    ).to.be.rejectedWith('se indicó "polygon" pero la red es base');
+
+    const questions = [];
+    const prompt = async (question) => {
+      questions.push(question);
+      return "no";
+    };
+    await expect(confirmNetwork(base, { prompt })).to.be.rejectedWith(
+      "Operación cancelada"
+    );
+    expect(questions[0]).to.include('Escribe "base"');
+    await confirmNetwork(base, { prompt: async () => " base\n" });
+
+    const overrides = await getGasOverrides(ethers.provider, {
+      strategy: "eip1559",
+      baseFeePercent: 200,
+      minPriorityFeeGwei: "30",
+    });
+    expect(overrides.maxPriorityFeePerGas).to.be.gte(
+      ethers.parseUnits("30", "gwei")
+    );
+    expect(overrides.maxFeePerGas).to.be.gt(overrides.maxPriorityFeePerGas);
+
+    await expect(
+      getGasOverrides(ethers.provider, {
+        strategy: "legacy",
+        gasPricePercent: 120,
+        maxFeeGwei: "0.000001",
+      })
+    ).to.be.rejectedWith("supera el tope del perfil");
+
+    const { profile } = await hre.run("network:profile");
+    expect(profile).to.include({ name: "hardhat", mainnet: false });
+  });
+
+  it("Debería desplegar con el owner del perfil y exigirlo en mainnet", async function () {
+    const [deployer] = await ethers.getSigners();
+    const profile = getNetworkProfile(network.name, {});
+
+    await expect(
+      deployAll({ profile: { ...profile, name: "base", mainnet: true } })
+    ).to.be.rejectedWith("define el owner (multisig)");
+    await expect(
+      deployAll({
+        profile: { ...profile, name: "base", mainnet: true, owner: multisig },
+        prompt: async () => "",
+      })
+    ).to.be.rejectedWith("Operación cancelada");
+    await expect(
+      deployAll({ profile: { ...profile, chainId: 8453 } })
+    ).to.be.rejectedWith("el perfil espera 8453");
+
+    const deployment = await deployAll({
+      profile: { ...profile, mainnet: true, owner: multisig },
+      confirm: network.name,
+    });
+    const musicFactory = await ethers.getContractAt(
+      "MusicNFTFactoryUpgradeable",
+      deployment.contracts.musicFactory.address
+    );
+    const revenueFactory = await ethers.getContractAt(
+      "RevenueShareFactoryUpgradeable",
+      deployment.contracts.revenueFactory.address
+    );
+    expect(await musicFactory.owner()).to.equal(multisig);
+    expect(await revenueFactory.owner()).to.equal(multisig);
+    expect(deployment.contracts.musicFactory.deployer).to.equal(
+      deployer.address
+    );
+  });
+});
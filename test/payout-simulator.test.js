@@ -0,0 +1,456 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  normalizePayoutConfig,
+  readPayoutConfig,
+  simulatePayout,
+  toPayoutCsv,
+} = require("../sdk");
+const {
+  createCollection,
+  createRevenueShare,
+  deployPlatform,
+} = require("./helpers/deploy");
+const { silenceConsole, useTempDir } = require("./helpers/env");
+
+const { ethers } = hre;
+
+describe("Simulador de pagos", function () {
+  const [artist, producer, remixer, sourceA, sourceB] = [
+    "0x1000000000000000000000000000000000000001",
+    "0x2000000000000000000000000000000000000002",
+    "0x3000000000000000000000000000000000000003",
+    "0x4000000000000000000000000000000000000004",
+    "0x5000000000000000000000000000000000000005",
+  ];
+
+  const proposal = {
+    royaltyFee: 1000,
+    collectionMintSplits: [
+      { account: artist, percentage: 7000 },
+      { account: producer, percentage: 3000 },
+    ],
+    collectionResaleRoyalties: [
+      { account: artist, percentage: 3333 },
+      { account: producer, percentage: 3333 },
+      { account: remixer, percentage: 3334 },
+    ],
+    tokens: {
+      2: {
+        mintSplits: [{ account: remixer, percentage: 10000 }],
+        sources: [sourceA, sourceB],
+        cascadePercentage: 2500,
+      },
+    },
+  };
+
+  function amountsByAccount(result) {
+    return Object.fromEntries(
+      result.rows.map((row) => [`${row.role}:${row.account}`, row.amount])
+    );
+  }
+
+  describe("Simulación sobre una configuración propuesta", function () {
+    it("Debería usar los splits del token antes que los de la colección", function () {
+      const config = normalizePayoutConfig(proposal);
+
+      const collectionLevel = simulatePayout(config, {
+        tokenId: 1,
+        quantity: 2,
+        price: 500n,
+      });
+      expect(collectionLevel.levels.mint).to.equal("colección");
+      expect(amountsByAccount(collectionLevel)).to.deep.equal({
+        [`split:${artist}`]: 700n,
+        [`split:${producer}`]: 300n,
+      });
+
+      const tokenLevel = simulatePayout(config, { tokenId: 2, price: 1000n });
+      expect(tokenLevel.levels.mint).to.equal("token");
+      expect(amountsByAccount(tokenLevel)).to.deep.equal({
+        [`split:${remixer}`]: 1000n,
+      });
+    });
+
+    it("Debería incluir la cascada a las fuentes", function () {
+      const result = simulatePayout(normalizePayoutConfig(proposal), {
+        tokenId: 2,
+        price: 1001n,
+        cascade: true,
+      });
+
+      // 25% de 1001 = 250 entre 2 fuentes; 751 al remixer
+      expect(amountsByAccount(result)).to.deep.equal({
+        [`fuente:${sourceA}`]: 125n,
+        [`fuente:${sourceB}`]: 125n,
+        [`split:${remixer}`]: 751n,
+      });
+      expect(result.dust).to.equal(0n);
+      expect(result.distributed + result.dust).to.equal(result.gross);
+    });
+
+    it("Debería simular reventas con el royalty ERC2981 y el polvo por venta", function () {
+      const result = simulatePayout(normalizePayoutConfig(proposal), {
+        kind: "resale",
+        tokenId: 1,
+        quantity: 3,
+        price: 1001n,
+      });
+
+      // Royalty por venta: 100 -> 33/33/33 y 1 sin asignar en cada venta
+      expect(result.royalty).to.equal(300n);
+      expect(result.dust).to.equal(3n);
+      expect(amountsByAccount(result)).to.deep.equal({
+        [`split:${artist}`]: 99n,
+        [`split:${producer}`]: 99n,
+        [`split:${remixer}`]: 99n,
+        "vendedor:null": 2703n,
+      });
+      expect(result.distributed + result.dust).to.equal(result.gross);
+
+      const csv = toPayoutCsv(result, { decimals: 0 }).trim().split("\n");
+      expect(csv[0]).to.equal("role,account,percentage,amount,amount_raw");
+      expect(csv).to.include(`split,${remixer},3334,99,99`);
+      expect(csv[csv.length - 1]).to.equal("sin asignar,,,3,3");
+    });
+
+    it("Debería rechazar configuraciones que el contrato rechazaría", function () {
+      expect(() =>
+        normalizePayoutConfig({
+          collectionMintSplits: [{ account: artist, percentage: 9000 }],
+        })
+      ).to.throw("suman 9000");
+      expect(() =>
+        normalizePayoutConfig({
+          tokens: { 1: { sources: [sourceA], cascadePercentage: 10001 } },
+        })
+      ).to.throw("cascadePercentage del token 1");
+      expect(() =>
+        normalizePayoutConfig({
+          tokens: { 3: { lineage: { percentage: 2500, sources: [] } } },
+        })
+      ).to.throw("El token 3 tiene linaje");
+      expect(() =>
+        simulatePayout(normalizePayoutConfig({}), { tokenId: 1, price: 1n })
+      ).to.throw("NoShares");
+    });
+  });
+
+  describe("Configuración leída de la cadena", function () {
+    const PRICE = ethers.parseEther("0.013");
+
+    async function deploySimulatorFixture() {
+      const [, artistSigner, producerSigner, buyer, originalSigner] =
+        await ethers.getSigners();
+      const platform = await deployPlatform();
+      const revenueShare = await createRevenueShare(platform.revenueFactory, {
+        artist: artistSigner.address,
+        caller: artistSigner,
+      });
+      const collection = await createCollection(platform.musicFactory, {
+        artist: artistSigner,
+        revenueShare: await revenueShare.getAddress(),
+      });
+      const collectionAddress = await collection.getAddress();
+      await collection.setMintPrice(PRICE);
+
+      const asArtist = revenueShare.connect(artistSigner);
+      await asArtist.setCollectionMintSplits(collectionAddress, [
+        { account: artistSigner.address, percentage: 6667 },
+        { account: producerSigner.address, percentage: 3333 },
+      ]);
+      await asArtist.setMintSplits(collectionAddress, 2, [
+        { account: producerSigner.address, percentage: 10000 },
+      ]);
+      await asArtist.setInheritance(2, [sourceA, sourceB, remixer]);
+      await asArtist.setCascadePercentage(2, 1000);
+
+      // El token 3 remezcla el token 1 de la misma colección y el de otro
+      // artista con su propio RevenueShare; el linaje tiene prioridad sobre la
+      // herencia del token
+      const originalShare = await createRevenueShare(platform.revenueFactory, {
+        artist: originalSigner.address,
+        caller: originalSigner,
+      });
+      const original = await createCollection(platform.musicFactory, {
+        artist: originalSigner,
+        revenueShare: await originalShare.getAddress(),
+      });
+      await originalShare
+        .connect(originalSigner)
+        .setCollectionMintSplits(original.target, [
+          { account: sourceA, percentage: 7001 },
+          { account: sourceB, percentage: 2999 },
+        ]);
+      await asArtist.setMintSplits(collectionAddress, 3, [
+        { account: remixer, percentage: 10000 },
+      ]);
+      await asArtist.setInheritance(3, [producerSigner.address]);
+      await asArtist.setCascadePercentage(3, 5000);
+      await asArtist.setLineage(
+        collectionAddress,
+        3,
+        [
+          { collection: collectionAddress, tokenId: 1, weight: 6000 },
+          { collection: original.target, tokenId: 1, weight: 4000 },
+        ],
+        2500
+      );
+
+      // Royalties de reventa sin cuentas repetidas con las fuentes del token 2
+      await asArtist.setCollectionResaleRoyalties(collectionAddress, [
+        { account: artistSigner.address, percentage: 10000 },
+      ]);
+      await asArtist.setResaleRoyalties(collectionAddress, 2, [
+        { account: producerSigner.address, percentage: 10000 },
+      ]);
+      await asArtist.setResaleRoyalties(collectionAddress, 3, [
+        { account: remixer, percentage: 10000 },
+      ]);
+      await originalShare
+        .connect(originalSigner)
+        .setCollectionResaleRoyalties(original.target, [
+          { account: sourceA, percentage: 7001 },
+          { account: sourceB, percentage: 2999 },
+        ]);
+
+      return {
+        revenueShare,
+        collection,
+        collectionAddress,
+        originalShare,
+        buyer,
+        readConfig: (tokenIds) =>
+          readPayoutConfig({
+            runner: ethers.provider,
+            revenueShare: revenueShare.target,
+            collection: collectionAddress,
+            tokenIds,
+          }),
+      };
+    }
+
+    async function expectBalancesMatch(result, send) {
+      const accounts = result.rows.map((row) => row.account);
+      const before = await Promise.all(
+        accounts.map((account) => ethers.provider.getBalance(account))
+      );
+      await send();
+      for (const [i, row] of result.rows.entries()) {
+        const after = await ethers.provider.getBalance(row.account);
+        expect(after - before[i], row.account).to.equal(row.amount);
+      }
+    }
+
+    it("Debería predecir exactamente un mint real", async function () {
+      const { collection, buyer, readConfig } = await loadFixture(
+        deploySimulatorFixture
+      );
+      const config = await readConfig([1]);
+      expect(config.royaltyFee).to.equal(1000);
+      expect(config.tokens["1"].mintSplits).to.deep.equal([]);
+
+      const result = simulatePayout(config, {
+        tokenId: 1,
+        quantity: 3,
+        price: PRICE,
+      });
+      expect(result.levels.mint).to.equal("colección");
+
+      await expectBalancesMatch(result, () =>
+        collection
+          .connect(buyer)
+          .mint(buyer.address, 1, 3, PRICE, "", { value: PRICE * 3n })
+      );
+    });
+
+    it("Debería seguir el linaje en un pago en cascada", async function () {
+      const {
+        revenueShare,
+        collectionAddress,
+        originalShare,
+        buyer,
+        readConfig,
+      } = await loadFixture(deploySimulatorFixture);
+      const config = await readConfig([3]);
+      expect(config.tokens["3"].lineage.percentage).to.equal(2500);
+      expect(
+        config.tokens["3"].lineage.sources.map((source) => source.weight)
+      ).to.deep.equal([6000, 4000]);
+
+      const result = simulatePayout(config, {
+        tokenId: 3,
+        price: PRICE,
+        cascade: true,
+      });
+      expect(result.lineage.sources).to.have.lengthOf(2);
+      expect(
+        result.rows
+          .filter((row) => row.role === "fuente")
+          .map((row) => row.account)
+      ).to.have.members([
+        ...config.collectionMintSplits.map((share) => share.account),
+        sourceA,
+        sourceB,
+      ]);
+
+      const contracts = [revenueShare.target, originalShare.target];
+      const before = await Promise.all(
+        contracts.map((address) => ethers.provider.getBalance(address))
+      );
+      await expectBalancesMatch(result, () =>
+        revenueShare
+          .connect(buyer)
+          .distributeCascadePayment(collectionAddress, 3, { value: PRICE })
+      );
+      const after = await Promise.all(
+        contracts.map((address) => ethers.provider.getBalance(address))
+      );
+      expect(after[0] - before[0] + (after[1] - before[1])).to.equal(
+        result.dust
+      );
+    });
+
+    it("Debería seguir el linaje en la liquidación de una reventa", async function () {
+      const {
+        revenueShare,
+        collectionAddress,
+        originalShare,
+        buyer,
+        readConfig,
+      } = await loadFixture(deploySimulatorFixture);
+      const config = await readConfig([3]);
+
+      // Sin --cascade: distributeResalePayment siempre cede el linaje
+      const result = simulatePayout(config, {
+        kind: "resale",
+        tokenId: 3,
+        price: PRICE,
+      });
+      expect(result.cascade).to.be.true;
+      expect(result.levels.resale).to.equal("token");
+      const royalties = result.rows.filter((row) => row.role !== "vendedor");
+      expect(
+        royalties
+          .filter((row) => row.role === "fuente")
+          .map((row) => row.account)
+      ).to.have.members([
+        ...config.collectionResaleRoyalties.map((share) => share.account),
+        sourceA,
+        sourceB,
+      ]);
+
+      const contracts = [revenueShare.target, originalShare.target];
+      const before = await Promise.all(
+        contracts.map((address) => ethers.provider.getBalance(address))
+      );
+      await expectBalancesMatch({ rows: royalties }, () =>
+        revenueShare
+          .connect(buyer)
+          .distributeResalePayment(collectionAddress, 3, {
+            value: result.royalty,
+          })
+      );
+      const after = await Promise.all(
+        contracts.map((address) => ethers.provider.getBalance(address))
+      );
+      expect(after[0] - before[0] + (after[1] - before[1])).to.equal(
+        result.dust
+      );
+    });
+
+    it("Debería predecir exactamente un pago en cascada", async function () {
+      const { revenueShare, collectionAddress, buyer, readConfig } =
+        await loadFixture(deploySimulatorFixture);
+      const config = await readConfig([2]);
+      expect(config.tokens["2"].cascadePercentage).to.equal(1000);
+
+      const result = simulatePayout(config, {
+        tokenId: 2,
+        price: PRICE,
+        cascade: true,
+      });
+      expect(result.levels.mint).to.equal("token");
+      expect(
+        result.rows.filter((row) => row.role === "fuente")
+      ).to.have.lengthOf(3);
+
+      await expectBalancesMatch(result, () =>
+        revenueShare
+          .connect(buyer)
+          .distributeCascadePayment(collectionAddress, 2, { value: PRICE })
+      );
+    });
+
+    it("Debería aplicar siempre la cascada en la liquidación de una reventa", async function () {
+      const { revenueShare, collectionAddress, buyer, readConfig } =
+        await loadFixture(deploySimulatorFixture);
+      const config = await readConfig([2]);
+
+      // Sin --cascade: distributeResalePayment siempre cede a las fuentes
+      const result = simulatePayout(config, {
+        kind: "resale",
+        tokenId: 2,
+        price: PRICE,
+      });
+      expect(result.cascade).to.be.true;
+      expect(result.levels.resale).to.equal("token");
+      const royalties = result.rows.filter((row) => row.role !== "vendedor");
+      expect(
+        royalties
+          .filter((row) => row.role === "fuente")
+          .map((row) => row.account)
+      ).to.have.members([sourceA, sourceB, remixer]);
+
+      const before = await ethers.provider.getBalance(revenueShare.target);
+      await expectBalancesMatch({ rows: royalties }, () =>
+        revenueShare
+          .connect(buyer)
+          .distributeResalePayment(collectionAddress, 2, {
+            value: result.royalty,
+          })
+      );
+      expect(
+        (await ethers.provider.getBalance(revenueShare.target)) - before
+      ).to.equal(result.dust);
+    });
+  });
+
+  describe("revenue:simulate", function () {
+    silenceConsole();
+    const tempDir = useTempDir("tuneport-simulate-");
+
+    it("Debería simular un archivo de configuración y exportar CSV", async function () {
+      const file = path.join(tempDir(), "proposal.json");
+      const csv = path.join(tempDir(), "payout.csv");
+      fs.writeFileSync(file, JSON.stringify(proposal));
+
+      const result = await hre.run("revenue:simulate", {
+        file,
+        tokenId: "2",
+        price: "0.1",
+        quantity: "2",
+        cascade: true,
+        csv,
+      });
+
+      expect(result.gross).to.equal(ethers.parseEther("0.2"));
+      const lines = fs.readFileSync(csv, "utf8").trim().split("\n");
+      expect(lines).to.include(
+        `fuente,${sourceA},,0.025,${ethers.parseEther("0.025")}`
+      );
+      expect(lines).to.include(
+        `split,${remixer},10000,0.15,${ethers.parseEther("0.15")}`
+      );
+    });
+
+    it("Debería exigir una sola fuente de configuración", async function () {
+      await expect(
+        hre.run("revenue:simulate", { tokenId: "1", price: "1" })
+      ).to.be.rejectedWith("Indica --revenue-share o --file");
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const registry = require("../scripts/utils/deployment-registry");
+const { deployAll } = require("../scripts/deploy-all-upgradeable");
+const {
+  POST_DEPLOY_CHECKS,
+  runPostDeployChecks,
+} = require("../scripts/utils/post-deploy-checks");
+const {
+  silenceConsole,
+  useTempDeployments,
+  useTempDir,
+} = require("./helpers/env");
+
+const { ethers, network, upgrades } = hre;
+
+describe("Checks post-deploy", function () {
+  useTempDeployments();
+  silenceConsole({ methods: ["log", "error"] });
+  const tempDir = useTempDir("tuneport-checks-");
+
+  it("Debería correr los checks al desplegar y guardar el reporte", async function () {
+    const [deployer] = await ethers.getSigners();
+    const deployment = await deployAll();
+    expect(deployment.owner).to.equal(deployer.address);
+
+    const checksDir = path.join(registry.getNetworkDir(network.name), "checks");
+    const reports = fs.readdirSync(checksDir);
+    expect(reports).to.have.lengthOf(1);
+    const report = JSON.parse(
+      fs.readFileSync(path.join(checksDir, reports[0]), "utf8")
+    );
+    expect(report).to.include({ network: network.name, ok: true });
+    expect(report.results.map((entry) => entry.id)).to.deep.equal(
+      POST_DEPLOY_CHECKS.map((check) => check.id)
+    );
+    expect(report.results.every((entry) => entry.status === "pass")).to.equal(
+      true
+    );
+
+    // El smoke test se revierte: la colección de prueba no queda en la cadena
+    const smoke = report.results.find((entry) => entry.id === "smoke-mint");
+    expect(await ethers.provider.getCode(smoke.details.collection)).to.equal(
+      "0x"
+    );
+
+    const { report: checked } = await hre.run("contracts:check", {
+      out: path.join(tempDir(), "report.json"),
+    });
+    expect(checked.ok).to.equal(true);
+    expect(fs.existsSync(path.join(tempDir(), "report.json"))).to.equal(true);
+  });
+
+  it("Debería reportar los checks fallidos y aceptar checks propios", async function () {
+    const [, other] = await ethers.getSigners();
+    const deployment = await deployAll();
+
+    await expect(
+      hre.run("contracts:check", { owner: other.address })
+    ).to.be.rejectedWith(`se esperaba ${other.address}`);
+
+    // Un registro que no coincide con la cadena: el template apunta a una EOA
+    deployment.contracts.collectionImplementation.address = other.address;
+    const report = await runPostDeployChecks({
+      deployment,
+      smoke: false,
+      checks: [
+        ...POST_DEPLOY_CHECKS,
+        {
+          id: "custom",
+          description: "Check propio",
+          run: async () => {
+            throw new Error("falló el check propio");
+          },
+        },
+      ],
+    });
+    const statuses = Object.fromEntries(
+      report.results.map((entry) => [entry.id, entry.status])
+    );
+    expect(report.ok).to.equal(false);
+    expect(statuses).to.deep.equal({
+      "implementation-slots": "fail",
+      "initializers-locked": "fail",
+      owners: "pass",
+      versions: "fail",
+      "smoke-mint": "skip",
+      custom: "fail",
+    });
+    expect(report.results.at(-1).message).to.equal("falló el check propio");
+  });
+
+  it("Debería hacer rollback del upgrade si falla el smoke test", async function () {
+    const deployment = await deployAll();
+    const musicFactory = deployment.contracts.musicFactory.address;
+    const previous =
+      await upgrades.erc1967.getImplementationAddress(musicFactory);
+
+    // La versión de prueba no tiene createCollection
+    await expect(
+      hre.run("contracts:upgrade", {
+        contracts: "musicFactory=MusicNFTFactoryUpgradeableV2Mock",
+        smoke: true,
+      })
+    ).to.be.rejectedWith("smoke-mint");
+
+    expect(
+      await upgrades.erc1967.getImplementationAddress(musicFactory)
+    ).to.equal(previous);
+    expect(registry.loadDeployment(network.name).history).to.have.lengthOf(4);
+  });
+});
@@ -0,0 +1,320 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  buildAllowlist,
+  createCollectionClient,
+  parseAllowlistCsv,
+  recoverVoucherSigner,
+  verifyAllowlistProof,
+} = require("../sdk");
+const {
+  createVoucherServer,
+  loadVoucherPolicy,
+} = require("../scripts/utils/voucher-service");
+const { createCollection, deployPlatform } = require("./helpers/deploy");
+const { silenceConsole, useTempDir } = require("./helpers/env");
+
+const { ethers } = hre;
+
+describe("Preventas", function () {
+  silenceConsole();
+  const tempDir = useTempDir("tuneport-presale-");
+  const PRICE = ethers.parseEther("0.02");
+
+  async function deployPresaleFixture() {
+    const [artist, fan, holder, stranger, voucherSigner] =
+      await ethers.getSigners();
+    const { musicFactory } = await deployPlatform();
+    const collection = await createCollection(musicFactory, {
+      artist,
+      mintStartDate: (await time.latest()) + 7 * 86400,
+    });
+    // Los holders del token 9 acceden a la preventa del token 1
+    await collection.freeMint(holder.address, 9, 1, "");
+
+    return {
+      artist,
+      fan,
+      holder,
+      stranger,
+      voucherSigner,
+      collection,
+      collectionAddress: await collection.getAddress(),
+    };
+  }
+
+  function writeJson(name, value) {
+    const file = path.join(tempDir(), name);
+    fs.writeFileSync(file, JSON.stringify(value));
+    return file;
+  }
+
+  it("Debería generar pruebas válidas para cada entrada y validar el CSV", async function () {
+    const signers = await ethers.getSigners();
+    const csv = [
+      "address,tokenId,maxAmount,price",
+      ...signers
+        .slice(0, 5)
+        .map((signer, i) => `${signer.address},1,${i + 1},${PRICE}`),
+    ].join("\n");
+
+    const allowlist = buildAllowlist(parseAllowlistCsv(csv));
+    expect(allowlist.entries).to.have.lengthOf(5);
+    for (const entry of allowlist.entries) {
+      expect(
+        verifyAllowlistProof({
+          root: allowlist.root,
+          entry,
+          proof: entry.proof,
+        })
+      ).to.equal(true);
+    }
+    expect(
+      verifyAllowlistProof({
+        root: allowlist.root,
+        entry: { ...allowlist.entries[0], maxAmount: 99n },
+        proof: allowlist.entries[0].proof,
+      })
+    ).to.equal(false);
+
+    expect(() =>
+      buildAllowlist(
+        parseAllowlistCsv(
+          [
+            "address,tokenId,maxAmount",
+            `${signers[0].address},1,2`,
+            `${signers[0].address},1,3`,
+            "0x123,1,0",
+          ].join("\n")
+        )
+      )
+    )
+      .to.throw(Error)
+      .with.property("message")
+      .that.includes("repetido para el token 1")
+      .and.includes("[2].to: dirección inválida");
+  });
+
+  it("Debería activar la allowlist desde el archivo y mintear con su prueba", async function () {
+    const { artist, fan, collection, collectionAddress } =
+      await loadFixture(deployPresaleFixture);
+    const input = path.join(tempDir(), "allowlist.csv");
+    fs.writeFileSync(
+      input,
+      `address,tokenId,maxAmount,price\n${fan.address},1,2,${PRICE}\n${artist.address},1,1,0\n`
+    );
+    const out = path.join(tempDir(), "allowlist.json");
+
+    const { root } = await hre.run("presale:allowlist", { input, out });
+    await hre.run("collection:set-presale", {
+      collection: collectionAddress,
+      start: String(await time.latest()),
+      allowlist: out,
+    });
+    expect(await collection.allowlistRoot()).to.equal(root);
+
+    const [entry] = JSON.parse(fs.readFileSync(out, "utf8")).entries.filter(
+      (e) => e.to === fan.address
+    );
+    await createCollectionClient({
+      address: collectionAddress,
+      runner: fan,
+    }).allowlistMint({ entry, amount: 2 });
+    expect(await collection.balanceOf(fan.address, 1)).to.equal(2n);
+
+    // Un archivo editado a mano no coincide con su root
+    const tampered = JSON.parse(fs.readFileSync(out, "utf8"));
+    tampered.entries[0].maxAmount = "50";
+    fs.writeFileSync(out, JSON.stringify(tampered));
+    await expect(
+      hre.run("collection:set-presale", {
+        collection: collectionAddress,
+        start: "0",
+        allowlist: out,
+      })
+    ).to.be.rejectedWith("no corresponde a sus entradas");
+  });
+
+  describe("Servicio firmante", function () {
+    let server;
+    let baseUrl;
+
+    async function startServer(ctx, origins) {
+      const policy = loadVoucherPolicy(
+        writeJson("policy.json", {
+          collection: ctx.collectionAddress,
+          ttl: 600,
+          tiers: [
+            {
+              name: "fans",
+              tokenId: 1,
+              maxAmount: 2,
+              price: PRICE.toString(),
+              accounts: [ctx.fan.address],
+            },
+            {
+              name: "holders",
+              tokenId: 1,
+              maxAmount: 1,
+              price: "0",
+              holderOf: { tokenId: 9 },
+            },
+          ],
+        })
+      );
+      server = createVoucherServer({
+        policy,
+        signer: ctx.voucherSigner,
+        chainId: 31337,
+        origins,
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    }
+
+    async function requestVoucher(body, headers = {}) {
+      const response = await fetch(`${baseUrl}/vouchers`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(body),
+      });
+      return { status: response.status, body: await response.json() };
+    }
+
+    afterEach(async function () {
+      if (server) await new Promise((resolve) => server.close(resolve));
+      server = null;
+    });
+
+    it("Debería firmar vouchers para fans y holders que el contrato acepta", async function () {
+      const ctx = await loadFixture(deployPresaleFixture);
+      const { collection, collectionAddress, fan, holder, voucherSigner } = ctx;
+      await collection.setPresale(
+        await time.latest(),
+        ethers.ZeroHash,
+        voucherSigner.address
+      );
+      await startServer(ctx);
+
+      const health = await (await fetch(`${baseUrl}/health`)).json();
+      expect(health).to.include({
+        signer: voucherSigner.address,
+        voucherSigner: voucherSigner.address,
+      });
+
+      const fanVoucher = await requestVoucher({ to: fan.address, tokenId: 1 });
+      expect(fanVoucher.status).to.equal(200);
+      expect(fanVoucher.body.tier).to.equal("fans");
+      expect(fanVoucher.body.voucher).to.include({
+        maxAmount: "2",
+        pricePerToken: PRICE.toString(),
+      });
+      expect(
+        recoverVoucherSigner({
+          collection: collectionAddress,
+          chainId: 31337,
+          ...fanVoucher.body,
+        })
+      ).to.equal(voucherSigner.address);
+
+      await createCollectionClient({
+        address: collectionAddress,
+        runner: fan,
+      }).voucherMint({ ...fanVoucher.body, amount: 2 });
+      expect(await collection.balanceOf(fan.address, 1)).to.equal(2n);
+
+      const holderVoucher = await requestVoucher({
+        to: holder.address,
+        tokenId: "1",
+      });
+      expect(holderVoucher.body.tier).to.equal("holders");
+      await createCollectionClient({
+        address: collectionAddress,
+        runner: holder,
+      }).voucherMint({ ...holderVoucher.body, amount: 1 });
+      expect(await collection.presaleMinted(holder.address, 1)).to.equal(1n);
+    });
+
+    it("Debería rechazar cuentas no elegibles y pedidos inválidos", async function () {
+      const ctx = await loadFixture(deployPresaleFixture);
+      await startServer(ctx);
+
+      const denied = await requestVoucher({
+        to: ctx.stranger.address,
+        tokenId: 1,
+      });
+      expect(denied.status).to.equal(403);
+      expect(denied.body.error).to.include("no es elegible");
+
+      expect(
+        (await requestVoucher({ to: "0x123", tokenId: 1 })).status
+      ).to.equal(400);
+      for (const body of [null, [], "fan"]) {
+        expect(await requestVoucher(body)).to.deep.equal({
+          status: 400,
+          body: { error: "El body debe ser un objeto JSON" },
+        });
+      }
+      expect(
+        (await requestVoucher({ to: ctx.fan.address, tokenId: 2 })).status
+      ).to.equal(403);
+      expect(
+        (await fetch(`${baseUrl}/allowlist/${ctx.fan.address}`)).status
+      ).to.equal(404);
+
+      expect(() =>
+        loadVoucherPolicy(
+          writeJson("bad.json", {
+            collection: ctx.collectionAddress,
+            tiers: [{ tokenId: 1, maxAmount: "x" }],
+          })
+        )
+      )
+        .to.throw(Error)
+        .with.property("message")
+        .that.includes("tiers[0].maxAmount")
+        .and.includes("indica accounts o holderOf");
+    });
+
+    it("Debería atender a los navegadores solo desde los orígenes configurados", async function () {
+      const ctx = await loadFixture(deployPresaleFixture);
+      const frontend = "http://localhost:3000";
+      await startServer(ctx, [frontend]);
+
+      const foreign = await fetch(`${baseUrl}/health`, {
+        headers: { Origin: "https://evil.example" },
+      });
+      expect(foreign.status).to.equal(403);
+      expect(foreign.headers.get("access-control-allow-origin")).to.be.null;
+      expect(
+        await requestVoucher(
+          { to: ctx.fan.address, tokenId: 1 },
+          { Origin: "https://evil.example" }
+        )
+      ).to.deep.equal({
+        status: 403,
+        body: { error: "Origen no permitido: https://evil.example" },
+      });
+
+      const preflight = await fetch(`${baseUrl}/vouchers`, {
+        method: "OPTIONS",
+        headers: { Origin: frontend },
+      });
+      expect(preflight.status).to.equal(204);
+      expect(preflight.headers.get("access-control-allow-origin")).to.equal(
+        frontend
+      );
+      const voucher = await requestVoucher(
+        { to: ctx.fan.address, tokenId: 1 },
+        { Origin: frontend }
+      );
+      expect(voucher.body.tier).to.equal("fans");
+    });
+  });
+});
@@ -0,0 +1,350 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  setBalance,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const registry = require("../scripts/utils/deployment-registry");
+const { deployAll } = require("../scripts/deploy-all-upgradeable");
+const {
+  buildMigrationBatches,
+  inventoryProxies,
+  needsUpgrade,
+} = require("../scripts/utils/proxy-migration");
+const { executeTxBatch, readTxBatch } = require("../scripts/utils/tx-batch");
+const { createTuneportSDK } = require("../sdk");
+const {
+  silenceConsole,
+  useTempDeployments,
+  useTempDir,
+} = require("./helpers/env");
+
+const { ethers, network, upgrades } = hre;
+
+describe("Migración de proxies", function () {
+  useTempDeployments();
+  silenceConsole();
+  const tempDir = useTempDir("tuneport-migration-");
+
+  async function deployV2Templates() {
+    const Collection = await ethers.getContractFactory(
+      "MusicCollectionUpgradeableV2Mock"
+    );
+    const RevenueShare = await ethers.getContractFactory(
+      "RevenueShareUpgradeableV2Mock"
+    );
+    return {
+      collectionImplementation: await upgrades.deployImplementation(
+        Collection,
+        { kind: "uups" }
+      ),
+      revenueShareImplementation: await upgrades.deployImplementation(
+        RevenueShare,
+        { kind: "uups" }
+      ),
+    };
+  }
+
+  /**
+   * Genera los batches y los ejecuta con cada owner
+   */
+  async function migrateAndExecute(options, getOwnerSigner) {
+    const result = await hre.run("proxies:migrate", {
+      out: tempDir(),
+      ...options,
+    });
+
+    for (const entry of result.batches) {
+      await executeTxBatch({
+        batch: readTxBatch(entry.file),
+        signer: await getOwnerSigner(entry.owner),
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Migra los proxies de un registro firmando cada batch como su owner
+   * suplantado, igual que sobre un fork de la red real. Las colecciones sin
+   * mintPrice (anteriores a 1.1.0) se migran con un precio de prueba
+   */
+  async function migrateRegistryAsOwners(networkName) {
+    const deployment = registry.loadDeployment(networkName);
+    const v2 = await deployV2Templates();
+    const pending = (
+      await inventoryProxies(deployment, {
+        collection: v2.collectionImplementation,
+        revenueShare: v2.revenueShareImplementation,
+      })
+    ).proxies.filter(needsUpgrade);
+    const mintPrices = path.join(tempDir(), "mint-prices.json");
+    fs.writeFileSync(
+      mintPrices,
+      JSON.stringify(
+        Object.fromEntries(
+          pending
+            .filter(
+              (proxy) => proxy.kind === "collection" && proxy.mintPrice === null
+            )
+            .map((proxy) => [proxy.address, "0.01"])
+        )
+      )
+    );
+
+    const { inventory } = await migrateAndExecute(
+      { registry: deployment.network, mintPrices, ...v2 },
+      async (owner) => {
+        await setBalance(owner, ethers.parseEther("1"));
+        return ethers.getImpersonatedSigner(owner);
+      }
+    );
+
+    for (const proxy of inventory.proxies.filter(needsUpgrade)) {
+      const contract = await ethers.getContractAt(
+        "MusicCollectionUpgradeableV2Mock",
+        proxy.address
+      );
+      expect(
+        await upgrades.erc1967.getImplementationAddress(proxy.address)
+      ).to.equal(inventory.targets[proxy.kind].address);
+      expect(await contract.version()).to.equal(
+        inventory.targets[proxy.kind].version
+      );
+      if (proxy.kind === "collection") {
+        expect(await contract.mintPrice()).to.equal(
+          proxy.mintPrice === null
+            ? ethers.parseEther("0.01")
+            : BigInt(proxy.mintPrice)
+        );
+      }
+    }
+    return inventory;
+  }
+
+  it("Debería migrar las colecciones y revenue shares existentes de cada artista", async function () {
+    const [, artistA, artistB] = await ethers.getSigners();
+    const deployment = await deployAll();
+    const addresses = {
+      musicFactory: registry.getAddress(deployment, "musicFactory"),
+      revenueShareFactory: registry.getAddress(deployment, "revenueFactory"),
+    };
+
+    const proxies = [];
+    for (const artist of [artistA, artistB]) {
+      const sdk = createTuneportSDK({ runner: artist, addresses });
+      const { revenueShare } = await sdk.revenueShareFactory.createRevenueShare(
+        { artist: artist.address, name: "Revenue", description: "Splits" }
+      );
+      const start = await time.latest();
+      const { collection } = await sdk.musicFactory.createCollection({
+        name: "Album",
+        symbol: "ALB",
+        mintStartDate: start,
+        mintEndDate: start + 86400,
+        mintPrice: 0n,
+        artist: artist.address,
+        revenueShare,
+      });
+      proxies.push(revenueShare, collection);
+    }
+
+    // Los clones aparecen en el inventario pero no en los batches
+    const start = await time.latest();
+    const { collection: clone } = await createTuneportSDK({
+      runner: artistB,
+      addresses,
+    }).musicFactory.createCollection({
+      name: "Single",
+      symbol: "SGL",
+      mintStartDate: start,
+      mintEndDate: start + 86400,
+      mintPrice: 0n,
+      artist: artistB.address,
+      clone: true,
+    });
+
+    // La colección de artistA se migra con precio; la de artistB conserva el suyo
+    const [, collectionA, , collectionB] = proxies;
+    const mintPrices = path.join(tempDir(), "mint-prices.json");
+    fs.writeFileSync(mintPrices, JSON.stringify({ [collectionA]: "0.05" }));
+
+    const v2 = await deployV2Templates();
+    const { inventory, batches } = await migrateAndExecute(
+      {
+        collectionImplementation: v2.collectionImplementation,
+        revenueShareImplementation: v2.revenueShareImplementation,
+        mintPrices,
+      },
+      (owner) => ethers.getSigner(owner)
+    );
+
+    expect(inventory.proxies).to.have.lengthOf(5);
+    // Ningún proxy estaba todavía en la versión destino del plan
+    for (const proxy of inventory.proxies) {
+      expect(proxy.version, proxy.address).to.not.equal(
+        inventory.targets[proxy.kind].version
+      );
+    }
+    expect(batches.map((entry) => entry.owner)).to.have.members([
+      artistA.address,
+      artistB.address,
+    ]);
+    expect(
+      inventory.proxies.find((proxy) => proxy.address === clone)
+    ).to.include({
+      clone: true,
+      implementation: deployment.contracts.collectionImplementation.address,
+    });
+    expect(batches[0].batch.transactions).to.have.lengthOf(2);
+    expect(batches[1].batch.transactions).to.have.lengthOf(2);
+    expect(fs.existsSync(path.join(tempDir(), "inventory.json"))).to.be.true;
+
+    for (const proxy of proxies) {
+      const contract = await ethers.getContractAt(
+        "MusicCollectionUpgradeableV2Mock",
+        proxy
+      );
+      expect(await contract.migrated()).to.be.true;
+    }
+    const collectionAt = (address) =>
+      ethers.getContractAt("MusicCollectionUpgradeable", address);
+    expect(await (await collectionAt(collectionA)).mintPrice()).to.equal(
+      ethers.parseEther("0.05")
+    );
+    expect(await (await collectionAt(collectionB)).mintPrice()).to.equal(0n);
+
+    // Una segunda ejecución no encuentra upgrades pendientes
+    const again = await hre.run("proxies:migrate", {
+      out: tempDir(),
+      collectionImplementation: v2.collectionImplementation,
+      revenueShareImplementation: v2.revenueShareImplementation,
+    });
+    expect(again.batches).to.have.lengthOf(0);
+
+    // Los proxies migrados reportan la versión destino; el clon no cambia
+    for (const proxy of again.inventory.proxies) {
+      const before = inventory.proxies.find(
+        (entry) => entry.address === proxy.address
+      );
+      expect(proxy.version, proxy.address).to.equal(
+        proxy.clone ? before.version : inventory.targets[proxy.kind].version
+      );
+    }
+  });
+
+  it("Debería exigir el precio de las colecciones sin mintPrice y fijarlo en el upgrade", async function () {
+    const owner = "0x1000000000000000000000000000000000000001";
+    const collection = "0x2000000000000000000000000000000000000002";
+    const implementation = "0x3000000000000000000000000000000000000003";
+    const inventory = {
+      targets: { collection: { address: implementation, version: "1.2.0" } },
+      proxies: [
+        {
+          kind: "collection",
+          address: collection,
+          owner,
+          version: "1.0.0",
+          clone: false,
+          upToDate: false,
+          mintPrice: null,
+        },
+      ],
+    };
+
+    expect(() => buildMigrationBatches({ chainId: 1, inventory })).to.throw(
+      `Colecciones sin precio de mint: tras el upgrade el mint con ETH sería gratuito. Indica su precio con --mint-prices:\n  - ${collection} (v1.0.0)`
+    );
+    expect(() =>
+      buildMigrationBatches({
+        chainId: 1,
+        inventory,
+        mintPrices: { [owner]: 1n },
+      })
+    ).to.throw("Precio de mint para contratos que no son colecciones");
+
+    const price = ethers.parseEther("0.05");
+    const [{ batch }] = buildMigrationBatches({
+      chainId: 1,
+      inventory,
+      mintPrices: { [collection]: price },
+    });
+    const collectionInterface = (
+      await ethers.getContractFactory("MusicCollectionUpgradeable")
+    ).interface;
+    const [target, data] = collectionInterface.decodeFunctionData(
+      "upgradeToAndCall",
+      batch.transactions[0].data
+    );
+    expect(target).to.equal(implementation);
+    expect(
+      collectionInterface.decodeFunctionData("setMintPrice", data)[0]
+    ).to.equal(price);
+    expect(batch.meta.description).to.include("(mintPrice 0.05 ETH)");
+  });
+
+  it("Debería rechazar un batch firmado por otra cuenta", async function () {
+    const [deployer, artist] = await ethers.getSigners();
+    const deployment = await deployAll();
+    const sdk = createTuneportSDK({
+      runner: artist,
+      addresses: {
+        musicFactory: registry.getAddress(deployment, "musicFactory"),
+        revenueShareFactory: registry.getAddress(deployment, "revenueFactory"),
+      },
+    });
+    await sdk.revenueShareFactory.createRevenueShare({
+      artist: artist.address,
+      name: "Revenue",
+      description: "Splits",
+    });
+
+    const v2 = await deployV2Templates();
+    const { batches } = await hre.run("proxies:migrate", {
+      out: tempDir(),
+      ...v2,
+    });
+
+    await expect(
+      executeTxBatch({ batch: batches[0].batch, signer: deployer })
+    ).to.be.rejectedWith(`El batch debe firmarlo ${artist.address}`);
+  });
+
+  // FORK_URL=https://sepolia.base.org npx hardhat test test/proxy-migration.test.js
+  it("Debería migrar los proxies reales sobre un fork", async function () {
+    if (!process.env.FORK_URL) this.skip();
+
+    await migrateRegistryAsOwners(process.env.FORK_REGISTRY || "baseSepolia");
+  });
+
+  it("Debería migrar los proxies del registro local suplantando a sus owners", async function () {
+    const [, artist] = await ethers.getSigners();
+    const deployment = await deployAll();
+    const sdk = createTuneportSDK({
+      runner: artist,
+      addresses: {
+        musicFactory: registry.getAddress(deployment, "musicFactory"),
+        revenueShareFactory: registry.getAddress(deployment, "revenueFactory"),
+      },
+    });
+    const { revenueShare } = await sdk.revenueShareFactory.createRevenueShare({
+      artist: artist.address,
+      name: "Revenue",
+      description: "Splits",
+    });
+    const start = await time.latest();
+    await sdk.musicFactory.createCollection({
+      name: "Album",
+      symbol: "ALB",
+      mintStartDate: start,
+      mintEndDate: start + 86400,
+      mintPrice: 0n,
+      artist: artist.address,
+      revenueShare,
+    });
+
+    const inventory = await migrateRegistryAsOwners(deployment.network);
+    expect(inventory.proxies).to.have.lengthOf(2);
+  });
+});
@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { createCollectionClient, quoteMint } = require("../sdk");
+const {
+  DAY,
+  createCollection,
+  deployMockERC20,
+  deployPlatform,
+} = require("./helpers/deploy");
+
+describe("Cotización de mints", function () {
+  const PRICE = ethers.parseEther("0.05");
+  const USDC_PRICE = 5_000_000n;
+
+  async function deployQuoteFixture() {
+    const [, artist, buyer] = await ethers.getSigners();
+    const { musicFactory } = await deployPlatform();
+    const collection = await createCollection(musicFactory, { artist });
+    const usdc = await deployMockERC20();
+
+    await collection.setMintPrice(PRICE);
+    await collection.addPaymentToken(usdc.target, USDC_PRICE);
+    await collection.setMaxSupply(1, 10);
+    await usdc.mint(buyer.address, USDC_PRICE * 10n);
+
+    return {
+      artist,
+      buyer,
+      collection,
+      collectionAddress: await collection.getAddress(),
+      usdc,
+    };
+  }
+
+  async function sendAll(signer, transactions) {
+    for (const { to, data, value } of transactions) {
+      await (await signer.sendTransaction({ to, data, value })).wait();
+    }
+  }
+
+  it("Debería cotizar un mint con ETH y enviarlo tal cual", async function () {
+    const { buyer, collection, collectionAddress } =
+      await loadFixture(deployQuoteFixture);
+
+    const quote = await quoteMint({
+      runner: buyer,
+      collection: collectionAddress,
+      tokenId: 1,
+      amount: 3,
+    });
+
+    expect(quote).to.include({
+      price: PRICE,
+      totalCost: PRICE * 3n,
+      value: PRICE * 3n,
+      allowance: null,
+      mintable: true,
+    });
+    expect(quote.window).to.include({ open: true, status: "open" });
+    expect(quote.supply).to.deep.equal({
+      minted: 0n,
+      max: 10n,
+      remaining: 10n,
+    });
+    expect(quote.transactions).to.have.lengthOf(1);
+
+    await sendAll(buyer, quote.transactions);
+    expect(await collection.balanceOf(buyer.address, 1)).to.equal(3n);
+  });
+
+  it("Debería incluir el approve cuando falta allowance del ERC20", async function () {
+    const { buyer, collection, collectionAddress, usdc } =
+      await loadFixture(deployQuoteFixture);
+    const client = createCollectionClient({
+      address: collectionAddress,
+      runner: buyer,
+    });
+
+    const quote = await client.quoteMint({
+      tokenId: 1,
+      amount: 2,
+      paymentToken: usdc.target,
+    });
+
+    expect(quote.value).to.equal(0n);
+    expect(quote.allowance).to.deep.equal({
+      spender: collectionAddress,
+      required: USDC_PRICE * 2n,
+      current: 0n,
+      missing: USDC_PRICE * 2n,
+    });
+    expect(quote.transactions.map((tx) => tx.to)).to.deep.equal([
+      usdc.target,
+      collectionAddress,
+    ]);
+
+    await sendAll(buyer, quote.transactions);
+    expect(await collection.balanceOf(buyer.address, 1)).to.equal(2n);
+    expect(await usdc.balanceOf(buyer.address)).to.equal(USDC_PRICE * 8n);
+
+    // Con allowance suficiente ya no hace falta aprobar
+    await usdc.connect(buyer).approve(collectionAddress, USDC_PRICE);
+    const again = await client.quoteMint({
+      tokenId: 1,
+      paymentToken: usdc.target,
+    });
+    expect(again.transactions).to.have.lengthOf(1);
+    expect(again.supply.remaining).to.equal(8n);
+  });
+
+  it("Debería reportar la ventana cerrada y el suministro agotado", async function () {
+    const { artist, buyer, collection, collectionAddress } =
+      await loadFixture(deployQuoteFixture);
+    await collection.connect(artist).freeMint(buyer.address, 1, 9, "");
+
+    const quote = await quoteMint({
+      runner: ethers.provider,
+      collection: collectionAddress,
+      tokenId: 1,
+      amount: 2,
+      buyer: buyer.address,
+    });
+    expect(quote.mintable).to.equal(false);
+    expect(quote.problems).to.deep.equal([
+      "La cantidad (2) supera el suministro restante (1)",
+    ]);
+
+    await time.increase(31 * DAY);
+    const late = await quoteMint({
+      runner: buyer,
+      collection: collectionAddress,
+      tokenId: 1,
+    });
+    expect(late.window).to.include({ open: false, status: "ended" });
+    expect(late.problems).to.deep.equal(["El período de mint terminó"]);
+  });
+});
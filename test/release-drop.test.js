@@ -0,0 +1,234 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  normalizeReleaseManifest,
+  parseReleaseCsv,
+} = require("../scripts/utils/release-manifest");
+const {
+  loadProgress,
+  settleProgress,
+} = require("../scripts/utils/release-plan");
+const {
+  createCollection,
+  createRevenueShare,
+  deployMockERC20,
+  deployPlatform,
+} = require("./helpers/deploy");
+const { silenceConsole, useTempDir } = require("./helpers/env");
+
+const { ethers } = hre;
+
+describe("Lanzamientos desde un manifest", function () {
+  silenceConsole();
+  const tempDir = useTempDir("tuneport-release-");
+  const USDC_PRICE = 5_000_000n;
+
+  async function deployReleaseFixture() {
+    const [artist, producer, fan] = await ethers.getSigners();
+    const { musicFactory, revenueFactory } = await deployPlatform();
+    const revenueShare = await createRevenueShare(revenueFactory, {
+      artist: artist.address,
+      caller: artist,
+    });
+    const collection = await createCollection(musicFactory, {
+      artist,
+      revenueShare: await revenueShare.getAddress(),
+    });
+    const usdc = await deployMockERC20();
+
+    return {
+      artist,
+      producer,
+      fan,
+      collection,
+      collectionAddress: await collection.getAddress(),
+      revenueShare,
+      usdc,
+    };
+  }
+
+  function manifestFor({ artist, producer, fan, collectionAddress, usdc }) {
+    return {
+      collection: collectionAddress,
+      paymentTokens: [{ token: usdc.target, price: USDC_PRICE.toString() }],
+      tracks: [
+        {
+          tokenId: 1,
+          maxSupply: 100,
+          uri: "ipfs://track-1",
+          splits: [
+            { account: artist.address, percentage: 7000 },
+            { account: producer.address, percentage: 3000 },
+          ],
+          airdrops: [
+            { to: producer.address, amount: 2 },
+            { to: fan.address, amount: 1 },
+          ],
+        },
+        { tokenId: 2, maxSupply: 50, uri: "ipfs://track-2" },
+      ],
+    };
+  }
+
+  function writeManifest(manifest, name = "release.json") {
+    const file = path.join(tempDir(), name);
+    fs.writeFileSync(file, JSON.stringify(manifest));
+    return file;
+  }
+
+  it("Debería validar el manifest sin red y listar todos los problemas", async function () {
+    const [artist, producer] = await ethers.getSigners();
+
+    expect(() =>
+      normalizeReleaseManifest({
+        collection: artist.address,
+        tracks: [
+          {
+            tokenId: 1,
+            maxSupply: 2,
+            splits: [{ account: artist.address, percentage: 9000 }],
+            airdrops: [{ to: producer.address, amount: 3 }],
+          },
+          { tokenId: 1, airdrops: [{ to: ethers.ZeroAddress, amount: 1 }] },
+        ],
+      })
+    )
+      .to.throw(Error)
+      .with.property("message")
+      .that.includes("suman 9000")
+      .and.includes("superan maxSupply (2)")
+      .and.includes("tracks[1].airdrops[0].to")
+      .and.includes("tracks[1].tokenId: repetido");
+
+    const csv = [
+      "tokenId,maxSupply,uri,splits,airdrops",
+      `1,100,ipfs://track-1,${artist.address}:7000;${producer.address}:3000,${producer.address}:2`,
+      "2,50,,,",
+    ].join("\n");
+    const manifest = normalizeReleaseManifest(parseReleaseCsv(csv), {
+      collection: artist.address,
+    });
+    expect(manifest.tracks[0]).to.deep.include({
+      tokenId: 1n,
+      maxSupply: 100n,
+      uri: "ipfs://track-1",
+      airdrops: [{ to: producer.address, amount: 2n }],
+    });
+    expect(manifest.tracks[1]).to.include({ uri: null, splits: null });
+  });
+
+  it("Debería mostrar el plan sin enviar transacciones en --dry-run", async function () {
+    const ctx = await loadFixture(deployReleaseFixture);
+    const nonce = await ethers.provider.getTransactionCount(ctx.artist.address);
+
+    const { plan, report } = await hre.run("release:drop", {
+      manifest: writeManifest(manifestFor(ctx)),
+      dryRun: true,
+    });
+
+    expect(plan.steps.map((step) => step.id)).to.deep.equal([
+      `paymentToken:${ctx.usdc.target}`,
+      "maxSupply:1",
+      "uri:1",
+      "splits:1",
+      "maxSupply:2",
+      "uri:2",
+      `airdrop:1:0:${ctx.producer.address}:2`,
+      `airdrop:1:1:${ctx.fan.address}:1`,
+    ]);
+    expect(report).to.equal(null);
+    expect(
+      await ethers.provider.getTransactionCount(ctx.artist.address)
+    ).to.equal(nonce);
+  });
+
+  it("Debería aplicar el lanzamiento, conciliarlo y no repetir nada al reejecutar", async function () {
+    const ctx = await loadFixture(deployReleaseFixture);
+    const { collection, collectionAddress, revenueShare, producer } = ctx;
+    const manifest = writeManifest(manifestFor(ctx));
+
+    const { report, progressFile } = await hre.run("release:drop", {
+      manifest,
+    });
+
+    expect(report.ok).to.equal(true);
+    expect(await collection.maxSupply(1)).to.equal(100n);
+    expect(await collection.uri(2)).to.equal("ipfs://track-2");
+    expect(await collection.acceptedTokens(ctx.usdc.target)).to.equal(
+      USDC_PRICE
+    );
+    expect(
+      (await revenueShare.getMintSplits(collectionAddress, 1)).map(
+        (share) => share.percentage
+      )
+    ).to.deep.equal([7000n, 3000n]);
+    expect(await collection.balanceOf(producer.address, 1)).to.equal(2n);
+
+    // Nonces consecutivos, en el orden del plan
+    const nonces = Object.values(
+      JSON.parse(fs.readFileSync(progressFile, "utf8")).steps
+    ).map((entry) => entry.nonce);
+    expect(nonces).to.deep.equal(nonces.map((_, i) => nonces[0] + i));
+
+    const again = await hre.run("release:drop", { manifest });
+    expect(again.plan.steps).to.have.lengthOf(0);
+    expect(again.report.ok).to.equal(true);
+    expect(await collection.balanceOf(producer.address, 1)).to.equal(2n);
+  });
+
+  it("Debería guardar el progreso al fallar y reanudar sin repetir airdrops", async function () {
+    const ctx = await loadFixture(deployReleaseFixture);
+    const { collection, producer, fan, usdc } = ctx;
+    const release = manifestFor(ctx);
+    // Un contrato sin onERC1155Received rechaza el mint
+    release.tracks[0].airdrops.push({ to: usdc.target, amount: 1 });
+    const manifest = writeManifest(release);
+
+    await expect(
+      hre.run("release:drop", { manifest, maxPending: "1" })
+    ).to.be.rejectedWith("vuelve a ejecutar para reanudar");
+    expect(await collection.balanceOf(fan.address, 1)).to.equal(1n);
+
+    release.tracks[0].airdrops.pop();
+    writeManifest(release);
+    const { plan, report } = await hre.run("release:drop", { manifest });
+
+    expect(plan.steps).to.have.lengthOf(0);
+    expect(report.ok).to.equal(true);
+    expect(await collection.balanceOf(producer.address, 1)).to.equal(2n);
+    expect(await collection["totalSupply(uint256)"](1)).to.equal(3n);
+  });
+
+  it("Debería rechazar supplies por debajo de lo ya minteado", async function () {
+    const ctx = await loadFixture(deployReleaseFixture);
+    await ctx.collection.freeMint(ctx.fan.address, 2, 60, "");
+
+    await expect(
+      hre.run("release:drop", {
+        manifest: writeManifest(manifestFor(ctx)),
+        dryRun: true,
+      })
+    ).to.be.rejectedWith("maxSupply 50 es menor a lo ya minteado (60)");
+  });
+
+  it("Debería resolver las transacciones que quedaron enviadas", async function () {
+    const { collection, collectionAddress } =
+      await loadFixture(deployReleaseFixture);
+    const tx = await collection.setMaxSupply(1, 10);
+    const progress = loadProgress(path.join(tempDir(), "progress.json"), {
+      chainId: 31337n,
+      collection: collectionAddress,
+    });
+    progress.steps["maxSupply:1"] = { status: "sent", hash: tx.hash };
+    progress.steps["uri:1"] = { status: "sent", hash: ethers.ZeroHash };
+
+    const settled = await settleProgress(ethers.provider, progress);
+
+    expect(settled).to.deep.equal(["maxSupply:1", "uri:1"]);
+    expect(progress.steps).to.have.all.keys("maxSupply:1");
+    expect(progress.steps["maxSupply:1"]).to.include({ status: "confirmed" });
+  });
+});
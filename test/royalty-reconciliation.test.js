@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  normalizeSales,
+  reconcileRoyalties,
+} = require("../scripts/utils/royalty-reconciliation");
+const {
+  createCollection,
+  createRevenueShare,
+  deployMockERC20,
+  deployPlatform,
+} = require("./helpers/deploy");
+const { silenceConsole, useTempDir } = require("./helpers/env");
+
+const { ethers } = hre;
+
+describe("Conciliación de royalties de reventa", function () {
+  silenceConsole();
+  const tempDir = useTempDir("tuneport-royalties-");
+
+  /**
+   * Colección con royalty del 10% y royalties de reventa 70/30; el token 2
+   * es un remix que cede el 20% a una fuente
+   */
+  async function deployRoyaltyFixture() {
+    const [artist, producer, source, marketplace] = await ethers.getSigners();
+    const { revenueFactory, musicFactory } = await deployPlatform();
+    const revenueShare = await createRevenueShare(revenueFactory, {
+      artist: artist.address,
+      caller: artist,
+    });
+    const collection = await createCollection(musicFactory, {
+      artist,
+      revenueShare: await revenueShare.getAddress(),
+    });
+    const collectionAddress = await collection.getAddress();
+
+    await revenueShare.setCollectionResaleRoyalties(collectionAddress, [
+      { account: artist.address, percentage: 7000 },
+      { account: producer.address, percentage: 3000 },
+    ]);
+    await revenueShare.setInheritance(2, [source.address]);
+    await revenueShare.setCascadePercentage(2, 2000);
+
+    const usdc = await deployMockERC20();
+    await usdc.mint(marketplace.address, 1_000_000_000n);
+
+    return {
+      artist,
+      producer,
+      source,
+      marketplace,
+      revenueShare,
+      revenueShareAddress: await revenueShare.getAddress(),
+      collection,
+      collectionAddress,
+      usdc,
+      usdcAddress: await usdc.getAddress(),
+    };
+  }
+
+  it("Debería enrutar los royalties al RevenueShare, liquidarlos y conciliarlos", async function () {
+    const {
+      artist,
+      producer,
+      source,
+      marketplace,
+      revenueShare,
+      revenueShareAddress,
+      collection,
+      collectionAddress,
+      usdc,
+      usdcAddress,
+    } = await loadFixture(deployRoyaltyFixture);
+
+    await hre.run("collection:set-royalty", {
+      collection: collectionAddress,
+      fee: "1000",
+    });
+    const [receiver] = await collection.royaltyInfo(1, 10000);
+    expect(receiver).to.equal(revenueShareAddress);
+
+    // Ventas: ETH por transferencia directa, USDC por transferencia directa
+    // y una venta cuyo marketplace llama a distributeResalePayment
+    const ethSale = await marketplace.sendTransaction({
+      to: revenueShareAddress,
+      value: ethers.parseEther("0.1"),
+    });
+    const usdcSale = await usdc
+      .connect(marketplace)
+      .transfer(revenueShareAddress, 10_000_000n);
+    await revenueShare
+      .connect(marketplace)
+      .distributeResalePayment(collectionAddress, 1, {
+        value: ethers.parseEther("0.05"),
+      });
+
+    const salesFile = path.join(tempDir(), "sales.csv");
+    fs.writeFileSync(
+      salesFile,
+      [
+        "tokenId,price,token,txHash,marketplace",
+        `1,${ethers.parseEther("1")},,${ethSale.hash},opensea`,
+        `2,100000000,${usdcAddress},${usdcSale.hash},opensea`,
+        `1,${ethers.parseEther("0.5")},,,propio`,
+      ].join("\n")
+    );
+
+    const before = await hre.run("revenue:reconcile-resale", {
+      revenueShare: revenueShareAddress,
+      collection: collectionAddress,
+      sales: salesFile,
+    });
+    expect(before.ok).to.equal(false);
+    expect(before.sales.map((sale) => sale.status)).to.deep.equal([
+      "ok",
+      "ok",
+      "sin-tx",
+    ]);
+    const eth = before.currencies.find((c) => c.token === ethers.ZeroAddress);
+    expect(eth).to.include({
+      expected: ethers.parseEther("0.15"),
+      received: ethers.parseEther("0.15"),
+      pending: ethers.parseEther("0.1"),
+    });
+
+    await hre.run("revenue:settle-resale", {
+      revenueShare: revenueShareAddress,
+      collection: collectionAddress,
+      tokenId: "1",
+      amount: "0.1",
+    });
+    await hre.run("revenue:settle-resale", {
+      revenueShare: revenueShareAddress,
+      collection: collectionAddress,
+      tokenId: "2",
+      amount: "10",
+      token: usdcAddress,
+    });
+    expect(await usdc.balanceOf(source.address)).to.equal(2_000_000n);
+
+    const out = path.join(tempDir(), "report.json");
+    const after = await hre.run("revenue:reconcile-resale", {
+      revenueShare: revenueShareAddress,
+      collection: collectionAddress,
+      sales: salesFile,
+      out,
+    });
+    expect(after.ok).to.equal(true);
+    const paid = Object.fromEntries(
+      after.recipients.map((r) => [`${r.token}:${r.account}`, r.paid])
+    );
+    expect(paid).to.deep.equal({
+      [`${ethers.ZeroAddress}:${artist.address}`]: ethers.parseEther("0.105"),
+      [`${ethers.ZeroAddress}:${producer.address}`]: ethers.parseEther("0.045"),
+      [`${usdcAddress}:${source.address}`]: 2_000_000n,
+      [`${usdcAddress}:${artist.address}`]: 5_600_000n,
+      [`${usdcAddress}:${producer.address}`]: 2_400_000n,
+    });
+    expect(JSON.parse(fs.readFileSync(out, "utf8")).ok).to.equal(true);
+  });
+
+  it("Debería detectar pagos incompletos y un receptor ERC2981 ajeno", async function () {
+    const {
+      artist,
+      marketplace,
+      revenueShareAddress,
+      collection,
+      collectionAddress,
+    } = await loadFixture(deployRoyaltyFixture);
+    const short = await marketplace.sendTransaction({
+      to: revenueShareAddress,
+      value: ethers.parseEther("0.05"),
+    });
+
+    const report = await reconcileRoyalties({
+      runner: ethers.provider,
+      revenueShare: revenueShareAddress,
+      collection: collectionAddress,
+      sales: normalizeSales([
+        { tokenId: 1, price: ethers.parseEther("1"), txHash: short.hash },
+      ]),
+    });
+
+    expect(await collection.royaltyInfo(1, 10000)).to.deep.equal([
+      artist.address,
+      1000n,
+    ]);
+    expect(report.ok).to.equal(false);
+    expect(report.sales[0]).to.include({
+      status: "incompleto",
+      paid: ethers.parseEther("0.05"),
+    });
+    expect(report.problems[0]).to.include(`lo cobra ${artist.address}`);
+    expect(report.recipients.every((r) => r.paid === 0n)).to.equal(true);
+
+    expect(() => normalizeSales([{ tokenId: "x", price: 0 }]))
+      .to.throw(Error)
+      .with.property("message")
+      .that.includes("[0].tokenId")
+      .and.includes("[0].price");
+  });
+});
@@ -0,0 +1,272 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ContractError, createTuneportSDK } = require("../sdk");
+const { deployPlatform } = require("./helpers/deploy");
+
+describe("SDK", function () {
+  let artist;
+  let collaborator;
+  let buyer;
+  let addresses;
+
+  beforeEach(async function () {
+    [, artist, collaborator, buyer] = await ethers.getSigners();
+
+    ({ addresses } = await deployPlatform());
+  });
+
+  async function createRelease(sdk, { startDate }) {
+    const { revenueShare } = await sdk.revenueShareFactory.createRevenueShare({
+      artist: artist.address,
+      name: "Album Revenue",
+      description: "Splits del álbum",
+    });
+
+    const { collection } = await sdk.musicFactory.createCollection({
+      name: "Album",
+      symbol: "ALB",
+      baseURI: "ipfs://album/",
+      mintStartDate: startDate,
+      mintEndDate: startDate + 30 * 24 * 60 * 60,
+      mintPrice: 0n,
+      royaltyFee: 1000,
+      artist: artist.address,
+      revenueShare,
+    });
+
+    return { revenueShare, collection };
+  }
+
+  it("Debería crear revenue share y colección devolviendo los proxies", async function () {
+    const sdk = createTuneportSDK({ runner: artist, addresses });
+    const { revenueShare, collection } = await createRelease(sdk, {
+      startDate: await time.latest(),
+    });
+
+    expect(revenueShare).to.be.properAddress;
+    expect(collection).to.be.properAddress;
+    expect(
+      await sdk.musicFactory.getArtistCollections(artist.address)
+    ).to.deep.equal([collection]);
+    expect(await sdk.revenueShareFactory.getAllManagers()).to.deep.equal([
+      revenueShare,
+    ]);
+
+    const info = await sdk.collection(collection).getInfo();
+    expect(info.owner).to.equal(artist.address);
+    expect(info.revenueShare).to.equal(revenueShare);
+
+    // Sin precio explícito la colección quedaría con mint gratuito
+    const startDate = await time.latest();
+    await expect(
+      sdk.musicFactory.createCollection({
+        name: "Album",
+        symbol: "ALB",
+        mintStartDate: startDate,
+        mintEndDate: startDate + 3600,
+        artist: artist.address,
+      })
+    ).to.be.rejectedWith("Indica mintPrice en wei (0n para un mint gratuito)");
+  });
+
+  it("Debería predecir y crear un release completo en una transacción", async function () {
+    const sdk = createTuneportSDK({ runner: artist, addresses });
+    const predicted = await sdk.musicFactory.predictRelease({
+      artist: artist.address,
+      salt: "album-2024",
+    });
+    expect(predicted.salt).to.equal(ethers.id("album-2024"));
+
+    const startDate = await time.latest();
+    const release = await sdk.musicFactory.createRelease({
+      name: "Album",
+      symbol: "ALB",
+      mintStartDate: startDate,
+      mintEndDate: startDate + 3600,
+      mintPrice: ethers.parseEther("0.01"),
+      royaltyFee: 1000,
+      revenueShareName: "Album Revenue",
+      revenueShareDescription: "Splits del álbum",
+      mintSplits: [
+        { account: artist.address, percentage: 6000 },
+        { account: collaborator.address, percentage: 4000 },
+      ],
+      salt: predicted.salt,
+    });
+    expect(release).to.include({
+      collection: predicted.collection,
+      revenueShare: predicted.revenueShare,
+    });
+
+    const info = await sdk.collection(release.collection).getInfo();
+    expect(info.revenueShare).to.equal(release.revenueShare);
+    expect(info.mintPrice).to.equal(ethers.parseEther("0.01"));
+    expect(await sdk.collection(release.collection).mintPrice()).to.equal(
+      info.mintPrice
+    );
+    expect(
+      await sdk
+        .revenueShare(release.revenueShare)
+        .getCollectionMintSplits({ collection: release.collection })
+    ).to.deep.equal([
+      { account: artist.address, percentage: 6000 },
+      { account: collaborator.address, percentage: 4000 },
+    ]);
+
+    await expect(
+      sdk.musicFactory.createRelease({
+        name: "Album",
+        symbol: "ALB",
+        mintStartDate: startDate,
+        mintEndDate: startDate + 3600,
+        mintPrice: 0n,
+        revenueShareName: "Album Revenue",
+        revenueShareDescription: "Splits del álbum",
+        salt: "album-2024",
+      })
+    ).to.be.rejectedWith(
+      ContractError,
+      /^Ya existe un release de esta cuenta con el salt 0x[0-9a-f]{64}$/
+    );
+
+    // Sin precio explícito la colección quedaría con mint gratuito
+    await expect(
+      sdk.musicFactory.createRelease({
+        name: "Album",
+        symbol: "ALB",
+        mintStartDate: startDate,
+        mintEndDate: startDate + 3600,
+        revenueShareName: "Album Revenue",
+        revenueShareDescription: "Splits del álbum",
+        salt: "otro",
+      })
+    ).to.be.rejectedWith("Indica mintPrice en wei (0n para un mint gratuito)");
+  });
+
+  it("Debería mintear con ETH distribuyendo según los splits", async function () {
+    const sdk = createTuneportSDK({ runner: artist, addresses });
+    const { revenueShare, collection } = await createRelease(sdk, {
+      startDate: await time.latest(),
+    });
+
+    await sdk.revenueShare(revenueShare).setMintSplits({
+      collection,
+      tokenId: 1,
+      shares: [
+        { account: artist.address, percentage: 7000 },
+        { account: collaborator.address, percentage: 3000 },
+      ],
+    });
+
+    const buyerSdk = createTuneportSDK({ runner: buyer, addresses });
+    const price = ethers.parseEther("0.1");
+    await sdk.collection(collection).setMintPrice({ price });
+
+    const artistBefore = await ethers.provider.getBalance(artist.address);
+    const collaboratorBefore = await ethers.provider.getBalance(
+      collaborator.address
+    );
+
+    const { hash } = await buyerSdk.collection(collection).mint({
+      to: buyer.address,
+      tokenId: 1,
+      amount: 2,
+      tokenMetadata: "ipfs://track-1",
+    });
+
+    expect(hash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(
+      (await ethers.provider.getBalance(artist.address)) - artistBefore
+    ).to.equal((price * 2n * 7000n) / 10000n);
+    expect(
+      (await ethers.provider.getBalance(collaborator.address)) -
+        collaboratorBefore
+    ).to.equal((price * 2n * 3000n) / 10000n);
+    expect(await sdk.collection(collection).totalSupply(1)).to.equal(2n);
+    expect(await sdk.collection(collection).uri(1)).to.equal("ipfs://track-1");
+  });
+
+  it("Debería decodificar errores custom de los contratos", async function () {
+    const sdk = createTuneportSDK({ runner: artist, addresses });
+    const { collection } = await createRelease(sdk, {
+      startDate: (await time.latest()) + 3600,
+    });
+
+    const error = await sdk
+      .collection(collection)
+      .mint({ to: buyer.address, tokenId: 1, amount: 1 })
+      .catch((e) => e);
+
+    expect(error).to.be.instanceOf(ContractError);
+    expect(error.errorName).to.equal("MintNotStarted");
+  });
+
+  it("Debería validar splits antes de enviarlos", async function () {
+    const sdk = createTuneportSDK({ runner: artist, addresses });
+    const { revenueShare, collection } = await createRelease(sdk, {
+      startDate: await time.latest(),
+    });
+
+    const error = await sdk
+      .revenueShare(revenueShare)
+      .setCollectionMintSplits({
+        collection,
+        shares: [{ account: artist.address, percentage: 9000 }],
+      })
+      .catch((e) => e);
+
+    expect(error).to.be.instanceOf(ContractError);
+    expect(error.errorName).to.equal("InvalidTotal");
+    expect(error.args.total).to.equal(9000);
+  });
+
+  it("Debería decodificar errores de permisos del revenue share", async function () {
+    const sdk = createTuneportSDK({ runner: artist, addresses });
+    const { revenueShare } = await createRelease(sdk, {
+      startDate: await time.latest(),
+    });
+
+    const buyerSdk = createTuneportSDK({ runner: buyer, addresses });
+    const error = await buyerSdk
+      .revenueShare(revenueShare)
+      .setCascadePercentage({ tokenId: 1, percentage: 500 })
+      .catch((e) => e);
+
+    expect(error).to.be.instanceOf(ContractError);
+    expect(error.errorName).to.equal("NotAuthorized");
+  });
+
+  it("Debería decodificar los errores de propiedad del factory de colecciones", async function () {
+    const sdk = createTuneportSDK({ runner: artist, addresses });
+    const { revenueShare } = await createRelease(sdk, {
+      startDate: await time.latest(),
+    });
+    const start = await time.latest();
+    const params = {
+      name: "Bootleg",
+      symbol: "BTL",
+      mintStartDate: start,
+      mintEndDate: start + 3600,
+      mintPrice: 0n,
+    };
+
+    const buyerSdk = createTuneportSDK({ runner: buyer, addresses });
+    const foreign = await buyerSdk.musicFactory
+      .createCollection({ ...params, artist: buyer.address, revenueShare })
+      .catch((e) => e);
+    expect(foreign).to.be.instanceOf(ContractError);
+    expect(foreign.errorName).to.equal("InvalidRevenueShare");
+    expect(foreign.message).to.equal(
+      `${revenueShare} no es un RevenueShare del artista creado por el revenueShareFactory`
+    );
+
+    const impersonated = await buyerSdk.musicFactory
+      .createCollection({ ...params, artist: artist.address })
+      .catch((e) => e);
+    expect(impersonated.errorName).to.equal("CallerNotArtist");
+    expect(impersonated.message).to.equal(
+      `Solo el artista ${artist.address} puede crear sus colecciones (firmó ${buyer.address})`
+    );
+  });
+});
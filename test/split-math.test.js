@@ -0,0 +1,325 @@
+const { expect } = require("chai");
+const fc = require("fast-check");
+const { ethers } = require("hardhat");
+const {
+  loadFixture,
+  setBalance,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  aggregatePayouts,
+  computeCascadeSplit,
+  computeMintSplit,
+} = require("../sdk/splits");
+const {
+  createRevenueShare,
+  deployMockERC20,
+  deployPlatform,
+} = require("./helpers/deploy");
+
+// FUZZ_RUNS=500 npx hardhat test test/split-math.test.js
+// Para reproducir un fallo: FUZZ_SEED=<seed> (fast-check lo imprime al fallar)
+// Reporte del polvo retenido por suite: FUZZ_REPORT=1
+const CHAIN_RUNS = Number(process.env.FUZZ_RUNS || 25);
+const REFERENCE_RUNS = Math.max(CHAIN_RUNS * 40, 1000);
+
+function fuzzParams(numRuns) {
+  const params = { numRuns };
+  if (process.env.FUZZ_SEED) params.seed = Number(process.env.FUZZ_SEED);
+  return params;
+}
+
+// Direcciones con el primer byte distinto de 0: ni address(0) ni precompiles
+const addressArb = fc
+  .uint8Array({ minLength: 20, maxLength: 20 })
+  .filter((bytes) => bytes[0] !== 0)
+  .map((bytes) => ethers.getAddress(ethers.hexlify(bytes)));
+
+// Vectores de 1 a 8 splits con porcentajes > 0 que suman 10000
+const sharesArb = fc
+  .integer({ min: 1, max: 8 })
+  .chain((count) =>
+    fc.tuple(
+      fc.uniqueArray(fc.integer({ min: 1, max: 9999 }), {
+        minLength: count - 1,
+        maxLength: count - 1,
+      }),
+      fc.array(addressArb, { minLength: count, maxLength: count })
+    )
+  )
+  .map(([cuts, accounts]) => {
+    const bounds = [0, ...cuts.sort((a, b) => a - b), 10000];
+    return accounts.map((account, i) => ({
+      account,
+      percentage: bounds[i + 1] - bounds[i],
+    }));
+  });
+
+// Montos de polvo (pocos wei) y montos realistas
+const amountArb = fc.oneof(
+  fc.bigInt({ min: 1n, max: 20000n }),
+  fc.bigInt({ min: 1n, max: 10n ** 22n })
+);
+
+const cascadeArb = fc.record({
+  sources: fc.array(addressArb, { maxLength: 6 }),
+  cascadePercentage: fc.integer({ min: 0, max: 10000 }),
+  shares: fc.option(sharesArb, { nil: [] }),
+});
+
+function sumPayouts(payouts) {
+  return payouts.reduce((total, payout) => total + payout.amount, 0n);
+}
+
+/**
+ * Máximo polvo posible: cada división entera pierde menos de una unidad
+ */
+function maxCascadeDust({ sources, cascadePercentage, shares }) {
+  const sourceLoss =
+    sources.length > 0 && cascadePercentage > 0 ? sources.length - 1 : 0;
+  return BigInt(sourceLoss + Math.max(shares.length - 1, 0));
+}
+
+describe("Aritmética de splits (property-based)", function () {
+  describe("Implementación de referencia", function () {
+    it("Debería conservar el valor en el reparto de mint", function () {
+      fc.assert(
+        fc.property(amountArb, sharesArb, (amount, shares) => {
+          const { payouts, distributed, dust } = computeMintSplit(
+            amount,
+            shares
+          );
+
+          expect(distributed + dust).to.equal(amount);
+          expect(sumPayouts(payouts)).to.equal(distributed);
+          expect(dust >= 0n).to.be.true;
+          expect(dust < BigInt(shares.length)).to.be.true;
+          for (const [i, payout] of payouts.entries()) {
+            // floor(amount * p / 10000): nunca por encima de la parte exacta
+            const exact = amount * BigInt(shares[i].percentage);
+            expect(payout.amount * 10000n <= exact).to.be.true;
+            expect(exact - payout.amount * 10000n < 10000n).to.be.true;
+          }
+        }),
+        fuzzParams(REFERENCE_RUNS)
+      );
+    });
+
+    it("Debería conservar el valor en el reparto en cascada", function () {
+      fc.assert(
+        fc.property(amountArb, cascadeArb, (amount, config) => {
+          const { sourcePayouts, payouts, cascadeAmount, distributed, dust } =
+            computeCascadeSplit(amount, config);
+
+          expect(distributed + dust).to.equal(amount);
+          expect(sumPayouts(sourcePayouts) + sumPayouts(payouts)).to.equal(
+            distributed
+          );
+          expect(sumPayouts(sourcePayouts) <= cascadeAmount).to.be.true;
+
+          if (config.shares.length === 0) {
+            // Sin splits, todo lo que no va a las fuentes queda retenido
+            expect(dust >= amount - cascadeAmount).to.be.true;
+          } else {
+            expect(dust <= maxCascadeDust(config)).to.be.true;
+          }
+        }),
+        fuzzParams(REFERENCE_RUNS)
+      );
+    });
+
+    it("Debería reproducir los casos de redondeo conocidos", function () {
+      const thirds = [
+        { account: ethers.ZeroAddress, percentage: 3333 },
+        { account: ethers.ZeroAddress, percentage: 3333 },
+        { account: ethers.ZeroAddress, percentage: 3334 },
+      ];
+
+      expect(computeMintSplit(1n, thirds).dust).to.equal(1n);
+      expect(computeMintSplit(100n, thirds).dust).to.equal(1n);
+      expect(computeMintSplit(10000n, thirds).dust).to.equal(0n);
+      expect(
+        computeCascadeSplit(1000n, {
+          sources: [ethers.ZeroAddress, ethers.ZeroAddress, ethers.ZeroAddress],
+          cascadePercentage: 1000,
+          shares: thirds,
+        }).dust
+      ).to.equal(3n); // 100 entre 3 fuentes deja 1; 900 entre los splits deja 2
+    });
+  });
+
+  describe("RevenueShareUpgradeable contra la referencia", function () {
+    // Cada caso es una transacción real: se limitan las corridas
+    this.timeout(0);
+
+    // Polvo retenido por llamada, para cuantificar la pérdida por redondeo
+    const dustReport = new Map();
+
+    after(function () {
+      if (!process.env.FUZZ_REPORT) return;
+      for (const [label, dusts] of dustReport) {
+        const total = dusts.reduce((sum, dust) => sum + dust, 0n);
+        const max = dusts.reduce((a, b) => (b > a ? b : a), 0n);
+        const withDust = dusts.filter((dust) => dust > 0n).length;
+        console.log(
+          `      📊 ${label}: ${withDust}/${dusts.length} llamadas con polvo, máx ${max}, total ${total}`
+        );
+      }
+    });
+
+    async function deploySplitMathFixture() {
+      const [, artist, payer] = await ethers.getSigners();
+      const { revenueFactory } = await deployPlatform();
+      const revenueShare = await createRevenueShare(revenueFactory, {
+        artist: artist.address,
+        caller: artist,
+      });
+      const usdc = await deployMockERC20();
+
+      await setBalance(payer.address, 10n ** 30n);
+      await usdc.mint(payer.address, 10n ** 30n);
+      await usdc
+        .connect(payer)
+        .approve(await revenueShare.getAddress(), ethers.MaxUint256);
+
+      return {
+        revenueShare: revenueShare.connect(artist),
+        usdc,
+        payer,
+        // Colección sin splits de colección: cada caso usa su propio tokenId
+        collection: ethers.Wallet.createRandom().address,
+      };
+    }
+
+    function balanceReader(usdc) {
+      return usdc
+        ? (account) => usdc.balanceOf(account)
+        : (account) => ethers.provider.getBalance(account);
+    }
+
+    /**
+     * Ejecuta `pay` y compara las variaciones de balance con `expected`
+     */
+    async function expectDistribution({
+      label,
+      revenueShare,
+      usdc,
+      expected,
+      pay,
+    }) {
+      const balanceOf = balanceReader(usdc);
+      const contract = await revenueShare.getAddress();
+      const totals = aggregatePayouts([
+        ...(expected.sourcePayouts || []),
+        ...expected.payouts,
+      ]);
+      const accounts = [...totals.keys()];
+
+      const before = await Promise.all(accounts.map(balanceOf));
+      const contractBefore = await balanceOf(contract);
+      await pay();
+      const after = await Promise.all(accounts.map(balanceOf));
+
+      for (const [i, account] of accounts.entries()) {
+        expect(after[i] - before[i], account).to.equal(totals.get(account));
+      }
+      // El polvo es exactamente lo que queda retenido en el contrato
+      expect((await balanceOf(contract)) - contractBefore).to.equal(
+        expected.dust
+      );
+      if (!dustReport.has(label)) dustReport.set(label, []);
+      dustReport.get(label).push(expected.dust);
+    }
+
+    for (const asset of ["ETH", "ERC20"]) {
+      it(`Debería repartir pagos de mint en ${asset} como la referencia`, async function () {
+        const { revenueShare, usdc, payer, collection } = await loadFixture(
+          deploySplitMathFixture
+        );
+        const token = asset === "ERC20" ? usdc : null;
+        let tokenId = 0;
+
+        await fc.assert(
+          fc.asyncProperty(amountArb, sharesArb, async (amount, shares) => {
+            tokenId++;
+            await revenueShare.setMintSplits(collection, tokenId, shares);
+
+            await expectDistribution({
+              label: `mint ${asset}`,
+              revenueShare,
+              usdc: token,
+              expected: computeMintSplit(amount, shares),
+              pay: () =>
+                token
+                  ? revenueShare
+                      .connect(payer)
+                      .distributeMintPaymentERC20(
+                        collection,
+                        tokenId,
+                        token,
+                        amount
+                      )
+                  : revenueShare
+                      .connect(payer)
+                      .distributeMintPayment(collection, tokenId, {
+                        value: amount,
+                      }),
+            });
+          }),
+          fuzzParams(CHAIN_RUNS)
+        );
+      });
+
+      it(`Debería repartir pagos en cascada en ${asset} como la referencia`, async function () {
+        const { revenueShare, usdc, payer, collection } = await loadFixture(
+          deploySplitMathFixture
+        );
+        const token = asset === "ERC20" ? usdc : null;
+        let tokenId = 0;
+
+        await fc.assert(
+          fc.asyncProperty(amountArb, cascadeArb, async (amount, config) => {
+            tokenId++;
+            await revenueShare.setInheritance(tokenId, config.sources);
+            await revenueShare.setCascadePercentage(
+              tokenId,
+              config.cascadePercentage
+            );
+            if (config.shares.length > 0) {
+              await revenueShare.setMintSplits(
+                collection,
+                tokenId,
+                config.shares
+              );
+            }
+
+            await expectDistribution({
+              label:
+                config.shares.length > 0
+                  ? `cascada ${asset}`
+                  : `cascada ${asset} sin splits`,
+              revenueShare,
+              usdc: token,
+              expected: computeCascadeSplit(amount, config),
+              pay: () =>
+                token
+                  ? revenueShare
+                      .connect(payer)
+                      .distributeCascadePaymentERC20(
+                        collection,
+                        tokenId,
+                        token,
+                        amount
+                      )
+                  : revenueShare
+                      .connect(payer)
+                      .distributeCascadePayment(collection, tokenId, {
+                        value: amount,
+                      }),
+            });
+          }),
+          fuzzParams(CHAIN_RUNS)
+        );
+      });
+    }
+  });
+});
@@ -0,0 +1,286 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  aggregatePlays,
+  computeStreamingPayouts,
+  parsePlayReportCsv,
+  parsePlayReportJson,
+  recoverSettlementSigner,
+  signStreamingSettlement,
+} = require("../sdk/streaming");
+const { createRevenueShareClient } = require("../sdk/revenue-share");
+const {
+  createCollection,
+  createRevenueShare,
+  deployMockERC20,
+  deployPlatform,
+} = require("./helpers/deploy");
+const { silenceConsole, useTempDir } = require("./helpers/env");
+
+const { ethers } = hre;
+
+describe("Oráculo de streaming", function () {
+  silenceConsole();
+  const tempDir = useTempDir("tuneport-streaming-");
+
+  /**
+   * Colección con splits de mint 70/30 y un remix (token 2) que cede el 20%
+   * a una fuente. El artista es la cuenta de las tasks: owner, oráculo y
+   * quien paga la época en USDC de prueba
+   */
+  async function deployStreamingFixture() {
+    const [artist, producer, source] = await ethers.getSigners();
+    const { revenueFactory, musicFactory } = await deployPlatform();
+    const revenueShare = await createRevenueShare(revenueFactory, {
+      artist: artist.address,
+      caller: artist,
+    });
+    const collection = await createCollection(musicFactory, {
+      artist,
+      revenueShare: await revenueShare.getAddress(),
+    });
+    const collectionAddress = await collection.getAddress();
+
+    await revenueShare.setCollectionMintSplits(collectionAddress, [
+      { account: artist.address, percentage: 7000 },
+      { account: producer.address, percentage: 3000 },
+    ]);
+    await revenueShare.setInheritance(2, [source.address]);
+    await revenueShare.setCascadePercentage(2, 2000);
+
+    const usdc = await deployMockERC20();
+    await usdc.mint(artist.address, 10_000_000_000n);
+
+    const periodEnd = await time.latest();
+    return {
+      artist,
+      producer,
+      source,
+      revenueShare,
+      revenueShareAddress: await revenueShare.getAddress(),
+      collectionAddress,
+      usdc,
+      usdcAddress: await usdc.getAddress(),
+      periodStart: periodEnd - 7 * 86400,
+      periodEnd,
+    };
+  }
+
+  it("Debería sumar las reproducciones del período y repartir el pozo sin perder unidades", function () {
+    const collection = ethers.Wallet.createRandom().address;
+    const rows = [
+      ...parsePlayReportCsv(
+        [
+          "collection,tokenId,plays,date",
+          `${collection},1,1,2026-01-01`,
+          `${collection.toLowerCase()},1,1,1767225600`,
+          `${collection},2,1,2025-12-31`,
+        ].join("\n")
+      ),
+      ...parsePlayReportJson({
+        collection,
+        date: "2026-01-02",
+        plays: { 2: 1, 3: 0 },
+      }),
+    ];
+
+    const plays = aggregatePlays(rows, {
+      periodStart: Date.parse("2026-01-01") / 1000,
+      periodEnd: Date.parse("2026-02-01") / 1000,
+    });
+    expect(plays).to.deep.equal([
+      { collection, tokenId: 1n, plays: 2n },
+      { collection, tokenId: 2n, plays: 1n },
+    ]);
+
+    // 100 / 3 = 33,33: la unidad que sobra va al token con mayor resto
+    const { total, payouts } = computeStreamingPayouts(plays, { pool: 100n });
+    expect(total).to.equal(100n);
+    expect(payouts.map((payout) => payout.amount)).to.deep.equal([67n, 33n]);
+    expect(computeStreamingPayouts(plays, { ratePerPlay: 5n }).total).to.equal(
+      15n
+    );
+
+    expect(() =>
+      aggregatePlays([
+        { collection: "0x1234", tokenId: 1, plays: 1 },
+        { collection, tokenId: "uno", plays: 1 },
+        { collection, tokenId: 1, plays: -3 },
+      ])
+    ).to.throw(
+      "Reporte de reproducciones inválido:\n  - [0].collection: dirección inválida: 0x1234\n  - [1].tokenId: debe ser un entero: uno\n  - [2].plays: debe ser un entero: -3"
+    );
+    expect(() => computeStreamingPayouts(plays, {})).to.throw(
+      "Indica el pozo del período o la tarifa por reproducción"
+    );
+  });
+
+  it("Debería firmar y liquidar una época en USDC con protección de repetición", async function () {
+    const {
+      artist,
+      producer,
+      source,
+      revenueShare,
+      revenueShareAddress,
+      collectionAddress,
+      usdc,
+      usdcAddress,
+      periodStart,
+      periodEnd,
+    } = await loadFixture(deployStreamingFixture);
+    const day = periodStart + 86400;
+    const csv = path.join(tempDir(), "plays.csv");
+    const json = path.join(tempDir(), "plays.json");
+    const out = path.join(tempDir(), "settlement.json");
+    fs.writeFileSync(
+      csv,
+      [
+        "collection,tokenId,plays,date",
+        `${collectionAddress},1,200,${day}`,
+        `${collectionAddress},2,600,${day}`,
+        `${collectionAddress},3,100,${day}`,
+        // Fuera del período: no cuenta
+        `${collectionAddress},3,900,${periodStart - 1}`,
+      ].join("\n")
+    );
+    fs.writeFileSync(
+      json,
+      JSON.stringify([
+        { collection: collectionAddress, date: day, plays: { 1: 100 } },
+      ])
+    );
+    const args = {
+      revenueShare: revenueShareAddress,
+      reports: `${csv},${json}`,
+      epoch: "1",
+      periodStart: String(periodStart),
+      periodEnd: String(periodEnd),
+      token: usdcAddress,
+      pool: "1000",
+    };
+
+    await expect(
+      hre.run("revenue:settle-streaming", { ...args, signOnly: true })
+    ).to.be.rejectedWith("no tiene streamingOracle");
+    await hre.run("revenue:set-streaming-oracle", {
+      revenueShare: revenueShareAddress,
+    });
+    expect(await revenueShare.streamingOracle()).to.equal(artist.address);
+
+    // El oráculo firma sin enviar; cualquiera con fondos puede liquidar después
+    const signed = await hre.run("revenue:settle-streaming", {
+      ...args,
+      out,
+      signOnly: true,
+    });
+    expect(signed.settlement.total).to.equal(1_000_000_000n);
+    expect(
+      signed.settlement.payouts.map((payout) => [
+        payout.tokenId,
+        payout.plays,
+        payout.amount,
+      ])
+    ).to.deep.equal([
+      [1n, 300n, 300_000_000n],
+      [2n, 600n, 600_000_000n],
+      [3n, 100n, 100_000_000n],
+    ]);
+    const saved = JSON.parse(fs.readFileSync(out, "utf8"));
+    expect(
+      recoverSettlementSigner({
+        revenueShare: revenueShareAddress,
+        chainId: saved.chainId,
+        settlement: saved.settlement,
+        signature: saved.signature,
+      })
+    ).to.equal(artist.address);
+    expect(await revenueShare.settledEpochs(1)).to.be.false;
+
+    const before = await usdc.balanceOf(artist.address);
+    await hre.run("revenue:settle-streaming", { settlement: out });
+
+    // 70/30 de 1000 USDC, salvo el 20% del remix (120 USDC) para la fuente
+    expect(await usdc.balanceOf(source.address)).to.equal(120_000_000n);
+    expect(await usdc.balanceOf(producer.address)).to.equal(264_000_000n);
+    expect(await usdc.balanceOf(artist.address)).to.equal(
+      before - 1_000_000_000n + 616_000_000n
+    );
+    expect(await usdc.balanceOf(revenueShareAddress)).to.equal(0n);
+    expect(await revenueShare.settledEpochs(1)).to.be.true;
+
+    await expect(
+      hre.run("revenue:settle-streaming", { settlement: out })
+    ).to.be.rejectedWith("La época 1 ya se liquidó");
+    await expect(hre.run("revenue:settle-streaming", args)).to.be.rejectedWith(
+      "ya se liquidó"
+    );
+    await expect(
+      revenueShare.settleStreamingEpoch(saved.settlement, saved.signature)
+    )
+      .to.be.revertedWithCustomError(revenueShare, "EpochAlreadySettled")
+      .withArgs(1);
+  });
+
+  it("Debería decodificar los errores de liquidación con sus argumentos", async function () {
+    const {
+      artist,
+      producer,
+      revenueShare,
+      revenueShareAddress,
+      collectionAddress,
+      periodStart,
+      periodEnd,
+    } = await loadFixture(deployStreamingFixture);
+    await revenueShare.setStreamingOracle(artist.address);
+    const client = createRevenueShareClient({
+      address: revenueShareAddress,
+      runner: artist,
+    });
+    const { chainId } = await ethers.provider.getNetwork();
+
+    const settle = async (overrides = {}, signer = artist) => {
+      const signed = await signStreamingSettlement({
+        signer,
+        revenueShare: revenueShareAddress,
+        chainId,
+        settlement: {
+          epoch: 1,
+          periodStart,
+          periodEnd,
+          total: 100n,
+          payouts: [
+            {
+              collection: collectionAddress,
+              tokenId: 1,
+              plays: 10,
+              amount: 100n,
+            },
+          ],
+          ...overrides,
+        },
+      });
+      return client.settleStreamingEpoch({
+        ...signed,
+        value: signed.settlement.total,
+      });
+    };
+
+    await expect(settle({}, producer)).to.be.rejectedWith(
+      "La liquidación no está firmada por el streamingOracle del revenue share"
+    );
+    await expect(settle({ periodStart: periodEnd })).to.be.rejectedWith(
+      `Período inválido (${periodEnd} - ${periodEnd}): debe empezar antes de terminar y no terminar en el futuro`
+    );
+    await expect(settle({ total: 150n })).to.be.rejectedWith(
+      "El total de la liquidación (150) no coincide con la suma de los pagos (100)"
+    );
+    await settle();
+    await expect(settle()).to.be.rejectedWith("La época 1 ya se liquidó");
+  });
+});
@@ -0,0 +1,223 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployPlatform } = require("./helpers/deploy");
+const { silenceConsole } = require("./helpers/env");
+
+const { ethers } = hre;
+
+describe("Hardhat tasks", function () {
+  silenceConsole();
+  let artist;
+  let collaborator;
+  let addresses;
+
+  beforeEach(async function () {
+    [artist, collaborator] = await ethers.getSigners();
+    ({ addresses } = await deployPlatform());
+  });
+
+  async function createRelease() {
+    const revenueShare = await hre.run("revenue:create", {
+      name: "Album Revenue",
+      description: "Splits del álbum",
+      factory: addresses.revenueShareFactory,
+    });
+
+    const start = await time.latest();
+    const collection = await hre.run("collection:create", {
+      name: "Album",
+      symbol: "ALB",
+      start: String(start),
+      end: new Date((start + 86400) * 1000).toISOString(),
+      mintPrice: "0.05",
+      revenueShare,
+      factory: addresses.musicFactory,
+    });
+
+    return { revenueShare, collection };
+  }
+
+  it("Debería crear revenue share y colección", async function () {
+    const { revenueShare, collection } = await createRelease();
+
+    const instance = await ethers.getContractAt(
+      "MusicCollectionUpgradeable",
+      collection
+    );
+    expect(await instance.owner()).to.equal(artist.address);
+    expect(await instance.revenueShare()).to.equal(revenueShare);
+    // El precio del mint con ETH queda fijado desde la creación
+    expect(await instance.mintPrice()).to.equal(ethers.parseEther("0.05"));
+    // Sin --royalty-receiver los royalties de reventa los cobra el RevenueShare
+    const [receiver] = await instance.royaltyInfo(1, 10000);
+    expect(receiver).to.equal(revenueShare);
+  });
+
+  it("Debería crear un release en una transacción en las direcciones predichas", async function () {
+    const start = await time.latest();
+    const args = {
+      name: "Album",
+      symbol: "ALB",
+      start: String(start),
+      end: String(start + 86400),
+      salt: "album-2024",
+      mintPrice: "0.01",
+      splits: `${artist.address}:7000,${collaborator.address}:3000`,
+      factory: addresses.musicFactory,
+    };
+
+    const predicted = await hre.run("release:create", {
+      ...args,
+      predict: true,
+    });
+    expect(await ethers.provider.getCode(predicted.collection)).to.equal("0x");
+
+    const release = await hre.run("release:create", args);
+    expect(release).to.include({
+      collection: predicted.collection,
+      revenueShare: predicted.revenueShare,
+    });
+    const revenueShare = await ethers.getContractAt(
+      "RevenueShareUpgradeable",
+      release.revenueShare
+    );
+    expect(await revenueShare.name()).to.equal("Album Revenue");
+    const splits = await revenueShare.getCollectionMintSplits(
+      release.collection
+    );
+    expect(splits.map((s) => s.percentage)).to.deep.equal([7000n, 3000n]);
+    const collection = await ethers.getContractAt(
+      "MusicCollectionUpgradeable",
+      release.collection
+    );
+    expect(await collection.mintPrice()).to.equal(ethers.parseEther("0.01"));
+
+    await expect(hre.run("release:create", args)).to.be.rejectedWith(
+      "SaltAlreadyUsed"
+    );
+    await expect(
+      hre.run("release:create", {
+        ...args,
+        salt: "otro",
+        splits: `${artist.address}:7000`,
+      })
+    ).to.be.rejectedWith("InvalidTotal");
+    await expect(
+      hre.run("release:create", { ...args, salt: "otro", mintPrice: "gratis" })
+    ).to.be.rejectedWith("--mint-price no es un monto válido");
+  });
+
+  it("Debería configurar supply, fechas y free mint", async function () {
+    const { collection } = await createRelease();
+
+    await hre.run("collection:set-max-supply", {
+      collection,
+      tokenId: "1",
+      supply: "10",
+    });
+    await hre.run("collection:free-mint", {
+      collection,
+      to: collaborator.address,
+      tokenId: "1",
+      amount: "3",
+      metadata: "ipfs://track-1",
+    });
+
+    const start = (await time.latest()) + 3600;
+    await hre.run("collection:set-dates", {
+      collection,
+      start: String(start),
+      end: String(start + 86400),
+    });
+
+    const instance = await ethers.getContractAt(
+      "MusicCollectionUpgradeable",
+      collection
+    );
+    expect(await instance.maxSupply(1)).to.equal(10n);
+    expect(await instance.balanceOf(collaborator.address, 1)).to.equal(3n);
+    expect(await instance.mintStartDate()).to.equal(BigInt(start));
+
+    await expect(
+      hre.run("collection:set-max-supply", {
+        collection,
+        tokenId: "1",
+        supply: "2",
+      })
+    ).to.be.rejectedWith("es menor a lo ya minteado");
+  });
+
+  it("Debería fijar el precio del mint y cotizarlo", async function () {
+    const { collection } = await createRelease();
+
+    await hre.run("collection:set-mint-price", { collection, price: "0.05" });
+    const quote = await hre.run("collection:quote", {
+      collection,
+      tokenId: "1",
+      amount: "2",
+    });
+
+    expect(quote.value).to.equal(ethers.parseEther("0.1"));
+    expect(quote.mintable).to.equal(true);
+
+    await expect(
+      hre.run("collection:set-mint-price", { collection, price: "gratis" })
+    ).to.be.rejectedWith("--price no es un monto válido");
+  });
+
+  it("Debería configurar splits y managers", async function () {
+    const { revenueShare, collection } = await createRelease();
+
+    await hre.run("revenue:set-splits", {
+      revenueShare,
+      collection,
+      splits: `${artist.address}:6000,${collaborator.address}:4000`,
+    });
+    await hre.run("revenue:add-manager", {
+      revenueShare,
+      manager: collaborator.address,
+    });
+
+    const instance = await ethers.getContractAt(
+      "RevenueShareUpgradeable",
+      revenueShare
+    );
+    const splits = await instance.getCollectionMintSplits(collection);
+    expect(splits.map((s) => s.percentage)).to.deep.equal([6000n, 4000n]);
+    expect(await instance.isManager(collaborator.address)).to.equal(true);
+  });
+
+  it("Debería rechazar argumentos inválidos", async function () {
+    const { revenueShare, collection } = await createRelease();
+
+    await expect(
+      hre.run("revenue:set-splits", {
+        revenueShare,
+        collection,
+        splits: `${artist.address}:6000`,
+      })
+    ).to.be.rejectedWith("InvalidTotal");
+
+    await expect(
+      hre.run("collection:free-mint", {
+        collection: "0x1234",
+        to: collaborator.address,
+        tokenId: "1",
+      })
+    ).to.be.rejectedWith("no es una dirección válida");
+
+    const start = await time.latest();
+    await expect(
+      hre.run("collection:create", {
+        name: "Album",
+        symbol: "ALB",
+        start: String(start),
+        end: String(start + 86400),
+        mintPrice: "gratis",
+        revenueShare,
+        factory: addresses.musicFactory,
+      })
+    ).to.be.rejectedWith("--mint-price no es un monto válido");
+  });
+});
@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const registry = require("../scripts/utils/deployment-registry");
+const { deployAll } = require("../scripts/deploy-all-upgradeable");
+const { getNetworkProfile } = require("../scripts/utils/network-profiles");
+const { executeTxBatch, readTxBatch } = require("../scripts/utils/tx-batch");
+const {
+  silenceConsole,
+  useTempDeployments,
+  useTempDir,
+} = require("./helpers/env");
+
+const { ethers, network, upgrades } = hre;
+
+describe("Propuestas de upgrade", function () {
+  useTempDeployments();
+  silenceConsole();
+  const tempDir = useTempDir("tuneport-proposals-");
+
+  it("Debería programar y ejecutar un upgrade a través del timelock", async function () {
+    const [deployer] = await ethers.getSigners();
+    const deployment = await deployAll({ timelockDelay: 3600 });
+    const timelock = deployment.contracts.timelock.address;
+    const musicFactory = deployment.contracts.musicFactory.address;
+    const factory = await ethers.getContractAt(
+      "MusicNFTFactoryUpgradeable",
+      musicFactory
+    );
+    expect(await factory.owner()).to.equal(timelock);
+    expect(
+      await (
+        await ethers.getContractAt(
+          "RevenueShareFactoryUpgradeable",
+          deployment.contracts.revenueFactory.address
+        )
+      ).owner()
+    ).to.equal(timelock);
+    const previous =
+      await upgrades.erc1967.getImplementationAddress(musicFactory);
+
+    // El deployer no es el owner: se genera la propuesta sin tocar el proxy
+    const { plans, proposal, files } = await hre.run("contracts:upgrade", {
+      contracts: "musicFactory=MusicNFTFactoryUpgradeableV2Mock",
+      out: tempDir(),
+    });
+    expect(proposal).to.include({ owner: timelock, ownerKind: "timelock" });
+    expect(proposal.timelock.delay).to.equal("3600");
+    expect(
+      await upgrades.erc1967.getImplementationAddress(musicFactory)
+    ).to.equal(previous);
+    await expect(
+      hre.run("contracts:record-upgrade", { proposal: tempDir() })
+    ).to.be.rejectedWith("todavía no se ejecutó");
+
+    const schedule = readTxBatch(files.batches.schedule);
+    const execute = readTxBatch(files.batches.execute);
+    expect(schedule.transactions[0].to).to.equal(timelock);
+
+    await executeTxBatch({ batch: schedule, signer: deployer });
+    await expect(
+      executeTxBatch({ batch: execute, signer: deployer })
+    ).to.be.rejectedWith("TimelockUnexpectedOperationState");
+
+    await time.increase(3600);
+    await executeTxBatch({ batch: execute, signer: deployer });
+    expect(
+      await upgrades.erc1967.getImplementationAddress(musicFactory)
+    ).to.equal(plans[0].implementation);
+    expect(await factory.version()).to.equal("2.0.0");
+
+    await hre.run("contracts:record-upgrade", { proposal: files.proposal });
+    const saved = registry.loadDeployment(network.name);
+    expect(saved.contracts.musicFactory).to.include({
+      contract: "MusicNFTFactoryUpgradeableV2Mock",
+      implementation: plans[0].implementation,
+      version: "2.0.0",
+    });
+    await expect(
+      hre.run("contracts:record-upgrade", { proposal: tempDir() })
+    ).to.be.rejectedWith("ya está en el registro");
+  });
+
+  it("Debería generar el batch del multisig y verificarlo antes de registrarlo", async function () {
+    const [, multisig] = await ethers.getSigners();
+    const profile = getNetworkProfile(network.name, {});
+    const deployment = await deployAll({
+      profile: { ...profile, owner: multisig.address },
+    });
+    const musicFactory = deployment.contracts.musicFactory.address;
+
+    const { proposal, files } = await hre.run("contracts:upgrade", {
+      contracts: "musicFactory=MusicNFTFactoryUpgradeableV2Mock",
+      out: tempDir(),
+    });
+    expect(proposal).to.include({
+      owner: multisig.address,
+      ownerKind: "eoa",
+    });
+    expect(proposal).to.not.have.property("timelock");
+
+    const batch = readTxBatch(files.batches.upgrade);
+    expect(batch.meta.createdFromSafeAddress).to.equal(multisig.address);
+    await expect(
+      hre.run("contracts:record-upgrade", { proposal: tempDir() })
+    ).to.be.rejectedWith("El proxy apunta a");
+
+    await executeTxBatch({ batch, signer: multisig });
+    await hre.run("contracts:record-upgrade", { proposal: tempDir() });
+    expect(
+      registry.loadDeployment(network.name).contracts.musicFactory
+        .implementation
+    ).to.equal(await upgrades.erc1967.getImplementationAddress(musicFactory));
+
+    await expect(
+      hre.run("contracts:upgrade", {
+        contracts: "musicFactory=MusicNFTFactoryUpgradeableV2Mock",
+        salt: "0x1234",
+      })
+    ).to.be.rejectedWith("--salt debe ser un bytes32");
+  });
+});
@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const registry = require("../scripts/utils/deployment-registry");
+const { deployAll } = require("../scripts/deploy-all-upgradeable");
+const {
+  diffStorageLayouts,
+  formatStorageDiff,
+} = require("../scripts/utils/upgrade-helpers");
+const { silenceConsole, useTempDeployments } = require("./helpers/env");
+
+const { network, upgrades } = hre;
+
+describe("Upgrades", function () {
+  useTempDeployments();
+  silenceConsole({ methods: ["log", "error"] });
+  let deployment;
+
+  beforeEach(async function () {
+    deployment = await deployAll();
+  });
+
+  function musicFactoryImplementation() {
+    return upgrades.erc1967.getImplementationAddress(
+      deployment.contracts.musicFactory.address
+    );
+  }
+
+  it("Debería rechazar el upgrade si version() no cambió", async function () {
+    await expect(
+      hre.run("contracts:upgrade", { contracts: "musicFactory" })
+    ).to.be.rejectedWith("version() no cambió (1.2.0)");
+
+    expect(registry.loadDeployment(network.name).history).to.have.lengthOf(4);
+  });
+
+  it("Debería validar sin modificar nada en modo dry run", async function () {
+    const before = await musicFactoryImplementation();
+
+    const { plans } = await hre.run("contracts:upgrade", {
+      contracts: "musicFactory=MusicNFTFactoryUpgradeableV2Mock",
+      dryRun: true,
+    });
+
+    expect(plans[0].previousVersion).to.equal("1.2.0");
+    expect(plans[0].version).to.equal("2.0.0");
+    expect(plans[0].storageDiff).to.deep.equal([]);
+    expect(await musicFactoryImplementation()).to.equal(before);
+    expect(registry.loadDeployment(network.name).history).to.have.lengthOf(4);
+  });
+
+  it("Debería aplicar el upgrade y registrarlo en el historial", async function () {
+    const previous = await musicFactoryImplementation();
+
+    const { plans } = await hre.run("contracts:upgrade", {
+      contracts: "musicFactory=MusicNFTFactoryUpgradeableV2Mock",
+    });
+
+    expect(await musicFactoryImplementation()).to.equal(
+      plans[0].implementation
+    );
+
+    const saved = registry.loadDeployment(network.name);
+    expect(saved.contracts.musicFactory).to.include({
+      contract: "MusicNFTFactoryUpgradeableV2Mock",
+      implementation: plans[0].implementation,
+      version: "2.0.0",
+    });
+    expect(saved.history[4]).to.include({
+      action: "upgrade",
+      key: "musicFactory",
+      previousImplementation: previous,
+      previousVersion: "1.2.0",
+    });
+  });
+
+  it("Debería hacer rollback si fallan los checks posteriores", async function () {
+    const previous = await musicFactoryImplementation();
+
+    await expect(
+      hre.run("contracts:upgrade", {
+        contracts: "musicFactory=BrokenMusicNFTFactoryUpgradeableMock",
+      })
+    ).to.be.rejectedWith("collectionImplementation() no conserva su valor");
+
+    expect(await musicFactoryImplementation()).to.equal(previous);
+    expect(registry.loadDeployment(network.name).history).to.have.lengthOf(4);
+  });
+
+  it("Debería mostrar el diff entre storage layouts", function () {
+    const types = {
+      t_address: { label: "address" },
+      t_uint256: { label: "uint256" },
+    };
+    const original = {
+      types,
+      storage: [
+        { label: "owner", type: "t_address", slot: "0", offset: 0 },
+        { label: "count", type: "t_uint256", slot: "1", offset: 0 },
+      ],
+    };
+    const updated = {
+      types,
+      storage: [
+        { label: "owner", type: "t_address", slot: "0", offset: 0 },
+        { label: "total", type: "t_uint256", slot: "1", offset: 0 },
+        { label: "price", type: "t_uint256", slot: "2", offset: 0 },
+      ],
+    };
+
+    expect(
+      formatStorageDiff(diffStorageLayouts(original, updated))
+    ).to.deep.equal([
+      "~ [slot 1:0] count: uint256 -> total: uint256",
+      "+ [slot 2:0] price: uint256",
+    ]);
+  });
+});